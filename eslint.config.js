@@ -96,7 +96,7 @@ export default [
     },
   },
   {
-    files: ['tailwind.config.js', 'vite.config.js', 'postcss.config.js'],
+    files: ['tailwind.config.js', 'vite.config.js', 'vitest.config.js', 'postcss.config.js'],
     languageOptions: {
       ecmaVersion: 2022,
       globals: {
@@ -114,4 +114,14 @@ export default [
       }],
     },
   },
+  {
+    // Tests run in Node; describe, test, expect, ... are enabled in vitest.config.js
+    files: ['src/**/__tests__/**/*.test.{js,jsx}', 'tests/**/*.test.js'],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+        ...globals.vitest,
+      },
+    },
+  },
 ]
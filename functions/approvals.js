@@ -0,0 +1,449 @@
+/**
+ * Approval chains
+ *
+ * Actions a department wants checked first go through an approval request:
+ *   - self-assigned tasks (created with `needsApproval`) and critical tasks,
+ *     opened by the openTaskApprovals trigger when the task is created, or
+ *     when an open task is raised to critical later
+ *   - manual points adjustments and awards, and high-value voucher
+ *     redemptions, opened by the callables in index.js instead of acting
+ * Who approves, in which order, is the department's chain for the action
+ * (see src/shared/utils/approvalChains.js, shared through
+ * functions/shared/approvalChains.mjs). Requests are kept in
+ * `approvalRequests`:
+ *   { type, status, departmentId, subject: {kind, id, title}, payload, points,
+ *     requestedById, requestedByName, steps, currentStep, dismissedBy, outcome }
+ * Every decision is recorded on its step with the decider, who they stood in
+ * for, and the reason. The action itself runs once the last step approves:
+ * the task is approved (or soft-deleted on rejection), or the points change
+ * or purchase is applied. If applying fails, the request stays pending.
+ */
+
+const admin = require("firebase-admin");
+const {HttpsError} = require("firebase-functions/v2/https");
+
+const loadApprovalChains = () => import("./shared/approvalChains.mjs");
+
+const REQUESTS_COLLECTION = "approvalRequests";
+const DELETED_STATUS = "Deleted";
+const COMPLETE_STATUS = "Complete";
+const CRITICAL_DIFFICULTY = "critical";
+const PENDING_STATUS = "pending";
+
+const isCriticalTask = (task) => String((task && task.difficulty) || "").toLowerCase() === CRITICAL_DIFFICULTY;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const SUBJECT_KINDS = {
+  TASK: "task",
+  USER: "user",
+};
+
+async function listUsers(db) {
+  const snap = await db.collection("users").get();
+  return snap.docs.map((d) => ({id: d.id, ...d.data()}));
+}
+
+async function getDepartment(db, departmentId) {
+  if (!departmentId) return null;
+  const snap = await db.collection("departments").doc(departmentId).get();
+  return snap.exists ? {id: snap.id, ...snap.data()} : null;
+}
+
+async function logApproval(db, action, requestId, request, actor, details, now) {
+  await db.collection("activityLog").add({
+    action,
+    entityType: "approval",
+    entityId: requestId,
+    entityName: request.subject.title || "",
+    userId: actor ? actor.id : "system",
+    userName: actor ? actor.name || "" : "System",
+    details: {
+      systemEvent: !actor,
+      type: request.type,
+      departmentId: request.departmentId || null,
+      subjectKind: request.subject.kind,
+      subjectId: request.subject.id,
+      ...details,
+    },
+    location: null,
+    // Same IST-shifted ISO format the app writes, so the log sorts consistently
+    timestamp: new Date(now.getTime() + IST_OFFSET_MS).toISOString(),
+    serverTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// Push to whoever may decide the current step, delegates included
+async function notifyDeciders(request, requestId, users, {sendPush, now}) {
+  const {getCurrentStep, getStepDeciders, toApprovalDateKey} = await loadApprovalChains();
+  const step = getCurrentStep(request);
+  if (!step || !sendPush) return;
+  const userIds = getStepDeciders(step, users, toApprovalDateKey(now)).map((decider) => decider.userId);
+  if (userIds.length === 0) return;
+  await sendPush("Approval needed", `${request.requestedByName || "Someone"}: ${request.subject.title}`, {
+    type: "approval_request",
+    requestId,
+    approvalType: request.type,
+  }, userIds);
+}
+
+/**
+ * Open a request when the department's chain applies to the action
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} action
+ * @param {string} action.type - One of APPROVAL_TYPES
+ * @param {string|null} action.departmentId - Department whose chain applies
+ * @param {Object} action.requester - { id, name }
+ * @param {Object} action.subject - { kind, id, title }
+ * @param {Object} action.payload - What to apply once approved
+ * @param {number} [action.points] - Points adjusted or spent
+ * @param {Object} [deps]
+ * @param {Array} [deps.users] - Every user; read when omitted
+ * @param {Function} [deps.sendPush] - (title, body, data, userIds) => Promise
+ * @param {Date} [deps.now]
+ * @returns {Promise<{id: string, request: Object}|null>} null when no approval is needed
+ */
+async function openApprovalRequest(db, {type, departmentId, requester, subject, payload, points = 0}, deps = {}) {
+  const {APPROVAL_STATUSES, getApprovalChain, chainApplies, buildApprovalSteps} = await loadApprovalChains();
+  const {now = new Date(), sendPush = null} = deps;
+
+  const chain = getApprovalChain(await getDepartment(db, departmentId), type);
+  if (!chainApplies(chain, {points})) return null;
+
+  const users = deps.users || await listUsers(db);
+  const steps = buildApprovalSteps(chain, {users, departmentId, requesterId: requester.id});
+  if (steps.length === 0) return null;
+
+  const ref = db.collection(REQUESTS_COLLECTION).doc();
+  const request = {
+    type,
+    status: APPROVAL_STATUSES.PENDING,
+    departmentId: departmentId || null,
+    subject,
+    payload,
+    points,
+    requestedById: requester.id,
+    requestedByName: requester.name || "",
+    steps,
+    currentStep: 0,
+    dismissedBy: [],
+    outcome: null,
+    applying: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await ref.set(request);
+
+  await logApproval(db, "request_approval", ref.id, request, requester, {points, steps: steps.length}, now);
+  await notifyDeciders(request, ref.id, users, {sendPush, now});
+  return {id: ref.id, request};
+}
+
+/**
+ * Whether an update raised an open task to critical, so the critical-task
+ * chain must run as it would have on creation. A task with a request still
+ * pending is left to that request.
+ * @param {Object} before - Task data before the update
+ * @param {Object} after - Task data after the update
+ * @returns {boolean}
+ */
+function isRaisedToCritical(before = {}, after = {}) {
+  return !isCriticalTask(before) && isCriticalTask(after)
+    && ![COMPLETE_STATUS, DELETED_STATUS].includes(after.status)
+    && after.approvalStatus !== PENDING_STATUS;
+}
+
+/**
+ * Put a task through its department's chain: the critical-task chain when
+ * it applies, else the self-assigned chain for tasks created with
+ * `needsApproval`. A self-assigned task in a department that turned its
+ * chain off, or with nobody to approve it, no longer needs approval.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} taskId
+ * @param {Object} task
+ * @param {Object} [deps] - { sendPush, now, raisedToCritical, previous }
+ * @param {boolean} [deps.raisedToCritical] - The task was raised to critical
+ *   after creation (see isRaisedToCritical): only the critical-task chain
+ *   applies, and a decided earlier request does not stop it
+ * @param {Object} [deps.previous] - { difficulty, points } before the raise,
+ *   restored if the request is rejected
+ * @returns {Promise<string|null>} The request id, if one was opened
+ */
+async function openTaskApproval(db, taskId, task, deps = {}) {
+  const {APPROVAL_TYPES, APPROVAL_STATUSES, getApprovalChain, chainApplies, buildApprovalSteps} = await loadApprovalChains();
+  const {now = new Date(), sendPush = null, raisedToCritical = false} = deps;
+  const hasRequest = (current) => Boolean(current.approvalRequestId) &&
+    (!raisedToCritical || current.approvalStatus === APPROVAL_STATUSES.PENDING);
+  if (!task || task.migratedFrom || task.isRequest || hasRequest(task) || task.status === DELETED_STATUS) return null;
+
+  const department = await getDepartment(db, task.departmentId);
+  const criticalChain = getApprovalChain(department, APPROVAL_TYPES.CRITICAL_TASK);
+  const type = isCriticalTask(task) && chainApplies(criticalChain) ?
+    APPROVAL_TYPES.CRITICAL_TASK :
+    task.needsApproval && !raisedToCritical ? APPROVAL_TYPES.SELF_ASSIGNED_TASK : null;
+  if (!type) return null;
+
+  const taskRef = db.collection("tasks").doc(taskId);
+  const chain = type === APPROVAL_TYPES.CRITICAL_TASK ? criticalChain : getApprovalChain(department, type);
+  const users = await listUsers(db);
+  const requester = {id: task.assignedById, name: task.assignedByName || ""};
+  const steps = chainApplies(chain) ?
+    buildApprovalSteps(chain, {users, departmentId: task.departmentId, requesterId: requester.id}) :
+    [];
+  if (steps.length === 0) {
+    if (!raisedToCritical) await taskRef.update({needsApproval: false});
+    return null;
+  }
+
+  const requestRef = db.collection(REQUESTS_COLLECTION).doc();
+  const request = {
+    type,
+    status: APPROVAL_STATUSES.PENDING,
+    departmentId: task.departmentId || null,
+    subject: {kind: SUBJECT_KINDS.TASK, id: taskId, title: task.title || ""},
+    payload: {
+      difficulty: task.difficulty || null,
+      assignedUserIds: task.assignedUserIds || [],
+      ...(raisedToCritical ? {previous: deps.previous || null} : {}),
+    },
+    points: Number(task.points) || 0,
+    requestedById: requester.id,
+    requestedByName: requester.name,
+    steps,
+    currentStep: 0,
+    dismissedBy: [],
+    outcome: null,
+    applying: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // The task may have been approved the old way, or deleted, in the meantime
+  const opened = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(taskRef);
+    const current = snap.exists ? snap.data() : null;
+    if (!current || hasRequest(current) || current.status === DELETED_STATUS) return false;
+    if (type === APPROVAL_TYPES.SELF_ASSIGNED_TASK && (!current.needsApproval || current.approvedBy)) return false;
+    tx.set(requestRef, request);
+    tx.update(taskRef, {needsApproval: true, approvalRequestId: requestRef.id, approvalStatus: APPROVAL_STATUSES.PENDING});
+    return true;
+  });
+  if (!opened) return null;
+
+  await logApproval(db, "request_approval", requestRef.id, request, requester, {steps: steps.length}, now);
+  await notifyDeciders(request, requestRef.id, users, {sendPush, now});
+  return requestRef.id;
+}
+
+// Task fields for a decided approval; a rejected task is soft-deleted like
+// removeTask does, and a rejected raise to critical goes back to its old difficulty
+function buildTaskOutcome(task, status, decider, reason, now, payload = {}) {
+  if (status === "approved") {
+    return {
+      needsApproval: false,
+      approvedBy: decider.id,
+      approvedByName: decider.name || "",
+      approvedAt: now.toISOString(),
+      approvalStatus: status,
+    };
+  }
+  if (payload.previous) {
+    return {
+      needsApproval: false,
+      difficulty: payload.previous.difficulty || null,
+      points: payload.previous.points || null,
+      approvalStatus: status,
+      notes: [
+        ...(Array.isArray(task.notes) ? task.notes : []),
+        {
+          text: `Raise to critical rejected by ${decider.name || ""}. Reason: ${reason}`,
+          type: "edit",
+          timestamp: now.toISOString(),
+          userId: decider.id,
+          userName: decider.name || "",
+        },
+      ],
+    };
+  }
+  const deleteReason = `Approval rejected: ${reason}`;
+  return {
+    status: DELETED_STATUS,
+    deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+    deletedBy: decider.id,
+    deletedByName: decider.name || "",
+    deleteReason,
+    approvalStatus: status,
+    notes: [
+      ...(Array.isArray(task.notes) ? task.notes : []),
+      {
+        text: `Task deleted on ${now.toLocaleDateString()} at ${now.toLocaleTimeString()} by ${decider.name || ""}. Reason: ${deleteReason}`,
+        type: "deletion",
+        timestamp: now.toISOString(),
+        userId: decider.id,
+        userName: decider.name || "",
+      },
+    ],
+  };
+}
+
+/**
+ * Approve or reject the current step of a request
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {string} params.decision - One of APPROVAL_DECISIONS
+ * @param {string} [params.reason] - Required to reject
+ * @param {Object} params.actor - The deciding user, with id
+ * @param {Object} deps
+ * @param {Object} deps.effects - { [type]: (request) => Promise<Object> } applying approved
+ *   points and voucher requests; the result is kept as the request's `outcome`
+ * @param {Function} [deps.sendPush]
+ * @param {Date} [deps.now]
+ * @returns {Promise<{status: string, currentStep: number, outcome: Object|null}>}
+ */
+async function decideApproval(db, {requestId, decision, reason = "", actor}, {effects = {}, sendPush = null, now = new Date()}) {
+  const chains = await loadApprovalChains();
+  const {APPROVAL_STATUSES, APPROVAL_DECISIONS} = chains;
+  if (!requestId) throw new HttpsError("invalid-argument", "requestId is required");
+
+  const requestRef = db.collection(REQUESTS_COLLECTION).doc(requestId);
+  const users = await listUsers(db);
+  const dateKey = chains.toApprovalDateKey(now);
+
+  // Works out the decision on a snapshot, or throws why it cannot be made.
+  // `held` is set once this call holds the request to apply it.
+  const decide = (snap, held = false) => {
+    if (!snap.exists) throw new HttpsError("not-found", "Approval request not found");
+    const request = snap.data();
+    if (request.status !== APPROVAL_STATUSES.PENDING) {
+      throw new HttpsError("failed-precondition", `This request was already ${request.status}`);
+    }
+    if (request.applying && !held) throw new HttpsError("aborted", "This request is being applied, try again shortly");
+    const right = chains.getDecisionRight(request, actor, users, dateKey);
+    if (!right) throw new HttpsError("permission-denied", "You cannot decide this request");
+    try {
+      const result = chains.applyDecision(request, {
+        decision,
+        reason,
+        decider: {id: actor.id, name: actor.name || ""},
+        onBehalfOf: right.onBehalfOf,
+        decidedAt: now.toISOString(),
+      });
+      return {request, right, result};
+    } catch (error) {
+      throw new HttpsError("invalid-argument", error.message);
+    }
+  };
+
+  const isTask = (request) => request.subject.kind === SUBJECT_KINDS.TASK;
+  const needsEffect = (request, result) => !isTask(request) && result.status === APPROVAL_STATUSES.APPROVED;
+
+  // Points and purchases run outside the decision's transaction, so the
+  // request is held while they do
+  const claimed = await db.runTransaction(async (tx) => {
+    const {request, result} = decide(await tx.get(requestRef));
+    if (!needsEffect(request, result)) return null;
+    if (!effects[request.type]) throw new HttpsError("unimplemented", `No action for ${request.type} approvals`);
+    tx.update(requestRef, {applying: true});
+    return request;
+  });
+
+  let outcome = null;
+  if (claimed) {
+    try {
+      outcome = await effects[claimed.type](claimed) || null;
+    } catch (error) {
+      await requestRef.update({applying: false});
+      throw error;
+    }
+  }
+
+  const decided = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(requestRef);
+    const {request, right, result} = decide(snap, Boolean(claimed));
+    const patch = {...result, applying: false, updatedAt: admin.firestore.FieldValue.serverTimestamp()};
+    if (claimed) patch.outcome = outcome;
+
+    if (isTask(request) && result.status !== APPROVAL_STATUSES.PENDING) {
+      const taskRef = db.collection("tasks").doc(request.subject.id);
+      const taskSnap = await tx.get(taskRef);
+      if (!taskSnap.exists || taskSnap.get("status") === DELETED_STATUS) {
+        patch.status = APPROVAL_STATUSES.CANCELLED;
+      } else {
+        tx.update(taskRef, buildTaskOutcome(taskSnap.data(), result.status, actor, reason.trim(), now, request.payload));
+      }
+    }
+    if (patch.status !== APPROVAL_STATUSES.PENDING) patch.decidedAt = admin.firestore.FieldValue.serverTimestamp();
+    tx.update(requestRef, patch);
+    return {request: {...request, ...patch}, right, stepIndex: request.currentStep};
+  });
+
+  const {request, right, stepIndex} = decided;
+  const step = request.steps[stepIndex];
+  await logApproval(db, decision === APPROVAL_DECISIONS.REJECT ? "reject_request" : "approve_request", requestId, request, actor, {
+    step: stepIndex + 1,
+    status: request.status,
+    reason: step.reason,
+    onBehalfOfId: right.onBehalfOf ? right.onBehalfOf.id : null,
+    onBehalfOfName: right.onBehalfOf ? right.onBehalfOf.name : null,
+  }, now);
+
+  if (request.status === APPROVAL_STATUSES.PENDING) {
+    await notifyDeciders(request, requestId, users, {sendPush, now});
+  } else if (sendPush && request.status !== APPROVAL_STATUSES.CANCELLED) {
+    const verdict = request.status === APPROVAL_STATUSES.APPROVED ? "approved" : `rejected: ${step.reason}`;
+    await sendPush("Approval decided", `${request.subject.title} was ${verdict}`, {
+      type: "approval_decided",
+      requestId,
+      approvalType: request.type,
+    }, [request.requestedById]);
+  }
+
+  return {status: request.status, currentStep: request.currentStep, outcome: request.outcome || null};
+}
+
+/**
+ * Withdraw a pending points or voucher request; only its requester may
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params - { requestId, actor }
+ * @param {Object} [deps] - { now }
+ * @returns {Promise<{status: string}>}
+ */
+async function cancelApproval(db, {requestId, actor}, {now = new Date()} = {}) {
+  const {APPROVAL_STATUSES} = await loadApprovalChains();
+  const requestRef = db.collection(REQUESTS_COLLECTION).doc(requestId || "-");
+
+  const request = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(requestRef);
+    if (!snap.exists) throw new HttpsError("not-found", "Approval request not found");
+    const current = snap.data();
+    if (current.requestedById !== actor.id) throw new HttpsError("permission-denied", "Only the requester can cancel");
+    if (current.subject.kind === SUBJECT_KINDS.TASK) {
+      throw new HttpsError("failed-precondition", "Delete the task to withdraw it");
+    }
+    if (current.status !== APPROVAL_STATUSES.PENDING || current.applying) {
+      throw new HttpsError("failed-precondition", "This request can no longer be cancelled");
+    }
+    const patch = {
+      status: APPROVAL_STATUSES.CANCELLED,
+      decidedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    tx.update(requestRef, patch);
+    return {...current, ...patch};
+  });
+
+  await logApproval(db, "cancel_request", requestRef.id, request, actor, {}, now);
+  return {status: request.status};
+}
+
+module.exports = {
+  REQUESTS_COLLECTION,
+  SUBJECT_KINDS,
+  openApprovalRequest,
+  isRaisedToCritical,
+  openTaskApproval,
+  buildTaskOutcome,
+  decideApproval,
+  cancelApproval,
+};
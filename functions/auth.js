@@ -0,0 +1,386 @@
+/**
+ * Authentication
+ *
+ * Users sign in with their user id and password through the
+ * `signInWithPassword` callable, which checks a salted scrypt hash and returns
+ * a Firebase Auth custom token whose uid is the `users` document id.
+ *
+ * Hashes live in the `userCredentials` collection, which clients can neither
+ * read nor write. Users created before this still carry a plaintext
+ * `password` field on their user document; it is hashed and removed the first
+ * time they sign in, by the `sweepLegacyPasswords` schedule, or in bulk via
+ * `migrateUserPasswords`.
+ *
+ * Failed sign-ins are counted per user and per client IP in `loginAttempts`
+ * (server-only too). Past a few failures the user or IP is locked out, for
+ * longer with each further failure.
+ *
+ * An admin password reset revokes the user's sessions. Firebase then stops
+ * refreshing their tokens, but an ID token already issued stays valid for up
+ * to an hour: callables turn it away in requireActor, while Firestore rules
+ * accept it until it expires.
+ */
+
+const crypto = require("crypto");
+const {promisify} = require("util");
+const admin = require("firebase-admin");
+const {HttpsError} = require("firebase-functions/v2/https");
+
+const scrypt = promisify(crypto.scrypt);
+
+const CREDENTIALS_COLLECTION = "userCredentials";
+const LOGIN_ATTEMPTS_COLLECTION = "loginAttempts";
+
+const AUTH_CONFIG = {
+  SESSION_DURATION_HOURS: 7 * 24, // Users sign in again after a week
+  MIN_PASSWORD_LENGTH: 8, // Applies to new passwords; legacy ones are migrated as-is
+  SCRYPT_KEY_LENGTH: 64,
+  SCRYPT_COST: 16384,
+  MAX_FAILED_ATTEMPTS_PER_USER: 5,
+  MAX_FAILED_ATTEMPTS_PER_IP: 20,
+  LOCKOUT_BASE_SECONDS: 30, // Doubles with each failure past the limit
+  LOCKOUT_MAX_SECONDS: 60 * 60,
+  FAILED_ATTEMPT_WINDOW_MINUTES: 60, // Failures are forgotten after this long without another
+};
+
+/**
+ * Hash a password with a random salt.
+ * @param {string} password
+ * @returns {Promise<Object>} Credential fields to store
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, AUTH_CONFIG.SCRYPT_KEY_LENGTH, {N: AUTH_CONFIG.SCRYPT_COST});
+  return {
+    algorithm: "scrypt",
+    cost: AUTH_CONFIG.SCRYPT_COST,
+    salt: salt.toString("base64"),
+    hash: hash.toString("base64"),
+  };
+}
+
+/**
+ * Check a password against a stored credential.
+ * @param {string} password
+ * @param {Object} credential - Output of hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, credential) {
+  if (!credential || credential.algorithm !== "scrypt" || typeof password !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(credential.hash, "base64");
+  const actual = await scrypt(password, Buffer.from(credential.salt, "base64"), expected.length, {
+    N: credential.cost || AUTH_CONFIG.SCRYPT_COST,
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compare digests so legacy plaintext checks take constant time
+const legacyPasswordMatches = (password, stored) => {
+  if (typeof password !== "string" || typeof stored !== "string" || stored.length === 0) return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(password), digest(stored));
+};
+
+/**
+ * Validate a new password chosen by an admin.
+ * @param {string} password
+ */
+function assertValidNewPassword(password) {
+  if (typeof password !== "string" || password.length < AUTH_CONFIG.MIN_PASSWORD_LENGTH) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Password must be at least ${AUTH_CONFIG.MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+}
+
+/**
+ * Custom claims carried by every session token. Rules and callables reject
+ * tokens whose sessionExpiresAt has passed, even if Firebase refreshed them.
+ * @param {Object} userData
+ * @param {number} [nowMs]
+ * @returns {Object}
+ */
+function buildSessionClaims(userData = {}, nowMs = Date.now()) {
+  return {
+    role: userData.role || "User",
+    sessionExpiresAt: nowMs + AUTH_CONFIG.SESSION_DURATION_HOURS * 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Whether a decoded token belongs to a live password session.
+ * @param {Object} token - request.auth.token
+ * @param {number} [nowMs]
+ * @returns {boolean}
+ */
+function isSessionActive(token, nowMs = Date.now()) {
+  return Boolean(token) && typeof token.sessionExpiresAt === "number" && token.sessionExpiresAt > nowMs;
+}
+
+/**
+ * Whether a token was issued before the user's sessions were revoked.
+ * @param {Object} token - request.auth.token
+ * @param {string} [tokensValidAfterTime] - From the user's Auth record
+ * @returns {boolean}
+ */
+function isTokenRevoked(token, tokensValidAfterTime) {
+  const validAfter = tokensValidAfterTime ? Date.parse(tokensValidAfterTime) : NaN;
+  if (Number.isNaN(validAfter)) return false;
+  return !token || typeof token.auth_time !== "number" || token.auth_time * 1000 < validAfter;
+}
+
+/**
+ * Load the signed-in user and check their role.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} request - Callable request
+ * @param {string} [actorId] - App user id the client claims to act as; must match the token
+ * @param {string[]} [allowedRoles] - Roles allowed to act; omit to allow any user
+ * @returns {Promise<Object>} Actor user data with id
+ */
+async function requireActor(db, request, actorId = null, allowedRoles = null) {
+  if (!request.auth || !isSessionActive(request.auth.token)) {
+    throw new HttpsError("unauthenticated", "Session expired, please sign in again");
+  }
+  if (actorId && actorId !== request.auth.uid) {
+    throw new HttpsError("permission-denied", "actorId does not match the signed-in user");
+  }
+
+  const {tokensValidAfterTime} = await admin.auth().getUser(request.auth.uid);
+  if (isTokenRevoked(request.auth.token, tokensValidAfterTime)) {
+    throw new HttpsError("unauthenticated", "Session ended, please sign in again");
+  }
+
+  const actorSnap = await db.collection("users").doc(request.auth.uid).get();
+  if (!actorSnap.exists) {
+    throw new HttpsError("permission-denied", "Unknown user");
+  }
+
+  const actor = {id: actorSnap.id, ...actorSnap.data()};
+  if (allowedRoles && !allowedRoles.includes(actor.role)) {
+    throw new HttpsError("permission-denied", "Insufficient role for this action");
+  }
+  return actor;
+}
+
+/**
+ * Store a new password hash for a user and drop any legacy plaintext copy.
+ * @returns {Promise<void>}
+ */
+async function storeCredential(db, userId, password, {actorId = null, migratedFromLegacy = false} = {}) {
+  const credential = await hashPassword(password);
+  const batch = db.batch();
+  batch.set(db.collection(CREDENTIALS_COLLECTION).doc(userId), {
+    ...credential,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: actorId,
+    migratedFromLegacy,
+  });
+  batch.update(db.collection("users").doc(userId), {
+    password: admin.firestore.FieldValue.delete(),
+    hasPassword: true,
+    passwordUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+}
+
+/**
+ * Lockout after a failed sign-in: none up to the limit, then
+ * LOCKOUT_BASE_SECONDS doubling with each further failure.
+ * @param {number} failures - Failures so far, including this one
+ * @param {number} limit - Failures allowed before locking out
+ * @returns {number} Milliseconds
+ */
+function getLockoutMs(failures, limit) {
+  if (failures < limit) return 0;
+  const seconds = AUTH_CONFIG.LOCKOUT_BASE_SECONDS * 2 ** Math.min(failures - limit, 16);
+  return Math.min(seconds, AUTH_CONFIG.LOCKOUT_MAX_SECONDS) * 1000;
+}
+
+/**
+ * Failures that still count, given when the last one happened.
+ * @param {Object} [attempts] - loginAttempts document data
+ * @param {number} nowMs
+ * @returns {number}
+ */
+function getRecentFailures(attempts, nowMs) {
+  if (!attempts || typeof attempts.lastFailureAt !== "number") return 0;
+  const windowMs = AUTH_CONFIG.FAILED_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+  return nowMs - attempts.lastFailureAt > windowMs ? 0 : attempts.failures || 0;
+}
+
+// Attempt counters for a sign-in. IPs are stored hashed.
+const getAttemptCounters = (db, userId, ip) => {
+  const counters = [];
+  if (userId) {
+    counters.push({ref: db.collection(LOGIN_ATTEMPTS_COLLECTION).doc(`user_${userId}`), limit: AUTH_CONFIG.MAX_FAILED_ATTEMPTS_PER_USER});
+  }
+  if (ip) {
+    const ipHash = crypto.createHash("sha256").update(ip).digest("hex");
+    counters.push({ref: db.collection(LOGIN_ATTEMPTS_COLLECTION).doc(`ip_${ipHash}`), limit: AUTH_CONFIG.MAX_FAILED_ATTEMPTS_PER_IP});
+  }
+  return counters;
+};
+
+// Refuse sign-in while the user or the IP is locked out
+async function assertNotLockedOut(counters, nowMs) {
+  const snaps = await Promise.all(counters.map((counter) => counter.ref.get()));
+  const lockedUntil = Math.max(0, ...snaps.map((snap) => (snap.exists && snap.get("lockedUntil")) || 0));
+  if (lockedUntil > nowMs) {
+    const minutes = Math.ceil((lockedUntil - nowMs) / 60000);
+    throw new HttpsError("resource-exhausted", `Too many failed attempts, try again in ${minutes} minute(s)`, {
+      retryAfterMinutes: minutes,
+    });
+  }
+}
+
+// Count a failure on every counter and lock out those past their limit
+async function recordFailedAttempt(db, counters, nowMs) {
+  await Promise.all(counters.map((counter) => db.runTransaction(async (tx) => {
+    const snap = await tx.get(counter.ref);
+    const failures = getRecentFailures(snap.exists ? snap.data() : null, nowMs) + 1;
+    tx.set(counter.ref, {
+      failures,
+      lastFailureAt: nowMs,
+      lockedUntil: nowMs + getLockoutMs(failures, counter.limit),
+    });
+  })));
+}
+
+/**
+ * Verify a user's password and issue a custom token for them.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {admin.auth.Auth} auth
+ * @param {string} userId
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string} [options.ip] - Client IP, throttled alongside the user
+ * @param {number} [options.nowMs]
+ * @returns {Promise<Object>} { token, sessionExpiresAt }
+ */
+async function signInWithPassword(db, auth, userId, password, {ip = null, nowMs = Date.now()} = {}) {
+  const invalid = () => new HttpsError("unauthenticated", "Invalid user or password");
+  if (!userId || typeof userId !== "string" || typeof password !== "string" || password.length === 0) {
+    throw invalid();
+  }
+
+  const [userSnap, credentialSnap] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    db.collection(CREDENTIALS_COLLECTION).doc(userId).get(),
+  ]);
+  // Unknown user ids only count against the IP, so guesses cannot fill the collection
+  const counters = getAttemptCounters(db, userSnap.exists ? userId : null, ip);
+  await assertNotLockedOut(counters, nowMs);
+  if (!userSnap.exists) {
+    await recordFailedAttempt(db, counters, nowMs);
+    throw invalid();
+  }
+
+  const userData = userSnap.data() || {};
+  let isValid = false;
+  if (credentialSnap.exists) {
+    isValid = await verifyPassword(password, credentialSnap.data());
+  } else if (legacyPasswordMatches(password, userData.password)) {
+    await storeCredential(db, userId, password, {actorId: userId, migratedFromLegacy: true});
+    isValid = true;
+  }
+  if (!isValid) {
+    await recordFailedAttempt(db, counters, nowMs);
+    throw invalid();
+  }
+
+  // The IP counter is kept, so one working account does not reset it
+  await counters[0].ref.delete();
+
+  const claims = buildSessionClaims(userData);
+  const token = await auth.createCustomToken(userId, claims);
+  await db.collection("users").doc(userId).update({
+    lastLoginAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {token, sessionExpiresAt: claims.sessionExpiresAt};
+}
+
+/**
+ * Admin password reset. Existing sessions for the user are revoked (see the
+ * note at the top on tokens already issued).
+ * @returns {Promise<void>}
+ */
+async function resetUserPassword(db, auth, userId, password, actorId) {
+  assertValidNewPassword(password);
+  const userSnap = await db.collection("users").doc(userId).get();
+  if (!userSnap.exists) {
+    throw new HttpsError("not-found", "User not found");
+  }
+
+  await storeCredential(db, userId, password, {actorId});
+  try {
+    await auth.revokeRefreshTokens(userId);
+  } catch (error) {
+    // The Auth user only exists once they have signed in
+    if (error.code !== "auth/user-not-found") throw error;
+  }
+}
+
+/**
+ * Hash every remaining plaintext password.
+ * @returns {Promise<Object>} { migrated, skipped }
+ */
+async function migrateLegacyPasswords(db) {
+  const usersSnapshot = await db.collection("users").where("password", "!=", null).get();
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const userDoc of usersSnapshot.docs) {
+    const {password} = userDoc.data();
+    if (typeof password !== "string" || password.length === 0) {
+      skipped++;
+      continue;
+    }
+    const credentialSnap = await db.collection(CREDENTIALS_COLLECTION).doc(userDoc.id).get();
+    if (credentialSnap.exists) {
+      // Already migrated; just remove the stale plaintext copy
+      await userDoc.ref.update({password: admin.firestore.FieldValue.delete()});
+    } else {
+      await storeCredential(db, userDoc.id, password, {migratedFromLegacy: true});
+    }
+    migrated++;
+  }
+
+  return {migrated, skipped};
+}
+
+/**
+ * Names shown on the login screen, before anyone is signed in.
+ * @returns {Promise<Array>} [{ id, name }]
+ */
+async function getLoginDirectory(db) {
+  const snapshot = await db.collection("users").get();
+
+  return snapshot.docs
+      .map((doc) => {
+        const data = doc.data();
+        return {id: doc.id, name: data.name || data.username || data.email || doc.id};
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  CREDENTIALS_COLLECTION,
+  LOGIN_ATTEMPTS_COLLECTION,
+  AUTH_CONFIG,
+  hashPassword,
+  verifyPassword,
+  buildSessionClaims,
+  isSessionActive,
+  isTokenRevoked,
+  getLockoutMs,
+  getRecentFailures,
+  requireActor,
+  signInWithPassword,
+  resetUserPassword,
+  migrateLegacyPasswords,
+  getLoginDirectory,
+};
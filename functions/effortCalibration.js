@@ -0,0 +1,245 @@
+/**
+ * Effort calibration
+ *
+ * Every week the calibrateEffortEstimates Cloud Function looks at the tasks
+ * completed in the last `windowDays` and, per department and difficulty,
+ * works out how long they really took (tracked work time, else start to
+ * completion; see getTaskHoursTaken in the points engine). The result is
+ * kept on the department document:
+ *   effortCalibration: {
+ *     computedAt, windowDays,
+ *     difficulties: { [difficulty]: { sampleSize, trackedCount, p25Hours,
+ *                                     medianHours, p75Hours, p90Hours, suggestedHours } },
+ *     expectations: { [difficulty]: hours }, // applied, stamped on new tasks
+ *     autoApply, appliedAt, appliedByName,
+ *   }
+ * The suggestion is the median, once there are at least `minSamples`
+ * completions. Admins apply suggestions in the Admin panel, or turn on
+ * `autoApply` to have every run apply them. R&D/New Skill tasks are left out,
+ * as they get no difficulty fairness points.
+ */
+
+const admin = require("firebase-admin");
+
+const loadPointsEngine = () => import("./shared/pointsEngine.mjs");
+
+const COMPLETE_STATUS = "Complete";
+const DIFFICULTIES = ["easy", "medium", "hard", "critical"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+// Matches EFFORT_CALIBRATION in src/shared/constants.js
+const EFFORT_CALIBRATION = {
+  windowDays: 90,
+  minSamples: 5,
+};
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (typeof value.seconds === "number") return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+const twoDecimals = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Round a suggestion to something a person would say: quarter hours under
+ * an hour, half hours under a day, whole hours above
+ * @param {number} hours
+ * @returns {number}
+ */
+function roundHours(hours) {
+  if (hours < 1) return Math.max(0.25, roundTo(hours, 0.25));
+  if (hours < 24) return roundTo(hours, 0.5);
+  return Math.round(hours);
+}
+
+/**
+ * Linear-interpolated percentile of an ascending list
+ * @param {number[]} sorted
+ * @param {number} p - 0 to 1
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Distribution of the hours a set of tasks took
+ * @param {Array<{hours: number, tracked: boolean}>} samples
+ * @param {Object} [options]
+ * @param {number} [options.minSamples]
+ * @returns {Object} { sampleSize, trackedCount, p25Hours, medianHours, p75Hours, p90Hours, suggestedHours }
+ */
+function summarizeDurations(samples, {minSamples = EFFORT_CALIBRATION.minSamples} = {}) {
+  const sorted = samples.map((sample) => sample.hours).sort((a, b) => a - b);
+  const stat = (p) => (sorted.length > 0 ? twoDecimals(percentile(sorted, p)) : null);
+  const medianHours = stat(0.5);
+  return {
+    sampleSize: sorted.length,
+    trackedCount: samples.filter((sample) => sample.tracked).length,
+    p25Hours: stat(0.25),
+    medianHours,
+    p75Hours: stat(0.75),
+    p90Hours: stat(0.9),
+    suggestedHours: sorted.length >= minSamples ? roundHours(medianHours) : null,
+  };
+}
+
+/**
+ * Durations per department and difficulty of the tasks completed in the window
+ * @param {Array} tasks
+ * @param {Function} getTaskHoursTaken - From the points engine
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {number} [options.windowDays]
+ * @param {number} [options.minSamples]
+ * @param {string[]} [options.departmentIds] - Departments to include; those of the tasks by default
+ * @returns {Object} { [departmentId]: { [difficulty]: summary } }, every difficulty present
+ */
+function calibrateDepartments(tasks, getTaskHoursTaken, {
+  now,
+  windowDays = EFFORT_CALIBRATION.windowDays,
+  minSamples = EFFORT_CALIBRATION.minSamples,
+  departmentIds = [...new Set(tasks.map((task) => task.departmentId).filter(Boolean))],
+}) {
+  const since = new Date(now.getTime() - windowDays * DAY_MS);
+  const samples = new Map();
+
+  tasks.forEach((task) => {
+    const completedAt = toDate(task.completedAt);
+    const difficulty = typeof task.difficulty === "string" ? task.difficulty.toLowerCase() : "";
+    if (task.status !== COMPLETE_STATUS || task.isRdNewSkill || !task.departmentId) return;
+    if (!completedAt || completedAt < since || completedAt > now || !DIFFICULTIES.includes(difficulty)) return;
+
+    const hours = getTaskHoursTaken(task);
+    if (!(hours > 0)) return;
+
+    const key = `${task.departmentId}/${difficulty}`;
+    if (!samples.has(key)) samples.set(key, []);
+    samples.get(key).push({hours, tracked: task.workedMinutes > 0});
+  });
+
+  return Object.fromEntries(departmentIds.map((departmentId) => [
+    departmentId,
+    Object.fromEntries(DIFFICULTIES.map((difficulty) => [
+      difficulty,
+      summarizeDurations(samples.get(`${departmentId}/${difficulty}`) || [], {minSamples}),
+    ])),
+  ]));
+}
+
+/**
+ * The new effortCalibration for a department. Applied expectations and the
+ * auto-apply setting are kept; with auto-apply on, suggestions replace them.
+ * @param {Object} current - The department's effortCalibration, if any
+ * @param {Object} difficulties - From calibrateDepartments
+ * @param {Object} options
+ * @param {*} options.stamp - Stored as computedAt (and appliedAt when applying)
+ * @param {number} [options.windowDays]
+ * @returns {Object}
+ */
+function buildEffortCalibration(current, difficulties, {stamp, windowDays = EFFORT_CALIBRATION.windowDays}) {
+  const calibration = {
+    expectations: {},
+    autoApply: false,
+    appliedAt: null,
+    appliedByName: null,
+    ...(current || {}),
+    computedAt: stamp,
+    windowDays,
+    difficulties,
+  };
+
+  const suggestions = Object.entries(difficulties).filter(([, summary]) => summary.suggestedHours !== null);
+  if (calibration.autoApply && suggestions.length > 0) {
+    calibration.expectations = {
+      ...calibration.expectations,
+      ...Object.fromEntries(suggestions.map(([difficulty, summary]) => [difficulty, summary.suggestedHours])),
+    };
+    calibration.appliedAt = stamp;
+    calibration.appliedByName = "Automatic";
+  }
+  return calibration;
+}
+
+/**
+ * Recalibrate every department and log the run to `activityLog`
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.actor] - User who asked for the run; the schedule otherwise
+ * @returns {Promise<{departments: number, samples: number, applied: string[]}>}
+ */
+async function runEffortCalibration(db, {now = new Date(), actor = null} = {}) {
+  const {getTaskHoursTaken} = await loadPointsEngine();
+  const since = admin.firestore.Timestamp.fromDate(new Date(now.getTime() - EFFORT_CALIBRATION.windowDays * DAY_MS));
+
+  const [departmentsSnap, tasksSnap] = await Promise.all([
+    db.collection("departments").get(),
+    db.collection("tasks").where("completedAt", ">=", since).get(),
+  ]);
+
+  const byDepartment = calibrateDepartments(tasksSnap.docs.map((d) => d.data()), getTaskHoursTaken, {
+    now,
+    departmentIds: departmentsSnap.docs.map((d) => d.id),
+  });
+  const stamp = admin.firestore.Timestamp.fromDate(now);
+  const result = {departments: 0, samples: 0, applied: []};
+
+  const batch = db.batch();
+  departmentsSnap.docs.forEach((departmentDoc) => {
+    const difficulties = byDepartment[departmentDoc.id];
+    const current = departmentDoc.get("effortCalibration");
+    const calibration = buildEffortCalibration(current, difficulties, {stamp});
+
+    batch.update(departmentDoc.ref, {effortCalibration: calibration});
+    result.departments++;
+    result.samples += Object.values(difficulties).reduce((sum, summary) => sum + summary.sampleSize, 0);
+    if (calibration.appliedAt === stamp) result.applied.push(departmentDoc.id);
+  });
+  await batch.commit();
+
+  await db.collection("activityLog").add({
+    action: "calibrate_effort",
+    entityType: "department",
+    entityId: "all",
+    entityName: "Effort calibration",
+    userId: actor ? actor.id : "system",
+    userName: actor ? actor.name || "" : "System",
+    details: {
+      systemEvent: !actor,
+      windowDays: EFFORT_CALIBRATION.windowDays,
+      departments: result.departments,
+      samples: result.samples,
+      appliedDepartmentIds: result.applied,
+    },
+    location: null,
+    // Same IST-shifted ISO format the app writes, so the log sorts consistently
+    timestamp: new Date(now.getTime() + IST_OFFSET_MS).toISOString(),
+    serverTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return result;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  EFFORT_CALIBRATION,
+  roundHours,
+  percentile,
+  summarizeDurations,
+  calibrateDepartments,
+  buildEffortCalibration,
+  runEffortCalibration,
+};
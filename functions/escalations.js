@@ -0,0 +1,271 @@
+/**
+ * SLA Escalations
+ *
+ * Open tasks that are overdue (past `targetDate`) or stuck (Pending for too
+ * long) are escalated one step at a time:
+ *   1. reminder to the assignees
+ *   2. the department heads
+ *   3. Management
+ * Each department can override the thresholds with `escalationPolicy` on its
+ * document (edited in the Admin panel). The current step is kept on the task
+ * as `escalation: {level, reason, lastEscalatedAt}` and cleared once the task
+ * is no longer overdue or stuck. Every step is written to `activityLog`.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+// Tasks still being worked on or waiting for review (STATUSES in
+// src/shared/constants.js); shared with the weekly reports
+const OPEN_TASK_STATUSES = ["Pending", "Ongoing", "Pending Review"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+const ESCALATION_REASONS = {
+  OVERDUE: "overdue",
+  STUCK_PENDING: "stuck_pending",
+};
+
+const ESCALATION_LEVELS = {
+  ASSIGNEE: 1,
+  HEAD: 2,
+  MANAGEMENT: 3,
+};
+
+// Matches DEFAULT_ESCALATION_POLICY in src/shared/constants.js
+const DEFAULT_ESCALATION_POLICY = {
+  enabled: true,
+  pendingDays: 3, // 0 turns off stuck-Pending escalation
+  overdueGraceHours: 0,
+  stepIntervalHours: 24,
+  maxLevel: ESCALATION_LEVELS.MANAGEMENT,
+};
+
+const toNumber = (value, fallback, min, max) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Department policy with defaults filled in and values clamped
+ * @param {Object} [policy]
+ * @returns {Object}
+ */
+function normalizeEscalationPolicy(policy = {}) {
+  const merged = {...DEFAULT_ESCALATION_POLICY, ...(policy || {})};
+  return {
+    enabled: merged.enabled !== false,
+    pendingDays: toNumber(merged.pendingDays, DEFAULT_ESCALATION_POLICY.pendingDays, 0, 365),
+    overdueGraceHours: toNumber(merged.overdueGraceHours, DEFAULT_ESCALATION_POLICY.overdueGraceHours, 0, 24 * 30),
+    stepIntervalHours: toNumber(merged.stepIntervalHours, DEFAULT_ESCALATION_POLICY.stepIntervalHours, 1, 24 * 30),
+    maxLevel: Math.round(toNumber(merged.maxLevel, DEFAULT_ESCALATION_POLICY.maxLevel,
+      ESCALATION_LEVELS.ASSIGNEE, ESCALATION_LEVELS.MANAGEMENT)),
+  };
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (typeof value.seconds === "number") return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * End of the task's target day in IST. Target dates are stored as
+ * "YYYY-MM-DD" (or an ISO string for scheduled tasks).
+ * @param {*} targetDate
+ * @returns {Date|null}
+ */
+function getTaskDeadline(targetDate) {
+  if (!targetDate) return null;
+  let day = typeof targetDate === "string" && /^\d{4}-\d{2}-\d{2}$/.test(targetDate) ? targetDate : null;
+  if (!day) {
+    const date = toDate(targetDate);
+    if (!date) return null;
+    day = new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+  return new Date(`${day}T23:59:59.999+05:30`);
+}
+
+/**
+ * Why a task needs escalating, or null when it doesn't
+ * @param {Object} task
+ * @param {Object} policy - Normalized policy
+ * @param {Date} now
+ * @returns {string|null} One of ESCALATION_REASONS
+ */
+function getEscalationReason(task, policy, now) {
+  if (!OPEN_TASK_STATUSES.includes(task.status)) return null;
+
+  const deadline = getTaskDeadline(task.targetDate);
+  if (deadline && now.getTime() - deadline.getTime() >= policy.overdueGraceHours * HOUR_MS) {
+    return ESCALATION_REASONS.OVERDUE;
+  }
+
+  const createdAt = toDate(task.createdAt);
+  if (task.status === "Pending" && policy.pendingDays > 0 && createdAt &&
+      now.getTime() - createdAt.getTime() >= policy.pendingDays * DAY_MS) {
+    return ESCALATION_REASONS.STUCK_PENDING;
+  }
+  return null;
+}
+
+/**
+ * The next escalation step for a task, or null when nothing is due yet.
+ * A new reason starts again from the assignee reminder.
+ * @param {Object} task
+ * @param {Object} policy - Normalized policy
+ * @param {Date} now
+ * @returns {{level: number, reason: string}|null}
+ */
+function getNextEscalation(task, policy, now) {
+  if (!policy.enabled) return null;
+  const reason = getEscalationReason(task, policy, now);
+  if (!reason) return null;
+
+  const current = task.escalation && task.escalation.reason === reason ? task.escalation : null;
+  if (!current) return {level: ESCALATION_LEVELS.ASSIGNEE, reason};
+  if (current.level >= policy.maxLevel) return null;
+
+  const lastEscalatedAt = toDate(current.lastEscalatedAt);
+  if (lastEscalatedAt && now.getTime() - lastEscalatedAt.getTime() < policy.stepIntervalHours * HOUR_MS) {
+    return null;
+  }
+  return {level: current.level + 1, reason};
+}
+
+function getAssigneeIds(task) {
+  const ids = Array.isArray(task.assignedUserIds) ? [...task.assignedUserIds] : [];
+  if (task.assignedUserId) ids.push(task.assignedUserId);
+  return [...new Set(ids.filter(Boolean))];
+}
+
+function buildEscalationMessage(task, {level, reason}) {
+  const title = task.title || "Untitled task";
+  const problem = reason === ESCALATION_REASONS.OVERDUE ? "is overdue" : "has been pending too long";
+  if (level === ESCALATION_LEVELS.ASSIGNEE) {
+    return {title: "⏰ Task reminder", body: `"${title}" ${problem}. Please update it.`};
+  }
+  const audience = level === ESCALATION_LEVELS.HEAD ? "department head" : "Management";
+  return {title: `⚠️ Escalated to ${audience}`, body: `"${title}" ${problem}.`};
+}
+
+async function getManagementIds(db) {
+  const snap = await db.collection("users").where("role", "==", "Management").get();
+  return snap.docs.map((d) => d.id);
+}
+
+async function logEscalation(db, taskId, task, escalation, recipientIds, now) {
+  await db.collection("activityLog").add({
+    action: "escalate",
+    entityType: "task",
+    entityId: taskId,
+    entityName: task.title || "",
+    userId: "system",
+    userName: "System",
+    details: {
+      systemEvent: true,
+      level: escalation.level,
+      reason: escalation.reason,
+      taskStatus: task.status,
+      departmentId: task.departmentId || null,
+      recipientIds,
+    },
+    location: null,
+    // Same IST-shifted ISO format the app writes, so the log sorts consistently
+    timestamp: new Date(now.getTime() + IST_OFFSET_MS).toISOString(),
+    serverTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Check every open task and send the escalations that are due
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} deps
+ * @param {Function} deps.sendPush - (title, body, data, userIds) => Promise
+ * @param {Function} deps.getDepartmentHeadIds - (departmentId) => Promise<string[]>
+ * @param {Date} [deps.now]
+ * @returns {Promise<{checked: number, escalated: number, cleared: number}>}
+ */
+async function runEscalations(db, {sendPush, getDepartmentHeadIds, now = new Date()}) {
+  const departmentsSnap = await db.collection("departments").get();
+  const policies = new Map(departmentsSnap.docs.map((d) => [d.id, normalizeEscalationPolicy(d.get("escalationPolicy"))]));
+  const defaultPolicy = normalizeEscalationPolicy();
+
+  let managementIds = null;
+  const recipientsForLevel = async (task, level) => {
+    if (level === ESCALATION_LEVELS.ASSIGNEE) return getAssigneeIds(task);
+    if (level === ESCALATION_LEVELS.HEAD) return getDepartmentHeadIds(task.departmentId);
+    if (!managementIds) managementIds = await getManagementIds(db);
+    return managementIds;
+  };
+
+  const result = {checked: 0, escalated: 0, cleared: 0};
+
+  const snap = await db.collection("tasks").where("status", "in", OPEN_TASK_STATUSES).get();
+
+  for (const taskDoc of snap.docs) {
+    const task = taskDoc.data();
+    const policy = policies.get(task.departmentId) || defaultPolicy;
+    result.checked++;
+
+    try {
+      if (task.escalation && !getEscalationReason(task, policy, now)) {
+        await taskDoc.ref.update({escalation: admin.firestore.FieldValue.delete()});
+        result.cleared++;
+        continue;
+      }
+
+      let escalation = getNextEscalation(task, policy, now);
+      if (!escalation) continue;
+
+      // Nobody to tell at this level (e.g. no head): move straight on to the next one
+      let recipientIds = await recipientsForLevel(task, escalation.level);
+      while (recipientIds.length === 0 && escalation.level < policy.maxLevel) {
+        escalation = {...escalation, level: escalation.level + 1};
+        recipientIds = await recipientsForLevel(task, escalation.level);
+      }
+
+      if (recipientIds.length > 0) {
+        const {title, body} = buildEscalationMessage(task, escalation);
+        await sendPush(title, body, {
+          taskId: taskDoc.id,
+          type: "task_escalation",
+          level: String(escalation.level),
+          reason: escalation.reason,
+        }, recipientIds);
+      }
+
+      await taskDoc.ref.update({
+        escalation: {
+          level: escalation.level,
+          reason: escalation.reason,
+          lastEscalatedAt: admin.firestore.Timestamp.fromDate(now),
+        },
+      });
+      await logEscalation(db, taskDoc.id, task, escalation, recipientIds, now);
+      result.escalated++;
+    } catch (error) {
+      logger.error(`Error escalating task ${taskDoc.id}:`, error);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  OPEN_TASK_STATUSES,
+  ESCALATION_REASONS,
+  ESCALATION_LEVELS,
+  DEFAULT_ESCALATION_POLICY,
+  normalizeEscalationPolicy,
+  getTaskDeadline,
+  getEscalationReason,
+  getNextEscalation,
+  runEscalations,
+};
@@ -9,7 +9,7 @@
 
 const {setGlobalOptions} = require("firebase-functions");
 const {onRequest} = require("firebase-functions/https");
-const {onDocumentCreated, onDocumentUpdated} = require("firebase-functions/v2/firestore");
+const {onDocumentCreated, onDocumentUpdated, onDocumentWritten} = require("firebase-functions/v2/firestore");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
 const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
@@ -18,6 +18,10 @@ const { HttpsError } = require("firebase-functions/v2/https");
 
 const { PWAAnalyticsProcessor } = require('./pwaAnalyticsProcessor');
 
+// Points engine is an ES module shared with the web app (see scripts/syncSharedModules.js)
+const loadPointsEngine = () => import("./shared/pointsEngine.mjs");
+const loadApprovalChains = () => import("./shared/approvalChains.mjs");
+
 // Initialize Firebase Admin
 admin.initializeApp();
 
@@ -206,7 +210,8 @@ exports.onTaskCreated = onDocumentCreated('tasks/{taskId}', async (event) => {
   const task = event.data.data();
   const taskId = event.params.taskId;
   
-  if (!task) return;
+  // Copied from the legacy `Tasks` collection by scripts/consolidateCollections.js, not new
+  if (!task || task.migratedFrom) return;
   
   try {
     const assignedUserIds = Array.isArray(task.assignedUserIds)
@@ -215,16 +220,8 @@ exports.onTaskCreated = onDocumentCreated('tasks/{taskId}', async (event) => {
         ? [task.assignedUserIds]
         : [];
     const observerIds = Array.isArray(task.observerIds) ? task.observerIds : [];
-    let targetUserIds = [...new Set([...assignedUserIds, ...observerIds])];
-
-    // If self-assigned and needs approval, notify department heads for approval
-    const isSelfAssigned = assignedUserIds.includes(task.assignedById);
-    if (task.needsApproval && isSelfAssigned) {
-      const headIds = await getDepartmentHeadIds(task.departmentId);
-      if (headIds.length) {
-        targetUserIds = [...new Set([...targetUserIds, ...headIds])];
-      }
-    }
+    // Approvers are notified by openTaskApprovals
+    const targetUserIds = [...new Set([...assignedUserIds, ...observerIds])];
 
     if (targetUserIds.length === 0) {
       logger.info(`No target users for new task ${taskId}, skipping push`);
@@ -258,8 +255,35 @@ exports.onTaskStatusChanged = onDocumentUpdated('tasks/{taskId}', async (event)
   
   try {
     let title, body, data;
+    const assignedUserIds = Array.isArray(after.assignedUserIds)
+      ? after.assignedUserIds
+      : after.assignedUserIds
+        ? [after.assignedUserIds]
+        : [];
+    const observerIds = Array.isArray(after.observerIds) ? after.observerIds : [];
+    let targetUserIds = [...new Set([...assignedUserIds, ...observerIds])];
     
-    if (after.status === 'Complete') {
+    if (after.status === "Pending Review") {
+      // Only the people who sign the work off, not the ones who did it
+      title = "Task Ready for Review";
+      body = `Task: ${after.title}`;
+      data = {
+        type: "task_review_requested",
+        taskId: taskId,
+        title: after.title
+      };
+      targetUserIds = [...new Set([after.assignedById, ...observerIds])]
+        .filter((id) => id && !assignedUserIds.includes(id));
+    } else if (before.status === "Pending Review" && after.status === "Ongoing") {
+      title = "Task Sent Back";
+      body = `Task: ${after.title}`;
+      data = {
+        type: "task_sent_back",
+        taskId: taskId,
+        title: after.title
+      };
+      targetUserIds = assignedUserIds;
+    } else if (after.status === 'Complete') {
       title = 'Task Completed';
       body = `Task: ${after.title}`;
       data = {
@@ -278,14 +302,6 @@ exports.onTaskStatusChanged = onDocumentUpdated('tasks/{taskId}', async (event)
     }
     
     if (title && body) {
-      const assignedUserIds = Array.isArray(after.assignedUserIds)
-        ? after.assignedUserIds
-        : after.assignedUserIds
-          ? [after.assignedUserIds]
-          : [];
-      const observerIds = Array.isArray(after.observerIds) ? after.observerIds : [];
-      const targetUserIds = [...new Set([...assignedUserIds, ...observerIds])];
-
       if (targetUserIds.length === 0) {
         logger.info(`No target users for status change on task ${taskId}, skipping push`);
         return;
@@ -305,7 +321,7 @@ exports.onRequestCreated = onDocumentCreated('tasks/{taskId}', async (event) =>
   const task = event.data.data();
   const taskId = event.params.taskId;
   
-  if (!task || !task.isRequest) return;
+  if (!task || !task.isRequest || task.migratedFrom) return;
   
   try {
     const assignedUserIds = Array.isArray(task.assignedUserIds)
@@ -338,148 +354,43 @@ exports.onRequestCreated = onDocumentCreated('tasks/{taskId}', async (event) =>
   }
 });
 
-const SCHEDULED_WEEKDAY_INDEX = {
-  sunday: 0,
-  monday: 1,
-  tuesday: 2,
-  wednesday: 3,
-  thursday: 4,
-  friday: 5,
-  saturday: 6,
-};
+// Scheduled (recurring) tasks
+// Occurrences get deterministic task ids, so the cron, the HTTP endpoint and
+// retries can overlap without creating duplicates.
+const scheduledTasks = require("./scheduledTasks");
 
-const MONTHLY_WEEK_INDEX = {
-  first: 0,
-  second: 1,
-  third: 2,
-  fourth: 3,
-};
-
-function normalizeScheduleDate(value) {
-  if (!value) return null;
-  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : new Date(value);
-  if (typeof value.toDate === 'function') return value.toDate();
-  if (typeof value.seconds === 'number') {
-    return new Date(value.seconds * 1000 + (value.nanoseconds || 0) / 1000000);
-  }
-  if (typeof value === 'string') {
-    const normalizedValue = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value;
-    const parsed = new Date(normalizedValue);
-    return Number.isNaN(parsed.getTime()) ? null : parsed;
-  }
-  return null;
-}
+async function runScheduledTaskProcessing() {
+  const result = await scheduledTasks.processDueScheduledTasks(admin.firestore());
 
-function getDaysInMonth(year, monthIndex) {
-  return new Date(year, monthIndex + 1, 0).getDate();
-}
-
-function getNthWeekdayOfMonth(year, monthIndex, weekdayName, weekdayOrder) {
-  const targetDayIndex = SCHEDULED_WEEKDAY_INDEX[weekdayName];
-  if (targetDayIndex === undefined) return null;
-
-  if (weekdayOrder === 'last') {
-    const lastDayOfMonth = new Date(year, monthIndex + 1, 0);
-    const offset = (lastDayOfMonth.getDay() - targetDayIndex + 7) % 7;
-    return new Date(year, monthIndex, lastDayOfMonth.getDate() - offset);
-  }
-
-  const firstDayOfMonth = new Date(year, monthIndex, 1);
-  const daysUntilTarget = (targetDayIndex - firstDayOfMonth.getDay() + 7) % 7;
-  const weekOffset = MONTHLY_WEEK_INDEX[weekdayOrder] ?? 0;
-  const dayOfMonth = 1 + daysUntilTarget + (weekOffset * 7);
-  const daysInMonth = getDaysInMonth(year, monthIndex);
-
-  if (dayOfMonth > daysInMonth) return null;
-  return new Date(year, monthIndex, dayOfMonth);
-}
-
-function getMonthlyOccurrenceForDate(recurrencePattern, year, monthIndex) {
-  if (recurrencePattern.monthlyType === 'weekday') {
-    return getNthWeekdayOfMonth(
-      year,
-      monthIndex,
-      recurrencePattern.monthlyWeekdayName,
-      recurrencePattern.monthlyWeekday
-    );
-  }
-
-  const dayOfMonth = Math.max(1, recurrencePattern.monthlyDay || 1);
-  const safeDay = Math.min(dayOfMonth, getDaysInMonth(year, monthIndex));
-  return new Date(year, monthIndex, safeDay);
-}
-
-// Helper function to calculate next occurrence date based on recurrence pattern
-function calculateNextOccurrence(recurrencePattern, lastOccurrence) {
-  const lastDate = normalizeScheduleDate(lastOccurrence);
-  if (!lastDate || !recurrencePattern) return null;
-
-  const nextDate = new Date(lastDate);
-  
-  switch (recurrencePattern.type) {
-    case 'daily':
-      nextDate.setDate(lastDate.getDate() + Math.max(1, recurrencePattern.interval || 1));
-      return nextDate;
-    case 'weekly': {
-      const weekdays = recurrencePattern.weekdays || ['monday'];
-      const interval = Math.max(1, recurrencePattern.interval || 1);
-
-      for (let i = 1; i <= 7 * interval; i += 1) {
-        const candidate = new Date(lastDate);
-        candidate.setDate(lastDate.getDate() + i);
-        const weekdayName = Object.keys(SCHEDULED_WEEKDAY_INDEX).find(
-          (key) => SCHEDULED_WEEKDAY_INDEX[key] === candidate.getDay()
-        );
-        if (weekdayName && weekdays.includes(weekdayName)) {
-          return candidate;
-        }
-      }
-
-      nextDate.setDate(lastDate.getDate() + (7 * interval));
-      return nextDate;
-    }
-    case 'monthly': {
-      if (recurrencePattern.monthlyType === 'regenerate') {
-        return null;
-      }
-
-      const interval = Math.max(1, recurrencePattern.interval || 1);
-      const candidateMonth = new Date(lastDate.getFullYear(), lastDate.getMonth() + interval, 1);
-      return getMonthlyOccurrenceForDate(
-        recurrencePattern,
-        candidateMonth.getFullYear(),
-        candidateMonth.getMonth()
-      );
+  for (const task of result.created) {
+    try {
+      await sendPushNotificationToAll("New Recurring Task", `${task.title} (Recurring)`, {
+        type: "recurring_task",
+        taskId: task.id,
+        title: task.title,
+      }, task.targetUserIds);
+    } catch (error) {
+      logger.error(`Error sending notification for recurring task ${task.id}:`, error);
     }
-    case 'yearly':
-      nextDate.setFullYear(lastDate.getFullYear() + Math.max(1, recurrencePattern.interval || 1));
-      return nextDate;
-    default:
-      return null;
   }
+
+  logger.info(`Scheduled tasks: ${result.schedules} due, ${result.created.length} task(s) created, ${result.failed} failed`);
+  return result;
 }
 
-// Helper function to check if recurrence should end
-function shouldEndRecurrence(recurrencePattern, occurrenceCount, currentDate) {
-  if (!recurrencePattern.range) return false;
-  
-  switch (recurrencePattern.range.type) {
-    case 'end_by':
-      if (recurrencePattern.range.endDate) {
-        return currentDate > new Date(recurrencePattern.range.endDate);
-      }
-      break;
-    case 'end_after':
-      if (recurrencePattern.range.occurrences) {
-        return occurrenceCount >= recurrencePattern.range.occurrences;
-      }
-      break;
+exports.processScheduledTasks = onSchedule({
+  schedule: "*/15 * * * *",
+  timeZone: "Asia/Kolkata",
+  timeoutSeconds: 300,
+}, async () => {
+  try {
+    await runScheduledTaskProcessing();
+  } catch (error) {
+    logger.error("Error processing scheduled tasks:", error);
   }
-  
-  return false;
-}
+});
 
-// HTTP function to process recurring tasks (replaces the scheduled function)
+// HTTP endpoint for the app's manual "sync scheduled tasks" button
 exports.processScheduledTasksHttp = onRequest(async (request, response) => {
   // Enhanced CORS support for in-app fetch calls
   response.set('Access-Control-Allow-Origin', '*');
@@ -497,171 +408,18 @@ exports.processScheduledTasksHttp = onRequest(async (request, response) => {
     return;
   }
 
-  const db = admin.firestore();
-  const now = new Date();
-  let processedCount = 0;
-  
   try {
-    // Get all scheduled tasks that need to be processed
-    // First get all active scheduled tasks, then filter by date in memory to avoid compound index requirement
-    const scheduledTasksSnapshot = await db.collection('scheduledTasks')
-      .where('isActive', '==', true)
-      .get();
-    
-    // Filter by nextOccurrence in memory
-    const nowTimestamp = admin.firestore.Timestamp.fromDate(now);
-    const tasksToProcess = scheduledTasksSnapshot.docs.filter(doc => {
-      const task = doc.data();
-      return task.nextOccurrence && task.nextOccurrence <= nowTimestamp;
+    const result = await runScheduledTaskProcessing();
+    const processed = result.created.length;
+    response.json({
+      success: true,
+      message: processed > 0 ? 'Scheduled tasks processed successfully' : 'No scheduled tasks to process',
+      processed,
     });
-    
-    if (tasksToProcess.length === 0) {
-      logger.info('No scheduled tasks to process');
-      response.json({ success: true, message: 'No scheduled tasks to process', processed: 0 });
-      return;
-    }
-    
-    logger.info(`Processing ${tasksToProcess.length} scheduled tasks`);
-    
-    const batch = db.batch();
-    const tasksToCreate = [];
-    
-    for (const doc of tasksToProcess) {
-      const scheduledTask = doc.data();
-      const scheduledTaskId = doc.id;
-      
-      try {
-
-        const nextOccurrenceDate = scheduledTask.nextOccurrence.toDate();
-        const assignedUserIds = Array.isArray(scheduledTask.assignedUserIds)
-          ? scheduledTask.assignedUserIds
-          : scheduledTask.assignedUserIds
-            ? [scheduledTask.assignedUserIds]
-            : [];
-
-        // Create the actual task
-        const taskData = {
-          title: scheduledTask.title,
-          description: scheduledTask.description || '',
-          assignedUserIds,
-          observerIds: Array.isArray(scheduledTask.observerIds) ? scheduledTask.observerIds : [],
-          assignedById: scheduledTask.assignedById,
-          assignedByName: scheduledTask.assignedByName,
-          departmentId: scheduledTask.departmentId,
-          difficulty: scheduledTask.difficulty,
-          points: scheduledTask.points,
-          targetDate: nextOccurrenceDate.toISOString().split('T')[0],
-          status: 'Pending',
-          notes: scheduledTask.notes || [],
-          photos: scheduledTask.photos || [],
-          isUrgent: scheduledTask.isUrgent || false,
-          isRdNewSkill: scheduledTask.isRdNewSkill || false,
-          projectSkillName: scheduledTask.projectSkillName || '',
-          isScheduled: false, // This is the actual task, not the schedule
-          parentScheduledTaskId: scheduledTaskId,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        };
-        
-        // Add to batch for task creation
-        const taskRef = db.collection('tasks').doc();
-        batch.set(taskRef, taskData);
-        tasksToCreate.push({
-          id: taskRef.id,
-          title: taskData.title,
-          targetUserIds: [...new Set([...(taskData.assignedUserIds || []), ...(taskData.observerIds || [])])]
-        });
-        
-        // Calculate next occurrence
-        const nextOccurrence = calculateNextOccurrence(
-          scheduledTask.recurrencePattern, 
-          nextOccurrenceDate
-        );
-
-        if (nextOccurrence) {
-          // Check if we should end the recurrence
-          const shouldEnd = shouldEndRecurrence(
-            scheduledTask.recurrencePattern,
-            (scheduledTask.occurrenceCount || 0) + 1,
-            nextOccurrence
-          );
-          
-          if (shouldEnd) {
-            // Mark scheduled task as inactive
-            batch.update(doc.ref, {
-              isActive: false,
-              endedAt: admin.firestore.FieldValue.serverTimestamp(),
-              lastProcessedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          } else {
-            // Update next occurrence and increment count
-            batch.update(doc.ref, {
-              nextOccurrence: admin.firestore.Timestamp.fromDate(nextOccurrence),
-              occurrenceCount: admin.firestore.FieldValue.increment(1),
-              lastProcessedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          }
-        } else {
-          if (
-            scheduledTask.recurrencePattern?.type === 'monthly' &&
-            scheduledTask.recurrencePattern?.monthlyType === 'regenerate'
-          ) {
-            // Regenerate schedules stay active and wait for the generated task to complete.
-            batch.update(doc.ref, {
-              nextOccurrence: null,
-              occurrenceCount: admin.firestore.FieldValue.increment(1),
-              lastProcessedAt: admin.firestore.FieldValue.serverTimestamp(),
-              endedAt: null,
-            });
-          } else {
-            batch.update(doc.ref, {
-              isActive: false,
-              endedAt: admin.firestore.FieldValue.serverTimestamp(),
-              lastProcessedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          }
-        }
-        
-      } catch (error) {
-        logger.error(`Error processing scheduled task ${scheduledTaskId}:`, error);
-        // Mark as failed but don't stop processing others
-        batch.update(doc.ref, {
-          lastError: error.message,
-          lastProcessedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-      }
-    }
-    
-    // Commit all changes
-    await batch.commit();
-    
-    // Send notifications for created tasks
-    for (const task of tasksToCreate) {
-      try {
-        const title = 'New Recurring Task';
-        const body = `${task.title} (Recurring)`;
-        const data = {
-          type: 'recurring_task',
-          taskId: task.id,
-          title: task.title
-        };
-        
-        await sendPushNotificationToAll(title, body, data, task.targetUserIds);
-      } catch (error) {
-        logger.error(`Error sending notification for recurring task ${task.id}:`, error);
-      }
-    }
-    
-    processedCount = tasksToCreate.length;
-    logger.info(`Successfully processed ${processedCount} scheduled tasks`);
-
   } catch (error) {
     logger.error('Error processing scheduled tasks:', error);
     response.status(500).json({ error: 'Error processing scheduled tasks', message: error.message });
-    return;
   }
-  
-  response.json({ success: true, message: 'Scheduled tasks processed successfully', processed: processedCount });
 });
 
 // Function to handle task completion for regenerate-type scheduled tasks
@@ -746,7 +504,7 @@ exports.weeklyLeaderboardReset = onSchedule({
     const tasks = tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     
     // Calculate current week's rankings
-    const currentWeekRankings = calculateCurrentWeekRankings(users, tasks);
+    const currentWeekRankings = await calculateCurrentWeekRankings(users, tasks);
     
     // Archive current week's data
     const weekStart = getStartOfWeek();
@@ -762,6 +520,7 @@ exports.weeklyLeaderboardReset = onSchedule({
         executionPoints: user.executionPoints,
         leadershipPoints: user.leadershipPoints,
         bonusPoints: user.bonusPoints,
+        penaltyPoints: user.penaltyPoints,
         tcs: user.tcs,
         completedTasks: user.completedTasks,
         departmentId: user.departmentId,
@@ -878,7 +637,7 @@ exports.manualWeeklyReset = onRequest(async (request, response) => {
     const tasks = tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     
     // Calculate current week's rankings
-    const currentWeekRankings = calculateCurrentWeekRankings(users, tasks);
+    const currentWeekRankings = await calculateCurrentWeekRankings(users, tasks);
     
     // Archive current week's data
     const weekStart = getStartOfWeek();
@@ -894,6 +653,7 @@ exports.manualWeeklyReset = onRequest(async (request, response) => {
         executionPoints: user.executionPoints,
         leadershipPoints: user.leadershipPoints,
         bonusPoints: user.bonusPoints,
+        penaltyPoints: user.penaltyPoints,
         tcs: user.tcs,
         completedTasks: user.completedTasks,
         departmentId: user.departmentId,
@@ -982,199 +742,848 @@ function getEndOfWeek() {
   return endOfWeek;
 }
 
-function calculateCurrentWeekRankings(users, tasks) {
-  const startOfWeek = getStartOfWeek();
-  const endOfWeek = getEndOfWeek();
-  
-  return users.map(user => {
-    const userTasks = tasks.filter(task => {
-      return task.assignedUserIds &&
-             Array.isArray(task.assignedUserIds) &&
-             task.assignedUserIds.includes(user.id) &&
-             task.status === 'Complete';
-    });
-
-    const userBonusLedger = user?.dailyBonusLedger || {};
-    
-    // Calculate weekly Execution Points (EP)
-    const weeklyTasks = userTasks.filter(task => {
-      const completionDate = getTaskCompletionDate(task);
-      return completionDate && completionDate >= startOfWeek && completionDate <= endOfWeek;
-    });
-    const weeklyExecutionPoints = weeklyTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
-    
-    // Calculate weekly Leadership Points (LP)
-    const weeklyLeadershipData = calculateWeeklyLeadershipPoints(tasks, user.id, startOfWeek, endOfWeek);
-    const weeklyLeadershipPoints = weeklyLeadershipData.total;
-    
-    // Calculate weekly bonus points
-    const weeklyBonusPoints = getBonusPointsInRange(userBonusLedger, startOfWeek, endOfWeek);
-    
-    // Calculate weekly TCS
-    const weeklyTCS = weeklyExecutionPoints + weeklyLeadershipPoints + weeklyBonusPoints;
-
-    return {
-      id: user.id,
-      name: user.name || 'Unknown',
-      executionPoints: weeklyExecutionPoints,
-      leadershipPoints: weeklyLeadershipPoints,
-      bonusPoints: weeklyBonusPoints,
-      tcs: weeklyTCS,
-      completedTasks: weeklyTasks.length,
-      departmentId: user.departmentIds?.[0] || null,
-    };
-  }).sort((a, b) => b.tcs - a.tcs);
+// Weekly rankings come from the shared points engine so the archived
+// numbers match what users saw on the Points tab.
+async function calculateCurrentWeekRankings(users, tasks) {
+  const {calculateRankings} = await loadPointsEngine();
+  return calculateRankings(users, tasks, {
+    startDate: getStartOfWeek(),
+    endDate: getEndOfWeek(),
+  });
 }
 
-function getTaskCompletionDate(task) {
-  if (!task.completedAt) return null;
+exports.getPWAAnalytics = onCall({
+  region: 'asia-south1',
+  memory: '1GB',
+  timeoutSeconds: 120,
+}, async (request) => {
+  const { startDate, endDate, userIds } = request.data;
   
-  if (task.completedAt.toDate) {
-    return task.completedAt.toDate();
-  } else if (task.completedAt instanceof Date) {
-    return task.completedAt;
-  } else if (typeof task.completedAt === 'string') {
-    return new Date(task.completedAt);
+  if (!startDate || !endDate) {
+    throw new HttpsError('invalid-argument', 'The function must be called with "startDate" and "endDate" arguments.');
   }
-  
-  return null;
-}
 
-function calculateTaskPoints(task) {
-  const difficultyPoints = {
-    'Easy': 10,
-    'Medium': 25,
-    'Hard': 50,
-    'Critical': 100
-  };
-  
-  let points = difficultyPoints[task.difficulty] || 0;
+  const db = admin.firestore();
+  const analyticsProcessor = new PWAAnalyticsProcessor(db);
   
-  // Team collaboration bonus
-  if (task.assignedUserIds && task.assignedUserIds.length > 1) {
-    points = Math.round(points * 1.1);
+  try {
+    const analyticsData = await analyticsProcessor.getAnalyticsData(startDate, endDate, userIds);
+    return analyticsData;
+  } catch (error) {
+    logger.error('Error fetching PWA analytics:', error);
+    throw new HttpsError('internal', 'Failed to fetch PWA analytics data.', error.message);
   }
-  
-  // Urgent task bonus
-  if (task.isUrgent) {
-    points = Math.round(points * 1.25);
+});
+
+
+
+// Points Ledger
+// All changes to spendable points go through these functions; clients can read
+// the pointsLedger collection but never write it (see firestore.rules).
+const {
+  ENTRY_TYPES,
+  LEDGER_CONFIG,
+  appendLedgerEntries,
+  auditUserLedger,
+  buildDailyBonusClaim,
+  seedUserLedgers,
+} = require("./pointsLedger");
+const {requireActor} = require("./auth");
+const approvals = require("./approvals");
+
+const LEDGER_ADMIN_ROLES = ["Admin", "Management"];
+
+// Callable errors pass through; anything else is logged and reported as internal
+const rethrowLedgerError = (label, error) => {
+  if (error instanceof HttpsError) throw error;
+  logger.error(`${label}:`, error);
+  throw new HttpsError("internal", error.message);
+};
+
+const getCurrentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+};
+
+const generateVoucherCode = () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluding confusing chars
+  let code = "";
+  for (let i = 0; i < 8; i++) {
+    code += chars.charAt(Math.floor(Math.random() * chars.length));
   }
-  
-  // On-time completion bonus
-  if (task.targetDate && task.completedAt) {
-    const targetDate = task.targetDate.toDate ? task.targetDate.toDate() : new Date(task.targetDate);
-    const completedDate = getTaskCompletionDate(task);
-    
-    if (completedDate && completedDate <= targetDate) {
-      points += 3;
-    }
+  return code;
+};
+
+// Merge duplicate product rows and reject invalid quantities
+const normalizeCartItems = (cartItems) => {
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    throw new HttpsError("invalid-argument", "Cart is empty");
   }
-  
-  return points;
-}
+  return Object.values(cartItems.reduce((acc, item) => {
+    const quantity = Number.parseInt(item && item.quantity, 10);
+    if (!item || !item.productId || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new HttpsError("invalid-argument", "Invalid cart items");
+    }
+    acc[item.productId] = acc[item.productId] || {productId: item.productId, quantity: 0};
+    acc[item.productId].quantity += quantity;
+    return acc;
+  }, {}));
+};
 
-function calculateWeeklyLeadershipPoints(tasks, managerId, startOfWeek, endOfWeek) {
-  const managerTasks = tasks.filter(task => 
-    task.assignedById === managerId && 
-    task.status === 'Complete'
-  );
+/**
+ * Buy a cart for a user: spend the points and issue the vouchers
+ * @returns {Promise<{vouchers: Array, totalPointsSpent: number, newUsablePoints: number}>}
+ */
+async function purchaseVoucherCart(db, {userId, userName, cartItems}) {
+  const normalizedCartItems = normalizeCartItems(cartItems);
+  const vouchers = [];
+  const productUpdates = [];
+
+  const {replay} = await appendLedgerEntries(db, userId, async ({tx}) => {
+    const errors = [];
+    const entries = [];
+
+    for (const item of normalizedCartItems) {
+      const productRef = db.collection("voucherProducts").doc(item.productId);
+      const productSnap = await tx.get(productRef);
+      if (!productSnap.exists) {
+        errors.push(`Unknown: Product not found`);
+        continue;
+      }
 
-  let totalLP = 0;
-  let tasksAwarded = 0;
+      const product = productSnap.data();
+      const productName = product.name || product.heading;
+      const available = Math.max(0, (product.totalQuantity || 0) - (product.redeemedQuantity || 0));
+      if (!product.isActive) {
+        errors.push(`${productName}: Product is not live`);
+        continue;
+      }
+      if (available < item.quantity) {
+        errors.push(`${productName}: Only ${available} voucher(s) available (requested: ${item.quantity})`);
+        continue;
+      }
 
-  managerTasks.forEach(task => {
-    const completionDate = getTaskCompletionDate(task);
-    if (completionDate && completionDate >= startOfWeek && completionDate <= endOfWeek) {
-      const taskPoints = calculateTaskPoints(task);
-      const lpData = calculateLeadershipPoints(task, taskPoints);
-      totalLP += lpData.total;
-      tasksAwarded++;
+      productUpdates.push({ref: productRef, redeemedQuantity: (product.redeemedQuantity || 0) + item.quantity});
+      for (let i = 0; i < item.quantity; i++) {
+        const voucherRef = db.collection("users").doc(userId).collection("vouchers").doc();
+        vouchers.push({
+          ref: voucherRef,
+          data: {
+            userId,
+            userName: userName || null,
+            productId: item.productId,
+            productName: product.name || null,
+            productIcon: product.icon || null,
+            pointsSpent: product.points,
+            status: "confirmed",
+            redemptionMonth: getCurrentMonth(),
+            code: generateVoucherCode(),
+          },
+        });
+        entries.push({
+          type: ENTRY_TYPES.REDEEMED,
+          points: -Math.floor(product.points),
+          source: {kind: "voucher", id: voucherRef.id, productId: item.productId},
+          reason: `Redeemed ${productName}`,
+        });
+      }
     }
+
+    if (errors.length > 0) {
+      throw new HttpsError("failed-precondition", errors.join(", "));
+    }
+    return entries;
+  }, {
+    actorId: userId,
+    afterAppend: (tx, {userData}) => {
+      const timestamp = admin.firestore.FieldValue.serverTimestamp();
+      vouchers.forEach((voucher) => tx.set(voucher.ref, {...voucher.data, purchasedAt: timestamp}));
+      productUpdates.forEach(({ref, redeemedQuantity}) => tx.update(ref, {redeemedQuantity, updatedAt: timestamp}));
+      tx.update(db.collection("users").doc(userId), {
+        totalVouchersPurchased: (userData.totalVouchersPurchased || 0) + vouchers.length,
+        lastVoucherPurchase: timestamp,
+      });
+    },
   });
 
   return {
-    total: totalLP,
-    tasksAwarded
+    vouchers: vouchers.map((voucher) => ({id: voucher.ref.id, ...voucher.data})),
+    totalPointsSpent: vouchers.reduce((sum, voucher) => sum + voucher.data.pointsSpent, 0),
+    newUsablePoints: replay.usable,
   };
 }
 
-function calculateLeadershipPoints(task, taskExecutionPoints) {
-  if (!task || !taskExecutionPoints) {
-    return { completionBonus: 0, difficultyFairness: 0, onTimeBonus: 0, total: 0 };
-  }
+// Points a cart would cost at current prices, to pick its approval chain
+async function getCartPoints(db, cartItems) {
+  const snaps = await Promise.all(cartItems.map((item) => db.collection("voucherProducts").doc(item.productId).get()));
+  return snaps.reduce((sum, snap, index) => sum + (snap.exists ? Math.floor(snap.get("points") || 0) * cartItems[index].quantity : 0), 0);
+}
 
-  let completionBonus = 0;
-  let difficultyFairness = 0;
-  let onTimeBonus = 0;
+// High-value carts go through the buyer's department voucher chain first;
+// the purchase is then made by decideApproval once approved
+exports.purchaseVouchers = onCall(async (request) => {
+  const {userId, userName, cartItems} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, userId);
 
-  const isRdNewSkill = task.isRdNewSkill || false;
+  try {
+    const normalizedCartItems = normalizeCartItems(cartItems);
+    const {APPROVAL_TYPES} = await loadApprovalChains();
+    const totalPoints = await getCartPoints(db, normalizedCartItems);
+    const pending = await approvals.openApprovalRequest(db, {
+      type: APPROVAL_TYPES.VOUCHER_REDEMPTION,
+      departmentId: (actor.departmentIds || [])[0] || null,
+      requester: actor,
+      subject: {kind: approvals.SUBJECT_KINDS.USER, id: userId, title: `Voucher redemption (${totalPoints} points)`},
+      payload: {userId, userName: userName || null, cartItems: normalizedCartItems},
+      points: totalPoints,
+    }, {sendPush: sendPushNotificationToAll});
+    if (pending) {
+      return {pendingApprovalId: pending.id, totalPoints};
+    }
 
-  // Completion Bonus
-  if (isRdNewSkill) {
-    completionBonus = Math.round(taskExecutionPoints * 0.50);
-  } else {
-    completionBonus = Math.round(taskExecutionPoints * 0.20);
+    return await purchaseVoucherCart(db, {userId, userName, cartItems: normalizedCartItems});
+  } catch (error) {
+    rethrowLedgerError("Error purchasing vouchers", error);
   }
+});
+
+exports.refundVoucher = onCall(async (request) => {
+  const {userId, voucherId, actorId, reason} = request.data || {};
+  const db = admin.firestore();
+  await requireActor(db, request, actorId, LEDGER_ADMIN_ROLES);
 
-  // Difficulty Fairness (only for regular tasks)
-  if (!isRdNewSkill) {
-    difficultyFairness = Math.round(taskExecutionPoints * 0.05);
+  if (!userId || !voucherId) {
+    throw new HttpsError("invalid-argument", "userId and voucherId are required");
   }
 
-  // On-Time Delivery Bonus
-  if (task.targetDate && task.completedAt) {
-    const targetDate = task.targetDate.toDate ? task.targetDate.toDate() : new Date(task.targetDate);
-    const completedDate = getTaskCompletionDate(task);
-    
-    if (completedDate && completedDate <= targetDate) {
-      onTimeBonus = Math.round(taskExecutionPoints * 0.05);
-    }
+  const voucherRef = db.collection("users").doc(userId).collection("vouchers").doc(voucherId);
+  let refundedPoints = 0;
+  let productUpdate = null;
+
+  try {
+    await appendLedgerEntries(db, userId, async ({tx}) => {
+      const voucherSnap = await tx.get(voucherRef);
+      if (!voucherSnap.exists) {
+        throw new HttpsError("not-found", "Voucher not found");
+      }
+
+      const voucher = voucherSnap.data();
+      refundedPoints = Math.floor(Number(voucher.pointsSpent) || 0);
+      const productRef = voucher.productId ? db.collection("voucherProducts").doc(voucher.productId) : null;
+      const productSnap = productRef ? await tx.get(productRef) : null;
+      if (productSnap && productSnap.exists) {
+        productUpdate = {
+          ref: productRef,
+          redeemedQuantity: Math.max(0, (productSnap.data().redeemedQuantity || 0) - 1),
+        };
+      }
+
+      if (refundedPoints <= 0) return [];
+      return [{
+        id: `refund_${voucherId}`,
+        type: ENTRY_TYPES.REFUNDED,
+        points: refundedPoints,
+        source: {kind: "voucher", id: voucherId, productId: voucher.productId || null},
+        reason: reason || "Voucher deleted by admin",
+      }];
+    }, {
+      actorId,
+      afterAppend: (tx, {userData}) => {
+        const timestamp = admin.firestore.FieldValue.serverTimestamp();
+        if (productUpdate) {
+          tx.update(productUpdate.ref, {redeemedQuantity: productUpdate.redeemedQuantity, updatedAt: timestamp});
+        }
+        tx.update(db.collection("users").doc(userId), {
+          totalVouchersPurchased: Math.max(0, (userData.totalVouchersPurchased || 0) - 1),
+        });
+        tx.delete(voucherRef);
+      },
+    });
+
+    return {refundedPoints};
+  } catch (error) {
+    rethrowLedgerError("Error refunding voucher", error);
   }
+});
 
-  return {
-    completionBonus,
-    difficultyFairness,
-    onTimeBonus,
-    total: completionBonus + difficultyFairness + onTimeBonus
+const POINTS_CHANGE_MODES = {
+  ADJUST: "adjust",
+  AWARD: "award",
+};
+
+/**
+ * Apply a manual points change: an adjustment (either sign) or an award
+ * that expires like earned points
+ * @returns {Promise<{entryId: string, newUsablePoints: number}>}
+ */
+async function applyPointsChange(db, {mode, userId, points, reason, actorId, expirationDays}) {
+  const entry = mode === POINTS_CHANGE_MODES.AWARD ? {
+    type: ENTRY_TYPES.EARNED,
+    points: Math.trunc(Number(points)),
+    source: {kind: "admin", id: actorId},
+    reason: reason || "Points awarded by admin",
+    expiresAt: new Date(Date.now() + (Number(expirationDays) || LEDGER_CONFIG.EXPIRATION_DAYS) * 24 * 60 * 60 * 1000),
+  } : {
+    type: ENTRY_TYPES.ADJUSTED,
+    points: Math.trunc(Number(points)),
+    source: {kind: "admin", id: actorId},
+    reason: reason || "Admin adjustment",
   };
+  const {entryIds, replay} = await appendLedgerEntries(db, userId, [entry], {actorId});
+  return {entryId: entryIds[0], newUsablePoints: replay.usable};
 }
 
-function getBonusPointsInRange(bonusLedger, startDate, endDate) {
-  let total = 0;
-  
-  Object.values(bonusLedger).forEach(entry => {
-    if (entry.date && entry.points) {
-      const entryDate = entry.date.toDate ? entry.date.toDate() : new Date(entry.date);
-      if (entryDate >= startDate && entryDate <= endDate) {
-        total += entry.points;
+// Manual points changes go through the user's department points chain first;
+// the change is then applied by decideApproval once approved
+async function requestPointsChange(request, mode, label) {
+  const {userId, points, reason, actorId, expirationDays} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, actorId, LEDGER_ADMIN_ROLES);
+  const change = {mode, userId, points: Math.trunc(Number(points)), reason: reason || null, actorId, expirationDays: expirationDays || null};
+
+  try {
+    const {APPROVAL_TYPES} = await loadApprovalChains();
+    const userSnap = userId ? await db.collection("users").doc(userId).get() : null;
+    const user = userSnap && userSnap.exists ? userSnap.data() : {};
+    const signed = change.points > 0 ? `+${change.points}` : String(change.points);
+    const pending = await approvals.openApprovalRequest(db, {
+      type: APPROVAL_TYPES.POINTS_ADJUSTMENT,
+      departmentId: (user.departmentIds || [])[0] || null,
+      requester: actor,
+      subject: {kind: approvals.SUBJECT_KINDS.USER, id: userId, title: `${signed} points for ${user.name || userId}`},
+      payload: change,
+      points: change.points,
+    }, {sendPush: sendPushNotificationToAll});
+    if (pending) {
+      return {pendingApprovalId: pending.id};
+    }
+
+    return await applyPointsChange(db, change);
+  } catch (error) {
+    rethrowLedgerError(label, error);
+  }
+}
+
+exports.adjustUserPoints = onCall((request) => requestPointsChange(request, POINTS_CHANGE_MODES.ADJUST, "Error adjusting user points"));
+
+exports.awardPoints = onCall((request) => requestPointsChange(request, POINTS_CHANGE_MODES.AWARD, "Error awarding points"));
+
+exports.expireUserPoints = onCall(async (request) => {
+  const {userId, actorId} = request.data || {};
+  const db = admin.firestore();
+  await requireActor(db, request, actorId, LEDGER_ADMIN_ROLES);
+
+  try {
+    await appendLedgerEntries(db, userId, ({replay}) => replay.lots
+      .filter((lot) => lot.remaining > 0)
+      .map((lot) => ({
+        type: ENTRY_TYPES.EXPIRED,
+        points: -lot.remaining,
+        lotEntryId: lot.entryId,
+        source: {kind: "admin", id: actorId},
+        reason: "All points expired by admin",
+      })), {actorId});
+
+    return {message: "All points marked as expired"};
+  } catch (error) {
+    rethrowLedgerError("Error expiring user points", error);
+  }
+});
+
+exports.resetPointsExpiration = onCall(async (request) => {
+  const {userId, actorId} = request.data || {};
+  const db = admin.firestore();
+  await requireActor(db, request, actorId, LEDGER_ADMIN_ROLES);
+
+  try {
+    // The oldest lot is expired and re-credited, so it expires EXPIRATION_DAYS from now
+    const {entryIds, replay} = await appendLedgerEntries(db, userId, ({replay}) => {
+      const oldest = replay.lots.find((lot) => lot.remaining > 0);
+      if (!oldest) {
+        throw new HttpsError("failed-precondition", "No points to reset");
       }
+      const reason = "Expiration date reset by admin";
+      return [
+        {type: ENTRY_TYPES.EXPIRED, points: -oldest.remaining, lotEntryId: oldest.entryId, source: {kind: "admin", id: actorId}, reason},
+        {type: ENTRY_TYPES.ADJUSTED, points: oldest.remaining, source: {kind: "ledger", id: oldest.entryId}, reason},
+      ];
+    }, {actorId});
+
+    return {message: "Points expiration date reset", entryIds, newUsablePoints: replay.usable};
+  } catch (error) {
+    rethrowLedgerError("Error resetting points expiration", error);
+  }
+});
+
+exports.auditUserPoints = onCall(async (request) => {
+  const {userId, actorId} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, actorId);
+  if (actor.id !== userId && !LEDGER_ADMIN_ROLES.includes(actor.role)) {
+    throw new HttpsError("permission-denied", "Insufficient role for this action");
+  }
+
+  try {
+    return await auditUserLedger(db, userId);
+  } catch (error) {
+    rethrowLedgerError("Error auditing user points", error);
+  }
+});
+
+// One-off migration: opening balances for users that predate the ledger.
+// Run with dryRun first to review the credits.
+exports.seedPointsLedgers = onCall({timeoutSeconds: 540}, async (request) => {
+  const {dryRun} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, null, ["Admin"]);
+
+  try {
+    const result = await seedUserLedgers(db, {actorId: actor.id, dryRun: dryRun === true});
+    logger.info(`Ledger seeding by ${actor.id}${dryRun === true ? " (dry run)" : ""}: ${result.seeded} seeded, ${result.skipped} skipped`);
+    return result;
+  } catch (error) {
+    rethrowLedgerError("Error seeding points ledgers", error);
+  }
+});
+
+// Record execution points for each assignee when a task is completed.
+// Entry ids are per task and user, so reopening and completing again is a no-op.
+exports.recordTaskPointsInLedger = onDocumentUpdated("tasks/{taskId}", async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const taskId = event.params.taskId;
+  if (before.status === "Complete" || after.status !== "Complete") return;
+
+  const engine = await loadPointsEngine();
+  const task = {id: taskId, ...after};
+  const completedAt = engine.getTaskCompletionDate(task) || new Date();
+  const db = admin.firestore();
+
+  for (const userId of engine.getTaskAssigneeIds(task)) {
+    const points = engine.calculateTaskPoints(task, userId);
+    if (points <= 0) continue;
+    try {
+      await appendLedgerEntries(db, userId, [{
+        id: `task_${taskId}_${userId}`,
+        type: ENTRY_TYPES.EARNED,
+        points,
+        source: {kind: "task", id: taskId},
+        reason: after.title || null,
+        occurredAt: completedAt,
+      }], {actorId: after.completedBy || null});
+    } catch (error) {
+      logger.error(`Error recording task points for ${userId} on task ${taskId}:`, error);
+    }
+  }
+});
+
+// Claim today's daily bonus. The amount is fixed and each day can be claimed
+// once; the claim is recorded on the user and in the ledger together.
+exports.claimDailyBonus = onCall(async (request) => {
+  const {actorId} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, actorId);
+  const now = new Date();
+  let claimed = null;
+
+  try {
+    const {replay} = await appendLedgerEntries(db, actor.id, ({userData}) => {
+      claimed = buildDailyBonusClaim(actor.id, userData, now);
+      return [claimed.entry];
+    }, {
+      actorId: actor.id,
+      afterAppend: (tx) => {
+        tx.update(db.collection("users").doc(actor.id), {
+          [`dailyBonusLedger.${claimed.dateKey}`]: claimed.claim,
+          dailyBonusLastClaimedAt: claimed.claim.claimedAt,
+        });
+      },
+    });
+
+    return {dateKey: claimed.dateKey, ...claimed.claim, newUsablePoints: replay.usable};
+  } catch (error) {
+    rethrowLedgerError("Error claiming daily bonus", error);
+  }
+});
+
+// Nightly: record "expired" entries for lots that passed their expiry date
+exports.expireLedgerPoints = onSchedule({
+  schedule: "30 0 * * *",
+  timeZone: "Asia/Kolkata",
+}, async () => {
+  const db = admin.firestore();
+  const usersSnapshot = await db.collection("users").where("ledgerSeededAt", "!=", null).get();
+  let expiredUsers = 0;
+
+  for (const userDoc of usersSnapshot.docs) {
+    try {
+      const {entryIds} = await appendLedgerEntries(db, userDoc.id, ({replay}) => replay.expiredPending.map((lot) => ({
+        type: ENTRY_TYPES.EXPIRED,
+        points: -lot.points,
+        lotEntryId: lot.entryId,
+        source: {kind: "expiry", id: lot.entryId},
+        reason: "Points expired",
+      })));
+      if (entryIds.length > 0) expiredUsers++;
+    } catch (error) {
+      logger.error(`Error expiring ledger points for ${userDoc.id}:`, error);
+    }
+  }
+
+  logger.info(`Ledger expiry complete: ${expiredUsers} users had points expire`);
+});
+
+// Authentication
+// Password checks happen here; the client only ever receives a custom token.
+const authService = require("./auth");
+
+// Both login callables run before anyone is signed in. With ENFORCE_APP_CHECK=true
+// (functions/.env) they only answer the app itself; the app then needs
+// VITE_APP_CHECK_SITE_KEY (see src/firebase.js).
+const loginCallableOptions = {enforceAppCheck: process.env.ENFORCE_APP_CHECK === "true"};
+
+exports.getLoginDirectory = onCall(loginCallableOptions, async () => {
+  try {
+    return {users: await authService.getLoginDirectory(admin.firestore())};
+  } catch (error) {
+    logger.error("Error loading login directory:", error);
+    throw new HttpsError("internal", "Failed to load users");
+  }
+});
+
+exports.signInWithPassword = onCall(loginCallableOptions, async (request) => {
+  const {userId, password} = request.data || {};
+  try {
+    return await authService.signInWithPassword(admin.firestore(), admin.auth(), userId, password, {
+      ip: request.rawRequest?.ip || null,
+    });
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    logger.error("Error signing in:", error);
+    throw new HttpsError("internal", "Sign-in failed");
+  }
+});
+
+exports.setUserPassword = onCall(async (request) => {
+  const {userId, password} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, null, ["Admin"]);
+
+  try {
+    await authService.resetUserPassword(db, admin.auth(), userId, password, actor.id);
+    return {message: "Password updated"};
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    logger.error("Error setting user password:", error);
+    throw new HttpsError("internal", error.message);
+  }
+});
+
+exports.migrateUserPasswords = onCall({timeoutSeconds: 300}, async (request) => {
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, null, ["Admin"]);
+
+  try {
+    const result = await authService.migrateLegacyPasswords(db);
+    logger.info(`Password migration by ${actor.id}: ${result.migrated} migrated, ${result.skipped} skipped`);
+    return result;
+  } catch (error) {
+    logger.error("Error migrating passwords:", error);
+    throw new HttpsError("internal", error.message);
+  }
+});
+
+// Plaintext passwords are readable by other users until they are hashed, so
+// the migration also runs on its own rather than waiting for an Admin
+exports.sweepLegacyPasswords = onSchedule({
+  schedule: "every 15 minutes",
+  timeZone: "Asia/Kolkata",
+}, async () => {
+  const result = await authService.migrateLegacyPasswords(admin.firestore());
+  if (result.migrated > 0) {
+    logger.info(`Password sweep: ${result.migrated} migrated`);
+  }
+});
+
+// Task photos
+// The app uploads originals to Storage; thumbnails, signed URLs and the task's
+// photo records are written here.
+const taskPhotos = require("./taskPhotos");
+
+exports.attachTaskPhotos = onCall({memory: "512MiB"}, async (request) => {
+  const {taskId, photoIds} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request);
+
+  try {
+    const photos = await taskPhotos.attachTaskPhotos(db, admin.storage().bucket(), taskId, photoIds, actor);
+    return {photos};
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    logger.error(`Error attaching photos to task ${taskId}:`, error);
+    throw new HttpsError("internal", "Failed to attach photos");
+  }
+});
+
+// Delete Storage files for photos removed from a task
+exports.cleanupRemovedTaskPhotos = onDocumentUpdated("tasks/{taskId}", async (event) => {
+  const taskId = event.params.taskId;
+  const removedPaths = taskPhotos.getRemovedPhotoPaths(
+    taskId,
+    event.data.before.get("photos"),
+    event.data.after.get("photos")
+  );
+  if (removedPaths.length === 0) return;
+
+  const bucket = admin.storage().bucket();
+  await Promise.all(removedPaths.map((path) => bucket.file(path).delete({ignoreNotFound: true})));
+  logger.info(`Deleted ${removedPaths.length} removed photo file(s) for task ${taskId}`);
+});
+
+exports.migrateTaskPhotos = onCall({timeoutSeconds: 540, memory: "1GiB"}, async (request) => {
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, null, ["Admin"]);
+  const {limit} = request.data || {};
+
+  try {
+    const result = await taskPhotos.migrateLegacyTaskPhotos(db, admin.storage().bucket(), {
+      limit: Number.isInteger(limit) && limit > 0 ? limit : undefined,
+    });
+    logger.info(`Task photo migration by ${actor.id}:`, result);
+    return result;
+  } catch (error) {
+    logger.error("Error migrating task photos:", error);
+    throw new HttpsError("internal", error.message);
+  }
+});
+
+// Task dependencies
+// Clears (or restores) `hasBlockingTasks` on dependents when a prerequisite
+// is created, completed, deleted or reopened, and when a task is created or
+// its own links change.
+const taskDependencies = require("./taskDependencies");
+
+exports.syncCreatedTaskBlockers = onDocumentCreated("tasks/{taskId}", async (event) => {
+  const taskId = event.params.taskId;
+  const task = event.data && event.data.data();
+  if (!task) return;
+
+  try {
+    const checked = await taskDependencies.syncBlockersForTask(admin.firestore(), taskId, null, task);
+    if (checked.length > 0) {
+      logger.info(`Refreshed blocked state for ${checked.length} task(s) after creating ${taskId}`);
     }
+  } catch (error) {
+    logger.error(`Error syncing blockers for new task ${taskId}:`, error);
+  }
+});
+
+exports.syncTaskBlockers = onDocumentUpdated("tasks/{taskId}", async (event) => {
+  const taskId = event.params.taskId;
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (!before || !after) return;
+
+  try {
+    const checked = await taskDependencies.syncBlockersForTask(admin.firestore(), taskId, before, after);
+    if (checked.length > 0) {
+      logger.info(`Refreshed blocked state for ${checked.length} task(s) after update to ${taskId}`);
+    }
+  } catch (error) {
+    logger.error(`Error syncing blockers for task ${taskId}:`, error);
+  }
+});
+
+// Time tracking
+// Keeps each task's worked-minutes totals in step with its closed work sessions.
+const timeTracking = require("./timeTracking");
+
+exports.syncTaskWorkedMinutes = onDocumentWritten("tasks/{taskId}/workSessions/{sessionId}", async (event) => {
+  const taskId = event.params.taskId;
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (!timeTracking.changesTotals(before, after)) return;
+
+  try {
+    await timeTracking.syncWorkedMinutes(admin.firestore(), taskId);
+  } catch (error) {
+    logger.error(`Error syncing worked minutes for task ${taskId}:`, error);
+  }
+});
+
+// SLA escalations
+// Hourly: remind assignees of overdue or stuck tasks, then escalate to the
+// department heads and Management per the department's escalation policy.
+const escalations = require("./escalations");
+
+exports.escalateOverdueTasks = onSchedule({
+  schedule: "0 * * * *",
+  timeZone: "Asia/Kolkata",
+  timeoutSeconds: 300,
+}, async () => {
+  try {
+    const result = await escalations.runEscalations(admin.firestore(), {
+      sendPush: sendPushNotificationToAll,
+      getDepartmentHeadIds,
+    });
+    logger.info(`Escalation run: ${result.checked} checked, ${result.escalated} escalated, ${result.cleared} cleared`);
+  } catch (error) {
+    logger.error("Error running task escalations:", error);
+  }
+});
+
+// Weekly department reports
+// Mondays 08:00 IST: email last week's department report (HTML + PDF) to
+// subscribed Management and department heads. Mail settings: see mailer.js.
+const reports = require("./reports");
+const {createMailTransport} = require("./mailer");
+
+exports.sendWeeklyReports = onSchedule({
+  schedule: "0 8 * * 1",
+  timeZone: "Asia/Kolkata",
+  timeoutSeconds: 540,
+}, async () => {
+  try {
+    const result = await reports.runWeeklyReports(admin.firestore(), {transport: createMailTransport()});
+    logger.info(`Weekly reports for ${result.week.weekKey}: ${result.sent.length} sent, ${result.failed.length} failed, ${result.skipped.length} skipped`);
+  } catch (error) {
+    logger.error("Error sending weekly reports:", error);
+  }
+});
+
+// Send last week's report to the caller only, whether or not they are
+// subscribed, so they can check their settings and mail setup.
+exports.sendWeeklyReportPreview = onCall(async (request) => {
+  const {actorId} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, actorId, reports.REPORT_ROLES);
+
+  const result = await reports.runWeeklyReports(db, {
+    transport: createMailTransport(),
+    userIds: [actor.id],
+    includeUnsubscribed: true,
   });
-  
-  return total;
-}
+  if (result.skipped.length > 0) {
+    const reason = result.skipped[0].reason === reports.SKIP_REASONS.NO_EMAIL ?
+      "Add a valid email address to receive reports" :
+      "None of your report departments exist";
+    throw new HttpsError("failed-precondition", reason);
+  }
+  if (result.failed.length > 0) {
+    throw new HttpsError("unavailable", `Could not send the report: ${result.failed[0].error}`);
+  }
+  return {weekStart: result.week.weekKey};
+});
 
-exports.getPWAAnalytics = onCall({
-  region: 'asia-south1',
-  memory: '1GB',
-  timeoutSeconds: 120,
-}, async (request) => {
-  const { startDate, endDate, userIds } = request.data;
-  
-  if (!startDate || !endDate) {
-    throw new HttpsError('invalid-argument', 'The function must be called with "startDate" and "endDate" arguments.');
+// Effort calibration
+// Mondays 03:00 IST: work out how long completed tasks really took per
+// department and difficulty, and suggest (or auto-apply) expected hours.
+const effortCalibration = require("./effortCalibration");
+
+exports.calibrateEffortEstimates = onSchedule({
+  schedule: "0 3 * * 1",
+  timeZone: "Asia/Kolkata",
+  timeoutSeconds: 300,
+}, async () => {
+  try {
+    const result = await effortCalibration.runEffortCalibration(admin.firestore());
+    logger.info(`Effort calibration: ${result.departments} departments, ${result.samples} tasks, applied in ${result.applied.length}`);
+  } catch (error) {
+    logger.error("Error calibrating effort estimates:", error);
   }
+});
 
+// Recalibrate now, from the Admin panel
+exports.recalculateEffortCalibration = onCall({timeoutSeconds: 300}, async (request) => {
+  const {actorId} = request.data || {};
   const db = admin.firestore();
-  const analyticsProcessor = new PWAAnalyticsProcessor(db);
-  
+  const actor = await requireActor(db, request, actorId, ["Admin"]);
+  return effortCalibration.runEffortCalibration(db, {actor});
+});
+
+// Approval chains
+// Self-assigned and critical tasks, manual points changes and high-value
+// voucher redemptions are approved step by step per the department's chains
+// (see approvals.js).
+exports.openTaskApprovals = onDocumentCreated("tasks/{taskId}", async (event) => {
+  const task = event.data.data();
+  const taskId = event.params.taskId;
   try {
-    const analyticsData = await analyticsProcessor.getAnalyticsData(startDate, endDate, userIds);
-    return analyticsData;
+    const requestId = await approvals.openTaskApproval(admin.firestore(), taskId, task, {sendPush: sendPushNotificationToAll});
+    if (requestId) logger.info(`Approval request ${requestId} opened for task ${taskId}`);
   } catch (error) {
-    logger.error('Error fetching PWA analytics:', error);
-    throw new HttpsError('internal', 'Failed to fetch PWA analytics data.', error.message);
+    logger.error(`Error opening approval for task ${taskId}:`, error);
+  }
+});
+
+// Raising an open task to critical later puts it through the critical-task
+// chain too, so the chain cannot be skipped by creating the task lower first
+exports.openRaisedTaskApprovals = onDocumentUpdated("tasks/{taskId}", async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const taskId = event.params.taskId;
+  if (!approvals.isRaisedToCritical(before, after)) return;
+
+  try {
+    const requestId = await approvals.openTaskApproval(admin.firestore(), taskId, after, {
+      sendPush: sendPushNotificationToAll,
+      raisedToCritical: true,
+      previous: {difficulty: before.difficulty || null, points: before.points || null},
+    });
+    if (requestId) logger.info(`Approval request ${requestId} opened for task ${taskId} raised to critical`);
+  } catch (error) {
+    logger.error(`Error opening approval for task ${taskId}:`, error);
+  }
+});
+
+exports.decideApproval = onCall(async (request) => {
+  const {requestId, decision, reason, actorId} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, actorId);
+  const {APPROVAL_TYPES} = await loadApprovalChains();
+
+  // Run once the last step approves; a failure leaves the request pending
+  const effects = {
+    [APPROVAL_TYPES.POINTS_ADJUSTMENT]: (approved) => applyPointsChange(db, approved.payload),
+    [APPROVAL_TYPES.VOUCHER_REDEMPTION]: (approved) => purchaseVoucherCart(db, approved.payload),
+  };
+
+  try {
+    return await approvals.decideApproval(db, {requestId, decision, reason: reason || "", actor}, {
+      effects,
+      sendPush: sendPushNotificationToAll,
+    });
+  } catch (error) {
+    rethrowLedgerError("Error deciding approval", error);
   }
 });
 
+exports.cancelApproval = onCall(async (request) => {
+  const {requestId, actorId} = request.data || {};
+  const db = admin.firestore();
+  const actor = await requireActor(db, request, actorId);
+  return approvals.cancelApproval(db, {requestId, actor});
+});
+
+// Task comments
+// Keeps the comment count and last comment on each thread's tasks, and
+// notifies people when they are @mentioned.
+const taskComments = require("./taskComments");
+
+exports.onTaskCommentWritten = onDocumentWritten("tasks/{taskId}/comments/{commentId}", async (event) => {
+  const threadId = event.params.taskId;
+  const before = event.data.before.data();
+  const after = event.data.after.data();
 
+  try {
+    const {notified} = await taskComments.handleCommentWrite(admin.firestore(), threadId, before, after, {
+      sendPush: sendPushNotificationToAll,
+    });
+    if (notified.length > 0) {
+      logger.info(`Notified ${notified.length} mentioned user(s) on task ${threadId}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling comment ${event.params.commentId} on task ${threadId}:`, error);
+  }
+});
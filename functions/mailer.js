@@ -0,0 +1,94 @@
+/**
+ * Mail transport
+ *
+ * Outgoing email goes through a transport with a nodemailer-style
+ * `sendMail(message)` method, so callers never talk to SMTP directly:
+ *   - "smtp": nodemailer over SMTP. Point SMTP_HOST/SMTP_PORT at a local
+ *     stand-in (MailHog, smtp4dev, `npx maildev`) to read the mail while
+ *     running the emulator.
+ *   - "log": writes each message to the function log and sends nothing. Used
+ *     when no SMTP host is configured, so a missing setup never fails a run.
+ * Tests pass their own `{sendMail}` object instead.
+ *
+ * Configuration comes from the functions environment (functions/.env):
+ *   MAIL_TRANSPORT  smtp | log (default: smtp when SMTP_HOST is set)
+ *   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for port 465),
+ *   SMTP_USER, SMTP_PASS, MAIL_FROM
+ */
+
+const logger = require("firebase-functions/logger");
+
+const MAIL_TRANSPORTS = {
+  SMTP: "smtp",
+  LOG: "log",
+};
+
+const DEFAULT_FROM = "Task Manager <no-reply@localhost>";
+
+/**
+ * Mail settings from the environment
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+function getMailConfig(env = process.env) {
+  const port = Number.parseInt(env.SMTP_PORT, 10) || 587;
+  return {
+    kind: env.MAIL_TRANSPORT || (env.SMTP_HOST ? MAIL_TRANSPORTS.SMTP : MAIL_TRANSPORTS.LOG),
+    host: env.SMTP_HOST || "localhost",
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    user: env.SMTP_USER || "",
+    pass: env.SMTP_PASS || "",
+    from: env.MAIL_FROM || DEFAULT_FROM,
+  };
+}
+
+function createLogTransport() {
+  return {
+    async sendMail(message) {
+      const attachments = (message.attachments || []).map((a) => a.filename);
+      logger.info(`[mail:log] To ${message.to}: ${message.subject}`, {attachments});
+      return {messageId: null, accepted: [].concat(message.to || [])};
+    },
+  };
+}
+
+function createSmtpTransport(config) {
+  // Loaded lazily so the functions still load where nodemailer is not installed
+  const nodemailer = require("nodemailer");
+  return nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? {user: config.user, pass: config.pass} : undefined,
+  });
+}
+
+/**
+ * Build the transport for a config. Every message gets `from` filled in.
+ * @param {Object} [config] - See getMailConfig; an object with `sendMail` is used as is
+ * @returns {{sendMail: Function}}
+ */
+function createMailTransport(config = getMailConfig()) {
+  const from = config.from || DEFAULT_FROM;
+  let transport;
+  if (typeof config.sendMail === "function") {
+    transport = config;
+  } else if (config.kind === MAIL_TRANSPORTS.SMTP) {
+    transport = createSmtpTransport(config);
+  } else if (config.kind === MAIL_TRANSPORTS.LOG) {
+    transport = createLogTransport();
+  } else {
+    throw new Error(`Unknown mail transport: ${config.kind}`);
+  }
+
+  return {
+    sendMail: (message) => transport.sendMail({from, ...message}),
+  };
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  getMailConfig,
+  createMailTransport,
+};
@@ -0,0 +1,539 @@
+/**
+ * Points Ledger
+ *
+ * Append-only record of every change to a user's spendable points. Entries in
+ * the `pointsLedger` collection are written only by Cloud Functions (clients
+ * are denied by firestore.rules) and are never updated or deleted. A user's
+ * balance is derived by replaying their entries in order, so any balance can
+ * be audited and rebuilt from scratch.
+ *
+ * The balance fields on the user document (usablePoints, totalPoints, ...)
+ * are a cache of the latest replay, refreshed in the same transaction as
+ * every append.
+ */
+
+const admin = require("firebase-admin");
+const {HttpsError} = require("firebase-functions/v2/https");
+
+const LEDGER_COLLECTION = "pointsLedger";
+
+const ENTRY_TYPES = {
+  EARNED: "earned",
+  BONUS: "bonus",
+  REDEEMED: "redeemed",
+  REFUNDED: "refunded",
+  EXPIRED: "expired",
+  ADJUSTED: "adjusted",
+};
+
+const CREDIT_TYPES = [ENTRY_TYPES.EARNED, ENTRY_TYPES.BONUS, ENTRY_TYPES.REFUNDED];
+const DEBIT_TYPES = [ENTRY_TYPES.REDEEMED, ENTRY_TYPES.EXPIRED];
+
+const LEDGER_CONFIG = {
+  EXPIRATION_DAYS: 90, // Credits expire after 90 days, matching the legacy pointsHistory
+  EXPIRING_SOON_DAYS: 7,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixed amount of the once-a-day bonus (DAILY_BONUS_POINTS in src/shared/utils/dailyBonus.js)
+const DAILY_BONUS_POINTS = 25;
+const DAILY_BONUS_TIME_ZONE = "Asia/Kolkata";
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.seconds === "number") return value.seconds * 1000;
+  const parsed = new Date(value).getTime();
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Legacy pointsHistory keys are "YYYY-MM-DD" with optional suffixes ("-adj-...", "-refund-...")
+const parseDateKey = (key) => {
+  if (typeof key !== "string") return null;
+  const parts = key.slice(0, 10).split("-").map((segment) => Number.parseInt(segment, 10));
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+  const [year, month, day] = parts;
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Validate the sign of an entry against its type.
+ * @param {string} type
+ * @param {number} points
+ */
+function assertValidEntry(type, points) {
+  if (!Object.values(ENTRY_TYPES).includes(type)) {
+    throw new HttpsError("invalid-argument", `Unknown ledger entry type: ${type}`);
+  }
+  if (!Number.isInteger(points) || points === 0) {
+    throw new HttpsError("invalid-argument", "Ledger points must be a non-zero integer");
+  }
+  if (CREDIT_TYPES.includes(type) && points < 0) {
+    throw new HttpsError("invalid-argument", `"${type}" entries must be positive`);
+  }
+  if (DEBIT_TYPES.includes(type) && points > 0) {
+    throw new HttpsError("invalid-argument", `"${type}" entries must be negative`);
+  }
+}
+
+const compareEntries = (a, b) => {
+  const diff = (toMillis(a.occurredAt) || 0) - (toMillis(b.occurredAt) || 0);
+  if (diff !== 0) return diff;
+  const seqDiff = (a.seq || 0) - (b.seq || 0);
+  if (seqDiff !== 0) return seqDiff;
+  return String(a.id || "").localeCompare(String(b.id || ""));
+};
+
+/**
+ * Replay ledger entries into a balance.
+ *
+ * Every credit opens a "lot" that expires at its expiresAt. Debits consume
+ * the oldest lots that were still valid when the debit happened; "expired"
+ * entries consume the specific lot they reference. The result is fully
+ * determined by the entries, so replaying the same ledger always yields the
+ * same balance.
+ *
+ * @param {Array} entries - Ledger entries for one user (any order)
+ * @param {Date} [now] - Reference time for usable/expiring calculations
+ * @returns {Object} { balance, usable, expiredPending, totals, lots, expiringSoon, entryCount }
+ */
+function replayLedger(entries = [], now = new Date()) {
+  const nowMs = now.getTime();
+  const totals = Object.values(ENTRY_TYPES).reduce((acc, type) => ({...acc, [type]: 0}), {});
+  const lots = [];
+  let balance = 0;
+  let unallocated = 0;
+
+  const consume = (amount, atMs) => {
+    let remaining = amount;
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      if (lot.remaining <= 0) continue;
+      if (lot.expiresAtMs !== null && lot.expiresAtMs <= atMs) continue;
+      const used = Math.min(lot.remaining, remaining);
+      lot.remaining -= used;
+      remaining -= used;
+    }
+    return remaining;
+  };
+
+  [...entries].sort(compareEntries).forEach((entry) => {
+    const points = Number(entry.points) || 0;
+    const atMs = toMillis(entry.occurredAt) || 0;
+    totals[entry.type] = (totals[entry.type] || 0) + points;
+    balance += points;
+
+    if (points > 0) {
+      lots.push({
+        entryId: entry.id,
+        type: entry.type,
+        points,
+        remaining: points,
+        occurredAtMs: atMs,
+        expiresAtMs: toMillis(entry.expiresAt),
+      });
+      return;
+    }
+
+    if (entry.type === ENTRY_TYPES.EXPIRED && entry.lotEntryId) {
+      const lot = lots.find((l) => l.entryId === entry.lotEntryId);
+      if (lot) {
+        const used = Math.min(lot.remaining, Math.abs(points));
+        lot.remaining -= used;
+        unallocated += Math.abs(points) - used;
+        return;
+      }
+    }
+
+    unallocated += consume(Math.abs(points), atMs);
+  });
+
+  const validLots = lots.filter((lot) => lot.remaining > 0 && (lot.expiresAtMs === null || lot.expiresAtMs > nowMs));
+  const expiredLots = lots.filter((lot) => lot.remaining > 0 && lot.expiresAtMs !== null && lot.expiresAtMs <= nowMs);
+  const usable = Math.max(0, validLots.reduce((sum, lot) => sum + lot.remaining, 0) - unallocated);
+
+  const expiringSoon = validLots
+    .filter((lot) => lot.expiresAtMs !== null && lot.expiresAtMs - nowMs <= LEDGER_CONFIG.EXPIRING_SOON_DAYS * DAY_MS)
+    .map((lot) => ({
+      entryId: lot.entryId,
+      points: lot.remaining,
+      expirationDate: new Date(lot.expiresAtMs).toISOString(),
+      daysUntilExpiry: Math.ceil((lot.expiresAtMs - nowMs) / DAY_MS),
+    }))
+    .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+
+  return {
+    balance,
+    usable,
+    expiredPending: expiredLots.map((lot) => ({entryId: lot.entryId, points: lot.remaining})),
+    totals,
+    lots,
+    expiringSoon,
+    entryCount: entries.length,
+  };
+}
+
+/**
+ * Cached balance fields written to the user document after each append.
+ * @param {Object} replay - Output of replayLedger
+ * @returns {Object}
+ */
+function buildBalanceFields(replay) {
+  // Lots past their expiry count as expired even before the nightly job records them
+  const pendingExpiry = replay.expiredPending.reduce((sum, lot) => sum + lot.points, 0);
+  const expiredPoints = Math.abs(replay.totals[ENTRY_TYPES.EXPIRED] || 0) + pendingExpiry;
+  const redeemed = Math.abs(replay.totals[ENTRY_TYPES.REDEEMED] || 0);
+  const refunded = replay.totals[ENTRY_TYPES.REFUNDED] || 0;
+
+  return {
+    usablePoints: replay.usable,
+    expiredPoints,
+    totalPoints: replay.usable + expiredPoints,
+    totalRedeemed: Math.max(0, redeemed - refunded),
+    pointsExpiringSoon: replay.expiringSoon,
+    ledgerBalance: replay.balance,
+    ledgerEntryCount: replay.entryCount,
+    ledgerUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Opening entries for a user that predates the ledger. Each still-positive
+ * pointsHistory lot becomes an "earned" entry that keeps its original expiry.
+ * Only pointsHistory is used here: it has always been written by the server,
+ * while the stored TCS fields were once writable from the app.
+ * @param {Object} userData
+ * @param {Date} now
+ * @returns {Array} Entry payloads (without ids)
+ */
+function buildOpeningEntries(userData = {}, now = new Date()) {
+  const pointsHistory = userData.pointsHistory || {};
+  const entries = [];
+
+  Object.entries(pointsHistory).forEach(([dateKey, entry]) => {
+    if (!entry || typeof entry.points !== "number" || entry.points <= 0 || entry.isUsable === false) return;
+    const pointsDate = parseDateKey(dateKey);
+    if (!pointsDate) return;
+
+    const expiresAt = new Date(pointsDate);
+    expiresAt.setDate(expiresAt.getDate() + (entry.expirationDays || LEDGER_CONFIG.EXPIRATION_DAYS));
+    if (expiresAt <= now) return;
+
+    entries.push({
+      type: ENTRY_TYPES.EARNED,
+      points: Math.floor(entry.points),
+      source: {kind: "legacyPointsHistory", id: dateKey},
+      reason: "Opening balance migrated from pointsHistory",
+      occurredAt: pointsDate,
+      expiresAt,
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Opening entry for a user with no pointsHistory but a stored TCS. Credited
+ * only by the Admin-run seedPointsLedgers migration, never when the ledger is
+ * first touched; the id makes it a one-off per user.
+ * @param {string} userId
+ * @param {Object} userData
+ * @param {Date} now
+ * @returns {Object|null} Entry payload, or null when there is nothing to credit
+ */
+function buildLegacyTcsEntry(userId, userData = {}, now = new Date()) {
+  if (Object.keys(userData.pointsHistory || {}).length > 0) return null;
+  const points = Math.floor(userData.totalTCS || userData.weeklyTCS || 0);
+  if (points <= 0) return null;
+
+  return {
+    id: `legacyTcs_${userId}`,
+    type: ENTRY_TYPES.EARNED,
+    points,
+    source: {kind: "legacyTcs", id: null},
+    reason: "Opening balance migrated from TCS",
+    occurredAt: now,
+    expiresAt: new Date(now.getTime() + LEDGER_CONFIG.EXPIRATION_DAYS * DAY_MS),
+  };
+}
+
+/**
+ * Seed the ledger of every user that predates it (Admin-run migration).
+ * Users are seeded from pointsHistory as on their first ledger write, and
+ * those with no history are credited their stored TCS once.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Admin running the migration
+ * @param {boolean} [options.dryRun] - Report the credits without writing them
+ * @returns {Promise<Object>} { seeded, skipped, credits: [{userId, points}] }
+ */
+async function seedUserLedgers(db, {actorId = null, dryRun = false} = {}) {
+  const usersSnapshot = await db.collection("users").get();
+  const now = new Date();
+  const credits = [];
+  let skipped = 0;
+
+  for (const userDoc of usersSnapshot.docs) {
+    const userData = userDoc.data() || {};
+    const opening = userData.ledgerSeededAt ? [] : buildOpeningEntries(userData, now);
+    let tcsEntry = buildLegacyTcsEntry(userDoc.id, userData, now);
+    if (tcsEntry && (await db.collection(LEDGER_COLLECTION).doc(tcsEntry.id).get()).exists) {
+      tcsEntry = null;
+    }
+    const points = [...opening, ...(tcsEntry ? [tcsEntry] : [])].reduce((sum, entry) => sum + entry.points, 0);
+    if (points === 0) {
+      skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await appendLedgerEntries(db, userDoc.id, tcsEntry ? [tcsEntry] : [], {actorId});
+    }
+    credits.push({userId: userDoc.id, points});
+  }
+
+  return {seeded: credits.length, skipped, credits};
+}
+
+/**
+ * Read every ledger entry for a user (optionally inside a transaction).
+ * @returns {Promise<Array>}
+ */
+async function getUserLedgerEntries(db, userId, tx = null) {
+  const ledgerQuery = db.collection(LEDGER_COLLECTION).where("userId", "==", userId);
+  const snapshot = tx ? await tx.get(ledgerQuery) : await ledgerQuery.get();
+  return snapshot.docs.map((doc) => ({id: doc.id, ...doc.data()}));
+}
+
+const toEntryDoc = (userId, entry, seq, actorId, now) => {
+  assertValidEntry(entry.type, entry.points);
+  const isCredit = entry.points > 0;
+  const occurredAt = entry.occurredAt || now;
+  const expiresAt = isCredit
+    ? (entry.expiresAt || new Date(occurredAt.getTime() + LEDGER_CONFIG.EXPIRATION_DAYS * DAY_MS))
+    : null;
+
+  return {
+    userId,
+    type: entry.type,
+    points: entry.points,
+    source: entry.source || {kind: "system", id: null},
+    actorId: entry.actorId || actorId || null,
+    reason: entry.reason || null,
+    lotEntryId: entry.lotEntryId || null,
+    expiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(expiresAt) : null,
+    occurredAt: admin.firestore.Timestamp.fromDate(occurredAt),
+    seq,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+};
+
+/**
+ * Append entries to a user's ledger in one transaction and refresh the
+ * cached balance. Debits that would overdraw the usable balance are refused.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} userId
+ * @param {Array|Function} entriesOrBuilder - Entries, or (context) => entries,
+ *   where context = { userData, replay, tx } for reads inside the transaction
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - User who caused the change
+ * @param {Function} [options.afterAppend] - (tx, context) => void, extra writes in the same transaction
+ * @returns {Promise<Object>} { entryIds, replay }
+ */
+async function appendLedgerEntries(db, userId, entriesOrBuilder, options = {}) {
+  const {actorId = null, afterAppend = null} = options;
+  if (!userId) {
+    throw new HttpsError("invalid-argument", "userId is required");
+  }
+
+  return db.runTransaction(async (tx) => {
+    const userRef = db.collection("users").doc(userId);
+    const userSnap = await tx.get(userRef);
+    if (!userSnap.exists) {
+      throw new HttpsError("not-found", "User not found");
+    }
+
+    const userData = userSnap.data() || {};
+    const now = new Date();
+    const existing = await getUserLedgerEntries(db, userId, tx);
+
+    // Seed the ledger from legacy pointsHistory the first time this user is touched
+    const pending = [];
+    if (!userData.ledgerSeededAt && existing.length === 0) {
+      buildOpeningEntries(userData, now).forEach((entry) => pending.push(entry));
+    }
+
+    const withIds = (list, offset) => list.map((entry, index) => ({
+      ref: entry.id ? db.collection(LEDGER_COLLECTION).doc(entry.id) : db.collection(LEDGER_COLLECTION).doc(),
+      data: toEntryDoc(userId, entry, offset + index, actorId, now),
+    }));
+
+    const openingWrites = withIds(pending, 0);
+    const openingReplay = replayLedger(
+      [...existing, ...openingWrites.map((w) => ({id: w.ref.id, ...w.data}))],
+      now
+    );
+
+    const requested = typeof entriesOrBuilder === "function"
+      ? await entriesOrBuilder({userData, replay: openingReplay, tx})
+      : entriesOrBuilder;
+
+    // Entries with deterministic ids (task completions, daily bonuses) are
+    // recorded once; retries and re-completions are no-ops
+    const existingIds = new Set(existing.map((entry) => entry.id));
+    const fresh = (requested || []).filter((entry) => !entry.id || !existingIds.has(entry.id));
+    const requestedWrites = withIds(fresh, openingWrites.length);
+    const writes = [...openingWrites, ...requestedWrites];
+    if (writes.length === 0 && !afterAppend) {
+      return {entryIds: [], replay: openingReplay};
+    }
+
+    const debit = requestedWrites
+      .filter((w) => w.data.points < 0 && w.data.type !== ENTRY_TYPES.EXPIRED)
+      .reduce((sum, w) => sum + Math.abs(w.data.points), 0);
+    if (debit > openingReplay.usable) {
+      throw new HttpsError("failed-precondition", "Insufficient points", {
+        available: openingReplay.usable,
+        requested: debit,
+      });
+    }
+
+    const replay = replayLedger([...existing, ...writes.map((w) => ({id: w.ref.id, ...w.data}))], now);
+
+    writes.forEach((w) => tx.create(w.ref, w.data));
+
+    const userUpdate = {
+      ...buildBalanceFields(replay),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (!userData.ledgerSeededAt) {
+      userUpdate.ledgerSeededAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    tx.update(userRef, userUpdate);
+
+    if (afterAppend) {
+      await afterAppend(tx, {userData, replay, entryIds: requestedWrites.map((w) => w.ref.id)});
+    }
+
+    return {entryIds: requestedWrites.map((w) => w.ref.id), replay};
+  });
+}
+
+const toIso = (value) => {
+  const ms = toMillis(value);
+  return ms === null ? null : new Date(ms).toISOString();
+};
+
+/**
+ * Plain JSON form of a ledger entry for callable responses.
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function serializeEntry(entry) {
+  return {
+    ...entry,
+    occurredAt: toIso(entry.occurredAt),
+    expiresAt: toIso(entry.expiresAt),
+    createdAt: toIso(entry.createdAt),
+  };
+}
+
+/**
+ * Replay a user's ledger and compare it with the cached balance on their
+ * user document.
+ * @returns {Promise<Object>} { userId, entries, replay, cached, inSync }
+ */
+async function auditUserLedger(db, userId) {
+  const [userSnap, entries] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    getUserLedgerEntries(db, userId),
+  ]);
+  if (!userSnap.exists) {
+    throw new HttpsError("not-found", "User not found");
+  }
+
+  const userData = userSnap.data() || {};
+  const replay = replayLedger(entries);
+  const cached = {
+    usablePoints: userData.usablePoints ?? null,
+    ledgerBalance: userData.ledgerBalance ?? null,
+    ledgerEntryCount: userData.ledgerEntryCount ?? null,
+  };
+
+  return {
+    userId,
+    entries: [...entries].sort(compareEntries).map(serializeEntry),
+    replay: {
+      ...replay,
+      lots: replay.lots.map((lot) => ({
+        ...lot,
+        expiresAt: lot.expiresAtMs === null ? null : new Date(lot.expiresAtMs).toISOString(),
+      })),
+    },
+    cached,
+    inSync: cached.ledgerBalance === replay.balance && cached.usablePoints === replay.usable,
+  };
+}
+
+/**
+ * The day a bonus claimed at `now` counts for, as a "YYYY-MM-DD" key in the
+ * app's time zone.
+ * @param {Date} now
+ * @returns {string}
+ */
+function getDailyBonusKey(now = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: DAILY_BONUS_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+}
+
+/**
+ * The ledger entry and user fields for today's daily bonus. Amount and day
+ * are decided here; the user document only records that the day was claimed.
+ * @param {string} userId
+ * @param {Object} userData - User document
+ * @param {Date} now
+ * @returns {{dateKey: string, entry: Object, claim: Object}}
+ */
+function buildDailyBonusClaim(userId, userData = {}, now = new Date()) {
+  const dateKey = getDailyBonusKey(now);
+  const ledger = userData.dailyBonusLedger || {};
+  if (Object.prototype.hasOwnProperty.call(ledger, dateKey)) {
+    throw new HttpsError("already-exists", "Daily bonus already claimed today");
+  }
+
+  return {
+    dateKey,
+    entry: {
+      id: `bonus_${userId}_${dateKey}`,
+      type: ENTRY_TYPES.BONUS,
+      points: DAILY_BONUS_POINTS,
+      source: {kind: "dailyBonus", id: dateKey},
+      occurredAt: now,
+    },
+    claim: {points: DAILY_BONUS_POINTS, claimedAt: now.toISOString()},
+  };
+}
+
+module.exports = {
+  LEDGER_COLLECTION,
+  ENTRY_TYPES,
+  LEDGER_CONFIG,
+  DAILY_BONUS_POINTS,
+  replayLedger,
+  buildBalanceFields,
+  buildOpeningEntries,
+  buildLegacyTcsEntry,
+  getUserLedgerEntries,
+  appendLedgerEntries,
+  auditUserLedger,
+  seedUserLedgers,
+  getDailyBonusKey,
+  buildDailyBonusClaim,
+};
@@ -0,0 +1,470 @@
+/**
+ * Weekly department reports
+ *
+ * Every Monday morning the sendWeeklyReports Cloud Function emails the last
+ * week (Monday to Sunday, IST) of each department to Management (every
+ * department) and to department heads (their own departments):
+ *   - completion rate: tasks completed in the week against those completed
+ *     plus those still open past their target date at the end of the week
+ *   - overdue open tasks
+ *   - top performers by points earned in the week
+ *   - points issued (earned and bonus) and vouchers redeemed
+ * Points are counted for every department the user belongs to.
+ *
+ * The report is sent as HTML with a plain-text part and, unless turned off,
+ * a PDF attachment. Each user can change what they get with
+ * `reportSubscription` on their own user document (see
+ * DEFAULT_REPORT_SUBSCRIPTION). Mail goes out through functions/mailer.js.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {OPEN_TASK_STATUSES, getTaskDeadline} = require("./escalations");
+
+const REPORT_ROLES = ["Management", "Head"];
+const COMPLETE_STATUS = "Complete";
+const TOP_PERFORMER_COUNT = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+// Matches DEFAULT_REPORT_SUBSCRIPTION in src/shared/constants.js
+const DEFAULT_REPORT_SUBSCRIPTION = {
+  weekly: true,
+  attachPdf: true,
+  departmentIds: [], // empty = every department the user may see
+  email: "", // empty = the email on the user's profile
+};
+
+const SKIP_REASONS = {
+  UNSUBSCRIBED: "unsubscribed",
+  NO_EMAIL: "no_email",
+  NO_DEPARTMENTS: "no_departments",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (typeof value.seconds === "number") return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function getAssigneeIds(task) {
+  if (Array.isArray(task.assignedUserIds)) return task.assignedUserIds.filter(Boolean);
+  return task.assignedUserId ? [task.assignedUserId] : [];
+}
+
+const formatDay = (date) => date.toLocaleDateString("en-IN", {
+  timeZone: "Asia/Kolkata", day: "numeric", month: "short", year: "numeric",
+});
+
+/**
+ * The last full Monday-to-Sunday week in IST before `now`
+ * @param {Date} [now]
+ * @returns {{start: Date, end: Date, weekKey: string, label: string}} end is exclusive
+ */
+function getReportWeek(now = new Date()) {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const daysSinceMonday = (ist.getUTCDay() + 6) % 7;
+  const mondayIst = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() - daysSinceMonday);
+  const end = new Date(mondayIst - IST_OFFSET_MS);
+  const start = new Date(end.getTime() - 7 * DAY_MS);
+  return {
+    start,
+    end,
+    weekKey: new Date(mondayIst - 7 * DAY_MS).toISOString().slice(0, 10),
+    label: `${formatDay(start)} - ${formatDay(new Date(end.getTime() - 1))}`,
+  };
+}
+
+/**
+ * A user's subscription with defaults filled in
+ * @param {Object} [subscription]
+ * @returns {Object}
+ */
+function normalizeReportSubscription(subscription = {}) {
+  const merged = {...DEFAULT_REPORT_SUBSCRIPTION, ...(subscription || {})};
+  return {
+    weekly: merged.weekly !== false,
+    attachPdf: merged.attachPdf !== false,
+    departmentIds: Array.isArray(merged.departmentIds) ? merged.departmentIds.filter(Boolean) : [],
+    email: typeof merged.email === "string" ? merged.email.trim() : "",
+  };
+}
+
+/**
+ * Who gets the report, with their address and departments
+ * @param {Array} users - User documents with id
+ * @param {Array} departments - Department documents with id
+ * @param {Object} [options]
+ * @param {string[]} [options.userIds] - Only consider these users
+ * @param {boolean} [options.includeUnsubscribed] - Ignore `weekly: false` (for previews)
+ * @returns {{recipients: Array<{userId, name, email, departmentIds, attachPdf}>, skipped: Array<{userId, reason}>}}
+ */
+function getReportRecipients(users, departments, {userIds = null, includeUnsubscribed = false} = {}) {
+  const allDepartmentIds = departments.map((d) => d.id);
+  const recipients = [];
+  const skipped = [];
+
+  users
+    .filter((user) => REPORT_ROLES.includes(user.role))
+    .filter((user) => !userIds || userIds.includes(user.id))
+    .forEach((user) => {
+      const subscription = normalizeReportSubscription(user.reportSubscription);
+      const allowed = user.role === "Management" ?
+        allDepartmentIds :
+        (user.departmentIds || []).filter((id) => allDepartmentIds.includes(id));
+      const departmentIds = subscription.departmentIds.length > 0 ?
+        allowed.filter((id) => subscription.departmentIds.includes(id)) :
+        allowed;
+      const email = subscription.email || (typeof user.email === "string" ? user.email.trim() : "");
+
+      let reason = null;
+      if (!subscription.weekly && !includeUnsubscribed) reason = SKIP_REASONS.UNSUBSCRIBED;
+      else if (!EMAIL_PATTERN.test(email)) reason = SKIP_REASONS.NO_EMAIL;
+      else if (departmentIds.length === 0) reason = SKIP_REASONS.NO_DEPARTMENTS;
+
+      if (reason) {
+        skipped.push({userId: user.id, reason});
+        return;
+      }
+      recipients.push({userId: user.id, name: user.name || "", email, departmentIds, attachPdf: subscription.attachPdf});
+    });
+
+  return {recipients, skipped};
+}
+
+/**
+ * Figures for one department and week
+ * @param {Object} department
+ * @param {Object} data
+ * @param {Array} data.users
+ * @param {Array} data.openTasks - Pending and Ongoing tasks
+ * @param {Array} data.completedTasks - Tasks completed during the week
+ * @param {Array} data.ledgerEntries - pointsLedger entries of the week
+ * @param {{start: Date, end: Date}} week
+ * @returns {Object}
+ */
+function buildDepartmentReport(department, {users, openTasks, completedTasks, ledgerEntries}, {end}) {
+  const members = users.filter((user) => (user.departmentIds || []).includes(department.id));
+  const memberIds = new Set(members.map((user) => user.id));
+  const userName = (id) => (users.find((user) => user.id === id) || {}).name || id;
+
+  const completed = completedTasks.filter((task) => task.departmentId === department.id);
+  const overdue = openTasks
+    .filter((task) => task.departmentId === department.id)
+    .map((task) => ({task, deadline: getTaskDeadline(task.targetDate)}))
+    .filter(({deadline}) => deadline && deadline < end)
+    .sort((a, b) => a.deadline - b.deadline)
+    .map(({task, deadline}) => ({
+      taskId: task.id,
+      title: task.title || "",
+      assignees: getAssigneeIds(task).map(userName),
+      targetDate: formatDay(deadline),
+      daysOverdue: Math.max(1, Math.floor((end - deadline) / DAY_MS)),
+    }));
+
+  const pointsByUser = {};
+  let pointsIssued = 0;
+  const vouchersRedeemed = {count: 0, points: 0};
+  ledgerEntries
+    .filter((entry) => memberIds.has(entry.userId))
+    .forEach((entry) => {
+      if (entry.type === "earned" || entry.type === "bonus") {
+        pointsIssued += entry.points;
+        pointsByUser[entry.userId] = (pointsByUser[entry.userId] || 0) + entry.points;
+      } else if (entry.type === "redeemed" && entry.source && entry.source.kind === "voucher") {
+        vouchersRedeemed.count++;
+        vouchersRedeemed.points += -entry.points;
+      }
+    });
+
+  const tasksByUser = {};
+  completed.forEach((task) => getAssigneeIds(task).forEach((id) => {
+    tasksByUser[id] = (tasksByUser[id] || 0) + 1;
+  }));
+
+  const topPerformers = members
+    .map((user) => ({userId: user.id, name: user.name || user.id, points: pointsByUser[user.id] || 0, tasksCompleted: tasksByUser[user.id] || 0}))
+    .filter((row) => row.points > 0 || row.tasksCompleted > 0)
+    .sort((a, b) => b.points - a.points || b.tasksCompleted - a.tasksCompleted || a.name.localeCompare(b.name))
+    .slice(0, TOP_PERFORMER_COUNT);
+
+  const due = completed.length + overdue.length;
+  return {
+    departmentId: department.id,
+    name: department.name || department.id,
+    completed: completed.length,
+    completionRate: due > 0 ? Math.round((completed.length / due) * 100) : null,
+    overdue,
+    topPerformers,
+    pointsIssued,
+    vouchersRedeemed,
+  };
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;",
+})[c]);
+
+const formatRate = (rate) => (rate === null ? "-" : `${rate}%`);
+
+/**
+ * The report as plain lines; the PDF and the text part of the email use these
+ * @param {Array} reports - From buildDepartmentReport
+ * @param {Object} week - From getReportWeek
+ * @returns {Array<{text: string, size?: number, bold?: boolean}>}
+ */
+function buildReportLines(reports, week) {
+  const lines = [{text: `Weekly department report: ${week.label}`, size: 16, bold: true}];
+  reports.forEach((report) => {
+    lines.push({text: ""}, {text: report.name, size: 13, bold: true});
+    lines.push({text: `Completion rate: ${formatRate(report.completionRate)} (${report.completed} completed, ${report.overdue.length} overdue)`});
+    lines.push({text: `Points issued: ${report.pointsIssued}`});
+    lines.push({text: `Vouchers redeemed: ${report.vouchersRedeemed.count} (${report.vouchersRedeemed.points} points)`});
+
+    lines.push({text: "Top performers", bold: true});
+    if (report.topPerformers.length === 0) lines.push({text: "  None this week"});
+    report.topPerformers.forEach((row, index) => {
+      lines.push({text: `  ${index + 1}. ${row.name} - ${row.points} points, ${row.tasksCompleted} task(s) completed`});
+    });
+
+    lines.push({text: "Overdue tasks", bold: true});
+    if (report.overdue.length === 0) lines.push({text: "  None"});
+    report.overdue.forEach((row) => {
+      lines.push({text: `  - ${row.title} (${row.assignees.join(", ") || "unassigned"}) due ${row.targetDate}, ${row.daysOverdue} day(s) overdue`});
+    });
+  });
+  return lines;
+}
+
+/**
+ * @param {Array} reports
+ * @param {Object} week
+ * @returns {string} HTML email body
+ */
+function renderReportHtml(reports, week) {
+  const cell = "style=\"padding:4px 8px;border-bottom:1px solid #e2e8f0;text-align:left\"";
+  const sections = reports.map((report) => {
+    const performers = report.topPerformers.length === 0 ?
+      "<p style=\"color:#64748b\">None this week</p>" :
+      `<table style="border-collapse:collapse;font-size:14px"><tr><th ${cell}>#</th><th ${cell}>Name</th><th ${cell}>Points</th><th ${cell}>Tasks completed</th></tr>${
+        report.topPerformers.map((row, index) => `<tr><td ${cell}>${index + 1}</td><td ${cell}>${escapeHtml(row.name)}</td><td ${cell}>${row.points}</td><td ${cell}>${row.tasksCompleted}</td></tr>`).join("")
+      }</table>`;
+    const overdue = report.overdue.length === 0 ?
+      "<p style=\"color:#64748b\">None</p>" :
+      `<table style="border-collapse:collapse;font-size:14px"><tr><th ${cell}>Task</th><th ${cell}>Assigned to</th><th ${cell}>Target date</th><th ${cell}>Days overdue</th></tr>${
+        report.overdue.map((row) => `<tr><td ${cell}>${escapeHtml(row.title)}</td><td ${cell}>${escapeHtml(row.assignees.join(", "))}</td><td ${cell}>${escapeHtml(row.targetDate)}</td><td ${cell}>${row.daysOverdue}</td></tr>`).join("")
+      }</table>`;
+
+    return `<h2 style="font-size:18px;margin:24px 0 8px">${escapeHtml(report.name)}</h2>
+<ul style="padding-left:20px;margin:0 0 8px">
+<li>Completion rate: <strong>${formatRate(report.completionRate)}</strong> (${report.completed} completed, ${report.overdue.length} overdue)</li>
+<li>Points issued: <strong>${report.pointsIssued}</strong></li>
+<li>Vouchers redeemed: <strong>${report.vouchersRedeemed.count}</strong> (${report.vouchersRedeemed.points} points)</li>
+</ul>
+<h3 style="font-size:15px;margin:12px 0 4px">Top performers</h3>
+${performers}
+<h3 style="font-size:15px;margin:12px 0 4px">Overdue tasks</h3>
+${overdue}`;
+  });
+
+  return `<!DOCTYPE html>
+<html><body style="font-family:Arial,sans-serif;color:#0f172a">
+<h1 style="font-size:20px">Weekly department report</h1>
+<p style="color:#475569">${escapeHtml(week.label)}</p>
+${sections.join("\n")}
+<p style="color:#94a3b8;font-size:12px;margin-top:24px">You get this email because you are subscribed to weekly reports. Change this under Department &gt; Weekly report email.</p>
+</body></html>`;
+}
+
+// The standard PDF fonts only cover Latin-1; anything else is shown as "?"
+const toPdfText = (text) => String(text)
+  .replace(/[–—]/g, "-")
+  .replace(/[‘’]/g, "'")
+  .replace(/[^\x20-\x7e]/g, "?")
+  .replace(/[\\()]/g, (c) => `\\${c}`);
+
+const PAGE = {width: 595, height: 842, margin: 50}; // A4 in points
+
+const wrapLine = (text, size) => {
+  const maxChars = Math.floor((PAGE.width - 2 * PAGE.margin) / (size * 0.5));
+  const parts = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const breakAt = rest.lastIndexOf(" ", maxChars) > 0 ? rest.lastIndexOf(" ", maxChars) : maxChars;
+    parts.push(rest.slice(0, breakAt));
+    rest = `    ${rest.slice(breakAt).trimStart()}`;
+  }
+  parts.push(rest);
+  return parts;
+};
+
+/**
+ * A text-only PDF of the report lines (A4, Helvetica)
+ * @param {Array<{text: string, size?: number, bold?: boolean}>} lines
+ * @returns {Buffer}
+ */
+function renderReportPdf(lines) {
+  const pages = [[]];
+  let y = PAGE.height - PAGE.margin;
+  lines.forEach(({text, size = 10, bold = false}) => {
+    wrapLine(text, size).forEach((part) => {
+      const lineHeight = size * 1.4;
+      if (y - lineHeight < PAGE.margin) {
+        pages.push([]);
+        y = PAGE.height - PAGE.margin;
+      }
+      y -= lineHeight;
+      pages[pages.length - 1].push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${PAGE.margin} ${y.toFixed(1)} Td (${toPdfText(part)}) Tj ET`);
+    });
+  });
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  pages.forEach((commands, index) => {
+    const content = commands.join("\n");
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+/**
+ * Build and send the report to each recipient
+ * @param {Object} data - {users, departments, openTasks, completedTasks, ledgerEntries}
+ * @param {Object} deps
+ * @param {{sendMail: Function}} deps.transport - See functions/mailer.js
+ * @param {Date} [deps.now]
+ * @param {string[]} [deps.userIds] - Only send to these users
+ * @param {boolean} [deps.includeUnsubscribed]
+ * @returns {Promise<{week: Object, sent: string[], failed: Array<{userId, error}>, skipped: Array<{userId, reason}>}>}
+ */
+async function sendWeeklyReports(data, {transport, now = new Date(), userIds = null, includeUnsubscribed = false}) {
+  const week = getReportWeek(now);
+  const {recipients, skipped} = getReportRecipients(data.users, data.departments, {userIds, includeUnsubscribed});
+  const reports = new Map();
+  const getReport = (departmentId) => {
+    if (!reports.has(departmentId)) {
+      const department = data.departments.find((d) => d.id === departmentId);
+      reports.set(departmentId, buildDepartmentReport(department, data, week));
+    }
+    return reports.get(departmentId);
+  };
+
+  const result = {week, sent: [], failed: [], skipped};
+  for (const recipient of recipients) {
+    const recipientReports = recipient.departmentIds.map(getReport);
+    const lines = buildReportLines(recipientReports, week);
+    try {
+      await transport.sendMail({
+        to: recipient.email,
+        subject: `Weekly department report: ${week.label}`,
+        text: lines.map((line) => line.text).join("\n"),
+        html: renderReportHtml(recipientReports, week),
+        attachments: recipient.attachPdf ? [{
+          filename: `department-report-${week.weekKey}.pdf`,
+          content: renderReportPdf(lines),
+          contentType: "application/pdf",
+        }] : [],
+      });
+      result.sent.push(recipient.userId);
+    } catch (error) {
+      logger.error(`Error sending weekly report to ${recipient.userId}:`, error);
+      result.failed.push({userId: recipient.userId, error: error.message});
+    }
+  }
+  return result;
+}
+
+const docsWithId = (snap) => snap.docs.map((d) => ({id: d.id, ...d.data()}));
+
+/**
+ * Load last week's data, send the reports and log the run to `activityLog`
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} deps - See sendWeeklyReports
+ * @returns {Promise<Object>} Result of sendWeeklyReports
+ */
+async function runWeeklyReports(db, deps) {
+  const now = deps.now || new Date();
+  const week = getReportWeek(now);
+  const start = admin.firestore.Timestamp.fromDate(week.start);
+  const end = admin.firestore.Timestamp.fromDate(week.end);
+
+  const [usersSnap, departmentsSnap, openSnap, completedSnap, ledgerSnap] = await Promise.all([
+    db.collection("users").get(),
+    db.collection("departments").get(),
+    db.collection("tasks").where("status", "in", OPEN_TASK_STATUSES).get(),
+    db.collection("tasks").where("completedAt", ">=", start).where("completedAt", "<", end).get(),
+    db.collection("pointsLedger").where("occurredAt", ">=", start).where("occurredAt", "<", end).get(),
+  ]);
+
+  const result = await sendWeeklyReports({
+    users: docsWithId(usersSnap),
+    departments: docsWithId(departmentsSnap),
+    openTasks: docsWithId(openSnap),
+    completedTasks: docsWithId(completedSnap).filter((task) => task.status === COMPLETE_STATUS && toDate(task.completedAt)),
+    ledgerEntries: docsWithId(ledgerSnap),
+  }, {...deps, now});
+
+  await db.collection("activityLog").add({
+    action: "send_report",
+    entityType: "report",
+    entityId: week.weekKey,
+    entityName: `Weekly report ${week.label}`,
+    userId: "system",
+    userName: "System",
+    details: {
+      systemEvent: true,
+      weekStart: week.weekKey,
+      sentTo: result.sent,
+      failed: result.failed.map((f) => f.userId),
+      skipped: result.skipped.length,
+    },
+    location: null,
+    // Same IST-shifted ISO format the app writes, so the log sorts consistently
+    timestamp: new Date(now.getTime() + IST_OFFSET_MS).toISOString(),
+    serverTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return result;
+}
+
+module.exports = {
+  REPORT_ROLES,
+  DEFAULT_REPORT_SUBSCRIPTION,
+  SKIP_REASONS,
+  getReportWeek,
+  normalizeReportSubscription,
+  getReportRecipients,
+  buildDepartmentReport,
+  buildReportLines,
+  renderReportHtml,
+  renderReportPdf,
+  sendWeeklyReports,
+  runWeeklyReports,
+};
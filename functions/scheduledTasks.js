@@ -0,0 +1,273 @@
+/**
+ * Scheduled (recurring) tasks
+ *
+ * `scheduledTasks` documents hold a recurrence pattern and `nextOccurrence`.
+ * Due occurrences are turned into tasks by the processScheduledTasks cron and
+ * the processScheduledTasksHttp endpoint behind the app's "sync" button.
+ *
+ * Dates come from the shared recurrence engine (shared/recurrence.mjs), with
+ * the pattern's EXDATEs and the company holiday calendar (`holidays`) applied.
+ * `nextSeriesDate` remembers the date the rule produced when an occurrence was
+ * moved off a holiday, so the series continues from the right day.
+ *
+ * Each occurrence is written to a deterministic task id
+ * (`<scheduledTaskId>_<series date>`) inside a transaction on the schedule, so
+ * retries and overlapping runs never create the same occurrence twice.
+ * Occurrences missed during downtime are handled by the pattern's
+ * `missedOccurrences` policy (see MISSED_OCCURRENCE_POLICIES).
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+// Recurrence engine is an ES module shared with the web app (see scripts/syncSharedModules.js)
+const loadRecurrence = () => import("./shared/recurrence.mjs");
+
+const MISSED_OCCURRENCE_POLICIES = {
+  SKIP: "skip", // Only create occurrences that are less than a day old
+  ALL: "all", // Create every missed occurrence
+  LATEST: "latest", // Create only the most recent missed occurrence
+};
+
+const DEFAULT_MISSED_OCCURRENCE_POLICY = MISSED_OCCURRENCE_POLICIES.LATEST;
+
+// An occurrence more than a day past its date counts as missed
+const MISSED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on occurrences created per schedule per run under the ALL
+// policy; the rest wait for the next run
+const MAX_OCCURRENCES_PER_RUN = 100;
+
+/**
+ * Deterministic task id for one occurrence of a schedule
+ * @param {string} scheduledTaskId
+ * @param {string} seriesDate - "YYYY-MM-DD" the rule produced
+ * @returns {string}
+ */
+function getOccurrenceTaskId(scheduledTaskId, seriesDate) {
+  return `${scheduledTaskId}_${seriesDate}`;
+}
+
+function getMissedOccurrencePolicy(recurrencePattern) {
+  const policy = recurrencePattern && recurrencePattern.missedOccurrences;
+  return Object.values(MISSED_OCCURRENCE_POLICIES).includes(policy) ? policy : DEFAULT_MISSED_OCCURRENCE_POLICY;
+}
+
+const isRegeneratePattern = (pattern) => !!pattern && pattern.type === "monthly" && pattern.monthlyType === "regenerate";
+
+/**
+ * Walk a schedule forward from `nextOccurrence` to `now`.
+ * @param {Object} scheduledTask
+ * @param {Date} now
+ * @param {Object} context
+ * @param {Object} context.recurrence - Recurrence engine module
+ * @param {Array} [context.holidays] - Company holiday calendar
+ * @param {string} [context.policy] - Missed-occurrence policy; occurrences it
+ *   would not create are dropped as the walk goes, so only ALL hits the cap
+ * @returns {{due: Array<{date: string, seriesDate: string, at: Date}>, next: Object|null,
+ *   occurrenceCount: number, ended: boolean}}
+ *   `due` lists the occurrences at or before now. `next` is null when the schedule
+ *   ended, or when a regenerate schedule waits for its task to be completed.
+ */
+function planOccurrences(scheduledTask, now, {recurrence, holidays = [], policy = MISSED_OCCURRENCE_POLICIES.ALL}) {
+  const pattern = scheduledTask.recurrencePattern;
+  const nextKey = recurrence.toDateKey(scheduledTask.nextOccurrence);
+  const startKey = recurrence.toDateKey(scheduledTask.scheduledStartDate) || nextKey;
+  let due = [];
+  let occurrenceCount = scheduledTask.occurrenceCount || 0;
+  let next = nextKey ? {date: nextKey, seriesDate: scheduledTask.nextSeriesDate || nextKey} : null;
+
+  while (next && recurrence.fromDateKey(next.date) <= now && due.length < MAX_OCCURRENCES_PER_RUN) {
+    due.push({...next, at: recurrence.fromDateKey(next.date)});
+    if (policy !== MISSED_OCCURRENCE_POLICIES.ALL) {
+      due = selectOccurrencesToCreate(due, policy, now);
+    }
+    occurrenceCount += 1;
+
+    const [following] = recurrence.getUpcomingOccurrences(pattern, startKey, {
+      after: next.seriesDate,
+      limit: 1,
+      holidays,
+    });
+    if (!following) {
+      return {due, next: null, occurrenceCount, ended: !isRegeneratePattern(pattern)};
+    }
+    next = following;
+  }
+
+  return {due, next, occurrenceCount, ended: false};
+}
+
+/**
+ * Which due occurrences to create under a missed-occurrence policy
+ * @param {Array<{at: Date}>} due - Oldest first
+ * @param {string} policy - One of MISSED_OCCURRENCE_POLICIES
+ * @param {Date} now
+ * @returns {Array}
+ */
+function selectOccurrencesToCreate(due, policy, now) {
+  if (due.length === 0) return [];
+  switch (policy) {
+    case MISSED_OCCURRENCE_POLICIES.ALL:
+      return due;
+    case MISSED_OCCURRENCE_POLICIES.SKIP:
+      return due.filter((occurrence) => now.getTime() - occurrence.at.getTime() < MISSED_AFTER_MS);
+    default:
+      return [due[due.length - 1]];
+  }
+}
+
+function buildOccurrenceTask(scheduledTask, scheduledTaskId, occurrence) {
+  const assignedUserIds = Array.isArray(scheduledTask.assignedUserIds) ?
+    scheduledTask.assignedUserIds :
+    scheduledTask.assignedUserIds ? [scheduledTask.assignedUserIds] : [];
+
+  return {
+    title: scheduledTask.title,
+    description: scheduledTask.description || "",
+    assignedUserIds,
+    observerIds: Array.isArray(scheduledTask.observerIds) ? scheduledTask.observerIds : [],
+    assignedById: scheduledTask.assignedById,
+    assignedByName: scheduledTask.assignedByName,
+    departmentId: scheduledTask.departmentId,
+    difficulty: scheduledTask.difficulty,
+    points: scheduledTask.points,
+    targetDate: occurrence.date,
+    status: "Pending",
+    notes: scheduledTask.notes || [],
+    photos: scheduledTask.photos || [],
+    // Every occurrence starts with all checklist items unchecked
+    checklist: (scheduledTask.checklist || []).map((item) => ({
+      ...item, done: false, doneBy: null, doneByName: null, doneAt: null,
+    })),
+    requireChecklistComplete: scheduledTask.requireChecklistComplete || false,
+    requiresReview: scheduledTask.requiresReview || false,
+    isUrgent: scheduledTask.isUrgent || false,
+    isRdNewSkill: scheduledTask.isRdNewSkill || false,
+    projectSkillName: scheduledTask.projectSkillName || "",
+    goalId: scheduledTask.goalId || null,
+    keyResultId: scheduledTask.keyResultId || null,
+    projectId: scheduledTask.projectId || null,
+    isScheduled: false, // This is the actual task, not the schedule
+    parentScheduledTaskId: scheduledTaskId,
+    occurrenceDate: occurrence.seriesDate,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+function buildScheduleUpdate(plan, recurrence) {
+  const update = {
+    occurrenceCount: plan.occurrenceCount,
+    lastProcessedAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastError: admin.firestore.FieldValue.delete(),
+  };
+  if (plan.ended) {
+    return {
+      ...update,
+      isActive: false,
+      nextOccurrence: null,
+      nextSeriesDate: null,
+      endedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+  }
+  if (!plan.next) {
+    // Regenerate schedules stay active and wait for the generated task to complete (see onTaskCompleted)
+    return {...update, nextOccurrence: null, nextSeriesDate: null, endedAt: null};
+  }
+  return {
+    ...update,
+    nextOccurrence: admin.firestore.Timestamp.fromDate(recurrence.fromDateKey(plan.next.date)),
+    nextSeriesDate: plan.next.seriesDate,
+  };
+}
+
+/**
+ * Create the due occurrences of one schedule. Runs in a transaction so a
+ * concurrent run either sees the advanced `nextOccurrence` or retries.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} scheduleRef
+ * @param {Date} now
+ * @param {Object} context - {recurrence, holidays}, see planOccurrences
+ * @returns {Promise<Array<{id: string, title: string, targetUserIds: string[]}>>} Tasks created
+ */
+async function processScheduledTask(db, scheduleRef, now, context) {
+  const {recurrence} = context;
+  return db.runTransaction(async (tx) => {
+    const scheduleSnap = await tx.get(scheduleRef);
+    if (!scheduleSnap.exists) return [];
+    const scheduledTask = scheduleSnap.data();
+    const nextKey = recurrence.toDateKey(scheduledTask.nextOccurrence);
+    if (!scheduledTask.isActive || !nextKey || recurrence.fromDateKey(nextKey) > now) return [];
+
+    const policy = getMissedOccurrencePolicy(scheduledTask.recurrencePattern);
+    const plan = planOccurrences(scheduledTask, now, {...context, policy});
+    const occurrences = selectOccurrencesToCreate(plan.due, policy, now);
+    const taskRefs = occurrences.map((occurrence) => (
+      db.collection("tasks").doc(getOccurrenceTaskId(scheduleSnap.id, occurrence.seriesDate))
+    ));
+    const existing = taskRefs.length > 0 ? await tx.getAll(...taskRefs) : [];
+
+    const created = [];
+    occurrences.forEach((occurrence, index) => {
+      if (existing[index].exists) return;
+      const taskData = buildOccurrenceTask(scheduledTask, scheduleSnap.id, occurrence);
+      tx.create(taskRefs[index], taskData);
+      created.push({
+        id: taskRefs[index].id,
+        title: taskData.title,
+        targetUserIds: [...new Set([...taskData.assignedUserIds, ...taskData.observerIds])],
+      });
+    });
+
+    tx.update(scheduleRef, buildScheduleUpdate(plan, recurrence));
+    return created;
+  });
+}
+
+/**
+ * Create the due occurrences of every active schedule
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{schedules: number, created: Array, failed: number}>}
+ */
+async function processDueScheduledTasks(db, {now = new Date()} = {}) {
+  const recurrence = await loadRecurrence();
+
+  // Filter by nextOccurrence in memory to avoid a compound index
+  const snapshot = await db.collection("scheduledTasks").where("isActive", "==", true).get();
+  const dueDocs = snapshot.docs.filter((doc) => {
+    const nextKey = recurrence.toDateKey(doc.get("nextOccurrence"));
+    return nextKey && recurrence.fromDateKey(nextKey) <= now;
+  });
+
+  const result = {schedules: dueDocs.length, created: [], failed: 0};
+  if (dueDocs.length === 0) return result;
+
+  const holidaysSnapshot = await db.collection("holidays").get();
+  const context = {recurrence, holidays: holidaysSnapshot.docs.map((doc) => doc.data())};
+
+  for (const doc of dueDocs) {
+    try {
+      result.created.push(...await processScheduledTask(db, doc.ref, now, context));
+    } catch (error) {
+      logger.error(`Error processing scheduled task ${doc.id}:`, error);
+      result.failed++;
+      await doc.ref.update({
+        lastError: error.message,
+        lastProcessedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }).catch(() => {});
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  MISSED_OCCURRENCE_POLICIES,
+  getOccurrenceTaskId,
+  getMissedOccurrencePolicy,
+  planOccurrences,
+  selectOccurrencesToCreate,
+  processDueScheduledTasks,
+};
@@ -0,0 +1,354 @@
+// GENERATED by scripts/syncSharedModules.js from src/shared/utils/approvalChains.js - do not edit.
+/**
+ * Approval Chains
+ *
+ * Single source of truth for who approves what. Each department can configure
+ * a chain per action type on its document (`approvalChains`, edited in the
+ * Admin panel); types it leaves out use DEFAULT_APPROVAL_CHAINS. A chain is a
+ * list of ordered steps, and each step is approved by any one of its
+ * approvers:
+ *   'heads'       the heads of the request's department
+ *   'management'  every Management user
+ *   'admins'      every Admin
+ *   'user:<id>'   one named user
+ * Approvers are resolved to user ids when a request is opened, leaving out
+ * the requester; a step nobody could approve falls back to the Admins.
+ *
+ * People on leave name a delegate on their own user document:
+ *   delegation: { delegateId, delegateName, startDate, endDate } // "YYYY-MM-DD", IST
+ * While the leave lasts, the delegate may decide in their place. Admins may
+ * decide any step. The requester never decides their own request.
+ *
+ * Requests are stored in `approvalRequests` and decided by the decideApproval
+ * Cloud Function (functions/approvals.js), which uses a generated copy at
+ * functions/shared/approvalChains.mjs (run `node scripts/syncSharedModules.js`
+ * after editing).
+ *
+ * IMPORTANT: This module must stay pure (no imports, no I/O).
+ */
+
+export const APPROVAL_TYPES = {
+  SELF_ASSIGNED_TASK: 'self_assigned_task',
+  CRITICAL_TASK: 'critical_task',
+  POINTS_ADJUSTMENT: 'points_adjustment',
+  VOUCHER_REDEMPTION: 'voucher_redemption',
+};
+
+export const APPROVAL_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+};
+
+export const APPROVAL_DECISIONS = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+};
+
+export const APPROVER_GROUPS = {
+  HEADS: 'heads',
+  MANAGEMENT: 'management',
+  ADMINS: 'admins',
+};
+
+const USER_APPROVER_PREFIX = 'user:';
+
+// Role of the users in each approver group
+const GROUP_ROLES = {
+  [APPROVER_GROUPS.HEADS]: 'Head',
+  [APPROVER_GROUPS.MANAGEMENT]: 'Management',
+  [APPROVER_GROUPS.ADMINS]: 'Admin',
+};
+
+// Points adjustment and voucher chains only apply from `minPoints` up
+export const DEFAULT_APPROVAL_CHAINS = {
+  // What the single approve/reject step used to do: any head or Management
+  [APPROVAL_TYPES.SELF_ASSIGNED_TASK]: {
+    enabled: true,
+    steps: [{ approvers: [APPROVER_GROUPS.HEADS, APPROVER_GROUPS.MANAGEMENT] }],
+  },
+  [APPROVAL_TYPES.CRITICAL_TASK]: {
+    enabled: false,
+    steps: [{ approvers: [APPROVER_GROUPS.HEADS] }, { approvers: [APPROVER_GROUPS.MANAGEMENT] }],
+  },
+  [APPROVAL_TYPES.POINTS_ADJUSTMENT]: {
+    enabled: false,
+    minPoints: 0,
+    steps: [{ approvers: [APPROVER_GROUPS.MANAGEMENT] }],
+  },
+  [APPROVAL_TYPES.VOUCHER_REDEMPTION]: {
+    enabled: false,
+    minPoints: 1000,
+    steps: [{ approvers: [APPROVER_GROUPS.HEADS] }],
+  },
+};
+
+const POINTS_TYPES = [APPROVAL_TYPES.POINTS_ADJUSTMENT, APPROVAL_TYPES.VOUCHER_REDEMPTION];
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * @param {string} userId
+ * @returns {string} Approver token for one user
+ */
+export function userApprover(userId) {
+  return `${USER_APPROVER_PREFIX}${userId}`;
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} The user id of a 'user:<id>' token
+ */
+export function getApproverUserId(token) {
+  return typeof token === 'string' && token.startsWith(USER_APPROVER_PREFIX)
+    ? token.slice(USER_APPROVER_PREFIX.length) || null
+    : null;
+}
+
+const isApproverToken = (token) => Boolean(GROUP_ROLES[token] || getApproverUserId(token));
+
+/**
+ * @param {string} type - One of APPROVAL_TYPES
+ * @returns {boolean} Whether the chain for this type has a points threshold
+ */
+export function hasPointsThreshold(type) {
+  return POINTS_TYPES.includes(type);
+}
+
+/**
+ * A chain with defaults filled in and unknown approvers and empty steps dropped
+ * @param {string} type - One of APPROVAL_TYPES
+ * @param {Object} [chain] - As stored on the department
+ * @returns {Object} { enabled, steps: [{ approvers }], minPoints? }
+ */
+export function normalizeApprovalChain(type, chain) {
+  const defaults = DEFAULT_APPROVAL_CHAINS[type];
+  if (!defaults) throw new Error(`Unknown approval type: ${type}`);
+
+  const merged = { ...defaults, ...(chain || {}) };
+  const steps = (Array.isArray(merged.steps) ? merged.steps : [])
+    .map((step) => ({ approvers: [...new Set((step?.approvers || []).filter(isApproverToken))] }))
+    .filter((step) => step.approvers.length > 0);
+
+  const normalized = { enabled: merged.enabled === true, steps };
+  if (hasPointsThreshold(type)) {
+    const minPoints = Number(merged.minPoints);
+    normalized.minPoints = Number.isFinite(minPoints) && minPoints > 0 ? Math.floor(minPoints) : 0;
+  }
+  return normalized;
+}
+
+/**
+ * The chain a department uses for an action type
+ * @param {Object} [department]
+ * @param {string} type - One of APPROVAL_TYPES
+ * @returns {Object} Normalized chain
+ */
+export function getApprovalChain(department, type) {
+  return normalizeApprovalChain(type, department?.approvalChains?.[type]);
+}
+
+/**
+ * Whether an action needs to go through a chain
+ * @param {Object} chain - Normalized chain
+ * @param {Object} [action]
+ * @param {number} [action.points] - Points adjusted or spent, for points chains
+ * @returns {boolean}
+ */
+export function chainApplies(chain, { points = 0 } = {}) {
+  if (!chain?.enabled || chain.steps.length === 0) return false;
+  return chain.minPoints === undefined || Math.abs(Number(points) || 0) >= chain.minPoints;
+}
+
+/**
+ * User ids of a step's approvers
+ * @param {string[]} approvers - Approver tokens
+ * @param {Object} context
+ * @param {Array} context.users
+ * @param {string} [context.departmentId] - Department whose heads approve
+ * @param {string} [context.requesterId] - Left out
+ * @returns {string[]}
+ */
+export function resolveApprovers(approvers, { users, departmentId = null, requesterId = null }) {
+  const ids = new Set();
+  approvers.forEach((token) => {
+    const userId = getApproverUserId(token);
+    if (userId) {
+      if (users.some((user) => user.id === userId)) ids.add(userId);
+      return;
+    }
+    users
+      .filter((user) => user.role === GROUP_ROLES[token])
+      .filter((user) => token !== APPROVER_GROUPS.HEADS || (user.departmentIds || []).includes(departmentId))
+      .forEach((user) => ids.add(user.id));
+  });
+  ids.delete(requesterId);
+  return [...ids];
+}
+
+/**
+ * The steps of a new request, with approvers resolved
+ * @param {Object} chain - Normalized chain
+ * @param {Object} context - See resolveApprovers
+ * @returns {Array} Steps as stored on the request; none when nobody but the requester could approve
+ */
+export function buildApprovalSteps(chain, context) {
+  const admins = resolveApprovers([APPROVER_GROUPS.ADMINS], context);
+  return chain.steps.map((step) => {
+    const approverIds = resolveApprovers(step.approvers, context);
+    return {
+      approvers: step.approvers,
+      approverIds: approverIds.length > 0 ? approverIds : admins,
+      status: APPROVAL_STATUSES.PENDING,
+      decidedById: null,
+      decidedByName: null,
+      onBehalfOfId: null,
+      onBehalfOfName: null,
+      decidedAt: null,
+      reason: null,
+    };
+  }).filter((step) => step.approverIds.length > 0);
+}
+
+/**
+ * @param {Date} [date]
+ * @returns {string} "YYYY-MM-DD" in IST, as delegation dates are written
+ */
+export function toApprovalDateKey(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a user has handed their approvals to a delegate on a day
+ * @param {Object} [user]
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+export function isOnLeave(user, dateKey) {
+  const delegation = user?.delegation;
+  if (!delegation?.delegateId || delegation.delegateId === user.id) return false;
+  if (delegation.startDate && dateKey < delegation.startDate) return false;
+  if (delegation.endDate && dateKey > delegation.endDate) return false;
+  return true;
+}
+
+/**
+ * @param {Object} request
+ * @returns {Object|null} The step waiting for a decision
+ */
+export function getCurrentStep(request) {
+  if (request?.status !== APPROVAL_STATUSES.PENDING) return null;
+  return request.steps?.[request.currentStep] || null;
+}
+
+/**
+ * Who may decide a step: its approvers, and the delegates of those on leave
+ * @param {Object} step
+ * @param {Array} users
+ * @param {string} dateKey
+ * @returns {Array<{userId: string, onBehalfOf: Object|null}>}
+ */
+export function getStepDeciders(step, users, dateKey) {
+  const deciders = new Map();
+  (step?.approverIds || []).forEach((approverId) => {
+    if (!deciders.has(approverId)) deciders.set(approverId, { userId: approverId, onBehalfOf: null });
+    const approver = users.find((user) => user.id === approverId);
+    if (!isOnLeave(approver, dateKey)) return;
+    const { delegateId } = approver.delegation;
+    if (!deciders.has(delegateId)) {
+      deciders.set(delegateId, { userId: delegateId, onBehalfOf: { id: approver.id, name: approver.name || '' } });
+    }
+  });
+  return [...deciders.values()];
+}
+
+/**
+ * How a user may decide a request's current step
+ * @param {Object} request
+ * @param {Object} user
+ * @param {Array} users
+ * @param {string} dateKey
+ * @returns {Object|null} { onBehalfOf } (null when deciding as themselves), or null if they may not
+ */
+export function getDecisionRight(request, user, users, dateKey) {
+  const step = getCurrentStep(request);
+  if (!step || !user || user.id === request.requestedById) return null;
+
+  const decider = getStepDeciders(step, users, dateKey).find((entry) => entry.userId === user.id);
+  if (decider) return { onBehalfOf: decider.onBehalfOf };
+  if (user.role === GROUP_ROLES[APPROVER_GROUPS.ADMINS]) return { onBehalfOf: null };
+  return null;
+}
+
+/**
+ * @returns {boolean} Whether the user may decide the request's current step
+ */
+export function canDecide(request, user, users, dateKey) {
+  return getDecisionRight(request, user, users, dateKey) !== null;
+}
+
+/**
+ * Record a decision on the current step
+ * @param {Object} request
+ * @param {Object} decision
+ * @param {string} decision.decision - One of APPROVAL_DECISIONS
+ * @param {string} [decision.reason] - Required to reject
+ * @param {Object} decision.decider - { id, name }
+ * @param {Object} [decision.onBehalfOf] - { id, name } of the approver on leave
+ * @param {*} decision.decidedAt
+ * @returns {Object} { steps, currentStep, status }; status is final once the last step approves or any step rejects
+ */
+export function applyDecision(request, { decision, reason = '', decider, onBehalfOf = null, decidedAt }) {
+  const step = getCurrentStep(request);
+  if (!step) throw new Error('This request is no longer pending');
+  if (!Object.values(APPROVAL_DECISIONS).includes(decision)) throw new Error(`Unknown decision: ${decision}`);
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  const isRejection = decision === APPROVAL_DECISIONS.REJECT;
+  if (isRejection && !trimmedReason) throw new Error('A reason is required to reject');
+
+  const steps = request.steps.map((entry, index) => (index !== request.currentStep ? entry : {
+    ...entry,
+    status: isRejection ? APPROVAL_STATUSES.REJECTED : APPROVAL_STATUSES.APPROVED,
+    decidedById: decider.id,
+    decidedByName: decider.name || '',
+    onBehalfOfId: onBehalfOf?.id || null,
+    onBehalfOfName: onBehalfOf?.name || null,
+    decidedAt,
+    reason: trimmedReason || null,
+  }));
+
+  if (isRejection) {
+    return { steps, currentStep: request.currentStep, status: APPROVAL_STATUSES.REJECTED };
+  }
+  const isLastStep = request.currentStep >= steps.length - 1;
+  return {
+    steps,
+    currentStep: isLastStep ? request.currentStep : request.currentStep + 1,
+    status: isLastStep ? APPROVAL_STATUSES.APPROVED : APPROVAL_STATUSES.PENDING,
+  };
+}
+
+/**
+ * Pending requests waiting for a user's decision, oldest first
+ * @param {Array} requests
+ * @param {Object} user
+ * @param {Array} users
+ * @param {string} dateKey
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDismissed]
+ * @returns {Array}
+ */
+export function getInboxRequests(requests, user, users, dateKey, { includeDismissed = false } = {}) {
+  const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value.seconds === 'number') return value.seconds * 1000;
+    return new Date(value).getTime() || 0;
+  };
+  return requests
+    .filter((request) => canDecide(request, user, users, dateKey))
+    .filter((request) => includeDismissed || !(request.dismissedBy || []).includes(user.id))
+    .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+}
@@ -0,0 +1,468 @@
+// GENERATED by scripts/syncSharedModules.js from src/shared/utils/pointsEngine.js - do not edit.
+/**
+ * Points Engine
+ *
+ * Single source of truth for every score shown in the app and archived by
+ * Cloud Functions: Execution Points (EP), Leadership Points (LP), daily
+ * bonus, penalties and the resulting Total Contribution Score (TCS).
+ *
+ * This module is intentionally pure and dependency-free. Cloud Functions
+ * consume a verbatim copy at functions/shared/pointsEngine.mjs, kept in sync
+ * by scripts/syncSharedModules.js (runs as a functions predeploy step).
+ * Do not add imports here.
+ */
+
+export const DIFFICULTY_POINTS = {
+  easy: 10,
+  medium: 25,
+  hard: 50,
+  critical: 100,
+};
+
+// Used when a task has neither a known difficulty nor explicit points
+export const DEFAULT_TASK_POINTS = 50;
+
+export const EP_RULES = {
+  RD_MULTIPLIER: 5,
+  COLLABORATION_BONUS: 0.10,
+  URGENT_BONUS: 0.25,
+};
+
+export const LP_RULES = {
+  COMPLETION_BONUS: 0.20,
+  RD_COMPLETION_BONUS: 0.50,
+  DIFFICULTY_FAIRNESS: 0.05,
+  ON_TIME_DELIVERY: 0.05,
+  FAIRNESS_TOLERANCE: 0.5,
+  // Expected completion time per difficulty (in hours). Tasks may carry their
+  // department's calibrated value instead (see getTaskExpectedHours).
+  DIFFICULTY_EXPECTATIONS: {
+    easy: 4,
+    medium: 12,
+    hard: 48,
+    critical: 120,
+  },
+  DEFAULT_EXPECTED_HOURS: 12,
+};
+
+const COMPLETE_STATUS = 'Complete';
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Normalise any timestamp shape we store (Firestore Timestamp, serialised
+ * {seconds, nanoseconds}, Date, ISO string, epoch millis) into a Date.
+ * @param {*} value
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+  if (!value) return null;
+
+  try {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value;
+    }
+    if (isObject(value)) {
+      if (typeof value.toDate === 'function') return value.toDate();
+      if (typeof value.toMillis === 'function') return new Date(value.toMillis());
+      if (value.seconds !== undefined) {
+        return new Date(value.seconds * 1000 + (value.nanoseconds || 0) / 1000000);
+      }
+      return null;
+    }
+    if (typeof value === 'string' || typeof value === 'number') {
+      const parsed = new Date(value);
+      return Number.isNaN(parsed.getTime()) ? null : parsed;
+    }
+  } catch {
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Completion date of a task, falling back to updatedAt/createdAt for legacy
+ * tasks that were completed before completedAt was recorded.
+ * @param {Object} task
+ * @returns {Date|null}
+ */
+export function getTaskCompletionDate(task) {
+  if (!task) return null;
+  return toDate(task.completedAt) || toDate(task.updatedAt) || toDate(task.createdAt);
+}
+
+const isWithinRange = (date, startDate, endDate) => {
+  if (!date) return false;
+  if (startDate && date < startDate) return false;
+  if (endDate && date > endDate) return false;
+  return true;
+};
+
+/**
+ * Ids of the users a task is assigned to (supports legacy single assignee).
+ * @param {Object} task
+ * @returns {string[]}
+ */
+export function getTaskAssigneeIds(task) {
+  if (!task) return [];
+  if (Array.isArray(task.assignedUserIds)) return task.assignedUserIds.filter(Boolean);
+  if (task.assignedUserId) return [task.assignedUserId];
+  return [];
+}
+
+/**
+ * Base points for a task before the per-assignee split.
+ * @param {Object} task
+ * @returns {number}
+ */
+export function getTaskBasePoints(task) {
+  const difficultyKey = typeof task?.difficulty === 'string' ? task.difficulty.toLowerCase() : '';
+  let basePoints = DEFAULT_TASK_POINTS;
+
+  if (difficultyKey && DIFFICULTY_POINTS[difficultyKey] !== undefined) {
+    basePoints = DIFFICULTY_POINTS[difficultyKey];
+  } else if (typeof task?.points === 'number') {
+    basePoints = task.points;
+  }
+
+  if (task?.isRdNewSkill) {
+    basePoints = basePoints * EP_RULES.RD_MULTIPLIER;
+  }
+
+  return basePoints;
+}
+
+/**
+ * Share of a task's checklist each assignee checked off. Items checked by
+ * someone who is not an assignee are ignored.
+ * @param {Object} task
+ * @returns {Object|null} userId -> fraction of the checked items, or null when
+ *   points are split evenly (single assignee, no checklist, nothing checked)
+ */
+export function getChecklistShares(task) {
+  const assigneeIds = getTaskAssigneeIds(task);
+  const items = Array.isArray(task?.checklist) ? task.checklist : [];
+  if (assigneeIds.length < 2 || items.length === 0) return null;
+
+  const counts = {};
+  let checked = 0;
+  items.forEach((item) => {
+    if (!item?.done || !assigneeIds.includes(item.doneBy)) return;
+    counts[item.doneBy] = (counts[item.doneBy] || 0) + 1;
+    checked += 1;
+  });
+  if (checked === 0) return null;
+
+  return Object.fromEntries(assigneeIds.map((id) => [id, (counts[id] || 0) / checked]));
+}
+
+/**
+ * Execution Points earned by each assignee of a task.
+ *
+ * EP = (BasePoints / Assignees) + CollaborationBonus + UrgentBonus
+ * R&D/New Skill tasks get 5x base points and no bonuses.
+ *
+ * When assignees checked off different checklist items, the task's total EP
+ * is split in proportion to the items each of them checked.
+ *
+ * @param {Object} task - The task
+ * @param {string} [userId] - When given, returns that user's EP (0 unless an assignee);
+ *   otherwise the even per-assignee EP
+ * @returns {number} EP per assignee
+ */
+export function calculateTaskPoints(task, userId = null) {
+  const assigneeIds = getTaskAssigneeIds(task);
+  const assignedUserCount = assigneeIds.length;
+  if (assignedUserCount === 0) return 0;
+  if (userId && !assigneeIds.includes(userId)) return 0;
+
+  const isRdNewSkill = Boolean(task.isRdNewSkill);
+  const basePointsPerUser = Math.round(getTaskBasePoints(task) / assignedUserCount);
+
+  const collaborationBonus = !isRdNewSkill && assignedUserCount > 1
+    ? Math.round(basePointsPerUser * EP_RULES.COLLABORATION_BONUS)
+    : 0;
+  const urgentBonus = !isRdNewSkill && task.isUrgent
+    ? Math.round(basePointsPerUser * EP_RULES.URGENT_BONUS)
+    : 0;
+
+  const pointsPerUser = basePointsPerUser + collaborationBonus + urgentBonus;
+  const shares = userId ? getChecklistShares(task) : null;
+  if (shares) {
+    return Math.round(pointsPerUser * assignedUserCount * shares[userId]);
+  }
+  return pointsPerUser;
+}
+
+/**
+ * Hours of work a task took: the time its assignees tracked in work sessions
+ * (`workedMinutes`), or for untracked tasks the time from start to completion.
+ * @param {Object} task
+ * @returns {number|null} null when neither is known
+ */
+export function getTaskHoursTaken(task) {
+  if (typeof task?.workedMinutes === 'number' && task.workedMinutes > 0) {
+    return task.workedMinutes / 60;
+  }
+
+  const startDate = toDate(task?.startedAt);
+  const completeDate = toDate(task?.completedAt);
+  if (!startDate || !completeDate) return null;
+  return (completeDate - startDate) / (1000 * 60 * 60);
+}
+
+/**
+ * Hours a task is expected to take: the `expectedHours` stamped on it from its
+ * department's effort calibration when it was created, else the default for
+ * its difficulty.
+ * @param {Object} task
+ * @returns {number}
+ */
+export function getTaskExpectedHours(task) {
+  if (typeof task?.expectedHours === 'number' && task.expectedHours > 0) {
+    return task.expectedHours;
+  }
+
+  const difficultyKey = typeof task?.difficulty === 'string' ? task.difficulty.toLowerCase() : '';
+  return LP_RULES.DIFFICULTY_EXPECTATIONS[difficultyKey] || LP_RULES.DEFAULT_EXPECTED_HOURS;
+}
+
+/**
+ * Leadership Points for a completed task, awarded to its assigner.
+ *
+ * - Completion Bonus: 20% of EP (50% for R&D/New Skill tasks)
+ * - Difficulty Fairness: 5% of EP if the hours taken (see getTaskHoursTaken)
+ *   are within tolerance of the hours expected (see getTaskExpectedHours)
+ * - On-Time Delivery: 5% of EP if completed on/before the target date
+ * Fairness and on-time bonuses do not apply to R&D/New Skill tasks.
+ *
+ * @param {Object} task - The completed task
+ * @param {number} taskExecutionPoints - EP earned by the task completer
+ * @returns {Object} { completionBonus, difficultyFairness, onTimeBonus, total, breakdown }
+ */
+export function calculateLeadershipPoints(task, taskExecutionPoints) {
+  if (!task || !taskExecutionPoints) {
+    return { completionBonus: 0, difficultyFairness: 0, onTimeBonus: 0, total: 0 };
+  }
+
+  const isRdNewSkill = Boolean(task.isRdNewSkill);
+  let difficultyFairness = 0;
+  let onTimeBonus = 0;
+
+  const completionBonus = Math.round(
+    taskExecutionPoints * (isRdNewSkill ? LP_RULES.RD_COMPLETION_BONUS : LP_RULES.COMPLETION_BONUS)
+  );
+
+  const completeDate = toDate(task.completedAt);
+  const timeTakenHours = getTaskHoursTaken(task);
+
+  if (!isRdNewSkill && completeDate && timeTakenHours !== null) {
+    const expectedHours = getTaskExpectedHours(task);
+
+    if (timeTakenHours <= expectedHours * (1 + LP_RULES.FAIRNESS_TOLERANCE)) {
+      difficultyFairness = Math.round(taskExecutionPoints * LP_RULES.DIFFICULTY_FAIRNESS);
+    }
+  }
+
+  const targetDate = toDate(task.targetDate);
+  if (!isRdNewSkill && completeDate && targetDate && completeDate <= targetDate) {
+    onTimeBonus = Math.round(taskExecutionPoints * LP_RULES.ON_TIME_DELIVERY);
+  }
+
+  const total = completionBonus + difficultyFairness + onTimeBonus;
+
+  return {
+    completionBonus,
+    difficultyFairness,
+    onTimeBonus,
+    total,
+    breakdown: `Completion: ${completionBonus} | Fairness: ${difficultyFairness} | On-Time: ${onTimeBonus}`,
+  };
+}
+
+/**
+ * Parse a YYYY-MM-DD ledger key into a local Date at midnight. Suffixed keys
+ * such as "2025-01-15-adj-1736900000000" resolve to their date part.
+ * @param {string} key
+ * @returns {Date|null}
+ */
+export function parseDateKey(key) {
+  if (typeof key !== 'string') return null;
+
+  const parts = key.slice(0, 10).split('-').map((segment) => Number.parseInt(segment, 10));
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+
+  const [year, month, day] = parts;
+  return new Date(year, month - 1, day, 0, 0, 0, 0);
+}
+
+/**
+ * Points stored in a ledger entry (either a number or { points }).
+ * @param {number|Object} entry
+ * @returns {number}
+ */
+export function getPointsFromEntry(entry) {
+  if (typeof entry === 'number') return entry;
+  if (isObject(entry) && typeof entry.points === 'number') return entry.points;
+  return 0;
+}
+
+/**
+ * Entries of a date-keyed ledger (dailyBonusLedger, penaltyLedger) within a range.
+ * @param {Object} ledger
+ * @param {Date|null} startDate
+ * @param {Date|null} endDate
+ * @returns {Array<{dateKey: string, date: Date, entry: *}>}
+ */
+export function getLedgerEntriesInRange(ledger, startDate = null, endDate = null) {
+  if (!isObject(ledger)) return [];
+
+  return Object.entries(ledger).reduce((acc, [dateKey, entry]) => {
+    const date = parseDateKey(dateKey);
+    if (!date || !isWithinRange(date, startDate, endDate)) return acc;
+    acc.push({ dateKey, date, entry });
+    return acc;
+  }, []);
+}
+
+const sumLedgerInRange = (ledger, startDate, endDate) => {
+  return getLedgerEntriesInRange(ledger, startDate, endDate)
+    .reduce((sum, { entry }) => sum + getPointsFromEntry(entry), 0);
+};
+
+/**
+ * Daily bonus points claimed within a range.
+ * @param {Object} ledger - user.dailyBonusLedger
+ * @returns {number}
+ */
+export function getBonusPointsInRange(ledger, startDate = null, endDate = null) {
+  return sumLedgerInRange(ledger, startDate, endDate);
+}
+
+/**
+ * Penalty points recorded within a range. Penalties are stored as positive
+ * numbers and subtracted when computing TCS.
+ * @param {Object} ledger - user.penaltyLedger
+ * @returns {number}
+ */
+export function getPenaltyPointsInRange(ledger, startDate = null, endDate = null) {
+  return Math.abs(sumLedgerInRange(ledger, startDate, endDate));
+}
+
+/**
+ * TCS (Total Contribution Score) = EP + LP + Bonuses - Penalties
+ * @returns {number}
+ */
+export function calculateTCS(executionPoints, leadershipPoints, bonuses = 0, penalties = 0) {
+  return executionPoints + leadershipPoints + bonuses - penalties;
+}
+
+const isCompletedInRange = (task, startDate, endDate) => {
+  if (!task || task.status !== COMPLETE_STATUS) return false;
+  if (!startDate && !endDate) return true;
+  return isWithinRange(getTaskCompletionDate(task), startDate, endDate);
+};
+
+/**
+ * Tasks a user completed as an assignee within a range.
+ * @param {Array} tasks
+ * @param {string} userId
+ * @param {Object} [range] - { startDate, endDate }
+ * @returns {Array}
+ */
+export function getCompletedTasksForUser(tasks, userId, { startDate = null, endDate = null } = {}) {
+  if (!Array.isArray(tasks) || !userId) return [];
+  return tasks.filter((task) =>
+    getTaskAssigneeIds(task).includes(userId) && isCompletedInRange(task, startDate, endDate)
+  );
+}
+
+/**
+ * Total EP a user earned within a range.
+ * @returns {number}
+ */
+export function calculateExecutionPointsForUser(tasks, userId, range = {}) {
+  return getCompletedTasksForUser(tasks, userId, range)
+    .reduce((total, task) => total + calculateTaskPoints(task, userId), 0);
+}
+
+/**
+ * Total LP earned by a manager for tasks they assigned that were completed within a range.
+ * @param {Array} tasks
+ * @param {string} managerId
+ * @param {Object} [range] - { startDate, endDate }
+ * @returns {Object} { total, completionBonus, difficultyFairness, onTimeBonus, tasksAwarded }
+ */
+export function calculateLeadershipPointsForUser(tasks, managerId, { startDate = null, endDate = null } = {}) {
+  const result = { total: 0, completionBonus: 0, difficultyFairness: 0, onTimeBonus: 0, tasksAwarded: 0 };
+  if (!Array.isArray(tasks) || !managerId) return result;
+
+  tasks.forEach((task) => {
+    if (task?.assignedById !== managerId || !isCompletedInRange(task, startDate, endDate)) return;
+
+    const lp = calculateLeadershipPoints(task, calculateTaskPoints(task));
+    result.completionBonus += lp.completionBonus;
+    result.difficultyFairness += lp.difficultyFairness;
+    result.onTimeBonus += lp.onTimeBonus;
+    result.total += lp.total;
+    result.tasksAwarded += 1;
+  });
+
+  return result;
+}
+
+/**
+ * Full score for a user within a range (omit the range for all-time).
+ * @param {Object} user - User document (reads id, dailyBonusLedger, penaltyLedger)
+ * @param {Array} tasks - All tasks
+ * @param {Object} [range] - { startDate, endDate }
+ * @returns {Object} { executionPoints, leadershipPoints, leadership, bonusPoints, penaltyPoints, tcs, completedTasks }
+ */
+export function calculateUserScore(user, tasks, range = {}) {
+  const userId = user?.id || null;
+  const startDate = range.startDate || null;
+  const endDate = range.endDate || null;
+
+  const completedTasks = getCompletedTasksForUser(tasks, userId, { startDate, endDate });
+  const executionPoints = completedTasks.reduce((total, task) => total + calculateTaskPoints(task, userId), 0);
+  const leadership = calculateLeadershipPointsForUser(tasks, userId, { startDate, endDate });
+  const bonusPoints = getBonusPointsInRange(user?.dailyBonusLedger, startDate, endDate);
+  const penaltyPoints = getPenaltyPointsInRange(user?.penaltyLedger, startDate, endDate);
+
+  return {
+    executionPoints,
+    leadershipPoints: leadership.total,
+    leadership,
+    bonusPoints,
+    penaltyPoints,
+    tcs: calculateTCS(executionPoints, leadership.total, bonusPoints, penaltyPoints),
+    completedTasks: completedTasks.length,
+  };
+}
+
+/**
+ * Leaderboard rows for all users within a range, sorted by TCS (highest first).
+ * @param {Array} users
+ * @param {Array} tasks
+ * @param {Object} [range] - { startDate, endDate }
+ * @returns {Array}
+ */
+export function calculateRankings(users, tasks, range = {}) {
+  if (!Array.isArray(users)) return [];
+
+  return users.map((user) => {
+    const score = calculateUserScore(user, tasks, range);
+    return {
+      id: user.id,
+      name: user.name || 'Unknown',
+      executionPoints: score.executionPoints,
+      leadershipPoints: score.leadershipPoints,
+      bonusPoints: score.bonusPoints,
+      penaltyPoints: score.penaltyPoints,
+      tcs: score.tcs,
+      completedTasks: score.completedTasks,
+      departmentId: user.departmentIds?.[0] || null,
+    };
+  }).sort((a, b) => b.tcs - a.tcs);
+}
@@ -0,0 +1,491 @@
+// GENERATED by scripts/syncSharedModules.js from src/shared/utils/recurrence.js - do not edit.
+/**
+ * Recurrence Engine
+ *
+ * Single source of truth for when scheduled tasks recur. Patterns built in
+ * RecurrencePattern.jsx (daily/weekly/monthly/yearly, or `custom` with an
+ * iCalendar RRULE) are mapped to a subset of RFC 5545 RRULE and expanded
+ * here, with EXDATE exclusions and the company holiday calendar applied on
+ * top. The app uses it for first occurrences and the preview; the
+ * processScheduledTasks Cloud Function uses a generated copy at
+ * functions/shared/recurrence.mjs (run `node scripts/syncSharedModules.js`
+ * after editing).
+ *
+ * Dates are calendar days written as "YYYY-MM-DD" keys. The company works in
+ * IST, so timestamps are converted to keys in IST.
+ *
+ * Supported RRULE parts: FREQ (DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, COUNT,
+ * UNTIL, BYDAY (with ordinals such as 2SA or -1FR), BYMONTHDAY, BYMONTH,
+ * BYSETPOS and WKST (weeks always start on Monday).
+ *
+ * IMPORTANT: This module must stay pure (no imports, no I/O).
+ */
+
+export const HOLIDAY_POLICIES = {
+  IGNORE: 'ignore',
+  SKIP: 'skip',
+  SHIFT_LATER: 'shift_later', // Move to the next day that is not a holiday
+  SHIFT_EARLIER: 'shift_earlier', // Move to the previous day that is not a holiday
+};
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const MONTHLY_ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+// Pseudo weekday names for "the 2nd working day" style monthly patterns
+const WEEKDAY_GROUPS = {
+  weekday: ['MO', 'TU', 'WE', 'TH', 'FR'],
+  weekend_day: ['SA', 'SU'],
+};
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const PATTERN_FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MINUTES = 330;
+// Series are never expanded further than this past their start
+const HORIZON_YEARS = 100;
+// How far a holiday shift may move an occurrence
+const MAX_HOLIDAY_SHIFT_DAYS = 31;
+
+// ---- Date keys ----
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isDateKey = (value) => typeof value === 'string' && DATE_KEY_PATTERN.test(value);
+
+const keyToTime = (key) => Date.UTC(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, Number(key.slice(8, 10)));
+const timeToKey = (time) => new Date(time).toISOString().slice(0, 10);
+const makeKey = (year, monthIndex, day) => timeToKey(Date.UTC(year, monthIndex, day));
+const weekdayOf = (key) => new Date(keyToTime(key)).getUTCDay();
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+/**
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDays = (key, days) => timeToKey(keyToTime(key) + days * DAY_MS);
+
+/**
+ * Calendar day of a date, Firestore timestamp or date string in IST
+ * @param {Date|Object|string} value
+ * @param {number} [offsetMinutes] - Timezone offset from UTC
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+export function toDateKey(value, offsetMinutes = IST_OFFSET_MINUTES) {
+  if (!value) return null;
+  if (isDateKey(value)) return value;
+  let time = null;
+  if (value instanceof Date) time = value.getTime();
+  else if (typeof value.toDate === 'function') time = value.toDate().getTime();
+  else if (typeof value.seconds === 'number') time = value.seconds * 1000;
+  else if (typeof value === 'string') time = new Date(value).getTime();
+  if (time === null || Number.isNaN(time)) return null;
+  return timeToKey(time + offsetMinutes * 60 * 1000);
+}
+
+/**
+ * Midnight (IST) at the start of a calendar day
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {number} [offsetMinutes] - Timezone offset from UTC
+ * @returns {Date}
+ */
+export function fromDateKey(key, offsetMinutes = IST_OFFSET_MINUTES) {
+  return new Date(keyToTime(key) - offsetMinutes * 60 * 1000);
+}
+
+// ---- RRULE text ----
+
+const parseICalDate = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid date: ${value}`);
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+const formatICalDate = (key) => key.replace(/-/g, '');
+
+const parseIntegerList = (value, name, min, max) => value.split(',').map((part) => {
+  const number = Number(part);
+  if (!Number.isInteger(number) || number === 0 || number < min || number > max) {
+    throw new Error(`Invalid ${name} value: ${part}`);
+  }
+  return number;
+});
+
+const emptyRule = (freq) => ({
+  freq,
+  interval: 1,
+  byDay: [],
+  byMonthDay: [],
+  byMonth: [],
+  bySetPos: [],
+  count: null,
+  until: null,
+});
+
+function parseRuleBody(body) {
+  const parts = Object.fromEntries(body.split(';').filter(Boolean).map((part) => {
+    const [key, value = ''] = part.split('=');
+    return [key.trim().toUpperCase(), value.trim().toUpperCase()];
+  }));
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(parts.FREQ ? `Unsupported FREQ: ${parts.FREQ}` : 'RRULE is missing FREQ');
+  }
+  const unsupported = Object.keys(parts).filter((key) => ![
+    'FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST',
+  ].includes(key));
+  if (unsupported.length > 0) throw new Error(`Unsupported RRULE part: ${unsupported.join(', ')}`);
+  if (parts.COUNT && parts.UNTIL) throw new Error('RRULE cannot have both COUNT and UNTIL');
+
+  const rule = emptyRule(parts.FREQ);
+  if (parts.INTERVAL) [rule.interval] = parseIntegerList(parts.INTERVAL, 'INTERVAL', 1, 1000);
+  if (parts.COUNT) [rule.count] = parseIntegerList(parts.COUNT, 'COUNT', 1, 10000);
+  if (parts.UNTIL) rule.until = parseICalDate(parts.UNTIL);
+  if (parts.BYMONTHDAY) rule.byMonthDay = parseIntegerList(parts.BYMONTHDAY, 'BYMONTHDAY', -31, 31);
+  if (parts.BYMONTH) rule.byMonth = parseIntegerList(parts.BYMONTH, 'BYMONTH', 1, 12);
+  if (parts.BYSETPOS) rule.bySetPos = parseIntegerList(parts.BYSETPOS, 'BYSETPOS', -366, 366);
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map((part) => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(part);
+      if (!match) throw new Error(`Invalid BYDAY value: ${part}`);
+      return { day: match[2], n: match[1] ? Number(match[1]) : 0 };
+    });
+  }
+  return rule;
+}
+
+/**
+ * Parse an RRULE, optionally with DTSTART and EXDATE lines
+ * (e.g. "RRULE:FREQ=MONTHLY;BYDAY=2SA,4SA" or an iCalendar snippet).
+ * @param {string} text
+ * @returns {{rule: Object, exdates: string[], dtstart: string|null}}
+ * @throws {Error} When the text is not a supported RRULE
+ */
+export function parseRRule(text) {
+  const result = { rule: null, exdates: [], dtstart: null };
+  const lines = String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+  for (const line of lines) {
+    const upper = line.toUpperCase();
+    const value = line.slice(line.indexOf(':') + 1);
+    if (upper.startsWith('EXDATE')) {
+      result.exdates.push(...value.split(',').map(parseICalDate));
+    } else if (upper.startsWith('DTSTART')) {
+      result.dtstart = parseICalDate(value);
+    } else if (upper.startsWith('RRULE:')) {
+      result.rule = parseRuleBody(line.slice(6));
+    } else if (upper.startsWith('FREQ=')) {
+      result.rule = parseRuleBody(line);
+    } else {
+      throw new Error(`Unsupported line: ${line}`);
+    }
+  }
+
+  if (!result.rule) throw new Error('RRULE is missing FREQ');
+  return result;
+}
+
+/**
+ * @param {Object} rule
+ * @returns {string} RRULE value without the "RRULE:" prefix
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(({ day, n }) => `${n || ''}${day}`).join(',')}`);
+  if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatICalDate(rule.until)}`);
+  return parts.join(';');
+}
+
+// ---- Patterns ----
+
+const clampInterval = (value) => Math.max(1, parseInt(value, 10) || 1);
+
+/**
+ * Ordinals of a monthly "weekday" pattern; `monthlyWeekdays` (e.g.
+ * ['second', 'fourth']) supersedes the older single `monthlyWeekday`.
+ * @param {Object} pattern
+ * @returns {number[]}
+ */
+function getMonthlyOrdinals(pattern) {
+  const names = Array.isArray(pattern.monthlyWeekdays) && pattern.monthlyWeekdays.length > 0
+    ? pattern.monthlyWeekdays
+    : [pattern.monthlyWeekday || 'last'];
+  return names.map((name) => MONTHLY_ORDINALS[name]).filter(Boolean);
+}
+
+/**
+ * RRULE for a pattern built in RecurrencePattern.jsx
+ * @param {Object} pattern
+ * @returns {Object|null} Null for `regenerate` patterns, which have no fixed dates
+ */
+export function patternToRule(pattern) {
+  if (!pattern) return null;
+  if (pattern.type === 'custom') return parseRRule(pattern.rrule).rule;
+
+  const freq = PATTERN_FREQUENCIES[pattern.type];
+  if (!freq || (pattern.type === 'monthly' && pattern.monthlyType === 'regenerate')) return null;
+
+  const rule = { ...emptyRule(freq), interval: clampInterval(pattern.interval) };
+
+  if (pattern.type === 'weekly') {
+    const weekdays = Array.isArray(pattern.weekdays) && pattern.weekdays.length > 0 ? pattern.weekdays : ['monday'];
+    rule.byDay = weekdays.map((name) => ({ day: WEEKDAY_CODES[WEEKDAY_NAMES.indexOf(name)], n: 0 })).filter(({ day }) => day);
+  }
+
+  if (pattern.type === 'monthly') {
+    if (pattern.monthlyType === 'weekday') {
+      const ordinals = getMonthlyOrdinals(pattern);
+      const name = pattern.monthlyWeekdayName || 'friday';
+      if (WEEKDAY_GROUPS[name]) {
+        // "Last weekday of the month": every Mon-Fri, then pick by position
+        rule.byDay = WEEKDAY_GROUPS[name].map((day) => ({ day, n: 0 }));
+        rule.bySetPos = ordinals;
+      } else {
+        const day = WEEKDAY_CODES[WEEKDAY_NAMES.indexOf(name)];
+        rule.byDay = ordinals.map((n) => ({ day, n }));
+      }
+    } else {
+      const dayOfMonth = Math.min(31, Math.max(1, parseInt(pattern.monthlyDay, 10) || 1));
+      if (dayOfMonth <= 28) {
+        rule.byMonthDay = [dayOfMonth];
+      } else {
+        // Day 29-31 falls back to the month's last day in shorter months
+        for (let day = 28; day <= dayOfMonth; day += 1) rule.byMonthDay.push(day);
+        rule.bySetPos = [-1];
+      }
+    }
+  }
+
+  const range = pattern.range || {};
+  if (range.type === 'end_by' && range.endDate) rule.until = toDateKey(range.endDate);
+  if (range.type === 'end_after' && range.occurrences) rule.count = clampInterval(range.occurrences);
+  return rule;
+}
+
+/**
+ * Exception dates of a pattern, including EXDATE lines of a custom RRULE
+ * @param {Object} pattern
+ * @returns {string[]}
+ */
+export function getPatternExdates(pattern) {
+  const exdates = (Array.isArray(pattern?.exdates) ? pattern.exdates : []).filter(isDateKey);
+  if (pattern?.type === 'custom') exdates.push(...parseRRule(pattern.rrule).exdates);
+  return [...new Set(exdates)].sort();
+}
+
+/**
+ * iCalendar text (DTSTART, RRULE, EXDATE) for exporting a pattern
+ * @param {Object} pattern
+ * @param {string} [startKey] - "YYYY-MM-DD"
+ * @returns {string} Empty for patterns without fixed dates
+ */
+export function patternToICalendar(pattern, startKey = null) {
+  const rule = patternToRule(pattern);
+  if (!rule) return '';
+  const lines = [];
+  if (startKey) lines.push(`DTSTART;VALUE=DATE:${formatICalDate(startKey)}`);
+  lines.push(`RRULE:${formatRRule(rule)}`);
+  const exdates = getPatternExdates(pattern);
+  if (exdates.length > 0) lines.push(`EXDATE;VALUE=DATE:${exdates.map(formatICalDate).join(',')}`);
+  return lines.join('\n');
+}
+
+// ---- Expansion ----
+
+function getPeriodStart(freq, key) {
+  const year = Number(key.slice(0, 4));
+  const monthIndex = Number(key.slice(5, 7)) - 1;
+  switch (freq) {
+    case 'WEEKLY': return addDays(key, -((weekdayOf(key) + 6) % 7));
+    case 'MONTHLY': return makeKey(year, monthIndex, 1);
+    case 'YEARLY': return makeKey(year, 0, 1);
+    default: return key;
+  }
+}
+
+function advancePeriod(freq, periodStart, steps) {
+  const year = Number(periodStart.slice(0, 4));
+  const monthIndex = Number(periodStart.slice(5, 7)) - 1;
+  switch (freq) {
+    case 'WEEKLY': return addDays(periodStart, 7 * steps);
+    case 'MONTHLY': return makeKey(year, monthIndex + steps, 1);
+    case 'YEARLY': return makeKey(year + steps, 0, 1);
+    default: return addDays(periodStart, steps);
+  }
+}
+
+const matchesMonthDay = (key, byMonthDay) => {
+  const day = Number(key.slice(8, 10));
+  const length = daysInMonth(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1);
+  return byMonthDay.some((value) => (value > 0 ? value === day : length + value + 1 === day));
+};
+
+// Days in [rangeStart, rangeStart + length) matching BYDAY; ordinals count within the range
+function expandByDay(rangeStart, length, byDay) {
+  const days = [];
+  for (let offset = 0; offset < length; offset += 1) days.push(addDays(rangeStart, offset));
+
+  const keys = [];
+  for (const { day, n } of byDay) {
+    const matching = days.filter((key) => WEEKDAY_CODES[weekdayOf(key)] === day);
+    if (n === 0) keys.push(...matching);
+    else if (n > 0 && matching[n - 1]) keys.push(matching[n - 1]);
+    else if (n < 0 && matching[matching.length + n]) keys.push(matching[matching.length + n]);
+  }
+  return keys;
+}
+
+function expandMonth(rule, year, monthIndex, startKey) {
+  const length = daysInMonth(year, monthIndex);
+  let keys = null;
+
+  if (rule.byMonthDay.length > 0) {
+    keys = rule.byMonthDay
+      .map((value) => (value > 0 ? value : length + value + 1))
+      .filter((day) => day >= 1 && day <= length)
+      .map((day) => makeKey(year, monthIndex, day));
+  }
+  if (rule.byDay.length > 0) {
+    const byDayKeys = expandByDay(makeKey(year, monthIndex, 1), length, rule.byDay);
+    keys = keys ? keys.filter((key) => byDayKeys.includes(key)) : byDayKeys;
+  }
+  if (!keys) {
+    // No BYxxx: same day of month as the start (months without that day are skipped)
+    const day = Number(startKey.slice(8, 10));
+    keys = day <= length ? [makeKey(year, monthIndex, day)] : [];
+  }
+  return keys;
+}
+
+function expandPeriod(rule, periodStart, startKey) {
+  const year = Number(periodStart.slice(0, 4));
+  const monthIndex = Number(periodStart.slice(5, 7)) - 1;
+  let keys;
+
+  switch (rule.freq) {
+    case 'WEEKLY': {
+      const byDay = rule.byDay.length > 0 ? rule.byDay : [{ day: WEEKDAY_CODES[weekdayOf(startKey)], n: 0 }];
+      keys = expandByDay(periodStart, 7, byDay.map(({ day }) => ({ day, n: 0 })));
+      if (rule.byMonthDay.length > 0) keys = keys.filter((key) => matchesMonthDay(key, rule.byMonthDay));
+      break;
+    }
+    case 'MONTHLY':
+      keys = expandMonth(rule, year, monthIndex, startKey);
+      break;
+    case 'YEARLY':
+      if (rule.byMonth.length === 0 && rule.byDay.length > 0 && rule.byMonthDay.length === 0) {
+        // BYDAY ordinals count within the whole year (e.g. 20th Monday)
+        const yearLength = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY_MS;
+        keys = expandByDay(periodStart, yearLength, rule.byDay);
+      } else {
+        const months = rule.byMonth.length > 0 ? rule.byMonth.map((month) => month - 1) : [Number(startKey.slice(5, 7)) - 1];
+        keys = months.flatMap((month) => expandMonth(rule, year, month, startKey));
+      }
+      break;
+    default: {
+      keys = [periodStart];
+      if (rule.byDay.length > 0) keys = keys.filter((key) => rule.byDay.some(({ day }) => WEEKDAY_CODES[weekdayOf(key)] === day));
+      if (rule.byMonthDay.length > 0) keys = keys.filter((key) => matchesMonthDay(key, rule.byMonthDay));
+    }
+  }
+
+  if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+    keys = keys.filter((key) => rule.byMonth.includes(Number(key.slice(5, 7))));
+  }
+
+  keys = [...new Set(keys)].sort();
+  if (rule.bySetPos.length > 0) {
+    const positioned = rule.bySetPos
+      .map((position) => (position > 0 ? keys[position - 1] : keys[keys.length + position]))
+      .filter(Boolean);
+    keys = [...new Set(positioned)].sort();
+  }
+  return keys;
+}
+
+/**
+ * Visit the dates of a rule in order, starting at `startKey`. COUNT counts
+ * from the start, before exclusions.
+ * @param {Object} rule
+ * @param {string} startKey - "YYYY-MM-DD"
+ * @param {Function} visit - (key) => false to stop
+ */
+export function forEachRuleDate(rule, startKey, visit) {
+  const horizon = makeKey(Number(startKey.slice(0, 4)) + HORIZON_YEARS, 0, 1);
+  const firstPeriod = getPeriodStart(rule.freq, startKey);
+  let emitted = 0;
+
+  for (let index = 0; ; index += 1) {
+    const periodStart = advancePeriod(rule.freq, firstPeriod, index * rule.interval);
+    if (periodStart > horizon || (rule.until && periodStart > rule.until)) return;
+
+    for (const key of expandPeriod(rule, periodStart, startKey)) {
+      if (key < startKey) continue;
+      if (rule.until && key > rule.until) return;
+      emitted += 1;
+      if (visit(key) === false) return;
+      if (rule.count && emitted >= rule.count) return;
+    }
+  }
+}
+
+const getHolidayKeys = (holidays = []) => new Set(
+  holidays.map((holiday) => (typeof holiday === 'string' ? holiday : holiday?.date)).filter(isDateKey)
+);
+
+function applyHolidayPolicy(key, holidayKeys, policy) {
+  if (!holidayKeys.has(key) || !policy || policy === HOLIDAY_POLICIES.IGNORE) return key;
+  if (policy === HOLIDAY_POLICIES.SKIP) return null;
+
+  const step = policy === HOLIDAY_POLICIES.SHIFT_EARLIER ? -1 : 1;
+  let shifted = key;
+  for (let i = 0; i < MAX_HOLIDAY_SHIFT_DAYS; i += 1) {
+    shifted = addDays(shifted, step);
+    if (!holidayKeys.has(shifted)) return shifted;
+  }
+  return null;
+}
+
+/**
+ * Upcoming occurrences of a pattern after EXDATEs and holidays are applied.
+ * `seriesDate` is the date the rule produced; `date` is when the task is
+ * actually due (different when moved off a holiday). Continue a series by
+ * passing the last `seriesDate` as `after`.
+ * @param {Object} pattern - Recurrence pattern (may hold `exdates` and `holidayPolicy`)
+ * @param {string} startKey - First day of the series, "YYYY-MM-DD"
+ * @param {Object} [options]
+ * @param {string} [options.after] - Only series dates after this day
+ * @param {number} [options.limit]
+ * @param {Array<string|{date: string}>} [options.holidays] - Company holiday calendar
+ * @returns {Array<{date: string, seriesDate: string}>}
+ * @throws {Error} When a custom RRULE is invalid
+ */
+export function getUpcomingOccurrences(pattern, startKey, { after = null, limit = 10, holidays = [] } = {}) {
+  const rule = patternToRule(pattern);
+  if (!rule || !isDateKey(startKey)) return [];
+
+  const exdates = new Set(getPatternExdates(pattern));
+  const holidayKeys = getHolidayKeys(holidays);
+  const occurrences = [];
+
+  forEachRuleDate(rule, startKey, (seriesDate) => {
+    if ((after && seriesDate <= after) || exdates.has(seriesDate)) return true;
+    const date = applyHolidayPolicy(seriesDate, holidayKeys, pattern.holidayPolicy);
+    const previous = occurrences[occurrences.length - 1];
+    // A shift can land on (or behind) the previous occurrence; keep just one task
+    if (!date || (previous && date <= previous.date)) return true;
+    occurrences.push({ date, seriesDate });
+    return occurrences.length < limit;
+  });
+
+  return occurrences;
+}
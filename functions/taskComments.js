@@ -0,0 +1,113 @@
+/**
+ * Task Comments
+ *
+ * Comments live in tasks/{threadId}/comments, where the thread is the task
+ * they were posted on or, for a material request, its original task. Task
+ * lists cannot read every thread, so the thread task and its material
+ * requests carry a summary (`commentCount`, `lastCommentAt`,
+ * `lastCommentById`) that is recomputed here whenever a comment is posted or
+ * deleted.
+ * People newly @mentioned in a comment or an edit get a push notification.
+ *
+ * Mention parsing and the rest of the comment logic used by the app live in
+ * src/features/tasks/utils/taskComments.js.
+ */
+
+const ids = (value) => (Array.isArray(value) ? value.filter((id) => typeof id === "string" && id) : []);
+
+/**
+ * Users mentioned in a comment who were not mentioned before it was written
+ * and are not its author.
+ * @param {Object|undefined} before - Comment data before the write
+ * @param {Object|undefined} after - Comment data after the write
+ * @returns {string[]}
+ */
+function getNewMentions(before, after) {
+  if (!after) return [];
+  const previous = new Set(ids(before && before.mentions));
+  return [...new Set(ids(after.mentions))].filter((id) => !previous.has(id) && id !== after.userId);
+}
+
+/**
+ * Recompute the comment summary on a thread's task and its material requests.
+ * Counting instead of incrementing keeps retried triggers harmless.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} threadId
+ * @returns {Promise<number>} Tasks updated
+ */
+async function syncThreadSummary(db, threadId) {
+  const threadRef = db.collection("tasks").doc(threadId);
+  const comments = threadRef.collection("comments");
+  const [countSnap, latestSnap, requestsSnap] = await Promise.all([
+    comments.count().get(),
+    comments.orderBy("createdAt", "desc").limit(1).get(),
+    db.collection("tasks").where("originalTaskId", "==", threadId).get(),
+  ]);
+
+  const latest = latestSnap.empty ? null : latestSnap.docs[0].data();
+  const summary = {
+    commentCount: countSnap.data().count,
+    lastCommentAt: latest ? latest.createdAt || null : null,
+    lastCommentById: latest ? latest.userId || null : null,
+  };
+
+  const refs = [
+    threadRef,
+    ...requestsSnap.docs.filter((doc) => doc.get("type") === "material_request").map((doc) => doc.ref),
+  ];
+  const snaps = await Promise.all(refs.map((ref) => ref.get()));
+  const existing = snaps.filter((snap) => snap.exists);
+  await Promise.all(existing.map((snap) => snap.ref.update(summary)));
+  return existing.length;
+}
+
+/**
+ * Push a notification to the people newly mentioned in a comment
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} threadId
+ * @param {Object|undefined} before
+ * @param {Object|undefined} after
+ * @param {Object} deps
+ * @param {Function} deps.sendPush - (title, body, data, userIds) => Promise
+ * @returns {Promise<string[]>} Users notified
+ */
+async function notifyMentions(db, threadId, before, after, {sendPush}) {
+  const mentioned = getNewMentions(before, after);
+  // An empty audience would broadcast to everyone
+  if (mentioned.length === 0 || !sendPush) return [];
+
+  const taskId = after.taskId || threadId;
+  const taskSnap = await db.collection("tasks").doc(taskId).get();
+  const title = taskSnap.exists ? taskSnap.get("title") || "a task" : "a task";
+  const text = String(after.text || "");
+  const preview = text.length > 100 ? `${text.slice(0, 100)}…` : text;
+
+  await sendPush("Mentioned in a comment", `${after.userName || "Someone"} on ${title}: ${preview}`, {
+    type: "comment_mention",
+    taskId,
+  }, mentioned);
+  return mentioned;
+}
+
+/**
+ * Handle a write to tasks/{threadId}/comments/{commentId}
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} threadId
+ * @param {Object|undefined} before
+ * @param {Object|undefined} after
+ * @param {Object} deps - See notifyMentions
+ * @returns {Promise<{updated: number, notified: string[]}>}
+ */
+async function handleCommentWrite(db, threadId, before, after, deps) {
+  // Only posting or deleting a comment changes the summary, not edits or reactions
+  const updated = !before || !after ? await syncThreadSummary(db, threadId) : 0;
+  const notified = await notifyMentions(db, threadId, before, after, deps);
+  return {updated, notified};
+}
+
+module.exports = {
+  getNewMentions,
+  syncThreadSummary,
+  notifyMentions,
+  handleCommentWrite,
+};
@@ -0,0 +1,110 @@
+/**
+ * Task Dependencies
+ *
+ * Tasks list their prerequisites in `blockedByTaskIds`, and an open material
+ * request blocks the task in its `originalTaskId`. `hasBlockingTasks` on the
+ * blocked task is kept in sync here: it is recomputed when a task is created
+ * or its own links change, and for every dependent when a prerequisite is
+ * created, completed, deleted or reopened. Firestore rules refuse to start or
+ * complete a task while it is blocked, and only this module writes the flag.
+ *
+ * Graph helpers used by the app live in src/features/tasks/utils/taskDependencies.js.
+ */
+
+const admin = require("firebase-admin");
+
+// Matches RESOLVED_STATUSES in src/features/tasks/utils/taskDependencies.js
+const RESOLVED_STATUSES = ["Complete", "Deleted"];
+
+const isOpenTask = (task) => !!task && !RESOLVED_STATUSES.includes(task.status);
+
+const sameIds = (a = [], b = []) => a.length === b.length && a.every((id) => b.includes(id));
+
+const blockerIdsOf = (task) => (task && Array.isArray(task.blockedByTaskIds) ? task.blockedByTaskIds : []);
+
+/**
+ * What a write means for blocked state: whether the task's own links
+ * changed, and whether it stopped or started blocking its dependents. A
+ * created task has no `before`; an open one starts blocking.
+ * @param {Object|null} before - Task data before the write
+ * @param {Object} after - Task data after the write
+ * @returns {{refreshSelf: boolean, prerequisiteChanged: boolean, originalTaskId: string|null}}
+ */
+function getBlockerChanges(before, after) {
+  const prerequisiteChanged = isOpenTask(before) !== isOpenTask(after);
+
+  return {
+    refreshSelf: !sameIds(blockerIdsOf(before), blockerIdsOf(after)),
+    prerequisiteChanged,
+    originalTaskId: prerequisiteChanged && after && after.type === "material_request" ? after.originalTaskId || null : null,
+  };
+}
+
+async function findTask(db, taskId) {
+  const snap = await db.collection("tasks").doc(taskId).get();
+  return snap.exists ? snap : null;
+}
+
+/**
+ * Recompute `hasBlockingTasks` for one task from its prerequisites and
+ * material requests. Prerequisites that no longer exist do not block.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} taskId
+ * @returns {Promise<boolean|null>} The new value, or null when the task is gone
+ */
+async function refreshBlockedState(db, taskId) {
+  const taskSnap = await findTask(db, taskId);
+  if (!taskSnap) return null;
+
+  const task = taskSnap.data();
+  const blockerIds = Array.isArray(task.blockedByTaskIds) ? task.blockedByTaskIds : [];
+  const [blockers, requests] = await Promise.all([
+    Promise.all(blockerIds.map((id) => findTask(db, id))),
+    db.collection("tasks").where("originalTaskId", "==", taskId).get(),
+  ]);
+
+  const hasBlockingTasks =
+    blockers.some((snap) => snap && isOpenTask(snap.data())) ||
+    requests.docs.some((doc) => doc.get("type") === "material_request" && isOpenTask(doc.data()));
+
+  if (Boolean(task.hasBlockingTasks) !== hasBlockingTasks) {
+    await taskSnap.ref.update({
+      hasBlockingTasks,
+      blockersUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  return hasBlockingTasks;
+}
+
+/**
+ * Refresh every task affected by creating or updating `taskId`.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} taskId
+ * @param {Object|null} before - null for a created task
+ * @param {Object} after
+ * @returns {Promise<string[]>} Ids of the tasks that were checked
+ */
+async function syncBlockersForTask(db, taskId, before, after) {
+  const {refreshSelf, prerequisiteChanged, originalTaskId} = getBlockerChanges(before, after);
+  const affected = new Set();
+
+  if (refreshSelf) affected.add(taskId);
+  if (originalTaskId) affected.add(originalTaskId);
+  if (prerequisiteChanged) {
+    const dependents = await db.collection("tasks").where("blockedByTaskIds", "array-contains", taskId).get();
+    dependents.docs.forEach((doc) => affected.add(doc.id));
+  }
+
+  for (const id of affected) {
+    await refreshBlockedState(db, id);
+  }
+  return Array.from(affected);
+}
+
+module.exports = {
+  RESOLVED_STATUSES,
+  isOpenTask,
+  getBlockerChanges,
+  refreshBlockedState,
+  syncBlockersForTask,
+};
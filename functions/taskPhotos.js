@@ -0,0 +1,293 @@
+/**
+ * Task Photos
+ *
+ * Photos live in Cloud Storage under tasks/{taskId}/photos/. The app uploads
+ * the (already resized) original and calls `attachTaskPhotos`, which writes a
+ * thumbnail next to it and appends a photo record with signed URLs to the
+ * task's `photos` array. Tasks created before this stored base64 data URLs in
+ * that array; `migrateTaskPhotos` moves them into Storage.
+ *
+ * Photo record: { id, path, thumbPath, url, thumbUrl, contentType, size,
+ *                 uploadedBy, uploadedAt }
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {HttpsError} = require("firebase-functions/v2/https");
+
+// Scheduled tasks carry photos too; they are copied onto every generated task
+const TASK_COLLECTIONS = ["tasks", "scheduledTasks"];
+
+const PHOTO_CONFIG = {
+  THUMBNAIL_SIZE: 320, // px, longest side
+  THUMBNAIL_QUALITY: 70,
+  SIGNED_URL_EXPIRES: "2500-01-01", // URLs are stored on the task, so they must not expire
+  MAX_PHOTOS_PER_CALL: 10,
+  MIGRATION_BATCH_SIZE: 25, // tasks per migrateTaskPhotos call
+};
+
+const MANAGER_ROLES = ["Management", "Admin"];
+const PHOTO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const getPhotoPath = (taskId, photoId) => `tasks/${taskId}/photos/${photoId}.jpg`;
+const getThumbnailPath = (taskId, photoId) => `tasks/${taskId}/photos/thumbs/${photoId}.jpg`;
+
+// Legacy photos are base64 data URLs stored inline on the task
+const isLegacyPhoto = (photo) => typeof photo === "string" && photo.startsWith("data:image/");
+
+/**
+ * Decode a base64 data URL.
+ * @param {string} dataUrl
+ * @returns {{contentType: string, buffer: Buffer}|null}
+ */
+function parseDataUrl(dataUrl) {
+  const match = /^data:(image\/[\w.+-]+);base64,(.+)$/s.exec(dataUrl || "");
+  if (!match) return null;
+  return {contentType: match[1], buffer: Buffer.from(match[2], "base64")};
+}
+
+/**
+ * Whether the actor may change a task's photos. Mirrors canUpdateTask in
+ * firestore.rules: managers, heads of the task's departments, and the task's
+ * assignees, creator, requester and observers.
+ * @param {Object} task
+ * @param {Object} actor - User data with id
+ * @returns {boolean}
+ */
+function canEditTaskPhotos(task, actor) {
+  if (MANAGER_ROLES.includes(actor.role)) return true;
+
+  const actorDepartments = Array.isArray(actor.departmentIds) ? actor.departmentIds : [];
+  if (actor.role === "Head" &&
+    [task.departmentId, task.requestingDepartmentId].some((id) => id && actorDepartments.includes(id))) {
+    return true;
+  }
+
+  const participants = [
+    ...(Array.isArray(task.assignedUserIds) ? task.assignedUserIds : []),
+    ...(Array.isArray(task.observerIds) ? task.observerIds : []),
+    task.assignedUserId,
+    task.assignedById,
+    task.requestingUserId,
+  ];
+  return participants.includes(actor.id);
+}
+
+// Tasks live in `tasks` and recurring templates in `scheduledTasks`
+async function resolveTaskRef(db, taskId) {
+  for (const name of TASK_COLLECTIONS) {
+    const ref = db.collection(name).doc(taskId);
+    const snap = await ref.get();
+    if (snap.exists) return {ref, snap};
+  }
+  return null;
+}
+
+/**
+ * Resize to a JPEG thumbnail. sharp is loaded lazily because it is only
+ * needed by the photo functions.
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+async function createThumbnail(buffer) {
+  const sharp = require("sharp");
+  return sharp(buffer)
+    .rotate()
+    .resize(PHOTO_CONFIG.THUMBNAIL_SIZE, PHOTO_CONFIG.THUMBNAIL_SIZE, {fit: "inside", withoutEnlargement: true})
+    .jpeg({quality: PHOTO_CONFIG.THUMBNAIL_QUALITY})
+    .toBuffer();
+}
+
+/**
+ * Long-lived read URL for a stored file. The Storage emulator cannot verify
+ * signed URLs, so token download URLs are used there instead.
+ * @param {import("@google-cloud/storage").File} file
+ * @returns {Promise<string>}
+ */
+async function getReadUrl(file) {
+  if (process.env.FIREBASE_STORAGE_EMULATOR_HOST) {
+    const {getDownloadURL} = require("firebase-admin/storage");
+    return getDownloadURL(file);
+  }
+  const [url] = await file.getSignedUrl({action: "read", expires: PHOTO_CONFIG.SIGNED_URL_EXPIRES});
+  return url;
+}
+
+/**
+ * Write the thumbnail for a photo (and the original, when it is not already
+ * in Storage) and build its task record.
+ * @returns {Promise<Object>} Photo record
+ */
+async function storeTaskPhoto(bucket, taskId, photoId, original, options = {}) {
+  const {contentType = "image/jpeg", uploadedBy = null, uploadedAt = null, saveOriginal = false} = options;
+  const originalFile = bucket.file(getPhotoPath(taskId, photoId));
+  const thumbnailFile = bucket.file(getThumbnailPath(taskId, photoId));
+
+  if (saveOriginal) {
+    await originalFile.save(original, {contentType, resumable: false});
+  }
+  await thumbnailFile.save(await createThumbnail(original), {contentType: "image/jpeg", resumable: false});
+
+  const [url, thumbUrl] = await Promise.all([getReadUrl(originalFile), getReadUrl(thumbnailFile)]);
+  return {
+    id: photoId,
+    path: originalFile.name,
+    thumbPath: thumbnailFile.name,
+    url,
+    thumbUrl,
+    contentType,
+    size: original.length,
+    uploadedBy,
+    uploadedAt,
+  };
+}
+
+/**
+ * Attach photos the app has uploaded to tasks/{taskId}/photos/{photoId}.jpg.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {import("@google-cloud/storage").Bucket} bucket
+ * @param {string} taskId
+ * @param {string[]} photoIds
+ * @param {Object} actor - Signed-in user data with id
+ * @returns {Promise<Array>} New photo records
+ */
+async function attachTaskPhotos(db, bucket, taskId, photoIds, actor) {
+  if (!taskId || !Array.isArray(photoIds) || photoIds.length === 0) {
+    throw new HttpsError("invalid-argument", "taskId and photoIds are required");
+  }
+  if (photoIds.length > PHOTO_CONFIG.MAX_PHOTOS_PER_CALL || !photoIds.every((id) => PHOTO_ID_PATTERN.test(id))) {
+    throw new HttpsError("invalid-argument", "Invalid photoIds");
+  }
+
+  const task = await resolveTaskRef(db, taskId);
+  if (!task) {
+    throw new HttpsError("not-found", "Task not found");
+  }
+  if (!canEditTaskPhotos(task.snap.data(), actor)) {
+    throw new HttpsError("permission-denied", "You cannot add photos to this task");
+  }
+
+  const existingIds = new Set((task.snap.data().photos || []).map((photo) => photo && photo.id).filter(Boolean));
+  const photos = [];
+  for (const photoId of photoIds) {
+    if (existingIds.has(photoId)) continue;
+
+    const file = bucket.file(getPhotoPath(taskId, photoId));
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new HttpsError("not-found", `Photo ${photoId} has not been uploaded`);
+    }
+    const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+    photos.push(await storeTaskPhoto(bucket, taskId, photoId, buffer, {
+      contentType: metadata.contentType,
+      uploadedBy: actor.id,
+      uploadedAt: metadata.timeCreated || new Date().toISOString(),
+    }));
+  }
+
+  if (photos.length > 0) {
+    await task.ref.update({
+      photos: admin.firestore.FieldValue.arrayUnion(...photos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedById: actor.id,
+    });
+  }
+  return photos;
+}
+
+/**
+ * Storage paths owned by a task that are no longer referenced after an update.
+ * Only paths under the task's own folder are returned, so photo records
+ * copied from another task (e.g. by a schedule) never delete its files.
+ * @param {string} taskId
+ * @param {Array} before - photos before the update
+ * @param {Array} after - photos after the update
+ * @returns {string[]}
+ */
+function getRemovedPhotoPaths(taskId, before = [], after = []) {
+  const pathsOf = (photos) => (Array.isArray(photos) ? photos : [])
+    .filter((photo) => photo && typeof photo === "object")
+    .flatMap((photo) => [photo.path, photo.thumbPath])
+    .filter(Boolean);
+
+  const kept = new Set(pathsOf(after));
+  const prefix = `tasks/${taskId}/photos/`;
+  return pathsOf(before).filter((path) => path.startsWith(prefix) && !kept.has(path));
+}
+
+/**
+ * Move base64 photos into Storage, a batch of tasks at a time. Photo ids are
+ * derived from the image content, so re-running after a partial failure
+ * overwrites the same files instead of duplicating them.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {import("@google-cloud/storage").Bucket} bucket
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum tasks to migrate in this call
+ * @returns {Promise<Object>} { migratedTasks, migratedPhotos, skippedPhotos, remaining }
+ */
+async function migrateLegacyTaskPhotos(db, bucket, {limit = PHOTO_CONFIG.MIGRATION_BATCH_SIZE} = {}) {
+  const result = {migratedTasks: 0, migratedPhotos: 0, skippedPhotos: 0, remaining: 0};
+
+  for (const collectionName of TASK_COLLECTIONS) {
+    const snapshot = await db.collection(collectionName).get();
+
+    for (const taskDoc of snapshot.docs) {
+      const photos = taskDoc.get("photos");
+      // Malformed data URLs are left in place rather than retried on every run
+      if (!Array.isArray(photos) || !photos.some((photo) => isLegacyPhoto(photo) && parseDataUrl(photo))) continue;
+      if (result.migratedTasks >= limit) {
+        result.remaining++;
+        continue;
+      }
+
+      const migrated = [];
+      let migratedPhotos = 0;
+      for (const photo of photos) {
+        const parsed = isLegacyPhoto(photo) ? parseDataUrl(photo) : null;
+        if (!parsed) {
+          if (isLegacyPhoto(photo)) result.skippedPhotos++;
+          migrated.push(photo);
+          continue;
+        }
+        const photoId = `legacy-${crypto.createHash("sha256").update(parsed.buffer).digest("hex").slice(0, 20)}`;
+        migrated.push(await storeTaskPhoto(bucket, taskDoc.id, photoId, parsed.buffer, {
+          contentType: parsed.contentType,
+          saveOriginal: true,
+        }));
+        migratedPhotos++;
+      }
+
+      // Skip tasks whose photos changed while we were uploading; the next run picks them up
+      const applied = await db.runTransaction(async (tx) => {
+        const fresh = await tx.get(taskDoc.ref);
+        if (JSON.stringify(fresh.get("photos")) !== JSON.stringify(photos)) return false;
+        tx.update(taskDoc.ref, {
+          photos: migrated,
+          photosMigratedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+
+      if (applied) {
+        result.migratedTasks++;
+        result.migratedPhotos += migratedPhotos;
+      } else {
+        result.remaining++;
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  PHOTO_CONFIG,
+  getPhotoPath,
+  getThumbnailPath,
+  isLegacyPhoto,
+  parseDataUrl,
+  canEditTaskPhotos,
+  attachTaskPhotos,
+  getRemovedPhotoPaths,
+  migrateLegacyTaskPhotos,
+};
@@ -0,0 +1,84 @@
+/**
+ * Time Tracking
+ *
+ * Assignees open and close their own work sessions in
+ * tasks/{taskId}/workSessions (see src/features/tasks/utils/timeTracking.js).
+ * The task's totals, `workedMinutes` and `workedMinutesByUser`, feed
+ * difficulty fairness, so clients cannot write them: they are recomputed
+ * here from the closed sessions whenever one is closed or removed. Minutes
+ * are measured from the session's start and end times, which the rules pin to
+ * the server clock.
+ */
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  const parsed = new Date(value).getTime();
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Whole minutes a closed session lasted
+ * @param {Object} session - { startedAt, endedAt }
+ * @returns {number}
+ */
+function getSessionMinutes(session) {
+  const start = toMillis(session && session.startedAt);
+  const end = toMillis(session && session.endedAt);
+  if (start === null || end === null) return 0;
+  return Math.max(0, Math.round((end - start) / 60000));
+}
+
+/**
+ * Task totals from its work sessions; open sessions are not counted
+ * @param {Array<Object>} sessions
+ * @returns {{workedMinutes: number, workedMinutesByUser: Object}}
+ */
+function sumWorkedMinutes(sessions = []) {
+  return sessions.reduce((totals, session) => {
+    if (!session || !session.userId || !session.endedAt) return totals;
+    const minutes = getSessionMinutes(session);
+    totals.workedMinutes += minutes;
+    totals.workedMinutesByUser[session.userId] = (totals.workedMinutesByUser[session.userId] || 0) + minutes;
+    return totals;
+  }, {workedMinutes: 0, workedMinutesByUser: {}});
+}
+
+/**
+ * Whether a write to a session changes the task totals: it was closed,
+ * reopened or removed while closed
+ * @param {Object|undefined} before
+ * @param {Object|undefined} after
+ * @returns {boolean}
+ */
+function changesTotals(before, after) {
+  return Boolean(before && before.endedAt) !== Boolean(after && after.endedAt);
+}
+
+/**
+ * Recompute a task's totals from its sessions. Counting instead of
+ * incrementing keeps retried triggers harmless.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} taskId
+ * @returns {Promise<Object|null>} The totals written, or null when the task is gone
+ */
+async function syncWorkedMinutes(db, taskId) {
+  const taskRef = db.collection("tasks").doc(taskId);
+  const [taskSnap, sessionsSnap] = await Promise.all([
+    taskRef.get(),
+    taskRef.collection("workSessions").get(),
+  ]);
+  if (!taskSnap.exists) return null;
+
+  const totals = sumWorkedMinutes(sessionsSnap.docs.map((doc) => doc.data()));
+  await taskRef.update(totals);
+  return totals;
+}
+
+module.exports = {
+  getSessionMinutes,
+  sumWorkedMinutes,
+  changesTotals,
+  syncWorkedMinutes,
+};
@@ -7,6 +7,7 @@
 
 import { initializeApp } from 'firebase/app';
 import { getFirestore, collection, getDocs, doc, updateDoc, query, where, serverTimestamp, writeBatch, Timestamp } from 'firebase/firestore';
+import { calculateTaskPoints } from '../src/shared/utils/pointsEngine.js';
 
 // Firebase configuration
 const firebaseConfig = {
@@ -31,14 +32,6 @@ const POINTS_CONFIG = {
 const OCTOBER_START = new Date('2024-10-01T00:00:00Z');
 const OCTOBER_END = new Date('2024-10-31T23:59:59Z');
 
-// Difficulty points mapping
-const DIFFICULTY_POINTS = {
-  easy: 10,
-  medium: 25,
-  hard: 50,
-  critical: 100,
-};
-
 /**
  * Format date to date key
  */
@@ -66,51 +59,6 @@ function parseTimestamp(timestamp) {
   return null;
 }
 
-/**
- * Calculate task points for a user
- */
-function calculateTaskPoints(task, userId) {
-  if (!task.assignedUserIds || !task.assignedUserIds.includes(userId)) {
-    return 0;
-  }
-
-  const assignedUserCount = task.assignedUserIds.length;
-  let basePoints = 50; // Default
-  
-  // Get base points from difficulty
-  if (task.difficulty && DIFFICULTY_POINTS[task.difficulty]) {
-    basePoints = DIFFICULTY_POINTS[task.difficulty];
-  }
-  
-  // R&D/New Skill tasks get 5x base points
-  if (task.isRdNewSkill) {
-    basePoints = basePoints * 5;
-  }
-  
-  // Split points among assigned users
-  let basePointsPerUser = Math.round(basePoints / assignedUserCount);
-  
-  // Add bonuses (only for regular tasks, not R&D)
-  if (!task.isRdNewSkill) {
-    const collaborationBonus = assignedUserCount > 1 ? Math.round(basePointsPerUser * 0.1) : 0;
-    const urgentBonus = task.isUrgent ? Math.round(basePointsPerUser * 0.25) : 0;
-    basePointsPerUser += collaborationBonus + urgentBonus;
-  }
-  
-  // On-time bonus
-  const completionDate = parseTimestamp(task.completedAt);
-  const targetDate = parseTimestamp(task.targetDate);
-  if (completionDate && targetDate && completionDate <= targetDate) {
-    if (task.isRdNewSkill) {
-      // R&D tasks get no on-time bonus
-    } else {
-      basePointsPerUser += 3;
-    }
-  }
-  
-  return basePointsPerUser;
-}
-
 /**
  * Backfill points history for all users
  */
@@ -0,0 +1,225 @@
+/**
+ * Consolidate Collections Script
+ *
+ * Older deployments wrote to capitalised collections (`Users`, `Departments`,
+ * `Tasks`) next to the canonical lowercase ones, and the app used to read and
+ * merge both. This merges each legacy collection into its canonical one:
+ *
+ * - Documents only in the legacy collection are copied, marked with
+ *   `migratedFrom` so the task creation triggers do not notify anyone again.
+ * - Documents in both keep the canonical values; fields only the legacy copy
+ *   has are added. Fields where the two disagree are reported as conflicts.
+ * - With --delete-legacy, merged legacy documents are deleted. Documents with
+ *   conflicts are left in place to be looked at by hand.
+ *
+ * Runs with the Admin SDK from functions/ (cd functions && npm install) and
+ * application default credentials (gcloud auth application-default login).
+ *
+ * Usage: node scripts/consolidateCollections.js [--dry-run] [--delete-legacy] [--report <file>]
+ *   --dry-run        Print the diff report only; write nothing
+ *   --delete-legacy  Delete legacy documents once they are merged
+ *   --report <file>  Also write the full diff report as JSON
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const LEGACY_COLLECTIONS = [
+  { legacy: 'Users', canonical: 'users' },
+  { legacy: 'Departments', canonical: 'departments' },
+  { legacy: 'Tasks', canonical: 'tasks' },
+];
+
+const isPlainObject = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Deep equality for Firestore values (Timestamps, references and GeoPoints compare with isEqual)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function isSameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (typeof a.isEqual === 'function') {
+    return Object.getPrototypeOf(a) === Object.getPrototypeOf(b) && a.isEqual(b);
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, index) => isSameValue(value, b[index]));
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => key in b && isSameValue(a[key], b[key]));
+}
+
+/**
+ * Work out how to merge a legacy collection into its canonical one
+ * @param {Array<{id: string, data: Object}>} canonicalDocs
+ * @param {Array<{id: string, data: Object}>} legacyDocs
+ * @returns {{copy: Array, merge: Array, identical: string[], conflicts: Array, deletable: string[]}}
+ *   `copy`: legacy-only documents; `merge`: fields to add to canonical documents;
+ *   `conflicts`: fields where both have a different value (the canonical one is kept);
+ *   `deletable`: legacy documents that are fully merged once the writes succeed.
+ */
+export function planCollectionMerge(canonicalDocs, legacyDocs) {
+  const canonicalById = new Map(canonicalDocs.map((entry) => [entry.id, entry.data]));
+  const plan = { copy: [], merge: [], identical: [], conflicts: [], deletable: [] };
+
+  legacyDocs.forEach(({ id, data }) => {
+    const canonical = canonicalById.get(id);
+    if (!canonical) {
+      plan.copy.push({ id, data });
+      plan.deletable.push(id);
+      return;
+    }
+
+    const fields = {};
+    const conflicts = [];
+    Object.entries(data).forEach(([field, value]) => {
+      if (!(field in canonical)) fields[field] = value;
+      else if (!isSameValue(canonical[field], value)) conflicts.push({ id, field, canonical: canonical[field], legacy: value });
+    });
+
+    if (Object.keys(fields).length > 0) plan.merge.push({ id, fields });
+    else if (conflicts.length === 0) plan.identical.push(id);
+    plan.conflicts.push(...conflicts);
+    if (conflicts.length === 0) plan.deletable.push(id);
+  });
+
+  return plan;
+}
+
+// Report values as JSON: Timestamps as ISO strings, references as paths
+const toReportValue = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value && typeof value.path === 'string' && typeof value.isEqual === 'function') return value.path;
+  if (Array.isArray(value)) return value.map(toReportValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toReportValue(entry)]));
+  return value;
+};
+
+/**
+ * Diff report for one collection pair
+ * @param {{legacy: string, canonical: string}} pair
+ * @param {Object} plan - From planCollectionMerge
+ * @returns {Object}
+ */
+export function buildMergeReport({ legacy, canonical }, plan) {
+  return {
+    legacy,
+    canonical,
+    copied: plan.copy.map(({ id }) => id),
+    merged: plan.merge.map(({ id, fields }) => ({ id, addedFields: Object.keys(fields).sort() })),
+    identical: plan.identical,
+    conflicts: plan.conflicts.map((conflict) => ({
+      ...conflict,
+      canonical: toReportValue(conflict.canonical),
+      legacy: toReportValue(conflict.legacy),
+    })),
+  };
+}
+
+function printReport(report, { dryRun }) {
+  console.log(`\n${report.legacy} → ${report.canonical}${dryRun ? ' (dry run)' : ''}`);
+  console.log(`  Copy ${report.copied.length}, add fields to ${report.merged.length}, identical ${report.identical.length}, conflicts ${report.conflicts.length}`);
+  report.copied.forEach((id) => console.log(`  + ${id}`));
+  report.merged.forEach(({ id, addedFields }) => console.log(`  ~ ${id}: ${addedFields.join(', ')}`));
+  report.conflicts.forEach(({ id, field, canonical, legacy }) => {
+    console.log(`  ! ${id}.${field}: keeping ${JSON.stringify(canonical)} over ${JSON.stringify(legacy)}`);
+  });
+}
+
+// The Admin SDK is a dependency of the Cloud Functions package
+function loadAdmin() {
+  const requireFromFunctions = createRequire(resolve(ROOT_DIR, 'functions/package.json'));
+  return requireFromFunctions('firebase-admin');
+}
+
+function getProjectId() {
+  if (process.env.GCLOUD_PROJECT) return process.env.GCLOUD_PROJECT;
+  return JSON.parse(readFileSync(resolve(ROOT_DIR, '.firebaserc'), 'utf8')).projects.default;
+}
+
+const toDocs = (snapshot) => snapshot.docs.map((snap) => ({ id: snap.id, data: snap.data() }));
+
+async function applyPlan(db, { legacy, canonical }, plan, { deleteLegacy }) {
+  const writer = db.bulkWriter();
+  const failed = new Set();
+  const track = (id, promise) => promise.catch((error) => {
+    failed.add(id);
+    console.error(`  ✗ ${legacy}/${id}:`, error.message);
+  });
+
+  plan.copy.forEach(({ id, data }) => {
+    track(id, writer.create(db.collection(canonical).doc(id), { ...data, migratedFrom: legacy }));
+  });
+  plan.merge.forEach(({ id, fields }) => {
+    track(id, writer.set(db.collection(canonical).doc(id), fields, { merge: true }));
+  });
+  await writer.close();
+
+  let deleted = 0;
+  if (deleteLegacy) {
+    const deleteWriter = db.bulkWriter();
+    plan.deletable.filter((id) => !failed.has(id)).forEach((id) => {
+      track(id, deleteWriter.delete(db.collection(legacy).doc(id)).then(() => { deleted++; }));
+    });
+    await deleteWriter.close();
+  }
+
+  console.log(`  ✓ Written ${plan.copy.length + plan.merge.length - failed.size}, deleted ${deleted}, failed ${failed.size}`);
+  return failed.size;
+}
+
+async function consolidateCollections({ dryRun = false, deleteLegacy = false, reportPath = null } = {}) {
+  const admin = loadAdmin();
+  admin.initializeApp({ projectId: getProjectId() });
+  const db = admin.firestore();
+
+  const reports = [];
+  let failures = 0;
+  for (const pair of LEGACY_COLLECTIONS) {
+    const [canonicalSnap, legacySnap] = await Promise.all([
+      db.collection(pair.canonical).get(),
+      db.collection(pair.legacy).get(),
+    ]);
+    const plan = planCollectionMerge(toDocs(canonicalSnap), toDocs(legacySnap));
+    const report = buildMergeReport(pair, plan);
+    printReport(report, { dryRun });
+    reports.push(report);
+
+    if (!dryRun) failures += await applyPlan(db, pair, plan, { deleteLegacy });
+  }
+
+  if (reportPath) {
+    writeFileSync(reportPath, `${JSON.stringify({ dryRun, generatedAt: new Date().toISOString(), collections: reports }, null, 2)}\n`);
+    console.log(`\nReport written to ${reportPath}`);
+  }
+  return failures === 0;
+}
+
+const getArgValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1] || null;
+};
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  consolidateCollections({
+    dryRun: process.argv.includes('--dry-run'),
+    deleteLegacy: process.argv.includes('--delete-legacy'),
+    reportPath: getArgValue('--report'),
+  })
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,184 @@
+/**
+ * Migrate Task Comments Script
+ *
+ * Comments used to be an array on each task, copied between a task and its
+ * material requests and rewritten whole on every change. They now live one
+ * document each in tasks/{threadId}/comments (see
+ * src/features/tasks/utils/taskComments.js). This copies every legacy
+ * comment into its thread:
+ *
+ * - A material request's comments go to its original task's thread when that
+ *   task still exists. Copies of the same comment (same id) are written once.
+ * - Comments already in the thread are left alone, so the script can be re-run.
+ * - The comment summary (`commentCount`, `lastCommentAt`, `lastCommentById`)
+ *   is then recomputed for each thread.
+ * - With --delete-legacy, the `comments` arrays are removed from tasks whose
+ *   comments were all copied.
+ *
+ * Runs with the Admin SDK from functions/ (cd functions && npm install) and
+ * application default credentials (gcloud auth application-default login).
+ *
+ * Usage: node scripts/migrateTaskComments.js [--dry-run] [--delete-legacy]
+ *   --dry-run        Print what would be copied; write nothing
+ *   --delete-legacy  Remove the legacy `comments` arrays once copied
+ */
+
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Firestore ALREADY_EXISTS
+const ALREADY_EXISTS = 6;
+
+// Timestamps are kept; ISO strings and milliseconds become dates
+const toCreatedAt = (value) => {
+  if (value && typeof value.toDate === 'function') return value;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+};
+
+// Document ids cannot contain slashes
+const toCommentId = (id, fallback) => (id === undefined || id === null || id === '' ? fallback : String(id).replace(/\//g, '_'));
+
+/**
+ * Work out which comment documents to write
+ * @param {Array<{id: string, data: Object}>} tasks - Every task
+ * @returns {{comments: Array<{threadId: string, id: string, data: Object}>, threads: string[], skipped: Array, legacyTasks: Array<{taskId: string, threadId: string}>}}
+ *   `skipped`: comments without text; `legacyTasks`: tasks that still hold a `comments` array.
+ */
+export function planCommentMigration(tasks) {
+  const taskIds = new Set(tasks.map((task) => task.id));
+  const byThread = new Map();
+  const plan = { comments: [], threads: [], skipped: [], legacyTasks: [] };
+
+  tasks.forEach(({ id: taskId, data }) => {
+    if (!Array.isArray(data.comments)) return;
+    const threadId = data.type === 'material_request' && data.originalTaskId && taskIds.has(data.originalTaskId)
+      ? data.originalTaskId
+      : taskId;
+    plan.legacyTasks.push({ taskId, threadId });
+    if (!byThread.has(threadId)) byThread.set(threadId, new Map());
+    const thread = byThread.get(threadId);
+
+    data.comments.forEach((comment, index) => {
+      const text = typeof comment?.text === 'string' ? comment.text.trim() : '';
+      if (!text) {
+        plan.skipped.push({ taskId, index, reason: 'no text' });
+        return;
+      }
+      const id = toCommentId(comment.id, `legacy_${taskId}_${index}`);
+      // Copied between related tasks: the thread's own copy wins
+      if (thread.has(id) && taskId !== threadId) return;
+      thread.set(id, {
+        taskId,
+        text,
+        userId: comment.userId || null,
+        userName: comment.userName || '',
+        createdAt: toCreatedAt(comment.createdAt) || toCreatedAt(data.createdAt),
+        parentId: null,
+        mentions: [],
+        reactions: {},
+        ...(comment.type ? { type: comment.type } : {}),
+      });
+    });
+  });
+
+  byThread.forEach((comments, threadId) => {
+    if (comments.size > 0) plan.threads.push(threadId);
+    comments.forEach((data, id) => plan.comments.push({ threadId, id, data }));
+  });
+  return plan;
+}
+
+function printPlan(plan, { dryRun }) {
+  console.log(`\nTask comments${dryRun ? ' (dry run)' : ''}`);
+  console.log(`  Copy ${plan.comments.length} comment(s) into ${plan.threads.length} thread(s) from ${plan.legacyTasks.length} task(s), skip ${plan.skipped.length}`);
+  plan.skipped.forEach(({ taskId, index, reason }) => console.log(`  - ${taskId}[${index}]: ${reason}`));
+}
+
+// The Admin SDK is a dependency of the Cloud Functions package
+function loadAdmin() {
+  const requireFromFunctions = createRequire(resolve(ROOT_DIR, 'functions/package.json'));
+  return requireFromFunctions('firebase-admin');
+}
+
+function loadTaskComments() {
+  return createRequire(import.meta.url)('../functions/taskComments.js');
+}
+
+function getProjectId() {
+  if (process.env.GCLOUD_PROJECT) return process.env.GCLOUD_PROJECT;
+  return JSON.parse(readFileSync(resolve(ROOT_DIR, '.firebaserc'), 'utf8')).projects.default;
+}
+
+async function applyPlan(db, admin, plan, { deleteLegacy }) {
+  const writer = db.bulkWriter();
+  const failedThreads = new Set();
+  let written = 0;
+  let existing = 0;
+
+  plan.comments.forEach(({ threadId, id, data }) => {
+    const ref = db.collection('tasks').doc(threadId).collection('comments').doc(id);
+    writer.create(ref, data)
+      .then(() => { written++; })
+      .catch((error) => {
+        if (error.code === ALREADY_EXISTS) {
+          existing++;
+          return;
+        }
+        failedThreads.add(threadId);
+        console.error(`  ✗ ${threadId}/${id}:`, error.message);
+      });
+  });
+  await writer.close();
+
+  const { syncThreadSummary } = loadTaskComments();
+  for (const threadId of plan.threads) {
+    await syncThreadSummary(db, threadId);
+  }
+
+  let cleared = 0;
+  if (deleteLegacy) {
+    const clearWriter = db.bulkWriter();
+    plan.legacyTasks.filter(({ threadId }) => !failedThreads.has(threadId)).forEach(({ taskId }) => {
+      clearWriter.update(db.collection('tasks').doc(taskId), { comments: admin.firestore.FieldValue.delete() })
+        .then(() => { cleared++; })
+        .catch((error) => console.error(`  ✗ tasks/${taskId}:`, error.message));
+    });
+    await clearWriter.close();
+  }
+
+  console.log(`  ✓ Written ${written}, already there ${existing}, cleared ${cleared} task(s), failed thread(s) ${failedThreads.size}`);
+  return failedThreads.size;
+}
+
+async function migrateTaskComments({ dryRun = false, deleteLegacy = false } = {}) {
+  const admin = loadAdmin();
+  admin.initializeApp({ projectId: getProjectId() });
+  const db = admin.firestore();
+
+  const snapshot = await db.collection('tasks').get();
+  const plan = planCommentMigration(snapshot.docs.map((snap) => ({ id: snap.id, data: snap.data() })));
+  printPlan(plan, { dryRun });
+  if (dryRun) return true;
+  return (await applyPlan(db, admin, plan, { deleteLegacy })) === 0;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  migrateTaskComments({
+    dryRun: process.argv.includes('--dry-run'),
+    deleteLegacy: process.argv.includes('--delete-legacy'),
+  })
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,123 @@
+/**
+ * Sync Firestore Rules Script
+ *
+ * Writes the PERMISSIONS matrix from src/shared/constants.js into the
+ * generated permissionRoles() block of firestore.rules, so the rules and the
+ * UI's hasPermission() checks use the same role lists. Also writes the
+ * isChecklistDone() block, which checks each item index up to
+ * CHECKLIST_LIMITS.MAX_ITEMS because rules have no loops. Runs as a firestore
+ * predeploy step.
+ *
+ * Usage: node scripts/syncFirestoreRules.js [--check]
+ *   --check  Exit non-zero if firestore.rules is out of date (no write)
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PERMISSIONS } from '../src/shared/constants.js';
+import { CHECKLIST_LIMITS } from '../src/features/tasks/utils/checklist.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const RULES_PATH = resolve(ROOT_DIR, 'firestore.rules');
+
+export const BEGIN_MARKER = '// BEGIN GENERATED PERMISSIONS';
+export const END_MARKER = '// END GENERATED PERMISSIONS';
+export const CHECKLIST_BEGIN_MARKER = '// BEGIN GENERATED CHECKLIST';
+export const CHECKLIST_END_MARKER = '// END GENERATED CHECKLIST';
+const INDENT = '    ';
+
+/**
+ * Build the rules function for a permission matrix.
+ * @param {Object<string, string[]>} permissions
+ * @returns {string} Lines between (and including) the markers
+ */
+export function buildPermissionBlock(permissions) {
+  const entries = Object.entries(permissions).map(([permission, roles]) => {
+    const roleList = roles.map((role) => `'${role}'`).join(', ');
+    return `${INDENT}    '${permission}': [${roleList}]`;
+  });
+
+  return [
+    `${BEGIN_MARKER} by scripts/syncFirestoreRules.js from src/shared/constants.js - do not edit.`,
+    `${INDENT}function permissionRoles() {`,
+    `${INDENT}  return {`,
+    entries.join(',\n'),
+    `${INDENT}  };`,
+    `${INDENT}}`,
+    `${INDENT}${END_MARKER}`,
+  ].join('\n');
+}
+
+/**
+ * Build the rules function telling whether every checklist item is done.
+ * @param {number} maxItems - Longest checklist a task may have
+ * @returns {string} Lines between (and including) the markers
+ */
+export function buildChecklistBlock(maxItems) {
+  const items = Array.from({ length: maxItems }, (_, index) => (
+    `${INDENT}    && (items.size() <= ${index} || items[${index}].get('done', false) == true)`
+  ));
+
+  return [
+    `${CHECKLIST_BEGIN_MARKER} by scripts/syncFirestoreRules.js from src/features/tasks/utils/checklist.js - do not edit.`,
+    `${INDENT}function isChecklistDone(items) {`,
+    `${INDENT}  return items.size() <= ${maxItems}`,
+    `${items.join('\n')};`,
+    `${INDENT}}`,
+    `${INDENT}${CHECKLIST_END_MARKER}`,
+  ].join('\n');
+}
+
+const replaceBlock = (rules, beginMarker, endMarker, block) => {
+  const start = rules.indexOf(beginMarker);
+  const end = rules.indexOf(endMarker);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`firestore.rules is missing the "${beginMarker}" / "${endMarker}" markers`);
+  }
+  return rules.slice(0, start) + block + rules.slice(end + endMarker.length);
+};
+
+/**
+ * Replace the generated permissions block in a rules file.
+ * @param {string} rules - Current firestore.rules contents
+ * @param {Object<string, string[]>} permissions
+ * @returns {string}
+ */
+export function applyPermissionBlock(rules, permissions) {
+  return replaceBlock(rules, BEGIN_MARKER, END_MARKER, buildPermissionBlock(permissions));
+}
+
+/**
+ * Replace the generated checklist block in a rules file.
+ * @param {string} rules - Current firestore.rules contents
+ * @param {number} maxItems
+ * @returns {string}
+ */
+export function applyChecklistBlock(rules, maxItems) {
+  return replaceBlock(rules, CHECKLIST_BEGIN_MARKER, CHECKLIST_END_MARKER, buildChecklistBlock(maxItems));
+}
+
+function syncFirestoreRules({ check = false } = {}) {
+  const current = readFileSync(RULES_PATH, 'utf8');
+  const expected = applyChecklistBlock(applyPermissionBlock(current, PERMISSIONS), CHECKLIST_LIMITS.MAX_ITEMS);
+
+  if (current === expected) {
+    console.log('✅ firestore.rules permissions and checklist checks are up to date');
+    return true;
+  }
+
+  if (check) {
+    console.error('❌ firestore.rules generated blocks are out of date. Run: node scripts/syncFirestoreRules.js');
+    return false;
+  }
+
+  writeFileSync(RULES_PATH, expected);
+  console.log('✅ Synced PERMISSIONS and checklist checks into firestore.rules');
+  return true;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const ok = syncFirestoreRules({ check: process.argv.includes('--check') });
+  process.exit(ok ? 0 : 1);
+}
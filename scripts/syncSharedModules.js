@@ -0,0 +1,57 @@
+/**
+ * Sync Shared Modules Script
+ *
+ * Copies the pure modules shared by the web app and Cloud Functions (the
+ * points engine, the recurrence engine and approval chains) into the
+ * functions source tree, so both compute EP/LP/TCS, scheduled task dates and
+ * approvers with identical code. Runs as a functions predeploy step.
+ *
+ * Usage: node scripts/syncSharedModules.js [--check]
+ *   --check  Exit non-zero if a functions copy is out of date (no write)
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const SHARED_MODULES = [
+  { source: 'src/shared/utils/pointsEngine.js', target: 'functions/shared/pointsEngine.mjs' },
+  { source: 'src/shared/utils/recurrence.js', target: 'functions/shared/recurrence.mjs' },
+  { source: 'src/shared/utils/approvalChains.js', target: 'functions/shared/approvalChains.mjs' },
+];
+
+export function buildFunctionsCopy(source, sourcePath) {
+  return `// GENERATED by scripts/syncSharedModules.js from ${sourcePath} - do not edit.\n${source}`;
+}
+
+function syncModule({ source, target }, { check }) {
+  const expected = buildFunctionsCopy(readFileSync(resolve(ROOT_DIR, source), 'utf8'), source);
+  const targetPath = resolve(ROOT_DIR, target);
+  const current = existsSync(targetPath) ? readFileSync(targetPath, 'utf8') : null;
+
+  if (current === expected) {
+    console.log(`✅ ${target} is up to date`);
+    return true;
+  }
+
+  if (check) {
+    console.error(`❌ ${target} is out of date. Run: node scripts/syncSharedModules.js`);
+    return false;
+  }
+
+  mkdirSync(dirname(targetPath), { recursive: true });
+  writeFileSync(targetPath, expected);
+  console.log(`✅ Synced ${source} to ${target}`);
+  return true;
+}
+
+function syncSharedModules({ check = false } = {}) {
+  return SHARED_MODULES.map((module) => syncModule(module, { check })).every(Boolean);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const ok = syncSharedModules({ check: process.argv.includes('--check') });
+  process.exit(ok ? 0 : 1);
+}
@@ -1,13 +1,16 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback, Suspense, lazy } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { db, auth, enablePushNotifications, onForegroundMessage } from './firebase';
-import { collection, onSnapshot, doc, addDoc, updateDoc, deleteDoc, getDocs, serverTimestamp, arrayUnion } from 'firebase/firestore';
-import { signInAnonymously } from 'firebase/auth';
+import { enablePushNotifications, onForegroundMessage } from './firebase';
+import { usersRepository } from './shared/data/usersRepository';
+import { arrayUnion } from './shared/data/fieldValues';
 
-import { subscribeTasks, createTask as addTaskData, patchTask as updateTaskData, removeTask as deleteTaskData, loadTaskHeavyItems } from './features/tasks/api/taskApi';
+import { subscribeTasks, fetchTasks, loadArchivedTasksPage, createTask as addTaskData, patchTask as updateTaskData, removeTask as deleteTaskData, loadTaskHeavyItems } from './features/tasks/api/taskApi';
+import { getTaskScopeKey, getTaskScopeUser } from './features/tasks/utils/taskQueries.js';
+import { getUsers, subscribeUsers, getDepartments, subscribeDepartments } from './features/admin/api/adminApi.js';
 import { useI18n } from './shared/i18n/translations.js';
 import Header from './shared/components/Header.jsx';
 import LoginScreen from './features/auth/LoginScreen.jsx';
+import { watchSession, signOutUser } from './features/auth/api/authApi.js';
 import { ROLES, STATUSES } from './shared/constants.js';
 import { canAccessFeature } from './shared/utils/permissions.js';
 import Section from './shared/components/Section.jsx';
@@ -17,8 +20,10 @@ import { useSmartRefresh } from './shared/hooks/useSmartRefresh.js';
 import { useDesktopMode } from './shared/hooks/useDesktopMode.js';
 import { initializePwaAnalytics, logPwaEvent } from './shared/utils/pwaAnalytics.js';
 import RefreshIndicator from './shared/components/RefreshIndicator.jsx';
+import useOutbox from './features/tasks/hooks/useOutbox.js';
+import useApprovals from './features/approvals/hooks/useApprovals.js';
+import { dismissOutboxProblems } from './features/tasks/api/outboxApi.js';
 import LocationProvider from './shared/components/LocationProvider.jsx';
-import { cleanFirestoreData } from './shared/utils/firestoreHelpers.js';
 // import LocationPermissionModal from './shared/components/LocationPermissionModal.jsx';
 
 // Lazy load heavy components
@@ -33,6 +38,7 @@ const AnalyticsDashboard = lazy(() => import('./features/analytics/components/An
 const ManagementSection = lazy(() => import('./features/admin/components/ManagementSection.jsx'));
 const LocationsModal = lazy(() => import('./features/locations/components/LocationsModal.jsx'));
 const MarketTab = lazy(() => import('./features/market/components/MarketTab.jsx'));
+const ApprovalsInbox = lazy(() => import('./features/approvals/components/ApprovalsInbox.jsx'));
 // ---------------------- SVG Icons ----------------------
 
 // ---------------------- Constants & Translations ----------------------
@@ -82,17 +88,21 @@ function KaryaApp() {
   const [users, setUsers] = useState([]);
   const [departments, setDepartments] = useState([]);
 
-  const [tasks, setTasks] = useState([]);
+  // Live role-scoped tasks, plus archive pages loaded on demand (see features/tasks/utils/taskQueries.js)
+  const [liveTasks, setLiveTasks] = useState([]);
+  const [archivedTasks, setArchivedTasks] = useState([]);
+  const [archive, setArchive] = useState({ cursors: {}, hasMore: true, isLoading: false });
   const [appState, setAppState] = useState(() => ({
     isAdminPanelOpen: false,
-    currentUserId: localStorage.getItem('kartavya_userId') || null
+    currentUserId: null
   }));
+  const [isAuthReady, setIsAuthReady] = useState(false);
   const { currentUserId, isAdminPanelOpen } = appState;
   const { t, setLanguage, language } = useI18n();
   const { isDesktopMode, toggleDesktopMode } = useDesktopMode();
   const [dashboardDeptId, setDashboardDeptId] = useState('');
   const [isCreateTaskOpen, setIsCreateTaskOpen] = useState(false);
-  const [activeTab, setActiveTab] = useState('tasks'); // 'tasks', 'points', 'market', 'department', 'management'
+  const [activeTab, setActiveTab] = useState('tasks'); // 'tasks', 'points', 'market', 'approvals', 'department', 'management'
   const [openTaskId, setOpenTaskId] = useState(null);
   const [isLocationsModalOpen, setIsLocationsModalOpen] = useState(false);
   const [showPushBanner, setShowPushBanner] = useState(false);
@@ -101,6 +111,8 @@ function KaryaApp() {
   const [isOnline, setIsOnline] = useState(typeof navigator !== 'undefined' ? navigator.onLine : true);
   // const [locationPermissionStatus, setLocationPermissionStatus] = useState('idle'); // idle, checking, granted, denied
 
+  const outbox = useOutbox(isOnline, currentUserId);
+
   // Listen for online/offline changes
   useEffect(() => {
     function handleOnline() { setIsOnline(true); }
@@ -120,10 +132,35 @@ function KaryaApp() {
     return Array.from(map.values());
   };
 
+  // Firebase Auth session: the signed-in uid is the current user's id
+  useEffect(() => {
+    return watchSession((userId) => {
+      if (userId) {
+        localStorage.setItem('kartavya_userId', userId);
+      } else {
+        localStorage.removeItem('kartavya_userId');
+        localStorage.removeItem('kartavya_userName');
+        localStorage.removeItem('kartavya_currentUser');
+      }
+      setAppState((s) => ({ ...s, currentUserId: userId }));
+      setIsAuthReady(true);
+    });
+  }, []);
+
   // Progressive bootstrap: Load critical data first, defer heavy operations
   useEffect(() => {
     let unsubs = [];
     let loadingTimeout;
+
+    // Data is only readable once signed in; until then the login screen is shown
+    if (!isAuthReady || !currentUserId) {
+      setIsLoading(!isAuthReady);
+      setUsers([]);
+      setLiveTasks([]);
+      setArchivedTasks([]);
+      setArchive({ cursors: {}, hasMore: true, isLoading: false });
+      return undefined;
+    }
     
     async function bootstrap() {
       // Reduced timeout for faster failure recovery
@@ -148,30 +185,14 @@ function KaryaApp() {
           });
         }
         
-        // Phase 2: Quick auth check (non-blocking)
-        try {
-          if (!auth.currentUser) {
-            await signInAnonymously(auth);
-          }
-        } catch (e) {
-          console.warn('Anonymous sign-in failed (continuing):', e?.message);
-        }
-
         // Phase 3: Load only critical data (users) first
-        const [usersLower, usersUpper] = await Promise.all([
-          getDocs(collection(db, 'users')).catch(() => ({ docs: [] })),
-          getDocs(collection(db, 'Users')).catch(() => ({ docs: [] }))
-        ]);
-
-        const usersA = usersLower.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-        const usersB = usersUpper.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-        const mergedUsers = mergeById(usersA, usersB);
+        const loadedUsers = await getUsers();
         
-        setUsers(mergedUsers);
+        setUsers(loadedUsers);
         
         // Store users globally for PWA analytics
         if (typeof window !== 'undefined') {
-          window.kartavyaUsers = mergedUsers;
+          window.kartavyaUsers = loadedUsers;
         }
 
         // Clear timeout and show UI immediately after users load
@@ -179,7 +200,7 @@ function KaryaApp() {
           clearTimeout(loadingTimeout);
         }
         
-        if (mergedUsers.length > 0) {
+        if (loadedUsers.length > 0) {
           console.log('Bootstrap: Users loaded successfully, setting loading to false');
           setIsLoading(false);
         } else {
@@ -194,89 +215,16 @@ function KaryaApp() {
           if (tid) setOpenTaskId(tid);
         } catch {}
 
-        // Phase 4: Load departments in background (non-blocking)
-        Promise.all([
-          getDocs(collection(db, 'departments')).catch(() => ({ docs: [] })),
-          getDocs(collection(db, 'Departments')).catch(() => ({ docs: [] }))
-        ]).then(([deptLower, deptUpper]) => {
-          const deptA = deptLower.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-          const deptB = deptUpper.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-          const mergedDept = mergeById(deptA, deptB);
-          setDepartments(mergedDept);
-        }).catch(e => console.warn('Department loading failed:', e));
-
-        // Phase 5: Start realtime listeners (non-blocking)
-        const unsub1 = onSnapshot(collection(db, 'users'), (snap) => {
-          const us = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-          setUsers((prev) => {
-            const merged = mergeById(us, prev);
-            if (typeof window !== 'undefined') {
-              window.kartavyaUsers = merged;
-            }
-            return merged;
-          });
-        }, (error) => {
-          console.warn('Users collection listener error:', error);
-        });
-        const unsub2 = onSnapshot(collection(db, 'Users'), (snap) => {
-          const us = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-          setUsers((prev) => {
-            const merged = mergeById(prev, us);
-            if (typeof window !== 'undefined') {
-              window.kartavyaUsers = merged;
-            }
-            return merged;
-          });
-        }, (error) => {
-          console.warn('Users (uppercase) collection listener error:', error);
-        });
-        const unsub3 = onSnapshot(collection(db, 'departments'), (snap) => {
-          const dep = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-          setDepartments((prev) => mergeById(dep, prev));
-        }, (error) => {
-          console.warn('Departments collection listener error:', error);
-        });
-        const unsub4 = onSnapshot(collection(db, 'Departments'), (snap) => {
-          const dep = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-          setDepartments((prev) => mergeById(prev, dep));
-        }, (error) => {
-          console.warn('Departments (uppercase) collection listener error:', error);
-        });
-
-        // Phase 6: Load tasks with progressive loading (non-blocking)
-        const unsub5 = subscribeTasks((newTasks) => {
-          setTasks(newTasks);
-          
-          // Load heavy items for tasks that need them after a short delay
-          setTimeout(() => {
-            const tasksNeedingHeavyItems = newTasks
-              .filter(task => !task._progressiveLoaded)
-              .slice(0, 10) // Load heavy items for first 10 tasks initially
-              .map(task => task.id);
-            
-            if (tasksNeedingHeavyItems.length > 0) {
-              loadTaskHeavyItems(tasksNeedingHeavyItems).then(heavyItemsData => {
-                setTasks(prevTasks => 
-                  prevTasks.map(task => {
-                    const heavyData = heavyItemsData.find(h => h.id === task.id);
-                    if (heavyData) {
-                      return {
-                        ...task,
-                        photos: heavyData.photos,
-                        comments: heavyData.comments,
-                        notes: heavyData.notes,
-                        _progressiveLoaded: true
-                      };
-                    }
-                    return task;
-                  })
-                );
-              });
-            }
-          }, 1000); // 1 second delay to let basic UI render first
+        // Phase 4: Start realtime listeners (non-blocking)
+        const unsubUsers = subscribeUsers((us) => {
+          setUsers(us);
+          if (typeof window !== 'undefined') {
+            window.kartavyaUsers = us;
+          }
         });
+        const unsubDepartments = subscribeDepartments(setDepartments);
 
-        unsubs = [unsub1, unsub2, unsub3, unsub4, unsub5];
+        unsubs = [unsubUsers, unsubDepartments];
       } catch (e) {
         console.error('Bootstrap error', e);
         if (loadingTimeout) {
@@ -286,71 +234,95 @@ function KaryaApp() {
         setLoadingError(`Loading failed: ${e.message}`);
       }
     }
+    setIsLoading(true);
     bootstrap();
-    return () => { unsubs.forEach((fn) => fn && fn()); };
-  }, []);
+    return () => {
+      if (loadingTimeout) clearTimeout(loadingTimeout);
+      unsubs.forEach((fn) => fn && fn());
+    };
+  }, [isAuthReady, currentUserId]);
+
+  const currentUser = useMemo(() => users.find((u) => u.id === currentUserId), [users, currentUserId]);
+  const approvals = useApprovals(currentUser, users);
+  const taskScopeKey = getTaskScopeKey(currentUser);
+  const taskScopeUser = useMemo(() => getTaskScopeUser(taskScopeKey), [taskScopeKey]);
+
+  // Load tasks with progressive loading; resubscribe only when the user's task scopes change
+  useEffect(() => {
+    if (!taskScopeUser) return undefined;
+    let heavyItemsTimeout;
+
+    const unsubscribe = subscribeTasks(taskScopeUser, (newTasks) => {
+      setLiveTasks(newTasks);
+
+      // Load heavy items for tasks that need them after a short delay
+      clearTimeout(heavyItemsTimeout);
+      heavyItemsTimeout = setTimeout(() => {
+        const tasksNeedingHeavyItems = newTasks
+          .filter(task => !task._progressiveLoaded)
+          .slice(0, 10) // Load heavy items for first 10 tasks initially
+          .map(task => task.id);
+
+        if (tasksNeedingHeavyItems.length > 0) {
+          loadTaskHeavyItems(tasksNeedingHeavyItems).then(heavyItemsData => {
+            setLiveTasks(prevTasks =>
+              prevTasks.map(task => {
+                const heavyData = heavyItemsData.find(h => h.id === task.id);
+                if (heavyData) {
+                  return {
+                    ...task,
+                    photos: heavyData.photos,
+                    notes: heavyData.notes,
+                    _progressiveLoaded: true
+                  };
+                }
+                return task;
+              })
+            );
+          });
+        }
+      }, 1000); // 1 second delay to let basic UI render first
+    });
+
+    setArchivedTasks([]);
+    setArchive({ cursors: {}, hasMore: true, isLoading: false });
+    return () => {
+      clearTimeout(heavyItemsTimeout);
+      unsubscribe();
+    };
+  }, [taskScopeUser]);
+
+  // Older completed and deleted tasks, a page at a time
+  const loadMoreArchivedTasks = useCallback(async () => {
+    if (!currentUser || archive.isLoading || !archive.hasMore) return;
+    setArchive((prev) => ({ ...prev, isLoading: true }));
+    const page = await loadArchivedTasksPage(currentUser, archive.cursors);
+    setArchivedTasks((prev) => mergeById(prev, page.tasks));
+    setArchive({ cursors: page.cursors, hasMore: page.hasMore, isLoading: false });
+  }, [currentUser, archive]);
+
+  // Live tasks win over the archive copies, which are not updated
+  const tasks = useMemo(() => mergeById(archivedTasks, liveTasks), [archivedTasks, liveTasks]);
 
   // --- Smart Refresh Functions ---
   const refreshTasks = useCallback(async () => {
+    if (!currentUser) return;
     try {
-      // Force refresh tasks by getting latest data
       console.log('Refreshing tasks...');
-      
-      // Get fresh tasks data
-      const [lowerTasksSnap, upperTasksSnap] = await Promise.all([
-        getDocs(collection(db, 'tasks')).catch(() => ({ docs: [] })),
-        getDocs(collection(db, 'Tasks')).catch(() => ({ docs: [] }))
-      ]);
-      
-      const lowerTasks = lowerTasksSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-      const upperTasks = upperTasksSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-      
-      // Merge tasks, avoiding duplicates
-      const mergedTasks = [...lowerTasks];
-      upperTasks.forEach(task => {
-        if (!mergedTasks.find(t => t.id === task.id)) {
-          mergedTasks.push(task);
-        }
-      });
-      
-      setTasks(mergedTasks);
-      console.log('Tasks refreshed:', mergedTasks.length);
-      
+      const freshTasks = await fetchTasks(currentUser);
+      setLiveTasks(freshTasks);
+      console.log('Tasks refreshed:', freshTasks.length);
     } catch (error) {
       console.error('Failed to refresh tasks:', error);
     }
-  }, []);
+  }, [currentUser]);
   
   const refreshUsers = useCallback(async () => {
-    try {
-      const [usersLower, usersUpper] = await Promise.all([
-        getDocs(collection(db, 'users')).catch(() => ({ docs: [] })),
-        getDocs(collection(db, 'Users')).catch(() => ({ docs: [] }))
-      ]);
-      
-      const usersA = usersLower.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-      const usersB = usersUpper.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-      const mergedUsers = mergeById(usersA, usersB);
-      setUsers(mergedUsers);
-    } catch (error) {
-      console.error('Failed to refresh users:', error);
-    }
+    setUsers(await getUsers());
   }, []);
   
   const refreshDepartments = useCallback(async () => {
-    try {
-      const [deptLower, deptUpper] = await Promise.all([
-        getDocs(collection(db, 'departments')).catch(() => ({ docs: [] })),
-        getDocs(collection(db, 'Departments')).catch(() => ({ docs: [] }))
-      ]);
-      
-      const deptA = deptLower.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-      const deptB = deptUpper.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-      const mergedDept = mergeById(deptA, deptB);
-      setDepartments(mergedDept);
-    } catch (error) {
-      console.error('Failed to refresh departments:', error);
-    }
+    setDepartments(await getDepartments());
   }, []);
   
   
@@ -369,7 +341,6 @@ function KaryaApp() {
   });
 
   // --- Derived State & Helpers ---
-  const currentUser = useMemo(() => users.find((u) => u.id === currentUserId), [users, currentUserId]);
   
   // Initialize location tracking
   const currentUserName = useMemo(() => {
@@ -456,26 +427,19 @@ function KaryaApp() {
 
 
 
-  const handleLogin = (userId) => {
-    localStorage.setItem('kartavya_userId', userId);
-    setAppState((s) => ({ ...s, currentUserId: userId }));
-    // Log login activity
-    const user = users.find(u => u.id === userId);
-    if (user) {
-      // Store current user data for PWA analytics
-      localStorage.setItem('kartavya_userName', user.name || user.username || 'Unknown');
-      localStorage.setItem('kartavya_currentUser', JSON.stringify(user));
-      // Immediately refresh PWA analytics identity
-      try {
-        initializePwaAnalytics(user.id, user.name || user.username || 'Unknown');
-      } catch {}
-      
-      logActivity('login', 'user', userId, user.name, userId, user.name, {
-        userRole: user.role,
-        userDepartments: user.departmentIds,
-        loginTime: new Date().toISOString()
-      });
-    }
+  // Called by LoginScreen after Firebase Auth sign-in succeeds; the session watcher sets currentUserId
+  const handleLogin = (user) => {
+    // Store current user data for PWA analytics
+    localStorage.setItem('kartavya_userId', user.id);
+    localStorage.setItem('kartavya_userName', user.name || 'Unknown');
+    // Immediately refresh PWA analytics identity
+    try {
+      initializePwaAnalytics(user.id, user.name || 'Unknown');
+    } catch {}
+
+    logActivity('login', 'user', user.id, user.name, user.id, user.name, {
+      loginTime: new Date().toISOString()
+    });
   };
   const handleLogout = () => {
     // Log logout activity
@@ -493,6 +457,7 @@ function KaryaApp() {
     try {
       initializePwaAnalytics('anonymous', 'Unknown');
     } catch {}
+    signOutUser().catch((error) => console.error('Sign-out failed:', error));
     setAppState((s) => ({ ...s, currentUserId: null }));
   };
 
@@ -540,9 +505,7 @@ function KaryaApp() {
       const token = await enablePushNotifications(VAPID_PUBLIC_KEY);
 
       if (currentUser?.id && token) {
-        const updateData = { fcmTokens: arrayUnion(token) };
-        const cleanUpdateData = cleanFirestoreData(updateData);
-        await updateDoc(doc(db, 'users', currentUser.id), cleanUpdateData);
+        await usersRepository.update(currentUser.id, { fcmTokens: arrayUnion(token) });
         localStorage.setItem(`kartavya_push_saved_${currentUser.id}`, '1');
         setShowPushBanner(false);
         showTaskFeedback('Push notifications enabled on this device', 'success');
@@ -642,7 +605,7 @@ function KaryaApp() {
     );
   }
 
-  if (!users.length) {
+  if (currentUserId && !users.length) {
     // Explicit empty state to make issues visible
     return (
       <div className="min-h-screen bg-surface text-slate-900 flex items-center justify-center p-6 text-center">
@@ -659,7 +622,7 @@ function KaryaApp() {
       <div className="min-h-screen bg-surface text-slate-900">
         <Header t={t} />
         <main className="mx-auto max-w-md p-4">
-          <LoginScreen users={users} onLogin={handleLogin} isLoading={isLoading} t={t} />
+          <LoginScreen onLogin={handleLogin} t={t} />
         </main>
       </div>
     );
@@ -682,7 +645,7 @@ function KaryaApp() {
       <div className="min-h-screen bg-surface text-slate-900">
       {!isOnline && (
         <div className="bg-amber-500 text-white text-xs px-3 py-2 text-center">
-          You are offline. Changes may not sync until connection is restored.
+          You are offline. Task changes are saved on this device and will sync when you reconnect.
         </div>
       )}
       {showPushBanner && (
@@ -713,6 +676,8 @@ function KaryaApp() {
         isRefreshing={isRefreshing}
         refreshProgress={refreshProgress}
         pullDistance={pullDistance}
+        outbox={outbox}
+        onDismissOutboxProblems={dismissOutboxProblems}
       />
       <Routes>
         <Route path="/attendance" element={<AttendanceComingSoonPage />} />
@@ -759,11 +724,15 @@ function KaryaApp() {
               users={users}
               departments={departments}
               tasks={tasks}
+              hasMoreTasks={archive.hasMore}
+              isLoadingMoreTasks={archive.isLoading}
+              onLoadMoreTasks={loadMoreArchivedTasks}
               t={t}
               openTaskId={openTaskId}
               setOpenTaskId={setOpenTaskId}
               onTaskFeedback={showTaskFeedback}
               isDesktopMode={isDesktopMode}
+              approvalRequests={approvals.reminders}
             />
           </Suspense>
         )}
@@ -811,6 +780,28 @@ function KaryaApp() {
           </Suspense>
         )}
 
+        {activeTab === 'approvals' && currentUser && (
+          <Suspense fallback={
+            <div className="flex items-center justify-center p-8">
+              <div className="w-8 h-8 border-2 border-brand-600 border-t-transparent rounded-full animate-spin"></div>
+              <span className="ml-2 text-sm text-slate-500">Loading approvals...</span>
+            </div>
+          }>
+            <ApprovalsInbox
+              currentUser={currentUser}
+              users={users}
+              departments={departments}
+              approvals={approvals}
+              t={t}
+              onTaskFeedback={showTaskFeedback}
+              onOpenTask={(taskId) => {
+                setOpenTaskId(taskId);
+                setActiveTab('tasks');
+              }}
+            />
+          </Suspense>
+        )}
+
         {activeTab === 'department' && (currentUser?.role === ROLES.ADMIN || currentUser?.role === ROLES.HEAD || currentUser?.role === ROLES.MANAGEMENT) && (
           <Suspense fallback={
             <div className="flex items-center justify-center p-8">
@@ -832,10 +823,6 @@ function KaryaApp() {
                 return updateTaskData(id, rest, currentUser?.id || null, currentUser?.name || currentUser?.username || 'Unknown');
               }}
               onDeleteTask={deleteTaskData}
-              onDeleteComment={(taskId, commentId) => {
-                // Handle comment deletion logic here
-                console.log('Delete comment:', taskId, commentId);
-              }}
             />
           </Suspense>
         )}
@@ -873,7 +860,14 @@ function KaryaApp() {
           <div className="w-6 h-6 border-2 border-brand-600 border-t-transparent rounded-full animate-spin mx-auto"></div>
         </div>
       }>
-        <BottomTabs activeTab={activeTab} setActiveTab={setActiveTab} t={t} currentUser={currentUser} />
+        <BottomTabs
+          activeTab={activeTab}
+          setActiveTab={setActiveTab}
+          t={t}
+          currentUser={currentUser}
+          approvalCount={approvals.count}
+          hasApprovalRequests={approvals.requested.length > 0}
+        />
       </Suspense>
       
       {/* Task Feedback Notification */}
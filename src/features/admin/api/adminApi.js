@@ -1,36 +1,110 @@
-import { db } from '../../../firebase';
-import { collection, doc, addDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { usersRepository } from '../../../shared/data/usersRepository';
+import { departmentsRepository } from '../../../shared/data/departmentsRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
 import { logActivity } from '../../../shared/utils/activityLogger';
-import { cleanFirestoreData } from '../../../shared/utils/firestoreHelpers';
 import { resetPointsExpirationDate, expireAllUserPoints } from '../../../shared/utils/pointsManagement';
+import { setUserPassword } from '../../auth/api/authApi';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../firebase';
 
+// Users and departments live in the lowercase collections only; older
+// deployments' `Users`/`Departments` are merged in by scripts/consolidateCollections.js
+
+/**
+ * Get all users
+ * @returns {Promise<Array>} Empty on error
+ */
+export const getUsers = async () => {
+  try {
+    return await usersRepository.list();
+  } catch (error) {
+    console.error('Error loading users:', error);
+    return [];
+  }
+};
+
+/**
+ * Get one user
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Null when missing or on error
+ */
+export const getUser = async (userId) => {
+  try {
+    return await usersRepository.get(userId);
+  } catch (error) {
+    console.error('Error loading user:', error);
+    return null;
+  }
+};
+
+/**
+ * Subscribe to all users
+ * @param {Function} callback - Called with the users on every change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeUsers = (callback) => usersRepository.subscribe(
+  null,
+  callback,
+  (error) => console.error('Error subscribing to users:', error)
+);
+
+/**
+ * Get all departments
+ * @returns {Promise<Array>} Empty on error
+ */
+export const getDepartments = async () => {
+  try {
+    return await departmentsRepository.list();
+  } catch (error) {
+    console.error('Error loading departments:', error);
+    return [];
+  }
+};
+
+/**
+ * Subscribe to all departments
+ * @param {Function} callback - Called with the departments on every change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeDepartments = (callback) => departmentsRepository.subscribe(
+  null,
+  callback,
+  (error) => console.error('Error subscribing to departments:', error)
+);
+
+// Passwords never go on the user document; they are hashed by the setUserPassword Cloud Function
 export const addUser = async (newUser, currentUser) => {
-  const result = await addDoc(collection(db, 'users'), newUser);
-  logActivity('create', 'user', result.id, newUser.name, currentUser.id, currentUser.name, {
+  const { password, ...userData } = newUser;
+  const id = await usersRepository.add(userData);
+  if (password) {
+    await setUserPassword(id, password);
+  }
+  logActivity('create', 'user', id, newUser.name, currentUser.id, currentUser.name, {
     role: newUser.role,
     departmentIds: newUser.departmentIds,
   });
-  return result;
+  return { id };
 };
 
 export const updateUser = async (user, oldUser, currentUser) => {
-  const { id, ...data } = user;
+  const { id, password, ...data } = user;
   console.log('Updating user in Firestore:', { id, data, oldUser });
   
-  // Clean undefined values from data
-  const cleanData = cleanFirestoreData(data);
-  
   // Ensure role is included in the data
+  const cleanData = { ...data };
   if (!cleanData.role) {
     console.warn('No role found in user data, using default USER role');
     cleanData.role = 'User';
   }
   
-  await updateDoc(doc(db, 'users', id), cleanData);
+  await usersRepository.update(id, cleanData);
+  if (password) {
+    await setUserPassword(id, password);
+  }
   console.log('User updated successfully in Firestore');
   if (oldUser) {
     logActivity('update', 'user', id, oldUser.name, currentUser.id, currentUser.name, {
-      changes: Object.keys(data),
+      changes: password ? [...Object.keys(data), 'password'] : Object.keys(data),
       previousRole: oldUser.role,
       newRole: data.role || oldUser.role,
     });
@@ -38,7 +112,7 @@ export const updateUser = async (user, oldUser, currentUser) => {
 };
 
 export const removeUser = async (userId, user, currentUser) => {
-  await deleteDoc(doc(db, 'users', userId));
+  await usersRepository.remove(userId);
   if (user) {
     logActivity('delete', 'user', userId, user.name, currentUser.id, currentUser.name, {
       role: user.role,
@@ -48,18 +122,14 @@ export const removeUser = async (userId, user, currentUser) => {
 };
 
 export const addDepartment = async (dept, currentUser) => {
-  const result = await addDoc(collection(db, 'departments'), dept);
-  logActivity('create', 'department', result.id, dept.name, currentUser.id, currentUser.name);
-  return result;
+  const id = await departmentsRepository.add(dept);
+  logActivity('create', 'department', id, dept.name, currentUser.id, currentUser.name);
+  return { id };
 };
 
 export const updateDepartment = async (dept, oldDept, currentUser) => {
   const { id, ...data } = dept;
-  
-  // Clean undefined values from data
-  const cleanData = cleanFirestoreData(data);
-  
-  await updateDoc(doc(db, 'departments', id), cleanData);
+  await departmentsRepository.update(id, data);
   if (oldDept) {
     logActivity('update', 'department', id, oldDept.name, currentUser.id, currentUser.name, {
       changes: Object.keys(data),
@@ -69,15 +139,93 @@ export const updateDepartment = async (dept, oldDept, currentUser) => {
   }
 };
 
+export const updateDepartmentEscalationPolicy = async (dept, policy, currentUser) => {
+  await departmentsRepository.update(dept.id, { escalationPolicy: policy });
+  logActivity('update', 'department', dept.id, dept.name, currentUser.id, currentUser.name, {
+    action: 'update_escalation_policy',
+    ...policy,
+  });
+};
+
+/**
+ * Save the effort expectations a department applies to new tasks and whether
+ * the weekly calibration (functions/effortCalibration.js) applies its own
+ * suggestions. The calibration's statistics are left as they are.
+ */
+export const updateDepartmentEffortCalibration = async (dept, { expectations, autoApply }, currentUser) => {
+  const current = dept.effortCalibration || {};
+  const expectationsChanged = JSON.stringify(expectations) !== JSON.stringify(current.expectations || {});
+  await departmentsRepository.update(dept.id, {
+    effortCalibration: {
+      ...current,
+      expectations,
+      autoApply,
+      ...(expectationsChanged ? { appliedAt: serverTimestamp(), appliedByName: currentUser.name } : {}),
+    },
+  });
+  logActivity('update', 'department', dept.id, dept.name, currentUser.id, currentUser.name, {
+    action: 'update_effort_calibration',
+    expectations,
+    autoApply,
+  });
+};
+
+/**
+ * Save a department's approval chains (see shared/utils/approvalChains.js).
+ * Requests already open keep the approvers they were opened with.
+ * @param {Object} dept
+ * @param {Object} chains - { [type]: { enabled, steps, minPoints? } }
+ * @param {Object} currentUser
+ */
+export const updateDepartmentApprovalChains = async (dept, chains, currentUser) => {
+  await departmentsRepository.update(dept.id, { approvalChains: chains });
+  logActivity('update', 'department', dept.id, dept.name, currentUser.id, currentUser.name, {
+    action: 'update_approval_chains',
+    enabledTypes: Object.keys(chains).filter((type) => chains[type].enabled),
+  });
+};
+
+/**
+ * Run the effort calibration now instead of waiting for Monday's run
+ * @returns {Promise<{departments: number, samples: number, applied: string[]}>}
+ */
+export const recalculateEffortCalibration = async (currentUser) => {
+  const result = await httpsCallable(functions, 'recalculateEffortCalibration')({ actorId: currentUser.id });
+  return result.data;
+};
+
+/**
+ * Save who gets the weekly report email and how (see functions/reports.js).
+ * Users may change their own subscription.
+ */
+export const updateReportSubscription = async (user, subscription) => {
+  await usersRepository.update(user.id, { reportSubscription: subscription });
+  logActivity('update', 'user', user.id, user.name, user.id, user.name, {
+    action: 'update_report_subscription',
+    weekly: subscription.weekly,
+    attachPdf: subscription.attachPdf,
+    departmentIds: subscription.departmentIds,
+  });
+};
+
+/**
+ * Email last week's report to the current user now
+ * @returns {Promise<{weekStart: string}>}
+ */
+export const sendWeeklyReportPreview = async (currentUser) => {
+  const result = await httpsCallable(functions, 'sendWeeklyReportPreview')({ actorId: currentUser.id });
+  return result.data;
+};
+
 export const removeDepartment = async (deptId, dept, currentUser) => {
-  await deleteDoc(doc(db, 'departments', deptId));
+  await departmentsRepository.remove(deptId);
   if (dept) {
     logActivity('delete', 'department', deptId, dept.name, currentUser.id, currentUser.name);
   }
 };
 
 export const resetUserPointsExpiration = async (userId, user, currentUser) => {
-  const result = await resetPointsExpirationDate(userId);
+  const result = await resetPointsExpirationDate(userId, currentUser.id);
   if (result.success && user) {
     logActivity('update', 'user', userId, user.name, currentUser.id, currentUser.name, {
       action: 'reset_points_expiration',
@@ -88,7 +236,7 @@ export const resetUserPointsExpiration = async (userId, user, currentUser) => {
 };
 
 export const expireUserPoints = async (userId, user, currentUser) => {
-  const result = await expireAllUserPoints(userId);
+  const result = await expireAllUserPoints(userId, currentUser.id);
   if (result.success && user) {
     logActivity('update', 'user', userId, user.name, currentUser.id, currentUser.name, {
       action: 'expire_all_points',
@@ -99,6 +99,7 @@ export default function ActivityLog({ onClose, t }) {
             <option value="unassign">Unassigned</option>
             <option value="comment">Commented</option>
             <option value="request_material">Requested Material/Info</option>
+            <option value="escalate">Escalated</option>
             <option value="app_launch">App Launched</option>
             <option value="display_mode_change">Display Mode Changed</option>
             <option value="visibility_change">App Visibility Changed</option>
@@ -141,6 +142,7 @@ export default function ActivityLog({ onClose, t }) {
                             {log.action === 'unassign' && 'Unassigned'}
                             {log.action === 'comment' && 'Commented'}
                             {log.action === 'request_material' && 'Requested Material/Info'}
+                            {log.action === 'escalate' && 'Escalated'}
                             {log.action === 'app_launch' && 'App Launched'}
                             {log.action === 'display_mode_change' && 'Display Mode Changed'}
                             {log.action === 'visibility_change' && 'App Visibility Changed'}
@@ -149,7 +151,7 @@ export default function ActivityLog({ onClose, t }) {
                             {log.action === 'web_vital_cls' && 'Performance: CLS'}
                             {log.action === 'js_error' && 'JavaScript Error'}
                             {log.action === 'network_error' && 'Network Error'}
-                            {!['create', 'update', 'delete', 'login', 'logout', 'complete', 'start', 'reopen', 'assign', 'unassign', 'comment', 'request_material', 'app_launch', 'display_mode_change', 'visibility_change', 'connection_change', 'web_vital_lcp', 'web_vital_cls', 'js_error', 'network_error'].includes(log.action) && log.action}
+                            {!['create', 'update', 'delete', 'login', 'logout', 'complete', 'start', 'reopen', 'assign', 'unassign', 'comment', 'request_material', 'escalate', 'app_launch', 'display_mode_change', 'visibility_change', 'connection_change', 'web_vital_lcp', 'web_vital_cls', 'js_error', 'network_error'].includes(log.action) && log.action}
                           </span>
                         </div>
                         {log.entityName && log.entityType !== 'user' && (
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { db } from '../../../firebase';
-import { collection, getDocs, query, where, orderBy, limit, startAfter, writeBatch, doc, updateDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
-import { ROLES } from '../../../shared/constants';
+import { ROLES, STATUSES } from '../../../shared/constants';
+import { usersRepository } from '../../../shared/data/usersRepository';
+import { tasksRepository } from '../../../shared/data/tasksRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
 import {
   addUser,
   updateUser,
@@ -11,8 +12,16 @@ import {
   removeDepartment,
 } from '../api/adminApi';
 import ActivityLog from './ActivityLog.jsx';
+import EscalationPolicySettings from './EscalationPolicySettings.jsx';
+import EffortCalibrationSettings from './EffortCalibrationSettings.jsx';
+import ApprovalChainSettings from './ApprovalChainSettings.jsx';
+import HolidayCalendarSettings from './HolidayCalendarSettings.jsx';
+import TimesheetExport from './TimesheetExport.jsx';
 import { canAccessFeature } from '../../../shared/utils/permissions.js';
-import { cleanFirestoreData } from '../../../shared/utils/firestoreHelpers.js';
+import { calculateTaskPoints } from '../../../shared/utils/pointsEngine.js';
+import { migrateUserPasswords } from '../../auth/api/authApi';
+import { migrateTaskPhotos } from '../../tasks/api/photoApi';
+import { seedPointsLedgers } from '../../../shared/utils/pointsLedger.js';
 
 function AdminPanel({
   users,
@@ -102,6 +111,9 @@ function AdminPanel({
           onAddUser={handleAddUser} 
           t={t} 
         />
+        {currentUser?.role === ROLES.ADMIN && <PasswordMigrationTool users={users} />}
+        {currentUser?.role === ROLES.ADMIN && <PhotoMigrationTool />}
+        {currentUser?.role === ROLES.ADMIN && <LedgerSeedingTool />}
       </div>
       <div className="border-t pt-4">
         <h3 className="font-semibold mb-2">{t('manageDepts')}</h3>
@@ -120,6 +132,11 @@ function AdminPanel({
         </ul>
         <AddDepartmentForm onAdd={(name) => handleAddDepartment({ name })} t={t} />
       </div>
+      <EscalationPolicySettings departments={departments} currentUser={currentUser} t={t} />
+      <EffortCalibrationSettings departments={departments} currentUser={currentUser} t={t} />
+      <ApprovalChainSettings departments={departments} users={users} currentUser={currentUser} t={t} />
+      <HolidayCalendarSettings currentUser={currentUser} t={t} />
+      <TimesheetExport users={users} t={t} />
 
       {/* Activity Log Section - Admin only - Moved to end */}
       {canAccessFeature(currentUser?.role, 'activity-logs') && (
@@ -152,17 +169,145 @@ function AdminPanel({
   );
 }
 
-function BackfillPointsTool({ t }) {
+// Hashes any plaintext passwords still stored on user documents
+function PasswordMigrationTool({ users }) {
   const [isRunning, setIsRunning] = useState(false);
-  const [progress, setProgress] = useState({ total: 0, updated: 0, errors: 0 });
+  const legacyCount = users.filter((u) => typeof u.password === 'string' && u.password.length > 0).length;
 
-  const DIFFICULTY_POINTS = {
-    easy: 10,
-    medium: 25,
-    hard: 50,
-    critical: 100,
+  if (legacyCount === 0) return null;
+
+  const runMigration = async () => {
+    if (!window.confirm(`Hash and remove plaintext passwords for ${legacyCount} user(s)?`)) return;
+    setIsRunning(true);
+    try {
+      const result = await migrateUserPasswords();
+      alert(`Password migration complete. Migrated: ${result.migrated}`);
+    } catch (error) {
+      console.error('Password migration error:', error);
+      alert(`Password migration failed: ${error.message}`);
+    } finally {
+      setIsRunning(false);
+    }
   };
 
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mt-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="font-medium text-yellow-900 mb-1">Legacy Passwords</div>
+          <div className="text-sm text-yellow-800">
+            {legacyCount} user(s) still have a plaintext password. They are migrated when each user signs in, or all at once here.
+          </div>
+        </div>
+        <button
+          className={`btn ${isRunning ? 'btn-disabled' : 'btn-primary'}`}
+          onClick={runMigration}
+          disabled={isRunning}
+        >
+          {isRunning ? 'Migrating...' : 'Migrate Now'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Moves base64 task photos into Cloud Storage
+function PhotoMigrationTool() {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const runMigration = async () => {
+    if (!window.confirm('Move all base64 task photos into Cloud Storage? This may take several minutes.')) return;
+    setIsRunning(true);
+    try {
+      const result = await migrateTaskPhotos(setProgress);
+      alert(`Photo migration complete. Tasks: ${result.migratedTasks}, photos: ${result.migratedPhotos}, remaining: ${result.remaining}`);
+    } catch (error) {
+      console.error('Photo migration error:', error);
+      alert(`Photo migration failed: ${error.message}`);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-50 border border-slate-200 rounded-lg p-4 mt-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="font-medium text-slate-900 mb-1">Task Photo Storage</div>
+          <div className="text-sm text-slate-700">
+            Photos on older tasks are stored inside the task document. Move them to Cloud Storage to speed up task loading.
+          </div>
+          {progress && (
+            <div className="text-xs text-slate-600 mt-1">
+              Migrated {progress.migratedTasks} task(s), {progress.migratedPhotos} photo(s); {progress.remaining} task(s) remaining
+            </div>
+          )}
+        </div>
+        <button
+          className={`btn ${isRunning ? 'btn-disabled' : 'btn-primary'}`}
+          onClick={runMigration}
+          disabled={isRunning}
+        >
+          {isRunning ? 'Migrating...' : 'Migrate Photos'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Credits opening balances to users that predate the points ledger
+function LedgerSeedingTool() {
+  const [isRunning, setIsRunning] = useState(false);
+
+  const runSeeding = async () => {
+    setIsRunning(true);
+    try {
+      const preview = await seedPointsLedgers(true);
+      if (!preview.success) throw new Error(preview.error);
+      if (preview.seeded === 0) {
+        alert('Every user already has an opening balance.');
+        return;
+      }
+      const total = preview.credits.reduce((sum, credit) => sum + credit.points, 0);
+      if (!window.confirm(`Credit ${total} opening point(s) to ${preview.seeded} user(s)?`)) return;
+
+      const result = await seedPointsLedgers(false);
+      if (!result.success) throw new Error(result.error);
+      alert(`Ledger seeding complete. Seeded: ${result.seeded}`);
+    } catch (error) {
+      console.error('Ledger seeding error:', error);
+      alert(`Ledger seeding failed: ${error.message}`);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-50 border border-slate-200 rounded-lg p-4 mt-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="font-medium text-slate-900 mb-1">Opening Point Balances</div>
+          <div className="text-sm text-slate-700">
+            Users from before the points ledger get their pointsHistory, or their stored TCS if they have no history, as an opening balance. You will see the total before anything is credited.
+          </div>
+        </div>
+        <button
+          className={`btn ${isRunning ? 'btn-disabled' : 'btn-primary'}`}
+          onClick={runSeeding}
+          disabled={isRunning}
+        >
+          {isRunning ? 'Seeding...' : 'Seed Balances'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function BackfillPointsTool({ t }) {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState({ total: 0, updated: 0, errors: 0 });
+
   const POINTS_CONFIG = {
     EXPIRATION_DAYS: 90,
   };
@@ -205,41 +350,6 @@ function BackfillPointsTool({ t }) {
     return null;
   };
 
-  const calculateTaskPoints = (task, userId) => {
-    if (!task.assignedUserIds || !task.assignedUserIds.includes(userId)) {
-      return 0;
-    }
-
-    const assignedUserCount = task.assignedUserIds.length;
-    let basePoints = 50;
-    
-    if (task.difficulty && DIFFICULTY_POINTS[task.difficulty]) {
-      basePoints = DIFFICULTY_POINTS[task.difficulty];
-    }
-    
-    if (task.isRdNewSkill) {
-      basePoints = basePoints * 5;
-    }
-    
-    let basePointsPerUser = Math.round(basePoints / assignedUserCount);
-    
-    if (!task.isRdNewSkill) {
-      const collaborationBonus = assignedUserCount > 1 ? Math.round(basePointsPerUser * 0.1) : 0;
-      const urgentBonus = task.isUrgent ? Math.round(basePointsPerUser * 0.25) : 0;
-      basePointsPerUser += collaborationBonus + urgentBonus;
-    }
-    
-    const completionDate = parseTimestamp(task.completedAt);
-    const targetDate = parseTimestamp(task.targetDate);
-    if (completionDate && targetDate && completionDate <= targetDate) {
-      if (!task.isRdNewSkill) {
-        basePointsPerUser += 3;
-      }
-    }
-    
-    return basePointsPerUser;
-  };
-
   const backfillPoints = async () => {
     if (isRunning) return;
     if (!window.confirm('This will backfill points history for all users from September 2024 onwards. Continue?')) {
@@ -251,15 +361,13 @@ function BackfillPointsTool({ t }) {
 
     try {
       // Get all users
-      const usersSnapshot = await getDocs(collection(db, 'users'));
-      const users = usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const users = await usersRepository.list();
       setProgress(p => ({ ...p, total: users.length }));
 
       // Get all completed tasks
-      const tasksSnapshot = await getDocs(
-        query(collection(db, 'tasks'), where('status', '==', 'Complete'))
-      );
-      const tasks = tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const tasks = await tasksRepository.list({
+        filters: [{ field: 'status', op: '==', value: STATUSES.COMPLETE }],
+      });
 
       let updated = 0;
       let errors = 0;
@@ -311,7 +419,7 @@ function BackfillPointsTool({ t }) {
             } else {
               newPointsHistory[dateKey] = {
                 points: points,
-                addedAt: Timestamp.fromDate(new Date(dateKey)),
+                addedAt: new Date(dateKey),
                 expirationDays: POINTS_CONFIG.EXPIRATION_DAYS,
                 isUsable: true,
               };
@@ -333,19 +441,14 @@ function BackfillPointsTool({ t }) {
             }
           });
 
-          const userRef = doc(db, 'users', user.id);
-          const updateData = {
+          await usersRepository.update(user.id, {
             pointsHistory: newPointsHistory,
             usablePoints: Math.floor(usablePoints),
             totalPoints: Math.floor(totalPoints),
             pointsHistoryBackfilled: true,
             pointsHistoryBackfillDate: serverTimestamp(),
             updatedAt: serverTimestamp(),
-          };
-          
-          // Clean undefined values
-          const cleanUpdateData = cleanFirestoreData(updateData);
-          await updateDoc(userRef, cleanUpdateData);
+          });
 
           updated++;
         } catch (error) {
@@ -438,6 +541,7 @@ function EditableUserRow({ user, departments, onSave, onRemove, t }) {
     if (isEditing) {
       setEditedUser({
         ...user,
+        password: '', // Only set when the admin enters a new one
         role: user.role || ROLES.USER, // Ensure role has a default value
         selectedDepartments: getUserDepartments(user)
       });
@@ -458,6 +562,11 @@ function EditableUserRow({ user, departments, onSave, onRemove, t }) {
       return;
     }
 
+    if (editedUser.password && editedUser.password.length < 8) {
+      alert('Password must be at least 8 characters.');
+      return;
+    }
+
     // Convert selected departments to the proper format - ONLY use departmentIds
     const finalUser = {
       ...editedUser,
@@ -506,10 +615,12 @@ function EditableUserRow({ user, departments, onSave, onRemove, t }) {
         />
         <input
           type="text"
-          value={editedUser.password}
+          value={editedUser.password || ''}
           onChange={(e) => setEditedUser({ ...editedUser, password: e.target.value })}
           className="input"
-          placeholder={t('password')}
+          placeholder={t('newPasswordOptional') || 'New password (leave blank to keep)'}
+          minLength={8}
+          autoComplete="new-password"
         />
         <input
           type="text"
@@ -691,6 +802,8 @@ function AddUserForm({ departments, onCreate, onCancel, t }) {
           onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
           className="input"
           placeholder={t('password')}
+          minLength={8}
+          autoComplete="new-password"
           required
         />
         <select
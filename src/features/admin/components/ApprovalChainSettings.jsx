@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import {
+  APPROVAL_TYPES,
+  APPROVER_GROUPS,
+  getApprovalChain,
+  getApproverUserId,
+  hasPointsThreshold,
+  userApprover,
+} from '../../../shared/utils/approvalChains';
+import { APPROVAL_TYPE_LABELS } from '../../approvals/utils/approvalLabels';
+import { updateDepartmentApprovalChains } from '../api/adminApi';
+
+const GROUP_LABELS = {
+  [APPROVER_GROUPS.HEADS]: ['approverHeads', 'Department heads'],
+  [APPROVER_GROUPS.MANAGEMENT]: ['approverManagement', 'Management'],
+  [APPROVER_GROUPS.ADMINS]: ['approverAdmins', 'Admins'],
+};
+
+const getChains = (department) => Object.fromEntries(
+  Object.values(APPROVAL_TYPES).map((type) => [type, getApprovalChain(department, type)])
+);
+
+/**
+ * ApprovalChainSettings - Who approves each kind of action in a department,
+ * step by step (see shared/utils/approvalChains.js).
+ */
+export default function ApprovalChainSettings({ departments, users, currentUser, t }) {
+  const [selectedId, setSelectedId] = useState('');
+  const department = departments.find((d) => d.id === selectedId) || departments[0];
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="font-semibold mb-1">{t('approvalChains', 'Approval chains')}</h3>
+      <p className="text-sm text-slate-600 mb-3">
+        {t('approvalChainsHelp', 'Each step is approved by any one of its approvers, in order. Rejecting at any step rejects the request.')}
+      </p>
+      <select value={department?.id || ''} onChange={(e) => setSelectedId(e.target.value)} className="select w-auto mb-3">
+        {departments.map((d) => (
+          <option key={d.id} value={d.id}>{d.name}</option>
+        ))}
+      </select>
+      {department && (
+        <ApprovalChainsForm key={department.id} department={department} users={users} currentUser={currentUser} t={t} />
+      )}
+    </div>
+  );
+}
+
+function ApprovalChainsForm({ department, users, currentUser, t }) {
+  const [chains, setChains] = useState(() => getChains(department));
+  const [isSaving, setIsSaving] = useState(false);
+  const isDirty = JSON.stringify(chains) !== JSON.stringify(getChains(department));
+  const sortedUsers = [...users].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const setChain = (type, patch) => setChains({ ...chains, [type]: { ...chains[type], ...patch } });
+  const setSteps = (type, steps) => setChain(type, { steps });
+
+  const toggleApprover = (type, index, token) => {
+    const steps = chains[type].steps.map((step, i) => {
+      if (i !== index) return step;
+      const approvers = step.approvers.includes(token)
+        ? step.approvers.filter((entry) => entry !== token)
+        : [...step.approvers, token];
+      return { approvers };
+    });
+    setSteps(type, steps);
+  };
+
+  const moveStep = (type, index, offset) => {
+    const steps = [...chains[type].steps];
+    [steps[index], steps[index + offset]] = [steps[index + offset], steps[index]];
+    setSteps(type, steps);
+  };
+
+  const handleSave = async () => {
+    const emptyStep = Object.entries(chains).find(([, chain]) => chain.steps.some((step) => step.approvers.length === 0));
+    if (emptyStep) {
+      alert(t('approvalStepEmpty', 'Every step needs at least one approver.'));
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await updateDepartmentApprovalChains(department, chains, currentUser);
+    } catch (error) {
+      console.error('Error saving approval chains:', error);
+      alert('Failed to save approval chains. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {Object.values(APPROVAL_TYPES).map((type) => {
+        const chain = chains[type];
+        return (
+          <div key={type} className="rounded-lg border border-slate-200 p-3">
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="flex items-center gap-2 text-sm font-medium">
+                <input
+                  type="checkbox"
+                  checked={chain.enabled}
+                  onChange={(e) => setChain(type, { enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                {t(...APPROVAL_TYPE_LABELS[type])}
+              </label>
+              {hasPointsThreshold(type) && (
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  {t('approvalMinPoints', 'From (points)')}
+                  <input
+                    type="number"
+                    min="0"
+                    value={chain.minPoints}
+                    onChange={(e) => setChain(type, { minPoints: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                    className="input w-24"
+                  />
+                </label>
+              )}
+            </div>
+
+            <ol className="mt-2 space-y-2">
+              {chain.steps.map((step, index) => (
+                <li key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium text-slate-700">{t('approvalStep', index + 1, chain.steps.length)}</span>
+                  {Object.values(APPROVER_GROUPS).map((group) => (
+                    <label key={group} className="flex items-center gap-1">
+                      <input type="checkbox" checked={step.approvers.includes(group)} onChange={() => toggleApprover(type, index, group)} />
+                      {t(...GROUP_LABELS[group])}
+                    </label>
+                  ))}
+                  {step.approvers.map(getApproverUserId).filter(Boolean).map((userId) => (
+                    <button
+                      key={userId}
+                      type="button"
+                      onClick={() => toggleApprover(type, index, userApprover(userId))}
+                      className="rounded-full bg-slate-100 px-2 py-0.5 text-xs"
+                      title={t('remove', 'Remove')}
+                    >
+                      {users.find((user) => user.id === userId)?.name || userId} ✕
+                    </button>
+                  ))}
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && toggleApprover(type, index, userApprover(e.target.value))}
+                    className="select text-sm w-auto"
+                  >
+                    <option value="">{t('approvalAddPerson', '+ Person')}</option>
+                    {sortedUsers
+                      .filter((user) => !step.approvers.includes(userApprover(user.id)))
+                      .map((user) => (
+                        <option key={user.id} value={user.id}>{user.name}</option>
+                      ))}
+                  </select>
+                  <button type="button" disabled={index === 0} onClick={() => moveStep(type, index, -1)} className="btn btn-xs btn-secondary">↑</button>
+                  <button type="button" disabled={index === chain.steps.length - 1} onClick={() => moveStep(type, index, 1)} className="btn btn-xs btn-secondary">↓</button>
+                  <button
+                    type="button"
+                    onClick={() => setSteps(type, chain.steps.filter((_, i) => i !== index))}
+                    className="btn btn-xs btn-secondary"
+                  >
+                    {t('remove', 'Remove')}
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <button
+              type="button"
+              onClick={() => setSteps(type, [...chain.steps, { approvers: [APPROVER_GROUPS.MANAGEMENT] }])}
+              className="mt-2 btn btn-xs btn-secondary"
+            >
+              + {t('approvalAddStep', 'Add step')}
+            </button>
+          </div>
+        );
+      })}
+      <button type="button" onClick={handleSave} disabled={!isDirty || isSaving} className="btn btn-xs btn-primary">
+        {isSaving ? t('saving') : t('save')}
+      </button>
+    </div>
+  );
+}
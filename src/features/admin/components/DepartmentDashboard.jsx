@@ -6,9 +6,11 @@ import { toSafeDate } from '../../../shared/utils/date.js';
 import { toISTISOString } from '../../../shared/utils/date.js';
 import { createTask } from '../../tasks/api/taskApi.js';
 import { createMaterialRequest } from '../../tasks/utils/materialRequest.js';
-import { getRelatedTaskIds, getMergedComments } from '../../tasks/utils/sharedComments.js';
+import { buildComment } from '../../tasks/utils/taskComments.js';
+import { saveTaskComment } from '../../tasks/api/outboxApi.js';
+import useCommentReads from '../../tasks/hooks/useCommentReads.js';
 
-export default function DepartmentDashboard({ users, tasks, allUsers, departments, currentUser, onUpdateTask, onUpdateTaskLocal, onLogActivity, t, deleteTask, allTasks, onDeleteComment, dashboardDeptId, setDashboardDeptId, isAdmin, isDeptHead, isManager, isDesktopMode = false }) {
+export default function DepartmentDashboard({ users, tasks, allUsers, departments, currentUser, onUpdateTask, onUpdateTaskLocal, onLogActivity, t, deleteTask, allTasks, dashboardDeptId, setDashboardDeptId, isAdmin, isDeptHead, isManager, isDesktopMode = false }) {
   const [selectedUserId, setSelectedUserId] = useState('all');
   const [selectedMonths, setSelectedMonths] = useState([]);
   const [isMonthFilterOpen, setIsMonthFilterOpen] = useState(false);
@@ -23,39 +25,20 @@ export default function DepartmentDashboard({ users, tasks, allUsers, department
     [tasks]
   );
 
-  const handleAddComment = async (taskId, commentText) => {
+  const commentReads = useCommentReads(currentUser?.id);
+
+  const handleAddComment = async (taskId, commentText, replyTo = null) => {
     const task = (allTasks || tasks).find((t) => t.id === taskId);
     if (!task) return;
 
-    const newComment = {
-      id: Date.now().toString(),
-      text: commentText,
-      userId: currentUser.id,
-      userName: currentUser.name,
-      createdAt: new Date().toISOString(),
-    };
-
-    // Get all related task IDs (original task + all request tasks)
-    const allTasksForLookup = allTasks || tasks;
-    const relatedTaskIds = getRelatedTaskIds(taskId, allTasksForLookup);
-    
-    // Get merged comments from all related tasks
-    const mergedComments = getMergedComments(taskId, allTasksForLookup);
-    const updatedComments = [...mergedComments, newComment];
-
-    // Update all related tasks with the new comments array
-    const updatePromises = relatedTaskIds.map(relatedTaskId => {
-      return onUpdateTask({ id: relatedTaskId, comments: updatedComments });
-    });
-    
-    await Promise.all(updatePromises);
+    const newComment = buildComment({ text: commentText, user: currentUser, users: allUsers, task, replyTo });
+    await saveTaskComment(taskId, newComment, task, currentUser);
   };
 
   const handleCreateRequest = async (requestData) => {
     try {
+      // The original task is marked blocked by the syncCreatedTaskBlockers function
       await createMaterialRequest(requestData, currentUser);
-      // Ensure UI reflects the change for the original task
-      await onUpdateTask({ id: requestData.originalTaskId, hasBlockingTasks: true });
     } catch (error) {
       console.error('DepartmentDashboard: Error creating request:', error);
       alert('Failed to create request. Please try again.');
@@ -220,7 +203,7 @@ export default function DepartmentDashboard({ users, tasks, allUsers, department
               onLogActivity={onLogActivity}
               deleteTask={deleteTask}
               onAddComment={handleAddComment}
-              onDeleteComment={onDeleteComment}
+              commentReads={commentReads}
               onCreateRequest={handleCreateRequest}
               showAssignedUsers={true}
             />
@@ -493,7 +476,7 @@ export default function DepartmentDashboard({ users, tasks, allUsers, department
         onLogActivity={onLogActivity}
         deleteTask={deleteTask}
         onAddComment={handleAddComment}
-        onDeleteComment={onDeleteComment}
+        commentReads={commentReads}
         onCreateRequest={handleCreateRequest}
         showAssignedUsers={true}
       />
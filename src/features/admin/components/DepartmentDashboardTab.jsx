@@ -2,8 +2,10 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { ROLES } from '../../../shared/constants';
 import DepartmentDashboard from './DepartmentDashboard.jsx';
 import Section from '../../../shared/components/Section.jsx';
+import ReportSubscriptionSettings from './ReportSubscriptionSettings.jsx';
+import GoalsPanel from '../../goals/components/GoalsPanel.jsx';
 
-function DepartmentDashboardTab({ currentUser, users, departments, tasks, t, onUpdateTask, onDeleteTask, onDeleteComment, isDesktopMode = false }) {
+function DepartmentDashboardTab({ currentUser, users, departments, tasks, t, onUpdateTask, onDeleteTask, isDesktopMode = false }) {
   const [dashboardDeptId, setDashboardDeptId] = useState('');
   const [localTaskUpdates, setLocalTaskUpdates] = useState({});
   
@@ -85,7 +87,6 @@ function DepartmentDashboardTab({ currentUser, users, departments, tasks, t, onU
           onUpdateTask={onUpdateTask}
           onUpdateTaskLocal={handleUpdateTaskLocal}
           deleteTask={onDeleteTask}
-          onDeleteComment={onDeleteComment}
           t={t}
           dashboardDeptId={dashboardDeptId}
           setDashboardDeptId={setDashboardDeptId}
@@ -96,6 +97,22 @@ function DepartmentDashboardTab({ currentUser, users, departments, tasks, t, onU
           isDesktopMode={isDesktopMode}
         />
       </Section>
+      {viewingDeptId && (
+        <Section title={t('goals')}>
+          <GoalsPanel
+            currentUser={currentUser}
+            users={users}
+            departments={departments}
+            departmentId={viewingDeptId}
+            t={t}
+          />
+        </Section>
+      )}
+      {(isDeptHead || isManager) && (
+        <Section title={t('weeklyReport')}>
+          <ReportSubscriptionSettings currentUser={currentUser} departments={departments} t={t} />
+        </Section>
+      )}
     </div>
   );
 }
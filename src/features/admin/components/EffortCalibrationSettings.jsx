@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { DIFFICULTY_CONFIG, EFFORT_CALIBRATION } from '../../../shared/constants';
+import { formatDateTime } from '../../../shared/utils/date';
+import { formatHours } from '../../tasks/utils/effortEstimates';
+import { updateDepartmentEffortCalibration, recalculateEffortCalibration } from '../api/adminApi';
+
+const getExpectations = (department) => ({ ...(department?.effortCalibration?.expectations || {}) });
+
+// Inputs as typed, keeping only positive numbers
+const toExpectations = (inputs) => Object.fromEntries(
+  Object.entries(inputs)
+    .map(([difficulty, value]) => [difficulty, parseFloat(value)])
+    .filter(([, hours]) => hours > 0)
+);
+
+/**
+ * EffortCalibrationSettings - How long each department's completed tasks
+ * really took per difficulty (weekly calibrateEffortEstimates Cloud
+ * Function), and the expected hours new tasks are stamped with.
+ */
+export default function EffortCalibrationSettings({ departments, currentUser, t }) {
+  const [selectedId, setSelectedId] = useState('');
+  const [isRecalculating, setIsRecalculating] = useState(false);
+  const department = departments.find((d) => d.id === selectedId) || departments[0];
+
+  const handleRecalculate = async () => {
+    setIsRecalculating(true);
+    try {
+      const result = await recalculateEffortCalibration(currentUser);
+      alert(t('effortRecalculated', result.departments, result.samples));
+    } catch (error) {
+      console.error('Error recalculating effort calibration:', error);
+      alert(`Failed to recalculate: ${error.message}`);
+    } finally {
+      setIsRecalculating(false);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="font-semibold mb-1">{t('effortCalibration', 'Effort calibration')}</h3>
+      <p className="text-sm text-slate-600 mb-3">{t('effortCalibrationHelp', EFFORT_CALIBRATION.windowDays, EFFORT_CALIBRATION.minSamples)}</p>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select value={department?.id || ''} onChange={(e) => setSelectedId(e.target.value)} className="select w-auto">
+          {departments.map((d) => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleRecalculate} disabled={isRecalculating} className="btn btn-secondary">
+          {isRecalculating ? t('loading') : t('effortRecalculate', 'Recalculate now')}
+        </button>
+      </div>
+      {department && (
+        <EffortCalibrationTable key={department.id} department={department} currentUser={currentUser} t={t} />
+      )}
+    </div>
+  );
+}
+
+function EffortCalibrationTable({ department, currentUser, t }) {
+  const calibration = department.effortCalibration || {};
+  const [inputs, setInputs] = useState(() => getExpectations(department));
+  const [autoApply, setAutoApply] = useState(Boolean(calibration.autoApply));
+  const [isSaving, setIsSaving] = useState(false);
+  const expectations = toExpectations(inputs);
+  const isDirty = JSON.stringify(expectations) !== JSON.stringify(getExpectations(department))
+    || autoApply !== Boolean(calibration.autoApply);
+  const suggestions = Object.entries(calibration.difficulties || {}).filter(([, stats]) => stats.suggestedHours !== null);
+
+  const setHours = (difficulty) => (e) => {
+    setInputs({ ...inputs, [difficulty]: e.target.value });
+  };
+
+  const handleUseSuggestions = () => {
+    setInputs({
+      ...inputs,
+      ...Object.fromEntries(suggestions.map(([difficulty, stats]) => [difficulty, stats.suggestedHours])),
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await updateDepartmentEffortCalibration(department, { expectations, autoApply }, currentUser);
+    } catch (error) {
+      console.error('Error saving effort calibration:', error);
+      alert('Failed to save effort expectations. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <p className="text-xs text-slate-500 mb-2">
+        {calibration.computedAt
+          ? t('effortComputedAt', formatDateTime(calibration.computedAt))
+          : t('effortNotComputed', 'Not calculated yet. It runs every Monday, or use Recalculate now.')}
+        {calibration.appliedAt && ` · ${t('effortAppliedAt', formatDateTime(calibration.appliedAt), calibration.appliedByName || '')}`}
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-600 border-b">
+              <th className="py-2 pr-3">{t('taskDifficulty')}</th>
+              <th className="py-2 pr-3 text-right">{t('effortCompleted', 'Completed')}</th>
+              <th className="py-2 pr-3 text-right">{t('effortTypical', 'Typical (25–75%)')}</th>
+              <th className="py-2 pr-3 text-right">{t('effortMedian', 'Median')}</th>
+              <th className="py-2 pr-3 text-right">{t('effortSuggested', 'Suggested')}</th>
+              <th className="py-2">{t('effortExpectedHours', 'Expected hours')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(DIFFICULTY_CONFIG).map(([difficulty, config]) => {
+              const stats = calibration.difficulties?.[difficulty];
+              return (
+                <tr key={difficulty} className="border-b">
+                  <td className="py-2 pr-3 font-medium">{t(config.label.toLowerCase())}</td>
+                  <td className="py-2 pr-3 text-right">
+                    {stats ? `${stats.sampleSize} (${t('effortTracked', stats.trackedCount)})` : '–'}
+                  </td>
+                  <td className="py-2 pr-3 text-right">
+                    {stats?.p25Hours != null ? `${formatHours(stats.p25Hours)}–${formatHours(stats.p75Hours)}` : '–'}
+                  </td>
+                  <td className="py-2 pr-3 text-right">{stats?.medianHours != null ? formatHours(stats.medianHours) : '–'}</td>
+                  <td className="py-2 pr-3 text-right">{stats?.suggestedHours != null ? formatHours(stats.suggestedHours) : '–'}</td>
+                  <td className="py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      value={inputs[difficulty] ?? ''}
+                      placeholder={String(config.expectedHours)}
+                      onChange={setHours(difficulty)}
+                      className="input w-24"
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={autoApply}
+            onChange={(e) => setAutoApply(e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+          />
+          {t('effortAutoApply', 'Apply suggestions automatically each week')}
+        </label>
+        <button type="button" onClick={handleUseSuggestions} disabled={suggestions.length === 0} className="btn btn-xs btn-secondary">
+          {t('effortUseSuggestions', 'Use suggestions')}
+        </button>
+        <button type="button" onClick={handleSave} disabled={!isDirty || isSaving} className="btn btn-xs btn-primary">
+          {isSaving ? t('saving') : t('save')}
+        </button>
+      </div>
+    </>
+  );
+}
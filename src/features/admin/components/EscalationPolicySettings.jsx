@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { DEFAULT_ESCALATION_POLICY } from '../../../shared/constants';
+import { updateDepartmentEscalationPolicy } from '../api/adminApi';
+
+const getPolicy = (department) => ({ ...DEFAULT_ESCALATION_POLICY, ...(department.escalationPolicy || {}) });
+
+/**
+ * EscalationPolicySettings - Per-department thresholds for the hourly
+ * escalateOverdueTasks Cloud Function.
+ */
+export default function EscalationPolicySettings({ departments, currentUser, t }) {
+  return (
+    <div className="border-t pt-4">
+      <h3 className="font-semibold mb-1">{t('escalationPolicies')}</h3>
+      <p className="text-sm text-slate-600 mb-3">{t('escalationPoliciesHelp')}</p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-600 border-b">
+              <th className="py-2 pr-3">{t('department')}</th>
+              <th className="py-2 pr-3">{t('escalationEnabled')}</th>
+              <th className="py-2 pr-3">{t('escalationPendingDays')}</th>
+              <th className="py-2 pr-3">{t('escalationGraceHours')}</th>
+              <th className="py-2 pr-3">{t('escalationStepHours')}</th>
+              <th className="py-2 pr-3">{t('escalationMaxLevel')}</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {departments.map((department) => (
+              <EscalationPolicyRow key={department.id} department={department} currentUser={currentUser} t={t} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function EscalationPolicyRow({ department, currentUser, t }) {
+  const [policy, setPolicy] = useState(() => getPolicy(department));
+  const [isSaving, setIsSaving] = useState(false);
+  const isDirty = JSON.stringify(policy) !== JSON.stringify(getPolicy(department));
+
+  const setNumber = (field) => (e) => {
+    setPolicy({ ...policy, [field]: Math.max(0, parseInt(e.target.value, 10) || 0) });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await updateDepartmentEscalationPolicy(department, { ...policy, stepIntervalHours: Math.max(1, policy.stepIntervalHours) }, currentUser);
+    } catch (error) {
+      console.error('Error saving escalation policy:', error);
+      alert('Failed to save escalation policy. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <tr className="border-b">
+      <td className="py-2 pr-3 font-medium">{department.name}</td>
+      <td className="py-2 pr-3">
+        <input
+          type="checkbox"
+          checked={policy.enabled}
+          onChange={(e) => setPolicy({ ...policy, enabled: e.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+        />
+      </td>
+      <td className="py-2 pr-3">
+        <input type="number" min="0" value={policy.pendingDays} onChange={setNumber('pendingDays')} className="input w-20" disabled={!policy.enabled} />
+      </td>
+      <td className="py-2 pr-3">
+        <input type="number" min="0" value={policy.overdueGraceHours} onChange={setNumber('overdueGraceHours')} className="input w-20" disabled={!policy.enabled} />
+      </td>
+      <td className="py-2 pr-3">
+        <input type="number" min="1" value={policy.stepIntervalHours} onChange={setNumber('stepIntervalHours')} className="input w-20" disabled={!policy.enabled} />
+      </td>
+      <td className="py-2 pr-3">
+        <select
+          value={policy.maxLevel}
+          onChange={(e) => setPolicy({ ...policy, maxLevel: Number(e.target.value) })}
+          className="select"
+          disabled={!policy.enabled}
+        >
+          <option value={1}>{t('escalationLevelAssignee')}</option>
+          <option value={2}>{t('escalationLevelHead')}</option>
+          <option value={3}>{t('escalationLevelManagement')}</option>
+        </select>
+      </td>
+      <td className="py-2">
+        <button onClick={handleSave} disabled={!isDirty || isSaving} className="btn btn-xs btn-primary">
+          {isSaving ? t('saving') : t('save')}
+        </button>
+      </td>
+    </tr>
+  );
+}
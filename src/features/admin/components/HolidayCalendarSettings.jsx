@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { subscribeToHolidays, saveHoliday, removeHoliday } from '../../../shared/utils/holidayApi';
+
+/**
+ * HolidayCalendarSettings - Company holidays that scheduled tasks skip or
+ * move off, depending on each schedule's holiday setting.
+ */
+export default function HolidayCalendarSettings({ currentUser, t }) {
+  const [holidays, setHolidays] = useState([]);
+  const [date, setDate] = useState('');
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => subscribeToHolidays(setHolidays), []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const result = await saveHoliday({ date, name }, currentUser);
+    setIsSaving(false);
+    if (!result.success) {
+      alert(`Failed to save holiday: ${result.error}`);
+      return;
+    }
+    setDate('');
+    setName('');
+  };
+
+  const handleRemove = async (holiday) => {
+    if (!confirm(`${t('remove')} ${holiday.name} (${holiday.date})?`)) return;
+    const result = await removeHoliday(holiday, currentUser);
+    if (!result.success) alert(`Failed to remove holiday: ${result.error}`);
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="font-semibold mb-1">{t('holidayCalendar')}</h3>
+      <p className="text-sm text-slate-600 mb-3">{t('holidayCalendarHelp')}</p>
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mb-3">
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="input" required />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('holidayName')}
+          className="input flex-1 min-w-[10rem]"
+          required
+        />
+        <button type="submit" disabled={isSaving} className="btn btn-primary">
+          {isSaving ? t('saving') : t('addHoliday')}
+        </button>
+      </form>
+      {holidays.length === 0 ? (
+        <p className="text-sm text-slate-500">{t('noHolidays')}</p>
+      ) : (
+        <ul className="divide-y text-sm">
+          {holidays.map((holiday) => (
+            <li key={holiday.id} className="flex items-center justify-between py-2">
+              <span>
+                <span className="font-mono mr-3">{holiday.date}</span>
+                {holiday.name}
+              </span>
+              <button onClick={() => handleRemove(holiday)} className="btn btn-xs btn-danger">
+                {t('remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
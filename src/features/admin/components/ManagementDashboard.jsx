@@ -2,8 +2,14 @@ import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { STATUSES, DIFFICULTY_CONFIG, DIFFICULTY_LEVELS, ROLES } from '../../../shared/constants.js';
 import { formatDateTime, formatDateOnly, toSafeDate } from '../../../shared/utils/date.js';
 import EditTaskModal from '../../tasks/components/EditTaskModal.jsx';
+import TaskDependencies from '../../tasks/components/TaskDependencies.jsx';
+import BulkTaskActionsModal from '../../tasks/components/BulkTaskActionsModal.jsx';
+import ImportTasksModal from '../../tasks/components/ImportTasksModal.jsx';
+import GoalsPanel from '../../goals/components/GoalsPanel.jsx';
+import ProjectsPanel from '../../projects/components/ProjectsPanel.jsx';
 import useTasks from '../../tasks/hooks/useTasks.js';
-import { getRelatedTaskIds, getMergedComments } from '../../tasks/utils/sharedComments.js';
+import Comments from '../../tasks/components/Comments.jsx';
+import { getPhotoUrl, getPhotoThumbnailUrl } from '../../tasks/api/photoApi.js';
 
 export default function TaskManagement({ tasks, users, departments, currentUser, t, onTaskFeedback }) {
   // Get task operations from useTasks hook
@@ -19,6 +25,8 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
   const [searchQuery, setSearchQuery] = useState('');
   const [showSummary, setShowSummary] = useState(false); // New state for summary visibility
   const [showFilters, setShowFilters] = useState(false); // New state for filters visibility
+  const [showGoals, setShowGoals] = useState(false);
+  const [showProjects, setShowProjects] = useState(false);
   
   // Dropdown open states
   const [openDropdown, setOpenDropdown] = useState(null);
@@ -37,6 +45,11 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
   const [editingTask, setEditingTask] = useState(null);
   const [isEditTaskModalOpen, setIsEditTaskModalOpen] = useState(false);
 
+  // Bulk selection state
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [isBulkActionsModalOpen, setIsBulkActionsModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+
   // Click outside to close dropdowns
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -83,47 +96,6 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
     setEditingTask(null);
   };
 
-  // Delete comment handler for admin
-  const handleDeleteComment = async (taskId, commentId) => {
-    if (!window.confirm('Are you sure you want to delete this comment? This action cannot be undone.')) {
-      return;
-    }
-
-    try {
-      // Find the task
-      const task = tasks.find(t => t.id === taskId);
-      if (!task) {
-        console.error('Task not found');
-        return;
-      }
-
-      // Get merged comments from all related tasks
-      const mergedComments = getMergedComments(taskId, tasks);
-      // Remove the comment from the merged comments array
-      const updatedComments = mergedComments.filter(comment => comment.id !== commentId);
-      
-      // Get all related task IDs (original task + all request tasks)
-      const relatedTaskIds = getRelatedTaskIds(taskId, tasks);
-      
-      // Update all related tasks with the updated comments array
-      const updatePromises = relatedTaskIds.map(relatedTaskId => {
-        return updateTask(relatedTaskId, { comments: updatedComments }, currentUser);
-      });
-      
-      await Promise.all(updatePromises);
-
-      // Update the selected task in the modal if it's the same task
-      if (selectedTask && selectedTask.id === taskId) {
-        setSelectedTask({ ...selectedTask, comments: updatedComments });
-      }
-
-      console.log('Comment deleted successfully from all related tasks');
-    } catch (error) {
-      console.error('Error deleting comment:', error);
-      alert('Failed to delete comment. Please try again.');
-    }
-  };
-
   // Filter and sort tasks
   const filteredAndSortedTasks = useMemo(() => {
     let filtered = tasks.filter(task => {
@@ -328,7 +300,7 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
       case 'notes':
         return task.notes?.length || 0;
       case 'comments':
-        return task.comments?.length || 0;
+        return task.commentCount || 0;
       case 'photos':
         return task.photos?.length || 0;
       case 'hasBlockingTasks':
@@ -448,6 +420,30 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
 
   const visibleColumnsData = allColumns.filter(col => visibleColumns.includes(col.key));
 
+  // Only tasks that are still shown are bulk-changed; deleted ones cannot be
+  const selectableTasks = filteredAndSortedTasks.filter(task => task.status !== STATUSES.DELETED);
+  const selectedTasks = selectableTasks.filter(task => selectedTaskIds.includes(task.id));
+  const allSelectableSelected = selectableTasks.length > 0 && selectedTasks.length === selectableTasks.length;
+
+  const toggleTaskSelection = (taskId) => {
+    setSelectedTaskIds(prev => prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]);
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedTaskIds(allSelectableSelected ? [] : selectableTasks.map(task => task.id));
+  };
+
+  const handleBulkActionComplete = ({ succeeded, failed }) => {
+    if (onTaskFeedback) {
+      if (failed.length === 0) {
+        onTaskFeedback(t('bulkActionDone', succeeded.length), 'success');
+      } else {
+        onTaskFeedback(t('bulkActionSummary', succeeded.length, failed.length), 'error');
+      }
+    }
+    setSelectedTaskIds([]);
+  };
+
   // Summary statistics
   const totalTasks = tasks.length;
   const pendingTasks = tasks.filter(t => t.status === STATUSES.PENDING).length;
@@ -513,6 +509,12 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
           >
             📊 Export CSV
           </button>
+          <button
+            onClick={() => setIsImportModalOpen(true)}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+          >
+            📥 {t('importTasks', 'Import Tasks')}
+          </button>
           <button
             onClick={clearAllFilters}
             className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
@@ -571,6 +573,69 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
         </div>
       )}
 
+      {/* Goals Toggle */}
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-900">🎯 {t('goals')}</h3>
+        <button
+          onClick={() => setShowGoals(!showGoals)}
+          className="flex items-center gap-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 transition-colors"
+        >
+          {showGoals ? t('hideGoals', 'Hide Goals') : t('showGoals', 'Show Goals')}
+          <svg
+            className={`w-4 h-4 transition-transform ${showGoals ? 'rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {showGoals && (
+        <div className="bg-gray-50 rounded-lg border p-4">
+          <GoalsPanel
+            currentUser={currentUser}
+            users={users}
+            departments={departments}
+            departmentId="all"
+            t={t}
+            onTaskFeedback={onTaskFeedback}
+          />
+        </div>
+      )}
+
+      {/* Projects Toggle */}
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-900">📁 {t('projects', 'Projects')}</h3>
+        <button
+          onClick={() => setShowProjects(!showProjects)}
+          className="flex items-center gap-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 transition-colors"
+        >
+          {showProjects ? t('hideTimeline', 'Hide Timeline') : t('showTimeline', 'Show Timeline')}
+          <svg
+            className={`w-4 h-4 transition-transform ${showProjects ? 'rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {showProjects && (
+        <div className="bg-gray-50 rounded-lg border p-4">
+          <ProjectsPanel
+            currentUser={currentUser}
+            users={users}
+            departments={departments}
+            t={t}
+            onTaskFeedback={onTaskFeedback}
+          />
+        </div>
+      )}
+
       {/* Search and Filter Controls */}
       <div className="bg-white rounded-lg border p-4">
         <div className="flex flex-wrap gap-4 items-end justify-between">
@@ -874,12 +939,36 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
 
 
 
+      {/* Bulk actions bar */}
+      {selectedTasks.length > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-3 rounded-lg border border-blue-200 bg-blue-50 p-3">
+          <span className="text-sm font-medium text-slate-700">{selectedTasks.length} {t('tasksSelected', 'selected')}</span>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setIsBulkActionsModalOpen(true)} className="btn btn-primary btn-sm">
+              {t('bulkTaskActions', 'Bulk Actions')}
+            </button>
+            <button type="button" onClick={() => setSelectedTaskIds([])} className="btn btn-secondary btn-sm">
+              {t('clearVisibleSelection', 'Clear')}
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Tasks Table */}
       <div className="bg-white rounded-lg border overflow-hidden">
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead className="bg-gray-50 border-b">
               <tr>
+                <th className="px-4 py-3 w-8">
+                  <input
+                    type="checkbox"
+                    checked={allSelectableSelected}
+                    onChange={toggleSelectAll}
+                    disabled={selectableTasks.length === 0}
+                    aria-label={t('selectAllVisible', 'Select all')}
+                  />
+                </th>
                 {visibleColumnsData.map(column => (
                   <th
                     key={column.key}
@@ -896,7 +985,16 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {filteredAndSortedTasks.map((task) => (
-                <tr key={task.id} className="hover:bg-gray-50">
+                <tr key={task.id} className={selectedTaskIds.includes(task.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3 w-8">
+                    <input
+                      type="checkbox"
+                      checked={selectedTaskIds.includes(task.id)}
+                      onChange={() => toggleTaskSelection(task.id)}
+                      disabled={task.status === STATUSES.DELETED}
+                      aria-label={task.title}
+                    />
+                  </td>
                   {visibleColumnsData.map((column) => (
                     <td key={column.key} className="px-4 py-3">
                       {(() => {
@@ -1032,7 +1130,7 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
                           case 'comments':
                             return (
                               <span className="text-sm text-gray-900">
-                                {task.comments ? task.comments.length : 0}
+                                {task.commentCount || 0}
                               </span>
                             );
                           case 'photos':
@@ -1205,6 +1303,24 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
                 </div>
               </div>
               
+              {/* Dependencies Section */}
+              <div>
+                <h4 className="font-medium text-gray-900 mb-2 flex items-center gap-2">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                  </svg>
+                  {t('dependencies')}
+                </h4>
+                <TaskDependencies
+                  task={selectedTask}
+                  allTasks={tasks}
+                  users={users}
+                  departments={departments}
+                  currentUser={currentUser}
+                  t={t}
+                />
+              </div>
+
               {/* Photos Section */}
               {selectedTask.photos && Array.isArray(selectedTask.photos) && selectedTask.photos.length > 0 && (
                 <div>
@@ -1216,9 +1332,9 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
                   </h4>
                   <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
                     {selectedTask.photos.map((photo, index) => (
-                      <div key={index} className="relative group">
+                      <div key={photo?.id || index} className="relative group">
                         <img
-                          src={photo.url}
+                          src={getPhotoThumbnailUrl(photo)}
                           alt={`Task photo ${index + 1}`}
                           className="w-full h-32 object-cover rounded-lg border border-gray-200"
                           onError={(e) => {
@@ -1227,7 +1343,7 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
                         />
                         <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-20 transition-all duration-200 rounded-lg flex items-center justify-center">
                           <button
-                            onClick={() => window.open(photo.url, '_blank')}
+                            onClick={() => window.open(getPhotoUrl(photo), '_blank')}
                             className="opacity-0 group-hover:opacity-100 bg-white bg-opacity-90 text-gray-800 px-3 py-1 rounded-full text-xs font-medium transition-opacity duration-200"
                           >
                             View Full Size
@@ -1285,53 +1401,9 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
               )}
 
               {/* Comments Section */}
-              {(() => {
-                const mergedComments = getMergedComments(selectedTask.id, tasks);
-                return mergedComments && mergedComments.length > 0;
-              })() && (
-                <div>
-                  <h4 className="font-medium text-gray-900 mb-2 flex items-center gap-2">
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
-                    </svg>
-                    Comments ({getMergedComments(selectedTask.id, tasks).length})
-                  </h4>
-                  <div className="space-y-3">
-                    {getMergedComments(selectedTask.id, tasks).map((comment) => (
-                      <div key={comment.id} className="bg-gray-50 rounded-lg p-3 border border-gray-200">
-                        <div className="flex items-start justify-between mb-2">
-                          <div className="flex items-center gap-2">
-                            <div className="w-6 h-6 bg-blue-100 rounded-full flex items-center justify-center">
-                              <span className="text-xs font-medium text-blue-700">
-                                {comment.userName?.charAt(0)?.toUpperCase() || 'U'}
-                              </span>
-                            </div>
-                            <span className="font-medium text-sm text-gray-900">
-                              {comment.userName || 'Unknown User'}
-                            </span>
-                          </div>
-                          <div className="flex items-center gap-2">
-                            <span className="text-xs text-gray-500">
-                              {new Date(comment.createdAt).toLocaleDateString()} {new Date(comment.createdAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
-                            </span>
-                            {/* Admin Delete Button */}
-                            <button
-                              onClick={() => handleDeleteComment(selectedTask.id, comment.id)}
-                              className="text-red-500 hover:text-red-700 text-xs ml-2 opacity-75 hover:opacity-100 transition-opacity"
-                              title="Delete comment (Admin only)"
-                            >
-                              🗑️
-                            </button>
-                          </div>
-                        </div>
-                        <p className="text-sm text-gray-700 whitespace-pre-wrap">
-                          {comment?.text || 'No text available'}
-                        </p>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              )}
+              <div className="empty:hidden">
+                <Comments task={selectedTask} users={users} currentUser={currentUser} t={t} />
+              </div>
             </div>
             <div className="flex justify-end gap-3 p-6 border-t bg-gray-50">
               <button
@@ -1439,6 +1511,27 @@ export default function TaskManagement({ tasks, users, departments, currentUser,
           </div>
         </div>
       )}
+
+      <BulkTaskActionsModal
+        isOpen={isBulkActionsModalOpen}
+        onClose={() => setIsBulkActionsModalOpen(false)}
+        onComplete={handleBulkActionComplete}
+        tasks={selectedTasks}
+        currentUser={currentUser}
+        users={users}
+        departments={departments}
+        t={t}
+      />
+
+      <ImportTasksModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        currentUser={currentUser}
+        users={users}
+        departments={departments}
+        t={t}
+        onTaskFeedback={onTaskFeedback}
+      />
     </div>
   );
 }
@@ -175,7 +175,6 @@ export default function ManagementSection({
             <VoucherRedemptionDashboard
               currentUser={currentUser}
               users={users}
-              tasks={tasks}
             />
           </Suspense>
         )}
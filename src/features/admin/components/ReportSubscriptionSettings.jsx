@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { DEFAULT_REPORT_SUBSCRIPTION, ROLES } from '../../../shared/constants';
+import { updateReportSubscription, sendWeeklyReportPreview } from '../api/adminApi';
+
+const getSubscription = (user) => ({ ...DEFAULT_REPORT_SUBSCRIPTION, ...(user.reportSubscription || {}) });
+
+/**
+ * ReportSubscriptionSettings - The current user's settings for the weekly
+ * department report email sent by the sendWeeklyReports Cloud Function.
+ */
+export default function ReportSubscriptionSettings({ currentUser, departments, t }) {
+  const [subscription, setSubscription] = useState(() => getSubscription(currentUser));
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [message, setMessage] = useState(null); // { text, type }
+  const isDirty = JSON.stringify(subscription) !== JSON.stringify(getSubscription(currentUser));
+
+  const availableDepartments = currentUser.role === ROLES.MANAGEMENT
+    ? departments
+    : departments.filter((d) => currentUser.departmentIds?.includes(d.id));
+
+  const toggleDepartment = (departmentId) => {
+    const departmentIds = subscription.departmentIds.includes(departmentId)
+      ? subscription.departmentIds.filter((id) => id !== departmentId)
+      : [...subscription.departmentIds, departmentId];
+    setSubscription({ ...subscription, departmentIds });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await updateReportSubscription(currentUser, { ...subscription, email: subscription.email.trim() });
+      setMessage({ text: t('reportSettingsSaved', 'Report settings saved'), type: 'success' });
+    } catch (error) {
+      console.error('Error saving report subscription:', error);
+      setMessage({ text: t('reportSettingsSaveFailed', 'Failed to save report settings. Please try again.'), type: 'error' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSendPreview = async () => {
+    setIsSending(true);
+    setMessage(null);
+    try {
+      await sendWeeklyReportPreview(currentUser);
+      setMessage({ text: t('reportPreviewSent', 'Last week\'s report is on its way to your inbox'), type: 'success' });
+    } catch (error) {
+      console.error('Error sending report preview:', error);
+      setMessage({ text: error.message, type: 'error' });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-600">{t('weeklyReportHelp', 'Every Monday morning you get last week\'s completion rate, overdue tasks, top performers, points issued and vouchers redeemed for your departments.')}</p>
+
+      <label className="flex items-center text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={subscription.weekly}
+          onChange={(e) => setSubscription({ ...subscription, weekly: e.target.checked })}
+          className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded"
+        />
+        {t('weeklyReportSubscribe', 'Email me the weekly report')}
+      </label>
+
+      <label className="flex items-center text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={subscription.attachPdf}
+          onChange={(e) => setSubscription({ ...subscription, attachPdf: e.target.checked })}
+          disabled={!subscription.weekly}
+          className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded"
+        />
+        {t('weeklyReportAttachPdf', 'Attach a PDF copy')}
+      </label>
+
+      <label className="block text-sm text-slate-700">
+        {t('weeklyReportEmail', 'Send to')}
+        <input
+          type="email"
+          value={subscription.email}
+          onChange={(e) => setSubscription({ ...subscription, email: e.target.value })}
+          placeholder={currentUser.email || 'name@example.com'}
+          disabled={!subscription.weekly}
+          className="input mt-1 max-w-sm"
+        />
+      </label>
+      {!subscription.email.trim() && !currentUser.email && (
+        <p className="text-xs text-amber-700">{t('weeklyReportNoEmail', 'Your profile has no email address; enter one to receive the report.')}</p>
+      )}
+
+      {availableDepartments.length > 1 && (
+        <div>
+          <p className="text-sm text-slate-700">{t('weeklyReportDepartments', 'Departments (none ticked = all)')}</p>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1">
+            {availableDepartments.map((department) => (
+              <label key={department.id} className="flex items-center text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={subscription.departmentIds.includes(department.id)}
+                  onChange={() => toggleDepartment(department.id)}
+                  disabled={!subscription.weekly}
+                  className="h-4 w-4 mr-1 text-blue-600 border-gray-300 rounded"
+                />
+                {department.name}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={handleSave} disabled={!isDirty || isSaving} className="btn btn-primary">
+          {isSaving ? t('saving', 'Saving...') : t('save', 'Save')}
+        </button>
+        <button type="button" onClick={handleSendPreview} disabled={isSending || isDirty} className="btn btn-secondary">
+          {isSending ? t('sending', 'Sending...') : t('weeklyReportSendPreview', 'Email me last week\'s report')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { addDays, fromDateKey, toDateKey } from '../../../shared/utils/recurrence';
+import { getWorkSessionsInRange } from '../../tasks/api/timeTrackingApi';
+import {
+  buildTimesheetRows,
+  summarizeTimesheet,
+  toTimesheetCsv,
+  formatWorkedMinutes,
+} from '../../tasks/utils/timeTracking';
+
+// Monday of the current IST week
+const startOfWeekKey = () => {
+  const today = toDateKey(new Date());
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  return addDays(today, -((weekday + 6) % 7));
+};
+
+const downloadCsv = (csv, filename) => {
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * TimesheetExport - Hours assignees tracked on tasks in a period, per user,
+ * downloadable as CSV with one line per work session.
+ */
+export default function TimesheetExport({ users, t }) {
+  const [userId, setUserId] = useState('');
+  const [from, setFrom] = useState(startOfWeekKey);
+  const [to, setTo] = useState(() => toDateKey(new Date()));
+  const [rows, setRows] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const sortedUsers = [...users].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    if (!from || !to || to < from) {
+      alert(t('timesheetRangeInvalid', 'Pick a start date on or before the end date'));
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const sessions = await getWorkSessionsInRange({
+        startDate: fromDateKey(from),
+        endDate: fromDateKey(addDays(to, 1)),
+        userId: userId || null,
+      });
+      setRows(buildTimesheetRows(sessions, users));
+    } catch (error) {
+      console.error('Error loading timesheet:', error);
+      alert(`Failed to load timesheet: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const who = userId ? (users.find(u => u.id === userId)?.name || userId).replace(/\s+/g, '-') : 'all';
+    downloadCsv(toTimesheetCsv(rows), `timesheet-${who}-${from}-to-${to}.csv`);
+  };
+
+  const summary = rows ? summarizeTimesheet(rows) : [];
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="font-semibold mb-1">{t('timesheets', 'Timesheets')}</h3>
+      <p className="text-sm text-slate-600 mb-3">{t('timesheetsHelp', 'Hours tracked with task timers. Running sessions are listed but not counted.')}</p>
+      <form onSubmit={handleLoad} className="flex flex-wrap items-center gap-2 mb-3">
+        <select value={userId} onChange={(e) => { setUserId(e.target.value); setRows(null); }} className="select w-auto">
+          <option value="">{t('timesheetAllUsers', 'Everyone')}</option>
+          {sortedUsers.map((user) => (
+            <option key={user.id} value={user.id}>{user.name}</option>
+          ))}
+        </select>
+        <input type="date" value={from} onChange={(e) => { setFrom(e.target.value); setRows(null); }} className="input w-auto" required />
+        <span className="text-sm text-slate-500">–</span>
+        <input type="date" value={to} onChange={(e) => { setTo(e.target.value); setRows(null); }} className="input w-auto" required />
+        <button type="submit" className="btn btn-primary" disabled={isLoading}>
+          {isLoading ? t('loading') : t('showTimesheet', 'Show')}
+        </button>
+        {rows && rows.length > 0 && (
+          <button type="button" onClick={handleDownload} className="btn btn-secondary">
+            ⬇️ {t('downloadTimesheet', 'Download CSV')}
+          </button>
+        )}
+      </form>
+
+      {rows && rows.length === 0 && (
+        <p className="text-sm text-slate-500">{t('noTimesheetSessions', 'No work sessions in this period.')}</p>
+      )}
+      {summary.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b">
+              <th className="py-1">{t('timesheetUser', 'User')}</th>
+              <th className="py-1 text-right">{t('timesheetHours', 'Worked')}</th>
+              <th className="py-1 text-right">{t('timesheetSessions', 'Sessions')}</th>
+              <th className="py-1 text-right">{t('timesheetTasks', 'Tasks')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.map((entry) => (
+              <tr key={entry.userId} className="border-b border-slate-100">
+                <td className="py-1">{entry.userName}</td>
+                <td className="py-1 text-right">{formatWorkedMinutes(entry.minutes)}</td>
+                <td className="py-1 text-right">{entry.sessionCount}</td>
+                <td className="py-1 text-right">{entry.taskCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
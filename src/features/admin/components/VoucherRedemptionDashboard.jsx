@@ -1,14 +1,13 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { getAllRedeemedVouchers, getUserVoucherStats, deleteVoucherAndRefund } from '../../../shared/utils/voucherManagement';
 import { getPointsBreakdown, adjustUserPoints } from '../../../shared/utils/pointsManagement';
-import { getTotalBonusPoints } from '../../../shared/utils/dailyBonus';
-import { calculateTotalLeadershipPoints, calculateTCS } from '../../../shared/utils/leadershipPoints';
-import { DIFFICULTY_CONFIG, STATUSES } from '../../../shared/constants';
+import { auditUserPoints } from '../../../shared/utils/pointsLedger';
+import { calculateUserScore } from '../../../shared/utils/pointsEngine';
+import { fetchCompletedTasks } from '../../tasks/api/taskApi';
 import { pwaAnalytics } from '../../../shared/utils/pwaAnalytics';
-import { db } from '../../../firebase';
-import { doc, getDoc } from 'firebase/firestore';
+import { usersRepository } from '../../../shared/data/usersRepository';
 
-const VoucherRedemptionDashboard = ({ users, currentUser, tasks = [] }) => {
+const VoucherRedemptionDashboard = ({ users, currentUser }) => {
   const [activeTab, setActiveTab] = useState('overview');
   const [userStats, setUserStats] = useState([]);
   const [redemptionHistory, setRedemptionHistory] = useState([]);
@@ -20,64 +19,33 @@ const VoucherRedemptionDashboard = ({ users, currentUser, tasks = [] }) => {
   const [selectedUserForAdjustment, setSelectedUserForAdjustment] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [selectedVoucherForDeletion, setSelectedVoucherForDeletion] = useState(null);
+  const [selectedUserForAudit, setSelectedUserForAudit] = useState(null);
 
   useEffect(() => {
     loadDashboardData();
-  }, [users, tasks]);
-
-  const calculateTaskPoints = (task) => {
-    if (!task?.assignedUserIds || !Array.isArray(task.assignedUserIds)) return 0;
-
-    const assignedUserCount = task.assignedUserIds.length || 1;
-    let basePoints = 50;
-
-    if (task.difficulty && DIFFICULTY_CONFIG[task.difficulty]) {
-      basePoints = DIFFICULTY_CONFIG[task.difficulty].points;
-    } else if (typeof task.points === 'number') {
-      basePoints = task.points;
-    }
-
-    const isRdNewSkill = task.isRdNewSkill || false;
-    if (isRdNewSkill) {
-      basePoints = basePoints * 5;
-    }
-
-    const basePointsPerUser = Math.round(basePoints / assignedUserCount);
-    const collaborationBonus = !isRdNewSkill && assignedUserCount > 1 ? Math.round(basePointsPerUser * 0.1) : 0;
-    const urgentBonus = !isRdNewSkill && task.isUrgent ? Math.round(basePointsPerUser * 0.25) : 0;
-
-    return basePointsPerUser + collaborationBonus + urgentBonus;
-  };
+  }, [users]);
 
   const loadDashboardData = async () => {
     setLoading(true);
     try {
+      // All-time scores need every completed task, not just the recent ones the task list keeps
+      const completedTasks = await fetchCompletedTasks();
+
       // Load user-wise stats
       const stats = await Promise.all(
         users.map(async (user) => {
-          const freshUserSnap = await getDoc(doc(db, 'users', user.id));
-          const effectiveUser = freshUserSnap.exists()
-            ? { id: freshUserSnap.id, ...freshUserSnap.data() }
-            : user;
+          const effectiveUser = (await usersRepository.get(user.id)) || user;
           const vouchers = await getUserVoucherStats(effectiveUser.id);
           const pointsBreakdown = getPointsBreakdown(effectiveUser);
-          const completedTasks = (tasks || []).filter(task =>
-            task?.status === STATUSES.COMPLETE &&
-            Array.isArray(task.assignedUserIds) &&
-            task.assignedUserIds.includes(effectiveUser.id)
-          );
-          const executionPoints = completedTasks.reduce((sum, task) => sum + calculateTaskPoints(task), 0);
-          const leadershipPoints = calculateTotalLeadershipPoints(tasks || [], effectiveUser.id, calculateTaskPoints).total;
-          const bonusPoints = getTotalBonusPoints(effectiveUser?.dailyBonusLedger || {});
-          const computedTcs = calculateTCS(executionPoints, leadershipPoints, bonusPoints, 0);
+          const score = calculateUserScore(effectiveUser, completedTasks);
           return {
             user: effectiveUser,
             vouchers,
             points: pointsBreakdown,
-            computedTcs,
-            executionPoints,
-            leadershipPoints,
-            bonusPoints,
+            computedTcs: score.tcs,
+            executionPoints: score.executionPoints,
+            leadershipPoints: score.leadershipPoints,
+            bonusPoints: score.bonusPoints,
           };
         })
       );
@@ -172,7 +140,9 @@ const VoucherRedemptionDashboard = ({ users, currentUser, tasks = [] }) => {
         currentUser.id
       );
       
-      if (result.success) {
+      if (result.success && result.pendingApprovalId) {
+        alert('The adjustment was sent for approval and will be applied once approved.');
+      } else if (result.success) {
         alert(`Points adjusted successfully! New usable points: ${result.newUsablePoints}`);
         await loadDashboardData();
       } else {
@@ -343,13 +313,19 @@ const VoucherRedemptionDashboard = ({ users, currentUser, tasks = [] }) => {
                     <td className="px-4 py-3 text-sm text-red-600">{stat.points.expired}</td>
                     <td className="px-4 py-3 text-sm text-gray-900">{stat.vouchers.total || 0}</td>
                     <td className="px-4 py-3 text-sm text-gray-900">{stat.vouchers.totalPointsSpent || 0}</td>
-                    <td className="px-4 py-3">
+                    <td className="px-4 py-3 space-x-2 whitespace-nowrap">
                       <button
                         onClick={() => handleAdjustPoints(stat)}
                         className="text-sm bg-brand-600 text-white px-3 py-1 rounded hover:bg-brand-700"
                       >
                         Adjust Points
                       </button>
+                      <button
+                        onClick={() => setSelectedUserForAudit(stat.user)}
+                        className="text-sm border border-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-100"
+                      >
+                        Audit
+                      </button>
                     </td>
                   </tr>
                 ))}
@@ -475,6 +451,15 @@ const VoucherRedemptionDashboard = ({ users, currentUser, tasks = [] }) => {
         />
       )}
 
+      {/* Points Ledger Audit Modal */}
+      {selectedUserForAudit && (
+        <LedgerAuditModal
+          user={selectedUserForAudit}
+          currentUser={currentUser}
+          onClose={() => setSelectedUserForAudit(null)}
+        />
+      )}
+
       {/* Delete Voucher Confirmation Modal */}
       {showDeleteConfirm && selectedVoucherForDeletion && (
         <DeleteVoucherModal
@@ -573,6 +558,126 @@ const PointsAdjustModal = ({ stat, onClose, onConfirm }) => {
   );
 };
 
+// Points Ledger Audit Modal - replays the user's ledger on the server
+const LEDGER_TYPE_STYLES = {
+  earned: 'text-green-700 bg-green-50',
+  bonus: 'text-green-700 bg-green-50',
+  refunded: 'text-blue-700 bg-blue-50',
+  adjusted: 'text-purple-700 bg-purple-50',
+  redeemed: 'text-orange-700 bg-orange-50',
+  expired: 'text-red-700 bg-red-50',
+};
+
+const LedgerAuditModal = ({ user, currentUser, onClose }) => {
+  const [audit, setAudit] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    auditUserPoints(user.id, currentUser.id).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setAudit(result);
+      } else {
+        setError(result.error);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id, currentUser.id]);
+
+  const describeSource = (source) => {
+    if (!source?.kind) return '-';
+    return source.id ? `${source.kind}: ${source.id}` : source.kind;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-4 border-b">
+          <h3 className="text-lg font-semibold">Points Ledger for {user.name}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">
+            &times;
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          {!audit && !error && <div className="text-sm text-gray-500">Replaying ledger...</div>}
+          {error && <div className="text-sm text-red-600">Error loading ledger: {error}</div>}
+
+          {audit && (
+            <>
+              <div className={`p-3 rounded text-sm ${audit.inSync ? 'bg-green-50 text-green-800' : 'bg-yellow-50 text-yellow-800'}`}>
+                {audit.inSync
+                  ? 'Stored balance matches the ledger replay.'
+                  : 'Stored balance differs from the ledger replay.'}
+              </div>
+
+              <div className="grid grid-cols-2 gap-3 text-sm">
+                <div className="bg-gray-50 p-3 rounded">
+                  <div className="text-gray-600 mb-1">Ledger replay</div>
+                  <div>Usable: <span className="font-semibold">{audit.replay.usable}</span></div>
+                  <div>Balance: <span className="font-semibold">{audit.replay.balance}</span></div>
+                  <div>Entries: <span className="font-semibold">{audit.replay.entryCount}</span></div>
+                </div>
+                <div className="bg-gray-50 p-3 rounded">
+                  <div className="text-gray-600 mb-1">Stored on user</div>
+                  <div>Usable: <span className="font-semibold">{audit.cached.usablePoints ?? '-'}</span></div>
+                  <div>Balance: <span className="font-semibold">{audit.cached.ledgerBalance ?? '-'}</span></div>
+                  <div>Entries: <span className="font-semibold">{audit.cached.ledgerEntryCount ?? '-'}</span></div>
+                </div>
+              </div>
+
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {audit.entries.length === 0 && (
+                    <tr>
+                      <td colSpan="6" className="px-3 py-4 text-center text-gray-500">No ledger entries yet</td>
+                    </tr>
+                  )}
+                  {audit.entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="px-3 py-2 whitespace-nowrap">{entry.occurredAt ? new Date(entry.occurredAt).toLocaleDateString() : '-'}</td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${LEDGER_TYPE_STYLES[entry.type] || ''}`}>
+                          {entry.type}
+                        </span>
+                      </td>
+                      <td className={`px-3 py-2 text-right font-semibold ${entry.points < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {entry.points > 0 ? `+${entry.points}` : entry.points}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{describeSource(entry.source)}</td>
+                      <td className="px-3 py-2 text-gray-700">{entry.actorId || 'system'}</td>
+                      <td className="px-3 py-2 text-gray-500">{entry.reason || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end">
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Delete Voucher Confirmation Modal
 const DeleteVoucherModal = ({ voucher, onClose, onConfirm }) => {
   const [reason, setReason] = useState('');
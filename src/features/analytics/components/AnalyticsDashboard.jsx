@@ -1427,10 +1427,13 @@ function calculateQualityScore(tasks) {
     }
     
     // Deduct for excessive comments (indicates confusion/issues)
-    if (task.comments && task.comments.length > 5) {
+    if ((task.commentCount || 0) > 5) {
       score -= 0.5;
     }
     
+    // Deduct for each time a reviewer sent the work back
+    score -= Number(task.reworkCount) || 0;
+    
     return sum + Math.max(score, 1);
   }, 0);
   
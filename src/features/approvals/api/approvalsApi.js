@@ -0,0 +1,79 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../firebase';
+import { approvalRequestsRepository } from '../../../shared/data/approvalRequestsRepository';
+import { usersRepository } from '../../../shared/data/usersRepository';
+import { arrayUnion } from '../../../shared/data/fieldValues';
+import { logActivity } from '../../../shared/utils/activityLogger';
+import { APPROVAL_STATUSES } from '../../../shared/utils/approvalChains';
+
+// Approval requests are opened and decided by Cloud Functions
+// (functions/approvals.js); see shared/utils/approvalChains.js for the rules.
+
+/**
+ * @param {Function} onChange - Called with every pending request
+ * @returns {Function} Unsubscribe
+ */
+export const subscribePendingApprovals = (onChange) => {
+  return approvalRequestsRepository.subscribe(
+    { filters: [{ field: 'status', op: '==', value: APPROVAL_STATUSES.PENDING }] },
+    onChange,
+    (error) => console.warn('Approval requests listener error:', error)
+  );
+};
+
+/**
+ * @param {string} userId
+ * @param {Function} onChange - Called with every request the user opened, decided or not
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeRequestedApprovals = (userId, onChange) => {
+  return approvalRequestsRepository.subscribe(
+    { filters: [{ field: 'requestedById', op: '==', value: userId }] },
+    onChange,
+    (error) => console.warn('Requested approvals listener error:', error)
+  );
+};
+
+/**
+ * Approve or reject the current step of a request
+ * @param {string} requestId
+ * @param {string} decision - One of APPROVAL_DECISIONS
+ * @param {string} reason - Required to reject
+ * @param {Object} currentUser
+ * @returns {Promise<{status: string, currentStep: number, outcome: Object|null}>}
+ */
+export const decideApprovalRequest = async (requestId, decision, reason, currentUser) => {
+  const result = await httpsCallable(functions, 'decideApproval')({ requestId, decision, reason, actorId: currentUser.id });
+  return result.data;
+};
+
+/**
+ * Withdraw one of your own pending points or voucher requests
+ */
+export const cancelApprovalRequest = async (requestId, currentUser) => {
+  const result = await httpsCallable(functions, 'cancelApproval')({ requestId, actorId: currentUser.id });
+  return result.data;
+};
+
+/**
+ * Hide a request from your approval reminders; it stays in the inbox
+ */
+export const dismissApprovalRequest = async (request, currentUser) => {
+  await approvalRequestsRepository.update(request.id, { dismissedBy: arrayUnion(currentUser.id) });
+  logActivity('dismiss_approval', 'approval', request.id, request.subject?.title || '', currentUser.id, currentUser.name, {
+    type: request.type,
+  });
+};
+
+/**
+ * Hand your approvals to a delegate while you are on leave, or take them back
+ * @param {Object} user
+ * @param {Object|null} delegation - { delegateId, delegateName, startDate, endDate }
+ */
+export const updateDelegation = async (user, delegation) => {
+  await usersRepository.update(user.id, { delegation });
+  logActivity('update', 'user', user.id, user.name, user.id, user.name, {
+    action: delegation ? 'set_delegation' : 'clear_delegation',
+    ...(delegation || {}),
+  });
+};
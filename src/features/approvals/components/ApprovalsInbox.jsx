@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import Section from '../../../shared/components/Section.jsx';
+import { formatDateTime } from '../../../shared/utils/date';
+import {
+  APPROVAL_STATUSES,
+  APPROVAL_DECISIONS,
+  getDecisionRight,
+  toApprovalDateKey,
+} from '../../../shared/utils/approvalChains';
+import { decideApprovalRequest, cancelApprovalRequest } from '../api/approvalsApi';
+import { APPROVAL_TYPE_LABELS } from '../utils/approvalLabels';
+import DelegationSettings from './DelegationSettings';
+
+const STATUS_STYLES = {
+  [APPROVAL_STATUSES.PENDING]: 'bg-amber-100 text-amber-800',
+  [APPROVAL_STATUSES.APPROVED]: 'bg-green-100 text-green-800',
+  [APPROVAL_STATUSES.REJECTED]: 'bg-red-100 text-red-800',
+  [APPROVAL_STATUSES.CANCELLED]: 'bg-slate-100 text-slate-600',
+};
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value || 0).getTime());
+
+/**
+ * ApprovalsInbox - Requests waiting for the current user's decision, the
+ * requests they opened, and who decides for them while they are on leave.
+ */
+export default function ApprovalsInbox({ currentUser, users, departments, approvals, t, onOpenTask, onTaskFeedback }) {
+  const [busyId, setBusyId] = useState(null);
+  const dateKey = toApprovalDateKey();
+  const notify = (message, type) => (onTaskFeedback ? onTaskFeedback(message, type) : type === 'error' && alert(message));
+  const getDepartmentName = (id) => departments.find((d) => d.id === id)?.name || '';
+  const typeLabel = (type) => t(...(APPROVAL_TYPE_LABELS[type] || [type]));
+  const requested = [...approvals.requested].sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+
+  const handleDecide = async (request, decision) => {
+    let reason = '';
+    if (decision === APPROVAL_DECISIONS.REJECT) {
+      const input = window.prompt(t('approvalRejectReason', 'Please provide a reason for rejecting:'), '');
+      if (input === null) return;
+      reason = input.trim();
+      if (!reason) {
+        alert(t('approvalReasonRequired', 'A reason is required to reject.'));
+        return;
+      }
+    }
+
+    setBusyId(request.id);
+    try {
+      const result = await decideApprovalRequest(request.id, decision, reason, currentUser);
+      const message = {
+        [APPROVAL_STATUSES.APPROVED]: t('approvalApproved', 'Approved'),
+        [APPROVAL_STATUSES.REJECTED]: t('approvalRejected', 'Rejected'),
+        [APPROVAL_STATUSES.PENDING]: t('approvalPassedOn', 'Approved, passed on to the next step'),
+        [APPROVAL_STATUSES.CANCELLED]: t('approvalSubjectGone', 'The task was deleted, request closed'),
+      }[result.status];
+      notify(message, 'success');
+    } catch (error) {
+      console.error('Error deciding approval:', error);
+      notify(`${t('approvalDecideFailed', 'Could not record the decision')}: ${error.message}`, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(t('approvalCancelConfirm', 'Withdraw this request?'))) return;
+    setBusyId(request.id);
+    try {
+      await cancelApprovalRequest(request.id, currentUser);
+    } catch (error) {
+      console.error('Error cancelling approval:', error);
+      notify(error.message, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderSteps = (request) => (
+    <ol className="mt-2 space-y-1 text-xs text-slate-600">
+      {request.steps.map((step, index) => (
+        <li key={index} className="flex flex-wrap items-center gap-1">
+          <span className={`inline-flex rounded-full px-2 py-0.5 font-medium ${STATUS_STYLES[step.status]}`}>
+            {t('approvalStep', index + 1, request.steps.length)}
+          </span>
+          {step.decidedByName ? (
+            <span>
+              {step.decidedByName}
+              {step.onBehalfOfName && ` (${t('approvalOnBehalfOf', step.onBehalfOfName)})`}
+              {step.decidedAt && ` · ${formatDateTime(step.decidedAt)}`}
+              {step.reason && ` · “${step.reason}”`}
+            </span>
+          ) : (
+            <span>{step.approverIds.map((id) => users.find((user) => user.id === id)?.name || id).join(', ')}</span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+
+  const renderSummary = (request) => (
+    <>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="inline-flex rounded-full bg-blue-100 px-2 py-0.5 font-medium text-blue-800">{typeLabel(request.type)}</span>
+        {request.departmentId && <span className="text-slate-500">{getDepartmentName(request.departmentId)}</span>}
+        <span className="text-slate-500">{formatDateTime(request.createdAt)}</span>
+      </div>
+      <div className="mt-1 text-sm font-medium text-slate-800">{request.subject.title}</div>
+      {request.payload?.reason && <div className="text-xs text-slate-600">{request.payload.reason}</div>}
+    </>
+  );
+
+  return (
+    <div className="space-y-4 pb-20">
+      <Section title={`${t('approvalsInbox', 'Approvals')}${approvals.count > 0 ? ` (${approvals.count})` : ''}`}>
+        {approvals.inbox.length === 0 ? (
+          <p className="text-sm text-slate-500 text-center py-4">
+            {approvals.isLoading ? t('loading') : t('approvalsInboxEmpty', 'Nothing waiting for your approval')}
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {approvals.inbox.map((request) => {
+              const right = getDecisionRight(request, currentUser, users, dateKey);
+              return (
+                <li key={request.id} className="rounded-lg border border-amber-200 bg-amber-50 p-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>{renderSummary(request)}</div>
+                    <span className="text-xs text-amber-700 whitespace-nowrap">👤 {request.requestedByName}</span>
+                  </div>
+                  {right?.onBehalfOf && (
+                    <p className="mt-1 text-xs font-medium text-amber-800">{t('approvalDecidingFor', right.onBehalfOf.name)}</p>
+                  )}
+                  {renderSteps(request)}
+                  <div className="mt-3 flex gap-2">
+                    <button
+                      type="button"
+                      disabled={busyId === request.id}
+                      onClick={() => handleDecide(request, APPROVAL_DECISIONS.APPROVE)}
+                      className="flex-1 btn btn-xs bg-green-600 text-white hover:bg-green-700"
+                    >
+                      ✓ {t('approve', 'Approve')}
+                    </button>
+                    {request.subject.kind === 'task' && onOpenTask && (
+                      <button type="button" onClick={() => onOpenTask(request.subject.id)} className="flex-1 btn btn-xs btn-secondary">
+                        {t('approvalOpenTask', 'Open task')}
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      disabled={busyId === request.id}
+                      onClick={() => handleDecide(request, APPROVAL_DECISIONS.REJECT)}
+                      className="flex-1 btn btn-xs bg-red-600 text-white hover:bg-red-700"
+                    >
+                      ✗ {t('reject', 'Reject')}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Section>
+
+      {requested.length > 0 && (
+        <Section title={t('approvalsRequested', 'My requests')}>
+          <ul className="space-y-3">
+            {requested.map((request) => (
+              <li key={request.id} className="rounded-lg border border-slate-200 p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <div>{renderSummary(request)}</div>
+                  <span className={`inline-flex rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+                    {t(`approvalStatus_${request.status}`, request.status)}
+                  </span>
+                </div>
+                {renderSteps(request)}
+                {request.status === APPROVAL_STATUSES.PENDING && request.subject.kind !== 'task' && (
+                  <button
+                    type="button"
+                    disabled={busyId === request.id}
+                    onClick={() => handleCancel(request)}
+                    className="mt-2 btn btn-xs btn-secondary"
+                  >
+                    {t('approvalWithdraw', 'Withdraw')}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      <Section title={t('delegation', 'Delegation while on leave')}>
+        <DelegationSettings currentUser={currentUser} users={users} t={t} />
+      </Section>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { isOnLeave, toApprovalDateKey } from '../../../shared/utils/approvalChains';
+import { updateDelegation } from '../api/approvalsApi';
+
+/**
+ * DelegationSettings - Name who decides your approvals while you are on
+ * leave, and for which days.
+ */
+export default function DelegationSettings({ currentUser, users, t }) {
+  const current = currentUser.delegation || null;
+  const today = toApprovalDateKey();
+  const [delegateId, setDelegateId] = useState(current?.delegateId || '');
+  const [startDate, setStartDate] = useState(current?.startDate || today);
+  const [endDate, setEndDate] = useState(current?.endDate || today);
+  const [isSaving, setIsSaving] = useState(false);
+  const candidates = users.filter((user) => user.id !== currentUser.id).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const save = async (delegation) => {
+    setIsSaving(true);
+    try {
+      await updateDelegation(currentUser, delegation);
+    } catch (error) {
+      console.error('Error saving delegation:', error);
+      alert('Failed to save the delegation. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (!delegateId || !startDate || !endDate) return;
+    if (endDate < startDate) {
+      alert(t('delegationDatesInvalid', 'The last day must not be before the first.'));
+      return;
+    }
+    const delegate = users.find((user) => user.id === delegateId);
+    save({ delegateId, delegateName: delegate?.name || '', startDate, endDate });
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-600">{t('delegationHelp', 'While you are away, your delegate can approve or reject requests in your place.')}</p>
+      {current && (
+        <p className="text-sm font-medium text-slate-700">
+          {isOnLeave(currentUser, today)
+            ? t('delegationActive', current.delegateName, current.endDate)
+            : t('delegationScheduled', current.delegateName, current.startDate, current.endDate)}
+        </p>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <select value={delegateId} onChange={(e) => setDelegateId(e.target.value)} className="select">
+          <option value="">{t('delegationChoose', 'Choose a delegate')}</option>
+          {candidates.map((user) => (
+            <option key={user.id} value={user.id}>{user.name} ({user.role})</option>
+          ))}
+        </select>
+        <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="input" />
+        <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} className="input" />
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleSave} disabled={isSaving || !delegateId} className="btn btn-xs btn-primary">
+          {isSaving ? t('saving') : t('save')}
+        </button>
+        {current && (
+          <button type="button" onClick={() => save(null)} disabled={isSaving} className="btn btn-xs btn-secondary">
+            {t('delegationClear', 'Remove delegation')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
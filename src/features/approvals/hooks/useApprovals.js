@@ -0,0 +1,39 @@
+import { useEffect, useMemo, useState } from 'react';
+import { subscribePendingApprovals, subscribeRequestedApprovals } from '../api/approvalsApi';
+import { getInboxRequests, toApprovalDateKey } from '../../../shared/utils/approvalChains';
+
+/**
+ * Pending approval requests and the current user's own, kept up to date
+ * @param {Object} currentUser
+ * @param {Array} users - For delegations
+ * @returns {{inbox: Array, reminders: Array, requested: Array, count: number, isLoading: boolean}}
+ *   inbox: requests waiting for the user's decision; reminders: those not dismissed
+ */
+export default function useApprovals(currentUser, users) {
+  const userId = currentUser?.id;
+  const [pending, setPending] = useState({ requests: [], isLoading: true });
+  const [requested, setRequested] = useState([]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    return subscribePendingApprovals((requests) => setPending({ requests, isLoading: false }));
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    return subscribeRequestedApprovals(userId, setRequested);
+  }, [userId]);
+
+  return useMemo(() => {
+    if (!currentUser) return { inbox: [], reminders: [], requested: [], count: 0, isLoading: pending.isLoading };
+    const dateKey = toApprovalDateKey();
+    const inbox = getInboxRequests(pending.requests, currentUser, users, dateKey, { includeDismissed: true });
+    return {
+      inbox,
+      reminders: getInboxRequests(pending.requests, currentUser, users, dateKey),
+      requested,
+      count: inbox.length,
+      isLoading: pending.isLoading,
+    };
+  }, [currentUser, users, pending, requested]);
+}
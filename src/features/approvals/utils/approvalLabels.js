@@ -0,0 +1,9 @@
+import { APPROVAL_TYPES } from '../../../shared/utils/approvalChains';
+
+// Translation key and English fallback of each approval type
+export const APPROVAL_TYPE_LABELS = {
+  [APPROVAL_TYPES.SELF_ASSIGNED_TASK]: ['approvalTypeSelfAssignedTask', 'Self-assigned task'],
+  [APPROVAL_TYPES.CRITICAL_TASK]: ['approvalTypeCriticalTask', 'Critical task'],
+  [APPROVAL_TYPES.POINTS_ADJUSTMENT]: ['approvalTypePointsAdjustment', 'Points adjustment'],
+  [APPROVAL_TYPES.VOUCHER_REDEMPTION]: ['approvalTypeVoucherRedemption', 'Voucher redemption'],
+};
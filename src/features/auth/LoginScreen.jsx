@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { getLogoPath } from '../../config/domains.js';
+import { getLoginDirectory, signInWithPassword } from './api/authApi.js';
 
-export default function LoginScreen({ users, onLogin, isLoading, t }) {
+export default function LoginScreen({ onLogin, t }) {
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
   const [selectedId, setSelectedId] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
@@ -9,9 +12,18 @@ export default function LoginScreen({ users, onLogin, isLoading, t }) {
   const [isLoggingIn, setIsLoggingIn] = useState(false);
   const [logoError, setLogoError] = useState(false);
 
-  // Debug logging
-  console.log('LoginScreen: users prop:', users?.length, users);
-  console.log('LoginScreen: isLoading:', isLoading);
+  // Only names are available before sign-in; full user documents need an authenticated session
+  useEffect(() => {
+    let cancelled = false;
+    getLoginDirectory()
+      .then((directory) => { if (!cancelled) setUsers(directory); })
+      .catch((err) => {
+        console.error('Error loading login directory:', err);
+        if (!cancelled) setError('Could not load users. Please check your connection.');
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
 
   // Set default selected user when users load
   useEffect(() => {
@@ -32,14 +44,17 @@ export default function LoginScreen({ users, onLogin, isLoading, t }) {
         return; 
       }
       
-      if (user.password === password) {
-        onLogin(user.id);
-      } else {
-        setError(t('invalidLogin') || 'Invalid password');
-      }
+      await signInWithPassword(user.id, password);
+      onLogin(user);
     } catch (err) {
       console.error('Login error:', err);
-      setError(t('invalidLogin') || 'Login failed. Please try again.');
+      if (err?.code === 'functions/unauthenticated') {
+        setError(t('invalidLogin') || 'Invalid password');
+      } else if (err?.code === 'functions/resource-exhausted') {
+        setError(t('tooManyLoginAttempts', err.details?.retryAfterMinutes));
+      } else {
+        setError('Login failed. Please try again.');
+      }
     } finally {
       setIsLoggingIn(false);
     }
@@ -76,7 +91,7 @@ export default function LoginScreen({ users, onLogin, isLoading, t }) {
           {!isLoading && users.length === 0 && <option>No users found</option>}
           {!isLoading && users.length > 0 && users.map((u) => (
             <option key={u.id} value={u.id}>
-              {u.name || u.username || u.email}
+              {u.name}
             </option>
           ))}
         </select>
@@ -109,7 +124,7 @@ export default function LoginScreen({ users, onLogin, isLoading, t }) {
       {process.env.NODE_ENV === 'development' && (
         <div className="mt-4 p-3 bg-slate-100 rounded text-xs text-slate-600">
           <div>Debug: {users.length} users loaded</div>
-          <div>Users: {users.map(u => u.username || u.name || u.email).join(', ')}</div>
+          <div>Users: {users.map(u => u.name).join(', ')}</div>
         </div>
       )}
     </div>
@@ -0,0 +1,79 @@
+import { auth, functions } from '../../../firebase';
+import { httpsCallable } from 'firebase/functions';
+import { signInWithCustomToken, signOut, onIdTokenChanged } from 'firebase/auth';
+
+// Passwords are verified by the `signInWithPassword` Cloud Function (functions/auth.js),
+// which returns a custom token whose uid is the user's document id.
+
+const callFunction = async (name, data = {}) => {
+  const result = await httpsCallable(functions, name)(data);
+  return result.data;
+};
+
+export const getLoginDirectory = async () => {
+  const { users } = await callFunction('getLoginDirectory');
+  return users || [];
+};
+
+export const signInWithPassword = async (userId, password) => {
+  const { token } = await callFunction('signInWithPassword', { userId, password });
+  const credential = await signInWithCustomToken(auth, token);
+  return credential.user;
+};
+
+export const signOutUser = () => signOut(auth);
+
+/**
+ * Read the session expiry from the signed-in user's token claims.
+ * Returns null for sessions that did not come from a password sign-in
+ * (e.g. leftover anonymous sessions), which should be signed out.
+ * @param {import('firebase/auth').User} user
+ * @returns {Promise<number|null>} Expiry in epoch milliseconds
+ */
+export const getSessionExpiry = async (user) => {
+  if (!user || user.isAnonymous) return null;
+  const { claims } = await user.getIdTokenResult();
+  return typeof claims.sessionExpiresAt === 'number' ? claims.sessionExpiresAt : null;
+};
+
+/**
+ * Watch the auth session. Calls onChange(userId) with the signed-in user id, or
+ * null when signed out or when the session has expired.
+ * @param {(userId: string|null) => void} onChange
+ * @returns {() => void} Unsubscribe
+ */
+export const watchSession = (onChange) => {
+  let expiryTimer = null;
+
+  const unsubscribe = onIdTokenChanged(auth, async (user) => {
+    clearTimeout(expiryTimer);
+    if (!user) {
+      onChange(null);
+      return;
+    }
+
+    try {
+      const expiresAt = await getSessionExpiry(user);
+      const remaining = expiresAt ? expiresAt - Date.now() : 0;
+      if (remaining <= 0) {
+        await signOut(auth);
+        return;
+      }
+      // setTimeout overflows past ~24.8 days; sessions are shorter than that
+      expiryTimer = setTimeout(() => signOut(auth), Math.min(remaining, 2 ** 31 - 1));
+      onChange(user.uid);
+    } catch (error) {
+      console.error('Error reading session:', error);
+      onChange(null);
+    }
+  });
+
+  return () => {
+    clearTimeout(expiryTimer);
+    unsubscribe();
+  };
+};
+
+export const setUserPassword = (userId, password) => callFunction('setUserPassword', { userId, password });
+
+export const migrateUserPasswords = () => callFunction('migrateUserPasswords');
@@ -1,5 +1,6 @@
 import React, { useState, useMemo } from 'react';
-import { STATUSES, DIFFICULTY_CONFIG, ROLES } from '../../../shared/constants';
+import { STATUSES, ROLES } from '../../../shared/constants';
+import { calculateTaskPoints, getTaskAssigneeIds, getTaskCompletionDate } from '../../../shared/utils/pointsEngine.js';
 
 export default function DailyPointsTarget({ 
   currentUser, 
@@ -13,59 +14,6 @@ export default function DailyPointsTarget({
   // Get user's daily target (default 350) - REVERTED
   const dailyTarget = currentUser?.dailyPointsTarget || 350;
 
-  // Robust date parsing (Firestore Timestamp, Date, seconds/nanos)
-  const parseDate = (value) => {
-    if (!value) return null;
-    try {
-      if (value && typeof value === 'object') {
-        if (typeof value.toDate === 'function') return value.toDate();
-        if (typeof value.toMillis === 'function') return new Date(value.toMillis());
-        if (value.seconds !== undefined) return new Date(value.seconds * 1000 + (value.nanoseconds || 0) / 1e6);
-      }
-      if (value instanceof Date) return value;
-      const d = new Date(value);
-      return isNaN(d.getTime()) ? null : d;
-    } catch {
-      return null;
-    }
-  };
-
-  const getTaskCompletionDate = (task) => {
-    return (
-      parseDate(task?.completedAt) ||
-      parseDate(task?.updatedAt) ||
-      parseDate(task?.createdAt) ||
-      parseDate(task?.timestamp)
-    );
-  };
-
-  const calculateTaskPoints = (task) => {
-    const assignedUserCount = Array.isArray(task?.assignedUserIds)
-      ? task.assignedUserIds.length
-      : task?.assignedUserId
-        ? 1
-        : 0;
-    if (assignedUserCount <= 0) return 0;
-
-    let basePoints = 50;
-    if (task?.difficulty && DIFFICULTY_CONFIG[task.difficulty]) {
-      basePoints = DIFFICULTY_CONFIG[task.difficulty].points;
-    } else if (typeof task?.points === 'number') {
-      basePoints = task.points;
-    }
-
-    // R&D/New Skill tasks get 5x base points
-    const isRdNewSkill = task?.isRdNewSkill || false;
-    if (isRdNewSkill) {
-      basePoints = basePoints * 5;
-    }
-
-    const basePerUser = Math.round(basePoints / assignedUserCount);
-    const collaborationBonus = !isRdNewSkill && assignedUserCount > 1 ? Math.round(basePerUser * 0.1) : 0;
-    const urgentBonus = !isRdNewSkill && task?.isUrgent ? Math.round(basePerUser * 0.25) : 0;
-    return basePerUser + collaborationBonus + urgentBonus;
-  };
-
   // Calculate points earned today
   const pointsEarnedToday = useMemo(() => {
     if (!currentUser?.id) return 0;
@@ -90,10 +38,7 @@ export default function DailyPointsTarget({
         return false;
       }
 
-      const isAssigned = Array.isArray(task.assignedUserIds)
-        ? task.assignedUserIds.includes(currentUser.id)
-        : task.assignedUserId === currentUser.id;
-      if (!isAssigned) return false;
+      if (!getTaskAssigneeIds(task).includes(currentUser.id)) return false;
 
       const completedDate = getTaskCompletionDate(task);
       if (!completedDate) return false;
@@ -104,7 +49,7 @@ export default function DailyPointsTarget({
         console.log('Found task completed today:', {
           title: task.title,
           completedDate: completedDate.toISOString(),
-          points: calculateTaskPoints(task),
+          points: calculateTaskPoints(task, currentUser.id),
           difficulty: task.difficulty,
           isUrgent: task.isUrgent
         });
@@ -113,7 +58,7 @@ export default function DailyPointsTarget({
       return isToday;
     });
 
-    const totalPoints = todaysCompletedTasks.reduce((sum, task) => sum + calculateTaskPoints(task), 0);
+    const totalPoints = todaysCompletedTasks.reduce((sum, task) => sum + calculateTaskPoints(task, currentUser.id), 0);
     
     console.log('Daily points calculation:', {
       tasksCompletedToday: todaysCompletedTasks.length,
@@ -1,168 +1,22 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { STATUSES, DIFFICULTY_CONFIG, ROLES } from '../../../shared/constants';
 import Section from '../../../shared/components/Section';
-import { getBonusClaimsInRange, getBonusPointsInRange, getPointsFromEntry, getTotalBonusPoints } from '../../../shared/utils/dailyBonus.js';
-import { calculateTotalLeadershipPoints, calculateTCS, getLPBreakdownDisplay } from '../../../shared/utils/leadershipPoints.js';
+import { getBonusClaimsInRange, getBonusPointsInRange, getPointsFromEntry } from '../../../shared/utils/dailyBonus.js';
+import { getLPBreakdownDisplay } from '../../../shared/utils/leadershipPoints.js';
+import { calculateTaskPoints, calculateUserScore, calculateRankings, getTaskCompletionDate } from '../../../shared/utils/pointsEngine.js';
 import { getStartOfWeek, getEndOfWeek } from '../../../shared/utils/weeklyReset.js';
 
 
 function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
   const [leaderboardView, setLeaderboardView] = useState('overall'); // Default to TCS Overall view
 
-  const safeTasks = Array.isArray(tasks) ? tasks : [];
-  const safeUsers = Array.isArray(users) ? users : [];
-  const safeDepartments = Array.isArray(departments) ? departments : [];
+  const safeTasks = useMemo(() => (Array.isArray(tasks) ? tasks : []), [tasks]);
+  const safeUsers = useMemo(() => (Array.isArray(users) ? users : []), [users]);
+  const safeDepartments = useMemo(() => (Array.isArray(departments) ? departments : []), [departments]);
   const userId = currentUser?.id ?? null;
   const userRole = currentUser?.role ?? ROLES.USER;
   const isDataReady = Boolean(currentUser) && Array.isArray(tasks) && Array.isArray(users);
 
-  // Helper function to calculate weekly leadership points
-  const calculateWeeklyLeadershipPoints = (tasks, managerId, startOfWeek, endOfWeek) => {
-    const managerTasks = tasks.filter(task => 
-      task.assignedById === managerId && 
-      task.status === STATUSES.COMPLETE
-    );
-
-    let totalLP = 0;
-    let tasksAwarded = 0;
-
-    managerTasks.forEach(task => {
-      const completionDate = getTaskCompletionDate(task);
-      if (completionDate && completionDate >= startOfWeek && completionDate <= endOfWeek) {
-        const taskPoints = calculateTaskPoints(task);
-        const lpData = calculateLeadershipPointsForTask(task, taskPoints);
-        totalLP += lpData.total;
-        tasksAwarded++;
-      }
-    });
-
-    return {
-      total: totalLP,
-      tasksAwarded
-    };
-  };
-
-  // Helper function to calculate leadership points for a single task
-  const calculateLeadershipPointsForTask = (task, taskExecutionPoints) => {
-    if (!task || !taskExecutionPoints) {
-      return { completionBonus: 0, difficultyFairness: 0, onTimeBonus: 0, total: 0 };
-    }
-
-    let completionBonus = 0;
-    let difficultyFairness = 0;
-    let onTimeBonus = 0;
-
-    const isRdNewSkill = task.isRdNewSkill || false;
-
-    // Completion Bonus
-    if (isRdNewSkill) {
-      completionBonus = Math.round(taskExecutionPoints * 0.50);
-    } else {
-      completionBonus = Math.round(taskExecutionPoints * 0.20);
-    }
-
-    // Difficulty Fairness (only for regular tasks)
-    if (!isRdNewSkill) {
-      difficultyFairness = Math.round(taskExecutionPoints * 0.05);
-    }
-
-    // On-Time Delivery Bonus
-    if (task.targetDate && task.completedAt) {
-      const targetDate = getTaskCompletionDate(task.targetDate);
-      const completedDate = getTaskCompletionDate(task.completedAt);
-      
-      if (targetDate && completedDate && completedDate <= targetDate) {
-        onTimeBonus = Math.round(taskExecutionPoints * 0.05);
-      }
-    }
-
-    return {
-      completionBonus,
-      difficultyFairness,
-      onTimeBonus,
-      total: completionBonus + difficultyFairness + onTimeBonus
-    };
-  };
-
-  // Simplified date parsing for Firestore Timestamps
-  const parseDate = (dateValue) => {
-    if (!dateValue) return null;
-    
-    try {
-      // Handle Firestore Timestamp objects (primary format now)
-      if (dateValue && typeof dateValue === 'object' && typeof dateValue.toDate === 'function') {
-        return dateValue.toDate();
-      }
-      // Handle Firestore Timestamp with toMillis method
-      if (dateValue && typeof dateValue === 'object' && typeof dateValue.toMillis === 'function') {
-        return new Date(dateValue.toMillis());
-      }
-      // Handle Firestore Timestamp with seconds/nanoseconds properties
-      if (dateValue && typeof dateValue === 'object' && dateValue.seconds !== undefined) {
-        return new Date(dateValue.seconds * 1000 + (dateValue.nanoseconds || 0) / 1000000);
-      }
-      // Handle regular Date objects
-      if (dateValue instanceof Date) {
-        return dateValue;
-      }
-      
-      console.warn('Unknown date format:', dateValue, typeof dateValue);
-      return null;
-    } catch (error) {
-      console.error('Error parsing date:', dateValue, error);
-      return null;
-    }
-  };
-
-  // Get the completion date for a task (simplified since all are now timestamps)
-  const getTaskCompletionDate = (task) => {
-    if (task.completedAt) {
-      return parseDate(task.completedAt);
-    }
-    
-    // Fallback to updatedAt if completedAt is missing
-    if (task.updatedAt) {
-      return parseDate(task.updatedAt);
-    }
-    
-    // Last resort: createdAt
-    if (task.createdAt) {
-      return parseDate(task.createdAt);
-    }
-    
-    return null;
-  };
-
-  // Calculate points for a task
-  const calculateTaskPoints = (task) => {
-    if (!task.assignedUserIds || !Array.isArray(task.assignedUserIds)) return 0;
-    
-    const assignedUserCount = task.assignedUserIds.length;
-    let basePoints = 50; // Default points
-    
-    // Use task's difficulty if available
-    if (task.difficulty && DIFFICULTY_CONFIG[task.difficulty]) {
-      basePoints = DIFFICULTY_CONFIG[task.difficulty].points;
-    } else if (task.points && typeof task.points === 'number') {
-      basePoints = task.points;
-    }
-    
-    // R&D/New Skill tasks get 5x base points
-    const isRdNewSkill = task.isRdNewSkill || false;
-    if (isRdNewSkill) {
-      basePoints = basePoints * 5;
-    }
-    
-    // Split points among assigned users
-    const basePointsPerUser = Math.round(basePoints / assignedUserCount);
-    
-    // Add bonuses (only for regular tasks, not R&D)
-    const collaborationBonus = !isRdNewSkill && assignedUserCount > 1 ? Math.round(basePointsPerUser * 0.1) : 0;
-    const urgentBonus = !isRdNewSkill && task.isUrgent ? Math.round(basePointsPerUser * 0.25) : 0;
-    
-    return basePointsPerUser + collaborationBonus + urgentBonus;
-  };
-
   // Calculate user's completed tasks and points (excluding deleted tasks for non-admins)
   const userCompletedTasks = safeTasks.filter(task => {
     if (!userId) return false;
@@ -176,32 +30,18 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
            task.status === STATUSES.COMPLETE;
   });
 
-  const currentUserBonusLedger = currentUser?.dailyBonusLedger || {};
-  const totalBonusPoints = getTotalBonusPoints(currentUserBonusLedger);
+  const currentUserBonusLedger = useMemo(() => currentUser?.dailyBonusLedger || {}, [currentUser]);
 
-  // Calculate Execution Points (EP) - points from completing tasks
-  const userExecutionPoints = userCompletedTasks.reduce((total, task) => {
-    return total + calculateTaskPoints(task);
-  }, 0);
+  // All-time score: EP + LP + Bonuses - Penalties, from the shared points engine
+  const userScore = useMemo(() => {
+    return calculateUserScore(currentUser, safeTasks);
+  }, [currentUser, safeTasks]);
 
-  // Calculate Leadership Points (LP) - points from tasks assigned by user
-  const userLeadershipData = useMemo(() => {
-    if (!userId) {
-      return {
-        total: 0,
-        completionBonus: 0,
-        difficultyFairness: 0,
-        onTimeBonus: 0,
-        tasksAwarded: 0,
-      };
-    }
-    return calculateTotalLeadershipPoints(safeTasks, userId, calculateTaskPoints);
-  }, [safeTasks, userId]);
-
-  const userLeadershipPoints = userLeadershipData.total;
-
-  // Calculate Total Contribution Score (TCS) = EP + LP + Bonuses
-  const userTotalPoints = calculateTCS(userExecutionPoints, userLeadershipPoints, totalBonusPoints, 0);
+  const userExecutionPoints = userScore.executionPoints;
+  const userLeadershipData = userScore.leadership;
+  const userLeadershipPoints = userScore.leadershipPoints;
+  const totalBonusPoints = userScore.bonusPoints;
+  const userTotalPoints = userScore.tcs;
 
   const dailyPointsTarget = currentUser?.dailyPointsTarget || 350;
 
@@ -217,7 +57,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
       return completionDate && completionDate >= todayStart && completionDate <= todayEnd;
     });
 
-    const taskPoints = todayTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
+    const taskPoints = todayTasks.reduce((total, task) => total + calculateTaskPoints(task, userId), 0);
     const bonusPoints = getBonusPointsInRange(currentUserBonusLedger, todayStart, todayEnd);
 
     return {
@@ -225,7 +65,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
       tasks: todayTasks.length,
       bonusPoints,
     };
-  }, [userCompletedTasks, currentUserBonusLedger]);
+  }, [userCompletedTasks, currentUserBonusLedger, userId]);
 
   const pointsRemaining = Math.max(0, dailyPointsTarget - todayStats.points);
 
@@ -320,7 +160,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
       return completionDate && completionDate >= startOfWeek && completionDate <= endOfWeek;
     });
 
-    const taskPoints = weeklyTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
+    const taskPoints = weeklyTasks.reduce((total, task) => total + calculateTaskPoints(task, userId), 0);
     const bonusPoints = getBonusPointsInRange(currentUserBonusLedger, startOfWeek, endOfWeek);
 
     return {
@@ -328,7 +168,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
       tasks: weeklyTasks.length,
       bonusPoints,
     };
-  }, [userCompletedTasks, currentUserBonusLedger]);
+  }, [userCompletedTasks, currentUserBonusLedger, userId]);
 
   // Calculate this month's points (1st to end of month)
   const monthlyStats = useMemo(() => {
@@ -344,7 +184,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
       return completionDate && completionDate >= startOfMonth && completionDate <= endOfMonth;
     });
 
-    const taskPoints = monthlyTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
+    const taskPoints = monthlyTasks.reduce((total, task) => total + calculateTaskPoints(task, userId), 0);
     const bonusPoints = getBonusPointsInRange(currentUserBonusLedger, startOfMonth, endOfMonth);
 
     return {
@@ -352,7 +192,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
       tasks: monthlyTasks.length,
       bonusPoints,
     };
-  }, [userCompletedTasks, currentUserBonusLedger]);
+  }, [userCompletedTasks, currentUserBonusLedger, userId]);
 
   // Calculate weekly breakdown by difficulty
   const weeklyBreakdown = useMemo(() => {
@@ -371,7 +211,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
         breakdown[key] = {
           label: DIFFICULTY_CONFIG[key].label,
           count: tasksOfDifficulty.length,
-          points: tasksOfDifficulty.reduce((sum, task) => sum + calculateTaskPoints(task), 0),
+          points: tasksOfDifficulty.reduce((sum, task) => sum + calculateTaskPoints(task, userId), 0),
         };
       }
     });
@@ -388,53 +228,17 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
     }
 
     return breakdown;
-  }, [userCompletedTasks, currentUserBonusLedger]);
+  }, [userCompletedTasks, currentUserBonusLedger, userId]);
 
   // Calculate weekly rankings (replacing overall leaderboard)
   const weeklyRankings = useMemo(() => {
     const startOfWeek = getStartOfWeek();
     const endOfWeek = getEndOfWeek();
 
-    return safeUsers.map(user => {
-      const userTasks = safeTasks.filter(task => {
-        if (task.status === STATUSES.DELETED && userRole !== ROLES.ADMIN) {
-          return false;
-        }
-
-        return Array.isArray(task.assignedUserIds) &&
-               task.assignedUserIds.includes(user.id) &&
-               task.status === STATUSES.COMPLETE;
-      });
-
-      const userBonusLedger = user?.dailyBonusLedger || {};
-      
-      // Calculate weekly Execution Points (EP)
-      const weeklyTasks = userTasks.filter(task => {
-        const completionDate = getTaskCompletionDate(task);
-        return completionDate && completionDate >= startOfWeek && completionDate <= endOfWeek;
-      });
-      const weeklyExecutionPoints = weeklyTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
-      const weeklyBonusPoints = getBonusPointsInRange(userBonusLedger, startOfWeek, endOfWeek);
-      
-      // Calculate weekly Leadership Points (LP)
-      const weeklyLeadershipData = calculateWeeklyLeadershipPoints(safeTasks, user.id, startOfWeek, endOfWeek);
-      const weeklyLeadershipPoints = weeklyLeadershipData.total;
-      
-      // Calculate weekly Total Contribution Score (TCS)
-      const weeklyTCS = weeklyExecutionPoints + weeklyLeadershipPoints + weeklyBonusPoints;
-
-      return {
-        id: user.id,
-        name: user.name || 'Unknown',
-        executionPoints: weeklyExecutionPoints,
-        leadershipPoints: weeklyLeadershipPoints,
-        bonusPoints: weeklyBonusPoints,
-        tcs: weeklyTCS,
-        totalPoints: weeklyTCS, // Use weekly TCS as total points
-        completedTasks: weeklyTasks.length,
-        departmentId: user.departmentIds?.[0] || null,
-      };
-    }).sort((a, b) => {
+    return calculateRankings(safeUsers, safeTasks, { startDate: startOfWeek, endDate: endOfWeek }).map(row => ({
+      ...row,
+      totalPoints: row.tcs, // Use weekly TCS as total points
+    })).sort((a, b) => {
       // Sort based on current leaderboard view
       if (leaderboardView === 'topPerformers') {
         return b.executionPoints - a.executionPoints;
@@ -444,7 +248,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
         return b.tcs - a.tcs;
       }
     });
-  }, [safeUsers, safeTasks, leaderboardView, userRole]);
+  }, [safeUsers, safeTasks, leaderboardView]);
 
   // Calculate department rankings (monthly)
   const departmentRankings = useMemo(() => {
@@ -473,7 +277,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
         return completionDate && completionDate >= startOfMonth && completionDate <= endOfMonth;
       });
 
-      const monthPoints = monthTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
+      const monthPoints = monthTasks.reduce((total, task) => total + calculateTaskPoints(task, userId), 0);
       const monthBonusPoints = deptUsers.reduce((total, user) => {
         const userBonusLedger = user?.dailyBonusLedger || {};
         return total + getBonusPointsInRange(userBonusLedger, startOfMonth, endOfMonth);
@@ -490,7 +294,7 @@ function PointsTab({ currentUser, tasks, users, departments, t, onGoToTasks }) {
         avgPointsPerUser: deptUsers.length > 0 ? totalPoints / deptUsers.length : 0
       };
     }).sort((a, b) => b.monthPoints - a.monthPoints);
-  }, [safeDepartments, safeUsers, safeTasks, userRole]);
+  }, [safeDepartments, safeUsers, safeTasks, userRole, userId]);
 
   // Get top 10 performers from weekly rankings
   const topPerformers = weeklyRankings.slice(0, 10);
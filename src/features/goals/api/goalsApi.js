@@ -0,0 +1,153 @@
+import { goalsRepository, goalCheckInsRepository, recordGoalCheckIn } from '../../../shared/data/goalsRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
+import { logActivity } from '../../../shared/utils/activityLogger';
+import { toGoalContent, canManageGoal, canCheckInGoal, GOAL_MEASURES } from '../utils/goals';
+
+// Goals and check-ins (see utils/goals.js). Firestore rules allow the same
+// writers as canManageGoal and canCheckInGoal.
+
+const logGoalActivity = async (action, goalId, goal, currentUser, details = {}) => {
+  try {
+    await logActivity(action, 'goal', goalId, goal.title, currentUser.id, currentUser.name, {
+      departmentId: goal.departmentId || null,
+      ...details,
+    });
+  } catch (error) {
+    console.warn(`Failed to log ${action} activity:`, error);
+  }
+};
+
+const assertCanManage = (currentUser, departmentId) => {
+  if (!canManageGoal(currentUser, departmentId)) {
+    throw new Error(departmentId ? 'You can only manage goals of your own departments' : 'Only Management can manage company goals');
+  }
+};
+
+/**
+ * @param {Function} onChange - Called with every goal, archived ones included
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeGoals = (onChange) => {
+  return goalsRepository.subscribe(null, onChange, (error) => {
+    console.warn('Goals listener error:', error);
+  });
+};
+
+/**
+ * @param {Object} values - Goal form values
+ * @param {Object} currentUser
+ * @returns {Promise<string>} The new goal id
+ */
+export const createGoal = async (values, currentUser) => {
+  const content = toGoalContent(values);
+  assertCanManage(currentUser, content.departmentId);
+  const goal = {
+    ...content,
+    isArchived: false,
+    createdById: currentUser.id,
+    createdByName: currentUser.name,
+    createdAt: serverTimestamp(),
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  };
+  const goalId = await goalsRepository.add(goal);
+  await logGoalActivity('create_goal', goalId, goal, currentUser, { keyResultCount: goal.keyResults.length });
+  return goalId;
+};
+
+/**
+ * Save edited goal content. A goal cannot move between departments or
+ * between company and department.
+ * @param {Object} goal - The goal as loaded
+ * @param {Object} values - Goal form values
+ * @param {Object} currentUser
+ */
+export const updateGoal = async (goal, values, currentUser) => {
+  assertCanManage(currentUser, goal.departmentId);
+  const content = toGoalContent({ ...values, departmentId: goal.departmentId });
+  await goalsRepository.update(goal.id, {
+    ...content,
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  });
+  await logGoalActivity('update_goal', goal.id, { ...goal, ...content }, currentUser, {
+    removedKeyResultIds: (goal.keyResults || [])
+      .filter((keyResult) => !content.keyResults.some((item) => item.id === keyResult.id))
+      .map((keyResult) => keyResult.id),
+  });
+};
+
+/**
+ * @param {Object} goal
+ * @param {boolean} isArchived
+ * @param {Object} currentUser
+ */
+export const setGoalArchived = async (goal, isArchived, currentUser) => {
+  assertCanManage(currentUser, goal.departmentId);
+  await goalsRepository.update(goal.id, {
+    isArchived,
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  });
+  await logGoalActivity(isArchived ? 'archive_goal' : 'unarchive_goal', goal.id, goal, currentUser);
+};
+
+/**
+ * Record the current value of a manually measured key result
+ * @param {string} goalId
+ * @param {string} keyResultId
+ * @param {number} value
+ * @param {string} note
+ * @param {Object} currentUser
+ * @returns {Promise<string>} The check-in id
+ */
+export const checkInKeyResult = async (goalId, keyResultId, value, note, currentUser) => {
+  let checkedIn = null;
+  const checkInId = await recordGoalCheckIn(goalId, (goal) => {
+    if (!canCheckInGoal(currentUser, goal)) throw new Error('Only the goal owner and its managers can check in');
+    const keyResult = (goal.keyResults || []).find((item) => item.id === keyResultId);
+    if (!keyResult) throw new Error('Key result not found');
+    if (keyResult.measure !== GOAL_MEASURES.MANUAL) throw new Error('This key result is measured by its linked tasks');
+    if (!Number.isFinite(value)) throw new Error('Enter a number');
+
+    checkedIn = { goal, keyResult };
+    return {
+      checkIn: {
+        keyResultId,
+        value,
+        previousValue: keyResult.currentValue,
+        note: (note || '').trim(),
+        createdById: currentUser.id,
+        createdByName: currentUser.name,
+        createdAt: serverTimestamp(),
+      },
+      patch: {
+        keyResults: goal.keyResults.map((item) => (item.id === keyResultId ? { ...item, currentValue: value } : item)),
+        updatedById: currentUser.id,
+        updatedByName: currentUser.name,
+        updatedAt: serverTimestamp(),
+      },
+    };
+  });
+  await logGoalActivity('check_in_goal', goalId, checkedIn.goal, currentUser, {
+    keyResultId,
+    keyResultTitle: checkedIn.keyResult.title,
+    previousValue: checkedIn.keyResult.currentValue,
+    value,
+  });
+  return checkInId;
+};
+
+/**
+ * Check-ins of a goal, newest first
+ * @param {string} goalId
+ * @returns {Promise<Array>}
+ */
+export const getGoalCheckIns = async (goalId) => {
+  const checkIns = await goalCheckInsRepository.list(goalId);
+  const time = (checkIn) => checkIn.createdAt?.toMillis?.() ?? new Date(checkIn.createdAt || 0).getTime();
+  return checkIns.sort((a, b) => time(b) - time(a));
+};
@@ -0,0 +1,178 @@
+import React, { useMemo, useState } from 'react';
+import { toDateKey, addDays } from '../../../shared/utils/recurrence';
+import { createGoal, updateGoal } from '../api/goalsApi';
+import { canManageGoal, GOAL_MEASURES } from '../utils/goals';
+
+const COMPANY = 'company';
+
+const newKeyResult = () => ({ id: '', title: '', measure: GOAL_MEASURES.TASKS, startValue: 0, targetValue: 0, unit: '' });
+
+/**
+ * EditGoalModal - Create a company or department goal, or edit one: the
+ * objective, owner, period and key results.
+ */
+export default function EditGoalModal({ goal = null, defaultDepartmentId = null, currentUser, users, departments, onClose, onSaved, t }) {
+  const scopes = useMemo(() => [
+    ...(canManageGoal(currentUser, null) ? [{ id: COMPANY, name: t('companyGoal', 'Company') }] : []),
+    ...departments.filter((department) => canManageGoal(currentUser, department.id)),
+  ], [departments, currentUser, t]);
+
+  const [scope, setScope] = useState(() => {
+    if (goal) return goal.departmentId || COMPANY;
+    return scopes.some((item) => item.id === defaultDepartmentId) ? defaultDepartmentId : scopes[0]?.id || '';
+  });
+  const [title, setTitle] = useState(goal?.title || '');
+  const [description, setDescription] = useState(goal?.description || '');
+  const [ownerId, setOwnerId] = useState(goal?.ownerId || currentUser.id);
+  const [startDate, setStartDate] = useState(goal?.startDate || toDateKey(new Date()));
+  const [endDate, setEndDate] = useState(goal?.endDate || addDays(toDateKey(new Date()), 90));
+  const [keyResults, setKeyResults] = useState(() => (goal?.keyResults?.length ? goal.keyResults : [newKeyResult()]));
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const owners = useMemo(
+    () => (scope === COMPANY ? users : users.filter((user) => user.departmentIds?.includes(scope)))
+      .slice()
+      .sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    [users, scope]
+  );
+
+  const updateKeyResult = (index, changes) => {
+    setKeyResults((prev) => prev.map((keyResult, i) => (i === index ? { ...keyResult, ...changes } : keyResult)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const values = {
+      title, description, ownerId, startDate, endDate, keyResults,
+      departmentId: scope === COMPANY ? null : scope,
+    };
+    setIsSaving(true);
+    setError('');
+    try {
+      if (goal) {
+        await updateGoal(goal, values, currentUser);
+      } else {
+        await createGoal(values, currentUser);
+      }
+      onSaved?.();
+      onClose();
+    } catch (err) {
+      console.error('Error saving goal:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between flex-shrink-0">
+          <h3 className="text-lg font-semibold text-gray-900">{goal ? t('editGoal', 'Edit goal') : t('newGoal', 'New goal')}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+        </div>
+
+        <form onSubmit={handleSave} className="p-6 flex-1 overflow-y-auto space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('goalObjective', 'Objective')}</label>
+            <input value={title} onChange={(e) => setTitle(e.target.value)} className="input" />
+          </div>
+
+          <textarea value={description} onChange={(e) => setDescription(e.target.value)} placeholder={t('goalDescription', 'Why it matters (optional)')} className="input text-sm" rows="2" />
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('goalScope', 'Goal of')}</label>
+              <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={!!goal} className="select">
+                {goal && !scopes.some((item) => item.id === scope) && <option value={scope}>{scope}</option>}
+                {scopes.map((item) => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('goalOwner', 'Owner')}</label>
+              <select value={ownerId || ''} onChange={(e) => setOwnerId(e.target.value || null)} className="select">
+                <option value="">—</option>
+                {owners.map((user) => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('goalStart', 'Starts')}</label>
+              <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="input" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('goalEnd', 'Ends')}</label>
+              <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="input" />
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-slate-700 mb-1">{t('keyResults', 'Key results')}</h4>
+            <p className="text-xs text-slate-500 mb-2">{t('keyResultsHelp', 'Measured by linked tasks (completed out of a number of tasks; 0 = all linked tasks) or by check-ins (a value moving from start to target).')}</p>
+            <div className="space-y-2">
+              {keyResults.map((keyResult, index) => (
+                <div key={keyResult.id || `new-${index}`} className="border rounded p-2 space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      value={keyResult.title}
+                      onChange={(e) => updateKeyResult(index, { title: e.target.value })}
+                      placeholder={t('keyResultTitle', 'e.g. Cut breakdowns to 2 a month')}
+                      className="input text-sm flex-1"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setKeyResults((prev) => prev.filter((_, i) => i !== index))}
+                      className="text-slate-400 hover:text-red-600 px-2"
+                      aria-label={t('remove')}
+                    >
+                      ×
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-2 items-center text-sm">
+                    <select
+                      value={keyResult.measure}
+                      onChange={(e) => updateKeyResult(index, { measure: e.target.value })}
+                      className="select text-sm w-auto"
+                    >
+                      <option value={GOAL_MEASURES.TASKS}>{t('measureTasks', 'Linked tasks')}</option>
+                      <option value={GOAL_MEASURES.MANUAL}>{t('measureManual', 'Check-ins')}</option>
+                    </select>
+                    {keyResult.measure === GOAL_MEASURES.MANUAL && (
+                      <label className="flex items-center gap-1 text-slate-600">
+                        {t('keyResultStart', 'From')}
+                        <input type="number" value={keyResult.startValue} onChange={(e) => updateKeyResult(index, { startValue: e.target.value })} className="input w-24 text-sm" />
+                      </label>
+                    )}
+                    <label className="flex items-center gap-1 text-slate-600">
+                      {keyResult.measure === GOAL_MEASURES.MANUAL ? t('keyResultTarget', 'to') : t('keyResultTaskCount', 'Tasks')}
+                      <input type="number" min="0" value={keyResult.targetValue} onChange={(e) => updateKeyResult(index, { targetValue: e.target.value })} className="input w-24 text-sm" />
+                    </label>
+                    {keyResult.measure === GOAL_MEASURES.MANUAL && (
+                      <input value={keyResult.unit} onChange={(e) => updateKeyResult(index, { unit: e.target.value })} placeholder={t('keyResultUnit', 'unit')} className="input w-24 text-sm" />
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button type="button" onClick={() => setKeyResults((prev) => [...prev, newKeyResult()])} className="text-sm text-blue-600 hover:underline mt-2">
+              + {t('addKeyResult', 'Add key result')}
+            </button>
+          </div>
+
+          {error && <div className="text-red-600 text-sm bg-red-50 p-2 rounded border border-red-200">{error}</div>}
+        </form>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3 flex-shrink-0">
+          <button type="button" onClick={onClose} className="btn btn-secondary">{t('cancel')}</button>
+          <button type="button" onClick={handleSave} className="btn btn-success" disabled={isSaving || scopes.length === 0}>
+            {isSaving ? t('saving') : t('saveGoal', 'Save goal')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React, { useMemo } from 'react';
+import useGoals from '../hooks/useGoals';
+import { getLinkableKeyResults } from '../utils/goals';
+
+/**
+ * GoalPicker - Links a task to a key result of its department's or the
+ * company's goals. Hidden while there is nothing to link to.
+ */
+export default function GoalPicker({ departmentId, goalId = null, keyResultId = null, onChange, disabled = false, t }) {
+  const { goals } = useGoals();
+  const options = useMemo(() => getLinkableKeyResults(goals, departmentId), [goals, departmentId]);
+  const value = goalId && keyResultId ? `${goalId}:${keyResultId}` : '';
+  const isCurrentListed = !value || options.some((option) => `${option.goalId}:${option.keyResultId}` === value);
+
+  if (options.length === 0 && !value) return null;
+
+  const groups = options.reduce((acc, option) => {
+    const group = acc.find((item) => item.goalId === option.goalId);
+    if (group) group.options.push(option);
+    else acc.push({ goalId: option.goalId, goalTitle: option.goalTitle, options: [option] });
+    return acc;
+  }, []);
+
+  const handleChange = (e) => {
+    const [nextGoalId, nextKeyResultId] = e.target.value ? e.target.value.split(':') : [null, null];
+    onChange({ goalId: nextGoalId, keyResultId: nextKeyResultId });
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-1">{t('linkedGoal', 'Goal / key result')}</label>
+      <select value={value} onChange={handleChange} disabled={disabled} className="select">
+        <option value="">{t('noGoal', '— not linked —')}</option>
+        {!isCurrentListed && <option value={value}>{t('goalNotAvailable', 'Archived or other department\'s goal')}</option>}
+        {groups.map((group) => (
+          <optgroup key={group.goalId} label={group.goalTitle}>
+            {group.options.map((option) => (
+              <option key={option.keyResultId} value={`${option.goalId}:${option.keyResultId}`}>{option.keyResultTitle}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+import React, { useMemo, useState } from 'react';
+import { STATUSES } from '../../../shared/constants';
+import { formatDateOnly, formatDateTime, toSafeDate } from '../../../shared/utils/date';
+import { fromDateKey } from '../../../shared/utils/recurrence';
+import useGoals from '../hooks/useGoals';
+import useLinkedTasks from '../../tasks/hooks/useLinkedTasks';
+import { setGoalArchived, checkInKeyResult, getGoalCheckIns } from '../api/goalsApi';
+import {
+  GOAL_HEALTH,
+  GOAL_MEASURES,
+  canManageGoal,
+  canCheckInGoal,
+  getGoalProgress,
+  getLinkedTasks,
+  getVisibleGoals,
+} from '../utils/goals';
+import EditGoalModal from './EditGoalModal';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const HEALTH_STYLES = {
+  [GOAL_HEALTH.DONE]: 'bg-green-100 text-green-800',
+  [GOAL_HEALTH.ON_TRACK]: 'bg-blue-100 text-blue-800',
+  [GOAL_HEALTH.AT_RISK]: 'bg-amber-100 text-amber-800',
+  [GOAL_HEALTH.OFF_TRACK]: 'bg-red-100 text-red-800',
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+function ProgressBar({ value, className = 'bg-blue-500' }) {
+  return (
+    <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+      <div className={`h-full ${className}`} style={{ width: percent(value) }} />
+    </div>
+  );
+}
+
+/**
+ * GoalsPanel - Company and department goals with their key results, rolled
+ * up from linked tasks and check-ins, for the weekly review. Shows the
+ * department's and the company's goals, or every goal for 'all'. Linked tasks
+ * are read by goal, not taken from the task list.
+ */
+export default function GoalsPanel({ currentUser, users, departments, departmentId = 'all', t, onTaskFeedback }) {
+  const { goals, isLoading } = useGoals();
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null); // { goal } or {} for a new one
+  const [expandedGoalId, setExpandedGoalId] = useState(null);
+  const [checkIn, setCheckIn] = useState(null); // { goalId, keyResultId, value, note }
+  const [history, setHistory] = useState({}); // goalId -> check-ins
+  const [isSaving, setIsSaving] = useState(false);
+
+  const since = useMemo(() => new Date(Date.now() - WEEK_MS), []);
+  const visible = getVisibleGoals(goals, { departmentId, includeArchived: showArchived });
+  const { tasks, isLoading: isLoadingTasks } = useLinkedTasks('goalId', visible.map((goal) => goal.id));
+  const canCreate = canManageGoal(currentUser, null) || departments.some((department) => canManageGoal(currentUser, department.id));
+
+  const getDepartmentName = (id) => (id ? departments.find((d) => d.id === id)?.name || t('unknown') : t('companyGoal', 'Company'));
+  const getUserName = (id) => users.find((user) => user.id === id)?.name || '';
+  const formatPeriod = (goal) => `${formatDateOnly(fromDateKey(goal.startDate))} – ${formatDateOnly(fromDateKey(goal.endDate))}`;
+  const notify = (message, type) => (onTaskFeedback ? onTaskFeedback(message, type) : type === 'error' && alert(message));
+
+  const handleToggleArchived = async (goal) => {
+    try {
+      await setGoalArchived(goal, !goal.isArchived, currentUser);
+    } catch (error) {
+      console.error('Error archiving goal:', error);
+      notify(error.message, 'error');
+    }
+  };
+
+  const handleToggleExpanded = async (goal) => {
+    const isExpanding = expandedGoalId !== goal.id;
+    setExpandedGoalId(isExpanding ? goal.id : null);
+    if (!isExpanding || history[goal.id]) return;
+    try {
+      const checkIns = await getGoalCheckIns(goal.id);
+      setHistory((prev) => ({ ...prev, [goal.id]: checkIns }));
+    } catch (error) {
+      console.error('Error loading goal check-ins:', error);
+      setHistory((prev) => ({ ...prev, [goal.id]: [] }));
+    }
+  };
+
+  const handleCheckIn = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await checkInKeyResult(checkIn.goalId, checkIn.keyResultId, parseFloat(checkIn.value), checkIn.note, currentUser);
+      setHistory((prev) => ({ ...prev, [checkIn.goalId]: undefined }));
+      setExpandedGoalId(null);
+      setCheckIn(null);
+      notify(t('checkInSaved', 'Check-in saved'), 'success');
+    } catch (error) {
+      console.error('Error saving check-in:', error);
+      notify(error.message, 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading || isLoadingTasks) {
+    return <p className="text-sm text-slate-500 text-center py-4">{t('loading')}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm text-slate-600">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-2" />
+          {t('showArchivedGoals', 'Show archived')}
+        </label>
+        {canCreate && (
+          <button type="button" onClick={() => setEditing({})} className="btn btn-secondary text-sm">
+            + {t('newGoal', 'New goal')}
+          </button>
+        )}
+      </div>
+
+      {visible.length === 0 && (
+        <p className="text-sm text-slate-500 text-center py-4">{t('noGoals', 'No goals yet.')}</p>
+      )}
+
+      {visible.map((goal) => {
+        const rollup = getGoalProgress(goal, tasks, { since });
+        const canManage = canManageGoal(currentUser, goal.departmentId);
+        const canCheckIn = canCheckInGoal(currentUser, goal);
+        const isExpanded = expandedGoalId === goal.id;
+        const linkedTasks = isExpanded ? getLinkedTasks(tasks, goal.id) : [];
+
+        return (
+          <div key={goal.id} className={`rounded-lg border p-3 space-y-2 ${goal.isArchived ? 'border-slate-200 bg-slate-50' : 'bg-white border-blue-200 shadow-sm'}`}>
+            <div className="flex items-start justify-between gap-2">
+              <div className="min-w-0">
+                <div className="font-semibold text-slate-800">
+                  🎯 {goal.title}
+                  <span className={`ml-2 text-xs font-medium px-2 py-0.5 rounded-full ${HEALTH_STYLES[rollup.health]}`}>
+                    {t(`goalHealth_${rollup.health}`)}
+                  </span>
+                </div>
+                <div className="text-xs text-slate-500">
+                  {getDepartmentName(goal.departmentId)} · {formatPeriod(goal)}
+                  {goal.ownerId && ` · ${t('goalOwner', 'Owner')}: ${getUserName(goal.ownerId)}`}
+                </div>
+                {goal.description && <p className="text-sm text-slate-600 mt-1">{goal.description}</p>}
+              </div>
+              <div className="flex gap-2 text-sm flex-shrink-0">
+                <button type="button" onClick={() => handleToggleExpanded(goal)} className="text-slate-600 hover:underline">
+                  {isExpanded ? t('hideDetails', 'Hide') : t('goalDetails', 'Details')}
+                </button>
+                {canManage && (
+                  <>
+                    <button type="button" onClick={() => setEditing({ goal })} className="text-blue-600 hover:underline">{t('edit')}</button>
+                    <button type="button" onClick={() => handleToggleArchived(goal)} className="text-slate-600 hover:underline">
+                      {goal.isArchived ? t('unarchive', 'Unarchive') : t('archive', 'Archive')}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <div className="flex justify-between text-xs text-slate-600 mb-1">
+                <span>{t('goalProgress', percent(rollup.progress), percent(rollup.elapsed))}</span>
+                <span>{t('goalWeekSummary', rollup.linkedTaskCount, rollup.completedSince)}</span>
+              </div>
+              <ProgressBar value={rollup.progress} />
+            </div>
+
+            <ul className="space-y-2">
+              {rollup.keyResults.map((keyResult) => (
+                <li key={keyResult.id} className="text-sm">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-slate-700">{keyResult.title}</span>
+                    <span className="text-xs text-slate-500 whitespace-nowrap">
+                      {keyResult.measure === GOAL_MEASURES.MANUAL
+                        ? `${keyResult.current} / ${keyResult.target} ${keyResult.unit || ''}`
+                        : t('keyResultTasksDone', keyResult.current, keyResult.target)}
+                      {keyResult.completedSince > 0 && ` (+${keyResult.completedSince})`}
+                      {keyResult.measure === GOAL_MEASURES.MANUAL && canCheckIn && !goal.isArchived && (
+                        <button
+                          type="button"
+                          onClick={() => setCheckIn({ goalId: goal.id, keyResultId: keyResult.id, value: String(keyResult.current), note: '' })}
+                          className="ml-2 text-blue-600 hover:underline"
+                        >
+                          {t('checkIn', 'Check in')}
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                  <ProgressBar value={keyResult.progress} className="bg-emerald-500" />
+
+                  {checkIn?.goalId === goal.id && checkIn.keyResultId === keyResult.id && (
+                    <form onSubmit={handleCheckIn} className="flex flex-wrap gap-2 items-center mt-2">
+                      <input
+                        type="number"
+                        step="any"
+                        value={checkIn.value}
+                        onChange={(e) => setCheckIn({ ...checkIn, value: e.target.value })}
+                        className="input w-28 text-sm"
+                        autoFocus
+                      />
+                      <input
+                        value={checkIn.note}
+                        onChange={(e) => setCheckIn({ ...checkIn, note: e.target.value })}
+                        placeholder={t('checkInNote', 'What changed? (optional)')}
+                        className="input text-sm flex-1 min-w-[10rem]"
+                      />
+                      <button type="submit" className="btn btn-primary text-sm" disabled={isSaving || checkIn.value === ''}>
+                        {isSaving ? t('saving') : t('save')}
+                      </button>
+                      <button type="button" onClick={() => setCheckIn(null)} className="btn btn-secondary text-sm">{t('cancel')}</button>
+                    </form>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {isExpanded && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 pt-2 border-t text-xs">
+                <div>
+                  <h4 className="font-medium text-slate-700 mb-1">{t('linkedTasks', 'Linked tasks')}</h4>
+                  {linkedTasks.length === 0 && <p className="text-slate-500">{t('noLinkedTasks', 'No tasks linked yet. Link tasks from the task form.')}</p>}
+                  <ul className="space-y-0.5">
+                    {linkedTasks.map((task) => (
+                      <li key={task.id} className="flex justify-between gap-2">
+                        <span className={task.status === STATUSES.COMPLETE ? 'text-slate-400 line-through' : 'text-slate-700'}>{task.title}</span>
+                        <span className="text-slate-500 whitespace-nowrap">
+                          {task.status === STATUSES.COMPLETE ? formatDateOnly(toSafeDate(task.completedAt)) : task.status}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <h4 className="font-medium text-slate-700 mb-1">{t('checkIns', 'Check-ins')}</h4>
+                  {!history[goal.id] && <p className="text-slate-500">{t('loading')}</p>}
+                  {history[goal.id]?.length === 0 && <p className="text-slate-500">{t('noCheckIns', 'No check-ins yet.')}</p>}
+                  <ul className="space-y-0.5">
+                    {(history[goal.id] || []).map((item) => (
+                      <li key={item.id} className="text-slate-600">
+                        {formatDateTime(item.createdAt)} · {goal.keyResults.find((keyResult) => keyResult.id === item.keyResultId)?.title || '—'}:
+                        {' '}{item.previousValue} → <strong>{item.value}</strong> · {item.createdByName}
+                        {item.note && <span className="block text-slate-500">{item.note}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {editing && (
+        <EditGoalModal
+          goal={editing.goal || null}
+          defaultDepartmentId={departmentId === 'all' ? null : departmentId}
+          currentUser={currentUser}
+          users={users}
+          departments={departments}
+          onClose={() => setEditing(null)}
+          onSaved={() => notify(t('goalSaved', 'Goal saved'), 'success')}
+          t={t}
+        />
+      )}
+    </div>
+  );
+}
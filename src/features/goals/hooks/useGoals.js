@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { subscribeGoals } from '../api/goalsApi';
+
+/**
+ * Every goal, archived ones included, kept up to date
+ * @returns {{goals: Array, isLoading: boolean}}
+ */
+export default function useGoals() {
+  const [state, setState] = useState({ goals: [], isLoading: true });
+
+  useEffect(() => subscribeGoals((goals) => setState({ goals, isLoading: false })), []);
+
+  return state;
+}
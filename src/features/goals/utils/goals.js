@@ -0,0 +1,239 @@
+import { STATUSES } from '../../../shared/constants.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+import { toSafeDate } from '../../../shared/utils/date.js';
+import { addDays, fromDateKey, isDateKey, toDateKey } from '../../../shared/utils/recurrence.js';
+
+/**
+ * Goals (OKRs)
+ *
+ * A goal (`goals/{id}`) is a company objective (`departmentId: null`) or a
+ * department's, with a period (`startDate`..`endDate`, date keys) and one or
+ * more key results. A key result is measured either by tasks (`measure:
+ * 'tasks'`, progress = completed linked tasks out of `targetValue`) or by
+ * manual check-ins (`measure: 'manual'`, progress from `startValue` to
+ * `targetValue`, the latest check-in is kept in `currentValue`). Tasks link
+ * to one key result with `goalId` and `keyResultId`.
+ */
+
+export const GOAL_MEASURES = {
+  TASKS: 'tasks',
+  MANUAL: 'manual',
+};
+
+export const GOAL_HEALTH = {
+  DONE: 'done',
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  OFF_TRACK: 'off_track',
+};
+
+// How far progress may trail the share of the period gone by
+const AT_RISK_LAG = 0.1;
+const OFF_TRACK_LAG = 0.25;
+
+const EXCLUDED_TASK_STATUSES = [STATUSES.DELETED, STATUSES.REJECTED];
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Tidy form values into goal content. Key results without an id get one.
+ * @param {Object} values
+ * @returns {Object}
+ * @throws {Error} When the goal is incomplete
+ */
+export function toGoalContent(values = {}) {
+  const title = (values.title || '').trim();
+  if (!title) throw new Error('Objective is required');
+  if (!isDateKey(values.startDate) || !isDateKey(values.endDate)) throw new Error('Start and end dates are required');
+  if (values.endDate < values.startDate) throw new Error('The end date is before the start date');
+
+  const keyResults = (values.keyResults || [])
+    .filter((keyResult) => (keyResult.title || '').trim())
+    .map((keyResult) => {
+      const measure = keyResult.measure === GOAL_MEASURES.MANUAL ? GOAL_MEASURES.MANUAL : GOAL_MEASURES.TASKS;
+      const startValue = measure === GOAL_MEASURES.MANUAL ? toNumber(keyResult.startValue) : 0;
+      const targetValue = toNumber(keyResult.targetValue);
+      if (measure === GOAL_MEASURES.TASKS && (!Number.isInteger(targetValue) || targetValue < 0)) {
+        throw new Error(`"${keyResult.title.trim()}": the number of tasks must be a whole number`);
+      }
+      if (measure === GOAL_MEASURES.MANUAL && targetValue === startValue) {
+        throw new Error(`"${keyResult.title.trim()}": the target must differ from the start value`);
+      }
+      return {
+        id: keyResult.id || crypto.randomUUID(),
+        title: keyResult.title.trim(),
+        measure,
+        startValue,
+        targetValue,
+        currentValue: measure === GOAL_MEASURES.MANUAL ? toNumber(keyResult.currentValue, startValue) : 0,
+        unit: measure === GOAL_MEASURES.MANUAL ? (keyResult.unit || '').trim() : '',
+      };
+    });
+  if (keyResults.length === 0) throw new Error('Add at least one key result');
+
+  return {
+    title,
+    description: (values.description || '').trim(),
+    departmentId: values.departmentId || null,
+    ownerId: values.ownerId || null,
+    startDate: values.startDate,
+    endDate: values.endDate,
+    keyResults,
+  };
+}
+
+/**
+ * Whether a user may create, edit or archive a goal: Management and Admin
+ * every goal, Heads their own departments' goals (not company goals)
+ * @param {Object} user
+ * @param {string|null} departmentId - null for a company goal
+ * @returns {boolean}
+ */
+export function canManageGoal(user, departmentId) {
+  if (!user) return false;
+  if (hasPermission(user.role, 'MANAGE_ALL_TASKS')) return true;
+  return !!departmentId && hasPermission(user.role, 'MANAGE_DEPARTMENT_TASKS') && !!user.departmentIds?.includes(departmentId);
+}
+
+/**
+ * Whether a user may record check-ins: the goal's managers and its owner
+ * @param {Object} user
+ * @param {Object} goal
+ * @returns {boolean}
+ */
+export function canCheckInGoal(user, goal) {
+  return !!user && (canManageGoal(user, goal.departmentId) || goal.ownerId === user.id);
+}
+
+/**
+ * Tasks linked to a goal, or to one of its key results
+ * @param {Array} tasks
+ * @param {string} goalId
+ * @param {string} [keyResultId]
+ * @returns {Array}
+ */
+export function getLinkedTasks(tasks = [], goalId, keyResultId = null) {
+  return tasks.filter((task) => task.goalId === goalId
+    && (!keyResultId || task.keyResultId === keyResultId)
+    && !EXCLUDED_TASK_STATUSES.includes(task.status));
+}
+
+/**
+ * @param {Object} keyResult
+ * @param {Array} linkedTasks - Tasks linked to this key result
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Count tasks completed from this time on as `completedSince`
+ * @returns {{current: number, target: number, progress: number, completedSince: number}} progress is 0..1
+ */
+export function getKeyResultProgress(keyResult, linkedTasks = [], { since = null } = {}) {
+  if (keyResult.measure === GOAL_MEASURES.MANUAL) {
+    const start = toNumber(keyResult.startValue);
+    const target = toNumber(keyResult.targetValue);
+    const current = toNumber(keyResult.currentValue, start);
+    return { current, target, progress: target === start ? 0 : clamp((current - start) / (target - start)), completedSince: 0 };
+  }
+
+  const completed = linkedTasks.filter((task) => task.status === STATUSES.COMPLETE);
+  // Without a set number, every linked task counts
+  const target = toNumber(keyResult.targetValue) || linkedTasks.length;
+  const completedSince = since
+    ? completed.filter((task) => (toSafeDate(task.completedAt) || 0) >= since).length
+    : 0;
+  return { current: completed.length, target, progress: target > 0 ? clamp(completed.length / target) : 0, completedSince };
+}
+
+/**
+ * Share of the goal's period gone by on a day
+ * @param {Object} goal
+ * @param {string} today - YYYY-MM-DD
+ * @returns {number} 0..1
+ */
+export function getElapsedShare(goal, today) {
+  const start = fromDateKey(goal.startDate).getTime();
+  const end = fromDateKey(addDays(goal.endDate, 1)).getTime();
+  const now = fromDateKey(addDays(today, 1)).getTime();
+  return end > start ? clamp((now - start) / (end - start)) : 1;
+}
+
+/**
+ * @param {number} progress - 0..1
+ * @param {number} elapsed - 0..1, see getElapsedShare
+ * @returns {string} One of GOAL_HEALTH
+ */
+export function getGoalHealth(progress, elapsed) {
+  if (progress >= 1) return GOAL_HEALTH.DONE;
+  if (progress >= elapsed - AT_RISK_LAG) return GOAL_HEALTH.ON_TRACK;
+  if (progress >= elapsed - OFF_TRACK_LAG) return GOAL_HEALTH.AT_RISK;
+  return GOAL_HEALTH.OFF_TRACK;
+}
+
+/**
+ * Roll a goal up from its key results: the goal's progress is the average of
+ * theirs. For weekly reviews, `since` counts the tasks completed recently.
+ * @param {Object} goal
+ * @param {Array} tasks - All loaded tasks
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD
+ * @param {Date} [options.since]
+ * @returns {Object} { progress, elapsed, health, linkedTaskCount, completedSince, keyResults: [{ ...keyResult, current, target, progress, completedSince, taskCount }] }
+ */
+export function getGoalProgress(goal, tasks = [], { today = toDateKey(new Date()), since = null } = {}) {
+  const linked = getLinkedTasks(tasks, goal.id);
+  const keyResults = (goal.keyResults || []).map((keyResult) => {
+    const keyResultTasks = linked.filter((task) => task.keyResultId === keyResult.id);
+    return { ...keyResult, ...getKeyResultProgress(keyResult, keyResultTasks, { since }), taskCount: keyResultTasks.length };
+  });
+  const progress = keyResults.length > 0
+    ? keyResults.reduce((sum, keyResult) => sum + keyResult.progress, 0) / keyResults.length
+    : 0;
+  const elapsed = getElapsedShare(goal, today);
+
+  return {
+    progress,
+    elapsed,
+    health: getGoalHealth(progress, elapsed),
+    linkedTaskCount: linked.length,
+    completedSince: keyResults.reduce((sum, keyResult) => sum + keyResult.completedSince, 0),
+    keyResults,
+  };
+}
+
+/**
+ * Goals to show for a department: its own and the company's. Company goals
+ * first, then by end date.
+ * @param {Array} goals
+ * @param {Object} [options]
+ * @param {string} [options.departmentId] - 'all' or empty for every goal
+ * @param {boolean} [options.includeArchived]
+ * @returns {Array}
+ */
+export function getVisibleGoals(goals = [], { departmentId = 'all', includeArchived = false } = {}) {
+  return goals
+    .filter((goal) => includeArchived || !goal.isArchived)
+    .filter((goal) => !departmentId || departmentId === 'all' || !goal.departmentId || goal.departmentId === departmentId)
+    .sort((a, b) => Number(!!a.departmentId) - Number(!!b.departmentId)
+      || (a.endDate || '').localeCompare(b.endDate || '')
+      || (a.title || '').localeCompare(b.title || ''));
+}
+
+/**
+ * Key results a task of a department can be linked to
+ * @param {Array} goals
+ * @param {string} departmentId
+ * @returns {Array<{goalId: string, goalTitle: string, keyResultId: string, keyResultTitle: string}>}
+ */
+export function getLinkableKeyResults(goals = [], departmentId) {
+  return getVisibleGoals(goals, { departmentId: departmentId || null })
+    .filter((goal) => departmentId || !goal.departmentId)
+    .flatMap((goal) => (goal.keyResults || []).map((keyResult) => ({
+      goalId: goal.id,
+      goalTitle: goal.title,
+      keyResultId: keyResult.id,
+      keyResultTitle: keyResult.title,
+    })));
+}
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { getPointsBreakdown } from '../../../shared/utils/pointsManagement';
 import { getAvailableProducts, calculateCartTotal, purchaseVouchers, getUserVouchers, getUserVoucherStats, getAllRedeemedVouchers } from '../../../shared/utils/voucherManagement';
 import { addVoucherProduct, updateVoucherProduct, deleteVoucherProduct, getAllVoucherProducts } from '../../../shared/utils/voucherProducts';
-import { ROLES } from '../../../shared/constants';
+import { hasPermission } from '../../../shared/utils/permissions.js';
 import Section from '../../../shared/components/Section';
 import { logPwaEvent } from '../../../shared/utils/pwaAnalytics';
 
@@ -31,7 +31,7 @@ const MarketTab = ({ currentUser, t }) => {
     return calculateCartTotal(cart, availableProducts);
   }, [cart, availableProducts]);
 
-  const isManagement = currentUser?.role === ROLES.MANAGEMENT || currentUser?.role === ROLES.ADMIN;
+  const isManagement = hasPermission(currentUser?.role, 'MANAGE_VOUCHER_PRODUCTS');
 
   // Load products on mount and when tab changes
   useEffect(() => {
@@ -182,7 +182,10 @@ const MarketTab = ({ currentUser, t }) => {
     try {
       const result = await purchaseVouchers(currentUser.id, currentUser.name, cart);
       
-      if (result.success) {
+      if (result.success && result.pendingApprovalId) {
+        setSuccessMessage(t('voucherApprovalPending', result.totalPoints));
+        setCart([]);
+      } else if (result.success) {
         setSuccessMessage(`Successfully purchased ${result.vouchersCreated} voucher(s)!`);
         setCart([]);
         // Log voucher purchase
@@ -0,0 +1,129 @@
+import { projectsRepository } from '../../../shared/data/projectsRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
+import { logActivity } from '../../../shared/utils/activityLogger';
+import { toDateKey } from '../../../shared/utils/recurrence';
+import { toProjectContent, canCreateProject, canManageProject, buildProjectBaseline } from '../utils/projects';
+import { fetchLinkedTasks } from '../../tasks/api/taskApi';
+
+// Projects (see utils/projects.js). Firestore rules allow the same writers as
+// canCreateProject and canManageProject.
+
+const logProjectActivity = async (action, projectId, project, currentUser, details = {}) => {
+  try {
+    await logActivity(action, 'project', projectId, project.name, currentUser.id, currentUser.name, {
+      departmentIds: project.departmentIds || [],
+      ...details,
+    });
+  } catch (error) {
+    console.warn(`Failed to log ${action} activity:`, error);
+  }
+};
+
+const assertCanManage = (currentUser, project) => {
+  if (!canManageProject(currentUser, project)) {
+    throw new Error('Only the project owner, its departments\' heads and Management can change this project');
+  }
+};
+
+/**
+ * @param {Function} onChange - Called with every project, archived ones included
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeProjects = (onChange) => {
+  return projectsRepository.subscribe(null, onChange, (error) => {
+    console.warn('Projects listener error:', error);
+  });
+};
+
+/**
+ * @param {Object} values - Project form values
+ * @param {Object} currentUser
+ * @returns {Promise<string>} The new project id
+ */
+export const createProject = async (values, currentUser) => {
+  const content = toProjectContent(values);
+  if (!canCreateProject(currentUser, content.departmentIds)) {
+    throw new Error('You can only create projects that include one of your departments');
+  }
+  const project = {
+    ...content,
+    baseline: null,
+    isArchived: false,
+    createdById: currentUser.id,
+    createdByName: currentUser.name,
+    createdAt: serverTimestamp(),
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  };
+  const projectId = await projectsRepository.add(project);
+  await logProjectActivity('create_project', projectId, project, currentUser);
+  return projectId;
+};
+
+/**
+ * Save edited project content. The baseline is kept.
+ * @param {Object} project - The project as loaded
+ * @param {Object} values - Project form values
+ * @param {Object} currentUser
+ */
+export const updateProject = async (project, values, currentUser) => {
+  assertCanManage(currentUser, project);
+  const content = toProjectContent(values);
+  if (!canManageProject(currentUser, { ...project, ...content })) {
+    throw new Error('You would no longer be able to manage this project');
+  }
+  await projectsRepository.update(project.id, {
+    ...content,
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  });
+  await logProjectActivity('update_project', project.id, { ...project, ...content }, currentUser);
+};
+
+/**
+ * @param {Object} project
+ * @param {boolean} isArchived
+ * @param {Object} currentUser
+ */
+export const setProjectArchived = async (project, isArchived, currentUser) => {
+  assertCanManage(currentUser, project);
+  await projectsRepository.update(project.id, {
+    isArchived,
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  });
+  await logProjectActivity(isArchived ? 'archive_project' : 'unarchive_project', project.id, project, currentUser);
+};
+
+/**
+ * Save the current dates of the project and its tasks as the baseline that
+ * slippage is measured against, replacing any earlier one. Every task of the
+ * project is read, not only those loaded in the task list.
+ * @param {Object} project
+ * @param {Object} currentUser
+ * @returns {Promise<Object>} The baseline saved
+ */
+export const saveProjectBaseline = async (project, currentUser) => {
+  assertCanManage(currentUser, project);
+  const tasks = await fetchLinkedTasks('projectId', [project.id]);
+  const baseline = {
+    ...buildProjectBaseline(project, tasks, toDateKey(new Date())),
+    savedAt: serverTimestamp(),
+    savedById: currentUser.id,
+    savedByName: currentUser.name,
+  };
+  await projectsRepository.update(project.id, {
+    baseline,
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  });
+  await logProjectActivity('baseline_project', project.id, project, currentUser, {
+    taskCount: Object.keys(baseline.tasks).length,
+    replacedBaseline: !!project.baseline,
+  });
+  return baseline;
+};
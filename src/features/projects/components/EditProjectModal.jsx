@@ -0,0 +1,130 @@
+import React, { useMemo, useState } from 'react';
+import { toDateKey, addDays } from '../../../shared/utils/recurrence';
+import { createProject, updateProject } from '../api/projectsApi';
+
+/**
+ * EditProjectModal - Create a project, or edit one: name, owner,
+ * departments, members and period.
+ */
+export default function EditProjectModal({ project = null, defaultDepartmentIds = [], currentUser, users, departments, onClose, onSaved, t }) {
+  const [name, setName] = useState(project?.name || '');
+  const [description, setDescription] = useState(project?.description || '');
+  const [ownerId, setOwnerId] = useState(project?.ownerId || currentUser.id);
+  const [departmentIds, setDepartmentIds] = useState(project?.departmentIds || defaultDepartmentIds);
+  const [memberIds, setMemberIds] = useState(project?.memberIds || []);
+  const [startDate, setStartDate] = useState(project?.startDate || toDateKey(new Date()));
+  const [endDate, setEndDate] = useState(project?.endDate || addDays(toDateKey(new Date()), 30));
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Members and owner come from the project's departments
+  const candidates = useMemo(
+    () => users
+      .filter((user) => user.departmentIds?.some((id) => departmentIds.includes(id)) || memberIds.includes(user.id) || user.id === ownerId)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    [users, departmentIds, memberIds, ownerId]
+  );
+
+  const toggle = (setter, id) => setter((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const values = { name, description, ownerId, departmentIds, memberIds, startDate, endDate };
+    setIsSaving(true);
+    setError('');
+    try {
+      if (project) {
+        await updateProject(project, values, currentUser);
+      } else {
+        await createProject(values, currentUser);
+      }
+      onSaved?.();
+      onClose();
+    } catch (err) {
+      console.error('Error saving project:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between flex-shrink-0">
+          <h3 className="text-lg font-semibold text-gray-900">{project ? t('editProject', 'Edit project') : t('newProject', 'New project')}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+        </div>
+
+        <form onSubmit={handleSave} className="p-6 flex-1 overflow-y-auto space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('projectName', 'Project name')}</label>
+            <input value={name} onChange={(e) => setName(e.target.value)} className="input" />
+          </div>
+
+          <textarea value={description} onChange={(e) => setDescription(e.target.value)} placeholder={t('projectDescription', 'Scope and deliverables (optional)')} className="input text-sm" rows="2" />
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('projectOwner', 'Owner')}</label>
+              <select value={ownerId || ''} onChange={(e) => setOwnerId(e.target.value || null)} className="select">
+                <option value="">—</option>
+                {candidates.map((user) => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('projectStart', 'Starts')}</label>
+              <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="input" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('projectEnd', 'Ends')}</label>
+              <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="input" />
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-slate-700 mb-1">{t('projectDepartments', 'Departments')}</h4>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {departments.map((department) => (
+                <label key={department.id} className="flex items-center text-sm text-slate-700">
+                  <input type="checkbox" checked={departmentIds.includes(department.id)} onChange={() => toggle(setDepartmentIds, department.id)} className="mr-2" />
+                  {department.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-slate-700 mb-1">{t('projectMembers', 'Members')}</h4>
+            {candidates.length === 0 && <p className="text-xs text-slate-500">{t('projectMembersHelp', 'Pick the departments first.')}</p>}
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-1 max-h-40 overflow-y-auto">
+              {candidates.map((user) => (
+                <label key={user.id} className="flex items-center text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={memberIds.includes(user.id) || user.id === ownerId}
+                    disabled={user.id === ownerId}
+                    onChange={() => toggle(setMemberIds, user.id)}
+                    className="mr-2"
+                  />
+                  {user.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {error && <div className="text-red-600 text-sm bg-red-50 p-2 rounded border border-red-200">{error}</div>}
+        </form>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3 flex-shrink-0">
+          <button type="button" onClick={onClose} className="btn btn-secondary">{t('cancel')}</button>
+          <button type="button" onClick={handleSave} className="btn btn-success" disabled={isSaving}>
+            {isSaving ? t('saving') : t('saveProject', 'Save project')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React, { useMemo } from 'react';
+import useProjects from '../hooks/useProjects';
+import { getLinkableProjects } from '../utils/projects';
+
+/**
+ * ProjectPicker - Puts a task in one of its department's open projects.
+ * Hidden while there is nothing to pick.
+ */
+export default function ProjectPicker({ departmentId, projectId = null, onChange, disabled = false, t }) {
+  const { projects } = useProjects();
+  const options = useMemo(() => getLinkableProjects(projects, departmentId), [projects, departmentId]);
+  const isCurrentListed = !projectId || options.some((project) => project.id === projectId);
+
+  if (options.length === 0 && !projectId) return null;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-1">{t('project', 'Project')}</label>
+      <select value={projectId || ''} onChange={(e) => onChange(e.target.value || null)} disabled={disabled} className="select">
+        <option value="">{t('noProject', '— no project —')}</option>
+        {!isCurrentListed && (
+          <option value={projectId}>{projects.find((project) => project.id === projectId)?.name || t('projectNotAvailable', 'Archived or other department\'s project')}</option>
+        )}
+        {options.map((project) => (
+          <option key={project.id} value={project.id}>{project.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
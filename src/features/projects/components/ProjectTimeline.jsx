@@ -0,0 +1,208 @@
+import React, { useMemo } from 'react';
+import { STATUSES } from '../../../shared/constants';
+import { formatDateOnly } from '../../../shared/utils/date';
+import { addDays, fromDateKey, toDateKey } from '../../../shared/utils/recurrence';
+import { buildProjectTimeline, daysBetween } from '../utils/projects';
+
+const LABEL_WIDTH = 220;
+const ROW_HEIGHT = 34;
+const HEADER_HEIGHT = 28;
+const BAR_HEIGHT = 14;
+const BASELINE_HEIGHT = 4;
+
+const COLORS = {
+  complete: '#22c55e',
+  ongoing: '#3b82f6',
+  pending: '#94a3b8',
+  overrun: '#ef4444',
+  baseline: '#cbd5e1',
+  link: '#64748b',
+  today: '#f97316',
+  period: '#eff6ff',
+};
+
+// Narrower days for longer projects, so the timeline stays readable
+const getDayWidth = (days) => {
+  if (days <= 45) return 24;
+  if (days <= 120) return 10;
+  return 4;
+};
+
+const weekdayOf = (key) => new Date(`${key}T00:00:00Z`).getUTCDay();
+
+const formatKey = (key) => formatDateOnly(fromDateKey(key));
+
+/**
+ * ProjectTimeline - Gantt chart of a project's tasks: actual bars over their
+ * baseline, overdue overrun in red, and arrows from each blocker to the
+ * tasks waiting on it.
+ */
+export default function ProjectTimeline({ project, tasks, users, t }) {
+  const today = toDateKey(new Date());
+  const timeline = useMemo(() => buildProjectTimeline(project, tasks, { today }), [project, tasks, today]);
+  const { rows, links, range, summary } = timeline;
+
+  const dayWidth = getDayWidth(range.days);
+  const width = range.days * dayWidth;
+  const height = HEADER_HEIGHT + rows.length * ROW_HEIGHT;
+  const x = (key) => daysBetween(range.startDate, key) * dayWidth;
+  const rowTop = (index) => HEADER_HEIGHT + index * ROW_HEIGHT;
+  const rowIndex = new Map(rows.map((row, index) => [row.task.id, index]));
+
+  const getUserNames = (task) => (task.assignedUserIds || [])
+    .map((id) => users.find((user) => user.id === id)?.name)
+    .filter(Boolean)
+    .join(', ');
+
+  // Month labels, and a tick each Monday when days are wide enough to tell apart
+  const ticks = useMemo(() => Array.from({ length: range.days }, (_, index) => addDays(range.startDate, index))
+    .filter((key, index) => index === 0 || key.endsWith('-01') || (dayWidth >= 10 && weekdayOf(key) === 1)), [range.startDate, range.days, dayWidth]);
+
+  const barColor = (row) => {
+    if (row.isComplete) return COLORS.complete;
+    return row.task.status === STATUSES.ONGOING ? COLORS.ongoing : COLORS.pending;
+  };
+
+  const linkPath = ({ fromId, toId }) => {
+    const from = rows[rowIndex.get(fromId)];
+    const to = rows[rowIndex.get(toId)];
+    const x1 = x(from.endDate) + dayWidth;
+    const y1 = rowTop(rowIndex.get(fromId)) + ROW_HEIGHT / 2;
+    const x2 = x(to.startDate);
+    const y2 = rowTop(rowIndex.get(toId)) + ROW_HEIGHT / 2;
+    if (x2 >= x1 + 8) return `M ${x1} ${y1} H ${x1 + 4} V ${y2} H ${x2}`;
+    // The dependent starts before its blocker ends: go round below the blocker
+    const detourY = y1 + (y2 > y1 ? ROW_HEIGHT / 2 : -ROW_HEIGHT / 2);
+    return `M ${x1} ${y1} H ${x1 + 4} V ${detourY} H ${x2 - 6} V ${y2} H ${x2}`;
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2 text-xs">
+        <span className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-700">{t('projectTaskSummary', summary.taskCount, summary.completedCount)}</span>
+        {summary.overdueCount > 0 && (
+          <span className="px-2 py-0.5 rounded-full bg-red-100 text-red-800">{t('projectOverdueSummary', summary.overdueCount)}</span>
+        )}
+        {project.baseline ? (
+          <span className={`px-2 py-0.5 rounded-full ${summary.slippedCount > 0 ? 'bg-amber-100 text-amber-800' : 'bg-green-100 text-green-800'}`}>
+            {t('projectSlipSummary', summary.slippedCount, summary.maxSlipDays)}
+          </span>
+        ) : (
+          <span className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-500">{t('noBaseline', 'No baseline saved yet')}</span>
+        )}
+        <span className={`px-2 py-0.5 rounded-full ${summary.endSlipDays > 0 ? 'bg-red-100 text-red-800' : 'bg-slate-100 text-slate-700'}`}>
+          {t('projectedEnd', formatKey(summary.projectedEndDate), summary.endSlipDays)}
+        </span>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-4">{t('noProjectTasks', 'No tasks in this project yet. Pick the project in the task form.')}</p>
+      ) : (
+        <div className="flex border rounded bg-white overflow-hidden">
+          <div className="flex-shrink-0 border-r" style={{ width: LABEL_WIDTH }}>
+            <div className="text-xs font-medium text-slate-500 px-2 flex items-center border-b" style={{ height: HEADER_HEIGHT }}>{t('ganttTask', 'Task')}</div>
+            {rows.map((row) => (
+              <div key={row.task.id} className="px-2 flex flex-col justify-center border-b border-slate-100" style={{ height: ROW_HEIGHT }}>
+                <span className={`text-xs truncate ${row.isComplete ? 'text-slate-400' : 'text-slate-800'}`} title={row.task.title}>{row.task.title}</span>
+                <span className="text-[10px] text-slate-500 truncate">{getUserNames(row.task)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto flex-1">
+            <svg width={width + 48} height={height} className="block">
+              <defs>
+                <marker id={`arrow-${project.id}`} markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                  <path d="M0,0 L6,3 L0,6 Z" fill={COLORS.link} />
+                </marker>
+              </defs>
+
+              {/* Project period */}
+              <rect x={x(project.startDate)} y={HEADER_HEIGHT} width={(daysBetween(project.startDate, project.endDate) + 1) * dayWidth} height={height - HEADER_HEIGHT} fill={COLORS.period} />
+
+              {ticks.map((key) => (
+                <g key={key}>
+                  <line x1={x(key)} x2={x(key)} y1={HEADER_HEIGHT - 6} y2={height} stroke="#e2e8f0" />
+                  <text x={x(key) + 2} y={HEADER_HEIGHT - 10} fontSize="10" fill="#64748b">
+                    {key.endsWith('-01') || key === range.startDate ? formatKey(key) : key.slice(8)}
+                  </text>
+                </g>
+              ))}
+
+              {today >= range.startDate && today <= range.endDate && (
+                <line x1={x(today) + dayWidth / 2} x2={x(today) + dayWidth / 2} y1={HEADER_HEIGHT - 4} y2={height} stroke={COLORS.today} strokeDasharray="3 2">
+                  <title>{t('ganttToday', 'Today')}</title>
+                </line>
+              )}
+
+              {rows.map((row, index) => {
+                const top = rowTop(index);
+                const barY = top + (ROW_HEIGHT - BAR_HEIGHT) / 2 - 2;
+                const barEnd = x(row.endDate) + dayWidth;
+                const plannedEnd = Math.min(barEnd, x(row.plannedEndDate) + dayWidth);
+                return (
+                  <g key={row.task.id}>
+                    {row.baseline && (
+                      <rect
+                        x={x(row.baseline.startDate)}
+                        y={barY + BAR_HEIGHT + 2}
+                        width={(daysBetween(row.baseline.startDate, row.baseline.endDate) + 1) * dayWidth}
+                        height={BASELINE_HEIGHT}
+                        fill={COLORS.baseline}
+                      >
+                        <title>{`${t('baseline', 'Baseline')}: ${formatKey(row.baseline.startDate)} – ${formatKey(row.baseline.endDate)}`}</title>
+                      </rect>
+                    )}
+                    <rect x={x(row.startDate)} y={barY} width={Math.max(plannedEnd - x(row.startDate), 2)} height={BAR_HEIGHT} rx="3" fill={barColor(row)}>
+                      <title>{`${row.task.title}: ${formatKey(row.startDate)} – ${formatKey(row.endDate)} (${row.task.status})`}</title>
+                    </rect>
+                    {row.isOverdue && barEnd > plannedEnd && (
+                      <rect x={plannedEnd} y={barY} width={barEnd - plannedEnd} height={BAR_HEIGHT} rx="3" fill={COLORS.overrun}>
+                        <title>{t('overdueSince', formatKey(row.plannedEndDate))}</title>
+                      </rect>
+                    )}
+                    {row.slipDays !== null && row.slipDays !== 0 && (
+                      <text x={barEnd + 4} y={barY + BAR_HEIGHT - 3} fontSize="10" fill={row.slipDays > 0 ? '#b91c1c' : '#15803d'}>
+                        {row.slipDays > 0 ? `+${row.slipDays}d` : `${row.slipDays}d`}
+                      </text>
+                    )}
+                    {project.baseline && !row.baseline && (
+                      <text x={barEnd + 4} y={barY + BAR_HEIGHT - 3} fontSize="10" fill="#64748b">{t('notInBaseline', 'new')}</text>
+                    )}
+                  </g>
+                );
+              })}
+
+              {links.map((link) => (
+                <path
+                  key={`${link.fromId}-${link.toId}`}
+                  d={linkPath(link)}
+                  fill="none"
+                  stroke={COLORS.link}
+                  strokeWidth="1.2"
+                  markerEnd={`url(#arrow-${project.id})`}
+                />
+              ))}
+            </svg>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 text-[11px] text-slate-600">
+        {[
+          [COLORS.pending, t('pending')],
+          [COLORS.ongoing, t('ongoing')],
+          [COLORS.complete, t('ganttComplete', 'Complete')],
+          [COLORS.overrun, t('ganttOverdue', 'Overdue')],
+          [COLORS.baseline, t('baseline', 'Baseline')],
+        ].map(([color, label]) => (
+          <span key={label} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-2 rounded-sm" style={{ backgroundColor: color }} />
+            {label}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">→ {t('dependencyArrow', 'waits on')}</span>
+      </div>
+    </div>
+  );
+}
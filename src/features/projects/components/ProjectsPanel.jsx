@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { formatDateOnly, formatDateTime } from '../../../shared/utils/date';
+import { fromDateKey } from '../../../shared/utils/recurrence';
+import useProjects from '../hooks/useProjects';
+import useLinkedTasks from '../../tasks/hooks/useLinkedTasks';
+import { setProjectArchived, saveProjectBaseline } from '../api/projectsApi';
+import { canCreateProject, canManageProject, getVisibleProjects } from '../utils/projects';
+import EditProjectModal from './EditProjectModal';
+import ProjectTimeline from './ProjectTimeline';
+
+/**
+ * ProjectsPanel - Pick a project to see its timeline; its managers edit it,
+ * archive it and save its baseline here. The project's tasks are read by
+ * project, not taken from the task list.
+ */
+export default function ProjectsPanel({ currentUser, users, departments, departmentIds = null, t, onTaskFeedback }) {
+  const { projects, isLoading } = useProjects();
+  const [showArchived, setShowArchived] = useState(false);
+  const [selectedId, setSelectedId] = useState('');
+  const [editing, setEditing] = useState(null); // { project } or {} for a new one
+  const [isSaving, setIsSaving] = useState(false);
+
+  const visible = getVisibleProjects(projects, { departmentIds, memberId: currentUser.id, includeArchived: showArchived });
+  const selected = visible.find((project) => project.id === selectedId) || visible[0] || null;
+  const canCreate = canCreateProject(currentUser, departmentIds || currentUser.departmentIds || []);
+  const canManage = canManageProject(currentUser, selected);
+  const { tasks, isLoading: isLoadingTasks } = useLinkedTasks('projectId', selected ? [selected.id] : []);
+
+  const getUserName = (id) => users.find((user) => user.id === id)?.name || '';
+  const getDepartmentNames = (ids = []) => ids.map((id) => departments.find((d) => d.id === id)?.name || id).join(', ');
+  const notify = (message, type) => (onTaskFeedback ? onTaskFeedback(message, type) : type === 'error' && alert(message));
+
+  const handleToggleArchived = async () => {
+    try {
+      await setProjectArchived(selected, !selected.isArchived, currentUser);
+    } catch (error) {
+      console.error('Error archiving project:', error);
+      notify(error.message, 'error');
+    }
+  };
+
+  const handleSaveBaseline = async () => {
+    if (selected.baseline && !window.confirm(t('replaceBaselineConfirm', 'Replace the saved baseline with today\'s dates?'))) return;
+    setIsSaving(true);
+    try {
+      await saveProjectBaseline(selected, currentUser);
+      notify(t('baselineSaved', 'Baseline saved'), 'success');
+    } catch (error) {
+      console.error('Error saving project baseline:', error);
+      notify(error.message, 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading || isLoadingTasks) {
+    return <p className="text-sm text-slate-500 text-center py-4">{t('loading')}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-3">
+          {visible.length > 0 && (
+            <select value={selected?.id || ''} onChange={(e) => setSelectedId(e.target.value)} className="select text-sm w-auto">
+              {visible.map((project) => (
+                <option key={project.id} value={project.id}>{project.name}{project.isArchived ? ` (${t('archived', 'archived')})` : ''}</option>
+              ))}
+            </select>
+          )}
+          <label className="flex items-center text-sm text-slate-600">
+            <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-2" />
+            {t('showArchivedProjects', 'Show archived')}
+          </label>
+        </div>
+        {canCreate && (
+          <button type="button" onClick={() => setEditing({})} className="btn btn-secondary text-sm">
+            + {t('newProject', 'New project')}
+          </button>
+        )}
+      </div>
+
+      {!selected && (
+        <p className="text-sm text-slate-500 text-center py-4">{t('noProjects', 'No projects yet.')}</p>
+      )}
+
+      {selected && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-start justify-between gap-2">
+            <div className="min-w-0">
+              <div className="font-semibold text-slate-800">📁 {selected.name}</div>
+              <div className="text-xs text-slate-500">
+                {getDepartmentNames(selected.departmentIds)} · {formatDateOnly(fromDateKey(selected.startDate))} – {formatDateOnly(fromDateKey(selected.endDate))}
+                {selected.ownerId && ` · ${t('projectOwner', 'Owner')}: ${getUserName(selected.ownerId)}`}
+                {` · ${t('projectMemberCount', (selected.memberIds || []).length)}`}
+              </div>
+              {selected.description && <p className="text-sm text-slate-600 mt-1">{selected.description}</p>}
+              {selected.baseline && (
+                <div className="text-xs text-slate-500 mt-1">
+                  {t('baselineSavedBy', formatDateTime(selected.baseline.savedAt), selected.baseline.savedByName || '')}
+                </div>
+              )}
+            </div>
+            {canManage && (
+              <div className="flex gap-2 text-sm flex-shrink-0">
+                <button type="button" onClick={handleSaveBaseline} disabled={isSaving || selected.isArchived} className="text-blue-600 hover:underline disabled:opacity-50">
+                  {isSaving ? t('saving') : t('saveBaseline', 'Save baseline')}
+                </button>
+                <button type="button" onClick={() => setEditing({ project: selected })} className="text-blue-600 hover:underline">{t('edit')}</button>
+                <button type="button" onClick={handleToggleArchived} className="text-slate-600 hover:underline">
+                  {selected.isArchived ? t('unarchive', 'Unarchive') : t('archive', 'Archive')}
+                </button>
+              </div>
+            )}
+          </div>
+
+          <ProjectTimeline project={selected} tasks={tasks} users={users} t={t} />
+        </div>
+      )}
+
+      {editing && (
+        <EditProjectModal
+          project={editing.project || null}
+          defaultDepartmentIds={(departmentIds || currentUser.departmentIds || []).slice(0, 1)}
+          currentUser={currentUser}
+          users={users}
+          departments={departments}
+          onClose={() => setEditing(null)}
+          onSaved={() => notify(t('projectSaved', 'Project saved'), 'success')}
+          t={t}
+        />
+      )}
+    </div>
+  );
+}
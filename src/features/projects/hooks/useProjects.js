@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { subscribeProjects } from '../api/projectsApi';
+
+/**
+ * Every project, archived ones included, kept up to date
+ * @returns {{projects: Array, isLoading: boolean}}
+ */
+export default function useProjects() {
+  const [state, setState] = useState({ projects: [], isLoading: true });
+
+  useEffect(() => subscribeProjects((projects) => setState({ projects, isLoading: false })), []);
+
+  return state;
+}
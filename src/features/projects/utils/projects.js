@@ -0,0 +1,201 @@
+import { STATUSES } from '../../../shared/constants.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+import { fromDateKey, isDateKey, toDateKey } from '../../../shared/utils/recurrence.js';
+import { getBlockerIds } from '../../tasks/utils/taskDependencies.js';
+
+/**
+ * Projects
+ *
+ * A project (`projects/{id}`) has an owner, one or more departments, members
+ * and a period (`startDate`..`endDate`, date keys). Tasks belong to a project
+ * through `projectId`. The timeline draws each task from `startedAt` (or
+ * `createdAt` while pending) to `completedAt`, or to `targetDate` while open,
+ * stretched to today once overdue. Saving a baseline snapshots those dates in
+ * `project.baseline`; slippage is how far a task's end has moved since.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXCLUDED_TASK_STATUSES = [STATUSES.DELETED, STATUSES.REJECTED];
+
+/**
+ * Whole days from one date key to another
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns {number} Negative when toKey is earlier
+ */
+export const daysBetween = (fromKey, toKey) => Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / DAY_MS);
+
+const minKey = (keys) => keys.filter(Boolean).reduce((min, key) => (!min || key < min ? key : min), null);
+const maxKey = (keys) => keys.filter(Boolean).reduce((max, key) => (!max || key > max ? key : max), null);
+
+/**
+ * Tidy form values into project content
+ * @param {Object} values
+ * @returns {Object}
+ * @throws {Error} When the project is incomplete
+ */
+export function toProjectContent(values = {}) {
+  const name = (values.name || '').trim();
+  if (!name) throw new Error('Project name is required');
+  const departmentIds = [...new Set(values.departmentIds || [])];
+  if (departmentIds.length === 0) throw new Error('Select at least one department');
+  if (!isDateKey(values.startDate) || !isDateKey(values.endDate)) throw new Error('Start and end dates are required');
+  if (values.endDate < values.startDate) throw new Error('The end date is before the start date');
+
+  const ownerId = values.ownerId || null;
+  return {
+    name,
+    description: (values.description || '').trim(),
+    ownerId,
+    departmentIds,
+    memberIds: [...new Set([...(values.memberIds || []), ...(ownerId ? [ownerId] : [])])],
+    startDate: values.startDate,
+    endDate: values.endDate,
+  };
+}
+
+/**
+ * Whether a user may create a project for these departments: Management and
+ * Admin any, Heads only when one of them is their own
+ * @param {Object} user
+ * @param {Array<string>} departmentIds
+ * @returns {boolean}
+ */
+export function canCreateProject(user, departmentIds = []) {
+  if (!user) return false;
+  if (hasPermission(user.role, 'MANAGE_ALL_TASKS')) return true;
+  return hasPermission(user.role, 'MANAGE_DEPARTMENT_TASKS')
+    && departmentIds.some((id) => user.departmentIds?.includes(id));
+}
+
+/**
+ * Whether a user may edit a project, archive it or save its baseline: its
+ * owner, Heads of one of its departments, Management and Admin
+ * @param {Object} user
+ * @param {Object} project
+ * @returns {boolean}
+ */
+export function canManageProject(user, project) {
+  if (!user || !project) return false;
+  return project.ownerId === user.id || canCreateProject(user, project.departmentIds || []);
+}
+
+/**
+ * Tasks of a project, leaving out deleted and rejected ones
+ * @param {Array} tasks
+ * @param {string} projectId
+ * @returns {Array}
+ */
+export function getProjectTasks(tasks = [], projectId) {
+  return tasks.filter((task) => task.projectId === projectId && !EXCLUDED_TASK_STATUSES.includes(task.status));
+}
+
+/**
+ * Where a task sits on the timeline
+ * @param {Object} task
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{startDate: string, plannedEndDate: string, endDate: string, isComplete: boolean, isOverdue: boolean}}
+ */
+export function getTaskSpan(task, today) {
+  const isComplete = task.status === STATUSES.COMPLETE;
+  const startDate = toDateKey(task.startedAt || task.createdAt) || today;
+  const plannedEndDate = maxKey([startDate, toDateKey(task.targetDate)]);
+  const completedDate = isComplete ? toDateKey(task.completedAt) : null;
+  const isOverdue = !isComplete && plannedEndDate < today;
+  const endDate = completedDate ? maxKey([startDate, completedDate]) : (isOverdue ? today : plannedEndDate);
+  return { startDate, plannedEndDate, endDate, isComplete, isOverdue };
+}
+
+/**
+ * Snapshot of the project's and its tasks' dates to measure slippage against
+ * @param {Object} project
+ * @param {Array} tasks - Tasks; only the project's are used
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{startDate: string, endDate: string, tasks: Object<string, {startDate: string, endDate: string}>}}
+ */
+export function buildProjectBaseline(project, tasks, today) {
+  const entries = getProjectTasks(tasks, project.id).map((task) => {
+    const span = getTaskSpan(task, today);
+    // The plan, not today's overrun
+    return [task.id, { startDate: span.startDate, endDate: span.isComplete ? span.endDate : span.plannedEndDate }];
+  });
+  return { startDate: project.startDate, endDate: project.endDate, tasks: Object.fromEntries(entries) };
+}
+
+/**
+ * Rows, dependency links and date range of a project's timeline
+ * @param {Object} project
+ * @param {Array} tasks - Tasks; only the project's are used, so blockers outside it are left out
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD
+ * @returns {Object} { rows: [{ task, startDate, endDate, plannedEndDate, isComplete, isOverdue, baseline, slipDays }], links: [{ fromId, toId }], range: { startDate, endDate, days }, summary }
+ */
+export function buildProjectTimeline(project, tasks = [], { today = toDateKey(new Date()) } = {}) {
+  const baselineTasks = project.baseline?.tasks || {};
+  const rows = getProjectTasks(tasks, project.id)
+    .map((task) => {
+      const span = getTaskSpan(task, today);
+      const baseline = baselineTasks[task.id] || null;
+      return { task, ...span, baseline, slipDays: baseline ? daysBetween(baseline.endDate, span.endDate) : null };
+    })
+    .sort((a, b) => a.startDate.localeCompare(b.startDate)
+      || a.endDate.localeCompare(b.endDate)
+      || (a.task.title || '').localeCompare(b.task.title || ''));
+
+  const rowIds = new Set(rows.map((row) => row.task.id));
+  const links = rows.flatMap((row) => getBlockerIds(row.task.id, tasks)
+    .filter((id) => rowIds.has(id))
+    .map((id) => ({ fromId: id, toId: row.task.id })));
+
+  const startDate = minKey([project.startDate, project.baseline?.startDate, ...rows.flatMap((row) => [row.startDate, row.baseline?.startDate])]);
+  const endDate = maxKey([project.endDate, project.baseline?.endDate, ...rows.flatMap((row) => [row.endDate, row.baseline?.endDate])]);
+  const projectedEndDate = maxKey([...rows.map((row) => row.endDate)]) || project.endDate;
+  const slipped = rows.filter((row) => row.slipDays > 0);
+
+  return {
+    rows,
+    links,
+    range: { startDate, endDate, days: daysBetween(startDate, endDate) + 1 },
+    summary: {
+      taskCount: rows.length,
+      completedCount: rows.filter((row) => row.isComplete).length,
+      overdueCount: rows.filter((row) => row.isOverdue).length,
+      slippedCount: slipped.length,
+      unplannedCount: project.baseline ? rows.filter((row) => !row.baseline).length : 0,
+      maxSlipDays: slipped.reduce((max, row) => Math.max(max, row.slipDays), 0),
+      projectedEndDate,
+      // Against the end date when the baseline was saved, else the current one
+      endSlipDays: Math.max(0, daysBetween(project.baseline?.endDate || project.endDate, projectedEndDate)),
+    },
+  };
+}
+
+/**
+ * Projects to show someone: those of their departments and those they are a
+ * member of, by start date
+ * @param {Array} projects
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.departmentIds] - null for every project
+ * @param {string} [options.memberId]
+ * @param {boolean} [options.includeArchived]
+ * @returns {Array}
+ */
+export function getVisibleProjects(projects = [], { departmentIds = null, memberId = null, includeArchived = false } = {}) {
+  return projects
+    .filter((project) => includeArchived || !project.isArchived)
+    .filter((project) => !departmentIds
+      || (project.departmentIds || []).some((id) => departmentIds.includes(id))
+      || (!!memberId && (project.memberIds || []).includes(memberId)))
+    .sort((a, b) => (a.startDate || '').localeCompare(b.startDate || '') || (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Open projects a task of a department can belong to
+ * @param {Array} projects
+ * @param {string} departmentId
+ * @returns {Array}
+ */
+export function getLinkableProjects(projects = [], departmentId) {
+  return getVisibleProjects(projects, { departmentIds: departmentId ? [departmentId] : [] });
+}
@@ -0,0 +1,82 @@
+import { tasksRepository } from '../../../shared/data/tasksRepository';
+import { MAX_BATCH_WRITES } from '../../../shared/data/backend';
+import { logTaskActivity } from '../../../shared/utils/activityLogger';
+import { buildBulkTaskPatch, chunk } from '../utils/bulkTaskActions';
+
+// Bulk task actions (see utils/bulkTaskActions.js), written in chunked
+// batches. A failed batch is retried task by task so one bad task does not
+// fail the whole chunk.
+
+export const BULK_WRITE_CHUNK_SIZE = Math.min(250, MAX_BATCH_WRITES);
+
+// What the activity log keeps of the action input
+const summarizeParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+);
+
+const writeChunk = async (updates, failed) => {
+  try {
+    await tasksRepository.updateMany(updates.map(({ task, patch }) => ({ id: task.id, patch })));
+    return updates;
+  } catch (error) {
+    console.warn('Bulk task batch failed, retrying tasks one by one:', error);
+  }
+
+  const written = [];
+  for (const update of updates) {
+    try {
+      await tasksRepository.update(update.task.id, update.patch);
+      written.push(update);
+    } catch (error) {
+      console.error(`Error updating task ${update.task.id}:`, error);
+      failed.push({ taskId: update.task.id, title: update.task.title, reason: error.message });
+    }
+  }
+  return written;
+};
+
+/**
+ * Apply one bulk action to several tasks
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Array} tasks
+ * @param {Object} params - Action input
+ * @param {Object} currentUser
+ * @param {Object} [options]
+ * @param {Array} [options.users] - Needed to reassign or move tasks
+ * @param {Array} [options.departments] - For calibrated effort estimates on difficulty changes and moves
+ * @param {number} [options.chunkSize]
+ * @returns {Promise<{succeeded: string[], failed: Array<{taskId: string, title: string, reason: string}>}>}
+ */
+export const runBulkTaskAction = async (action, tasks, params, currentUser, { users = [], departments = [], chunkSize = BULK_WRITE_CHUNK_SIZE } = {}) => {
+  const now = new Date();
+  const failed = [];
+  const updates = [];
+
+  tasks.forEach((task) => {
+    try {
+      updates.push({ task, patch: buildBulkTaskPatch(action, task, params, { currentUser, users, departments, now }) });
+    } catch (error) {
+      failed.push({ taskId: task.id, title: task.title, reason: error.message });
+    }
+  });
+
+  const succeeded = [];
+  for (const updateChunk of chunk(updates, chunkSize)) {
+    const written = await writeChunk(updateChunk, failed);
+
+    for (const { task } of written) {
+      succeeded.push(task.id);
+      try {
+        await logTaskActivity(`bulk_${action}`, task, currentUser.id, currentUser.name, {
+          bulkAction: action,
+          bulkTaskCount: tasks.length,
+          ...summarizeParams(params),
+        });
+      } catch (error) {
+        console.warn(`Failed to log bulk_${action} activity:`, error);
+      }
+    }
+  }
+
+  return { succeeded, failed };
+};
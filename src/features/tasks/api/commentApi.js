@@ -0,0 +1,118 @@
+import {
+  taskCommentsRepository,
+  commentReadsRepository,
+  subscribeCommentReads,
+} from '../../../shared/data/tasksRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
+import { toSafeDate } from '../../../shared/utils/date';
+import { decodeOutboxValue } from '../utils/taskOutbox';
+import { buildCommentEdit, toggleReaction } from '../utils/taskComments';
+
+// Comment threads in tasks/{threadId}/comments (see utils/taskComments.js).
+// Reactions and edits run in transactions, so people reacting to or editing
+// the same comment at once do not overwrite each other.
+
+/**
+ * Post a comment to a thread. Comments keep the id they were built with, so
+ * a comment queued offline is not posted twice (see outboxApi.js).
+ * @param {string} threadId
+ * @param {Object} comment - From buildComment, possibly as stored by the outbox
+ */
+export const addTaskComment = async (threadId, comment) => {
+  const { id, ...data } = decodeOutboxValue(comment, { fromMillis: (millis) => new Date(millis) });
+  await taskCommentsRepository.set(threadId, id, data);
+};
+
+/**
+ * Subscribe to a thread's comments, oldest first
+ * @param {string} threadId
+ * @param {Function} onChange
+ * @param {Function} [onError]
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTaskComments = (threadId, onChange, onError) => taskCommentsRepository.subscribe(
+  threadId,
+  { orderBy: { field: 'createdAt', direction: 'asc' } },
+  onChange,
+  onError
+);
+
+/**
+ * Change the text of one's own comment
+ * @param {string} threadId
+ * @param {string} commentId
+ * @param {string} text
+ * @param {Object} editor - The current user
+ * @param {Array} users - For mentions
+ * @returns {Promise<Object>} The patch written
+ */
+export const editTaskComment = (threadId, commentId, text, editor, users) => (
+  taskCommentsRepository.updateWith(threadId, commentId, (comment) => (
+    buildCommentEdit(comment, text, { editor, users }) || {}
+  ))
+);
+
+/**
+ * Add or take back the current user's reaction
+ * @param {string} threadId
+ * @param {string} commentId
+ * @param {string} emoji
+ * @param {string} userId
+ */
+export const toggleCommentReaction = (threadId, commentId, emoji, userId) => (
+  taskCommentsRepository.updateWith(threadId, commentId, (comment) => ({
+    reactions: toggleReaction(comment, userId, emoji),
+  }))
+);
+
+/**
+ * Delete a comment together with its replies
+ * @param {string} threadId
+ * @param {string} commentId
+ */
+export const deleteTaskComment = async (threadId, commentId) => {
+  const replies = await taskCommentsRepository.list(threadId, {
+    filters: [{ field: 'parentId', op: '==', value: commentId }],
+  });
+  await Promise.all(replies.map((reply) => taskCommentsRepository.remove(threadId, reply.id)));
+  await taskCommentsRepository.remove(threadId, commentId);
+};
+
+/**
+ * When a user last read a thread
+ * @param {string} threadId
+ * @param {string} userId
+ * @returns {Promise<number>} Milliseconds; 0 when never read
+ */
+export const getCommentReadTime = async (threadId, userId) => {
+  const read = await commentReadsRepository.get(threadId, userId);
+  return toSafeDate(read?.lastReadAt)?.getTime() || 0;
+};
+
+/**
+ * Record that a user has read a thread up to now
+ * @param {string} threadId
+ * @param {string} userId
+ */
+export const markCommentsRead = (threadId, userId) => commentReadsRepository.set(threadId, userId, {
+  userId,
+  threadId,
+  lastReadAt: serverTimestamp(),
+});
+
+/**
+ * Subscribe to when the user last read each thread
+ * @param {string} userId
+ * @param {Function} onChange - Called with { [threadId]: milliseconds }
+ * @param {Function} [onError]
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeCommentReadTimes = (userId, onChange, onError) => subscribeCommentReads(
+  userId,
+  (reads) => onChange(Object.fromEntries(reads.map((read) => [
+    read.threadId,
+    // Just written and not yet confirmed by the server: read up to now
+    toSafeDate(read.lastReadAt)?.getTime() ?? Date.now(),
+  ]))),
+  onError
+);
@@ -0,0 +1,252 @@
+import { tasksRepository } from '../../../shared/data/tasksRepository';
+import { STATUSES } from '../../../shared/constants';
+import { patchTask } from './taskApi';
+import { addTaskComment } from './commentApi';
+import { uploadTaskPhotos } from './photoApi';
+import {
+  OUTBOX_ENTRY_TYPES,
+  encodeOutboxValue,
+  resolveQueuedPatch,
+  isRetryableOutboxError,
+  describeOutboxEntry
+} from '../utils/taskOutbox';
+import { getCommentThreadId } from '../utils/taskComments';
+
+// Durable queue of task changes made offline (see utils/taskOutbox.js).
+// Entries are kept in IndexedDB under an auto-incrementing `seq`, which is the replay order.
+const OUTBOX_DB_NAME = 'kartavya-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'entries';
+
+let databasePromise = null;
+let replayPromise = null;
+let state = { entries: [], isSyncing: false, problems: [] };
+const listeners = new Set();
+
+const openOutbox = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to try again (e.g. after the user frees storage)
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+};
+
+const runStoreRequest = async (mode, operation) => {
+  const database = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(OUTBOX_STORE, mode);
+    const request = operation(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener(state));
+};
+
+const refreshEntries = async () => {
+  const entries = await runStoreRequest('readonly', (store) => store.getAll());
+  setState({ entries });
+  return entries;
+};
+
+const reportProblem = (entry, reason) => {
+  setState({ problems: [...state.problems, { seq: entry.seq, label: describeOutboxEntry(entry), reason }] });
+};
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Subscribe to the outbox
+ * @param {Function} callback - Called with { entries, isSyncing, problems }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeOutbox = (callback) => {
+  listeners.add(callback);
+  callback(state);
+  refreshEntries().catch((error) => console.error('Error reading the offline outbox:', error));
+  return () => listeners.delete(callback);
+};
+
+export const dismissOutboxProblems = () => setState({ problems: [] });
+
+const enqueue = async (entry) => {
+  await runStoreRequest('readwrite', (store) => store.add({ ...entry, queuedAt: Date.now(), attempts: 0 }));
+  await refreshEntries();
+  if (!isOffline()) replayOutbox(entry.userId);
+};
+
+// Queue behind the user's earlier changes so they are applied in order
+const mustQueue = (userId) => isOffline() || state.entries.some((entry) => entry.userId === userId);
+
+/**
+ * Update a task, or queue the update while offline
+ * @param {string} taskId
+ * @param {Object} updates - Task patch; use arrayAppend/arrayDiscard for array fields
+ * @param {Object|null} task - The task as the user saw it, to detect conflicting changes on replay
+ * @param {Object} currentUser
+ * @returns {Promise<{queued: boolean}>}
+ */
+export const saveTaskPatch = async (taskId, updates, task, currentUser) => {
+  if (!mustQueue(currentUser.id)) {
+    await patchTask(taskId, updates, currentUser.id, currentUser.name);
+    return { queued: false };
+  }
+
+  const { id, ...fields } = updates;
+  const patch = encodeOutboxValue(fields);
+  // Keep the time the user actually started or finished the task
+  if (fields.status === STATUSES.ONGOING && !fields.startedAt) patch.startedAt = encodeOutboxValue(new Date());
+  if (fields.status === STATUSES.COMPLETE && !fields.completedAt) patch.completedAt = encodeOutboxValue(new Date());
+
+  await enqueue({
+    type: OUTBOX_ENTRY_TYPES.PATCH_TASK,
+    taskId: id || taskId,
+    taskTitle: task?.title || '',
+    patch,
+    base: task ? encodeOutboxValue(Object.fromEntries(Object.keys(patch).map((field) => [field, task[field]]))) : null,
+    userId: currentUser.id,
+    userName: currentUser.name,
+  });
+  return { queued: true };
+};
+
+/**
+ * Post a comment to a task's thread, or queue it while offline
+ * @param {string} taskId
+ * @param {Object} comment - From buildComment
+ * @returns {Promise<{queued: boolean}>}
+ */
+export const saveTaskComment = async (taskId, comment, task, currentUser) => {
+  const threadId = getCommentThreadId(task) || taskId;
+  if (!mustQueue(currentUser.id)) {
+    await addTaskComment(threadId, comment);
+    return { queued: false };
+  }
+  await enqueue({
+    type: OUTBOX_ENTRY_TYPES.ADD_COMMENT,
+    taskId,
+    threadId,
+    taskTitle: task?.title || '',
+    comment: encodeOutboxValue(comment),
+    userId: currentUser.id,
+    userName: currentUser.name,
+  });
+  return { queued: true };
+};
+
+/**
+ * Upload photos to a task. While offline, or when the upload fails for lack
+ * of a connection, the photos are kept on the device and uploaded later.
+ * @param {string} taskId
+ * @param {Array} pendingPhotos - Output of preparePhotos
+ * @returns {Promise<{queued: boolean}>}
+ */
+export const saveTaskPhotos = async (taskId, pendingPhotos, task, currentUser) => {
+  if (pendingPhotos.length === 0) return { queued: false };
+  if (!mustQueue(currentUser.id)) {
+    try {
+      await uploadTaskPhotos(taskId, pendingPhotos);
+      return { queued: false };
+    } catch (error) {
+      if (!isRetryableOutboxError(error)) throw error;
+      console.warn('Photo upload failed, keeping the photos for later:', error);
+    }
+  }
+  await enqueue({
+    type: OUTBOX_ENTRY_TYPES.UPLOAD_PHOTOS,
+    taskId,
+    taskTitle: task?.title || '',
+    photos: pendingPhotos.map(({ id, blob }) => ({ id, blob })),
+    userId: currentUser.id,
+    userName: currentUser.name,
+  });
+  return { queued: true };
+};
+
+// The server's version of a task; null if it is gone
+const getServerTask = (taskId) => tasksRepository.get(taskId, { source: 'server' });
+
+const replayEntry = async (entry) => {
+  const serverTask = await getServerTask(entry.taskId);
+
+  if (entry.type === OUTBOX_ENTRY_TYPES.PATCH_TASK) {
+    const serverFields = serverTask && encodeOutboxValue(Object.fromEntries(
+      ['status', ...Object.keys(entry.patch)].map((field) => [field, serverTask[field]])
+    ));
+    const { patch, conflicts, deleted } = resolveQueuedPatch(entry.patch, entry.base, serverFields);
+    if (deleted) {
+      reportProblem(entry, 'The task was deleted.');
+      return;
+    }
+    if (conflicts.length > 0) {
+      reportProblem(entry, `Someone else changed ${conflicts.join(', ')} meanwhile; their version was kept.`);
+    }
+    if (Object.keys(patch).length > 0) {
+      await patchTask(entry.taskId, patch, entry.userId, entry.userName);
+    }
+    return;
+  }
+
+  if (!serverTask || serverTask.status === STATUSES.DELETED) {
+    reportProblem(entry, 'The task was deleted.');
+    return;
+  }
+  if (entry.type === OUTBOX_ENTRY_TYPES.ADD_COMMENT) {
+    await addTaskComment(entry.threadId || entry.taskId, entry.comment);
+  } else if (entry.type === OUTBOX_ENTRY_TYPES.UPLOAD_PHOTOS) {
+    await uploadTaskPhotos(entry.taskId, entry.photos);
+  }
+};
+
+const replayAll = async (userId) => {
+  setState({ isSyncing: true });
+  try {
+    const entries = (await refreshEntries()).filter((entry) => entry.userId === userId);
+    for (const entry of entries) {
+      if (isOffline()) break;
+      try {
+        await replayEntry(entry);
+      } catch (error) {
+        if (isRetryableOutboxError(error)) {
+          // Still no connection: keep this and everything after it for the next attempt
+          await runStoreRequest('readwrite', (store) => store.put({ ...entry, attempts: entry.attempts + 1, lastError: error.message }));
+          break;
+        }
+        console.error('Dropping a queued change that cannot be applied:', error);
+        reportProblem(entry, error.message);
+      }
+      await runStoreRequest('readwrite', (store) => store.delete(entry.seq));
+      await refreshEntries();
+    }
+  } finally {
+    setState({ isSyncing: false });
+    await refreshEntries();
+  }
+};
+
+/**
+ * Replay a user's queued changes in order. Changes queued by someone else
+ * on this device wait until they sign in again.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+export const replayOutbox = (userId) => {
+  if (!replayPromise) {
+    replayPromise = replayAll(userId)
+      .catch((error) => console.error('Error replaying the offline outbox:', error))
+      .finally(() => { replayPromise = null; });
+  }
+  return replayPromise;
+};
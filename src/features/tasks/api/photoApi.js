@@ -0,0 +1,119 @@
+import { storage, functions } from '../../../firebase';
+import { ref, uploadBytes } from 'firebase/storage';
+import { httpsCallable } from 'firebase/functions';
+
+// Task photos live in Cloud Storage. The task's `photos` array holds records
+// ({ id, path, thumbPath, url, thumbUrl, ... }) written by the attachTaskPhotos
+// Cloud Function (functions/taskPhotos.js). Tasks that have not been migrated
+// yet may still hold base64 data URL strings, which render the same way.
+
+export const PHOTO_UPLOAD_CONFIG = {
+  MAX_WIDTH: 1600,
+  MAX_HEIGHT: 1200,
+  QUALITY: 0.85,
+  MAX_PHOTOS_PER_CALL: 10, // Matches PHOTO_CONFIG.MAX_PHOTOS_PER_CALL in functions/taskPhotos.js
+};
+
+export const getTaskPhotoPath = (taskId, photoId) => `tasks/${taskId}/photos/${photoId}.jpg`;
+
+export const isStoredPhoto = (photo) => Boolean(photo && typeof photo === 'object' && photo.url);
+
+export const getPhotoUrl = (photo) => (typeof photo === 'string' ? photo : photo?.url || '');
+
+export const getPhotoThumbnailUrl = (photo) => (typeof photo === 'string' ? photo : photo?.thumbUrl || photo?.url || '');
+
+/**
+ * Resize an image file to fit PHOTO_UPLOAD_CONFIG and re-encode it as JPEG.
+ * @param {File} file
+ * @returns {Promise<Blob>}
+ */
+export const compressPhoto = (file) => new Promise((resolve, reject) => {
+  const img = new Image();
+  const sourceUrl = URL.createObjectURL(file);
+
+  img.onload = () => {
+    URL.revokeObjectURL(sourceUrl);
+    const scale = Math.min(1, PHOTO_UPLOAD_CONFIG.MAX_WIDTH / img.width, PHOTO_UPLOAD_CONFIG.MAX_HEIGHT / img.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Image compression failed'))),
+      'image/jpeg',
+      PHOTO_UPLOAD_CONFIG.QUALITY
+    );
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(sourceUrl);
+    reject(new Error('Failed to load image'));
+  };
+  img.src = sourceUrl;
+});
+
+/**
+ * Prepare picked files for upload. Files that cannot be decoded are skipped.
+ * Call releasePhotoPreviews once the previews are no longer shown.
+ * @param {File[]} files
+ * @returns {Promise<Array>} Pending photos: [{ id, blob, previewUrl }]
+ */
+export const preparePhotos = async (files) => {
+  const pending = [];
+  for (const file of files) {
+    try {
+      const blob = await compressPhoto(file);
+      pending.push({ id: crypto.randomUUID(), blob, previewUrl: URL.createObjectURL(blob) });
+    } catch (error) {
+      console.error('Image processing failed for a file, skipping:', error);
+    }
+  }
+  return pending;
+};
+
+export const releasePhotoPreviews = (pendingPhotos = []) => {
+  pendingPhotos.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+};
+
+/**
+ * Upload prepared photos to Storage and attach them to a task.
+ * @param {string} taskId
+ * @param {Array} pendingPhotos - Output of preparePhotos
+ * @returns {Promise<Array>} Photo records added to the task
+ */
+export const uploadTaskPhotos = async (taskId, pendingPhotos = []) => {
+  if (!taskId || pendingPhotos.length === 0) return [];
+
+  const attachTaskPhotos = httpsCallable(functions, 'attachTaskPhotos');
+  const attached = [];
+  for (let i = 0; i < pendingPhotos.length; i += PHOTO_UPLOAD_CONFIG.MAX_PHOTOS_PER_CALL) {
+    const batch = pendingPhotos.slice(i, i + PHOTO_UPLOAD_CONFIG.MAX_PHOTOS_PER_CALL);
+    await Promise.all(batch.map((photo) => (
+      uploadBytes(ref(storage, getTaskPhotoPath(taskId, photo.id)), photo.blob, { contentType: 'image/jpeg' })
+    )));
+    const result = await attachTaskPhotos({ taskId, photoIds: batch.map((photo) => photo.id) });
+    attached.push(...(result.data.photos || []));
+  }
+  return attached;
+};
+
+/**
+ * Move every task's base64 photos into Storage (Admin only). The function
+ * handles a batch of tasks per call, so keep calling until none remain.
+ * @param {(progress: Object) => void} [onProgress]
+ * @returns {Promise<Object>} Totals: { migratedTasks, migratedPhotos, skippedPhotos, remaining }
+ */
+export const migrateTaskPhotos = async (onProgress) => {
+  const migrate = httpsCallable(functions, 'migrateTaskPhotos', { timeout: 540000 });
+  const totals = { migratedTasks: 0, migratedPhotos: 0, skippedPhotos: 0, remaining: 0 };
+
+  for (;;) {
+    const { data } = await migrate({});
+    totals.migratedTasks += data.migratedTasks;
+    totals.migratedPhotos += data.migratedPhotos;
+    totals.skippedPhotos += data.skippedPhotos;
+    totals.remaining = data.remaining;
+    onProgress?.({ ...totals });
+    // Stop when done, or when the remaining tasks keep changing under us
+    if (data.remaining === 0 || data.migratedTasks === 0) return totals;
+  }
+};
@@ -2,113 +2,186 @@
 // Format: { seconds: number, nanoseconds: number }
 // See FIRESTORE_TIMESTAMP_GUIDE.md for complete documentation
 
-import { db } from '../../../firebase';
-import { collection, onSnapshot, doc, addDoc, updateDoc, deleteDoc, serverTimestamp, getDocs, getDoc, Timestamp } from 'firebase/firestore';
+import { tasksRepository } from '../../../shared/data/tasksRepository';
+import { scheduledTasksRepository } from '../../../shared/data/scheduledTasksRepository';
+import { serverTimestamp, arrayUnion, arrayRemove } from '../../../shared/data/fieldValues';
 import { toISTISOString } from '../../../shared/utils/date';
 import { logTaskActivity, logActivity } from '../../../shared/utils/activityLogger';
 import { cleanFirestoreData } from '../../../shared/utils/firestoreHelpers';
-
-const TASKS_COLLECTION = 'tasks'; // Primary collection
-const TASKS_COLLECTION_UPPER = 'Tasks'; // Backup collection
-
-// Helper function to get the primary collection
-const getPrimaryCollection = () => collection(db, TASKS_COLLECTION);
-
-// Helper function to get the backup collection
-const getBackupCollection = () => collection(db, TASKS_COLLECTION_UPPER);
-
-// Helper to resolve which collection a task lives in (tasks vs Tasks).
-// Many deployments historically wrote to `Tasks` (uppercase) and the app now reads from both.
-const resolveTaskDocRef = async (taskId) => {
-  const primaryRef = doc(getPrimaryCollection(), taskId);
-  const backupRef = doc(getBackupCollection(), taskId);
-
+import { isStoredPhoto } from './photoApi';
+import { stopAllTaskTimers } from './timeTrackingApi';
+import { validateTaskBlocker, getOpenBlockers, isOpenTask } from '../utils/taskDependencies';
+import { setChecklistItemDone, resetChecklist } from '../utils/checklist';
+import { decodeOutboxValue } from '../utils/taskOutbox';
+import { getLiveTaskQueries, getArchivedTaskQueries, getCompletedTaskQuery, getLinkedTaskQueries, TASK_ARCHIVE_PAGE_SIZE } from '../utils/taskQueries';
+import { HOLIDAY_POLICIES, getUpcomingOccurrences, parseRRule, isDateKey, toDateKey, fromDateKey } from '../../../shared/utils/recurrence';
+import { getHolidays } from '../../../shared/utils/holidayApi';
+
+// Tasks live in `tasks` only; older deployments' `Tasks` collection is merged
+// into it by scripts/consolidateCollections.js
+
+// A task, or null when it does not exist or cannot be read
+const readTask = async (taskId) => {
   try {
-    const primarySnap = await getDoc(primaryRef);
-    if (primarySnap.exists()) return { ref: primaryRef, snap: primarySnap, source: TASKS_COLLECTION };
+    return await tasksRepository.get(taskId);
   } catch (error) {
-    // Ignore and fall back to backup.
+    console.warn('Failed to read task:', taskId, error);
+    return null;
   }
+};
 
+// Close any work-session timers once a task is no longer being worked on
+const stopTimersOf = async (task) => {
+  if (Object.keys(task?.activeTimers || {}).length === 0) return;
   try {
-    const backupSnap = await getDoc(backupRef);
-    if (backupSnap.exists()) return { ref: backupRef, snap: backupSnap, source: TASKS_COLLECTION_UPPER };
+    await stopAllTaskTimers(task.id);
   } catch (error) {
-    // Ignore and fall back to primary as default.
+    console.warn('Failed to stop task timers:', task.id, error);
   }
+};
 
-  return { ref: primaryRef, snap: null, source: 'unknown' };
+// Tasks from several query results, by id
+const mergeTaskResults = (results) => {
+  const map = new Map();
+  results.forEach((tasks) => tasks.forEach((task) => map.set(task.id, task)));
+  return Array.from(map.values());
 };
 
-export const subscribeTasks = (onChange, options = {}) => {
-  const { progressive = true, loadHeavyItems = false } = options;
-  
-  let currentPrimary = [];
-  let currentBackup = [];
-  const emit = () => {
-    const map = new Map();
-    currentBackup.forEach(t => map.set(t.id, t));
-    currentPrimary.forEach(t => map.set(t.id, t)); // prefer primary
-    
-    // If progressive loading is enabled, strip heavy items from initial load
-    const tasks = Array.from(map.values()).map(task => {
-      if (progressive && !loadHeavyItems) {
-        // Keep only the latest note for fast initial rendering (avoids showing stale "first note"
-        // and prevents leaking `[undefined]` into the UI when notes is an empty array).
-        const latestNote =
-          Array.isArray(task.notes) && task.notes.length > 0
-            ? task.notes[task.notes.length - 1]
-            : null;
-
-        return {
-          ...task,
-          // Keep basic info for fast loading
-          photos: [], // Empty array for photos initially
-          comments: [], // Empty array for comments initially
-          notes: latestNote ? [latestNote] : [],
-          _progressiveLoaded: false // Flag to track progressive loading state
-        };
-      }
-      return { ...task, _progressiveLoaded: true };
-    });
-    
-    onChange(tasks);
+// Strip heavy items for fast initial rendering; loadTaskHeavyItems fills them in later
+const toProgressiveTask = (task) => {
+  // Keep only the latest note (avoids showing stale "first note"
+  // and prevents leaking `[undefined]` into the UI when notes is an empty array).
+  const latestNote =
+    Array.isArray(task.notes) && task.notes.length > 0
+      ? task.notes[task.notes.length - 1]
+      : null;
+
+  return {
+    ...task,
+    // Storage photo records are small; only legacy base64 photos wait for the heavy load
+    photos: (task.photos || []).filter(isStoredPhoto),
+    notes: latestNote ? [latestNote] : [],
+    _progressiveLoaded: false // Flag to track progressive loading state
   };
+};
 
-  (async () => {
-    try {
-      const [primarySnap, backupSnap] = await Promise.all([
-        getDocs(getPrimaryCollection()).catch(() => ({ docs: [] })),
-        getDocs(getBackupCollection()).catch(() => ({ docs: [] }))
-      ]);
-      currentPrimary = primarySnap.docs.map(d => ({ id: d.id, ...d.data() }));
-      currentBackup = backupSnap.docs.map(d => ({ id: d.id, ...d.data() }));
-      emit();
-    } catch {
-      onChange([]);
-    }
-  })();
+// Merged results of several task queries, once every query has answered
+const subscribeTaskQueries = (specs, onChange) => {
+  if (specs.length === 0) {
+    onChange([]);
+    return () => {};
+  }
+
+  const results = new Map();
+  const waiting = new Set(specs.map((spec) => spec.key));
+  const emit = () => {
+    if (waiting.size > 0) return;
+    onChange(mergeTaskResults(Array.from(results.values())));
+  };
 
-  const unsub1 = onSnapshot(getPrimaryCollection(), (snap) => {
-    currentPrimary = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  const unsubscribers = specs.map((spec) => tasksRepository.subscribe(spec, (tasks) => {
+    results.set(spec.key, tasks);
+    waiting.delete(spec.key);
     emit();
   }, (error) => {
-    console.warn('Primary collection listener error:', error);
-    // Don't emit on error to avoid clearing data
-  });
-  
-  const unsub2 = onSnapshot(getBackupCollection(), (snap) => {
-    currentBackup = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    console.warn(`Task query ${spec.key} listener error:`, error);
+    // Don't clear data on error; just stop waiting for this query
+    waiting.delete(spec.key);
     emit();
-  }, (error) => {
-    console.warn('Backup collection listener error:', error);
-    // Don't emit on error to avoid clearing data
+  }));
+
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+};
+
+/**
+ * Subscribe to the tasks a user sees (see utils/taskQueries.js for the scopes).
+ * Archived tasks beyond the recent window are read with loadArchivedTasksPage.
+ * @param {Object} currentUser - { id, role, departmentIds }
+ * @param {Function} onChange - Called with the merged tasks once every query has answered, then on each change
+ * @param {Object} [options] - { progressive, loadHeavyItems }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTasks = (currentUser, onChange, options = {}) => {
+  const { progressive = true, loadHeavyItems = false } = options;
+  return subscribeTaskQueries(getLiveTaskQueries(currentUser), (tasks) => {
+    onChange(tasks.map((task) => (progressive && !loadHeavyItems ? toProgressiveTask(task) : { ...task, _progressiveLoaded: true })));
   });
+};
+
+/**
+ * Subscribe to every task linked to the given goals or projects
+ * @param {string} field - 'goalId' or 'projectId'
+ * @param {string[]} ids
+ * @param {Function} onChange - Called with the linked tasks once every query has answered, then on each change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeLinkedTasks = (field, ids, onChange) => subscribeTaskQueries(getLinkedTaskQueries(field, ids), onChange);
+
+/**
+ * Read the tasks a user sees once, with heavy items (pull to refresh)
+ * @param {Object} currentUser
+ * @returns {Promise<Array>}
+ */
+export const fetchTasks = async (currentUser) => {
+  const results = await Promise.all(getLiveTaskQueries(currentUser).map(async (spec) => {
+    return tasksRepository.list(spec).catch((error) => {
+      console.warn(`Task query ${spec.key} failed:`, error);
+      return [];
+    });
+  }));
+  return mergeTaskResults(results).map((task) => ({ ...task, _progressiveLoaded: true }));
+};
 
-  return () => { unsub1(); unsub2(); };
+/**
+ * Read the next page of archived (completed and deleted) tasks, newest first
+ * @param {Object} currentUser
+ * @param {Object} [cursors] - Returned by the previous page; omit for the first page
+ * @returns {Promise<{tasks: Array, cursors: Object, hasMore: boolean}>}
+ */
+export const loadArchivedTasksPage = async (currentUser, cursors = {}) => {
+  const specs = getArchivedTaskQueries(currentUser);
+  const nextCursors = { ...cursors };
+  const results = await Promise.all(specs.map(async (spec) => {
+    const cursor = cursors[spec.key];
+    if (cursor === null) return []; // Read to the end already
+
+    try {
+      const page = await tasksRepository.page(spec, { pageSize: TASK_ARCHIVE_PAGE_SIZE, after: cursor });
+      nextCursors[spec.key] = page.hasMore ? page.cursor : null;
+      return page.items;
+    } catch (error) {
+      // Keep the cursor so the next call retries this query
+      console.error(`Error loading archived tasks (${spec.key}):`, error);
+      return [];
+    }
+  }));
+
+  return {
+    tasks: mergeTaskResults(results).map((task) => ({ ...task, _progressiveLoaded: true })),
+    cursors: nextCursors,
+    hasMore: specs.some((spec) => nextCursors[spec.key] !== null),
+  };
+};
+
+/**
+ * Read every completed task once, for all-time scores. The live task list
+ * only keeps the last few weeks of completed tasks that are not the user's own.
+ * @returns {Promise<Array>}
+ */
+export const fetchCompletedTasks = () => tasksRepository.list(getCompletedTaskQuery());
+
+/**
+ * Read every task linked to the given goals or projects once
+ * @param {string} field - 'goalId' or 'projectId'
+ * @param {string[]} ids
+ * @returns {Promise<Array>}
+ */
+export const fetchLinkedTasks = async (field, ids) => {
+  const results = await Promise.all(getLinkedTaskQueries(field, ids).map((spec) => tasksRepository.list(spec)));
+  return mergeTaskResults(results);
 };
 
-// Function to load heavy items (photos, full notes, comments) for specific tasks
+// Function to load heavy items (photos, full notes) for specific tasks
 export const loadTaskHeavyItems = async (taskIds) => {
   if (!Array.isArray(taskIds) || taskIds.length === 0) return [];
   
@@ -116,35 +189,11 @@ export const loadTaskHeavyItems = async (taskIds) => {
     const tasksWithHeavyItems = [];
     
     for (const taskId of taskIds) {
-      // Try primary collection first
-      let taskDoc = null;
-      try {
-        const primaryDoc = await getDoc(doc(db, TASKS_COLLECTION, taskId));
-        if (primaryDoc.exists()) {
-          taskDoc = primaryDoc;
-        }
-      } catch (error) {
-        console.log('Primary collection fetch failed for task:', taskId);
-      }
-      
-      // Try backup collection if primary failed
-      if (!taskDoc) {
-        try {
-          const backupDoc = await getDoc(doc(db, TASKS_COLLECTION_UPPER, taskId));
-          if (backupDoc.exists()) {
-            taskDoc = backupDoc;
-          }
-        } catch (error) {
-          console.log('Backup collection fetch failed for task:', taskId);
-        }
-      }
-      
-      if (taskDoc) {
-        const taskData = taskDoc.data();
+      const taskData = await readTask(taskId);
+      if (taskData) {
         tasksWithHeavyItems.push({
           id: taskId,
           photos: taskData.photos || [],
-          comments: taskData.comments || [],
           notes: taskData.notes || [],
           _progressiveLoaded: true
         });
@@ -193,6 +242,9 @@ export const createTask = async (taskData, currentUserId, currentUserName) => {
     completedAt: taskData.completedAt || null,
     notes: taskData.notes || [],
     photos: taskData.photos || [],
+    checklist: taskData.checklist || [],
+    requireChecklistComplete: taskData.requireChecklistComplete || false,
+    requiresReview: taskData.requiresReview || false,
     notifiedUsers: taskData.notifiedUsers || [],
     status: taskData.status || 'Pending',
     assignedUserIds: taskData.assignedUserIds || [],
@@ -214,11 +266,11 @@ export const createTask = async (taskData, currentUserId, currentUserName) => {
     approvedAt: null,
     approvedByName: null,
   };
-  const res = await addDoc(getPrimaryCollection(), payload);
+  const taskId = await tasksRepository.add(payload);
   
   // Log task creation activity
   try {
-    await logTaskActivity('create', { ...payload, id: res.id }, currentUserId, currentUserName, {
+    await logTaskActivity('create', { ...payload, id: taskId }, currentUserId, currentUserName, {
       assignedUserCount: taskData.assignedUserIds?.length || 0,
       isUrgent: taskData.isUrgent || false,
       hasTargetDate: !!taskData.targetDate,
@@ -228,29 +280,26 @@ export const createTask = async (taskData, currentUserId, currentUserName) => {
     console.warn('Failed to log task creation activity:', error);
   }
   
-  return res.id;
+  return taskId;
 };
 
+// Patches may hold arrayAppend/arrayDiscard ops and timestamps stored by the offline outbox
+const toStoredValue = (value) => decodeOutboxValue(value, {
+  fromMillis: (millis) => new Date(millis),
+  arrayUnion,
+  arrayRemove,
+});
+
 export const patchTask = async (taskId, updates = {}, currentUserId, currentUserName = 'Unknown') => {
   // Get the current task data for logging
-  let currentTask = null;
-  let targetRef = doc(getPrimaryCollection(), taskId);
-  try {
-    const resolved = await resolveTaskDocRef(taskId);
-    if (resolved?.ref) targetRef = resolved.ref;
-    if (resolved?.snap?.exists?.()) {
-      currentTask = { id: resolved.snap.id, ...resolved.snap.data() };
-    }
-  } catch (error) {
-    console.warn('Failed to resolve task document for update/logging:', error);
-  }
+  const currentTask = await readTask(taskId);
 
   // Resolve user identity defensively
   const effectiveUserId = currentUserId || (typeof localStorage !== 'undefined' ? localStorage.getItem('kartavya_userId') : null) || 'system';
   const effectiveUserName = currentUserName || (typeof localStorage !== 'undefined' ? (localStorage.getItem('kartavya_userName') || 'Unknown') : 'Unknown');
 
   // Clean undefined values from updates
-  const cleanUpdates = cleanFirestoreData(updates);
+  const cleanUpdates = toStoredValue(cleanFirestoreData(updates));
   
   // The document ID should not be in the update payload
   if (cleanUpdates.id) {
@@ -274,20 +323,8 @@ export const patchTask = async (taskId, updates = {}, currentUserId, currentUser
   
   // Clean the final data object before sending to Firestore
   const finalData = cleanFirestoreData(data);
-  try {
-    await updateDoc(targetRef, finalData);
-  } catch (error) {
-    // Common legacy case: task exists in `Tasks` but not `tasks` (or vice-versa).
-    // If we get a not-found error, try the other collection before failing.
-    if (error?.code === 'not-found') {
-      const primaryRef = doc(getPrimaryCollection(), taskId);
-      const backupRef = doc(getBackupCollection(), taskId);
-      const fallbackRef = (targetRef?.path === primaryRef.path) ? backupRef : primaryRef;
-      await updateDoc(fallbackRef, finalData);
-    } else {
-      throw error;
-    }
-  }
+  await tasksRepository.update(taskId, finalData);
+  if (cleanUpdates.status && cleanUpdates.status !== 'Ongoing') await stopTimersOf(currentTask);
   
   // Log task update activity
   if (currentTask) {
@@ -310,21 +347,68 @@ export const patchTask = async (taskId, updates = {}, currentUserId, currentUser
   }
 };
 
+/**
+ * Check or uncheck a checklist item. Runs in a transaction so assignees
+ * ticking different items at the same time do not overwrite each other.
+ * @param {string} taskId
+ * @param {string} itemId
+ * @param {boolean} done
+ * @param {Object} currentUser - { id, name }
+ * @returns {Promise<Array>} The saved checklist
+ */
+export const toggleChecklistItem = async (taskId, itemId, done, currentUser) => {
+  const patch = await tasksRepository.updateWith(taskId, (task) => {
+    const checklist = task.checklist || [];
+    if (!checklist.some(item => item.id === itemId)) throw new Error('Checklist item not found');
+
+    return {
+      checklist: setChecklistItemDone(checklist, itemId, done, currentUser),
+      updatedAt: serverTimestamp(),
+      updatedById: currentUser?.id || 'system',
+    };
+  });
+  return patch.checklist;
+};
+
+/**
+ * Mark a task as blocked by another task. Links that would create a
+ * dependency cycle are refused.
+ * @param {string} taskId - The task that has to wait
+ * @param {string} blockerTaskId - The prerequisite
+ * @param {Array} allTasks - Loaded tasks, used for cycle detection
+ */
+export const addTaskBlocker = async (taskId, blockerTaskId, allTasks, currentUserId, currentUserName) => {
+  const validationError = validateTaskBlocker(taskId, blockerTaskId, allTasks);
+  if (validationError) throw new Error(validationError);
+
+  const blocker = allTasks.find(t => t.id === blockerTaskId);
+  await patchTask(taskId, {
+    blockedByTaskIds: arrayUnion(blockerTaskId),
+    ...(isOpenTask(blocker) ? { hasBlockingTasks: true } : {}),
+  }, currentUserId, currentUserName);
+};
+
+/**
+ * Remove a "blocked by" link
+ * @param {string} taskId
+ * @param {string} blockerTaskId
+ * @param {Array} allTasks - Loaded tasks, used to recompute hasBlockingTasks
+ */
+export const removeTaskBlocker = async (taskId, blockerTaskId, allTasks, currentUserId, currentUserName) => {
+  const stillBlocked = getOpenBlockers(taskId, allTasks).some(t => t.id !== blockerTaskId);
+  await patchTask(taskId, {
+    blockedByTaskIds: arrayRemove(blockerTaskId),
+    hasBlockingTasks: stillBlocked,
+  }, currentUserId, currentUserName);
+};
+
 export const removeTask = async (taskId, currentUserId = 'system', currentUserName = 'System', deleteReason = 'No reason provided') => {
   if (deleteReason === undefined || deleteReason === null) {
     deleteReason = 'No reason provided';
   }
 
   // Get the current task data for logging
-  let currentTask = null;
-  try {
-    const resolved = await resolveTaskDocRef(taskId);
-    if (resolved?.snap?.exists?.()) {
-      currentTask = { id: resolved.snap.id, ...resolved.snap.data() };
-    }
-  } catch (error) {
-    console.warn('Failed to get current task for logging:', error);
-  }
+  const currentTask = await readTask(taskId);
 
   // Instead of deleting, mark as deleted with reason
   if (currentTask) {
@@ -356,21 +440,8 @@ export const removeTask = async (taskId, currentUserId = 'system', currentUserNa
 
     // Clean the update data before sending to Firestore
     const cleanUpdateData = cleanFirestoreData(updateData);
-    // Update the correct collection (tasks vs Tasks) for legacy compatibility.
-    const resolved = await resolveTaskDocRef(taskId);
-    const targetRef = resolved?.ref || doc(getPrimaryCollection(), taskId);
-    try {
-      await updateDoc(targetRef, cleanUpdateData);
-    } catch (error) {
-      if (error?.code === 'not-found') {
-        const primaryRef = doc(getPrimaryCollection(), taskId);
-        const backupRef = doc(getBackupCollection(), taskId);
-        const fallbackRef = (targetRef?.path === primaryRef.path) ? backupRef : primaryRef;
-        await updateDoc(fallbackRef, cleanUpdateData);
-      } else {
-        throw error;
-      }
-    }
+    await tasksRepository.update(taskId, cleanUpdateData);
+    await stopTimersOf(currentTask);
 
     console.debug('Task delete update payload', { taskId, updateData });
 
@@ -389,39 +460,9 @@ export const removeTask = async (taskId, currentUserId = 'system', currentUserNa
   }
 };
 
-export const getTask = async (taskId) => {
-  // Try primary collection first, then fallback to legacy `Tasks`.
-  try {
-    const resolved = await resolveTaskDocRef(taskId);
-    if (resolved?.snap?.exists?.()) {
-      return { id: resolved.snap.id, ...resolved.snap.data() };
-    }
-    return null;
-  } catch (error) {
-    console.warn('Failed to load task:', error);
-    return null;
-  }
-};
+export const getTask = (taskId) => readTask(taskId);
 
 // Scheduled Tasks API Functions
-const SCHEDULED_TASKS_COLLECTION = 'scheduledTasks';
-
-const SCHEDULED_WEEKDAY_INDEX = {
-  sunday: 0,
-  monday: 1,
-  tuesday: 2,
-  wednesday: 3,
-  thursday: 4,
-  friday: 5,
-  saturday: 6,
-};
-
-const MONTHLY_WEEK_INDEX = {
-  first: 0,
-  second: 1,
-  third: 2,
-  fourth: 3,
-};
 
 const normalizeScheduleDate = (value) => {
   if (!value) return null;
@@ -442,170 +483,56 @@ const normalizeScheduleDate = (value) => {
   return null;
 };
 
-const getDaysInMonth = (year, monthIndex) => {
-  return new Date(year, monthIndex + 1, 0).getDate();
+/**
+ * First occurrence of a schedule on or after its start day, with the pattern's
+ * EXDATEs and the company holiday calendar applied (see shared/utils/recurrence.js)
+ * @param {Object} recurrencePattern
+ * @param {string} startKey - "YYYY-MM-DD"
+ * @returns {Promise<{date: string, seriesDate: string}|null>}
+ */
+const calculateFirstScheduledOccurrence = async (recurrencePattern, startKey) => {
+  if (recurrencePattern.type === 'monthly' && recurrencePattern.monthlyType === 'regenerate') {
+    // Later dates depend on completion (onTaskCompleted), so the first task is due on the start day
+    return { date: startKey, seriesDate: startKey };
+  }
+  const [firstOccurrence] = getUpcomingOccurrences(recurrencePattern, startKey, {
+    limit: 1,
+    holidays: await getHolidays(),
+  });
+  return firstOccurrence || null;
 };
 
-const getNthWeekdayOfMonth = (year, monthIndex, weekdayName, weekdayOrder) => {
-  const targetDayIndex = SCHEDULED_WEEKDAY_INDEX[weekdayName];
-  if (targetDayIndex === undefined) return null;
-
-  if (weekdayOrder === 'last') {
-    const lastDayOfMonth = new Date(year, monthIndex + 1, 0);
-    const offset = (lastDayOfMonth.getDay() - targetDayIndex + 7) % 7;
-    return new Date(year, monthIndex, lastDayOfMonth.getDate() - offset);
-  }
-
-  const firstDayOfMonth = new Date(year, monthIndex, 1);
-  const daysUntilTarget = (targetDayIndex - firstDayOfMonth.getDay() + 7) % 7;
-  const weekOffset = MONTHLY_WEEK_INDEX[weekdayOrder] ?? 0;
-  const dayOfMonth = 1 + daysUntilTarget + (weekOffset * 7);
-  const daysInMonth = getDaysInMonth(year, monthIndex);
-
-  if (dayOfMonth > daysInMonth) {
-    return null;
-  }
-
-  return new Date(year, monthIndex, dayOfMonth);
-};
+const validateRecurrencePattern = (recurrencePattern) => {
+  const { type, interval, weekdays, exdates, holidayPolicy } = recurrencePattern || {};
 
-const getMonthlyOccurrenceForDate = (recurrencePattern, year, monthIndex) => {
-  if (recurrencePattern.monthlyType === 'weekday') {
-    return getNthWeekdayOfMonth(
-      year,
-      monthIndex,
-      recurrencePattern.monthlyWeekdayName,
-      recurrencePattern.monthlyWeekday
-    );
+  if (!type || !['daily', 'weekly', 'monthly', 'yearly', 'custom'].includes(type)) {
+    throw new Error('Invalid recurrence type');
   }
 
-  const dayOfMonth = Math.max(1, recurrencePattern.monthlyDay || 1);
-  const safeDay = Math.min(dayOfMonth, getDaysInMonth(year, monthIndex));
-  return new Date(year, monthIndex, safeDay);
-};
-
-const calculateFirstScheduledOccurrence = (recurrencePattern, startDate) => {
-  const normalizedStartDate = normalizeScheduleDate(startDate);
-  if (!normalizedStartDate || !recurrencePattern) return null;
-
-  const firstOccurrence = new Date(normalizedStartDate);
-
-  switch (recurrencePattern.type) {
-    case 'weekly': {
-      const weekdays = recurrencePattern.weekdays || [];
-      if (!weekdays.length) {
-        return firstOccurrence;
-      }
-
-      for (let i = 0; i <= 7 * Math.max(1, recurrencePattern.interval || 1); i += 1) {
-        const candidate = new Date(normalizedStartDate);
-        candidate.setDate(normalizedStartDate.getDate() + i);
-        const weekdayName = Object.keys(SCHEDULED_WEEKDAY_INDEX).find(
-          (key) => SCHEDULED_WEEKDAY_INDEX[key] === candidate.getDay()
-        );
-        if (weekdayName && weekdays.includes(weekdayName)) {
-          return candidate;
-        }
-      }
-      return firstOccurrence;
-    }
-    case 'monthly': {
-      if (recurrencePattern.monthlyType === 'regenerate') {
-        return firstOccurrence;
-      }
-
-      let monthOffset = 0;
-      const interval = Math.max(1, recurrencePattern.interval || 1);
-
-      while (monthOffset < 240) {
-        const candidateMonth = new Date(
-          normalizedStartDate.getFullYear(),
-          normalizedStartDate.getMonth() + monthOffset,
-          1
-        );
-        const candidate = getMonthlyOccurrenceForDate(
-          recurrencePattern,
-          candidateMonth.getFullYear(),
-          candidateMonth.getMonth()
-        );
-        if (candidate && candidate >= normalizedStartDate) {
-          return candidate;
-        }
-        monthOffset += interval;
-      }
-      return firstOccurrence;
+  if (type === 'custom') {
+    try {
+      parseRRule(recurrencePattern.rrule);
+    } catch (error) {
+      throw new Error(`Invalid RRULE: ${error.message}`);
     }
-    default:
-      return firstOccurrence;
+  } else if (!interval || interval < 1) {
+    throw new Error('Invalid recurrence interval');
   }
-};
-
-const calculateNextScheduledOccurrence = (recurrencePattern, lastOccurrence) => {
-  const normalizedLastOccurrence = normalizeScheduleDate(lastOccurrence);
-  if (!normalizedLastOccurrence || !recurrencePattern) return null;
-
-  const nextDate = new Date(normalizedLastOccurrence);
-
-  switch (recurrencePattern.type) {
-    case 'daily':
-      nextDate.setDate(normalizedLastOccurrence.getDate() + Math.max(1, recurrencePattern.interval || 1));
-      return nextDate;
-    case 'weekly': {
-      const weekdays = recurrencePattern.weekdays || ['monday'];
-      const interval = Math.max(1, recurrencePattern.interval || 1);
-
-      for (let i = 1; i <= 7 * interval; i += 1) {
-        const candidate = new Date(normalizedLastOccurrence);
-        candidate.setDate(normalizedLastOccurrence.getDate() + i);
-        const weekdayName = Object.keys(SCHEDULED_WEEKDAY_INDEX).find(
-          (key) => SCHEDULED_WEEKDAY_INDEX[key] === candidate.getDay()
-        );
-        if (weekdayName && weekdays.includes(weekdayName)) {
-          return candidate;
-        }
-      }
-
-      nextDate.setDate(normalizedLastOccurrence.getDate() + (7 * interval));
-      return nextDate;
-    }
-    case 'monthly': {
-      if (recurrencePattern.monthlyType === 'regenerate') {
-        return null;
-      }
 
-      const interval = Math.max(1, recurrencePattern.interval || 1);
-      const candidateMonth = new Date(
-        normalizedLastOccurrence.getFullYear(),
-        normalizedLastOccurrence.getMonth() + interval,
-        1
-      );
-      return getMonthlyOccurrenceForDate(
-        recurrencePattern,
-        candidateMonth.getFullYear(),
-        candidateMonth.getMonth()
-      );
-    }
-    case 'yearly':
-      nextDate.setFullYear(normalizedLastOccurrence.getFullYear() + Math.max(1, recurrencePattern.interval || 1));
-      return nextDate;
-    default:
-      return null;
+  if (type === 'weekly' && (!Array.isArray(weekdays) || weekdays.length === 0)) {
+    throw new Error('Weekly recurrence requires at least one weekday selected');
   }
-};
-
-const validateRecurrencePattern = (recurrencePattern) => {
-  const { type, interval, weekdays } = recurrencePattern || {};
 
-  if (!type || !['daily', 'weekly', 'monthly', 'yearly'].includes(type)) {
-    throw new Error('Invalid recurrence type');
+  if (recurrencePattern.missedOccurrences && !['skip', 'all', 'latest'].includes(recurrencePattern.missedOccurrences)) {
+    throw new Error('Invalid missed occurrence policy');
   }
 
-  if (!interval || interval < 1) {
-    throw new Error('Invalid recurrence interval');
+  if (exdates !== undefined && (!Array.isArray(exdates) || !exdates.every(isDateKey))) {
+    throw new Error('Excluded dates must be YYYY-MM-DD dates');
   }
 
-  if (type === 'weekly' && (!Array.isArray(weekdays) || weekdays.length === 0)) {
-    throw new Error('Weekly recurrence requires at least one weekday selected');
+  if (holidayPolicy && !Object.values(HOLIDAY_POLICIES).includes(holidayPolicy)) {
+    throw new Error('Invalid holiday policy');
   }
 };
 
@@ -631,9 +558,12 @@ export const createScheduledTask = async (taskData, currentUserId, currentUserNa
       throw new Error('A valid start date is required for scheduled tasks');
     }
 
-    const firstOccurrence = calculateFirstScheduledOccurrence(taskData.recurrencePattern, scheduleStartDate);
+    const firstOccurrence = await calculateFirstScheduledOccurrence(
+      taskData.recurrencePattern,
+      toDateKey(taskData.scheduledStartDate || taskData.targetDate)
+    );
     if (!firstOccurrence) {
-      throw new Error('Failed to calculate the first scheduled occurrence');
+      throw new Error('The recurrence pattern has no dates on or after the start date');
     }
 
     const scheduledTaskData = {
@@ -648,13 +578,20 @@ export const createScheduledTask = async (taskData, currentUserId, currentUserNa
       points: taskData.points,
       notes: taskData.notes || [],
       photos: taskData.photos || [],
+      checklist: resetChecklist(taskData.checklist),
+      requireChecklistComplete: taskData.requireChecklistComplete || false,
+      requiresReview: taskData.requiresReview || false,
       isUrgent: taskData.isUrgent || false,
       isRdNewSkill: taskData.isRdNewSkill || false,
       projectSkillName: taskData.isRdNewSkill ? (taskData.projectSkillName || '') : '',
+      goalId: taskData.goalId || null,
+      keyResultId: taskData.keyResultId || null,
+      projectId: taskData.projectId || null,
       recurrencePattern: JSON.parse(JSON.stringify(taskData.recurrencePattern)),
       scheduledStartDate: scheduleStartDate.toISOString(),
       targetDate: scheduleStartDate.toISOString(),
-      nextOccurrence: Timestamp.fromDate(firstOccurrence),
+      nextOccurrence: fromDateKey(firstOccurrence.date),
+      nextSeriesDate: firstOccurrence.seriesDate,
       occurrenceCount: 0,
       isActive: taskData.isActive !== undefined ? taskData.isActive : true,
       createdAt: serverTimestamp(),
@@ -663,21 +600,21 @@ export const createScheduledTask = async (taskData, currentUserId, currentUserNa
       createdByName: currentUserName,
     };
 
-    const res = await addDoc(collection(db, SCHEDULED_TASKS_COLLECTION), scheduledTaskData);
+    const scheduledTaskId = await scheduledTasksRepository.add(scheduledTaskData);
     
     try {
-      await logTaskActivity('create_scheduled', { ...scheduledTaskData, id: res.id }, currentUserId, currentUserName, {
+      await logTaskActivity('create_scheduled', { ...scheduledTaskData, id: scheduledTaskId }, currentUserId, currentUserName, {
         recurrenceType: taskData.recurrencePattern.type,
         interval: taskData.recurrencePattern.interval,
         assignedUserCount: taskData.assignedUserIds?.length || 0,
         isUrgent: taskData.isUrgent || false,
-        firstOccurrence: firstOccurrence.toISOString()
+        firstOccurrence: firstOccurrence.date
       });
     } catch (error) {
       console.warn('Failed to log scheduled task creation activity:', error);
     }
     
-    return res.id;
+    return scheduledTaskId;
   } catch (error) {
     console.error('Error creating scheduled task:', error);
     throw new Error(`Failed to create scheduled task: ${error.message}`);
@@ -685,12 +622,7 @@ export const createScheduledTask = async (taskData, currentUserId, currentUserNa
 };
 
 export const subscribeScheduledTasks = (onChange) => {
-  const scheduledTasksRef = collection(db, SCHEDULED_TASKS_COLLECTION);
-  
-  return onSnapshot(scheduledTasksRef, (snap) => {
-    const scheduledTasks = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    onChange(scheduledTasks);
-  }, (error) => {
+  return scheduledTasksRepository.subscribe(null, onChange, (error) => {
     console.warn('Scheduled tasks listener error:', error);
     // Don't call onChange on error to avoid clearing data
   });
@@ -699,15 +631,12 @@ export const subscribeScheduledTasks = (onChange) => {
 export const updateScheduledTask = async (scheduledTaskId, updates = {}, currentUserId, currentUserName = 'Unknown') => {
   const effectiveUserId = currentUserId || (typeof localStorage !== 'undefined' ? localStorage.getItem('kartavya_userId') : null) || 'system';
   const effectiveUserName = currentUserName || (typeof localStorage !== 'undefined' ? (localStorage.getItem('kartavya_userName') || 'Unknown') : 'Unknown');
-  const scheduledTaskRef = doc(db, SCHEDULED_TASKS_COLLECTION, scheduledTaskId);
-  const scheduledTaskSnap = await getDoc(scheduledTaskRef);
+  const currentTask = await scheduledTasksRepository.get(scheduledTaskId);
 
-  if (!scheduledTaskSnap.exists()) {
+  if (!currentTask) {
     throw new Error('Scheduled task not found');
   }
 
-  const currentTask = scheduledTaskSnap.data();
-
   const cleanUpdates = cleanFirestoreData(updates);
   const mergedTask = {
     ...currentTask,
@@ -735,30 +664,29 @@ export const updateScheduledTask = async (scheduledTaskId, updates = {}, current
   }
 
   if (schedulingFieldsChanged && mergedTask.isActive) {
-    const scheduleStartDate = normalizeScheduleDate(
-      mergedTask.scheduledStartDate || mergedTask.targetDate || currentTask.nextOccurrence
-    );
+    const scheduleStartValue = data.scheduledStartDate || mergedTask.scheduledStartDate || mergedTask.targetDate || currentTask.nextOccurrence;
 
-    if (!scheduleStartDate) {
+    if (!normalizeScheduleDate(scheduleStartValue)) {
       throw new Error('A valid start date is required for scheduled tasks');
     }
 
-    const recalculatedNextOccurrence = calculateFirstScheduledOccurrence(
+    const recalculatedNextOccurrence = await calculateFirstScheduledOccurrence(
       mergedTask.recurrencePattern,
-      scheduleStartDate
+      toDateKey(scheduleStartValue)
     );
 
     if (!recalculatedNextOccurrence) {
-      throw new Error('Failed to calculate the next scheduled occurrence');
+      throw new Error('The recurrence pattern has no dates on or after the start date');
     }
 
-    data.nextOccurrence = Timestamp.fromDate(recalculatedNextOccurrence);
+    data.nextOccurrence = fromDateKey(recalculatedNextOccurrence.date);
+    data.nextSeriesDate = recalculatedNextOccurrence.seriesDate;
     data.lastError = null;
     data.endedAt = null;
   }
   
   const finalData = cleanFirestoreData(data);
-  await updateDoc(scheduledTaskRef, finalData);
+  await scheduledTasksRepository.update(scheduledTaskId, finalData);
   
   try {
     await logTaskActivity('update_scheduled', { id: scheduledTaskId, ...updates }, effectiveUserId, effectiveUserName, {
@@ -774,16 +702,12 @@ export const deleteScheduledTask = async (scheduledTaskId, currentUserId = 'syst
   // Get the current scheduled task data for logging
   let currentScheduledTask = null;
   try {
-    const scheduledTaskRef = doc(db, SCHEDULED_TASKS_COLLECTION, scheduledTaskId);
-    const scheduledTaskSnap = await getDoc(scheduledTaskRef);
-    if (scheduledTaskSnap.exists()) {
-      currentScheduledTask = { id: scheduledTaskSnap.id, ...scheduledTaskSnap.data() };
-    }
+    currentScheduledTask = await scheduledTasksRepository.get(scheduledTaskId);
   } catch (error) {
     console.warn('Failed to get current scheduled task for logging:', error);
   }
 
-  await deleteDoc(doc(db, SCHEDULED_TASKS_COLLECTION, scheduledTaskId));
+  await scheduledTasksRepository.remove(scheduledTaskId);
   
   // Log scheduled task deletion activity
   if (currentScheduledTask) {
@@ -799,12 +723,10 @@ export const deleteScheduledTask = async (scheduledTaskId, currentUserId = 'syst
   }
 };
 
-export const getScheduledTask = async (scheduledTaskId) => {
-  const ref = doc(db, SCHEDULED_TASKS_COLLECTION, scheduledTaskId);
-  const snap = await getDoc(ref);
-  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
-};
+export const getScheduledTask = (scheduledTaskId) => scheduledTasksRepository.get(scheduledTaskId);
 
+// Occurrences are also created every 15 minutes by the processScheduledTasks cron;
+// this runs the same processing on demand.
 export const triggerScheduledTasks = async () => {
   try {
     // Get the Firebase project ID from the config
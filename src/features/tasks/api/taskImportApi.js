@@ -0,0 +1,40 @@
+import { createTask } from './taskApi';
+import { logActivity } from '../../../shared/utils/activityLogger';
+
+/**
+ * Create the checked rows of a task import (see utils/taskImport.js) one by
+ * one through createTask, so each gets the usual creation activity entry.
+ * @param {Array<{rowNumber: number, task: Object}>} rows - Rows without errors
+ * @param {Object} currentUser
+ * @param {Object} [options]
+ * @param {string} [options.fileName]
+ * @param {Function} [options.onProgress] - Called with the number of rows done
+ * @returns {Promise<{created: Array<{rowNumber: number, taskId: string}>, failed: Array<{rowNumber: number, title: string, reason: string}>}>}
+ */
+export const importTasks = async (rows, currentUser, { fileName = '', onProgress } = {}) => {
+  const created = [];
+  const failed = [];
+
+  for (const { rowNumber, task } of rows) {
+    try {
+      const taskId = await createTask(task, currentUser.id, currentUser.name);
+      created.push({ rowNumber, taskId });
+    } catch (error) {
+      console.error(`Error importing row ${rowNumber}:`, error);
+      failed.push({ rowNumber, title: task.title, reason: error.message });
+    }
+    onProgress?.(created.length + failed.length);
+  }
+
+  try {
+    await logActivity('import_tasks', 'task', null, fileName || 'Task import', currentUser.id, currentUser.name, {
+      fileName,
+      createdCount: created.length,
+      failedCount: failed.length,
+    });
+  } catch (error) {
+    console.warn('Failed to log import_tasks activity:', error);
+  }
+
+  return { created, failed };
+};
@@ -0,0 +1,131 @@
+import {
+  taskTemplatesRepository,
+  taskTemplateVersionsRepository,
+  saveTaskTemplateVersion,
+} from '../../../shared/data/taskTemplatesRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
+import { logActivity } from '../../../shared/utils/activityLogger';
+import { toTemplateContent, canManageTemplates } from '../utils/taskTemplates';
+
+// Task templates (see utils/taskTemplates.js). Firestore rules allow the
+// same writers as canManageTemplates.
+
+const assertCanManage = (currentUser, departmentId) => {
+  if (!canManageTemplates(currentUser, departmentId)) {
+    throw new Error('You can only manage templates of your own departments');
+  }
+};
+
+const logTemplateActivity = async (action, templateId, template, currentUser, details = {}) => {
+  try {
+    await logActivity(action, 'task_template', templateId, template.name, currentUser.id, currentUser.name, {
+      departmentId: template.departmentId,
+      ...details,
+    });
+  } catch (error) {
+    console.warn(`Failed to log ${action} activity:`, error);
+  }
+};
+
+/**
+ * @param {Function} onChange - Called with every template, archived ones included
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTaskTemplates = (onChange) => {
+  return taskTemplatesRepository.subscribe(null, onChange, (error) => {
+    console.warn('Task templates listener error:', error);
+  });
+};
+
+/**
+ * @param {Object} values - Template form values, with departmentId
+ * @param {Object} currentUser
+ * @returns {Promise<string>} The new template id
+ */
+export const createTaskTemplate = async (values, currentUser) => {
+  assertCanManage(currentUser, values?.departmentId);
+  const template = {
+    ...toTemplateContent(values),
+    departmentId: values.departmentId,
+    version: 1,
+    isArchived: false,
+    createdById: currentUser.id,
+    createdByName: currentUser.name,
+    createdAt: serverTimestamp(),
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  };
+  const templateId = await taskTemplatesRepository.add(template);
+  await logTemplateActivity('create_template', templateId, template, currentUser);
+  return templateId;
+};
+
+/**
+ * Save edited content as a new version. The department cannot change.
+ * @param {string} templateId
+ * @param {Object} values - Template form values
+ * @param {Object} currentUser
+ * @returns {Promise<number>} The new version number
+ */
+export const updateTaskTemplate = async (templateId, values, currentUser) => {
+  let previous = null;
+  const patch = await saveTaskTemplateVersion(templateId, (current) => {
+    assertCanManage(currentUser, current.departmentId);
+    previous = current;
+    return {
+      ...toTemplateContent(values),
+      updatedById: currentUser.id,
+      updatedByName: currentUser.name,
+      updatedAt: serverTimestamp(),
+    };
+  });
+  await logTemplateActivity('update_template', templateId, { ...previous, ...patch }, currentUser, {
+    version: patch.version,
+  });
+  return patch.version;
+};
+
+/**
+ * Make an earlier version current again, as a new version
+ * @param {string} templateId
+ * @param {number} version
+ * @param {Object} currentUser
+ * @returns {Promise<number>} The new version number
+ */
+export const restoreTaskTemplateVersion = async (templateId, version, currentUser) => {
+  const snapshot = await taskTemplateVersionsRepository.get(templateId, String(version));
+  if (!snapshot) throw new Error(`Version ${version} not found`);
+  return updateTaskTemplate(templateId, snapshot, currentUser);
+};
+
+/**
+ * Earlier versions of a template, newest first
+ * @param {string} templateId
+ * @returns {Promise<Array>}
+ */
+export const getTaskTemplateVersions = async (templateId) => {
+  const versions = await taskTemplateVersionsRepository.list(templateId);
+  return versions.sort((a, b) => b.version - a.version);
+};
+
+/**
+ * Hide a template from the pickers, or bring it back. Archiving does not
+ * create a version.
+ * @param {string} templateId
+ * @param {boolean} isArchived
+ * @param {Object} currentUser
+ */
+export const setTaskTemplateArchived = async (templateId, isArchived, currentUser) => {
+  const template = await taskTemplatesRepository.get(templateId);
+  if (!template) throw new Error('Template not found');
+  assertCanManage(currentUser, template.departmentId);
+
+  await taskTemplatesRepository.update(templateId, {
+    isArchived,
+    updatedById: currentUser.id,
+    updatedByName: currentUser.name,
+    updatedAt: serverTimestamp(),
+  });
+  await logTemplateActivity(isArchived ? 'archive_template' : 'unarchive_template', templateId, template, currentUser);
+};
@@ -0,0 +1,61 @@
+import { recordTaskTimer, taskWorkSessionsRepository, listAllWorkSessions } from '../../../shared/data/tasksRepository';
+import { serverTimestamp } from '../../../shared/data/fieldValues';
+import { buildTimerChange, buildStopAllTimersChange } from '../utils/timeTracking';
+
+// Work-session timers (see utils/timeTracking.js). Each change runs in a
+// transaction, so assignees of the same task do not overwrite each other's
+// timers or totals.
+
+/**
+ * Start, pause, resume or stop the current user's timer on a task
+ * @param {string} taskId
+ * @param {string} action - One of TIMER_ACTIONS
+ * @param {Object} currentUser - { id, name }
+ * @returns {Promise<Object>} The task patch written
+ */
+export const changeTaskTimer = async (taskId, action, currentUser) => {
+  const sessionId = crypto.randomUUID();
+  const change = await recordTaskTimer(taskId, (task) => buildTimerChange(task, currentUser, action, {
+    sessionId,
+    now: new Date(),
+    stamp: serverTimestamp(),
+  }));
+  return change.patch;
+};
+
+/**
+ * Close every timer on a task; called when it stops being ongoing
+ * @param {string} taskId
+ */
+export const stopAllTaskTimers = async (taskId) => {
+  await recordTaskTimer(taskId, (task) => buildStopAllTimersChange(task, {
+    now: new Date(),
+    stamp: serverTimestamp(),
+  }) || { sessions: [], patch: {} });
+};
+
+/**
+ * A task's work sessions, oldest first
+ * @param {string} taskId
+ * @returns {Promise<Array>}
+ */
+export const getTaskWorkSessions = (taskId) => taskWorkSessionsRepository.list(taskId, {
+  orderBy: { field: 'startedAt', direction: 'asc' },
+});
+
+/**
+ * Work sessions started within a period, for timesheets
+ * @param {Object} range
+ * @param {Date} range.startDate - Inclusive
+ * @param {Date} range.endDate - Exclusive
+ * @param {string} [range.userId] - One user's sessions only
+ * @returns {Promise<Array>}
+ */
+export const getWorkSessionsInRange = ({ startDate, endDate, userId = null }) => listAllWorkSessions({
+  filters: [
+    ...(userId ? [{ field: 'userId', op: '==', value: userId }] : []),
+    { field: 'startedAt', op: '>=', value: startDate },
+    { field: 'startedAt', op: '<', value: endDate },
+  ],
+  orderBy: { field: 'startedAt', direction: 'asc' },
+});
@@ -1,24 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { ROLES } from '../../../shared/constants';
+import { APPROVAL_TYPE_LABELS } from '../../approvals/utils/approvalLabels';
 
 /**
- * ApprovalPanel - Shows pending self-assigned tasks that need approval from department heads, management, and admins
+ * ApprovalPanel - Shows pending tasks that need the current user's approval
  * Similar to the priority nudge panel in TasksTab
+ *
+ * Tasks in an approval chain come from `approvalRequests` (the user's
+ * undismissed requests; dismissals are kept on the request). Tasks created
+ * before approval chains only have `needsApproval`; those are shown to
+ * department heads, management, and admins, and dismissed in localStorage.
  */
 export default function ApprovalPanel({ 
   tasks, 
   currentUser, 
   users,
+  approvalRequests = [],
   onApprove, 
   onReject,
   onEdit,
   onDismiss, 
   t 
 }) {
-  // Only show to department heads, management, and admins
-  if (currentUser?.role !== ROLES.HEAD && currentUser?.role !== ROLES.MANAGEMENT && currentUser?.role !== ROLES.ADMIN) {
-    return null;
-  }
+  const isApprover = currentUser?.role === ROLES.HEAD || currentUser?.role === ROLES.MANAGEMENT || currentUser?.role === ROLES.ADMIN;
 
   // Get user's department(s) - Admins and Management can see all departments
   const userDepartments = currentUser?.departmentIds || [];
@@ -43,8 +47,12 @@ export default function ApprovalPanel({
     setDismissedApprovals(getDismissedApprovals());
   }, [currentUser.id]);
   
-  // Handle dismiss with state update
+  // Handle dismiss with state update; chain approvals are dismissed on their request by the parent
   const handleDismiss = (taskId) => {
+    if (requestsByTaskId.has(taskId)) {
+      onDismiss(taskId);
+      return;
+    }
     const storageKey = `kartavya_dismissed_approval_${currentUser.id}`;
     try {
       const existing = JSON.parse(localStorage.getItem(storageKey) || '[]');
@@ -61,10 +69,18 @@ export default function ApprovalPanel({
     onDismiss(taskId);
   };
   
+  const requestsByTaskId = new Map(approvalRequests
+    .filter((request) => request.subject?.kind === 'task')
+    .map((request) => [request.subject.id, request]));
+
   // Find tasks that need approval in the user's department(s)
   const tasksNeedingApproval = tasks.filter(task => {
-    // Must need approval and not yet approved
-    if (!task.needsApproval || task.approvedBy) {
+    if (requestsByTaskId.has(task.id)) {
+      return true;
+    }
+
+    // Legacy approvals: must need approval and not yet approved
+    if (!isApprover || task.approvalRequestId || !task.needsApproval || task.approvedBy) {
       return false;
     }
     
@@ -97,6 +113,8 @@ export default function ApprovalPanel({
     return aTime - bTime;
   })[0];
 
+  const nextRequest = requestsByTaskId.get(nextTask.id);
+
   // Get task creator info
   const taskCreator = users.find(u => u.id === nextTask.assignedById);
   const creatorName = taskCreator?.name || nextTask.assignedByName || 'Unknown';
@@ -119,8 +137,8 @@ export default function ApprovalPanel({
           </div>
           <p className="mt-1 text-xs text-amber-700">
             {tasksNeedingApproval.length === 1 
-              ? t('oneTaskNeedsApproval', '1 self-assigned task needs your approval')
-              : t('multipleTasksNeedApproval', `${tasksNeedingApproval.length} self-assigned tasks need your approval`)
+              ? t('oneTaskNeedsApproval', '1 task needs your approval')
+              : t('multipleTasksNeedApproval', tasksNeedingApproval.length)
             }
           </p>
         </div>
@@ -165,6 +183,14 @@ export default function ApprovalPanel({
             👤 {creatorName}
           </span>
           
+          {/* Approval chain and step */}
+          {nextRequest && (
+            <span className="inline-flex items-center gap-1 rounded-full bg-amber-100 px-2 py-0.5 text-amber-700">
+              {t(...APPROVAL_TYPE_LABELS[nextRequest.type])}
+              {nextRequest.steps.length > 1 && ` · ${t('approvalStep', nextRequest.currentStep + 1, nextRequest.steps.length)}`}
+            </span>
+          )}
+
           {/* Difficulty badge */}
           <span className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 font-medium ${difficultyBadge.color}`}>
             {difficultyBadge.label}
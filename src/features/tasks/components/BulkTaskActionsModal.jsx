@@ -0,0 +1,265 @@
+import React, { useMemo, useState } from 'react';
+import { DIFFICULTY_CONFIG } from '../../../shared/constants';
+import { toISTDateString } from '../../../shared/utils/date';
+import { runBulkTaskAction } from '../api/bulkTaskApi';
+import { BULK_ACTIONS, canManageTask } from '../utils/bulkTaskActions';
+
+const ACTION_OPTIONS = [
+  { value: BULK_ACTIONS.REASSIGN, label: 'bulkReassign', fallback: 'Reassign' },
+  { value: BULK_ACTIONS.TARGET_DATE, label: 'bulkChangeTargetDate', fallback: 'Change target date' },
+  { value: BULK_ACTIONS.DIFFICULTY, label: 'bulkChangeDifficulty', fallback: 'Change difficulty' },
+  { value: BULK_ACTIONS.APPROVE, label: 'bulkApprove', fallback: 'Approve' },
+  { value: BULK_ACTIONS.REJECT, label: 'bulkReject', fallback: 'Reject' },
+  { value: BULK_ACTIONS.URGENT, label: 'bulkMarkUrgent', fallback: 'Mark urgent' },
+  { value: BULK_ACTIONS.ADD_OBSERVERS, label: 'bulkAddObservers', fallback: 'Add observers' },
+  { value: BULK_ACTIONS.MOVE_DEPARTMENT, label: 'bulkMoveDepartment', fallback: 'Move department' },
+];
+
+function UserChecklist({ users, selectedIds, onChange, t }) {
+  if (users.length === 0) {
+    return <p className="text-sm text-slate-500">{t('noUsersAvailable', 'No users available')}</p>;
+  }
+  return (
+    <div className="max-h-40 overflow-y-auto rounded border border-slate-200 p-2 space-y-1">
+      {users.map((user) => (
+        <label key={user.id} className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={selectedIds.includes(user.id)}
+            onChange={(e) => onChange(e.target.checked ? [...selectedIds, user.id] : selectedIds.filter((id) => id !== user.id))}
+            className="mr-2"
+          />
+          {user.name}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * BulkTaskActionsModal - Applies one action to the selected tasks and lists
+ * the tasks it could not change.
+ */
+export default function BulkTaskActionsModal({ isOpen, onClose, onComplete, tasks = [], currentUser, users = [], departments = [], t }) {
+  const [action, setAction] = useState(BULK_ACTIONS.REASSIGN);
+  const [userIds, setUserIds] = useState([]);
+  const [targetDate, setTargetDate] = useState(() => toISTDateString());
+  const [difficulty, setDifficulty] = useState('medium');
+  const [reason, setReason] = useState('');
+  const [isUrgent, setIsUrgent] = useState(true);
+  const [departmentId, setDepartmentId] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const taskDepartmentIds = useMemo(() => Array.from(new Set(tasks.map((task) => task.departmentId))), [tasks]);
+
+  // Reassigning only offers users of the selected tasks' departments, moving
+  // only users of the target department
+  const userOptions = useMemo(() => {
+    const departmentIds = action === BULK_ACTIONS.MOVE_DEPARTMENT ? [departmentId] : taskDepartmentIds;
+    const candidates = action === BULK_ACTIONS.ADD_OBSERVERS
+      ? users
+      : users.filter((user) => user.departmentIds?.some((id) => departmentIds.includes(id)));
+    return [...candidates].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }, [action, departmentId, taskDepartmentIds, users]);
+
+  const targetDepartments = useMemo(
+    () => departments.filter((department) => canManageTask(currentUser, { departmentId: department.id })),
+    [departments, currentUser]
+  );
+
+  const reset = () => {
+    setUserIds([]);
+    setReason('');
+    setDepartmentId('');
+    setResult(null);
+  };
+
+  const handleClose = () => {
+    if (isSubmitting) return;
+    if (result) onComplete?.(result);
+    reset();
+    onClose();
+  };
+
+  const handleActionChange = (value) => {
+    setAction(value);
+    setUserIds([]);
+  };
+
+  const getParams = () => {
+    switch (action) {
+      case BULK_ACTIONS.REASSIGN: return { assignedUserIds: userIds };
+      case BULK_ACTIONS.TARGET_DATE: return { targetDate };
+      case BULK_ACTIONS.DIFFICULTY: return { difficulty };
+      case BULK_ACTIONS.REJECT: return { reason: reason.trim() };
+      case BULK_ACTIONS.URGENT: return { isUrgent };
+      case BULK_ACTIONS.ADD_OBSERVERS: return { observerIds: userIds };
+      case BULK_ACTIONS.MOVE_DEPARTMENT: return { departmentId, assignedUserIds: userIds };
+      default: return {};
+    }
+  };
+
+  const isValid = () => {
+    switch (action) {
+      case BULK_ACTIONS.REASSIGN:
+      case BULK_ACTIONS.ADD_OBSERVERS: return userIds.length > 0;
+      case BULK_ACTIONS.TARGET_DATE: return !!targetDate;
+      case BULK_ACTIONS.REJECT: return !!reason.trim();
+      case BULK_ACTIONS.MOVE_DEPARTMENT: return !!departmentId;
+      default: return true;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const outcome = await runBulkTaskAction(action, tasks, getParams(), currentUser, { users, departments });
+      if (outcome.failed.length === 0) {
+        onComplete?.(outcome);
+        reset();
+        onClose();
+      } else {
+        setResult(outcome);
+      }
+    } catch (error) {
+      console.error('Error running bulk task action:', error);
+      alert(error.message || t('bulkActionError', 'Failed to update the selected tasks. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h3 className="text-xl font-semibold text-gray-900">
+            {t('bulkTaskActions', 'Bulk Actions')}
+            <span className="ml-2 text-sm font-normal text-gray-500">{tasks.length} {t('tasks', 'tasks')} {t('selected', 'selected')}</span>
+          </h3>
+          <button onClick={handleClose} disabled={isSubmitting} className="text-gray-400 hover:text-gray-600 text-2xl disabled:opacity-50">
+            ×
+          </button>
+        </div>
+
+        {result ? (
+          <div className="p-6 overflow-y-auto space-y-3">
+            <p className="text-sm text-slate-700">
+              {t('bulkActionPartial', result.succeeded.length, result.failed.length)}
+            </p>
+            <ul className="space-y-1 text-sm">
+              {result.failed.map((failure) => (
+                <li key={failure.taskId} className="rounded bg-red-50 px-3 py-2">
+                  <span className="font-medium text-slate-800">{failure.title || t('untitledTask', 'Untitled task')}</span>
+                  <span className="block text-xs text-red-700">{failure.reason}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end">
+              <button type="button" onClick={handleClose} className="btn btn-secondary">{t('close', 'Close')}</button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="flex flex-col min-h-0">
+            <div className="p-6 space-y-4 overflow-y-auto">
+              <div>
+                <label htmlFor="bulkAction" className="block text-sm font-medium text-slate-700 mb-1">{t('bulkAction', 'Action')}</label>
+                <select id="bulkAction" value={action} onChange={(e) => handleActionChange(e.target.value)} className="select" disabled={isSubmitting}>
+                  {ACTION_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{t(option.label, option.fallback)}</option>
+                  ))}
+                </select>
+              </div>
+
+              {action === BULK_ACTIONS.REASSIGN && (
+                <div>
+                  <p className="block text-sm font-medium text-slate-700 mb-1">{t('assignTo', 'Assign to')}</p>
+                  <UserChecklist users={userOptions} selectedIds={userIds} onChange={setUserIds} t={t} />
+                  <p className="text-xs text-slate-500 mt-1">{t('bulkReassignHelp', 'Each task keeps only the chosen users from its own department.')}</p>
+                </div>
+              )}
+
+              {action === BULK_ACTIONS.TARGET_DATE && (
+                <div>
+                  <label htmlFor="bulkTargetDate" className="block text-sm font-medium text-slate-700 mb-1">{t('targetDate', 'Target date')}</label>
+                  <input id="bulkTargetDate" type="date" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} className="input" required />
+                </div>
+              )}
+
+              {action === BULK_ACTIONS.DIFFICULTY && (
+                <div>
+                  <label htmlFor="bulkDifficulty" className="block text-sm font-medium text-slate-700 mb-1">{t('difficulty', 'Difficulty')}</label>
+                  <select id="bulkDifficulty" value={difficulty} onChange={(e) => setDifficulty(e.target.value)} className="select">
+                    {Object.entries(DIFFICULTY_CONFIG).map(([key, config]) => (
+                      <option key={key} value={key}>{config.label} ({config.points} {t('points', 'points')})</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {action === BULK_ACTIONS.APPROVE && (
+                <p className="text-sm text-slate-600">{t('bulkApproveHelp', 'Tasks that are waiting for approval will be approved.')}</p>
+              )}
+
+              {action === BULK_ACTIONS.REJECT && (
+                <div>
+                  <label htmlFor="bulkRejectReason" className="block text-sm font-medium text-slate-700 mb-1">
+                    {t('rejectionReason', 'Reason for rejection')} <span className="text-red-500">*</span>
+                  </label>
+                  <textarea id="bulkRejectReason" value={reason} onChange={(e) => setReason(e.target.value)} className="input" rows={3} required />
+                </div>
+              )}
+
+              {action === BULK_ACTIONS.URGENT && (
+                <label className="flex items-center text-sm text-slate-700">
+                  <input type="checkbox" checked={isUrgent} onChange={(e) => setIsUrgent(e.target.checked)} className="mr-2" />
+                  {t('markAsUrgent', 'Mark as urgent')}
+                </label>
+              )}
+
+              {action === BULK_ACTIONS.ADD_OBSERVERS && (
+                <div>
+                  <p className="block text-sm font-medium text-slate-700 mb-1">{t('observers', 'Observers')}</p>
+                  <UserChecklist users={userOptions} selectedIds={userIds} onChange={setUserIds} t={t} />
+                </div>
+              )}
+
+              {action === BULK_ACTIONS.MOVE_DEPARTMENT && (
+                <>
+                  <div>
+                    <label htmlFor="bulkDepartment" className="block text-sm font-medium text-slate-700 mb-1">{t('department', 'Department')}</label>
+                    <select id="bulkDepartment" value={departmentId} onChange={(e) => { setDepartmentId(e.target.value); setUserIds([]); }} className="select" required>
+                      <option value="">{t('selectDepartment', 'Select department')}</option>
+                      {targetDepartments.map((department) => (
+                        <option key={department.id} value={department.id}>{department.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {departmentId && (
+                    <div>
+                      <p className="block text-sm font-medium text-slate-700 mb-1">{t('bulkFallbackAssignees', 'Assign to, if no current assignee is in this department')}</p>
+                      <UserChecklist users={userOptions} selectedIds={userIds} onChange={setUserIds} t={t} />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+              <button type="button" onClick={handleClose} disabled={isSubmitting} className="btn btn-secondary">
+                {t('cancel', 'Cancel')}
+              </button>
+              <button type="submit" disabled={isSubmitting || !isValid()} className="btn btn-primary">
+                {isSubmitting ? t('saving', 'Saving...') : t('applyToSelected', 'Apply to selected')}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
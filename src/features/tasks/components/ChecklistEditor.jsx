@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { createChecklistItem, CHECKLIST_LIMITS } from '../utils/checklist';
+
+/**
+ * ChecklistEditor - Ordered task steps with an optional assignee per step,
+ * used by TaskForm and EditTaskModal.
+ */
+export default function ChecklistEditor({
+  items = [],
+  onChange,
+  assignees = [],
+  requireComplete = false,
+  onRequireCompleteChange,
+  t,
+}) {
+  const [newItemText, setNewItemText] = useState('');
+
+  const addItem = () => {
+    const text = newItemText.trim();
+    if (!text || items.length >= CHECKLIST_LIMITS.MAX_ITEMS) return;
+    onChange([...items, createChecklistItem(text)]);
+    setNewItemText('');
+  };
+
+  const updateItem = (id, changes) => {
+    onChange(items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (id) => {
+    onChange(items.filter(item => item.id !== id));
+  };
+
+  const moveItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-slate-700">{t('checklist')}</label>
+
+      {items.length > 0 && (
+        <ol className="space-y-1">
+          {items.map((item, index) => (
+            <li key={item.id} className="flex items-center gap-1">
+              <span className="w-5 text-xs text-slate-500 text-right">{index + 1}.</span>
+              <input
+                value={item.text}
+                onChange={(e) => updateItem(item.id, { text: e.target.value })}
+                maxLength={CHECKLIST_LIMITS.MAX_TEXT_LENGTH}
+                className={`input text-sm flex-1 min-w-0 ${item.done ? 'line-through text-slate-400' : ''}`}
+              />
+              {assignees.length > 1 && (
+                <select
+                  value={item.assigneeId || ''}
+                  onChange={(e) => updateItem(item.id, { assigneeId: e.target.value || null })}
+                  className="select text-xs w-28"
+                  title={t('checklistAssignee')}
+                >
+                  <option value="">{t('anyAssignee')}</option>
+                  {assignees.map(user => (
+                    <option key={user.id} value={user.id}>{user.name}</option>
+                  ))}
+                </select>
+              )}
+              <button type="button" onClick={() => moveItem(index, -1)} disabled={index === 0} className="px-1 text-slate-500 disabled:opacity-30" aria-label="Move up">↑</button>
+              <button type="button" onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} className="px-1 text-slate-500 disabled:opacity-30" aria-label="Move down">↓</button>
+              <button type="button" onClick={() => removeItem(item.id)} className="px-1 text-red-500" aria-label="Remove step">&times;</button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          value={newItemText}
+          onChange={(e) => setNewItemText(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter adds a step instead of submitting the form
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addItem();
+            }
+          }}
+          maxLength={CHECKLIST_LIMITS.MAX_TEXT_LENGTH}
+          placeholder={t('addChecklistItem')}
+          className="input text-sm flex-1"
+        />
+        <button type="button" onClick={addItem} disabled={!newItemText.trim()} className="btn btn-xs btn-secondary">
+          + {t('add')}
+        </button>
+      </div>
+
+      {items.length > 0 && onRequireCompleteChange && (
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="requireChecklistComplete"
+            checked={requireComplete}
+            onChange={(e) => onRequireCompleteChange(e.target.checked)}
+            className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label htmlFor="requireChecklistComplete" className="text-sm text-slate-700">
+            {t('requireChecklistComplete')}
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
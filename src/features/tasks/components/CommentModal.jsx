@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
+import MentionInput from './MentionInput.jsx';
 
 export default function CommentModal({ 
   task, 
   onClose, 
   onAddComment, 
+  users = [],
   currentUser, 
   t 
 }) {
@@ -55,13 +57,15 @@ export default function CommentModal({
             <label htmlFor="comment" className="block text-sm font-medium text-gray-700 mb-2">
               {t('yourComment')}
             </label>
-            <textarea
+            <MentionInput
               id="comment"
               rows={4}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-brand-500 focus:border-transparent"
               placeholder={t('addCommentPlaceholder')}
               value={commentText}
-              onChange={(e) => setCommentText(e.target.value)}
+              onChange={setCommentText}
+              users={users}
+              excludeIds={[currentUser?.id]}
               required
             />
           </div>
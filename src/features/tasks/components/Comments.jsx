@@ -1,60 +1,271 @@
-import React from 'react';
-import { parseFirestoreTimestamp } from '../../../shared/utils/date';
-
-export default function Comments({ comments = [], t }) {
-  // Helper to safely parse any date format
-  const getSafeDate = (dateVal) => {
-    if (!dateVal) return null;
-    // Handle Firestore Timestamp
-    if (dateVal && typeof dateVal === 'object' && dateVal.seconds) {
-      return new Date(dateVal.seconds * 1000);
-    }
-    // Handle string or number
-    const d = new Date(dateVal);
-    return isNaN(d.getTime()) ? null : d;
-  };
+import React, { useState } from 'react';
+import { formatDateTime } from '../../../shared/utils/date';
+import useTaskComments from '../hooks/useTaskComments';
+import { editTaskComment, toggleCommentReaction, deleteTaskComment } from '../api/commentApi';
+import {
+  COMMENT_REACTIONS,
+  getCommentThreadId,
+  groupCommentThreads,
+  splitMentions,
+  summarizeReactions,
+  isUnreadComment,
+  hasUnreadComments,
+  canEditComment,
+  canDeleteComments,
+} from '../utils/taskComments';
+import MentionInput from './MentionInput.jsx';
+
+const CommentIcon = () => (
+  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+  </svg>
+);
+
+/**
+ * CommentBadge - Number of comments on a task, for task rows, with a dot when
+ * some are unread.
+ */
+export function CommentBadge({ task, reads, userId, t, className = '' }) {
+  const count = task.commentCount || 0;
+  if (count === 0) return null;
+  const isUnread = hasUnreadComments(task, reads, userId);
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs ${isUnread ? 'text-brand-700 font-medium' : 'text-slate-600'} ${className}`}
+      title={isUnread ? t('unreadComments', 'New comments') : t('comments')}
+    >
+      💬 {count}
+      {isUnread && <span className="w-1.5 h-1.5 rounded-full bg-brand-600" />}
+    </span>
+  );
+}
+
+/**
+ * Comments - The discussion on a task, shared with its material requests:
+ * one level of replies, reactions, @mentions, edits with their history, and
+ * a marker on what is new since the user last read it.
+ * `onReply(text, replyTo)` posts a reply the way new comments are posted.
+ */
+export default function Comments({ task, users = [], currentUser, t, onReply }) {
+  const threadId = getCommentThreadId(task);
+  const { comments, isLoading, lastReadAt } = useTaskComments(threadId, currentUser?.id);
+
+  if (isLoading) {
+    return (
+      <div className="space-y-3">
+        <h4 className="font-medium text-gray-900 flex items-center gap-2">
+          <CommentIcon />
+          {t('comments')}
+        </h4>
+        <div className="flex items-center gap-2 text-sm text-slate-500">
+          <div className="w-4 h-4 border-2 border-slate-300 border-t-transparent rounded-full animate-spin"></div>
+          <span>{t('loadingComments', 'Loading comments...')}</span>
+        </div>
+      </div>
+    );
+  }
 
   // Only render if there are comments
   if (comments.length === 0) {
     return null;
   }
 
+  const threads = groupCommentThreads(comments);
+  const itemProps = { threadId, users, currentUser, t, lastReadAt: lastReadAt ?? Infinity, onReply };
+
   return (
     <div className="space-y-3">
       <h4 className="font-medium text-gray-900 flex items-center gap-2">
-        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
-        </svg>
+        <CommentIcon />
         {t('comments')} ({comments.length})
       </h4>
-      
+
       <div className="space-y-3">
-        {comments.map((comment) => {
-          const date = getSafeDate(comment.createdAt);
-          return (
-            <div key={comment?.id || Math.random()} className="bg-gray-50 rounded-lg p-3 border border-gray-200">
-              <div className="flex items-start justify-between mb-2">
-                <div className="flex items-center gap-2">
-                  <div className="w-6 h-6 bg-brand-100 rounded-full flex items-center justify-center">
-                    <span className="text-xs font-medium text-brand-700">
-                      {comment.userName?.charAt(0)?.toUpperCase() || 'U'}
-                    </span>
-                  </div>
-                  <span className="font-medium text-sm text-gray-900">
-                    {comment.userName || 'Unknown User'}
-                  </span>
-                </div>
-                <span className="text-xs text-gray-500">
-                  {date ? `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}` : 'Unknown date'}
-                </span>
+        {threads.map(({ comment, replies }) => (
+          <div key={comment.id} className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+            <CommentItem comment={comment} {...itemProps} />
+            {replies.length > 0 && (
+              <div className="mt-3 ml-4 pl-3 border-l-2 border-gray-200 space-y-3">
+                {replies.map((reply) => (
+                  <CommentItem key={reply.id} comment={reply} {...itemProps} />
+                ))}
               </div>
-              <p className="text-sm text-gray-700 whitespace-pre-wrap">
-                {comment?.text || 'No text available'}
-              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CommentItem({ comment, threadId, users, currentUser, t, lastReadAt, onReply }) {
+  const [mode, setMode] = useState(null); // 'reply' | 'edit' | null
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const history = Array.isArray(comment.editHistory) ? comment.editHistory : [];
+  const reactions = summarizeReactions(comment, currentUser?.id);
+  const isNew = isUnreadComment(comment, lastReadAt, currentUser?.id);
+
+  const open = (nextMode) => {
+    setMode(nextMode);
+    setDraft(nextMode === 'edit' ? comment.text : '');
+  };
+
+  const handleSave = async () => {
+    if (!draft.trim()) return;
+    setIsSaving(true);
+    try {
+      if (mode === 'edit') await editTaskComment(threadId, comment.id, draft, currentUser, users);
+      else await onReply(draft, comment);
+      setMode(null);
+    } catch (error) {
+      console.error('Error saving comment:', error);
+      alert(t('commentSaveFailed', 'Failed to save the comment. Please try again.'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReact = async (emoji) => {
+    setShowPicker(false);
+    try {
+      await toggleCommentReaction(threadId, comment.id, emoji, currentUser.id);
+    } catch (error) {
+      console.error('Error reacting to comment:', error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('deleteCommentConfirm', 'Delete this comment and its replies? This cannot be undone.'))) {
+      return;
+    }
+    try {
+      await deleteTaskComment(threadId, comment.id);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      alert('Failed to delete comment. Please try again.');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-start justify-between mb-1">
+        <div className="flex items-center gap-2">
+          <div className="w-6 h-6 bg-brand-100 rounded-full flex items-center justify-center">
+            <span className="text-xs font-medium text-brand-700">
+              {comment.userName?.charAt(0)?.toUpperCase() || 'U'}
+            </span>
+          </div>
+          <span className="font-medium text-sm text-gray-900">{comment.userName || 'Unknown User'}</span>
+          {isNew && <span className="badge badge-info text-[10px]">{t('newComment', 'New')}</span>}
+        </div>
+        <div className="flex items-center gap-2 text-xs text-gray-500">
+          <span>{comment.createdAt ? formatDateTime(comment.createdAt) : 'Unknown date'}</span>
+          {history.length > 0 && (
+            <button type="button" onClick={() => setShowHistory(!showHistory)} className="underline">
+              {t('commentEdited', 'edited')}
+            </button>
+          )}
+          {canDeleteComments(currentUser) && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="text-red-500 hover:text-red-700 opacity-75 hover:opacity-100 transition-opacity"
+              title={t('deleteComment', 'Delete comment')}
+            >
+              🗑️
+            </button>
+          )}
+        </div>
+      </div>
+
+      {mode !== 'edit' && (
+        <p className="text-sm text-gray-700 whitespace-pre-wrap">
+          {splitMentions(comment.text || '', users).map((segment, index) => (
+            segment.userId
+              ? <span key={index} className={`font-medium ${segment.userId === currentUser?.id ? 'bg-yellow-100 text-brand-800' : 'text-brand-700'}`}>{segment.text}</span>
+              : <React.Fragment key={index}>{segment.text}</React.Fragment>
+          ))}
+        </p>
+      )}
+
+      {showHistory && (
+        <ul className="mt-2 space-y-1 text-xs text-gray-500 border-l-2 border-gray-200 pl-2">
+          {history.map((entry, index) => (
+            <li key={index}>
+              <span className="whitespace-pre-wrap line-through">{entry.text}</span>
+              {entry.at && <span> · {formatDateTime(entry.at)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-2 flex flex-wrap items-center gap-1 text-xs">
+        {reactions.map(({ emoji, count, mine }) => (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => handleReact(emoji)}
+            className={`rounded-full border px-2 py-0.5 ${mine ? 'border-brand-300 bg-brand-50' : 'border-gray-200 bg-white'}`}
+          >
+            {emoji} {count}
+          </button>
+        ))}
+        <div className="relative">
+          <button
+            type="button"
+            onClick={() => setShowPicker(!showPicker)}
+            className="rounded-full border border-gray-200 bg-white px-2 py-0.5 text-gray-500"
+            title={t('addReaction', 'Add reaction')}
+          >
+            ☺+
+          </button>
+          {showPicker && (
+            <div className="absolute z-10 mt-1 flex gap-1 rounded-lg border border-gray-200 bg-white p-1 shadow">
+              {COMMENT_REACTIONS.map((emoji) => (
+                <button key={emoji} type="button" onClick={() => handleReact(emoji)} className="px-1 text-base hover:scale-110">
+                  {emoji}
+                </button>
+              ))}
             </div>
-          );
-        })}
+          )}
+        </div>
+        {onReply && (
+          <button type="button" onClick={() => open('reply')} className="ml-1 text-brand-700 hover:underline">
+            {t('reply', 'Reply')}
+          </button>
+        )}
+        {canEditComment(comment, currentUser) && (
+          <button type="button" onClick={() => open('edit')} className="ml-1 text-gray-600 hover:underline">
+            {t('edit', 'Edit')}
+          </button>
+        )}
       </div>
+
+      {mode && (
+        <div className="mt-2 space-y-2">
+          <MentionInput
+            value={draft}
+            onChange={setDraft}
+            users={users}
+            excludeIds={[currentUser?.id]}
+            rows={2}
+            autoFocus
+            placeholder={mode === 'reply' ? t('replyPlaceholder', 'Write a reply... (@ to mention)') : ''}
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-brand-500"
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setMode(null)} className="btn btn-xs btn-secondary">{t('cancel')}</button>
+            <button type="button" onClick={handleSave} disabled={!draft.trim() || isSaving} className="btn btn-xs btn-primary">
+              {mode === 'reply' ? t('reply', 'Reply') : t('save')}
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { preparePhotos, releasePhotoPreviews } from '../api/photoApi';
 
 function CompletionModal({ task, onClose, onConfirm, t }) {
   const [note, setNote] = useState('');
@@ -8,71 +9,14 @@ function CompletionModal({ task, onClose, onConfirm, t }) {
     const file = e.target.files[0];
     if (!file) return;
 
-    // Image compression and resizing for mobile optimization
-    const compressAndResizeImage = (file) => {
-      return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
-        
-        img.onload = () => {
-          try {
-            // Set maximum dimensions for mobile optimization
-            const maxWidth = 800;
-            const maxHeight = 600;
-            
-            let { width, height } = img;
-            
-            // Calculate new dimensions maintaining aspect ratio
-            if (width > height && width > maxWidth) {
-              height = (height * maxWidth) / width;
-              width = maxWidth;
-            } else if (height >= width && height > maxHeight) {
-              width = (width * maxHeight) / height;
-              height = maxHeight;
-            }
-            
-            // Set canvas dimensions
-            canvas.width = width;
-            canvas.height = height;
-            
-            // Draw resized image
-            ctx.drawImage(img, 0, 0, width, height);
-            
-            // Convert to compressed data URL
-            const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-            resolve(compressedDataUrl);
-          } catch (error) {
-            reject(error);
-          }
-        };
-        
-        img.onerror = () => reject(new Error('Failed to load image'));
-        img.src = URL.createObjectURL(file);
-      });
-    };
-
-    // Process the image
-    compressAndResizeImage(file)
-      .then((compressedPhoto) => {
-        setPhoto(compressedPhoto);
-      })
-      .catch((error) => {
-        console.error('Image processing failed:', error);
-        // Fallback to original file if compression fails, but check size
-        const reader = new FileReader();
-        reader.onloadend = () => {
-          const result = reader.result;
-          // Base64 length check: 1MB limit is approx 1.33M chars. safely use 1M chars (~750KB)
-          if (result.length > 1000000) {
-             alert(t('imageTooLarge', 'Image is too large and compression failed. Please try a smaller image.'));
-             setPhoto(null);
-          } else {
-             setPhoto(result);
-          }
-        };
-        reader.readAsDataURL(file);
-      });
+    // Resized here, uploaded to Storage once the task is marked complete
+    preparePhotos([file]).then(([prepared]) => {
+      releasePhotoPreviews(photo ? [photo] : []);
+      if (!prepared) {
+        alert(t('imageProcessingFailed', 'This image could not be processed. Please try a different photo.'));
+      }
+      setPhoto(prepared || null);
+    });
   };
 
   const handleSubmit = () => { onConfirm(task.id, { note, photo }); };
@@ -95,7 +39,7 @@ function CompletionModal({ task, onClose, onConfirm, t }) {
           </div>
           <div className="text-xs text-slate-500">💡 {`On mobile, this will open your camera.`}</div>
         </div>
-        {photo && <img src={photo} alt="" className="mt-2 h-24 w-24 object-cover rounded-lg border" />}
+        {photo && <img src={photo.previewUrl} alt="" className="mt-2 h-24 w-24 object-cover rounded-lg border" />}
         <div className="flex justify-end gap-3">
           <button onClick={onClose} className="btn btn-secondary btn-sm">{t('cancel')}</button>
           <button onClick={handleSubmit} className="btn btn-success btn-sm">{t('confirm')}</button>
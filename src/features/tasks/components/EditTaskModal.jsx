@@ -2,10 +2,20 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { STATUSES } from '../../../shared/constants';
 import { DIFFICULTY_LEVELS, DIFFICULTY_CONFIG } from '../../../shared/constants';
 import { parseFirestoreTimestamp } from '../../../shared/utils/date';
-import { Timestamp, arrayUnion } from 'firebase/firestore';
 import DeleteTaskModal from './DeleteTaskModal';
-
-export default function EditTaskModal({ task, onClose, onSave, onDelete, users, departments, currentUser, t }) {
+import { preparePhotos, releasePhotoPreviews, getPhotoThumbnailUrl } from '../api/photoApi';
+import { saveTaskPhotos } from '../api/outboxApi';
+import { arrayAppend, arrayDiscard } from '../utils/taskOutbox';
+import ChecklistEditor from './ChecklistEditor';
+import TaskDependencies from './TaskDependencies';
+import { normalizeChecklist, isChecklistBlockingCompletion } from '../utils/checklist';
+import GoalPicker from '../../goals/components/GoalPicker';
+import ProjectPicker from '../../projects/components/ProjectPicker';
+import { getExpectedHours, getExpectedHoursPatch, getEffortHint, formatHours } from '../utils/effortEstimates';
+import { canReviewTask, isReviewedByDefault } from '../utils/completionReview';
+import { canChangeTaskPoints } from '../utils/bulkTaskActions';
+
+export default function EditTaskModal({ task, allTasks = null, onClose, onSave, onDelete, users, departments, currentUser, t }) {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   // Helper function to extract date only from targetDate
   const extractDateOnly = (dateSource) => {
@@ -31,6 +41,12 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
     isUrgent: task.isUrgent || false, // Add urgent state
     isRdNewSkill: task.isRdNewSkill || false, // Add R&D/New Skill state
     projectSkillName: task.projectSkillName || '', // Add project/skill name state
+    goalId: task.goalId || null,
+    keyResultId: task.keyResultId || null,
+    projectId: task.projectId || null,
+    checklist: task.checklist || [],
+    requireChecklistComplete: task.requireChecklistComplete || false,
+    requiresReview: task.requiresReview || false,
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -38,6 +54,7 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
   const [observerOpen, setObserverOpen] = useState(false); // Add observer dropdown state
   const [addObservers, setAddObservers] = useState(false); // Add observers checkbox state
   const [photos, setPhotos] = useState(task.photos || []);
+  const [pendingPhotos, setPendingPhotos] = useState([]); // Picked but not yet uploaded to Storage
   const [isPhotoUploading, setIsPhotoUploading] = useState(false);
 
   const isCurrentUserObserver =
@@ -56,12 +73,21 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
   // Observer-only users may add notes/photos etc, but must not change progress/assignment/point-impacting fields.
   const isObserverOnly = isCurrentUserObserver && !isCurrentUserAssigned && !isTaskCreator && !isPrivileged;
 
+  // Assignees cannot change what their own task earns (difficulty, urgency, R&D, assignees)
+  const canChangePoints = !isObserverOnly && canChangeTaskPoints(currentUser, task);
+
+  // Only reviewers turn review on or off, or complete a reviewed task directly
+  const isReviewer = canReviewTask(task, currentUser);
+
   // Get available users for the selected department
   const availableUsers = useMemo(() => {
     if (!editedTask.departmentId) return [];
     return users.filter((u) => u.departmentIds?.includes(editedTask.departmentId));
   }, [users, editedTask.departmentId]);
 
+  const department = departments.find((d) => d.id === editedTask.departmentId);
+  const effortHint = getEffortHint(department, editedTask.difficulty);
+
   useEffect(() => {
     if (isObserverOnly) {
       setAssigneeOpen(false);
@@ -82,7 +108,13 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
       observerIds: task.observerIds || [],
       isUrgent: task.isUrgent || false,
       isRdNewSkill: task.isRdNewSkill || false,
-      projectSkillName: task.projectSkillName || ''
+      projectSkillName: task.projectSkillName || '',
+      goalId: task.goalId || null,
+      keyResultId: task.keyResultId || null,
+      projectId: task.projectId || null,
+      checklist: task.checklist || [],
+      requireChecklistComplete: task.requireChecklistComplete || false,
+      requiresReview: task.requiresReview || false,
     });
     setPhotos(task.photos || []);
     setAddObservers(!!(task.observerIds && task.observerIds.length > 0)); // Initialize checkbox based on existing observers
@@ -111,58 +143,8 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
     if (!files.length) return;
     setIsPhotoUploading(true);
 
-    const compressAndResizeImage = (file) => {
-      return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
-        
-        img.onload = () => {
-          // Calculate dimensions for mobile optimization (800x600 max)
-          let { width, height } = img;
-          const maxWidth = 800;
-          const maxHeight = 600;
-          
-          if (width > maxWidth || height > maxHeight) {
-            const aspectRatio = width / height;
-            if (width > height) {
-              width = maxWidth;
-              height = maxWidth / aspectRatio;
-            } else {
-              height = maxHeight;
-              width = maxHeight * aspectRatio;
-            }
-          }
-          
-          canvas.width = width;
-          canvas.height = height;
-          
-          // Draw and compress
-          ctx.drawImage(img, 0, 0, width, height);
-          const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-          resolve(compressedDataUrl);
-        };
-        
-        img.onerror = reject;
-        img.src = URL.createObjectURL(file);
-      });
-    };
-
-    const processFiles = async (filesToProcess) => {
-      const compressedPhotos = [];
-      for (const file of filesToProcess) {
-        try {
-          const compressed = await compressAndResizeImage(file);
-          compressedPhotos.push(compressed);
-        } catch (error) {
-          console.error('Image processing failed for a file, skipping:', error);
-        }
-      }
-      return compressedPhotos;
-    };
-
-    processFiles(files).then(newPhotos => {
-      setPhotos(prevPhotos => [...prevPhotos, ...newPhotos]);
+    preparePhotos(files).then(newPhotos => {
+      setPendingPhotos(prev => [...prev, ...newPhotos]);
       setIsPhotoUploading(false);
     });
   };
@@ -171,10 +153,27 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
     setPhotos(prevPhotos => prevPhotos.filter((_, i) => i !== index));
   };
 
+  const removePendingPhoto = (photoId) => {
+    releasePhotoPreviews(pendingPhotos.filter(photo => photo.id === photoId));
+    setPendingPhotos(prev => prev.filter(photo => photo.id !== photoId));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (isSubmitting) return;
 
+    if (!isObserverOnly && editedTask.status === STATUSES.COMPLETE && task.status !== STATUSES.COMPLETE &&
+      isChecklistBlockingCompletion({ ...task, ...editedTask })) {
+      alert(t('checklistIncomplete'));
+      return;
+    }
+
+    if (!isObserverOnly && !isReviewer && task.requiresReview &&
+      editedTask.status === STATUSES.COMPLETE && task.status !== STATUSES.COMPLETE) {
+      alert(t('reviewUseFinish', 'This task is reviewed before it is completed. Use Finish to submit it for review.'));
+      return;
+    }
+
     setIsSubmitting(true);
     try {
       // Append a note safely.
@@ -185,7 +184,7 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
         ? {
             text: noteText,
             type: 'edit',
-            createdAt: Timestamp.now(),
+            createdAt: new Date(),
             createdBy: currentUser?.id || 'unknown',
             editedBy: currentUser?.id || 'unknown',
             editedByName: currentUser?.name || currentUser?.username || 'Unknown',
@@ -195,28 +194,60 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
       const patchData = {
         id: task.id,
         title: editedTask.title,
-        photos: photos,
-        ...(noteToAdd ? { notes: arrayUnion(noteToAdd) } : {}),
+        ...(noteToAdd ? { notes: arrayAppend(noteToAdd) } : {}),
       };
+      // Remove rather than rewrite, so photos not loaded yet (progressive loading) are kept.
+      // New photos are appended by saveTaskPhotos after the save.
+      const removedPhotos = (task.photos || []).filter((photo) => !photos.includes(photo));
+      if (removedPhotos.length > 0) {
+        patchData.photos = arrayDiscard(...removedPhotos);
+      }
 
       if (!isObserverOnly) {
         patchData.status = editedTask.status;
-        patchData.difficulty = editedTask.difficulty;
-        patchData.points = DIFFICULTY_CONFIG[editedTask.difficulty].points;
-        patchData.targetDate = editedTask.targetDate ? Timestamp.fromDate(new Date(`${editedTask.targetDate}T00:00:00`)) : null;
-        patchData.assignedUserIds = editedTask.assignedUserIds;
+        if (canChangePoints) {
+          patchData.difficulty = editedTask.difficulty;
+          patchData.points = DIFFICULTY_CONFIG[editedTask.difficulty].points;
+          patchData.assignedUserIds = editedTask.assignedUserIds;
+          patchData.isUrgent = editedTask.isUrgent;
+          patchData.isRdNewSkill = editedTask.isRdNewSkill;
+          // Keep the estimate the task was assigned with unless its difficulty or department changes
+          if (editedTask.difficulty !== task.difficulty || editedTask.departmentId !== task.departmentId) {
+            Object.assign(patchData, getExpectedHoursPatch(department, editedTask.difficulty));
+          }
+        }
+        patchData.targetDate = editedTask.targetDate ? new Date(`${editedTask.targetDate}T00:00:00`) : null;
         patchData.departmentId = editedTask.departmentId;
         patchData.observerIds = addObservers ? (editedTask.observerIds || []) : []; // Only include observers if checkbox is checked
-        patchData.isUrgent = editedTask.isUrgent;
-        patchData.isRdNewSkill = editedTask.isRdNewSkill;
         patchData.projectSkillName = editedTask.projectSkillName;
+        patchData.goalId = editedTask.goalId;
+        patchData.keyResultId = editedTask.keyResultId;
+        patchData.projectId = editedTask.projectId;
+        // Assignees tick items in the task details; the list itself is set with the points.
+        // Only rewrite it when it was edited, so items ticked meanwhile are kept
+        if (canChangePoints) {
+          const checklist = normalizeChecklist(editedTask.checklist, editedTask.assignedUserIds);
+          if (JSON.stringify(checklist) !== JSON.stringify(task.checklist || [])) {
+            patchData.checklist = checklist;
+          }
+          patchData.requireChecklistComplete = checklist.length > 0 && editedTask.requireChecklistComplete;
+        }
+        if (isReviewer) patchData.requiresReview = editedTask.requiresReview;
       }
 
       await onSave(patchData);
+
+      if (pendingPhotos.length > 0) {
+        // Kept on the device and uploaded later when offline
+        await saveTaskPhotos(task.id, pendingPhotos, task, currentUser);
+        releasePhotoPreviews(pendingPhotos);
+        setPendingPhotos([]);
+      }
       
       // If this is a Head/Admin/Management editing a task that needs approval,
-      // automatically approve it since they don't need approval themselves
-      if (task.needsApproval && !task.approvedBy && !task.rejectedBy) {
+      // automatically approve it since they don't need approval themselves.
+      // Tasks in an approval chain are only approved through its steps.
+      if (task.needsApproval && !task.approvedBy && !task.rejectedBy && !task.approvalRequestId) {
         const isApprover = ['Head', 'Management', 'Admin'].includes(currentUser.role);
         if (isApprover) {
           // Auto-approve the task
@@ -225,7 +256,7 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
             needsApproval: false,
             approvedBy: currentUser.id,
             approvedByName: currentUser.name,
-            approvedAt: Timestamp.fromDate(new Date()),
+            approvedAt: new Date(),
           };
           await onSave(approvalPatch);
         }
@@ -306,6 +337,9 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
               >
                 <option value={STATUSES.PENDING}>{t('pending') || 'Pending'}</option>
                 <option value={STATUSES.ONGOING}>{t('ongoing') || 'Ongoing'}</option>
+                {task.status === STATUSES.PENDING_REVIEW && (
+                  <option value={STATUSES.PENDING_REVIEW}>{t('inReview', 'In review')}</option>
+                )}
                 <option value={STATUSES.COMPLETE}>{t('completed') || 'Completed'}</option>
               </select>
               {isObserverOnly && (
@@ -323,20 +357,23 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
                   <button
                     key={key}
                     type="button"
-                    disabled={isObserverOnly}
-                    onClick={() => setEditedTask(prev => ({ ...prev, difficulty: key }))}
+                    disabled={!canChangePoints}
+                    onClick={() => setEditedTask(prev => ({ ...prev, difficulty: key, requiresReview: prev.requiresReview || (isReviewer && isReviewedByDefault(key)) }))}
                     className={`px-2 py-1.5 rounded-full text-xs font-medium border transition-all ${
                       editedTask.difficulty === key
                         ? `${config.color} shadow-sm scale-105`
                         : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
-                    } ${isObserverOnly ? 'opacity-50 cursor-not-allowed' : ''}`}
+                    } ${!canChangePoints ? 'opacity-50 cursor-not-allowed' : ''}`}
                   >
                     <span className="mr-1">{config.icon}</span>
                     {t(config.label.toLowerCase())} ({config.points} pts)
-                    <div className="text-xs opacity-75">{config.timeEstimate}</div>
+                    <div className="text-xs opacity-75">~{formatHours(getExpectedHours(department, key))}</div>
                   </button>
                 ))}
               </div>
+              {effortHint && !isObserverOnly && (
+                <p className="text-xs text-gray-500 mt-1">{t('effortHint', formatHours(effortHint.medianHours), effortHint.sampleSize)}</p>
+              )}
             </div>
 
             {/* Urgent Task Checkbox */}
@@ -346,7 +383,7 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
                 id="isUrgent"
                 checked={editedTask.isUrgent}
                 onChange={(e) => setEditedTask(prev => ({ ...prev, isUrgent: e.target.checked }))}
-                disabled={isObserverOnly}
+                disabled={!canChangePoints}
                 className="mr-2 h-4 w-4 text-brand-600 focus:ring-brand-500 border-gray-300 rounded"
               />
               <label htmlFor="isUrgent" className="text-sm text-gray-700">
@@ -354,6 +391,21 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
               </label>
             </div>
 
+            {/* Completion review */}
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="requiresReview"
+                checked={editedTask.requiresReview}
+                onChange={(e) => setEditedTask(prev => ({ ...prev, requiresReview: e.target.checked }))}
+                disabled={isObserverOnly || !isReviewer}
+                className="mr-2 h-4 w-4 text-brand-600 focus:ring-brand-500 border-gray-300 rounded"
+              />
+              <label htmlFor="requiresReview" className="text-sm text-gray-700">
+                {t('requiresReview', 'Review before completion')}
+              </label>
+            </div>
+
             {/* R&D/New Skill Checkbox */}
             <div className="flex items-center">
               <input
@@ -361,7 +413,7 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
                 id="isRdNewSkill"
                 checked={editedTask.isRdNewSkill}
                 onChange={(e) => setEditedTask(prev => ({ ...prev, isRdNewSkill: e.target.checked }))}
-                disabled={isObserverOnly}
+                disabled={!canChangePoints}
                 className="mr-2 h-4 w-4 text-green-600 focus:ring-green-500 border-gray-300 rounded"
               />
               <label htmlFor="isRdNewSkill" className="text-sm text-gray-700">
@@ -387,6 +439,25 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
               </div>
             )}
 
+            {/* Project */}
+            <ProjectPicker
+              departmentId={editedTask.departmentId}
+              projectId={editedTask.projectId}
+              onChange={(projectId) => setEditedTask(prev => ({ ...prev, projectId }))}
+              disabled={isObserverOnly}
+              t={t}
+            />
+
+            {/* Goal / key result link */}
+            <GoalPicker
+              departmentId={editedTask.departmentId}
+              goalId={editedTask.goalId}
+              keyResultId={editedTask.keyResultId}
+              onChange={(link) => setEditedTask(prev => ({ ...prev, ...link }))}
+              disabled={isObserverOnly}
+              t={t}
+            />
+
             {/* Department Selection */}
             {(() => {
               const userDepartments = currentUser.departmentIds?.length > 1 
@@ -435,12 +506,12 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
                 </label>
                 <button
                   type="button"
-                  disabled={isObserverOnly}
+                  disabled={!canChangePoints}
                   onClick={() => {
-                    if (isObserverOnly) return;
+                    if (!canChangePoints) return;
                     setAssigneeOpen(!assigneeOpen);
                   }}
-                  className={`w-full px-3 py-2 border border-gray-300 rounded-md text-left bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-brand-500 focus:border-transparent ${isObserverOnly ? 'opacity-50 cursor-not-allowed' : ''}`}
+                  className={`w-full px-3 py-2 border border-gray-300 rounded-md text-left bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-brand-500 focus:border-transparent ${!canChangePoints ? 'opacity-50 cursor-not-allowed' : ''}`}
                 >
                   {editedTask.assignedUserIds.length > 0 
                     ? editedTask.assignedUserIds.map(id => availableUsers.find(u => u.id === id)?.name).filter(Boolean).join(', ')
@@ -456,7 +527,7 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
                           type="checkbox"
                           checked={editedTask.assignedUserIds.includes(user.id)}
                           onChange={() => handleUserCheckboxChange(user.id)}
-                          disabled={isObserverOnly}
+                          disabled={!canChangePoints}
                           className="mr-2"
                         />
                         {user.name}
@@ -472,6 +543,35 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
               </div>
             )}
 
+            {/* Checklist */}
+            {canChangePoints && (
+              <ChecklistEditor
+                items={editedTask.checklist}
+                onChange={(checklist) => setEditedTask(prev => ({ ...prev, checklist }))}
+                assignees={availableUsers.filter(u => editedTask.assignedUserIds.includes(u.id))}
+                requireComplete={editedTask.requireChecklistComplete}
+                onRequireCompleteChange={(requireChecklistComplete) => setEditedTask(prev => ({ ...prev, requireChecklistComplete }))}
+                t={t}
+              />
+            )}
+
+            {/* Dependencies: links save immediately; TaskDependencies decides who may edit them */}
+            {allTasks && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('dependencies')}
+                </label>
+                <TaskDependencies
+                  task={task}
+                  allTasks={allTasks}
+                  users={users}
+                  departments={departments}
+                  currentUser={currentUser}
+                  t={t}
+                />
+              </div>
+            )}
+
             {/* Observers Section */}
             {editedTask.departmentId && (
               <>
@@ -594,8 +694,8 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
               </label>
               <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2">
                 {photos.map((photo, index) => (
-                  <div key={index} className="relative group">
-                    <img src={photo} alt={`Photo ${index + 1}`} className="w-full h-24 object-cover rounded-md border" />
+                  <div key={photo?.id || index} className="relative group">
+                    <img src={getPhotoThumbnailUrl(photo)} alt={`Photo ${index + 1}`} className="w-full h-24 object-cover rounded-md border" />
                     <button
                       type="button"
                       onClick={() => removePhoto(index)}
@@ -608,6 +708,21 @@ export default function EditTaskModal({ task, onClose, onSave, onDelete, users,
                     </button>
                   </div>
                 ))}
+                {pendingPhotos.map((photo) => (
+                  <div key={photo.id} className="relative group">
+                    <img src={photo.previewUrl} alt="New photo" className="w-full h-24 object-cover rounded-md border border-dashed border-blue-400" />
+                    <button
+                      type="button"
+                      onClick={() => removePendingPhoto(photo.id)}
+                      className="absolute top-0 right-0 bg-red-500 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+                      title="Remove photo"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
               </div>
             </div>
 
@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { DIFFICULTY_CONFIG, DIFFICULTY_LEVELS, ROLES } from '../../../shared/constants';
+import ChecklistEditor from './ChecklistEditor';
+import {
+  createTaskTemplate,
+  updateTaskTemplate,
+  getTaskTemplateVersions,
+  restoreTaskTemplateVersion,
+} from '../api/templateApi';
+import { canManageTemplates } from '../utils/taskTemplates';
+import { resetChecklist } from '../utils/checklist';
+
+/**
+ * EditTaskTemplateModal - Create a task template, or save a new version of
+ * one and browse or restore its earlier versions.
+ */
+export default function EditTaskTemplateModal({ template = null, initialValues = {}, currentUser, users, departments, onClose, onSaved, t }) {
+  const source = template || initialValues;
+  const manageableDepartments = useMemo(
+    () => departments.filter((department) => canManageTemplates(currentUser, department.id)),
+    [departments, currentUser]
+  );
+
+  const [name, setName] = useState(source.name || source.title || '');
+  const [departmentId, setDepartmentId] = useState(() => (
+    manageableDepartments.some((department) => department.id === source.departmentId)
+      ? source.departmentId
+      : manageableDepartments[0]?.id || ''
+  ));
+  const [title, setTitle] = useState(source.title || '');
+  const [description, setDescription] = useState(source.description || '');
+  const [difficulty, setDifficulty] = useState(source.difficulty || DIFFICULTY_LEVELS.MEDIUM);
+  const [checklist, setChecklist] = useState(() => resetChecklist(source.checklist));
+  const [requireChecklistComplete, setRequireChecklistComplete] = useState(!!source.requireChecklistComplete);
+  const [observerIds, setObserverIds] = useState(source.observerIds || []);
+  const [defaultAssigneeRoles, setDefaultAssigneeRoles] = useState(source.defaultAssigneeRoles || []);
+  const [isRdNewSkill, setIsRdNewSkill] = useState(!!source.isRdNewSkill);
+  const [projectSkillName, setProjectSkillName] = useState(source.projectSkillName || '');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [versions, setVersions] = useState(null);
+
+  const departmentUsers = useMemo(
+    () => users.filter((user) => user.departmentIds?.includes(departmentId)),
+    [users, departmentId]
+  );
+
+  useEffect(() => {
+    if (!template) return;
+    getTaskTemplateVersions(template.id)
+      .then(setVersions)
+      .catch((err) => {
+        console.error('Error loading template versions:', err);
+        setVersions([]);
+      });
+  }, [template]);
+
+  const toggle = (setter, value) => setter((prev) => (prev.includes(value) ? prev.filter((item) => item !== value) : [...prev, value]));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) {
+      setError(t('templateTitleRequired', 'Task title is required'));
+      return;
+    }
+    if (!departmentId) {
+      setError(t('departmentRequired', 'Department is required'));
+      return;
+    }
+
+    const values = {
+      name, departmentId, title, description, difficulty, checklist, requireChecklistComplete,
+      observerIds, defaultAssigneeRoles, isRdNewSkill, projectSkillName,
+    };
+    setIsSaving(true);
+    setError('');
+    try {
+      if (template) {
+        await updateTaskTemplate(template.id, values, currentUser);
+      } else {
+        await createTaskTemplate(values, currentUser);
+      }
+      onSaved?.();
+      onClose();
+    } catch (err) {
+      console.error('Error saving task template:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(t('confirmRestoreTemplateVersion', 'Make this version current again?'))) return;
+    setIsSaving(true);
+    try {
+      await restoreTaskTemplateVersion(template.id, version, currentUser);
+      onSaved?.();
+      onClose();
+    } catch (err) {
+      console.error('Error restoring template version:', err);
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  const formatDate = (value) => {
+    const date = value?.toDate ? value.toDate() : value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toLocaleDateString() : '';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between flex-shrink-0">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {template
+              ? `${t('editTemplate', 'Edit template')} (${t('templateVersion', template.version)})`
+              : t('newTemplate', 'New template')}
+          </h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+        </div>
+
+        <form onSubmit={handleSave} className="p-6 flex-1 overflow-y-auto space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('templateName', 'Template name')}</label>
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder={title} className="input" />
+          </div>
+
+          {template ? (
+            <div className="text-sm text-slate-600 p-2 bg-slate-50 rounded border">
+              {t('department')}: {departments.find((department) => department.id === departmentId)?.name || t('unknown')}
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('department')}</label>
+              <select
+                value={departmentId}
+                onChange={(e) => { setDepartmentId(e.target.value); setObserverIds([]); }}
+                className="select"
+              >
+                {manageableDepartments.map((department) => (
+                  <option key={department.id} value={department.id}>{department.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('taskTitle')}</label>
+            <input value={title} onChange={(e) => setTitle(e.target.value)} className="input" />
+          </div>
+
+          <textarea value={description} onChange={(e) => setDescription(e.target.value)} placeholder={t('addNotePlaceholder')} className="input text-sm" rows="2" />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">{t('taskDifficulty')}</label>
+            <div className="flex gap-2 flex-wrap">
+              {Object.entries(DIFFICULTY_CONFIG).map(([key, config]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setDifficulty(key)}
+                  className={`px-2 py-1.5 rounded-full text-xs font-medium border ${
+                    difficulty === key ? 'bg-brand-600 border-brand-600 text-white' : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'
+                  }`}
+                >
+                  {t(config.label.toLowerCase())} ({config.points} pts)
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <ChecklistEditor
+            items={checklist}
+            onChange={setChecklist}
+            requireComplete={requireChecklistComplete}
+            onRequireCompleteChange={setRequireChecklistComplete}
+            t={t}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('defaultAssignees', 'Assign by default to')}</label>
+            <div className="flex gap-3 flex-wrap">
+              {Object.values(ROLES).map((role) => (
+                <label key={role} className="flex items-center text-sm text-slate-700">
+                  <input type="checkbox" checked={defaultAssigneeRoles.includes(role)} onChange={() => toggle(setDefaultAssigneeRoles, role)} className="mr-1" />
+                  {role}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-1">{t('defaultAssigneesHint', 'Everyone in the department with these roles is pre-selected.')}</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('observers') || 'Observers'}</label>
+            <div className="max-h-32 overflow-y-auto border rounded">
+              {departmentUsers.map((user) => (
+                <label key={user.id} className="flex items-center px-3 py-1 text-sm hover:bg-gray-100 cursor-pointer">
+                  <input type="checkbox" checked={observerIds.includes(user.id)} onChange={() => toggle(setObserverIds, user.id)} className="mr-2" />
+                  {user.name}
+                </label>
+              ))}
+              {departmentUsers.length === 0 && (
+                <div className="px-3 py-2 text-sm text-slate-500">{t('noUsersInDept')}</div>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center">
+            <input type="checkbox" id="templateIsRdNewSkill" checked={isRdNewSkill} onChange={(e) => setIsRdNewSkill(e.target.checked)} className="mr-2 h-4 w-4" />
+            <label htmlFor="templateIsRdNewSkill" className="text-sm text-slate-700">R&D/New Skill (5x EP, 50% LP)</label>
+          </div>
+          {isRdNewSkill && (
+            <input value={projectSkillName} onChange={(e) => setProjectSkillName(e.target.value)} placeholder="Enter project or skill name..." className="input text-sm" />
+          )}
+
+          {error && <div className="text-red-600 text-sm bg-red-50 p-2 rounded border border-red-200">{error}</div>}
+
+          {template && (
+            <div className="pt-3 border-t">
+              <h4 className="text-sm font-medium text-slate-700 mb-2">{t('templateHistory', 'Earlier versions')}</h4>
+              {versions === null && <p className="text-xs text-slate-500">{t('loading')}</p>}
+              {versions?.length === 0 && <p className="text-xs text-slate-500">{t('noTemplateVersions', 'This is the first version.')}</p>}
+              <ul className="space-y-1">
+                {(versions || []).map((version) => (
+                  <li key={version.id} className="flex items-center justify-between text-xs text-slate-600">
+                    <span>
+                      {t('templateVersion', version.version)} · {version.title} · {version.updatedByName} {formatDate(version.updatedAt)}
+                    </span>
+                    <button type="button" onClick={() => handleRestore(version.version)} className="text-brand-600 hover:underline" disabled={isSaving}>
+                      {t('restore', 'Restore')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </form>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3 flex-shrink-0">
+          <button type="button" onClick={onClose} className="btn btn-secondary">{t('cancel')}</button>
+          <button type="button" onClick={handleSave} className="btn btn-success" disabled={isSaving}>
+            {isSaving ? t('saving') : t('saveTemplate', 'Save template')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
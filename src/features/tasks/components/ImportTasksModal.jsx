@@ -0,0 +1,248 @@
+import React, { useMemo, useState } from 'react';
+import { DIFFICULTY_CONFIG } from '../../../shared/constants';
+import { readSpreadsheet } from '../../../shared/utils/spreadsheet';
+import { TASK_IMPORT_FIELDS, guessColumnMapping, buildTaskImport } from '../utils/taskImport';
+import { importTasks } from '../api/taskImportApi';
+
+const TEMPLATE_CSV = [
+  TASK_IMPORT_FIELDS.map((field) => field.label).join(','),
+  'Check pump pressure,Log readings in the book,Operations,Asha; Ravi,Medium,2025-06-01,No,,Read gauge | Bleed valve,',
+].join('\n');
+
+/**
+ * ImportTasksModal - Creates tasks from a .csv or .xlsx sheet: pick the file,
+ * map its columns, check the preview and import the rows without errors.
+ */
+export default function ImportTasksModal({ isOpen, onClose, currentUser, users = [], departments = [], t, onTaskFeedback }) {
+  const [sheet, setSheet] = useState(null); // { fileName, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [fileError, setFileError] = useState('');
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [result, setResult] = useState(null);
+
+  const preview = useMemo(() => {
+    if (!sheet) return { rows: [], error: '' };
+    try {
+      return { rows: buildTaskImport(sheet.rows, mapping, { currentUser, users, departments }), error: '' };
+    } catch (error) {
+      return { rows: [], error: error.message };
+    }
+  }, [sheet, mapping, currentUser, users, departments]);
+
+  const validRows = preview.rows.filter((row) => row.task);
+  const invalidCount = preview.rows.length - validRows.length;
+  const visibleRows = showErrorsOnly ? preview.rows.filter((row) => !row.task) : preview.rows;
+  const isImporting = !!progress;
+
+  const reset = () => {
+    setSheet(null);
+    setMapping({});
+    setFileError('');
+    setShowErrorsOnly(false);
+    setProgress(null);
+    setResult(null);
+  };
+
+  const handleClose = () => {
+    if (isImporting) return;
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setFileError('');
+    try {
+      const { headers, rows } = await readSpreadsheet(file);
+      if (rows.length === 0) throw new Error('The file has no rows below the header');
+      setSheet({ fileName: file.name, headers, rows });
+      setMapping(guessColumnMapping(headers));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setFileError(error.message);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === '') delete next[fieldKey];
+      else next[fieldKey] = Number(value);
+      return next;
+    });
+  };
+
+  const handleDownloadTemplate = () => {
+    const url = window.URL.createObjectURL(new Blob([TEMPLATE_CSV], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'task_import_template.csv';
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async () => {
+    setProgress({ done: 0, total: validRows.length });
+    try {
+      const outcome = await importTasks(validRows, currentUser, {
+        fileName: sheet.fileName,
+        onProgress: (done) => setProgress({ done, total: validRows.length }),
+      });
+      setResult(outcome);
+      onTaskFeedback?.(
+        t('tasksImported', outcome.created.length, outcome.failed.length + invalidCount),
+        outcome.failed.length === 0 ? 'success' : 'error'
+      );
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const getDepartmentName = (departmentId) => departments.find((d) => d.id === departmentId)?.name || departmentId;
+  const getUserNames = (ids) => ids.map((id) => users.find((u) => u.id === id)?.name || id).join(', ');
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h3 className="text-xl font-semibold text-gray-900">
+            {t('importTasks', 'Import Tasks')}
+            {sheet && <span className="ml-2 text-sm font-normal text-gray-500">{sheet.fileName}</span>}
+          </h3>
+          <button onClick={handleClose} disabled={isImporting} className="text-gray-400 hover:text-gray-600 text-2xl disabled:opacity-50">
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {result ? (
+            <div className="space-y-3">
+              <p className="text-sm text-slate-700">{t('tasksImported', result.created.length, result.failed.length + invalidCount)}</p>
+              {result.failed.length > 0 && (
+                <ul className="space-y-1 text-sm">
+                  {result.failed.map((failure) => (
+                    <li key={failure.rowNumber} className="rounded bg-red-50 px-3 py-2">
+                      <span className="font-medium text-slate-800">{t('importRow', 'Row')} {failure.rowNumber}: {failure.title}</span>
+                      <span className="block text-xs text-red-700">{failure.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ) : !sheet ? (
+            <div className="space-y-3">
+              <p className="text-sm text-slate-600">
+                {t('importTasksHelp', 'Upload a .csv or .xlsx sheet with one task per row. Departments and people can be given by name; several assignees or observers are separated by ";". Checklist steps are separated by "|".')}
+              </p>
+              <input type="file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" onChange={handleFileChange} className="block text-sm" />
+              {fileError && <p className="text-sm text-red-600">{fileError}</p>}
+              <button type="button" onClick={handleDownloadTemplate} className="text-sm text-blue-600 hover:underline">
+                {t('downloadImportTemplate', 'Download a sample sheet')}
+              </button>
+            </div>
+          ) : (
+            <>
+              <div>
+                <h4 className="text-sm font-semibold text-slate-800 mb-2">{t('importColumns', 'Columns')}</h4>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                  {TASK_IMPORT_FIELDS.map((field) => (
+                    <label key={field.key} className="text-xs text-slate-600">
+                      {field.label}{field.required && <span className="text-red-500"> *</span>}
+                      <select
+                        value={mapping[field.key] ?? ''}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                        className="select mt-1 text-sm"
+                        disabled={isImporting}
+                      >
+                        <option value="">{t('notImported', '— not imported —')}</option>
+                        {sheet.headers.map((header, index) => (
+                          <option key={index} value={index}>{header || `${t('column', 'Column')} ${index + 1}`}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-slate-500 mt-1">
+                  {t('importFormatHelp', 'Difficulty is Easy, Medium, Hard or Critical (Medium if empty). Dates are YYYY-MM-DD or DD/MM/YYYY (today if empty).')}
+                </p>
+              </div>
+
+              {preview.error ? (
+                <p className="text-sm text-red-600">{preview.error}</p>
+              ) : (
+                <div>
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <span className="text-sm text-slate-700">
+                      {t('importPreviewSummary', validRows.length, invalidCount)}
+                    </span>
+                    <label className="flex items-center text-sm text-slate-600">
+                      <input type="checkbox" checked={showErrorsOnly} onChange={(e) => setShowErrorsOnly(e.target.checked)} className="mr-2" />
+                      {t('showErrorsOnly', 'Only rows with errors')}
+                    </label>
+                  </div>
+                  <div className="overflow-x-auto border rounded">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50 border-b">
+                        <tr className="text-left text-xs uppercase text-gray-500">
+                          <th className="px-3 py-2">{t('importRow', 'Row')}</th>
+                          <th className="px-3 py-2">{t('title', 'Title')}</th>
+                          <th className="px-3 py-2">{t('department', 'Department')}</th>
+                          <th className="px-3 py-2">{t('assignTo', 'Assigned to')}</th>
+                          <th className="px-3 py-2">{t('targetDate', 'Target date')}</th>
+                          <th className="px-3 py-2">{t('importCheck', 'Check')}</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {visibleRows.map(({ rowNumber, task, errors }) => (
+                          <tr key={rowNumber} className={task ? '' : 'bg-red-50'}>
+                            <td className="px-3 py-2 text-gray-500">{rowNumber}</td>
+                            <td className="px-3 py-2">{task ? task.title : sheet.rows[rowNumber - 2][mapping.title] ?? ''}</td>
+                            <td className="px-3 py-2">{task && getDepartmentName(task.departmentId)}</td>
+                            <td className="px-3 py-2">{task && getUserNames(task.assignedUserIds)}</td>
+                            <td className="px-3 py-2">{task?.targetDate}</td>
+                            <td className="px-3 py-2">
+                              {task ? (
+                                <span className="text-green-700">✓ {DIFFICULTY_CONFIG[task.difficulty].label}{task.isUrgent ? ` · ${t('urgent', 'Urgent')}` : ''}</span>
+                              ) : (
+                                <ul className="text-xs text-red-700 space-y-0.5">
+                                  {errors.map((error, index) => <li key={index}>{error}</li>)}
+                                </ul>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+          {sheet && !result && (
+            <button type="button" onClick={reset} disabled={isImporting} className="btn btn-secondary mr-auto">
+              {t('chooseAnotherFile', 'Choose another file')}
+            </button>
+          )}
+          <button type="button" onClick={handleClose} disabled={isImporting} className="btn btn-secondary">
+            {result ? t('close', 'Close') : t('cancel', 'Cancel')}
+          </button>
+          {sheet && !result && (
+            <button type="button" onClick={handleImport} disabled={isImporting || validRows.length === 0} className="btn btn-primary">
+              {isImporting
+                ? t('importingTasks', progress.done, progress.total)
+                : t('importValidTasks', validRows.length)}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useRef, useState } from 'react';
+import { getMentionQuery, getMentionSuggestions, insertMention } from '../utils/taskComments';
+
+/**
+ * MentionInput - A textarea that suggests people to @mention as you type
+ * (see utils/taskComments.js). Arrow keys and Enter or Tab pick a suggestion.
+ */
+export default function MentionInput({ value, onChange, users = [], excludeIds = [], className = '', ...textareaProps }) {
+  const textareaRef = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const suggestions = mention ? getMentionSuggestions(users, mention.query, { excludeIds }) : [];
+
+  const updateMention = (text, caret) => {
+    setMention(getMentionQuery(text, caret));
+    setHighlighted(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  const pick = (user) => {
+    const caret = textareaRef.current?.selectionStart ?? value.length;
+    const next = insertMention(value, mention, caret, user);
+    onChange(next.text);
+    setMention(null);
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(next.caret, next.caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted((index) => (index + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        pick(suggestions[highlighted] || suggestions[0]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+    textareaProps.onKeyDown?.(e);
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMention(value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        className={className}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 left-0 right-0 mt-1 max-h-48 overflow-y-auto rounded-md border border-gray-200 bg-white shadow-lg text-sm">
+          {suggestions.map((user, index) => (
+            <li key={user.id}>
+              <button
+                type="button"
+                // Keep the focus in the textarea
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(user);
+                }}
+                className={`w-full text-left px-3 py-1.5 ${index === highlighted ? 'bg-brand-50 text-brand-700' : 'hover:bg-gray-50'}`}
+              >
+                {user.name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  HOLIDAY_POLICIES,
+  getUpcomingOccurrences,
+  parseRRule,
+  patternToICalendar,
+  toDateKey
+} from '../../../shared/utils/recurrence';
+import { subscribeToHolidays } from '../../../shared/utils/holidayApi';
 
 const RECURRENCE_TYPES = {
   DAILY: 'daily',
   WEEKLY: 'weekly', 
   MONTHLY: 'monthly',
-  YEARLY: 'yearly'
+  YEARLY: 'yearly',
+  CUSTOM: 'custom' // iCalendar RRULE
 };
 
 const RANGE_TYPES = {
@@ -13,6 +22,23 @@ const RANGE_TYPES = {
   END_AFTER: 'end_after'
 };
 
+// What the server does with occurrences missed while it was down (functions/scheduledTasks.js)
+const MISSED_OCCURRENCE_OPTIONS = [
+  { value: 'latest', label: 'Create only the most recent' },
+  { value: 'all', label: 'Create all of them' },
+  { value: 'skip', label: 'Skip them' }
+];
+
+// What happens to an occurrence that falls on a company holiday (Admin panel)
+const HOLIDAY_POLICY_OPTIONS = [
+  { value: HOLIDAY_POLICIES.IGNORE, label: 'Create it anyway' },
+  { value: HOLIDAY_POLICIES.SKIP, label: 'Skip it' },
+  { value: HOLIDAY_POLICIES.SHIFT_LATER, label: 'Move to the next non-holiday' },
+  { value: HOLIDAY_POLICIES.SHIFT_EARLIER, label: 'Move to the previous non-holiday' }
+];
+
+const PREVIEW_COUNT = 10;
+
 const WEEKDAYS = [
   { value: 'monday', label: 'Monday' },
   { value: 'tuesday', label: 'Tuesday' },
@@ -31,6 +57,13 @@ const MONTH_OPTIONS = [
   { value: 'last', label: 'Last' }
 ];
 
+// "The last weekday of every month" picks from a group of days
+const MONTHLY_WEEKDAY_NAMES = [
+  ...WEEKDAYS,
+  { value: 'weekday', label: 'Weekday (Mon-Fri)' },
+  { value: 'weekend_day', label: 'Weekend day' }
+];
+
 export default function RecurrencePattern({ 
   isScheduled, 
   onRecurrenceChange, 
@@ -43,12 +76,23 @@ export default function RecurrencePattern({
   const [selectedWeekdays, setSelectedWeekdays] = useState(['monday']);
   const [monthlyType, setMonthlyType] = useState('day'); // 'day' or 'weekday'
   const [monthlyDay, setMonthlyDay] = useState(1);
-  const [monthlyWeekday, setMonthlyWeekday] = useState('last');
+  const [monthlyWeekdays, setMonthlyWeekdays] = useState(['last']);
   const [monthlyWeekdayName, setMonthlyWeekdayName] = useState('friday');
   const [regenerateAfter, setRegenerateAfter] = useState(1);
   const [rangeType, setRangeType] = useState(RANGE_TYPES.NO_END);
   const [endDate, setEndDate] = useState('');
   const [occurrences, setOccurrences] = useState(10);
+  const [missedOccurrences, setMissedOccurrences] = useState('latest');
+  const [rrule, setRrule] = useState('RRULE:FREQ=MONTHLY;BYDAY=2SA,4SA');
+  const [exdates, setExdates] = useState([]);
+  const [newExdate, setNewExdate] = useState('');
+  const [holidayPolicy, setHolidayPolicy] = useState(HOLIDAY_POLICIES.SHIFT_LATER);
+  const [holidays, setHolidays] = useState([]);
+
+  useEffect(() => {
+    if (!isScheduled) return undefined;
+    return subscribeToHolidays(setHolidays);
+  }, [isScheduled]);
 
   const formatDateForInput = (value) => {
     if (!value) return '';
@@ -82,7 +126,7 @@ export default function RecurrencePattern({
       if (initialValue.monthlyType) {
         setMonthlyType(initialValue.monthlyType);
         setMonthlyDay(initialValue.monthlyDay || 1);
-        setMonthlyWeekday(initialValue.monthlyWeekday || 'last');
+        setMonthlyWeekdays(initialValue.monthlyWeekdays || [initialValue.monthlyWeekday || 'last']);
         setMonthlyWeekdayName(initialValue.monthlyWeekdayName || 'friday');
         setRegenerateAfter(initialValue.regenerateAfter || 1);
       }
@@ -92,14 +136,21 @@ export default function RecurrencePattern({
         setEndDate(initialValue.range.endDate || '');
         setOccurrences(initialValue.range.occurrences || 10);
       }
+
+      setMissedOccurrences(initialValue.missedOccurrences || 'latest');
+      if (initialValue.rrule) {
+        setRrule(initialValue.rrule);
+      }
+      setExdates(initialValue.exdates || []);
+      // Schedules saved before holidays existed were created regardless of them
+      setHolidayPolicy(initialValue.holidayPolicy || HOLIDAY_POLICIES.IGNORE);
     }
   }, [initialValue]);
 
-  // Update parent component when recurrence settings change
-  useEffect(() => {
-    if (!isScheduled) {
-      onRecurrenceChange(null);
-      return;
+  const recurrence = useMemo(() => {
+    if (recurrenceType === RECURRENCE_TYPES.CUSTOM) {
+      // COUNT and UNTIL live in the RRULE itself
+      return { type: recurrenceType, rrule, range: { type: RANGE_TYPES.NO_END }, missedOccurrences, exdates, holidayPolicy };
     }
 
     const recurrence = {
@@ -108,6 +159,9 @@ export default function RecurrencePattern({
       range: {
         type: rangeType,
       },
+      missedOccurrences,
+      exdates,
+      holidayPolicy,
     };
 
     if (recurrenceType === RECURRENCE_TYPES.WEEKLY) {
@@ -119,7 +173,8 @@ export default function RecurrencePattern({
       if (monthlyType === 'day') {
         recurrence.monthlyDay = monthlyDay;
       } else if (monthlyType === 'weekday') {
-        recurrence.monthlyWeekday = monthlyWeekday;
+        recurrence.monthlyWeekdays = monthlyWeekdays;
+        recurrence.monthlyWeekday = monthlyWeekdays[0]; // Read by schedules saved before monthlyWeekdays
         recurrence.monthlyWeekdayName = monthlyWeekdayName;
       } else if (monthlyType === 'regenerate') {
         recurrence.regenerateAfter = regenerateAfter;
@@ -132,13 +187,61 @@ export default function RecurrencePattern({
       recurrence.range.occurrences = occurrences;
     }
 
-    onRecurrenceChange(recurrence);
+    return recurrence;
   }, [
-    isScheduled, recurrenceType, interval, selectedWeekdays, monthlyType, 
-    monthlyDay, monthlyWeekday, monthlyWeekdayName, regenerateAfter, 
-    rangeType, endDate, occurrences, onRecurrenceChange
+    recurrenceType, interval, selectedWeekdays, monthlyType,
+    monthlyDay, monthlyWeekdays, monthlyWeekdayName, regenerateAfter,
+    rangeType, endDate, occurrences, missedOccurrences, rrule, exdates, holidayPolicy
   ]);
 
+  // Update parent component when recurrence settings change
+  useEffect(() => {
+    onRecurrenceChange(isScheduled ? recurrence : null);
+  }, [isScheduled, recurrence, onRecurrenceChange]);
+
+  const startKey = toDateKey(formatDateForInput(startDate));
+
+  const rruleError = useMemo(() => {
+    if (recurrenceType !== RECURRENCE_TYPES.CUSTOM) return null;
+    try {
+      parseRRule(rrule);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }, [recurrenceType, rrule]);
+
+  const preview = useMemo(() => {
+    if (!isScheduled || rruleError) return [];
+    return getUpcomingOccurrences(recurrence, startKey, { limit: PREVIEW_COUNT, holidays });
+  }, [isScheduled, rruleError, recurrence, startKey, holidays]);
+
+  const holidayNames = useMemo(
+    () => Object.fromEntries(holidays.map((holiday) => [holiday.date, holiday.name])),
+    [holidays]
+  );
+
+  const handleMonthlyWeekdayToggle = (ordinal) => {
+    setMonthlyWeekdays((prev) => {
+      if (prev.includes(ordinal)) {
+        return prev.length === 1 ? prev : prev.filter((o) => o !== ordinal);
+      }
+      return MONTH_OPTIONS.map((option) => option.value).filter((o) => o === ordinal || prev.includes(o));
+    });
+  };
+
+  const handleAddExdate = () => {
+    if (!newExdate || exdates.includes(newExdate)) return;
+    setExdates([...exdates, newExdate].sort());
+    setNewExdate('');
+  };
+
+  // Continue editing the current pattern as an RRULE
+  const handleEditAsRRule = () => {
+    setRrule(patternToICalendar({ ...recurrence, exdates: [] }) || rrule);
+    setRecurrenceType(RECURRENCE_TYPES.CUSTOM);
+  };
+
   const handleWeekdayToggle = (weekday) => {
     setSelectedWeekdays((prev) => {
       if (prev.includes(weekday)) {
@@ -167,8 +270,8 @@ export default function RecurrencePattern({
         if (monthlyType === 'day') {
           summary = `Day ${monthlyDay} of every ${interval} month${interval > 1 ? 's' : ''}`;
         } else if (monthlyType === 'weekday') {
-          const weekOption = MONTH_OPTIONS.find(opt => opt.value === monthlyWeekday)?.label;
-          const weekdayName = WEEKDAYS.find(day => day.value === monthlyWeekdayName)?.label;
+          const weekOption = MONTH_OPTIONS.filter(opt => monthlyWeekdays.includes(opt.value)).map(opt => opt.label).join(' and ');
+          const weekdayName = MONTHLY_WEEKDAY_NAMES.find(day => day.value === monthlyWeekdayName)?.label;
           summary = `The ${weekOption} ${weekdayName} of every ${interval} month${interval > 1 ? 's' : ''}`;
         } else {
           summary = `Regenerate new task ${regenerateAfter} month${regenerateAfter > 1 ? 's' : ''} after each task is completed`;
@@ -177,10 +280,19 @@ export default function RecurrencePattern({
       case RECURRENCE_TYPES.YEARLY:
         summary = `Every ${interval} year${interval > 1 ? 's' : ''}`;
         break;
+      case RECURRENCE_TYPES.CUSTOM:
+        summary = `Custom rule (${rrule.split(/\r?\n/).find(line => /^(RRULE:)?FREQ=/i.test(line.trim())) || rrule})`;
+        break;
+    }
+
+    if (exdates.length > 0) {
+      summary += `, except ${exdates.length} date${exdates.length > 1 ? 's' : ''}`;
     }
 
     // Add range information
-    if (rangeType === RANGE_TYPES.END_BY && endDate) {
+    if (recurrenceType === RECURRENCE_TYPES.CUSTOM) {
+      return summary;
+    } else if (rangeType === RANGE_TYPES.END_BY && endDate) {
       summary += ` until ${endDate}`;
     } else if (rangeType === RANGE_TYPES.END_AFTER) {
       summary += ` for ${occurrences} occurrence${occurrences > 1 ? 's' : ''}`;
@@ -220,23 +332,45 @@ export default function RecurrencePattern({
       </div>
 
       {/* Interval Input */}
-      <div className="flex items-center gap-3">
-        <label className="text-sm font-medium text-slate-700">Every</label>
-        <input
-          type="number"
-          min="1"
-          max="999"
-          value={interval}
-          onChange={(e) => setInterval(Math.max(1, parseInt(e.target.value) || 1))}
-          className="w-20 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-        />
-        <span className="text-sm text-slate-600">
-          {recurrenceType === RECURRENCE_TYPES.DAILY && 'day(s)'}
-          {recurrenceType === RECURRENCE_TYPES.WEEKLY && 'week(s)'}
-          {recurrenceType === RECURRENCE_TYPES.MONTHLY && 'month(s)'}
-          {recurrenceType === RECURRENCE_TYPES.YEARLY && 'year(s)'}
-        </span>
-      </div>
+      {recurrenceType !== RECURRENCE_TYPES.CUSTOM && (
+        <div className="flex items-center gap-3">
+          <label className="text-sm font-medium text-slate-700">Every</label>
+          <input
+            type="number"
+            min="1"
+            max="999"
+            value={interval}
+            onChange={(e) => setInterval(Math.max(1, parseInt(e.target.value) || 1))}
+            className="w-20 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <span className="text-sm text-slate-600">
+            {recurrenceType === RECURRENCE_TYPES.DAILY && 'day(s)'}
+            {recurrenceType === RECURRENCE_TYPES.WEEKLY && 'week(s)'}
+            {recurrenceType === RECURRENCE_TYPES.MONTHLY && 'month(s)'}
+            {recurrenceType === RECURRENCE_TYPES.YEARLY && 'year(s)'}
+          </span>
+        </div>
+      )}
+
+      {/* Custom RRULE */}
+      {recurrenceType === RECURRENCE_TYPES.CUSTOM && (
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-slate-700">iCalendar rule (RRULE, EXDATE)</label>
+          <textarea
+            value={rrule}
+            onChange={(e) => setRrule(e.target.value)}
+            rows={3}
+            spellCheck={false}
+            placeholder="RRULE:FREQ=MONTHLY;BYDAY=-1FR"
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          {rruleError ? (
+            <p className="text-xs text-red-600">{rruleError}</p>
+          ) : (
+            <p className="text-xs text-slate-500">Paste a rule from a calendar app. The task's date is used as the start; DTSTART is ignored.</p>
+          )}
+        </div>
+      )}
 
       {/* Weekly Options */}
       {recurrenceType === RECURRENCE_TYPES.WEEKLY && (
@@ -304,23 +438,26 @@ export default function RecurrencePattern({
                 <span className="text-sm text-slate-700">The</span>
                 {monthlyType === 'weekday' && (
                   <div className="flex items-center gap-2 ml-4">
-                    <select
-                      value={monthlyWeekday}
-                      onChange={(e) => setMonthlyWeekday(e.target.value)}
-                      className="px-2 py-1 border border-slate-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    >
-                      {MONTH_OPTIONS.map(option => (
-                        <option key={option.value} value={option.value}>
-                          {option.label}
-                        </option>
-                      ))}
-                    </select>
+                    {MONTH_OPTIONS.map(option => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => handleMonthlyWeekdayToggle(option.value)}
+                        className={`px-2 py-1 rounded text-sm font-medium transition-all ${
+                          monthlyWeekdays.includes(option.value)
+                            ? 'bg-blue-600 text-white shadow-md'
+                            : 'bg-white text-slate-600 border border-slate-300 hover:bg-slate-50'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
                     <select
                       value={monthlyWeekdayName}
                       onChange={(e) => setMonthlyWeekdayName(e.target.value)}
                       className="px-2 py-1 border border-slate-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     >
-                      {WEEKDAYS.map(day => (
+                      {MONTHLY_WEEKDAY_NAMES.map(day => (
                         <option key={day.value} value={day.value}>
                           {day.label}
                         </option>
@@ -375,64 +512,129 @@ export default function RecurrencePattern({
             />
           </div>
 
-          <div className="space-y-2">
-            <label className="flex items-center">
-              <input
-                type="radio"
-                name="rangeType"
-                value={RANGE_TYPES.END_BY}
-                checked={rangeType === RANGE_TYPES.END_BY}
-                onChange={(e) => setRangeType(e.target.value)}
-                className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
-              />
-              <span className="text-sm text-slate-700">End by:</span>
-              {rangeType === RANGE_TYPES.END_BY && (
+          {recurrenceType !== RECURRENCE_TYPES.CUSTOM && (
+            <div className="space-y-2">
+              <label className="flex items-center">
                 <input
-                  type="date"
-                  value={endDate}
-                  onChange={(e) => setEndDate(e.target.value)}
-                  className="ml-4 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  type="radio"
+                  name="rangeType"
+                  value={RANGE_TYPES.END_BY}
+                  checked={rangeType === RANGE_TYPES.END_BY}
+                  onChange={(e) => setRangeType(e.target.value)}
+                  className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
                 />
-              )}
-            </label>
-
-            <label className="flex items-center">
-              <input
-                type="radio"
-                name="rangeType"
-                value={RANGE_TYPES.END_AFTER}
-                checked={rangeType === RANGE_TYPES.END_AFTER}
-                onChange={(e) => setRangeType(e.target.value)}
-                className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
-              />
-              <span className="text-sm text-slate-700">End after:</span>
-              {rangeType === RANGE_TYPES.END_AFTER && (
-                <div className="flex items-center gap-2 ml-4">
+                <span className="text-sm text-slate-700">End by:</span>
+                {rangeType === RANGE_TYPES.END_BY && (
                   <input
-                    type="number"
-                    min="1"
-                    max="999"
-                    value={occurrences}
-                    onChange={(e) => setOccurrences(Math.max(1, parseInt(e.target.value) || 1))}
-                    className="w-20 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className="ml-4 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   />
-                  <span className="text-sm text-slate-600">occurrence(s)</span>
-                </div>
-              )}
-            </label>
-
-            <label className="flex items-center">
-              <input
-                type="radio"
-                name="rangeType"
-                value={RANGE_TYPES.NO_END}
-                checked={rangeType === RANGE_TYPES.NO_END}
-                onChange={(e) => setRangeType(e.target.value)}
-                className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
-              />
-              <span className="text-sm text-slate-700">No end date</span>
-            </label>
+                )}
+              </label>
+
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  name="rangeType"
+                  value={RANGE_TYPES.END_AFTER}
+                  checked={rangeType === RANGE_TYPES.END_AFTER}
+                  onChange={(e) => setRangeType(e.target.value)}
+                  className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                />
+                <span className="text-sm text-slate-700">End after:</span>
+                {rangeType === RANGE_TYPES.END_AFTER && (
+                  <div className="flex items-center gap-2 ml-4">
+                    <input
+                      type="number"
+                      min="1"
+                      max="999"
+                      value={occurrences}
+                      onChange={(e) => setOccurrences(Math.max(1, parseInt(e.target.value) || 1))}
+                      className="w-20 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span className="text-sm text-slate-600">occurrence(s)</span>
+                  </div>
+                )}
+              </label>
+
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  name="rangeType"
+                  value={RANGE_TYPES.NO_END}
+                  checked={rangeType === RANGE_TYPES.NO_END}
+                  onChange={(e) => setRangeType(e.target.value)}
+                  className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                />
+                <span className="text-sm text-slate-700">No end date</span>
+              </label>
+            </div>
+          )}
+
+          <div className="flex items-center">
+            <span className="text-sm text-slate-600 mr-4">Missed occurrences:</span>
+            <select
+              value={missedOccurrences}
+              onChange={(e) => setMissedOccurrences(e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {MISSED_OCCURRENCE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Exceptions */}
+      <div className="space-y-3 border-t border-blue-200 pt-4">
+        <h4 className="text-sm font-semibold text-slate-800">Exceptions</h4>
+
+        <div className="flex items-center">
+          <span className="text-sm text-slate-600 mr-4">On a company holiday:</span>
+          <select
+            value={holidayPolicy}
+            onChange={(e) => setHolidayPolicy(e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {HOLIDAY_POLICY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-slate-600 mr-2">Skip these dates:</span>
+            <input
+              type="date"
+              value={newExdate}
+              onChange={(e) => setNewExdate(e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button type="button" onClick={handleAddExdate} disabled={!newExdate} className="btn btn-xs btn-secondary">
+              {t('add')}
+            </button>
           </div>
+          {exdates.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {exdates.map((date) => (
+                <span key={date} className="inline-flex items-center gap-1 px-2 py-1 bg-white border border-slate-300 rounded text-xs text-slate-700">
+                  {date}
+                  <button
+                    type="button"
+                    onClick={() => setExdates(exdates.filter((d) => d !== date))}
+                    className="text-slate-400 hover:text-red-600"
+                    aria-label={`${t('remove')} ${date}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
@@ -441,6 +643,50 @@ export default function RecurrencePattern({
         <div className="text-xs font-medium text-slate-500 mb-1">Recurrence Summary</div>
         <div className="text-sm text-slate-700">{formatRecurrenceSummary()}</div>
       </div>
+
+      {/* Next occurrences */}
+      <div className="bg-white rounded-lg p-3 border border-blue-200">
+        <div className="text-xs font-medium text-slate-500 mb-1">Next {PREVIEW_COUNT} occurrences</div>
+        {recurrenceType === RECURRENCE_TYPES.MONTHLY && monthlyType === 'regenerate' ? (
+          <div className="text-sm text-slate-500">Each date depends on when the previous task is completed.</div>
+        ) : !startKey ? (
+          <div className="text-sm text-slate-500">Pick a target date to see the dates.</div>
+        ) : preview.length === 0 ? (
+          <div className="text-sm text-slate-500">{rruleError ? 'Fix the rule to see the dates.' : 'No dates match this pattern.'}</div>
+        ) : (
+          <ol className="text-sm text-slate-700 space-y-0.5">
+            {preview.map((occurrence) => (
+              <li key={occurrence.seriesDate}>
+                {new Date(`${occurrence.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}
+                {occurrence.date !== occurrence.seriesDate && (
+                  <span className="text-xs text-amber-600 ml-2">
+                    moved from {occurrence.seriesDate} ({holidayNames[occurrence.seriesDate]})
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      {/* iCalendar export */}
+      {recurrenceType !== RECURRENCE_TYPES.CUSTOM && !(recurrenceType === RECURRENCE_TYPES.MONTHLY && monthlyType === 'regenerate') && (
+        <details className="text-sm">
+          <summary className="cursor-pointer text-slate-600">iCalendar (RRULE)</summary>
+          <div className="mt-2 space-y-2">
+            <textarea
+              readOnly
+              value={patternToICalendar(recurrence, startKey)}
+              rows={3}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-xs font-mono bg-slate-50"
+            />
+            <button type="button" onClick={handleEditAsRRule} className="btn btn-xs btn-secondary">
+              Edit as RRULE
+            </button>
+          </div>
+        </details>
+      )}
     </div>
   );
 }
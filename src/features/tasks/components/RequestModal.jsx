@@ -2,6 +2,10 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { STATUSES } from '../../../shared/constants.js';
 import { DIFFICULTY_LEVELS, DIFFICULTY_CONFIG } from '../../../shared/constants';
 import { toISTDateString } from '../../../shared/utils/date';
+import { preparePhotos, releasePhotoPreviews } from '../api/photoApi';
+import TemplatePicker from './TemplatePicker';
+import useTaskTemplates from '../hooks/useTaskTemplates';
+import { applyTaskTemplate } from '../utils/taskTemplates';
 
 export default function RequestModal({ 
   task, 
@@ -28,6 +32,8 @@ export default function RequestModal({
   const [projectSkillName, setProjectSkillName] = useState(''); // Add project/skill name state
   const [photos, setPhotos] = useState([]);
   const [isPhotoUploading, setIsPhotoUploading] = useState(false);
+  const [templateFields, setTemplateFields] = useState(null); // { name, fields }: checklist, observers and template id from a template
+  const { templates } = useTaskTemplates();
   
   const dropdownRef = useRef(null);
 
@@ -96,68 +102,45 @@ export default function RequestModal({
     };
   }, [showAssignees]);
 
+  // Templates fill in the requested department's side of the request
+  const applyTemplate = (template) => {
+    const values = applyTaskTemplate(template, { users });
+    setRequestData(prev => ({
+      ...prev,
+      departmentId: values.departmentId,
+      assignedUserIds: values.assignedUserIds,
+      description: values.description || values.title,
+      difficulty: values.difficulty,
+    }));
+    setIsRdNewSkill(values.isRdNewSkill);
+    setProjectSkillName(values.projectSkillName);
+    setTemplateFields({
+      name: template.name,
+      fields: {
+        checklist: values.checklist,
+        requireChecklistComplete: values.requireChecklistComplete,
+        observerIds: values.observerIds,
+        templateId: values.templateId,
+        templateVersion: values.templateVersion,
+      },
+    });
+    setShowAssignees(false);
+    setErrors({});
+  };
+
   const handlePhotoChange = (e) => {
     const files = Array.from(e.target.files);
     if (!files.length) return;
     setIsPhotoUploading(true);
 
-    const compressAndResizeImage = (file) => {
-      return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
-        
-        img.onload = () => {
-          // Calculate dimensions for mobile optimization (800x600 max)
-          let { width, height } = img;
-          const maxWidth = 800;
-          const maxHeight = 600;
-          
-          if (width > maxWidth || height > maxHeight) {
-            const aspectRatio = width / height;
-            if (width > height) {
-              width = maxWidth;
-              height = maxWidth / aspectRatio;
-            } else {
-              height = maxHeight;
-              width = maxHeight * aspectRatio;
-            }
-          }
-          
-          canvas.width = width;
-          canvas.height = height;
-          
-          // Draw and compress
-          ctx.drawImage(img, 0, 0, width, height);
-          const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-          resolve(compressedDataUrl);
-        };
-        
-        img.onerror = reject;
-        img.src = URL.createObjectURL(file);
-      });
-    };
-    
-    const processFiles = async (filesToProcess) => {
-      const compressedPhotos = [];
-      for (const file of filesToProcess) {
-        try {
-          const compressed = await compressAndResizeImage(file);
-          compressedPhotos.push(compressed);
-        } catch (error) {
-          console.error('Image processing failed for a file, skipping:', error);
-        }
-      }
-      return compressedPhotos;
-    };
-
-    processFiles(files).then(newPhotos => {
+    preparePhotos(files).then(newPhotos => {
       setPhotos(prevPhotos => [...prevPhotos, ...newPhotos]);
       setIsPhotoUploading(false);
     });
   };
 
   const removePhoto = (index) => {
+    releasePhotoPreviews([photos[index]]);
     setPhotos(prevPhotos => prevPhotos.filter((_, i) => i !== index));
   };
 
@@ -176,6 +159,7 @@ export default function RequestModal({
     setIsSubmitting(true);
     try {
       await onCreateRequest({
+        ...templateFields?.fields,
         ...requestData,
         originalTaskId: task.id,
         originalTaskTitle: task.title,
@@ -183,11 +167,12 @@ export default function RequestModal({
         requestingUserId: currentUser.id,
         requestingUserName: currentUser.name,
         points: DIFFICULTY_CONFIG[requestData.difficulty].points,
-        photos: photos,
+        photos: photos, // Pending uploads; createMaterialRequest attaches them once the task exists
         isUrgent: isUrgent, // Include urgent state
         isRdNewSkill: isRdNewSkill, // Include R&D/New Skill state
         projectSkillName: isRdNewSkill ? projectSkillName : '' // Include project/skill name if R&D
       });
+      releasePhotoPreviews(photos);
       onClose();
     } catch (error) {
       console.error('Error creating request:', error);
@@ -223,6 +208,17 @@ export default function RequestModal({
         {/* Request Form - Scrollable */}
         <form onSubmit={handleSubmit} className="p-6 flex-1 overflow-y-auto">
           <div className="space-y-4">
+            <TemplatePicker templates={templates} departments={departments} onSelect={applyTemplate} t={t} />
+            {templateFields && (
+              <div className="flex items-center justify-between text-xs text-gray-600 bg-gray-50 border rounded px-2 py-1">
+                <span>
+                  {t('fromTemplate', 'From template')}: {templateFields.name}
+                  {templateFields.fields.checklist.length > 0 && ` · ${templateFields.fields.checklist.length} ${t('checklistSteps', 'steps')}`}
+                </span>
+                <button type="button" onClick={() => setTemplateFields(null)} className="text-gray-400 hover:text-gray-600" aria-label="Unlink template">&times;</button>
+              </div>
+            )}
+
             {/* Department Selection */}
             <div>
               <label htmlFor="department" className="block text-sm font-medium text-gray-700 mb-2">
@@ -427,8 +423,8 @@ export default function RequestModal({
             {photos.length > 0 && !isPhotoUploading && (
               <div className="mt-2 flex flex-wrap gap-2">
                 {photos.map((photo, index) => (
-                  <div key={index} className="relative">
-                    <img src={photo} alt={`preview ${index}`} className="h-24 w-24 object-cover rounded-lg border" />
+                  <div key={photo.id} className="relative">
+                    <img src={photo.previewUrl} alt={`preview ${index}`} className="h-24 w-24 object-cover rounded-lg border" />
                     <button
                       type="button"
                       onClick={() => removePhoto(index)}
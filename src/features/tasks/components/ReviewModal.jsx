@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { getPhotoUrl, getPhotoThumbnailUrl } from '../api/photoApi';
+import { formatDateTime, toSafeDate } from '../../../shared/utils/date';
+import { REVIEW_DECISIONS, getReviewEvidence } from '../utils/completionReview';
+
+function ReviewModal({ task, onClose, onConfirm, t }) {
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { note, photos } = getReviewEvidence(task);
+  const submittedAt = toSafeDate(task.reviewSubmittedAt);
+
+  const handleDecision = async (decision) => {
+    if (decision === REVIEW_DECISIONS.SEND_BACK && !comment.trim()) {
+      alert(t('reviewCommentRequired', 'Please say what needs to be redone.'));
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      await onConfirm(task.id, decision, comment);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-sm space-y-3 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-bold">{t('reviewTask', 'Review')}: {task.title}</h3>
+        <div className="text-sm text-slate-600">
+          {t('reviewSubmittedBy', task.reviewSubmittedByName || '', submittedAt ? formatDateTime(submittedAt) : '')}
+        </div>
+        {task.reworkCount > 0 && (
+          <div className="text-xs font-medium text-amber-700">🔁 {t('reworkCount', task.reworkCount)}</div>
+        )}
+
+        <div className="rounded-lg bg-slate-50 p-3 text-sm">
+          <div className="font-medium text-slate-700 mb-1">{t('reviewEvidence', 'Evidence')}</div>
+          {note ? <p className="text-slate-700 whitespace-pre-wrap">{note.text}</p> : <p className="text-slate-500">{t('reviewNoNote', 'No completion note.')}</p>}
+          {photos.length > 0 && (
+            <div className="grid grid-cols-3 gap-2 mt-2">
+              {photos.map((photo, index) => (
+                <a key={photo?.id || index} href={getPhotoUrl(photo)} target="_blank" rel="noreferrer">
+                  <img src={getPhotoThumbnailUrl(photo)} alt={`photo ${index + 1}`} className="h-20 w-full object-cover rounded-lg border" loading="lazy" />
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder={t('reviewCommentPlaceholder', 'Comments for the assignees (required to send back)')}
+          className="input text-sm"
+          rows="3"
+        ></textarea>
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onClose} className="btn btn-secondary btn-sm">{t('cancel')}</button>
+          <button onClick={() => handleDecision(REVIEW_DECISIONS.SEND_BACK)} disabled={isSubmitting} className="btn btn-warning btn-sm text-white">
+            {t('reviewSendBack', 'Send back')}
+          </button>
+          <button onClick={() => handleDecision(REVIEW_DECISIONS.ACCEPT)} disabled={isSubmitting} className="btn btn-success btn-sm">
+            {t('reviewAccept', 'Accept')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReviewModal;
@@ -111,8 +111,9 @@ export default function ScheduledTasksList({ currentUser, users, departments, t
           summary = `Day ${recurrencePattern.monthlyDay} of every ${recurrencePattern.interval} month${recurrencePattern.interval > 1 ? 's' : ''}`;
         } else if (recurrencePattern.monthlyType === 'weekday') {
           const weekOptions = { first: '1st', second: '2nd', third: '3rd', fourth: '4th', last: 'Last' };
-          const weekdayNames = { monday: 'Mon', tuesday: 'Tue', wednesday: 'Wed', thursday: 'Thu', friday: 'Fri', saturday: 'Sat', sunday: 'Sun' };
-          summary = `${weekOptions[recurrencePattern.monthlyWeekday]} ${weekdayNames[recurrencePattern.monthlyWeekdayName]} of every ${recurrencePattern.interval} month${recurrencePattern.interval > 1 ? 's' : ''}`;
+          const weekdayNames = { monday: 'Mon', tuesday: 'Tue', wednesday: 'Wed', thursday: 'Thu', friday: 'Fri', saturday: 'Sat', sunday: 'Sun', weekday: 'weekday', weekend_day: 'weekend day' };
+          const ordinals = recurrencePattern.monthlyWeekdays || [recurrencePattern.monthlyWeekday];
+          summary = `${ordinals.map(o => weekOptions[o]).join(' & ')} ${weekdayNames[recurrencePattern.monthlyWeekdayName]} of every ${recurrencePattern.interval} month${recurrencePattern.interval > 1 ? 's' : ''}`;
         } else {
           summary = `Regenerate ${recurrencePattern.regenerateAfter} month${recurrencePattern.regenerateAfter > 1 ? 's' : ''} after completion`;
         }
@@ -120,6 +121,13 @@ export default function ScheduledTasksList({ currentUser, users, departments, t
       case 'yearly':
         summary = `Every ${recurrencePattern.interval} year${recurrencePattern.interval > 1 ? 's' : ''}`;
         break;
+      case 'custom':
+        summary = (recurrencePattern.rrule || '').split(/\r?\n/).find(line => /^(RRULE:)?FREQ=/i.test(line.trim())) || 'Custom rule';
+        break;
+    }
+
+    if (recurrencePattern.exdates?.length > 0) {
+      summary += `, except ${recurrencePattern.exdates.length} date${recurrencePattern.exdates.length > 1 ? 's' : ''}`;
     }
 
     // Add range information
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// "Show more" button at the end of a paged task list (see hooks/useTaskPaging.js)
+export default function ShowMoreTasks({ paging, t }) {
+  if (!paging.canShowMore) return null;
+
+  return (
+    <div className="flex justify-center py-3">
+      <button
+        type="button"
+        onClick={paging.showMore}
+        disabled={paging.isLoadingMore}
+        className="btn btn-secondary btn-sm inline-flex items-center gap-2 disabled:opacity-60"
+      >
+        {paging.isLoadingMore && (
+          <span className="w-3 h-3 border-2 border-slate-500 border-t-transparent rounded-full animate-spin"></span>
+        )}
+        {paging.isLoadingMore ? t('loading') : t('showMoreTasks')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { toggleChecklistItem } from '../api/taskApi';
+import { canToggleChecklistItem, getChecklistProgress } from '../utils/checklist';
+
+/**
+ * ChecklistProgress - Compact "3/8" progress bar for task rows.
+ */
+export function ChecklistProgress({ task, className = '' }) {
+  const { done, total, percent } = getChecklistProgress(task);
+  if (total === 0) return null;
+
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs text-slate-600 ${className}`} title={`Checklist: ${done} of ${total} done`}>
+      <span className="w-12 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+        <span className={`block h-full ${done === total ? 'bg-green-500' : 'bg-blue-500'}`} style={{ width: `${percent}%` }} />
+      </span>
+      ☑ {done}/{total}
+    </span>
+  );
+}
+
+/**
+ * TaskChecklist - Lets assignees tick off a task's steps.
+ */
+export default function TaskChecklist({ task, currentUser, users = [], canManage = false, isReadOnly = false, t }) {
+  const [pendingItemId, setPendingItemId] = useState(null);
+  const items = Array.isArray(task.checklist) ? task.checklist : [];
+  if (items.length === 0) return null;
+
+  const getUserName = (userId) => users.find(u => u.id === userId)?.name || t('unknown');
+
+  const handleToggle = async (item) => {
+    setPendingItemId(item.id);
+    try {
+      await toggleChecklistItem(task.id, item.id, !item.done, currentUser);
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      alert(t('updateFailed', 'Failed to update task. Please try again.'));
+    } finally {
+      setPendingItemId(null);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between mb-1">
+        <strong className="text-sm text-slate-700">{t('checklist')}</strong>
+        <ChecklistProgress task={task} />
+      </div>
+      <ol className="space-y-1">
+        {items.map((item, index) => {
+          const canToggle = !isReadOnly && canToggleChecklistItem(task, item, currentUser, canManage);
+          return (
+            <li key={item.id} className="flex items-start gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={!!item.done}
+                disabled={!canToggle || pendingItemId === item.id}
+                onChange={() => handleToggle(item)}
+                className="mt-0.5 h-4 w-4 text-green-600 border-gray-300 rounded"
+                aria-label={item.text}
+              />
+              <div className="flex-1 min-w-0">
+                <span className={item.done ? 'line-through text-slate-400' : 'text-slate-800'}>
+                  {index + 1}. {item.text}
+                </span>
+                <div className="text-xs text-slate-500">
+                  {item.assigneeId && <span>👤 {getUserName(item.assigneeId)}</span>}
+                  {item.done && item.doneBy && (
+                    <span className="ml-2">✓ {item.doneByName || getUserName(item.doneBy)}</span>
+                  )}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      {task.requireChecklistComplete && (
+        <p className="text-xs text-slate-500 mt-1">{t('checklistRequiredNote')}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from 'react';
+import { STATUSES } from '../../../shared/constants';
+import { hasPermission } from '../../../shared/utils/permissions';
+import { addTaskBlocker, removeTaskBlocker } from '../api/taskApi';
+import { getBlockers, getDependents, getCriticalPath, isOpenTask } from '../utils/taskDependencies';
+
+const statusBadgeClass = (status) => {
+  if (status === STATUSES.COMPLETE) return 'bg-green-100 text-green-800';
+  if (status === STATUSES.ONGOING) return 'bg-blue-100 text-blue-800';
+  if (status === STATUSES.DELETED) return 'bg-gray-100 text-gray-500';
+  return 'bg-yellow-100 text-yellow-800';
+};
+
+/**
+ * TaskDependencies - "Blocked by" / "Blocks" links for a task and the critical
+ * path of open prerequisites leading to it, across departments.
+ */
+export default function TaskDependencies({ task, allTasks = [], users = [], departments = [], currentUser, t }) {
+  const [newBlockerId, setNewBlockerId] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // The caller may hold a stale copy; links are read from the live task list
+  const currentTask = allTasks.find(candidate => candidate.id === task.id) || task;
+  const blockers = useMemo(() => getBlockers(task.id, allTasks), [task.id, allTasks]);
+  const dependents = useMemo(() => getDependents(task.id, allTasks), [task.id, allTasks]);
+  const criticalPath = useMemo(() => getCriticalPath(task.id, allTasks), [task.id, allTasks]);
+
+  // Managers, heads of the task's departments and the task's creator may edit links
+  const userDepartments = currentUser?.departmentIds || [];
+  const canEdit = hasPermission(currentUser?.role, 'MANAGE_ALL_TASKS') ||
+    (hasPermission(currentUser?.role, 'MANAGE_DEPARTMENT_TASKS') &&
+      [task.departmentId, task.requestingDepartmentId].some(id => id && userDepartments.includes(id))) ||
+    task.assignedById === currentUser?.id;
+
+  const candidates = useMemo(() => {
+    const linkedIds = new Set([task.id, ...blockers.map(b => b.id)]);
+    return allTasks
+      .filter(candidate => !linkedIds.has(candidate.id) && isOpenTask(candidate))
+      .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+  }, [task.id, allTasks, blockers]);
+
+  const getDepartmentName = (departmentId) => departments.find(d => d.id === departmentId)?.name || 'No department';
+
+  const getAssigneeNames = (linkedTask) => (linkedTask.assignedUserIds || [])
+    .map(id => users.find(u => u.id === id)?.name)
+    .filter(Boolean)
+    .join(', ');
+
+  const handleAdd = async () => {
+    if (!newBlockerId) return;
+    setIsSaving(true);
+    setError('');
+    try {
+      await addTaskBlocker(task.id, newBlockerId, allTasks, currentUser?.id, currentUser?.name);
+      setNewBlockerId('');
+    } catch (err) {
+      console.error('Error adding task blocker:', err);
+      setError(err.message || 'Failed to add blocker');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (blockerId) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await removeTaskBlocker(task.id, blockerId, allTasks, currentUser?.id, currentUser?.name);
+    } catch (err) {
+      console.error('Error removing task blocker:', err);
+      setError(err.message || 'Failed to remove blocker');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderTaskRow = (linkedTask, onRemove) => (
+    <div key={linkedTask.id} className="flex items-center justify-between gap-2 p-2 rounded border border-gray-200 bg-white">
+      <div className="min-w-0">
+        <div className="text-sm font-medium text-gray-900 truncate">
+          {linkedTask.type === 'material_request' && <span title="Material request">📋 </span>}
+          {linkedTask.title}
+        </div>
+        <div className="text-xs text-gray-500">
+          {getDepartmentName(linkedTask.departmentId)}
+          {getAssigneeNames(linkedTask) && ` · ${getAssigneeNames(linkedTask)}`}
+        </div>
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${statusBadgeClass(linkedTask.status)}`}>
+          {linkedTask.status}
+        </span>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            disabled={isSaving}
+            className="text-xs text-red-600 hover:text-red-800"
+            title="Remove link"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {criticalPath.length > 1 && (
+        <div>
+          <div className="text-sm font-medium text-gray-500 mb-1">{t('criticalPath')}</div>
+          <div className="flex flex-wrap items-center gap-1">
+            {criticalPath.map((pathTask, index) => (
+              <React.Fragment key={pathTask.id}>
+                {index > 0 && <span className="text-gray-400">→</span>}
+                <span
+                  className={`px-2 py-1 rounded text-xs border ${pathTask.id === task.id ? 'border-blue-300 bg-blue-50 text-blue-800' : 'border-gray-200 bg-gray-50 text-gray-800'}`}
+                  title={`${pathTask.status} · ${getDepartmentName(pathTask.departmentId)}`}
+                >
+                  {pathTask.title}
+                  <span className="text-gray-500"> ({getDepartmentName(pathTask.departmentId)})</span>
+                </span>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <div className="text-sm font-medium text-gray-500 mb-1">{t('blockedBy')} ({blockers.length})</div>
+        {blockers.length === 0 ? (
+          <p className="text-sm text-gray-500">No prerequisites</p>
+        ) : (
+          <div className="space-y-1">
+            {blockers.map(blocker => renderTaskRow(
+              blocker,
+              // Material requests are unlinked by completing or deleting the request
+              canEdit && (currentTask.blockedByTaskIds || []).includes(blocker.id) ? () => handleRemove(blocker.id) : null
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="text-sm font-medium text-gray-500 mb-1">{t('blocks')} ({dependents.length})</div>
+        {dependents.length === 0 ? (
+          <p className="text-sm text-gray-500">No tasks are waiting on this one</p>
+        ) : (
+          <div className="space-y-1">
+            {dependents.map(dependent => renderTaskRow(dependent, null))}
+          </div>
+        )}
+      </div>
+
+      {canEdit && (
+        <div className="flex items-center gap-2">
+          <select
+            value={newBlockerId}
+            onChange={(e) => { setNewBlockerId(e.target.value); setError(''); }}
+            className="flex-1 min-w-0 border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            <option value="">{t('addBlocker')}</option>
+            {candidates.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.title} ({getDepartmentName(candidate.departmentId)})
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={handleAdd} disabled={!newBlockerId || isSaving} className="btn btn-xs btn-primary">
+            {isSaving ? 'Saving...' : 'Add'}
+          </button>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React from 'react';
-import AdminComments from './AdminComments.jsx';
+import Comments from './Comments.jsx';
 
-export default function TaskEditor({ children, task, onRequestMaterial, hasBlockingTasks, blockingTasks, onAddComment, comments = [], t, currentUser, onDeleteComment, isLoadingComments = false }) {
+export default function TaskEditor({ children, task, onRequestMaterial, hasBlockingTasks, blockingTasks, onAddComment, onReply, users = [], t, currentUser }) {
   return (
     <div className="border-t p-3 text-sm space-y-3">
       {/* Blocking Tasks Warning */}
@@ -36,7 +36,7 @@ export default function TaskEditor({ children, task, onRequestMaterial, hasBlock
           </div>
 
           <div className="text-xs text-slate-700">
-            {t('whatToDo') || 'What to do'}: {t('completeRequestsFirst') || 'Complete the above requests to enable finishing this task.'}
+            {t('whatToDo') || 'What to do'}: {t('completeRequestsFirst') || 'Complete the above tasks to enable starting or finishing this task.'}
           </div>
         </div>
       )}
@@ -64,18 +64,9 @@ export default function TaskEditor({ children, task, onRequestMaterial, hasBlock
       {children}
 
       {/* Comments Section - Moved to bottom */}
-      {(comments.length > 0 || isLoadingComments) && (
-        <div className="border-t pt-3">
-          <AdminComments 
-            comments={comments} 
-            t={t} 
-            currentUser={currentUser}
-            onDeleteComment={onDeleteComment}
-            taskId={task?.id}
-            isLoadingComments={isLoadingComments}
-          />
-        </div>
-      )}
+      <div className="border-t pt-3 empty:hidden">
+        <Comments task={task} users={users} currentUser={currentUser} t={t} onReply={onReply} />
+      </div>
     </div>
   );
 }
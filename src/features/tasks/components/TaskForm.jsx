@@ -2,6 +2,17 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { toISTDateString } from '../../../shared/utils/date';
 import { DIFFICULTY_LEVELS, DIFFICULTY_CONFIG } from '../../../shared/constants';
 import RecurrencePattern from './RecurrencePattern';
+import { preparePhotos, releasePhotoPreviews } from '../api/photoApi';
+import ChecklistEditor from './ChecklistEditor';
+import { normalizeChecklist, resetChecklist } from '../utils/checklist';
+import TemplatePicker from './TemplatePicker';
+import EditTaskTemplateModal from './EditTaskTemplateModal';
+import useTaskTemplates from '../hooks/useTaskTemplates';
+import { applyTaskTemplate, canManageTemplates } from '../utils/taskTemplates';
+import GoalPicker from '../../goals/components/GoalPicker';
+import ProjectPicker from '../../projects/components/ProjectPicker';
+import { getExpectedHours, getExpectedHoursPatch, getEffortHint, formatHours } from '../utils/effortEstimates';
+import { isReviewedByDefault } from '../utils/completionReview';
 
 const ROLES = { USER: 'User', HEAD: 'Head', ADMIN: 'Admin' };
 
@@ -26,13 +37,24 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
   const [recurrencePattern, setRecurrencePattern] = useState(initialData?.recurrencePattern || null); // Add recurrence pattern state
   const [isRdNewSkill, setIsRdNewSkill] = useState(initialData?.isRdNewSkill || false); // Add R&D/New Skill state
   const [projectSkillName, setProjectSkillName] = useState(initialData?.projectSkillName || ''); // Add project/skill name state
+  const [goalLink, setGoalLink] = useState({ goalId: initialData?.goalId || null, keyResultId: initialData?.keyResultId || null });
+  const [projectId, setProjectId] = useState(initialData?.projectId || null);
+  const [checklist, setChecklist] = useState(() => resetChecklist(initialData?.checklist));
+  const [requireChecklistComplete, setRequireChecklistComplete] = useState(initialData?.requireChecklistComplete || false);
+  const [requiresReview, setRequiresReview] = useState(initialData?.requiresReview ?? isReviewedByDefault(initialData?.difficulty));
   const [errors, setErrors] = useState({});
+  const [appliedTemplate, setAppliedTemplate] = useState(null); // { id, name, version }
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+  const { templates } = useTaskTemplates();
 
   const availableUsers = useMemo(() => {
     if (!dept) return [];
     return users.filter((u) => u.departmentIds?.includes(dept));
   }, [users, dept]);
 
+  const department = departments.find((d) => d.id === dept);
+  const effortHint = getEffortHint(department, difficulty);
+
   useEffect(() => {
     if (assignedUserIds.length > 0) return;
     const raw = localStorage.getItem('kartavya_lastAssignees');
@@ -48,6 +70,25 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
     else if (availableUsers[0]) setAssignedUserIds([availableUsers[0].id]);
   }, [availableUsers]);
 
+  const applyTemplate = (template) => {
+    const values = applyTaskTemplate(template, { users });
+    setDept(values.departmentId);
+    setTitle(values.title);
+    setNote(values.description);
+    setDifficulty(values.difficulty);
+    setChecklist(values.checklist);
+    setRequireChecklistComplete(values.requireChecklistComplete);
+    setObserverIds(values.observerIds);
+    setAddObservers(values.observerIds.length > 0);
+    setIsRdNewSkill(values.isRdNewSkill);
+    setProjectSkillName(values.projectSkillName);
+    // Without default roles, keep the current assignees who are in the template's department
+    setAssignedUserIds((prev) => (values.assignedUserIds.length > 0
+      ? values.assignedUserIds
+      : prev.filter((id) => users.some((u) => u.id === id && u.departmentIds?.includes(values.departmentId)))));
+    setAppliedTemplate({ id: template.id, name: template.name, version: template.version });
+  };
+
   const handleUserCheckboxChange = (userId) => {
     setAssignedUserIds((prev) => (prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]));
   };
@@ -61,70 +102,15 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
     if (!files.length) return;
     setIsPhotoUploading(true);
 
-    const compressAndResizeImage = (file) => {
-      return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
-        
-        img.onload = () => {
-          try {
-            // Set maximum dimensions for mobile optimization
-            const maxWidth = 800;
-            const maxHeight = 600;
-            
-            let { width, height } = img;
-            
-            // Calculate new dimensions maintaining aspect ratio
-            if (width > height && width > maxWidth) {
-              height = (height * maxWidth) / width;
-              width = maxWidth;
-            } else if (height >= width && height > maxHeight) {
-              width = (width * maxHeight) / height;
-              height = maxHeight;
-            }
-            
-            // Set canvas dimensions
-            canvas.width = width;
-            canvas.height = height;
-            
-            // Draw resized image
-            ctx.drawImage(img, 0, 0, width, height);
-            
-            // Convert to compressed data URL
-            const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-            resolve(compressedDataUrl);
-          } catch (error) {
-            reject(error);
-          }
-        };
-        
-        img.onerror = () => reject(new Error('Failed to load image'));
-        img.src = URL.createObjectURL(file);
-      });
-    };
-
-    const processFiles = async (filesToProcess) => {
-      const compressedPhotos = [];
-      for (const file of filesToProcess) {
-        try {
-          const compressed = await compressAndResizeImage(file);
-          compressedPhotos.push(compressed);
-        } catch (error) {
-          console.error('Image processing failed for a file, skipping:', error);
-          // Optionally, handle fallback to reader here for individual files if needed
-        }
-      }
-      return compressedPhotos;
-    };
-
-    processFiles(files).then(newPhotos => {
+    // Uploaded to Storage by the parent once the task has been created
+    preparePhotos(files).then(newPhotos => {
       setPhotos(prevPhotos => [...prevPhotos, ...newPhotos]);
       setIsPhotoUploading(false);
     });
   };
 
   const removePhoto = (index) => {
+    releasePhotoPreviews([photos[index]]);
     setPhotos(prevPhotos => prevPhotos.filter((_, i) => i !== index));
   };
 
@@ -145,7 +131,7 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
     setErrors(nextErrors);
     if (Object.keys(nextErrors).length > 0) return;
     // Close the form immediately for optimistic UI feeling
-    setTitle(''); setNote(''); setPhotos([]); setAssignedUserIds([]); setObserverIds([]); setAssigneeOpen(false); setObserverOpen(false); setAddObservers(false); setDifficulty(DIFFICULTY_LEVELS.MEDIUM); setTargetDate(toISTDateString()); setIsUrgent(false); setIsScheduled(false); setRecurrencePattern(null); setIsRdNewSkill(false); setProjectSkillName('');
+    setTitle(''); setNote(''); setPhotos([]); setAssignedUserIds([]); setObserverIds([]); setAssigneeOpen(false); setObserverOpen(false); setAddObservers(false); setDifficulty(DIFFICULTY_LEVELS.MEDIUM); setTargetDate(toISTDateString()); setIsUrgent(false); setIsScheduled(false); setRecurrencePattern(null); setIsRdNewSkill(false); setProjectSkillName(''); setGoalLink({ goalId: null, keyResultId: null }); setProjectId(null); setChecklist([]); setRequireChecklistComplete(false); setRequiresReview(false); setAppliedTemplate(null);
     onCancel(); 
 
     // Fire the creation process in the background
@@ -157,6 +143,7 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
       departmentId: dept,
       difficulty,
       points: DIFFICULTY_CONFIG[difficulty].points,
+      ...getExpectedHoursPatch(department, difficulty),
       targetDate: targetDate || toISTDateString(),
       status: 'Pending',
       observerIds: addObservers ? observerIds : [],
@@ -169,12 +156,19 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
         editedByName: currentUser.name
       }] : [],
       photos: photos,
+      checklist: normalizeChecklist(checklist, assignedUserIds),
+      requireChecklistComplete: checklist.length > 0 && requireChecklistComplete,
+      requiresReview,
       isUrgent, 
       isScheduled, 
       recurrencePattern, 
       scheduledStartDate: isScheduled ? targetDate : null, 
       isRdNewSkill, 
       projectSkillName: isRdNewSkill ? projectSkillName : '', 
+      goalId: goalLink.goalId,
+      keyResultId: goalLink.keyResultId,
+      projectId,
+      ...(appliedTemplate ? { templateId: appliedTemplate.id, templateVersion: appliedTemplate.version } : {}),
     }).then(() => {
       try { localStorage.setItem('kartavya_lastAssignees', JSON.stringify(assignedUserIds)); } catch {}
     }).catch(err => {
@@ -184,7 +178,22 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
   }
 
   return (
+    <>
     <form onSubmit={handleSubmit} className="space-y-2 mt-3">
+      <TemplatePicker
+        templates={templates}
+        departments={departments}
+        departmentIds={currentUser.role === ROLES.ADMIN ? null : (currentUser.departmentIds || [])}
+        onSelect={applyTemplate}
+        t={t}
+      />
+      {appliedTemplate && (
+        <div className="flex items-center justify-between text-xs text-slate-600 bg-slate-50 border rounded px-2 py-1">
+          <span>{t('fromTemplate', 'From template')}: {appliedTemplate.name} ({t('templateVersion', appliedTemplate.version)})</span>
+          <button type="button" onClick={() => setAppliedTemplate(null)} className="text-slate-400 hover:text-slate-600" aria-label="Unlink template">&times;</button>
+        </div>
+      )}
+
       <div>
         <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder={t('taskTitle')} className={`input ${errors.title ? 'border-red-500 ring-2 ring-red-300' : ''}`} />
         {errors.title && <p className="text-xs text-red-600 mt-1">{errors.title}</p>}
@@ -294,6 +303,16 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
         </div>
       )}
 
+      {/* Checklist */}
+      <ChecklistEditor
+        items={checklist}
+        onChange={setChecklist}
+        assignees={availableUsers.filter(u => assignedUserIds.includes(u.id))}
+        requireComplete={requireChecklistComplete}
+        onRequireCompleteChange={setRequireChecklistComplete}
+        t={t}
+      />
+
       {/* Task Difficulty Selector */}
       <div>
         <label className="block text-sm font-medium text-slate-700 mb-2">{t('taskDifficulty')}</label>
@@ -302,7 +321,7 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
             <button
               key={key}
               type="button"
-              onClick={() => setDifficulty(key)}
+              onClick={() => { setDifficulty(key); if (isReviewedByDefault(key)) setRequiresReview(true); }}
               className={`px-2 py-1.5 rounded-full text-xs font-medium border transition-all ${
                 difficulty === key
                   ? `${config.color} shadow-sm scale-105`
@@ -311,10 +330,15 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
             >
               <span className="mr-1">{config.icon}</span>
               {t(config.label.toLowerCase())} ({config.points} pts)
-              <div className="text-xs opacity-75">{config.timeEstimate}</div>
+              <div className="text-xs opacity-75">~{formatHours(getExpectedHours(department, key))}</div>
             </button>
           ))}
         </div>
+        {effortHint && (
+          <p className="text-xs text-slate-500 mt-1">
+            {t('effortHint', formatHours(effortHint.medianHours), effortHint.sampleSize)}
+          </p>
+        )}
       </div>
       
       {/* Urgent Task Checkbox */}
@@ -331,6 +355,20 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
         </label>
       </div>
 
+      {/* Completion review: critical tasks are reviewed unless unticked */}
+      <div className="flex items-center mt-2">
+        <input
+          type="checkbox"
+          id="requiresReview"
+          checked={requiresReview}
+          onChange={(e) => setRequiresReview(e.target.checked)}
+          className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+        />
+        <label htmlFor="requiresReview" className="text-sm text-slate-700">
+          {t('requiresReview', 'Review before completion')}
+        </label>
+      </div>
+
       {/* R&D/New Skill Checkbox */}
       <div className="flex items-center mt-2">
         <input
@@ -362,6 +400,12 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
         </div>
       )}
 
+      {/* Project */}
+      <ProjectPicker departmentId={dept} projectId={projectId} onChange={setProjectId} t={t} />
+
+      {/* Goal / key result link */}
+      <GoalPicker departmentId={dept} goalId={goalLink.goalId} keyResultId={goalLink.keyResultId} onChange={setGoalLink} t={t} />
+
       {/* Scheduled Task Checkbox */}
       <div className="flex items-center mt-2">
         <input
@@ -401,8 +445,8 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
       {photos.length > 0 && !isPhotoUploading && (
         <div className="mt-2 flex flex-wrap gap-2">
           {photos.map((photo, index) => (
-            <div key={index} className="relative">
-              <img src={photo} alt={`preview ${index}`} className="h-24 w-24 object-cover rounded-lg border" />
+            <div key={photo.id} className="relative">
+              <img src={photo.previewUrl} alt={`preview ${index}`} className="h-24 w-24 object-cover rounded-lg border" />
               <button
                 type="button"
                 onClick={() => removePhoto(index)}
@@ -427,7 +471,12 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
         />
       </div>
       
-      <div className="flex items-center justify-end">
+      <div className="flex items-center justify-end gap-2">
+        {canManageTemplates(currentUser, dept) && (
+          <button type="button" onClick={() => setIsSavingTemplate(true)} className="btn btn-secondary" disabled={!title.trim()}>
+            {t('saveAsTemplate', 'Save as template')}
+          </button>
+        )}
         <button type="submit" className={`btn btn-success ${isSubmitting ? 'opacity-75 cursor-not-allowed' : ''}`} disabled={isSubmitting}>
           {isSubmitting ? (
             <div className="flex items-center gap-2">
@@ -440,6 +489,21 @@ export default function TaskForm({ currentUser, users, departments, onCreate, t,
         </button>
       </div>
     </form>
+
+    {isSavingTemplate && (
+      <EditTaskTemplateModal
+        initialValues={{
+          title, description: note, departmentId: dept, difficulty, checklist, requireChecklistComplete,
+          observerIds: addObservers ? observerIds : [], isRdNewSkill, projectSkillName,
+        }}
+        currentUser={currentUser}
+        users={users}
+        departments={departments}
+        onClose={() => setIsSavingTemplate(false)}
+        t={t}
+      />
+    )}
+    </>
   );
 }
 
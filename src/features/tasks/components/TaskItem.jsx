@@ -1,17 +1,23 @@
 import React from 'react';
 import { DIFFICULTY_CONFIG, DIFFICULTY_LEVELS } from '../../../shared/constants';
+import { ChecklistProgress } from './TaskChecklist';
+import { TimerBadge } from './TaskTimer';
+import { canReviewTask } from '../utils/completionReview';
+import { CommentBadge } from './Comments';
 
 export default function TaskItem({
   task,
   STATUSES,
   onStart,
   onFinish,
+  onReview,
   onToggleExpand,
   expanded,
   t,
   isReadOnly,
   blockingTasks = [],
   currentUser,
+  commentReads = {},
   selectionMode = false,
   isSelected = false,
   isSelectable = true,
@@ -33,6 +39,9 @@ export default function TaskItem({
   // Observer-only users can view/comment/edit, but must not change status/progress
   const isObserverOnly = isCurrentUserObserver && !isCurrentUserAssigned;
 
+  const isAwaitingReview = task.status === STATUSES.PENDING_REVIEW;
+  const canReview = isAwaitingReview && !isReadOnly && !!onReview && canReviewTask(task, currentUser);
+
   // Get difficulty config for display with backward compatibility
   // Default to HARD (50 pts) for existing tasks without difficulty
   const difficultyConfig = task.difficulty 
@@ -152,6 +161,17 @@ export default function TaskItem({
                 🚨 URGENT
               </span>
             )}
+            <ChecklistProgress task={task} />
+            <TimerBadge task={task} />
+            <CommentBadge task={task} reads={commentReads} userId={currentUser?.id} t={t} />
+            {task.reworkCount > 0 && (
+              <span
+                className="text-xs text-amber-700 font-medium"
+                title={t('reworkCount', task.reworkCount)}
+              >
+                🔁 {task.reworkCount}
+              </span>
+            )}
             {/* Show approval status badges */}
             {task.needsApproval && !task.approvedBy && !task.rejectedBy && (
               <span 
@@ -185,6 +205,16 @@ export default function TaskItem({
           </div>
         </div>
         <div className="flex gap-1" onClick={(e) => e.stopPropagation()}>
+          {canReview && (
+            <button onClick={onReview} className="btn btn-xs btn-primary">
+              {t('reviewTask', 'Review')}
+            </button>
+          )}
+          {isAwaitingReview && !canReview && (
+            <span className="text-xs text-amber-700 font-medium px-2 py-1">
+              {t('awaitingReview', 'Awaiting review')}
+            </span>
+          )}
           {!isReadOnly && !isObserverOnly && (
             <>
               {task.status === STATUSES.PENDING && !hasBlockingRequests && task.status !== STATUSES.REJECTED && (
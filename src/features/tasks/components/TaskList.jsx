@@ -3,10 +3,18 @@ import TaskItem from './TaskItem.jsx';
 import TaskEditor from './TaskEditor.jsx';
 import EditTaskModal from './EditTaskModal.jsx';
 import CompletionModal from './CompletionModal.jsx';
+import ReviewModal from './ReviewModal.jsx';
 import RequestModal from './RequestModal.jsx';
 import CommentModal from './CommentModal.jsx';
+import useTaskPaging from '../hooks/useTaskPaging.js';
+import ShowMoreTasks from './ShowMoreTasks.jsx';
 import useTaskActions from '../../tasks/hooks/useTaskActions.js';
 import { formatDateTime, formatDateOnly, toSafeDate } from '../../../shared/utils/date.js';
+import { getPhotoUrl, getPhotoThumbnailUrl } from '../api/photoApi.js';
+import { getOpenBlockers } from '../utils/taskDependencies.js';
+import TaskChecklist from './TaskChecklist.jsx';
+import TaskTimer from './TaskTimer.jsx';
+import { hasPermission } from '../../../shared/utils/permissions.js';
 
 export default function TaskList({
   tasks = [],
@@ -18,16 +26,19 @@ export default function TaskList({
   isReadOnly = false,
   currentUser,
   users = [],
+  commentReads = {},
   departments = [],
   onCreateRequest,
   onAddComment,
-  onDeleteComment,
   openTaskId,
   showAssignedUsers = false,
   selectionMode = false,
   selectedTaskIds = [],
   onToggleSelectTask = null,
   isTaskSelectable = null,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore = null,
 }) {
   const {
     STATUSES,
@@ -36,8 +47,12 @@ export default function TaskList({
     setCompletionModalTask,
     handleFinishClick,
     handleCompleteSubmit,
+    reviewModalTask,
+    setReviewModalTask,
+    handleReviewClick,
+    handleReviewSubmit,
     handleCycleStatus,
-  } = useTaskActions({ tasks, onUpdateTask, onLogActivity, t, currentUser });
+  } = useTaskActions({ tasks, allTasks, onUpdateTask, onLogActivity, t, currentUser });
 
   const [expandedTaskId, setExpandedTaskId] = useState(null);
   const [fileViewerOpen, setFileViewerOpen] = useState(false);
@@ -140,11 +155,8 @@ export default function TaskList({
   // Find blocking tasks for each task
   const tasksWithBlockingInfo = useMemo(() => {
     return effectiveTasks.map(task => {
-      const blockingTasks = allTasks.filter(t => 
-        t.type === 'material_request' && 
-        t.originalTaskId === task.id && 
-        t.status !== STATUSES.COMPLETE
-      );
+      // Open prerequisites and material requests
+      const blockingTasks = getOpenBlockers(task.id, allTasks);
       
       return {
         ...task,
@@ -155,7 +167,7 @@ export default function TaskList({
         }))
       };
     });
-  }, [effectiveTasks, allTasks, users, STATUSES]);
+  }, [effectiveTasks, allTasks, users]);
 
   const sortedTasks = useMemo(() => {
     const list = [...tasksWithBlockingInfo].sort((a, b) => {
@@ -169,10 +181,10 @@ export default function TaskList({
         if (!a.isUrgent && b.isUrgent) return 1;
       }
       
-      // Third priority: Status order for non-completed tasks (Ongoing > Pending)
+      // Third priority: Status order for non-completed tasks (Pending Review > Ongoing > Pending)
       if (a.status !== STATUSES.COMPLETE && b.status !== STATUSES.COMPLETE) {
-        const orderA = [STATUSES.ONGOING, STATUSES.PENDING].indexOf(a.status);
-        const orderB = [STATUSES.ONGOING, STATUSES.PENDING].indexOf(b.status);
+        const orderA = [STATUSES.PENDING_REVIEW, STATUSES.ONGOING, STATUSES.PENDING].indexOf(a.status);
+        const orderB = [STATUSES.PENDING_REVIEW, STATUSES.ONGOING, STATUSES.PENDING].indexOf(b.status);
         if (orderA !== orderB) return orderA - orderB;
       }
       
@@ -186,6 +198,8 @@ export default function TaskList({
     return list;
   }, [tasksWithBlockingInfo, STATUSES]);
 
+  const paging = useTaskPaging(sortedTasks, { hasMore, isLoadingMore, onLoadMore, openTaskId });
+
   const handleRequestMaterial = (task) => {
     setRequestModalTask(task);
   };
@@ -214,7 +228,7 @@ export default function TaskList({
   return (
     <>
       <ul className="space-y-2">
-        {sortedTasks.map((task) => (
+        {paging.visibleTasks.map((task) => (
           <TaskItem
             key={task.id}
             task={task}
@@ -222,6 +236,7 @@ export default function TaskList({
             isReadOnly={isReadOnly}
             t={t}
             currentUser={currentUser}
+            commentReads={commentReads}
             blockingTasks={task.blockingTasks || []}
             selectionMode={selectionMode}
             isSelected={selectedTaskIds.includes(task.id)}
@@ -229,6 +244,7 @@ export default function TaskList({
             onToggleSelect={onToggleSelectTask}
             onStart={() => handleCycleStatus(task)}
             onFinish={() => handleFinishClick(task)}
+            onReview={() => handleReviewClick(task)}
             onToggleExpand={() => setExpandedTaskId(expandedTaskId === task.id ? null : task.id)}
             expanded={expandedTaskId === task.id ? (
               <TaskEditor
@@ -237,10 +253,10 @@ export default function TaskList({
                 hasBlockingTasks={task.hasBlockingTasks}
                 blockingTasks={task.blockingTasks}
                 onAddComment={() => handleAddComment(task)}
-                comments={task.comments || []}
+                onReply={(text, replyTo) => onAddComment(task.id, text, replyTo)}
+                users={users}
                 t={t}
                 currentUser={currentUser}
-                onDeleteComment={onDeleteComment}
               >
                 <div className="mt-2 text-sm space-y-2">
                   <div><strong>{t('assigned')}:</strong> {(() => {
@@ -280,6 +296,15 @@ export default function TaskList({
                       <p className="text-red-700 text-xs mt-1">{task.deleteReason}</p>
                     </div>
                   )}
+                  <TaskChecklist
+                    task={task}
+                    currentUser={currentUser}
+                    users={users}
+                    canManage={hasPermission(currentUser?.role, 'MANAGE_DEPARTMENT_TASKS') || task.assignedById === currentUser?.id}
+                    isReadOnly={isReadOnly}
+                    t={t}
+                  />
+                  <TaskTimer task={task} currentUser={currentUser} users={users} isReadOnly={isReadOnly} t={t} />
                   {/* Progressive photo loading - only show when expanded and loaded */}
                   {task.photos?.length > 0 && loadedPhotos.has(task.id) && (
                     <div className="mt-3">
@@ -287,11 +312,11 @@ export default function TaskList({
                       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2 mt-1">
                         {task.photos.map((p, i) => (
                           <img 
-                            key={i} 
-                            src={p} 
+                            key={p?.id || i} 
+                            src={getPhotoThumbnailUrl(p)} 
                             alt={`photo ${i + 1}`} 
                             className="h-24 w-full object-cover rounded-lg border cursor-pointer hover:opacity-80 transition-opacity" 
-                            onClick={() => handlePhotoClick(p, task.title)}
+                            onClick={() => handlePhotoClick(getPhotoUrl(p), task.title)}
                             title="Click to view full size"
                             loading="lazy"
                           />
@@ -327,6 +352,7 @@ export default function TaskList({
           </li>
         )}
       </ul>
+      <ShowMoreTasks paging={paging} t={t} />
 
       {completionModalTask && (
         <CompletionModal
@@ -336,6 +362,14 @@ export default function TaskList({
           t={t}
         />
       )}
+      {reviewModalTask && (
+        <ReviewModal
+          task={reviewModalTask}
+          onClose={() => setReviewModalTask(null)}
+          onConfirm={handleReviewSubmit}
+          t={t}
+        />
+      )}
       {editingTask && (
         <EditTaskModal
           task={editingTask}
@@ -373,6 +407,7 @@ export default function TaskList({
           task={commentModalTask}
           onClose={() => setCommentModalTask(null)}
           onAddComment={handleCommentSubmit}
+          users={users}
           currentUser={currentUser}
           t={t}
         />
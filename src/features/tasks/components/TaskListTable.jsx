@@ -2,11 +2,21 @@ import React, { useMemo, useState, useEffect } from 'react';
 import TaskEditor from './TaskEditor.jsx';
 import EditTaskModal from './EditTaskModal.jsx';
 import CompletionModal from './CompletionModal.jsx';
+import ReviewModal from './ReviewModal.jsx';
 import RequestModal from './RequestModal.jsx';
 import CommentModal from './CommentModal.jsx';
+import useTaskPaging from '../hooks/useTaskPaging.js';
+import ShowMoreTasks from './ShowMoreTasks.jsx';
 import useTaskActions from '../hooks/useTaskActions.js';
 import { formatDateTime, formatDateOnly, toSafeDate } from '../../../shared/utils/date.js';
 import { DIFFICULTY_CONFIG, STATUSES } from '../../../shared/constants.js';
+import { getPhotoThumbnailUrl } from '../api/photoApi.js';
+import { getOpenBlockers } from '../utils/taskDependencies.js';
+import { canReviewTask } from '../utils/completionReview.js';
+import TaskChecklist, { ChecklistProgress } from './TaskChecklist.jsx';
+import TaskTimer, { TimerBadge } from './TaskTimer.jsx';
+import { CommentBadge } from './Comments.jsx';
+import { hasPermission } from '../../../shared/utils/permissions.js';
 
 /**
  * Desktop-optimized table view for tasks (Jira/Linear-style).
@@ -22,10 +32,10 @@ export default function TaskListTable({
   isReadOnly = false,
   currentUser,
   users = [],
+  commentReads = {},
   departments = [],
   onCreateRequest,
   onAddComment,
-  onDeleteComment,
   openTaskId,
   onUpdateTaskLocal,
   showAssignedUsers = false,
@@ -33,6 +43,9 @@ export default function TaskListTable({
   selectedTaskIds = [],
   onToggleSelectTask = null,
   isTaskSelectable = null,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore = null,
 }) {
   const {
     effectiveTasks,
@@ -40,8 +53,12 @@ export default function TaskListTable({
     setCompletionModalTask,
     handleFinishClick,
     handleCompleteSubmit,
+    reviewModalTask,
+    setReviewModalTask,
+    handleReviewClick,
+    handleReviewSubmit,
     handleCycleStatus,
-  } = useTaskActions({ tasks, onUpdateTask, onLogActivity, t, currentUser });
+  } = useTaskActions({ tasks, allTasks, onUpdateTask, onLogActivity, t, currentUser });
 
   const [expandedTaskId, setExpandedTaskId] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
@@ -68,12 +85,10 @@ export default function TaskListTable({
 
   const tasksWithBlockingInfo = useMemo(() => {
     return effectiveTasks.map((task) => {
-      const blockingTasks = allTasks.filter(
-        (t) => t.type === 'material_request' && t.originalTaskId === task.id && t.status !== STATUSES.COMPLETE
-      );
+      const blockingTasks = getOpenBlockers(task.id, allTasks);
       return { ...task, hasBlockingTasks: blockingTasks.length > 0, blockingTasks };
     });
-  }, [effectiveTasks, allTasks, STATUSES]);
+  }, [effectiveTasks, allTasks]);
 
   const sortedTasks = useMemo(() => {
     const list = [...tasksWithBlockingInfo].sort((a, b) => {
@@ -86,7 +101,7 @@ export default function TaskListTable({
       const getVal = (task, field) => {
         if (field === 'targetDate') return toSafeDate(task.targetDate)?.getTime() ?? 0;
         if (field === 'title') return (task.title || '').toLowerCase();
-        if (field === 'status') return [STATUSES.ONGOING, STATUSES.PENDING, STATUSES.COMPLETE].indexOf(task.status);
+        if (field === 'status') return [STATUSES.PENDING_REVIEW, STATUSES.ONGOING, STATUSES.PENDING, STATUSES.COMPLETE].indexOf(task.status);
         if (field === 'points') return task.points ?? DIFFICULTY_CONFIG[task.difficulty]?.points ?? 0;
         return 0;
       };
@@ -98,6 +113,8 @@ export default function TaskListTable({
     return list;
   }, [tasksWithBlockingInfo, sortField, sortDir, STATUSES]);
 
+  const paging = useTaskPaging(sortedTasks, { hasMore, isLoadingMore, onLoadMore, openTaskId });
+
   const handleSort = (field) => {
     setSortField(field);
     setSortDir((d) => (sortField === field ? (d === 'asc' ? 'desc' : 'asc') : 'asc'));
@@ -178,7 +195,7 @@ export default function TaskListTable({
             </tr>
           </thead>
           <tbody className="divide-y divide-slate-200 bg-white">
-            {sortedTasks.map((task) => {
+            {paging.visibleTasks.map((task) => {
               const isExpanded = expandedTaskId === task.id;
               const isCurrentUserObserver =
                 !!currentUser?.id && Array.isArray(task.observerIds) && task.observerIds.includes(currentUser.id);
@@ -221,6 +238,14 @@ export default function TaskListTable({
                             URGENT
                           </span>
                         )}
+                        <ChecklistProgress task={task} className="shrink-0" />
+                        <TimerBadge task={task} className="shrink-0" />
+                        <CommentBadge task={task} reads={commentReads} userId={currentUser?.id} t={t} className="shrink-0" />
+                        {task.reworkCount > 0 && (
+                          <span className="shrink-0 text-[10px] font-medium text-amber-700" title={t('reworkCount', task.reworkCount)}>
+                            🔁 {task.reworkCount}
+                          </span>
+                        )}
                       </div>
                       {task.notes?.[0]?.text && (
                         <div className="mt-0.5 text-xs text-slate-500 line-clamp-1">{task.notes[0].text}</div>
@@ -254,6 +279,14 @@ export default function TaskListTable({
                     <td className="px-3 py-2 font-medium text-slate-700">{getPoints(task)}</td>
                     {!isReadOnly && (
                       <td className="px-3 py-2 text-right" onClick={(e) => e.stopPropagation()}>
+                        {task.status === STATUSES.PENDING_REVIEW && canReviewTask(task, currentUser) && (
+                          <button
+                            onClick={() => handleReviewClick(task)}
+                            className="mb-1 rounded bg-blue-600 px-2 py-1 text-xs font-medium text-white hover:bg-blue-700"
+                          >
+                            {t('reviewTask', 'Review')}
+                          </button>
+                        )}
                         {canAct && (
                           <div className="flex justify-end gap-1">
                             {task.status === STATUSES.PENDING && !task.hasBlockingTasks && (
@@ -309,10 +342,10 @@ export default function TaskListTable({
                           hasBlockingTasks={task.hasBlockingTasks}
                           blockingTasks={task.blockingTasks}
                           onAddComment={() => handleAddComment(task)}
-                          comments={task.comments || []}
+                          onReply={(text, replyTo) => onAddComment(task.id, text, replyTo)}
+                          users={users}
                           t={t}
                           currentUser={currentUser}
-                          onDeleteComment={onDeleteComment}
                         >
                           <div className="mt-3 space-y-2 text-sm">
                             <div><strong>{t('assigned')}:</strong> {toSafeDate(task.createdAt) ? formatDateTime(toSafeDate(task.createdAt)) : 'N/A'}</div>
@@ -332,14 +365,23 @@ export default function TaskListTable({
                                 ✏️ {t('editTask')}
                               </button>
                             )}
+                            <TaskChecklist
+                              task={task}
+                              currentUser={currentUser}
+                              users={users}
+                              canManage={hasPermission(currentUser?.role, 'MANAGE_DEPARTMENT_TASKS') || task.assignedById === currentUser?.id}
+                              isReadOnly={isReadOnly}
+                              t={t}
+                            />
+                            <TaskTimer task={task} currentUser={currentUser} users={users} isReadOnly={isReadOnly} t={t} />
                             {task.photos?.length > 0 && loadedPhotos.has(task.id) && (
                               <div className="mt-3">
                                 <strong className="text-slate-700">Photos ({task.photos.length})</strong>
                                 <div className="mt-1 flex flex-wrap gap-2">
                                   {task.photos.map((p, i) => (
                                     <img
-                                      key={i}
-                                      src={p}
+                                      key={p?.id || i}
+                                      src={getPhotoThumbnailUrl(p)}
                                       alt={`photo ${i + 1}`}
                                       className="h-20 rounded-lg border object-cover cursor-pointer hover:opacity-80"
                                       loading="lazy"
@@ -366,6 +408,7 @@ export default function TaskListTable({
           <div className="text-xs">{t('noTasksSub')}</div>
         </div>
       )}
+      <ShowMoreTasks paging={paging} t={t} />
 
       {completionModalTask && (
         <CompletionModal
@@ -375,6 +418,14 @@ export default function TaskListTable({
           t={t}
         />
       )}
+      {reviewModalTask && (
+        <ReviewModal
+          task={reviewModalTask}
+          onClose={() => setReviewModalTask(null)}
+          onConfirm={handleReviewSubmit}
+          t={t}
+        />
+      )}
       {editingTask && (
         <EditTaskModal
           task={editingTask}
@@ -406,6 +457,7 @@ export default function TaskListTable({
           task={commentModalTask}
           onClose={() => setCommentModalTask(null)}
           onAddComment={handleCommentSubmit}
+          users={users}
           currentUser={currentUser}
           t={t}
         />
@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from 'react';
+import useTaskTemplates from '../hooks/useTaskTemplates';
+import { setTaskTemplateArchived } from '../api/templateApi';
+import { canManageTemplates } from '../utils/taskTemplates';
+import { DIFFICULTY_CONFIG } from '../../../shared/constants';
+import EditTaskTemplateModal from './EditTaskTemplateModal';
+
+/**
+ * TaskTemplatesList - The task templates of the departments a Head (or
+ * Management/Admin) manages, with create, edit and archive.
+ */
+export default function TaskTemplatesList({ currentUser, users, departments, t, onTaskFeedback }) {
+  const { templates, isLoading } = useTaskTemplates();
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null); // { template } or {} for a new one
+
+  const manageable = useMemo(
+    () => templates.filter((template) => canManageTemplates(currentUser, template.departmentId)),
+    [templates, currentUser]
+  );
+  const visible = manageable
+    .filter((template) => showArchived || !template.isArchived)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const getDepartmentName = (departmentId) => departments.find((d) => d.id === departmentId)?.name || t('unknown');
+
+  const handleToggleArchived = async (template) => {
+    try {
+      await setTaskTemplateArchived(template.id, !template.isArchived, currentUser);
+      onTaskFeedback?.(template.isArchived ? t('templateRestored', 'Template restored') : t('templateArchived', 'Template archived'), 'success');
+    } catch (error) {
+      console.error('Error archiving task template:', error);
+      onTaskFeedback?.(error.message, 'error');
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-slate-500 text-center py-4">{t('loading')}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm text-slate-600">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-2" />
+          {t('showArchivedTemplates', 'Show archived')}
+        </label>
+        <button type="button" onClick={() => setEditing({})} className="btn btn-secondary text-sm">
+          + {t('newTemplate', 'New template')}
+        </button>
+      </div>
+
+      {visible.length === 0 && (
+        <p className="text-sm text-slate-500 text-center py-4">{t('noTemplates', 'No templates yet. Save a task form as a template or create one here.')}</p>
+      )}
+
+      {visible.map((template) => (
+        <div
+          key={template.id}
+          className={`rounded-lg border p-3 ${template.isArchived ? 'border-slate-200 bg-slate-50' : 'bg-white border-blue-200 shadow-sm'}`}
+        >
+          <div className="flex items-start justify-between gap-2">
+            <div className="min-w-0">
+              <div className="font-semibold text-slate-800 truncate">
+                {template.name}
+                <span className="ml-2 text-xs font-normal text-slate-500">{t('templateVersion', template.version)}</span>
+              </div>
+              <div className="text-xs text-slate-500">
+                {getDepartmentName(template.departmentId)} · {DIFFICULTY_CONFIG[template.difficulty]?.label || template.difficulty}
+                {template.checklist?.length > 0 && ` · ${template.checklist.length} ${t('checklistSteps', 'steps')}`}
+                {template.defaultAssigneeRoles?.length > 0 && ` · ${template.defaultAssigneeRoles.join(', ')}`}
+              </div>
+            </div>
+            <div className="flex gap-2 text-sm flex-shrink-0">
+              <button type="button" onClick={() => setEditing({ template })} className="text-blue-600 hover:underline">
+                {t('edit')}
+              </button>
+              <button type="button" onClick={() => handleToggleArchived(template)} className="text-slate-600 hover:underline">
+                {template.isArchived ? t('unarchive', 'Unarchive') : t('archive', 'Archive')}
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {editing && (
+        <EditTaskTemplateModal
+          template={editing.template || null}
+          currentUser={currentUser}
+          users={users}
+          departments={departments}
+          onClose={() => setEditing(null)}
+          onSaved={() => onTaskFeedback?.(t('templateSaved', 'Template saved'), 'success')}
+          t={t}
+        />
+      )}
+    </div>
+  );
+}
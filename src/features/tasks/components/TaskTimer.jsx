@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { formatDateTime } from '../../../shared/utils/date';
+import { getTaskAssigneeIds } from '../../../shared/utils/pointsEngine';
+import { changeTaskTimer, getTaskWorkSessions } from '../api/timeTrackingApi';
+import {
+  TIMER_ACTIONS,
+  TIMER_STATES,
+  getTimer,
+  getTimerActions,
+  getWorkedMinutes,
+  hasRunningTimer,
+  formatWorkedMinutes,
+} from '../utils/timeTracking';
+
+const ACTION_LABELS = {
+  [TIMER_ACTIONS.START]: ['startTimer', '▶ Start timer'],
+  [TIMER_ACTIONS.PAUSE]: ['pauseTimer', '⏸ Pause'],
+  [TIMER_ACTIONS.RESUME]: ['resumeTimer', '▶ Resume'],
+  [TIMER_ACTIONS.STOP]: ['stopTimer', '⏹ Stop'],
+};
+
+// Re-render every half minute while a timer runs, so running time counts up
+const useNow = (isRunning) => {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+  return now;
+};
+
+/**
+ * TimerBadge - Time worked on a task, for task rows. Green while a timer runs.
+ */
+export function TimerBadge({ task, className = '' }) {
+  const isRunning = hasRunningTimer(task);
+  const now = useNow(isRunning);
+  const minutes = getWorkedMinutes(task, null, now);
+  if (!isRunning && minutes === 0) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs px-1.5 py-0.5 rounded ${isRunning ? 'bg-green-100 text-green-800' : 'text-slate-600'} ${className}`}
+      title={isRunning ? 'Timer running' : 'Time worked'}
+    >
+      ⏱ {formatWorkedMinutes(minutes)}
+    </span>
+  );
+}
+
+/**
+ * TaskTimer - Each assignee's work timer and time worked on a task, with the
+ * current user's start/pause/resume/stop buttons and the session list.
+ */
+export default function TaskTimer({ task, currentUser, users = [], isReadOnly = false, t }) {
+  const [pendingAction, setPendingAction] = useState(null);
+  const [sessions, setSessions] = useState(null);
+  const isRunning = hasRunningTimer(task);
+  const now = useNow(isRunning);
+
+  const assigneeIds = getTaskAssigneeIds(task);
+  const actions = isReadOnly ? [] : getTimerActions(task, currentUser?.id);
+  const totalMinutes = getWorkedMinutes(task, null, now);
+  if (actions.length === 0 && totalMinutes === 0 && !getTimer(task, currentUser?.id)) return null;
+
+  const getUserName = (userId) => users.find(u => u.id === userId)?.name || t('unknown');
+
+  const handleAction = async (action) => {
+    setPendingAction(action);
+    try {
+      await changeTaskTimer(task.id, action, currentUser);
+      if (sessions) setSessions(await getTaskWorkSessions(task.id));
+    } catch (error) {
+      console.error('Error updating task timer:', error);
+      alert(error.message);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleToggleSessions = async () => {
+    if (sessions) {
+      setSessions(null);
+      return;
+    }
+    try {
+      setSessions(await getTaskWorkSessions(task.id));
+    } catch (error) {
+      console.error('Error loading work sessions:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between mb-1">
+        <strong className="text-sm text-slate-700">{t('timeTracking', 'Time tracking')}</strong>
+        <span className="text-xs text-slate-600">{t('timeWorked', 'Worked')}: {formatWorkedMinutes(totalMinutes)}</span>
+      </div>
+      <ul className="space-y-1 text-sm">
+        {assigneeIds.map((userId) => {
+          const timer = getTimer(task, userId);
+          const minutes = getWorkedMinutes(task, userId, now);
+          if (!timer && minutes === 0) return null;
+          return (
+            <li key={userId} className="flex items-center justify-between">
+              <span className="text-slate-700">{getUserName(userId)}</span>
+              <span className="flex items-center gap-2 text-xs">
+                {timer?.state === TIMER_STATES.RUNNING && (
+                  <span className="px-1.5 py-0.5 rounded bg-green-100 text-green-800">{t('timerRunning', 'running')}</span>
+                )}
+                {timer?.state === TIMER_STATES.PAUSED && (
+                  <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">{t('timerPaused', 'paused')}</span>
+                )}
+                <span className="text-slate-600">{formatWorkedMinutes(minutes)}</span>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {actions.map((action) => (
+          <button
+            key={action}
+            type="button"
+            onClick={() => handleAction(action)}
+            disabled={!!pendingAction}
+            className={`btn text-xs ${action === TIMER_ACTIONS.STOP ? 'btn-secondary' : 'btn-primary'}`}
+          >
+            {t(...ACTION_LABELS[action])}
+          </button>
+        ))}
+        {totalMinutes > 0 && (
+          <button type="button" onClick={handleToggleSessions} className="text-xs text-blue-600 hover:underline">
+            {sessions ? t('hideWorkSessions', 'Hide sessions') : t('showWorkSessions', 'Show sessions')}
+          </button>
+        )}
+      </div>
+      {sessions && (
+        <ul className="mt-2 space-y-0.5 text-xs text-slate-600">
+          {sessions.length === 0 && <li>{t('noWorkSessions', 'No work sessions yet.')}</li>}
+          {sessions.map((session) => (
+            <li key={session.id}>
+              {getUserName(session.userId)}: {formatDateTime(session.startedAt)} – {session.endedAt ? formatDateTime(session.endedAt) : t('timerRunning', 'running')}
+              {session.endedAt && ` (${formatWorkedMinutes(session.minutes)})`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -3,15 +3,22 @@ import { ROLES, STATUSES, DIFFICULTY_CONFIG } from '../../../shared/constants';
 import TaskForm from './TaskForm';
 import TaskList from './TaskList';
 import TaskListTable from './TaskListTable';
+import { ARCHIVED_TASK_STATUSES } from '../utils/taskQueries';
+import { getReviewQueue } from '../utils/completionReview';
 import RequestModal from './RequestModal';
 import ScheduledTasksList from './ScheduledTasksList';
+import TaskTemplatesList from './TaskTemplatesList';
 import ApprovalPanel from './ApprovalPanel';
 import EditTaskModal from './EditTaskModal';
 import BulkDeleteTasksModal from './BulkDeleteTasksModal.jsx';
+import BulkTaskActionsModal from './BulkTaskActionsModal.jsx';
+import ProjectsPanel from '../../projects/components/ProjectsPanel.jsx';
+import { decideApprovalRequest, dismissApprovalRequest } from '../../approvals/api/approvalsApi';
+import { APPROVAL_DECISIONS, APPROVAL_STATUSES } from '../../../shared/utils/approvalChains';
 import { toISTISOString } from '../../../shared/utils/date';
 import Section from '../../../shared/components/Section.jsx';
 import { logActivity } from '../../../shared/utils/activityLogger.js';
-import { cleanFirestoreData } from '../../../shared/utils/firestoreHelpers.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
 import { 
   createTask as addTask, 
   patchTask as updateTask, 
@@ -20,10 +27,14 @@ import {
   triggerScheduledTasks 
 } from '../api/taskApi.js';
 import { createMaterialRequest } from '../utils/materialRequest.js';
+import { uploadTaskPhotos, releasePhotoPreviews } from '../api/photoApi.js';
+import { saveTaskPatch, saveTaskComment } from '../api/outboxApi.js';
+import { buildComment } from '../utils/taskComments.js';
+import useCommentReads from '../hooks/useCommentReads.js';
 import { updateUser } from '../../admin/api/adminApi.js';
-import { db } from '../../../firebase';
-import { doc, updateDoc, Timestamp } from 'firebase/firestore';
+import { claimDailyBonus } from '../../../shared/utils/pointsLedger.js';
 import { DAILY_BONUS_POINTS, formatDateKey, getBonusPointsInRange, hasBonusBeenClaimed, mergeBonusClaim } from '../../../shared/utils/dailyBonus.js';
+import { calculateTaskPoints, getTaskCompletionDate } from '../../../shared/utils/pointsEngine.js';
 
 
 // This icon is only used here for now. It could be moved to a shared Icon component file.
@@ -127,9 +138,9 @@ const formatDueTimeline = (now, target) => {
   return `Due in ${diffDays} days`;
 };
 
-function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOpenTaskId, onTaskFeedback, onLogActivity = null, isDesktopMode = false }) {
+function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOpenTaskId, onTaskFeedback, onLogActivity = null, isDesktopMode = false, hasMoreTasks = false, isLoadingMoreTasks = false, onLoadMoreTasks = null, approvalRequests = [] }) {
   const [isCreateTaskOpen, setIsCreateTaskOpen] = useState(false);
-  const [statusFilter, setStatusFilter] = useState([STATUSES.PENDING, STATUSES.ONGOING]); // Array of selected statuses, default to pending and ongoing
+  const [statusFilter, setStatusFilter] = useState([STATUSES.PENDING, STATUSES.ONGOING, STATUSES.PENDING_REVIEW]); // Array of selected statuses, default to the open ones
   const [searchQuery, setSearchQuery] = useState(''); // Search query for tasks
   const [showFiltersPanel, setShowFiltersPanel] = useState(false); // Collapsed by default – tasks first
   const [showObserverTasks, setShowObserverTasks] = useState(false);
@@ -150,6 +161,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
   const [isBulkSelectionMode, setIsBulkSelectionMode] = useState(false);
   const [selectedTaskIds, setSelectedTaskIds] = useState([]);
   const [isBulkDeleteModalOpen, setIsBulkDeleteModalOpen] = useState(false);
+  const [isBulkActionsModalOpen, setIsBulkActionsModalOpen] = useState(false);
   const [isBulkDeleting, setIsBulkDeleting] = useState(false);
   const [failedTaskData, setFailedTaskData] = useState(null); // Capture failing task creations for retry
 
@@ -171,6 +183,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
       ...localTaskUpdates[task.id]
     }));
   }, [tasks, localTaskUpdates]);
+  const commentReads = useCommentReads(currentUser?.id);
 
   
   useEffect(() => {
@@ -229,48 +242,6 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     currentUserExists: !!currentUser
   });
 
-  // Get the completion date for a task (from Points tab)
-  const getTaskCompletionDate = (task) => {
-    if (task.completedAt) {
-      return parseDate(task.completedAt);
-    }
-    
-    // Fallback to updatedAt if completedAt is missing
-    if (task.updatedAt) {
-      return parseDate(task.updatedAt);
-    }
-    
-    // Last resort: createdAt
-    if (task.createdAt) {
-      return parseDate(task.createdAt);
-    }
-    
-    return null;
-  };
-  // Calculate points for a task (from Points tab)
-  const calculateTaskPoints = (task) => {
-    if (!task.assignedUserIds || !Array.isArray(task.assignedUserIds)) return 0;
-    
-    const assignedUserCount = task.assignedUserIds.length;
-    let basePoints = 50; // Default points
-    
-    // Use task's difficulty if available
-    if (task.difficulty && DIFFICULTY_CONFIG[task.difficulty]) {
-      basePoints = DIFFICULTY_CONFIG[task.difficulty].points;
-    } else if (task.points && typeof task.points === 'number') {
-      basePoints = task.points;
-    }
-    
-    // Split points among assigned users
-    const basePointsPerUser = Math.round(basePoints / assignedUserCount);
-    
-    // Add bonuses
-    const collaborationBonus = assignedUserCount > 1 ? Math.round(basePointsPerUser * 0.1) : 0;
-    const urgentBonus = task.isUrgent ? Math.round(basePointsPerUser * 0.25) : 0;
-    
-    return basePointsPerUser + collaborationBonus + urgentBonus;
-  };
-
   // Calculate user's completed tasks (excluding deleted tasks for non-admins)
   const userCompletedTasks = tasks.filter(task => {
     // Hide deleted tasks from regular users (only admins can see them)
@@ -295,7 +266,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
       return completionDate && completionDate >= todayStart && completionDate <= todayEnd;
     });
 
-    const taskPoints = todayTasks.reduce((total, task) => total + calculateTaskPoints(task), 0);
+    const taskPoints = todayTasks.reduce((total, task) => total + calculateTaskPoints(task, currentUser.id), 0);
     const bonusPoints = getBonusPointsInRange(bonusLedger, todayStart, todayEnd);
 
     return {
@@ -303,7 +274,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
       tasks: todayTasks.length,
       bonusPoints,
     };
-  }, [userCompletedTasks, bonusLedger]);
+  }, [userCompletedTasks, bonusLedger, currentUser.id]);
 
   const dailyTarget = currentUser?.dailyPointsTarget || 250;
   const progressPct = Math.max(0, Math.min(100, Math.round((todayStats.points / dailyTarget) * 100)));
@@ -339,38 +310,15 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     }
 
     setIsClaimingBonus(true);
-    const isoNow = new Date().toISOString();
     const previousLedger = bonusLedger;
-    const updatedLedger = mergeBonusClaim(previousLedger, todayKey, DAILY_BONUS_POINTS, isoNow);
-    setBonusLedger(updatedLedger);
+    setBonusLedger(mergeBonusClaim(previousLedger, todayKey, DAILY_BONUS_POINTS));
 
     try {
-      const updateData = {
-        dailyBonusLedger: updatedLedger,
-        dailyBonusLastClaimedAt: isoNow,
-      };
-      const cleanUpdateData = cleanFirestoreData(updateData);
-      
-      let success = false;
-      let lastError = null;
-
-      try {
-        await updateDoc(doc(db, 'users', currentUser.id), cleanUpdateData);
-        success = true;
-      } catch (err) {
-        lastError = err;
-      }
-
-      try {
-        await updateDoc(doc(db, 'Users', currentUser.id), cleanUpdateData);
-        success = true;
-      } catch (err) {
-        if (!success) lastError = err;
-      }
-
-      if (!success) {
-        throw lastError || new Error("Failed to update user document in any collection");
+      const result = await claimDailyBonus(currentUser.id);
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      setBonusLedger(mergeBonusClaim(previousLedger, result.dateKey, result.points, result.claimedAt));
 
       if (typeof onTaskFeedback === 'function') {
         onTaskFeedback(t('dailyBonusSuccess', 'Daily bonus claimed! +25 points'), 'success');
@@ -394,14 +342,32 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     }
   };
 
+  // A failed upload must not fail task creation, or retrying would create the task twice
+  const attachPickedPhotos = async (taskId, pendingPhotos) => {
+    if (pendingPhotos.length === 0) return;
+    try {
+      await uploadTaskPhotos(taskId, pendingPhotos);
+    } catch (error) {
+      console.error('Error uploading task photos:', error);
+      if (onTaskFeedback) {
+        onTaskFeedback('Task created, but its photos could not be uploaded. Add them again from Edit.', 'error');
+      }
+    } finally {
+      releasePhotoPreviews(pendingPhotos);
+    }
+  };
+
   const handleAddTask = async (newTask) => {
     try {
       // Clear previous failed state
       setFailedTaskData(null);
+      // Picked photos are uploaded to Storage once the task has an id
+      const { photos: pendingPhotos = [], ...taskFields } = newTask;
       // Check if this is a scheduled task
       if (newTask.isScheduled && newTask.recurrencePattern) {
         // Create scheduled task
-        await createScheduledTask(newTask, currentUser.id, currentUser.name);
+        const scheduledTaskId = await createScheduledTask({ ...taskFields, photos: [] }, currentUser.id, currentUser.name);
+        await attachPickedPhotos(scheduledTaskId, pendingPhotos);
         if (onTaskFeedback) {
           onTaskFeedback('Scheduled task created successfully! Tasks will be generated automatically based on the recurrence pattern.', 'success');
         }
@@ -418,7 +384,8 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
         }
       } else {
         // Create regular task
-        await addTask(newTask, currentUser.id, currentUser.name);
+        const taskId = await addTask({ ...taskFields, photos: [] }, currentUser.id, currentUser.name);
+        await attachPickedPhotos(taskId, pendingPhotos);
         if (onTaskFeedback) {
           onTaskFeedback('New task created successfully!', 'success');
         }
@@ -452,9 +419,13 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
         throw new Error('Missing task id');
       }
       const oldTask = mergedTasks.find(t => t.id === patch.id);
-      await updateTask(patch.id, patch, currentUser.id, currentUser?.name || currentUser?.username || 'Unknown');
+      // Offline changes are queued on the device and synced later (outboxApi.js)
+      const { queued } = await saveTaskPatch(patch.id, patch, oldTask || null, {
+        id: currentUser.id,
+        name: currentUser?.name || currentUser?.username || 'Unknown'
+      });
       if (onTaskFeedback) {
-        onTaskFeedback('Task updated successfully!', 'success');
+        onTaskFeedback(queued ? 'Saved on this device. It will sync when you are back online.' : 'Task updated successfully!', 'success');
       }
       // Log activity
       if (onLogActivity && oldTask) {
@@ -539,34 +510,24 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     }
   };
 
-  const handleAddComment = async (taskId, commentText) => {
+  const handleAddComment = async (taskId, commentText, replyTo = null) => {
     try {
       const task = mergedTasks.find(t => t.id === taskId);
       if (!task) return;
 
-      const newComment = {
-        id: Date.now().toString(), // Simple ID generation
-        text: commentText,
-        userId: currentUser.id,
-        userName: currentUser.name,
-        createdAt: Timestamp.now(), // Use Firestore Timestamp
-        editedBy: currentUser.id,
-        editedByName: currentUser.name
-      };
-
-      const updatedTask = {
-        ...task,
-        comments: [...(task.comments || []), newComment]
-      };
-
-      // Call updateTask with correct parameters: (taskId, patch, currentUserId)
-      await updateTask(taskId, { comments: updatedTask.comments }, currentUser.id);
+      const newComment = buildComment({ text: commentText, user: currentUser, users, task, replyTo });
+      const { queued } = await saveTaskComment(taskId, newComment, task, currentUser);
+      if (queued && onTaskFeedback) {
+        onTaskFeedback('Comment saved on this device. It will be posted when you are back online.', 'success');
+      }
       
       // Log activity
       if (onLogActivity) {
         onLogActivity('comment', 'task', taskId, task.title, currentUser.id, currentUser.name, {
-          commentText: commentText.substring(0, 100), // Log first 100 chars
-          commentId: newComment.id
+          commentText: newComment.text.substring(0, 100), // Log first 100 chars
+          commentId: newComment.id,
+          ...(newComment.parentId ? { replyTo: newComment.parentId } : {}),
+          ...(newComment.mentions.length > 0 ? { mentions: newComment.mentions } : {}),
         });
       }
 
@@ -576,35 +537,26 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     }
   };
 
-  // Handle comment deletion (admin only)
-  const handleDeleteComment = async (taskId, commentId) => {
+  const getApprovalRequest = (taskId) => approvalRequests.find((request) => request.subject?.kind === 'task' && request.subject.id === taskId);
+
+  // Handle task approval (self-assigned and critical tasks)
+  const handleApproveTask = async (taskId) => {
     try {
-      // Find the task
       const task = mergedTasks.find(t => t.id === taskId);
       if (!task) {
         console.error('Task not found');
         return;
       }
 
-      // Remove the comment from the task's comments array
-      const updatedComments = (task.comments || []).filter(comment => comment?.id !== commentId);
-      
-      // Update the task with the new comments array
-      await handleUpdateTask({ id: taskId, comments: updatedComments });
-
-      console.log('Comment deleted successfully');
-    } catch (error) {
-      console.error('Error deleting comment:', error);
-      alert('Failed to delete comment. Please try again.');
-    }
-  };
-
-  // Handle task approval (for self-assigned tasks)
-  const handleApproveTask = async (taskId) => {
-    try {
-      const task = mergedTasks.find(t => t.id === taskId);
-      if (!task) {
-        console.error('Task not found');
+      // Tasks in an approval chain are decided step by step on the server
+      const request = task.approvalRequestId && getApprovalRequest(taskId);
+      if (request) {
+        const result = await decideApprovalRequest(request.id, APPROVAL_DECISIONS.APPROVE, '', currentUser);
+        if (onTaskFeedback) {
+          onTaskFeedback(result.status === APPROVAL_STATUSES.APPROVED
+            ? 'Task approved successfully!'
+            : t('approvalPassedOn', 'Approved, passed on to the next step'), 'success');
+        }
         return;
       }
 
@@ -665,6 +617,16 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
         return;
       }
 
+      // The server records the rejection on the request and deletes the task
+      const request = task.approvalRequestId && getApprovalRequest(taskId);
+      if (request) {
+        await decideApprovalRequest(request.id, APPROVAL_DECISIONS.REJECT, trimmedReason, currentUser);
+        if (onTaskFeedback) {
+          onTaskFeedback('Task rejected and deleted successfully!', 'success');
+        }
+        return;
+      }
+
       // Delete the task with the provided reason
       await deleteTask(taskId, currentUser.id, currentUser.name, trimmedReason);
 
@@ -699,7 +661,21 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
   };
 
   // Handle dismissing approval request
-  const handleDismissApproval = (taskId) => {
+  const handleDismissApproval = async (taskId) => {
+    // Chain approvals remember who dismissed them on the request
+    const request = getApprovalRequest(taskId);
+    if (request) {
+      try {
+        await dismissApprovalRequest(request, currentUser);
+      } catch (error) {
+        console.error('Error dismissing approval:', error);
+        if (onTaskFeedback) {
+          onTaskFeedback('Failed to dismiss the approval. Please try again.', 'error');
+        }
+      }
+      return;
+    }
+
     // Store dismissed approval in localStorage to prevent showing again
     const storageKey = `kartavya_dismissed_approval_${currentUser.id}`;
     try {
@@ -884,7 +860,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     if (!nextTask) return;
 
     const isStale = nextTaskIsStale;
-    setStatusFilter([STATUSES.PENDING, STATUSES.ONGOING]);
+    setStatusFilter([STATUSES.PENDING, STATUSES.ONGOING, STATUSES.PENDING_REVIEW]);
     setShowDueSoonOnly(!isStale);
 
     if (typeof setOpenTaskId === 'function') {
@@ -1045,8 +1021,21 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
     setIsBulkSelectionMode(false);
     setSelectedTaskIds([]);
     setIsBulkDeleteModalOpen(false);
+    setIsBulkActionsModalOpen(false);
   }, []);
 
+  // Failed tasks are listed in the modal; only the totals are reported here
+  const handleBulkActionComplete = ({ succeeded, failed }) => {
+    if (onTaskFeedback) {
+      if (failed.length === 0) {
+        onTaskFeedback(t('bulkActionDone', succeeded.length), 'success');
+      } else {
+        onTaskFeedback(t('bulkActionSummary', succeeded.length, failed.length), 'error');
+      }
+    }
+    resetBulkSelection();
+  };
+
   const handleConfirmBulkDelete = useCallback(async (deleteReason) => {
     if (!selectedBulkTasks.length) return;
 
@@ -1117,6 +1106,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
   const taskStats = {
     pending: myTasks.filter(t => t && t.status === STATUSES.PENDING).length,
     ongoing: myTasks.filter(t => t && t.status === STATUSES.ONGOING).length,
+    inReview: myTasks.filter(t => t && t.status === STATUSES.PENDING_REVIEW).length,
     complete: myTasks.filter(t => t && t.status === STATUSES.COMPLETE).length,
     rejected: myTasks.filter(t => t && t.status === STATUSES.REJECTED).length,
     deleted: myTasks.filter(t => t && t.status === STATUSES.DELETED).length,
@@ -1126,6 +1116,29 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
 
   const TaskListComponent = isDesktopMode ? TaskListTable : TaskList;
 
+  // Finished tasks whose evidence the current user is to accept or send back
+  const reviewQueue = getReviewQueue(mergedTasks, currentUser);
+  const reviewQueueSection = reviewQueue.length > 0 && (
+    <Section title={t('waitingForYourReview', reviewQueue.length)}>
+      <TaskListComponent
+        tasks={reviewQueue}
+        allTasks={mergedTasks}
+        onUpdateTask={handleUpdateTask}
+        t={t}
+        currentUser={currentUser}
+        users={users}
+        departments={departments}
+        deleteTask={handleDeleteTask}
+        onAddComment={handleAddComment}
+        commentReads={commentReads}
+        showAssignedUsers
+      />
+    </Section>
+  );
+
+  // Older completed and deleted tasks are only read from the archive when the filter shows them
+  const showsArchivedTasks = statusFilter.length === 0 || statusFilter.some((status) => ARCHIVED_TASK_STATUSES.includes(status));
+
   return (
     <div className={`space-y-4 pb-20 ${isDesktopMode ? 'flex flex-col lg:flex-row lg:gap-6' : ''}`}>
         {isDesktopMode ? (
@@ -1146,7 +1159,8 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
                   </div>
                 </div>
               )}
-              <ApprovalPanel tasks={tasks} currentUser={currentUser} users={users} onApprove={handleApproveTask} onReject={handleRejectTask} onEdit={handleEditTask} onDismiss={handleDismissApproval} t={t} />
+              <ApprovalPanel tasks={tasks} currentUser={currentUser} users={users} approvalRequests={approvalRequests} onApprove={handleApproveTask} onReject={handleRejectTask} onEdit={handleEditTask} onDismiss={handleDismissApproval} t={t} />
+              {reviewQueueSection}
               {shouldShowPriorityPanel && (
                 <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 flex items-center justify-between">
                   <div className="flex items-center gap-2">
@@ -1214,6 +1228,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
                       <FilterButton label={t('allTasks') || 'All'} count={taskStats.total} isActive={statusFilter.length === 0} onClick={() => { setShowDueSoonOnly(false); setStatusFilter([]); }} />
                       <FilterButton label={t('pending') || 'Pending'} count={taskStats.pending} isActive={statusFilter.includes(STATUSES.PENDING)} onClick={() => { setShowDueSoonOnly(false); setStatusFilter(prev => prev.includes(STATUSES.PENDING) ? prev.filter(s => s !== STATUSES.PENDING) : [...prev, STATUSES.PENDING]); }} />
                       <FilterButton label={t('ongoing') || 'Ongoing'} count={taskStats.ongoing} isActive={statusFilter.includes(STATUSES.ONGOING)} onClick={() => { setShowDueSoonOnly(false); setStatusFilter(prev => prev.includes(STATUSES.ONGOING) ? prev.filter(s => s !== STATUSES.ONGOING) : [...prev, STATUSES.ONGOING]); }} />
+                      <FilterButton label={t('inReview', 'In review')} count={taskStats.inReview} isActive={statusFilter.includes(STATUSES.PENDING_REVIEW)} onClick={() => { setShowDueSoonOnly(false); setStatusFilter(prev => prev.includes(STATUSES.PENDING_REVIEW) ? prev.filter(s => s !== STATUSES.PENDING_REVIEW) : [...prev, STATUSES.PENDING_REVIEW]); }} />
                       <FilterButton label={t('dueSoon', 'Due soon')} count={dueSoonTasks.length} isActive={showDueSoonOnly} onClick={() => setShowDueSoonOnly(prev => { const next = !prev; if (next) setStatusFilter([STATUSES.PENDING, STATUSES.ONGOING]); return next; })} />
                       <FilterButton label={t('completed') || 'Done'} count={taskStats.complete} isActive={statusFilter.includes(STATUSES.COMPLETE)} onClick={() => { setShowDueSoonOnly(false); setStatusFilter(prev => prev.includes(STATUSES.COMPLETE) ? prev.filter(s => s !== STATUSES.COMPLETE) : [...prev, STATUSES.COMPLETE]); }} />
                     </div>
@@ -1243,6 +1258,9 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
                     <button type="button" onClick={handleToggleSelectAllVisible} className="btn btn-secondary btn-sm" disabled={selectableFilteredTasks.length === 0}>
                       {allSelectableVisibleSelected ? t('clearVisibleSelection', 'Clear') : t('selectAllVisible', 'Select all')}
                     </button>
+                    <button type="button" onClick={() => setIsBulkActionsModalOpen(true)} className="btn btn-secondary btn-sm" disabled={selectedBulkTasks.length === 0 || isBulkDeleting}>
+                      {t('moreBulkActions', 'More actions')}
+                    </button>
                     <button type="button" onClick={() => setIsBulkDeleteModalOpen(true)} className="btn btn-danger btn-sm" disabled={selectedBulkTasks.length === 0 || isBulkDeleting}>
                       {t('deleteSelectedTasks', 'Delete selected')}
                     </button>
@@ -1268,12 +1286,15 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
                     deleteTask={handleDeleteTask}
                     onCreateRequest={handleCreateRequest}
                     onAddComment={handleAddComment}
-                    onDeleteComment={handleDeleteComment}
+                    commentReads={commentReads}
                     openTaskId={openTaskId}
                     selectionMode={isBulkSelectionMode}
                     selectedTaskIds={selectedTaskIds}
                     onToggleSelectTask={toggleTaskSelection}
                     isTaskSelectable={canBulkDeleteTask}
+                    hasMore={showsArchivedTasks && hasMoreTasks}
+                    isLoadingMore={isLoadingMoreTasks}
+                    onLoadMore={onLoadMoreTasks}
                   />
                 )}
               </Section>
@@ -1318,12 +1339,14 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
             tasks={tasks}
             currentUser={currentUser}
             users={users}
+            approvalRequests={approvalRequests}
             onApprove={handleApproveTask}
             onReject={handleRejectTask}
             onEdit={handleEditTask}
             onDismiss={handleDismissApproval}
             t={t}
           />
+          {reviewQueueSection}
           
           {shouldShowPriorityPanel && (
             <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 p-4 shadow-sm">
@@ -1564,6 +1587,12 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
                     isActive={statusFilter.includes(STATUSES.ONGOING)}
                     onClick={() => { setShowDueSoonOnly(false); setStatusFilter(prev => prev.includes(STATUSES.ONGOING) ? prev.filter(s => s !== STATUSES.ONGOING) : [...prev, STATUSES.ONGOING]); }}
                   />
+                  <FilterButton
+                    label={t('inReview', 'In review')}
+                    count={taskStats.inReview}
+                    isActive={statusFilter.includes(STATUSES.PENDING_REVIEW)}
+                    onClick={() => { setShowDueSoonOnly(false); setStatusFilter(prev => prev.includes(STATUSES.PENDING_REVIEW) ? prev.filter(s => s !== STATUSES.PENDING_REVIEW) : [...prev, STATUSES.PENDING_REVIEW]); }}
+                  />
                   <FilterButton
                     label={t('dueSoon', 'Due soon')}
                     count={dueSoonTasks.length}
@@ -1640,6 +1669,9 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
                         <button type="button" onClick={handleToggleSelectAllVisible} className="btn btn-secondary btn-sm" disabled={selectableFilteredTasks.length === 0}>
                           {allSelectableVisibleSelected ? t('clearVisibleSelection', 'Clear visible') : t('selectAllVisible', 'Select all visible')}
                         </button>
+                        <button type="button" onClick={() => setIsBulkActionsModalOpen(true)} className="btn btn-secondary btn-sm" disabled={selectedBulkTasks.length === 0 || isBulkDeleting}>
+                          {t('moreBulkActions', 'More actions')}
+                        </button>
                         <button type="button" onClick={() => setIsBulkDeleteModalOpen(true)} className="btn btn-danger btn-sm" disabled={selectedBulkTasks.length === 0 || isBulkDeleting}>
                           {t('deleteSelectedTasks', 'Delete selected')}
                         </button>
@@ -1692,12 +1724,15 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
               deleteTask={handleDeleteTask} 
               onCreateRequest={handleCreateRequest}
               onAddComment={handleAddComment}
-              onDeleteComment={handleDeleteComment}
+              commentReads={commentReads}
               openTaskId={openTaskId}
               selectionMode={isBulkSelectionMode}
               selectedTaskIds={selectedTaskIds}
               onToggleSelectTask={toggleTaskSelection}
               isTaskSelectable={canBulkDeleteTask}
+              hasMore={showsArchivedTasks && hasMoreTasks}
+              isLoadingMore={isLoadingMoreTasks}
+              onLoadMore={onLoadMoreTasks}
             />
           )}
 
@@ -1721,6 +1756,18 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
         </Section>
         )}
 
+        {/* Projects Section */}
+        <Section title={t('projects', 'Projects')}>
+          <ProjectsPanel
+            currentUser={currentUser}
+            users={users}
+            departments={departments}
+            departmentIds={hasPermission(currentUser.role, 'MANAGE_ALL_TASKS') ? null : (currentUser.departmentIds || [])}
+            t={t}
+            onTaskFeedback={onTaskFeedback}
+          />
+        </Section>
+
         {/* Scheduled Tasks Section */}
         <Section title={t('scheduledTasks') || 'Scheduled Tasks'}>
           <div className="mb-4">
@@ -1770,6 +1817,19 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
           />
         </Section>
 
+        {/* Task Templates Section */}
+        {hasPermission(currentUser.role, 'MANAGE_DEPARTMENT_TASKS') && (
+          <Section title={t('taskTemplates', 'Task Templates')}>
+            <TaskTemplatesList
+              currentUser={currentUser}
+              users={users}
+              departments={departments}
+              t={t}
+              onTaskFeedback={onTaskFeedback}
+            />
+          </Section>
+        )}
+
         {/* Create Task Modal */}
         {isCreateTaskOpen && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1805,6 +1865,7 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
         {isEditTaskModalOpen && editingTask && (
           <EditTaskModal
             task={editingTask}
+            allTasks={mergedTasks}
             currentUser={currentUser}
             users={users}
             departments={departments}
@@ -1830,6 +1891,17 @@ function TasksTab({ currentUser, users, departments, tasks, t, openTaskId, setOp
           t={t}
         />
 
+        <BulkTaskActionsModal
+          isOpen={isBulkActionsModalOpen}
+          onClose={() => setIsBulkActionsModalOpen(false)}
+          onComplete={handleBulkActionComplete}
+          tasks={selectedBulkTasks}
+          currentUser={currentUser}
+          users={users}
+          departments={departments}
+          t={t}
+        />
+
         {/* Floating Action Button */}
         <button
           onClick={() => {
@@ -0,0 +1,51 @@
+import React, { useMemo } from 'react';
+import { getActiveTemplates } from '../utils/taskTemplates';
+
+/**
+ * TemplatePicker - "Create from template" select used by TaskForm and
+ * RequestModal. Templates are grouped by department.
+ */
+export default function TemplatePicker({ templates = [], departments = [], departmentIds = null, onSelect, t }) {
+  const groups = useMemo(() => {
+    const active = getActiveTemplates(templates, { departments })
+      .filter((template) => !departmentIds || departmentIds.includes(template.departmentId));
+    const byDepartment = new Map();
+    active.forEach((template) => {
+      if (!byDepartment.has(template.departmentId)) byDepartment.set(template.departmentId, []);
+      byDepartment.get(template.departmentId).push(template);
+    });
+    return Array.from(byDepartment, ([departmentId, items]) => ({
+      departmentId,
+      name: departments.find((department) => department.id === departmentId)?.name || t('unknown'),
+      items,
+    }));
+  }, [templates, departments, departmentIds, t]);
+
+  if (groups.length === 0) return null;
+
+  return (
+    <div>
+      <label htmlFor="taskTemplate" className="block text-sm font-medium text-slate-700 mb-1">
+        {t('createFromTemplate', 'Create from template')}
+      </label>
+      <select
+        id="taskTemplate"
+        value=""
+        onChange={(e) => {
+          const template = templates.find((item) => item.id === e.target.value);
+          if (template) onSelect(template);
+        }}
+        className="select"
+      >
+        <option value="">{t('chooseTemplate', 'Choose a template...')}</option>
+        {groups.map((group) => (
+          <optgroup key={group.departmentId} label={group.name}>
+            {group.items.map((template) => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { subscribeCommentReadTimes } from '../api/commentApi';
+
+/**
+ * When the user last read each comment thread, kept up to date
+ * @param {string|null} userId
+ * @returns {Object} Thread id -> milliseconds
+ */
+export default function useCommentReads(userId) {
+  const [reads, setReads] = useState({});
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    return subscribeCommentReadTimes(userId, setReads, (error) => console.error('Error loading comment read markers:', error));
+  }, [userId]);
+
+  return reads;
+}
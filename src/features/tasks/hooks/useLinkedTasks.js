@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { subscribeLinkedTasks } from '../api/taskApi';
+
+/**
+ * Every task linked to the given goals or projects, kept up to date. The task
+ * list only holds the tasks a user is involved in and recently archived ones,
+ * which would undercount goal progress and project timelines.
+ * @param {string} field - 'goalId' or 'projectId'
+ * @param {string[]} ids
+ * @returns {{tasks: Array, isLoading: boolean}} isLoading until the first answer
+ */
+export default function useLinkedTasks(field, ids) {
+  const [state, setState] = useState({ tasks: [], isLoading: true });
+  const idsKey = [...new Set(ids.filter(Boolean))].sort().join('|');
+
+  // Keeps showing the previous tasks until the new ids' tasks arrive
+  useEffect(() => (
+    subscribeLinkedTasks(field, idsKey ? idsKey.split('|') : [], (tasks) => setState({ tasks, isLoading: false }))
+  ), [field, idsKey]);
+
+  return state;
+}
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { subscribeOutbox, replayOutbox } from '../api/outboxApi';
+
+// Retry while online too: in a dead zone the browser often still reports a connection
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The signed-in user's queued offline changes, replayed whenever the app is online
+ * @param {boolean} isOnline
+ * @param {string|null} userId
+ * @returns {{entries: Array, isSyncing: boolean, problems: Array}}
+ */
+export default function useOutbox(isOnline, userId) {
+  const [outbox, setOutbox] = useState({ entries: [], isSyncing: false, problems: [] });
+
+  useEffect(() => subscribeOutbox(setOutbox), []);
+
+  const entries = outbox.entries.filter((entry) => entry.userId === userId);
+  const hasQueued = entries.length > 0;
+
+  useEffect(() => {
+    if (!isOnline || !userId || !hasQueued) return undefined;
+    replayOutbox(userId);
+    const timer = setInterval(() => replayOutbox(userId), RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOnline, userId, hasQueued]);
+
+  return { ...outbox, entries };
+}
@@ -1,11 +1,18 @@
 import { useCallback, useMemo, useState, useEffect } from 'react';
-import { arrayUnion } from 'firebase/firestore';
 import { STATUSES } from '../../../shared/constants';
+import { releasePhotoPreviews } from '../api/photoApi';
+import { saveTaskPhotos, saveTaskComment } from '../api/outboxApi';
+import { arrayAppend } from '../utils/taskOutbox';
+import { getOpenBlockers } from '../utils/taskDependencies';
+import { isChecklistBlockingCompletion } from '../utils/checklist';
+import { requiresReview, buildReviewSubmission, buildReviewDecision, REVIEW_DECISIONS } from '../utils/completionReview';
+import { buildComment } from '../utils/taskComments';
 
-export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t, currentUser }) {
+export default function useTaskActions({ tasks, allTasks = tasks, onUpdateTask, onLogActivity, t, currentUser }) {
   const [optimistic, setOptimistic] = useState({}); // id -> partial task overrides
   const [completionModalTask, setCompletionModalTask] = useState(null);
   const [unfinishedModalTask, setUnfinishedModalTask] = useState(null);
+  const [reviewModalTask, setReviewModalTask] = useState(null);
   const [confettiKey, setConfettiKey] = useState(0);
 
   // Reconcile optimistic updates when tasks change
@@ -34,6 +41,7 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
 
   const handleFinishClick = useCallback((task) => setCompletionModalTask(task), []);
   const handleUnfinishClick = useCallback((task) => setUnfinishedModalTask(task), []);
+  const handleReviewClick = useCallback((task) => setReviewModalTask(task), []);
 
   const handleCompleteSubmit = useCallback((taskId, completionData) => {
     const task = tasks.find((t) => t.id === taskId);
@@ -55,59 +63,68 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
       return;
     }
 
-    // A material_request task cannot be blocked, so skip this check for it.
-    if (task.type !== 'material_request') {
-      // Check if this task has any blocking material requests that aren't completed
-      const blockingRequests = tasks.filter(t => 
-        t.type === 'material_request' && 
-        t.originalTaskId === taskId && 
-        t.status !== STATUSES.COMPLETE
-      );
+    if (isChecklistBlockingCompletion(task)) {
+      alert(t('checklistIncomplete'));
+      return;
+    }
 
-      if (blockingRequests.length > 0) {
-        alert(`Cannot complete this task. The following material requests must be completed first:\n\n${blockingRequests.map(r => `• ${r.title}`).join('\n')}`);
-        return;
-      }
+    // Prerequisites and material requests must be completed first
+    const openBlockers = getOpenBlockers(taskId, allTasks);
+    if (openBlockers.length > 0) {
+      alert(`Cannot complete this task. The following tasks must be completed first:\n\n${openBlockers.map(r => `• ${r.title}`).join('\n')}`);
+      return;
     }
 
     const newNote = completionData.note ? { text: completionData.note, type: 'completion' } : null;
     const newPhoto = completionData.photo || null;
+    // Reviewed tasks wait for the assigner or an observer to accept the evidence
+    const isForReview = requiresReview(task);
 
     if (onLogActivity) {
-      onLogActivity('complete', 'task', taskId, task.title, null, null, {
+      onLogActivity(isForReview ? 'submit_review' : 'complete', 'task', taskId, task.title, null, null, {
         hasNote: !!newNote,
         hasPhoto: !!newPhoto,
         completionTime: new Date().toISOString()
       });
     }
 
-    const updates = {
-      id: taskId,
-      status: STATUSES.COMPLETE,
-      // Let the API handle completedAt with serverTimestamp for consistency
-    };
+    const updates = isForReview
+      ? { id: taskId, ...buildReviewSubmission(currentUser) }
+      : {
+        id: taskId,
+        status: STATUSES.COMPLETE,
+        // Let the API handle completedAt with serverTimestamp for consistency
+      };
 
-    // Use arrayUnion to prevent data loss with progressive loading and large arrays
+    // Append rather than rewrite to prevent data loss with progressive loading and large arrays
     if (newNote) {
-      updates.notes = arrayUnion(newNote);
-    }
-    if (newPhoto) {
-      updates.photos = arrayUnion(newPhoto);
+      updates.notes = arrayAppend(newNote);
     }
 
     // Close the completion modal and optimistically update status immediately
     setCompletionModalTask(null);
-    setConfettiKey((k) => k + 1);
-    setOptimistic((prev) => ({ ...prev, [taskId]: { status: STATUSES.COMPLETE } }));
+    if (!isForReview) setConfettiKey((k) => k + 1);
+    setOptimistic((prev) => ({ ...prev, [taskId]: { status: updates.status } }));
 
     Promise.resolve(onUpdateTask(updates))
+      .then(() => {
+        if (!newPhoto) return;
+        // The photo goes to Storage after the status change so a slow upload never blocks completion.
+        // Without a connection it is kept on the device and uploaded later.
+        saveTaskPhotos(taskId, [newPhoto], task, currentUser)
+          .catch((error) => {
+            console.error('Failed to upload completion photo:', error);
+            alert(t('photoUploadFailed', 'Task completed, but the photo could not be uploaded.'));
+          })
+          .finally(() => releasePhotoPreviews([newPhoto]));
+      })
       .catch((error) => {
         console.error('Failed to complete task:', error);
         // Rollback optimistic update on failure
         setOptimistic((prev) => { const next = { ...prev }; delete next[taskId]; return next; });
         alert(t('updateFailed', 'Failed to update task. Please try again.'));
       });
-  }, [tasks, onLogActivity, onUpdateTask, STATUSES, t]);
+  }, [tasks, allTasks, onLogActivity, onUpdateTask, STATUSES, t, currentUser]);
 
   const handleUnfinishSubmit = useCallback((taskId, data) => {
     const task = tasks.find((t) => t.id === taskId);
@@ -129,7 +146,7 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
     };
 
     if (newNote) {
-      updates.notes = arrayUnion(newNote);
+      updates.notes = arrayAppend(newNote);
     }
 
     Promise.resolve(onUpdateTask(updates))
@@ -142,8 +159,58 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
       });
   }, [tasks, onLogActivity, onUpdateTask, STATUSES]);
 
+  const handleReviewSubmit = useCallback((taskId, decision, comment) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) return Promise.resolve();
+
+    let patch;
+    try {
+      patch = buildReviewDecision(task, decision, { reviewer: currentUser, comment });
+    } catch (error) {
+      alert(error.message);
+      return Promise.resolve();
+    }
+
+    if (onLogActivity) {
+      onLogActivity(decision === REVIEW_DECISIONS.ACCEPT ? 'accept_review' : 'send_back', 'task', taskId, task.title, null, null, {
+        decision,
+        reworkCount: patch.reworkCount ?? task.reworkCount ?? 0,
+      });
+    }
+
+    return Promise.resolve(onUpdateTask({ id: taskId, ...patch }))
+      .then(() => {
+        // Tell the assignees what to fix where they discuss the task
+        if (decision === REVIEW_DECISIONS.SEND_BACK) {
+          const reviewComment = buildComment({ text: comment, user: currentUser, task, type: 'review' });
+          return saveTaskComment(taskId, reviewComment, task, currentUser);
+        }
+        return null;
+      })
+      .then(() => {
+        setReviewModalTask(null);
+        if (patch.status === STATUSES.COMPLETE) setConfettiKey((k) => k + 1);
+      })
+      .catch((error) => {
+        console.error('Failed to review task:', error);
+        alert(t('updateFailed', 'Failed to update task. Please try again.'));
+      });
+  }, [tasks, onLogActivity, onUpdateTask, t, currentUser]);
+
   const handleCycleStatus = useCallback((task) => {
+    // Waiting for a reviewer; only their decision moves it on
+    if (task.status === STATUSES.PENDING_REVIEW) {
+      alert(t('taskAwaitingReview', 'This task is waiting for review.'));
+      return;
+    }
+
     const newStatus = nextStatus(task.status);
+
+    // Reviewed tasks are finished through the completion dialog, with evidence
+    if (newStatus === STATUSES.COMPLETE && requiresReview(task)) {
+      setCompletionModalTask(task);
+      return;
+    }
     
     // Check if task needs approval before completing (for self-assigned tasks)
     if (newStatus === STATUSES.COMPLETE && task.needsApproval && !task.approvedBy) {
@@ -161,6 +228,21 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
       return;
     }
     
+    if (newStatus === STATUSES.COMPLETE && isChecklistBlockingCompletion(task)) {
+      alert(t('checklistIncomplete'));
+      return;
+    }
+
+    // A task cannot start (or finish) while its prerequisites are open; the
+    // rules refuse it too. Blockers outside the loaded tasks only show in the flag.
+    if (newStatus === STATUSES.ONGOING || newStatus === STATUSES.COMPLETE) {
+      const openBlockers = getOpenBlockers(task.id, allTasks);
+      if (openBlockers.length > 0 || task.hasBlockingTasks) {
+        alert(t('taskBlockedByDependencies', openBlockers.map((blocker) => blocker.title)));
+        return;
+      }
+    }
+
     const patch = { id: task.id, status: newStatus };
 
     // Handle reopening completed tasks
@@ -185,7 +267,7 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
       setOptimistic((prev) => { const next = { ...prev }; delete next[task.id]; return next; });
     });
     if (newStatus === STATUSES.COMPLETE) setConfettiKey((k) => k + 1);
-  }, [onLogActivity, onUpdateTask, nextStatus]);
+  }, [allTasks, onLogActivity, onUpdateTask, nextStatus]);
 
   const effectiveTasks = useMemo(
     () => tasks.map((t) => (optimistic[t.id] ? { ...t, ...optimistic[t.id] } : t)),
@@ -205,6 +287,10 @@ export default function useTaskActions({ tasks, onUpdateTask, onLogActivity, t,
     handleUnfinishClick,
     handleCompleteSubmit,
     handleUnfinishSubmit,
+    reviewModalTask,
+    setReviewModalTask,
+    handleReviewClick,
+    handleReviewSubmit,
     handleCycleStatus,
     confettiKey,
     setConfettiKey,
@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+import { subscribeTaskComments, getCommentReadTime, markCommentsRead } from '../api/commentApi';
+
+/**
+ * A thread's comments while it is open. Opening it marks it read, as does
+ * every new comment that arrives while it stays open. `lastReadAt` is when
+ * the user had read it before opening it, to mark what is new.
+ * @param {string|null} threadId
+ * @param {string|null} userId
+ * @returns {{comments: Array, isLoading: boolean, lastReadAt: number|null}}
+ */
+export default function useTaskComments(threadId, userId) {
+  const [state, setState] = useState({ comments: [], isLoading: true });
+  const [lastReadAt, setLastReadAt] = useState(null);
+
+  useEffect(() => {
+    if (!threadId) return undefined;
+    return subscribeTaskComments(
+      threadId,
+      (comments) => setState({ comments, isLoading: false }),
+      (error) => {
+        console.error('Error loading comments:', error);
+        setState((prev) => ({ ...prev, isLoading: false }));
+      }
+    );
+  }, [threadId]);
+
+  useEffect(() => {
+    if (!threadId || !userId) return undefined;
+    let cancelled = false;
+    getCommentReadTime(threadId, userId)
+      .catch(() => 0)
+      .then((time) => {
+        if (!cancelled) setLastReadAt(time);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [threadId, userId]);
+
+  const count = state.comments.length;
+  const hasReadTime = lastReadAt !== null;
+  useEffect(() => {
+    if (!threadId || !userId || !hasReadTime) return;
+    markCommentsRead(threadId, userId).catch((error) => console.warn('Failed to mark comments read:', error));
+  }, [threadId, userId, hasReadTime, count]);
+
+  return { ...state, lastReadAt };
+}
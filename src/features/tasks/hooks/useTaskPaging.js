@@ -0,0 +1,36 @@
+import { useEffect, useMemo, useState } from 'react';
+
+// Tasks rendered per "Show more"
+const TASK_RENDER_PAGE_SIZE = 30;
+
+/**
+ * Render a long task list a page at a time. Once every loaded task is shown,
+ * "Show more" reads the next page of older tasks from the archive.
+ * @param {Array} tasks - Sorted tasks
+ * @param {Object} options - { hasMore, isLoadingMore, onLoadMore, openTaskId }
+ * @returns {{visibleTasks: Array, canShowMore: boolean, isLoadingMore: boolean, showMore: Function}}
+ */
+export default function useTaskPaging(tasks, { hasMore = false, isLoadingMore = false, onLoadMore = null, openTaskId = null } = {}) {
+  const [visibleCount, setVisibleCount] = useState(TASK_RENDER_PAGE_SIZE);
+
+  // A deep-linked task further down the list is rendered too
+  useEffect(() => {
+    if (!openTaskId) return;
+    const index = tasks.findIndex((task) => task.id === openTaskId);
+    if (index >= visibleCount) setVisibleCount(index + 1);
+  }, [openTaskId, tasks, visibleCount]);
+
+  const visibleTasks = useMemo(() => tasks.slice(0, visibleCount), [tasks, visibleCount]);
+
+  const showMore = () => {
+    if (visibleCount >= tasks.length && onLoadMore) onLoadMore();
+    setVisibleCount((count) => count + TASK_RENDER_PAGE_SIZE);
+  };
+
+  return {
+    visibleTasks,
+    canShowMore: visibleCount < tasks.length || (hasMore && !!onLoadMore),
+    isLoadingMore,
+    showMore,
+  };
+}
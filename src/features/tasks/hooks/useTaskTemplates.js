@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { subscribeTaskTemplates } from '../api/templateApi';
+
+/**
+ * Every task template, archived ones included, kept up to date
+ * @returns {{templates: Array, isLoading: boolean}}
+ */
+export default function useTaskTemplates() {
+  const [state, setState] = useState({ templates: [], isLoading: true });
+
+  useEffect(() => subscribeTaskTemplates((templates) => setState({ templates, isLoading: false })), []);
+
+  return state;
+}
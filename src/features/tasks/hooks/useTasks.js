@@ -1,13 +1,18 @@
-import { useEffect, useState, useCallback } from 'react';
+import { useEffect, useMemo, useState, useCallback } from 'react';
 import { subscribeTasks, createTask, patchTask, removeTask } from '../api/taskApi.js';
+import { getTaskScopeKey, getTaskScopeUser } from '../utils/taskQueries.js';
 
 export default function useTasks(currentUser) {
   const [tasks, setTasks] = useState([]);
+  const scopeKey = getTaskScopeKey(currentUser);
+  const scopeUser = useMemo(() => getTaskScopeUser(scopeKey), [scopeKey]);
 
+  // Resubscribe only when the scopes change, not on every user document update
   useEffect(() => {
-    const unsub = subscribeTasks(setTasks);
+    if (!scopeUser) return undefined;
+    const unsub = subscribeTasks(scopeUser, setTasks);
     return () => unsub && unsub();
-  }, []);
+  }, [scopeUser]);
 
   const addTask = useCallback(async (task) => {
     return await createTask(task, currentUser?.id || null, currentUser?.name || currentUser?.username || 'Unknown');
@@ -0,0 +1,215 @@
+import { STATUSES, DIFFICULTY_CONFIG } from '../../../shared/constants.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+import { getTaskAssigneeIds } from '../../../shared/utils/pointsEngine.js';
+import { isDateKey } from '../../../shared/utils/recurrence.js';
+import { serverTimestamp, arrayUnion } from '../../../shared/data/fieldValues.js';
+import { normalizeChecklist } from './checklist.js';
+import { getExpectedHoursPatch } from './effortEstimates.js';
+
+/**
+ * Bulk task actions.
+ *
+ * buildBulkTaskPatch turns one action into the update for one task, or
+ * throws with the reason the task is skipped. The writes themselves are
+ * batched by api/bulkTaskApi.js. Bulk delete keeps its own modal
+ * (BulkDeleteTasksModal).
+ */
+
+export const BULK_ACTIONS = {
+  REASSIGN: 'reassign',
+  TARGET_DATE: 'target_date',
+  DIFFICULTY: 'difficulty',
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  URGENT: 'urgent',
+  ADD_OBSERVERS: 'add_observers',
+  MOVE_DEPARTMENT: 'move_department',
+};
+
+// Only department managers may approve, reject or move tasks; the other
+// actions are also open to the task's creator
+const MANAGER_ACTIONS = [BULK_ACTIONS.APPROVE, BULK_ACTIONS.REJECT, BULK_ACTIONS.MOVE_DEPARTMENT];
+
+// Actions that change the task's execution points
+const POINTS_ACTIONS = [BULK_ACTIONS.REASSIGN, BULK_ACTIONS.DIFFICULTY, BULK_ACTIONS.URGENT];
+
+// Completed tasks only take new observers
+const CLOSED_TASK_ACTIONS = [BULK_ACTIONS.ADD_OBSERVERS];
+
+/**
+ * Mirrors canManageTask() in firestore.rules
+ * @param {Object} user
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function canManageTask(user, task) {
+  if (hasPermission(user?.role, 'MANAGE_ALL_TASKS')) return true;
+  if (!hasPermission(user?.role, 'MANAGE_DEPARTMENT_TASKS')) return false;
+  const departmentIds = user.departmentIds || [];
+  return departmentIds.includes(task.departmentId) || departmentIds.includes(task.requestingDepartmentId);
+}
+
+/**
+ * Mirrors changesOwnTaskPoints() in firestore.rules: execution points come
+ * from a task's difficulty, urgency, R&D flag and assignees, so only managers,
+ * or an assigner who is not an assignee, change them
+ * @param {Object} user
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function canChangeTaskPoints(user, task) {
+  if (canManageTask(user, task)) return true;
+  return !!user?.id && task.assignedById === user.id && !getTaskAssigneeIds(task).includes(user.id);
+}
+
+const fail = (reason) => {
+  throw new Error(reason);
+};
+
+// Checklist steps keep their assignee only if they are still on the task
+const checklistFor = (task, assignedUserIds) => (
+  Array.isArray(task.checklist) ? { checklist: normalizeChecklist(task.checklist, assignedUserIds) } : {}
+);
+
+const usersInDepartment = (users, userIds, departmentId) => userIds.filter((id) => (
+  users.some((user) => user.id === id && user.departmentIds?.includes(departmentId))
+));
+
+// The department's calibrated estimate for the task's (new) difficulty
+const expectedHoursFor = (departments, departmentId, difficulty) => (
+  difficulty ? getExpectedHoursPatch(departments.find((department) => department.id === departmentId), difficulty) : {}
+);
+
+/**
+ * The update one bulk action makes to one task
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} task
+ * @param {Object} params - Action input, e.g. { assignedUserIds }, { targetDate }, { reason }
+ * @param {Object} context
+ * @param {Object} context.currentUser
+ * @param {Array} [context.users]
+ * @param {Array} [context.departments] - For calibrated effort estimates
+ * @param {Date} [context.now]
+ * @returns {Object} Patch for the task
+ * @throws {Error} With the reason the task is skipped
+ */
+export function buildBulkTaskPatch(action, task, params = {}, { currentUser, users = [], departments = [], now = new Date() }) {
+  if (task.status === STATUSES.DELETED) fail('Task is deleted');
+  if (task.status === STATUSES.COMPLETE && !CLOSED_TASK_ACTIONS.includes(action)) fail('Task is already complete');
+
+  const isManager = canManageTask(currentUser, task);
+  if (!isManager && (MANAGER_ACTIONS.includes(action) || task.assignedById !== currentUser.id)) {
+    fail('You cannot change this task');
+  }
+  if (POINTS_ACTIONS.includes(action) && !canChangeTaskPoints(currentUser, task)) {
+    fail('You cannot change the points of your own task');
+  }
+
+  const base = { updatedAt: serverTimestamp(), updatedById: currentUser.id };
+
+  switch (action) {
+    case BULK_ACTIONS.REASSIGN: {
+      const assignedUserIds = usersInDepartment(users, params.assignedUserIds || [], task.departmentId);
+      if (assignedUserIds.length === 0) fail('None of the chosen users are in the task\'s department');
+      if (!isManager && assignedUserIds.includes(currentUser.id)) fail('You cannot change the points of your own task');
+      return { ...base, assignedUserIds, ...checklistFor(task, assignedUserIds) };
+    }
+
+    case BULK_ACTIONS.TARGET_DATE:
+      if (!isDateKey(params.targetDate)) fail('Choose a valid target date');
+      return { ...base, targetDate: params.targetDate };
+
+    case BULK_ACTIONS.DIFFICULTY: {
+      const config = DIFFICULTY_CONFIG[params.difficulty];
+      if (!config) fail('Choose a valid difficulty');
+      return {
+        ...base,
+        difficulty: params.difficulty,
+        points: config.points,
+        ...expectedHoursFor(departments, task.departmentId, params.difficulty),
+      };
+    }
+
+    // Tasks in an approval chain are decided step by step in the approvals inbox
+    case BULK_ACTIONS.APPROVE:
+      if (!task.needsApproval || task.approvedBy) fail('Task does not need approval');
+      if (task.approvalRequestId) fail('Decide this task in the approvals inbox');
+      return {
+        ...base,
+        needsApproval: false,
+        approvedBy: currentUser.id,
+        approvedByName: currentUser.name,
+        approvedAt: now.toISOString(),
+      };
+
+    // Rejecting deletes the task, as in the approval panel
+    case BULK_ACTIONS.REJECT: {
+      if (!task.needsApproval || task.approvedBy) fail('Task does not need approval');
+      if (task.approvalRequestId) fail('Decide this task in the approvals inbox');
+      const reason = (params.reason || '').trim();
+      if (!reason) fail('A reason is required to reject tasks');
+      return {
+        ...base,
+        status: STATUSES.DELETED,
+        deletedAt: serverTimestamp(),
+        deletedBy: currentUser.id,
+        deletedByName: currentUser.name,
+        deleteReason: reason,
+        notes: arrayUnion({
+          text: `Task rejected on ${now.toLocaleDateString()} at ${now.toLocaleTimeString()} by ${currentUser.name}. Reason: ${reason}`,
+          type: 'deletion',
+          timestamp: now.toISOString(),
+          userId: currentUser.id,
+          userName: currentUser.name,
+        }),
+      };
+    }
+
+    case BULK_ACTIONS.URGENT:
+      return { ...base, isUrgent: !!params.isUrgent };
+
+    case BULK_ACTIONS.ADD_OBSERVERS: {
+      const assigned = task.assignedUserIds || [];
+      const existing = task.observerIds || [];
+      const observerIds = (params.observerIds || []).filter((id) => !assigned.includes(id) && !existing.includes(id));
+      if (observerIds.length === 0) fail('Everyone chosen already follows this task');
+      return { ...base, observerIds: arrayUnion(...observerIds) };
+    }
+
+    case BULK_ACTIONS.MOVE_DEPARTMENT: {
+      const { departmentId } = params;
+      if (!departmentId) fail('Choose a department');
+      if (departmentId === task.departmentId) fail('Task is already in this department');
+      if (!canManageTask(currentUser, { departmentId })) fail('You cannot move tasks into this department');
+
+      // Assignees outside the new department are replaced by the chosen fallback users
+      let assignedUserIds = usersInDepartment(users, task.assignedUserIds || [], departmentId);
+      if (assignedUserIds.length === 0) assignedUserIds = usersInDepartment(users, params.assignedUserIds || [], departmentId);
+      if (assignedUserIds.length === 0) fail('No assignees in the new department');
+      return {
+        ...base,
+        departmentId,
+        assignedUserIds,
+        ...checklistFor(task, assignedUserIds),
+        ...expectedHoursFor(departments, departmentId, task.difficulty),
+      };
+    }
+
+    default:
+      return fail(`Unknown bulk action: ${action}`);
+  }
+}
+
+/**
+ * Split a list into chunks of at most `size` items
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
@@ -0,0 +1,127 @@
+/**
+ * Task checklist helpers.
+ *
+ * A task's `checklist` is an ordered array of steps:
+ *   { id, text, assigneeId, done, doneBy, doneByName, doneAt }
+ * `assigneeId` is optional (any assignee may do the step). When
+ * `requireChecklistComplete` is set on the task, every item must be checked
+ * before the task can be completed. Points are split by who checked what
+ * (see getChecklistShares in shared/utils/pointsEngine.js).
+ */
+
+export const CHECKLIST_LIMITS = {
+  MAX_ITEMS: 50,
+  MAX_TEXT_LENGTH: 200,
+};
+
+/**
+ * New unchecked checklist item
+ * @param {string} text
+ * @param {string|null} [assigneeId]
+ * @returns {Object}
+ */
+export function createChecklistItem(text = '', assigneeId = null) {
+  return {
+    id: crypto.randomUUID(),
+    text,
+    assigneeId: assigneeId || null,
+    done: false,
+    doneBy: null,
+    doneByName: null,
+    doneAt: null,
+  };
+}
+
+/**
+ * Tidy a checklist before saving: drop empty items, trim text and clear
+ * assignees who are no longer on the task.
+ * @param {Array} checklist
+ * @param {Array<string>} assignedUserIds
+ * @returns {Array}
+ */
+export function normalizeChecklist(checklist = [], assignedUserIds = []) {
+  return (Array.isArray(checklist) ? checklist : [])
+    .map(item => ({
+      ...item,
+      text: (item.text || '').trim().slice(0, CHECKLIST_LIMITS.MAX_TEXT_LENGTH),
+      assigneeId: item.assigneeId && assignedUserIds.includes(item.assigneeId) ? item.assigneeId : null,
+    }))
+    .filter(item => item.text)
+    .slice(0, CHECKLIST_LIMITS.MAX_ITEMS);
+}
+
+/**
+ * Copy a checklist for a new task (e.g. from a schedule) with every item unchecked
+ * @param {Array} checklist
+ * @returns {Array}
+ */
+export function resetChecklist(checklist = []) {
+  return (Array.isArray(checklist) ? checklist : []).map(item => ({
+    ...item,
+    done: false,
+    doneBy: null,
+    doneByName: null,
+    doneAt: null,
+  }));
+}
+
+/**
+ * @param {Object} task
+ * @returns {{done: number, total: number, percent: number}}
+ */
+export function getChecklistProgress(task) {
+  const items = Array.isArray(task?.checklist) ? task.checklist : [];
+  const done = items.filter(item => item.done).length;
+  return {
+    done,
+    total: items.length,
+    percent: items.length > 0 ? Math.round((done / items.length) * 100) : 0,
+  };
+}
+
+/**
+ * Whether the task's completion rule blocks completing it
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function isChecklistBlockingCompletion(task) {
+  if (!task?.requireChecklistComplete) return false;
+  const { done, total } = getChecklistProgress(task);
+  return total > 0 && done < total;
+}
+
+/**
+ * Whether a user may check or uncheck an item: the item's assignee, any task
+ * assignee for unassigned items, or someone who can manage the task. Only
+ * managers uncheck an item someone else checked. firestore.rules enforces the same.
+ * @param {Object} task
+ * @param {Object} item
+ * @param {Object} user
+ * @param {boolean} canManage
+ * @returns {boolean}
+ */
+export function canToggleChecklistItem(task, item, user, canManage = false) {
+  if (!user?.id) return false;
+  if (canManage) return true;
+  if (item.done && item.doneBy && item.doneBy !== user.id) return false;
+  if (item.assigneeId) return item.assigneeId === user.id;
+  return Array.isArray(task?.assignedUserIds) && task.assignedUserIds.includes(user.id);
+}
+
+/**
+ * Checklist with one item checked or unchecked by a user
+ * @param {Array} checklist
+ * @param {string} itemId
+ * @param {boolean} done
+ * @param {Object} user - { id, name }
+ * @param {string} [doneAt] - ISO timestamp
+ * @returns {Array}
+ */
+export function setChecklistItemDone(checklist = [], itemId, done, user, doneAt = new Date().toISOString()) {
+  return checklist.map(item => {
+    if (item.id !== itemId) return item;
+    return done
+      ? { ...item, done: true, doneBy: user?.id || null, doneByName: user?.name || null, doneAt }
+      : { ...item, done: false, doneBy: null, doneByName: null, doneAt: null };
+  });
+}
@@ -0,0 +1,152 @@
+import { STATUSES, DIFFICULTY_LEVELS } from '../../../shared/constants.js';
+import { toSafeDate } from '../../../shared/utils/date.js';
+import { arrayAppend } from './taskOutbox.js';
+import { canManageTask } from './bulkTaskActions.js';
+
+/**
+ * Completion review.
+ *
+ * A task with `requiresReview` set goes from Ongoing to Pending Review when
+ * an assignee finishes it, with the completion note and photo as evidence.
+ * A reviewer then accepts it (status Complete, so points are awarded) or
+ * sends it back to Ongoing with a comment, which adds one to `reworkCount`
+ * and is also posted to the task's comments.
+ * Every decision is kept in `reviewHistory`:
+ *   { decision, reviewerId, reviewerName, comment, at }
+ * The same rules are enforced in firestore.rules (isTaskReviewer).
+ */
+
+export const REVIEW_DECISIONS = {
+  ACCEPT: 'accept',
+  SEND_BACK: 'send_back',
+};
+
+/**
+ * Whether new tasks of a difficulty are reviewed by default
+ * @param {string} difficulty
+ * @returns {boolean}
+ */
+export function isReviewedByDefault(difficulty) {
+  return difficulty === DIFFICULTY_LEVELS.CRITICAL;
+}
+
+/**
+ * @param {Object} task
+ * @returns {boolean} Whether finishing the task sends it for review
+ */
+export function requiresReview(task) {
+  return task?.requiresReview === true;
+}
+
+/**
+ * Whether a user may review a task: someone who can manage it, or its
+ * assigner or an observer who is not working on it
+ * @param {Object} task
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export function canReviewTask(task, user) {
+  if (!task || !user?.id) return false;
+  if (canManageTask(user, task)) return true;
+  if ((task.assignedUserIds || []).includes(user.id)) return false;
+  return task.assignedById === user.id || (task.observerIds || []).includes(user.id);
+}
+
+/**
+ * Tasks waiting for a user's review, oldest submission first: those they
+ * assigned or observe, and, when nobody besides the assignees is on a task,
+ * those they manage
+ * @param {Array} tasks
+ * @param {Object} user
+ * @returns {Array}
+ */
+export function getReviewQueue(tasks, user) {
+  if (!user?.id) return [];
+  const submittedAt = (task) => toSafeDate(task.reviewSubmittedAt)?.getTime() || 0;
+  return tasks
+    .filter((task) => task?.status === STATUSES.PENDING_REVIEW && canReviewTask(task, user))
+    .filter((task) => {
+      const assignees = task.assignedUserIds || [];
+      const reviewers = [task.assignedById, ...(task.observerIds || [])].filter((id) => id && !assignees.includes(id));
+      return reviewers.length === 0 ? canManageTask(user, task) : reviewers.includes(user.id);
+    })
+    .sort((a, b) => submittedAt(a) - submittedAt(b));
+}
+
+/**
+ * The latest completion note and the task's photos, shown to the reviewer
+ * @param {Object} task
+ * @returns {{note: Object|null, photos: Array}}
+ */
+export function getReviewEvidence(task) {
+  const notes = Array.isArray(task?.notes) ? task.notes : [];
+  const note = [...notes].reverse().find((entry) => entry?.type === 'completion' && entry.text) || null;
+  return { note, photos: Array.isArray(task?.photos) ? task.photos : [] };
+}
+
+/**
+ * The update that submits a finished task for review
+ * @param {Object} user - The assignee finishing it
+ * @param {Date} [now]
+ * @returns {Object} Task patch
+ */
+export function buildReviewSubmission(user, now = new Date()) {
+  return {
+    status: STATUSES.PENDING_REVIEW,
+    reviewSubmittedAt: now,
+    reviewSubmittedById: user.id,
+    reviewSubmittedByName: user.name || '',
+  };
+}
+
+/**
+ * The update for a reviewer's decision
+ * @param {Object} task
+ * @param {string} decision - One of REVIEW_DECISIONS
+ * @param {Object} context
+ * @param {Object} context.reviewer
+ * @param {string} [context.comment] - Required to send the task back
+ * @param {Date} [context.now]
+ * @returns {Object} Task patch
+ * @throws {Error} When the task is not waiting for review, the user may not review it, or a comment is missing
+ */
+export function buildReviewDecision(task, decision, { reviewer, comment = '', now = new Date() }) {
+  if (task?.status !== STATUSES.PENDING_REVIEW) throw new Error('This task is not waiting for review');
+  if (!canReviewTask(task, reviewer)) throw new Error('You cannot review this task');
+
+  const text = (comment || '').trim();
+  const entry = {
+    decision,
+    reviewerId: reviewer.id,
+    reviewerName: reviewer.name || '',
+    comment: text || null,
+    at: now.toISOString(),
+  };
+
+  switch (decision) {
+    case REVIEW_DECISIONS.ACCEPT:
+      return {
+        status: STATUSES.COMPLETE,
+        // Judged on when the work was handed in, not on how long the review took
+        completedAt: task.reviewSubmittedAt || now,
+        reviewedBy: reviewer.id,
+        reviewedByName: reviewer.name || '',
+        reviewedAt: now,
+        reviewHistory: arrayAppend(entry),
+      };
+
+    case REVIEW_DECISIONS.SEND_BACK:
+      if (!text) throw new Error('A comment is required to send the task back');
+      return {
+        status: STATUSES.ONGOING,
+        // Keep the original start so the time taken covers the rework
+        startedAt: task.startedAt || now,
+        completedAt: null,
+        reworkCount: (Number(task.reworkCount) || 0) + 1,
+        reviewHistory: arrayAppend(entry),
+      };
+
+    default:
+      throw new Error(`Unknown review decision: ${decision}`);
+  }
+}
@@ -0,0 +1,68 @@
+import { DIFFICULTY_CONFIG, EFFORT_CALIBRATION } from '../../../shared/constants.js';
+
+/**
+ * Effort estimates per difficulty.
+ *
+ * The calibrateEffortEstimates Cloud Function (functions/effortCalibration.js)
+ * keeps each department's real durations on departments/{id}.effortCalibration.
+ * Applied expectations are stamped on new tasks as `expectedHours`, so a task
+ * keeps being judged on the estimate it was assigned with (see
+ * getTaskExpectedHours in shared/utils/pointsEngine.js).
+ */
+
+/**
+ * Calibrated hours for a difficulty in a department
+ * @param {Object} department
+ * @param {string} difficulty
+ * @returns {number|null} null when the department uses the default
+ */
+export function getCalibratedHours(department, difficulty) {
+  const hours = department?.effortCalibration?.expectations?.[difficulty];
+  return typeof hours === 'number' && hours > 0 ? hours : null;
+}
+
+/**
+ * Hours expected for a difficulty in a department, calibrated or default
+ * @param {Object} department
+ * @param {string} difficulty
+ * @returns {number}
+ */
+export function getExpectedHours(department, difficulty) {
+  return getCalibratedHours(department, difficulty) ?? DIFFICULTY_CONFIG[difficulty]?.expectedHours ?? null;
+}
+
+/**
+ * Fields to store on a task for its department and difficulty
+ * @param {Object} department
+ * @param {string} difficulty
+ * @returns {Object} { expectedHours }, null to fall back to the default
+ */
+export function getExpectedHoursPatch(department, difficulty) {
+  return { expectedHours: getCalibratedHours(department, difficulty) };
+}
+
+/**
+ * "Similar tasks usually took" hint for a difficulty in a department
+ * @param {Object} department
+ * @param {string} difficulty
+ * @returns {Object|null} { medianHours, sampleSize }, or null with too few completions
+ */
+export function getEffortHint(department, difficulty) {
+  const stats = department?.effortCalibration?.difficulties?.[difficulty];
+  if (!stats || stats.medianHours === null || stats.sampleSize < EFFORT_CALIBRATION.minSamples) return null;
+  return { medianHours: stats.medianHours, sampleSize: stats.sampleSize };
+}
+
+/**
+ * @param {number} hours
+ * @returns {string} e.g. "45m", "1.5h", "2d 4h"
+ */
+export function formatHours(hours) {
+  if (typeof hours !== 'number' || !Number.isFinite(hours) || hours < 0) return '';
+  if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m`;
+  if (hours < 24) return `${Math.round(hours * 10) / 10}h`;
+  const total = Math.round(hours);
+  const days = Math.floor(total / 24);
+  const rest = total % 24;
+  return rest > 0 ? `${days}d ${rest}h` : `${days}d`;
+}
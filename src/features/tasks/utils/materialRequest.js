@@ -1,5 +1,6 @@
 import { STATUSES } from '../../../shared/constants.js';
 import { createTask, patchTask, getTask } from '../api/taskApi.js';
+import { uploadTaskPhotos } from '../api/photoApi.js';
 import { logActivity } from '../../../shared/utils/activityLogger.js';
 
 /**
@@ -26,13 +27,12 @@ export async function createMaterialRequest(requestData, currentUser) {
     originalAssignedUsers = [originalTask.assignedUserId];
   }
 
-  // Copy comments from original task to request task for shared comments
-  const sharedComments = originalTask.comments && Array.isArray(originalTask.comments) 
-    ? [...originalTask.comments] 
-    : [];
+  // Photos are uploaded to Storage once the request task has an id
+  const { photos: pendingPhotos = [], ...requestFields } = requestData;
 
   const newRequestTask = {
-    ...requestData,
+    ...requestFields,
+    photos: [],
     title: `${requestData.originalTaskTitle} - request`,
     departmentId: requestData.departmentId,
     assignedUserIds: requestData.assignedUserIds,
@@ -48,12 +48,15 @@ export async function createMaterialRequest(requestData, currentUser) {
     targetDate: requestData.expectedDeliveryDate,
     description: requestData.description,
     originalAssignedUsers,
+    // Comments are shared through the original task's thread (see taskComments.js)
     notes: requestData.description ? [{ text: requestData.description, type: 'request' }] : [],
-    comments: sharedComments // Copy comments for shared comments feature
   };
 
   // Create the request task
-  await createTask(newRequestTask, currentUser.id, currentUser.name);
+  const requestTaskId = await createTask(newRequestTask, currentUser.id, currentUser.name);
+  if (pendingPhotos.length > 0) {
+    await uploadTaskPhotos(requestTaskId, pendingPhotos);
+  }
 
   // Mark original task as having blocking requests
   await patchTask(requestData.originalTaskId, { hasBlockingTasks: true }, currentUser.id, currentUser.name);
@@ -0,0 +1,280 @@
+import { toSafeDate } from '../../../shared/utils/date.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+
+/**
+ * Task comments.
+ *
+ * Comments live in tasks/{threadId}/comments, one document each (see
+ * api/commentApi.js). A material request shares the thread of the task it was
+ * raised from, so both show the same discussion without copying it around.
+ * Comment documents:
+ *   { taskId, text, userId, userName, createdAt, parentId, mentions,
+ *     reactions: { [userId]: [emoji] }, editedAt, editHistory, type }
+ * Replies are one level deep: replying to a reply joins its parent's thread.
+ * `commentCount`, `lastCommentAt` and `lastCommentById` on the task are kept
+ * up to date by Cloud Functions (functions/taskComments.js), which also
+ * notify mentioned users. What a user has read is kept per thread in
+ * tasks/{threadId}/commentReads/{userId}.
+ */
+
+export const COMMENT_REACTIONS = ['👍', '✅', '🎉', '❤️', '👀', '❓'];
+
+// How far back from the cursor an unfinished @mention is looked for
+const MAX_MENTION_QUERY_LENGTH = 30;
+
+const toMillis = (value) => toSafeDate(value)?.getTime() || 0;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The task whose comments a task shows: a material request uses its original task's
+ * @param {Object} task
+ * @returns {string|null}
+ */
+export function getCommentThreadId(task) {
+  if (!task) return null;
+  return task.type === 'material_request' && task.originalTaskId ? task.originalTaskId : task.id;
+}
+
+/**
+ * Split comment text into plain text and @mentions of known users, longest
+ * names first so "@Ram Kumar" is not read as "@Ram"
+ * @param {string} text
+ * @param {Array} users
+ * @returns {Array<{text: string, userId?: string}>}
+ */
+export function splitMentions(text = '', users = []) {
+  const named = users
+    .filter((user) => user?.id && user.name)
+    .sort((a, b) => b.name.length - a.name.length);
+  if (named.length === 0 || !text.includes('@')) return text ? [{ text }] : [];
+
+  const pattern = new RegExp(`@(${named.map((user) => escapeRegExp(user.name)).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const user = named.find((candidate) => candidate.name.toLowerCase() === match[1].toLowerCase());
+    if (match.index > last) segments.push({ text: text.slice(last, match.index) });
+    segments.push({ text: match[0], userId: user.id });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last) });
+  return segments;
+}
+
+/**
+ * Ids of the users mentioned in a comment
+ * @param {string} text
+ * @param {Array} users
+ * @returns {string[]}
+ */
+export function parseMentions(text, users) {
+  return [...new Set(splitMentions(text, users).map((segment) => segment.userId).filter(Boolean))];
+}
+
+/**
+ * The @mention being typed at the cursor, if any
+ * @param {string} text
+ * @param {number} caret - Cursor position
+ * @returns {{start: number, query: string}|null} `start` is the index of the @
+ */
+export function getMentionQuery(text, caret) {
+  const before = text.slice(0, caret);
+  const start = before.lastIndexOf('@');
+  if (start === -1 || caret - start > MAX_MENTION_QUERY_LENGTH + 1) return null;
+  if (start > 0 && !/\s/.test(before[start - 1])) return null;
+  const query = before.slice(start + 1);
+  return /[\n@]/.test(query) ? null : { start, query };
+}
+
+/**
+ * Users whose name matches what is typed after the @, by first name or any later word
+ * @param {Array} users
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeIds] - e.g. the author
+ * @param {number} [options.limit]
+ * @returns {Array}
+ */
+export function getMentionSuggestions(users, query, { excludeIds = [], limit = 5 } = {}) {
+  const needle = query.trim().toLowerCase();
+  return users
+    .filter((user) => user?.id && user.name && !excludeIds.includes(user.id))
+    .filter((user) => {
+      const name = user.name.toLowerCase();
+      return name.startsWith(needle) || name.split(/\s+/).some((word) => word.startsWith(needle));
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Replace the @mention being typed with the chosen user's name
+ * @param {string} text
+ * @param {{start: number}} mention - From getMentionQuery
+ * @param {number} caret
+ * @param {Object} user
+ * @returns {{text: string, caret: number}}
+ */
+export function insertMention(text, mention, caret, user) {
+  const inserted = `@${user.name} `;
+  return {
+    text: text.slice(0, mention.start) + inserted + text.slice(caret).replace(/^ /, ''),
+    caret: mention.start + inserted.length,
+  };
+}
+
+/**
+ * A new comment, or a reply to one
+ * @param {Object} options
+ * @param {string} options.text
+ * @param {Object} options.user - The author
+ * @param {Array} options.users - For mentions
+ * @param {Object} options.task - The task it is posted on
+ * @param {Object} [options.replyTo] - The comment replied to
+ * @param {string} [options.type] - e.g. 'review' for reviewers' send-back comments
+ * @param {Date} [options.now]
+ * @returns {Object} Comment document, with its `id`
+ * @throws {Error} When the text is empty
+ */
+export function buildComment({ text, user, users = [], task, replyTo = null, type = null, now = new Date() }) {
+  const body = (text || '').trim();
+  if (!body) throw new Error('A comment cannot be empty');
+  return {
+    id: `${now.getTime()}_${user.id}`,
+    taskId: task.id,
+    text: body,
+    userId: user.id,
+    userName: user.name || '',
+    createdAt: now,
+    parentId: replyTo ? replyTo.parentId || replyTo.id : null,
+    mentions: parseMentions(body, users).filter((id) => id !== user.id),
+    reactions: {},
+    ...(type ? { type } : {}),
+  };
+}
+
+/**
+ * @param {Object} comment
+ * @param {Object} user
+ * @returns {boolean} Only authors edit their comments
+ */
+export function canEditComment(comment, user) {
+  return !!user?.id && comment?.userId === user.id;
+}
+
+/**
+ * @param {Object} user
+ * @returns {boolean} Whether the user may delete anyone's comments
+ */
+export function canDeleteComments(user) {
+  return hasPermission(user?.role, 'DELETE_COMMENTS');
+}
+
+/**
+ * The update for editing a comment; the previous text is kept in `editHistory`
+ * @param {Object} comment - As stored
+ * @param {string} text
+ * @param {Object} context
+ * @param {Object} context.editor
+ * @param {Array} [context.users]
+ * @param {Date} [context.now]
+ * @returns {Object|null} Comment patch, or null when the text did not change
+ * @throws {Error} When the editor is not the author or the text is empty
+ */
+export function buildCommentEdit(comment, text, { editor, users = [], now = new Date() }) {
+  if (!canEditComment(comment, editor)) throw new Error('Only the author can edit a comment');
+  const body = (text || '').trim();
+  if (!body) throw new Error('A comment cannot be empty');
+  if (body === comment.text) return null;
+  return {
+    text: body,
+    mentions: parseMentions(body, users).filter((id) => id !== editor.id),
+    editedAt: now,
+    editHistory: [
+      ...(Array.isArray(comment.editHistory) ? comment.editHistory : []),
+      { text: comment.text, at: comment.editedAt || comment.createdAt || null },
+    ],
+  };
+}
+
+/**
+ * Add or take back a user's reaction
+ * @param {Object} comment
+ * @param {string} userId
+ * @param {string} emoji
+ * @returns {Object} The comment's new `reactions`
+ */
+export function toggleReaction(comment, userId, emoji) {
+  const reactions = { ...(comment?.reactions || {}) };
+  const mine = Array.isArray(reactions[userId]) ? reactions[userId] : [];
+  const next = mine.includes(emoji) ? mine.filter((entry) => entry !== emoji) : [...mine, emoji];
+  if (next.length > 0) reactions[userId] = next;
+  else delete reactions[userId];
+  return reactions;
+}
+
+/**
+ * Reaction counts for display, in COMMENT_REACTIONS order
+ * @param {Object} comment
+ * @param {string} userId - The viewer, to highlight their reactions
+ * @returns {Array<{emoji: string, count: number, mine: boolean}>}
+ */
+export function summarizeReactions(comment, userId) {
+  const counts = new Map();
+  Object.entries(comment?.reactions || {}).forEach(([reactorId, emojis]) => {
+    (Array.isArray(emojis) ? emojis : []).forEach((emoji) => {
+      const entry = counts.get(emoji) || { emoji, count: 0, mine: false };
+      entry.count += 1;
+      entry.mine = entry.mine || reactorId === userId;
+      counts.set(emoji, entry);
+    });
+  });
+  const order = (emoji) => {
+    const index = COMMENT_REACTIONS.indexOf(emoji);
+    return index === -1 ? COMMENT_REACTIONS.length : index;
+  };
+  return [...counts.values()].sort((a, b) => order(a.emoji) - order(b.emoji));
+}
+
+/**
+ * Top-level comments, oldest first, each with its replies. Replies whose
+ * parent is gone are shown as top-level comments.
+ * @param {Array} comments
+ * @returns {Array<{comment: Object, replies: Array}>}
+ */
+export function groupCommentThreads(comments = []) {
+  const sorted = [...comments].sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+  const ids = new Set(sorted.map((comment) => comment.id));
+  const threads = sorted
+    .filter((comment) => !comment.parentId || !ids.has(comment.parentId))
+    .map((comment) => ({ comment, replies: [] }));
+  const byId = new Map(threads.map((thread) => [thread.comment.id, thread]));
+  sorted.forEach((comment) => {
+    if (comment.parentId && byId.has(comment.parentId)) byId.get(comment.parentId).replies.push(comment);
+  });
+  return threads;
+}
+
+/**
+ * Whether someone else posted a comment after the user last read the thread
+ * @param {Object} comment
+ * @param {number} lastReadAt - Milliseconds; 0 when never read
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function isUnreadComment(comment, lastReadAt, userId) {
+  return comment?.userId !== userId && toMillis(comment?.createdAt) > lastReadAt;
+}
+
+/**
+ * Whether a task's thread has comments the user has not read
+ * @param {Object} task - With `lastCommentAt` and `lastCommentById`
+ * @param {Object} reads - Thread id -> last read time in milliseconds
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function hasUnreadComments(task, reads, userId) {
+  if (!task?.lastCommentAt || task.lastCommentById === userId) return false;
+  return toMillis(task.lastCommentAt) > (reads?.[getCommentThreadId(task)] || 0);
+}
@@ -0,0 +1,148 @@
+import { STATUSES } from '../../../shared/constants.js';
+
+/**
+ * Task dependency graph helpers.
+ *
+ * A task lists its prerequisites in `blockedByTaskIds`; the "blocks" side is
+ * derived by looking the other way. Material requests are blockers too: an
+ * open request task blocks the task named in its `originalTaskId`.
+ * The syncTaskBlockers Cloud Function (functions/taskDependencies.js) keeps
+ * `hasBlockingTasks` up to date as prerequisites complete.
+ */
+
+// Prerequisites in these states no longer block anything
+export const RESOLVED_STATUSES = [STATUSES.COMPLETE, STATUSES.DELETED];
+
+export const isOpenTask = (task) => !!task && !RESOLVED_STATUSES.includes(task.status);
+
+const isMaterialRequestFor = (task, taskId) => task.type === 'material_request' && task.originalTaskId === taskId;
+
+/**
+ * Ids of the tasks that block a task: explicit links plus its material requests
+ * @param {string} taskId
+ * @param {Array} allTasks
+ * @returns {Array<string>}
+ */
+export function getBlockerIds(taskId, allTasks = []) {
+  const task = allTasks.find(t => t.id === taskId);
+  const ids = new Set(Array.isArray(task?.blockedByTaskIds) ? task.blockedByTaskIds : []);
+  allTasks.forEach(t => {
+    if (isMaterialRequestFor(t, taskId)) ids.add(t.id);
+  });
+  ids.delete(taskId);
+  return Array.from(ids);
+}
+
+/**
+ * Tasks that block a task (unknown ids are left out)
+ * @param {string} taskId
+ * @param {Array} allTasks
+ * @returns {Array}
+ */
+export function getBlockers(taskId, allTasks = []) {
+  const ids = getBlockerIds(taskId, allTasks);
+  return allTasks.filter(t => ids.includes(t.id));
+}
+
+/**
+ * Blockers that have not been completed yet
+ * @param {string} taskId
+ * @param {Array} allTasks
+ * @returns {Array}
+ */
+export function getOpenBlockers(taskId, allTasks = []) {
+  return getBlockers(taskId, allTasks).filter(isOpenTask);
+}
+
+/**
+ * Tasks that wait on a task
+ * @param {string} taskId
+ * @param {Array} allTasks
+ * @returns {Array}
+ */
+export function getDependents(taskId, allTasks = []) {
+  const task = allTasks.find(t => t.id === taskId);
+  return allTasks.filter(t =>
+    t.id !== taskId && (
+      (Array.isArray(t.blockedByTaskIds) && t.blockedByTaskIds.includes(taskId)) ||
+      (task && isMaterialRequestFor(task, t.id))
+    )
+  );
+}
+
+/**
+ * Find the cycle that linking `taskId` as blocked by `blockerId` would create.
+ * @param {string} taskId
+ * @param {string} blockerId
+ * @param {Array} allTasks
+ * @returns {Array<string>|null} Task ids around the cycle, starting and ending with taskId, or null
+ */
+export function findDependencyCycle(taskId, blockerId, allTasks = []) {
+  if (taskId === blockerId) return [taskId, taskId];
+
+  // Walk the blocker's own prerequisites; reaching taskId means it already waits on taskId
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (id === taskId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const nextId of getBlockerIds(id, allTasks)) {
+      const cycle = walk(nextId, [...path, nextId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  return walk(blockerId, [taskId, blockerId]);
+}
+
+/**
+ * Check a proposed "taskId is blocked by blockerId" link.
+ * @param {string} taskId
+ * @param {string} blockerId
+ * @param {Array} allTasks
+ * @returns {string|null} Reason the link is not allowed, or null
+ */
+export function validateTaskBlocker(taskId, blockerId, allTasks = []) {
+  if (!taskId || !blockerId) return 'Select a task';
+  if (taskId === blockerId) return 'A task cannot block itself';
+  if (!allTasks.some(t => t.id === blockerId)) return 'Blocking task not found';
+  if (getBlockerIds(taskId, allTasks).includes(blockerId)) return 'This task is already a blocker';
+
+  const cycle = findDependencyCycle(taskId, blockerId, allTasks);
+  if (cycle) {
+    const titles = cycle.map(id => allTasks.find(t => t.id === id)?.title || id);
+    return `This would create a dependency cycle: ${titles.join(' → ')}`;
+  }
+  return null;
+}
+
+/**
+ * Longest chain of open prerequisites leading to a task, i.e. the work that
+ * has to finish, in order, before it can start.
+ * @param {string} taskId
+ * @param {Array} allTasks
+ * @returns {Array} Tasks from the first prerequisite to the task itself
+ */
+export function getCriticalPath(taskId, allTasks = []) {
+  const task = allTasks.find(t => t.id === taskId);
+  if (!task) return [];
+
+  const memo = new Map();
+  const longestChain = (id, visiting) => {
+    if (memo.has(id)) return memo.get(id);
+    const current = allTasks.find(t => t.id === id);
+    let best = [];
+    for (const blocker of getOpenBlockers(id, allTasks)) {
+      // Stored data may still hold a cycle; never follow it
+      if (visiting.has(blocker.id)) continue;
+      const chain = longestChain(blocker.id, new Set([...visiting, blocker.id]));
+      if (chain.length > best.length) best = chain;
+    }
+    const result = [...best, current];
+    memo.set(id, result);
+    return result;
+  };
+
+  return longestChain(taskId, new Set([taskId]));
+}
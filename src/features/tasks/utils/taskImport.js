@@ -0,0 +1,214 @@
+import { DIFFICULTY_CONFIG, DIFFICULTY_LEVELS, STATUSES } from '../../../shared/constants.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+import { isDateKey, toDateKey } from '../../../shared/utils/recurrence.js';
+import { excelSerialToDateKey } from '../../../shared/utils/spreadsheet.js';
+import { createChecklistItem, normalizeChecklist } from './checklist.js';
+import { canManageTask } from './bulkTaskActions.js';
+
+/**
+ * Task import from a spreadsheet
+ *
+ * Columns are mapped to TASK_IMPORT_FIELDS, then every row is checked the way
+ * the task form and the Firestore rules would check it. Rows with errors are
+ * shown in the preview and not imported. The headers written by the
+ * Management export ("Task Title", "Assigned To", ...) map automatically.
+ */
+
+export const MAX_IMPORT_ROWS = 1000;
+
+export const TASK_IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['task', 'task title', 'name'] },
+  { key: 'description', label: 'Description', aliases: ['details'] },
+  { key: 'department', label: 'Department', required: true, aliases: ['dept', 'department id'] },
+  { key: 'assignees', label: 'Assigned to', required: true, aliases: ['assignee', 'assignees', 'assigned users', 'owner'] },
+  { key: 'difficulty', label: 'Difficulty', aliases: ['level'] },
+  { key: 'targetDate', label: 'Target date', aliases: ['due', 'due date', 'deadline', 'date'] },
+  { key: 'urgent', label: 'Urgent', aliases: ['urgency', 'is urgent', 'priority'] },
+  { key: 'observers', label: 'Observers', aliases: ['observer', 'cc'] },
+  { key: 'checklist', label: 'Checklist', aliases: ['steps', 'checklist items'] },
+  { key: 'note', label: 'Note', aliases: ['notes', 'comment', 'remarks'] },
+];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Match spreadsheet headers to import fields by label or alias
+ * @param {string[]} headers
+ * @returns {Object} Column index by field key; unmatched fields are absent
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  TASK_IMPORT_FIELDS.forEach((field) => {
+    const names = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+    const index = normalized.findIndex((header, column) => names.includes(header) && !Object.values(mapping).includes(column));
+    if (index !== -1) mapping[field.key] = index;
+  });
+  return mapping;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toKey = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Read a target date as a date key. Accepts 2025-06-01, 01/06/2025 and
+ * 01-06-2025 (day first, as in India), "1 Jun 2025" as exported, and Excel
+ * serial numbers from .xlsx files.
+ * @param {string} value
+ * @returns {string|null} YYYY-MM-DD, or null if the value is not a date
+ */
+export function parseImportDate(value) {
+  const text = String(value ?? '').trim();
+  if (isDateKey(text)) return toKey(Number(text.slice(0, 4)), Number(text.slice(5, 7)), Number(text.slice(8, 10)));
+
+  let match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return toKey(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  match = text.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-,]+(\d{4})$/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return toKey(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+  }
+
+  // Excel counts days from 1899-12-30; 20000-80000 covers 1954-2118
+  if (/^\d{5}(\.\d+)?$/.test(text) && Number(text) > 20000 && Number(text) < 80000) return excelSerialToDateKey(Math.floor(Number(text)));
+
+  return null;
+}
+
+/**
+ * @param {string} value - A difficulty key or label, also "Hard (50 pts)" as exported
+ * @returns {string|null} Key of DIFFICULTY_CONFIG
+ */
+export function parseImportDifficulty(value) {
+  const text = String(value ?? '').replace(/\(.*\)/, '').trim().toLowerCase();
+  if (!text) return DIFFICULTY_LEVELS.MEDIUM;
+  return Object.keys(DIFFICULTY_CONFIG).find((key) => key === text || DIFFICULTY_CONFIG[key].label.toLowerCase() === text) || null;
+}
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'urgent', 'high'];
+const FALSE_VALUES = ['', 'no', 'n', 'false', '0', 'normal', 'low', 'blocked'];
+
+const splitList = (value) => String(value ?? '').split(/[;,\n]/).map((item) => item.trim()).filter(Boolean);
+
+const matchesName = (text) => (candidate) => candidate != null && String(candidate).trim().toLowerCase() === text;
+
+// Users are named by name, username, email, employee id or id
+const findUsers = (users, name) => {
+  const text = name.toLowerCase();
+  const byId = users.filter((user) => user.id === name);
+  if (byId.length > 0) return byId;
+  return users.filter((user) => [user.name, user.username, user.email, user.employeeId].some(matchesName(text)));
+};
+
+const resolveUsers = (names, users, label, errors) => {
+  const ids = [];
+  names.forEach((name) => {
+    const matches = findUsers(users, name);
+    if (matches.length === 0) errors.push(`${label}: no user named "${name}"`);
+    else if (matches.length > 1) errors.push(`${label}: "${name}" matches several users`);
+    else if (!ids.includes(matches[0].id)) ids.push(matches[0].id);
+  });
+  return ids;
+};
+
+/**
+ * Check one spreadsheet row and turn it into createTask() data
+ * @param {string[]} row
+ * @param {Object} mapping - Column index by field key (see guessColumnMapping)
+ * @param {Object} context
+ * @param {Object} context.currentUser
+ * @param {Array} context.users
+ * @param {Array} context.departments
+ * @param {string} [context.today] - YYYY-MM-DD used when a row has no target date
+ * @returns {{ task: Object|null, errors: string[] }}
+ */
+export function buildImportedTask(row, mapping, { currentUser, users, departments, today = toDateKey(new Date()) }) {
+  const cell = (key) => (mapping[key] === undefined ? '' : String(row[mapping[key]] ?? '').trim());
+  const errors = [];
+
+  const title = cell('title');
+  if (!title) errors.push('Title is required');
+
+  const departmentName = cell('department');
+  const department = departmentName ? departments.find((item) => (
+    item.id === departmentName || item.name?.trim().toLowerCase() === departmentName.toLowerCase()
+  )) : null;
+  if (!departmentName) errors.push('Department is required');
+  else if (!department) errors.push(`No department named "${departmentName}"`);
+
+  const assignedUserIds = resolveUsers(splitList(cell('assignees')), users, 'Assigned to', errors);
+  if (!cell('assignees')) errors.push('At least one assignee is required');
+  if (department) {
+    assignedUserIds
+      .filter((id) => !users.find((user) => user.id === id)?.departmentIds?.includes(department.id))
+      .forEach((id) => errors.push(`${users.find((user) => user.id === id).name} is not in ${department.name}`));
+  }
+
+  const isSelfAssigned = assignedUserIds.length === 1 && assignedUserIds[0] === currentUser.id;
+  if (!hasPermission(currentUser.role, 'CREATE_TASKS')) errors.push('You cannot create tasks');
+  else if (department && !isSelfAssigned && !canManageTask(currentUser, { departmentId: department.id })) {
+    errors.push(`You cannot assign tasks in ${department.name}`);
+  }
+
+  const difficulty = parseImportDifficulty(cell('difficulty'));
+  if (!difficulty) errors.push(`Difficulty must be one of ${Object.values(DIFFICULTY_CONFIG).map((config) => config.label).join(', ')}`);
+
+  const targetDate = cell('targetDate') ? parseImportDate(cell('targetDate')) : today;
+  if (!targetDate) errors.push(`"${cell('targetDate')}" is not a date; use YYYY-MM-DD or DD/MM/YYYY`);
+
+  const urgent = cell('urgent').toLowerCase();
+  if (!TRUE_VALUES.includes(urgent) && !FALSE_VALUES.includes(urgent)) errors.push(`Urgent must be yes or no, not "${cell('urgent')}"`);
+
+  const observerIds = resolveUsers(splitList(cell('observers')), users, 'Observers', errors)
+    .filter((id) => !assignedUserIds.includes(id));
+
+  if (errors.length > 0) return { task: null, errors };
+
+  const note = cell('note');
+  const checklist = normalizeChecklist(cell('checklist').split(/[|\n]/).map((text) => createChecklistItem(text)), assignedUserIds);
+  return {
+    errors,
+    task: {
+      title,
+      description: cell('description'),
+      departmentId: department.id,
+      assignedUserIds,
+      assignedUserRole: currentUser.role,
+      difficulty,
+      points: DIFFICULTY_CONFIG[difficulty].points,
+      targetDate,
+      status: STATUSES.PENDING,
+      isUrgent: TRUE_VALUES.includes(urgent),
+      observerIds,
+      checklist,
+      notes: note ? [{
+        text: note,
+        type: 'creation',
+        createdAt: new Date().toISOString(),
+        createdBy: currentUser.id,
+        editedBy: currentUser.id,
+        editedByName: currentUser.name,
+      }] : [],
+    },
+  };
+}
+
+/**
+ * Check every row of a sheet
+ * @param {string[][]} rows - Rows below the header
+ * @param {Object} mapping
+ * @param {Object} context - See buildImportedTask
+ * @returns {Array<{ rowNumber: number, task: Object|null, errors: string[] }>} rowNumber counts the header as row 1
+ */
+export function buildTaskImport(rows, mapping, context) {
+  const missing = TASK_IMPORT_FIELDS.filter((field) => field.required && mapping[field.key] === undefined);
+  if (missing.length > 0) throw new Error(`Choose a column for ${missing.map((field) => field.label).join(', ')}`);
+  if (rows.length > MAX_IMPORT_ROWS) throw new Error(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+
+  return rows.map((row, index) => ({ rowNumber: index + 2, ...buildImportedTask(row, mapping, context) }));
+}
@@ -0,0 +1,162 @@
+import { STATUSES } from '../../../shared/constants.js';
+
+/**
+ * Offline outbox helpers.
+ *
+ * Task changes, comments and photos made without a connection are queued in
+ * IndexedDB by api/outboxApi.js and replayed in order once the app is back
+ * online. Queued values are stored in a plain form (IndexedDB cannot hold
+ * Firestore sentinels), and replayed against the server's current version of
+ * the task: whatever someone else changed in the meantime is kept.
+ */
+
+export const OUTBOX_ENTRY_TYPES = {
+  PATCH_TASK: 'patchTask',
+  ADD_COMMENT: 'addComment',
+  UPLOAD_PHOTOS: 'uploadPhotos',
+};
+
+// Array changes merge with what is on the server instead of overwriting it.
+// Use these in task patches instead of arrayUnion/arrayRemove so the patch can be queued.
+const ARRAY_OP_KEY = '__arrayOp';
+const TIMESTAMP_KEY = '__timestampMillis';
+
+export const arrayAppend = (...values) => ({ [ARRAY_OP_KEY]: 'union', values });
+export const arrayDiscard = (...values) => ({ [ARRAY_OP_KEY]: 'remove', values });
+export const isArrayOp = (value) => isPlainObject(value) && ARRAY_OP_KEY in value;
+
+// Fields that only make sense together with the status they were written with
+const STATUS_FIELDS = ['status', 'startedAt', 'completedAt'];
+
+const RETRYABLE_ERROR_CODES = [
+  'unavailable',
+  'deadline-exceeded',
+  'resource-exhausted',
+  'functions/unavailable',
+  'functions/deadline-exceeded',
+  'functions/internal', // What a callable reports when the request never reached the server
+  'storage/retry-limit-exceeded',
+  'storage/unknown',
+];
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+const isBlob = (value) => typeof Blob !== 'undefined' && value instanceof Blob;
+
+/**
+ * Convert a value to the form stored in the outbox: timestamps become
+ * `{__timestampMillis}`; plain objects, arrays and array ops are converted deeply.
+ * @param {*} value
+ * @returns {*}
+ * @throws {Error} For Firestore sentinels such as arrayUnion() or increment()
+ */
+export function encodeOutboxValue(value) {
+  if (value === null || value === undefined || typeof value !== 'object' || isBlob(value)) return value;
+  if (value instanceof Date) return { [TIMESTAMP_KEY]: value.getTime() };
+  if (typeof value.toMillis === 'function') return { [TIMESTAMP_KEY]: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encodeOutboxValue);
+  if (!isPlainObject(value)) {
+    throw new Error('This change cannot be saved offline');
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, encodeOutboxValue(entry)])
+  );
+}
+
+/**
+ * Turn stored outbox values (and array ops in live patches) back into Firestore values
+ * @param {*} value
+ * @param {Object} firestore - { fromMillis, arrayUnion, arrayRemove }
+ * @returns {*}
+ */
+export function decodeOutboxValue(value, firestore) {
+  if (Array.isArray(value)) return value.map((entry) => decodeOutboxValue(entry, firestore));
+  if (!isPlainObject(value)) return value;
+  if (TIMESTAMP_KEY in value) return firestore.fromMillis(value[TIMESTAMP_KEY]);
+  if (isArrayOp(value)) {
+    const values = value.values.map((entry) => decodeOutboxValue(entry, firestore));
+    return value[ARRAY_OP_KEY] === 'remove' ? firestore.arrayRemove(...values) : firestore.arrayUnion(...values);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decodeOutboxValue(entry, firestore)]));
+}
+
+// JSON with sorted keys, so equal values compare equal whatever their key order
+const stableStringify = (value) => JSON.stringify(value ?? null, (key, entry) => (
+  isPlainObject(entry)
+    ? Object.fromEntries(Object.keys(entry).sort().map((name) => [name, entry[name]]))
+    : entry
+));
+
+const isSame = (a, b) => stableStringify(a) === stableStringify(b);
+
+/**
+ * Decide which fields of a queued task patch still apply to the server's
+ * version of the task. A field someone else changed since the patch was
+ * queued keeps the server's value and is reported as a conflict; array
+ * appends and removals always apply.
+ * @param {Object} patch - Encoded fields to write
+ * @param {Object|null} base - Encoded values of those fields when the patch was queued; null when unknown
+ * @param {Object|null} serverTask - Encoded server version; null when the task no longer exists
+ * @returns {{patch: Object, conflicts: string[], deleted: boolean}}
+ */
+export function resolveQueuedPatch(patch, base, serverTask) {
+  if (!serverTask || serverTask.status === STATUSES.DELETED) {
+    return { patch: {}, conflicts: [], deleted: true };
+  }
+
+  const resolved = {};
+  const conflicts = [];
+  for (const [field, value] of Object.entries(patch)) {
+    if (isArrayOp(value) || !base) {
+      resolved[field] = value;
+      continue;
+    }
+    // Unchanged by the user (edit forms send every field) or already on the server
+    if (isSame(value, base[field]) || isSame(value, serverTask[field])) continue;
+    if (!isSame(serverTask[field], base[field])) {
+      conflicts.push(field);
+      continue;
+    }
+    resolved[field] = value;
+  }
+
+  if (conflicts.includes('status')) {
+    STATUS_FIELDS.forEach((field) => delete resolved[field]);
+  }
+  return { patch: resolved, conflicts, deleted: false };
+}
+
+/**
+ * Whether a failed replay should be retried later (connection problems)
+ * rather than dropped (permissions, validation)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableOutboxError(error) {
+  return RETRYABLE_ERROR_CODES.includes(error?.code) || error?.name === 'NetworkError';
+}
+
+/**
+ * Short description of a queued change for the sync indicator
+ * @param {Object} entry - Outbox entry
+ * @returns {string}
+ */
+export function describeOutboxEntry(entry) {
+  const title = entry.taskTitle ? `"${entry.taskTitle}"` : 'a task';
+  switch (entry.type) {
+    case OUTBOX_ENTRY_TYPES.ADD_COMMENT:
+      return `Comment on ${title}`;
+    case OUTBOX_ENTRY_TYPES.UPLOAD_PHOTOS: {
+      const count = entry.photos?.length || 0;
+      return `${count} photo${count === 1 ? '' : 's'} for ${title}`;
+    }
+    default:
+      return entry.patch?.status ? `${entry.patch.status}: ${title}` : `Changes to ${title}`;
+  }
+}
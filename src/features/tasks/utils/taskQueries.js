@@ -0,0 +1,187 @@
+import { STATUSES } from '../../../shared/constants.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+
+/**
+ * Which tasks a user loads, as Firestore query specs.
+ *
+ * Instead of reading the task collection in full, the app subscribes to
+ * role-scoped queries (api/taskApi.js turns these specs into Firestore queries):
+ *
+ * - A user's own tasks (assigned to or created by them) are loaded in full;
+ *   their all-time score is computed from them.
+ * - Tasks they observe or requested, their departments' tasks (Heads) or every
+ *   task (Management/Admin) are loaded while open. Completed and deleted ones
+ *   are paged in from the archive on demand.
+ * - Every task completed or deleted in the last RECENT_TASK_DAYS stays loaded,
+ *   as the weekly and monthly leaderboards count them.
+ * - Views that need all-time figures for everyone (the voucher dashboard's
+ *   scores) read every completed task once instead, and goals and projects
+ *   subscribe to the tasks linked to them (getLinkedTaskQueries).
+ *
+ * A spec is `{ key, filters: [{ field, op, value }], orderBy? }`.
+ */
+
+export const ARCHIVED_TASK_STATUSES = [STATUSES.COMPLETE, STATUSES.DELETED];
+export const OPEN_TASK_STATUSES = Object.values(STATUSES).filter((status) => !ARCHIVED_TASK_STATUSES.includes(status));
+
+export const RECENT_TASK_DAYS = 35;
+export const TASK_ARCHIVE_PAGE_SIZE = 50;
+
+// Firestore allows 30 disjunctions per query: 6 departments x 5 open statuses
+const MAX_DISJUNCTIONS = 30;
+const MAX_DEPARTMENTS_PER_QUERY = Math.floor(MAX_DISJUNCTIONS / OPEN_TASK_STATUSES.length);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) chunks.push(items.slice(index, index + size));
+  return chunks;
+};
+
+/**
+ * The slices of the task collection a user can see
+ * @param {Object} user - { id, role, departmentIds }
+ * @returns {Array<{key: string, filters: Array, personal: boolean}>}
+ *   Personal scopes are loaded in full; the others only while tasks are open.
+ */
+export function getTaskScopes(user) {
+  if (!user?.id) return [];
+
+  const scopes = [
+    { key: 'assigned', filters: [{ field: 'assignedUserIds', op: 'array-contains', value: user.id }], personal: true },
+    { key: 'legacyAssignee', filters: [{ field: 'assignedUserId', op: '==', value: user.id }], personal: true },
+    { key: 'created', filters: [{ field: 'assignedById', op: '==', value: user.id }], personal: true },
+  ];
+
+  if (hasPermission(user.role, 'MANAGE_ALL_TASKS')) {
+    return [...scopes, { key: 'all', filters: [], personal: false }];
+  }
+
+  scopes.push(
+    { key: 'observing', filters: [{ field: 'observerIds', op: 'array-contains', value: user.id }], personal: false },
+    { key: 'requested', filters: [{ field: 'requestingUserId', op: '==', value: user.id }], personal: false },
+  );
+
+  if (hasPermission(user.role, 'VIEW_DEPARTMENT_TASKS')) {
+    const departmentIds = [...new Set((user.departmentIds || []).filter(Boolean))];
+    chunk(departmentIds, MAX_DEPARTMENTS_PER_QUERY).forEach((ids, index) => {
+      scopes.push(
+        { key: `department-${index}`, filters: [{ field: 'departmentId', op: 'in', value: ids }], personal: false },
+        { key: `requestingDepartment-${index}`, filters: [{ field: 'requestingDepartmentId', op: 'in', value: ids }], personal: false },
+      );
+    });
+  }
+  return scopes;
+}
+
+/**
+ * Changes whenever a user's scopes would, to resubscribe on role or department changes
+ * @param {Object} user
+ * @returns {string}
+ */
+export function getTaskScopeKey(user) {
+  if (!user?.id) return '';
+  return JSON.stringify([user.id, user.role ?? null, [...(user.departmentIds || [])].sort()]);
+}
+
+/**
+ * The user fields a scope key stands for, enough for getTaskScopes and the
+ * task queries; memoize it on the key to subscribe without the whole user
+ * @param {string} scopeKey - From getTaskScopeKey
+ * @returns {Object|null} { id, role, departmentIds }
+ */
+export function getTaskScopeUser(scopeKey) {
+  if (!scopeKey) return null;
+  const [id, role, departmentIds] = JSON.parse(scopeKey);
+  return { id, role, departmentIds };
+}
+
+/**
+ * Queries kept live with onSnapshot
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {Array<Object>} Query specs
+ */
+export function getLiveTaskQueries(user, now = new Date()) {
+  const scopes = getTaskScopes(user);
+  if (scopes.length === 0) return [];
+
+  const queries = scopes.map((scope) => (
+    scope.personal
+      ? { key: scope.key, filters: scope.filters }
+      : { key: `${scope.key}:open`, filters: [...scope.filters, { field: 'status', op: 'in', value: OPEN_TASK_STATUSES }] }
+  ));
+
+  queries.push({
+    key: 'recentlyArchived',
+    filters: [
+      { field: 'status', op: 'in', value: ARCHIVED_TASK_STATUSES },
+      { field: 'updatedAt', op: '>=', value: new Date(now.getTime() - RECENT_TASK_DAYS * DAY_MS) },
+    ],
+  });
+  return queries;
+}
+
+/**
+ * Queries for the archive, newest first, read a page at a time
+ * @param {Object} user
+ * @returns {Array<Object>} Query specs
+ */
+export function getArchivedTaskQueries(user) {
+  return getTaskScopes(user)
+    .filter((scope) => !scope.personal)
+    .map((scope) => ({
+      key: `${scope.key}:archived`,
+      filters: [...scope.filters, { field: 'status', op: 'in', value: ARCHIVED_TASK_STATUSES }],
+      orderBy: { field: 'updatedAt', direction: 'desc' },
+    }));
+}
+
+/**
+ * Every completed task, for all-time scores across users
+ * @returns {Object} Query spec
+ */
+export function getCompletedTaskQuery() {
+  return { key: 'completed', filters: [{ field: 'status', op: '==', value: STATUSES.COMPLETE }] };
+}
+
+/**
+ * Every task linked to any of the given goals or projects, whatever its
+ * status or who can see it in the task list
+ * @param {string} field - 'goalId' or 'projectId'
+ * @param {string[]} ids
+ * @returns {Array<Object>} Query specs
+ */
+export function getLinkedTaskQueries(field, ids = []) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))].sort();
+  return chunk(uniqueIds, MAX_DISJUNCTIONS).map((values, index) => ({
+    key: `${field}-${index}`,
+    filters: [{ field, op: 'in', value: values }],
+  }));
+}
+
+const RANGE_OPS = ['<', '<=', '>', '>=', '!='];
+
+/**
+ * Composite index a query spec needs, in firestore.indexes.json field form.
+ * Queries on one field, or with equality filters only, are served by the
+ * automatic single-field indexes.
+ * @param {Object} spec
+ * @returns {Array<Object>|null}
+ */
+export function getTaskQueryIndexFields(spec) {
+  const equalityFilters = spec.filters.filter((filter) => !RANGE_OPS.includes(filter.op));
+  const rangeFilter = spec.filters.find((filter) => RANGE_OPS.includes(filter.op));
+  const sortField = spec.orderBy || (rangeFilter && { field: rangeFilter.field, direction: 'asc' });
+  if (!sortField || equalityFilters.length === 0) return null;
+
+  return [
+    ...equalityFilters.map((filter) => (
+      filter.op === 'array-contains'
+        ? { fieldPath: filter.field, arrayConfig: 'CONTAINS' }
+        : { fieldPath: filter.field, order: 'ASCENDING' }
+    )),
+    { fieldPath: sortField.field, order: sortField.direction === 'desc' ? 'DESCENDING' : 'ASCENDING' },
+  ];
+}
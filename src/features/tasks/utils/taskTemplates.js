@@ -0,0 +1,127 @@
+import { DIFFICULTY_CONFIG, DIFFICULTY_LEVELS } from '../../../shared/constants.js';
+import { hasPermission } from '../../../shared/utils/permissions.js';
+import { normalizeChecklist, resetChecklist } from './checklist.js';
+
+/**
+ * Task template helpers.
+ *
+ * A template (`taskTemplates/{id}`) belongs to one department and pre-fills
+ * the task form: title, description, difficulty, checklist, observers, the
+ * R&D flag and default assignees. Assignees are stored as roles
+ * (`defaultAssigneeRoles`) and resolved to the department's users when the
+ * template is applied. Every edit bumps `version`; tasks created from a
+ * template record `templateId` and `templateVersion`.
+ */
+
+// Fields that make up a template version
+export const TEMPLATE_CONTENT_FIELDS = [
+  'name',
+  'title',
+  'description',
+  'difficulty',
+  'checklist',
+  'requireChecklistComplete',
+  'observerIds',
+  'defaultAssigneeRoles',
+  'isRdNewSkill',
+  'projectSkillName',
+];
+
+/**
+ * Tidy form values into template content
+ * @param {Object} values
+ * @returns {Object}
+ */
+export function toTemplateContent(values = {}) {
+  const checklist = normalizeChecklist(values.checklist)
+    .map(({ id, text }) => ({ id, text }));
+  const title = (values.title || '').trim();
+  const isRdNewSkill = !!values.isRdNewSkill;
+
+  return {
+    name: (values.name || '').trim() || title,
+    title,
+    description: (values.description || '').trim(),
+    difficulty: DIFFICULTY_CONFIG[values.difficulty] ? values.difficulty : DIFFICULTY_LEVELS.MEDIUM,
+    checklist,
+    requireChecklistComplete: checklist.length > 0 && !!values.requireChecklistComplete,
+    observerIds: Array.isArray(values.observerIds) ? [...new Set(values.observerIds)] : [],
+    defaultAssigneeRoles: Array.isArray(values.defaultAssigneeRoles) ? [...new Set(values.defaultAssigneeRoles)] : [],
+    isRdNewSkill,
+    projectSkillName: isRdNewSkill ? (values.projectSkillName || '').trim() : '',
+  };
+}
+
+/**
+ * Users of a department who hold one of the template's default roles
+ * @param {Object} template
+ * @param {Array} users
+ * @param {string} departmentId
+ * @returns {Array<string>}
+ */
+export function resolveTemplateAssignees(template, users = [], departmentId = template?.departmentId) {
+  const roles = Array.isArray(template?.defaultAssigneeRoles) ? template.defaultAssigneeRoles : [];
+  if (roles.length === 0 || !departmentId) return [];
+  return users
+    .filter((user) => roles.includes(user.role) && user.departmentIds?.includes(departmentId))
+    .map((user) => user.id);
+}
+
+/**
+ * Form values for a new task from a template. The checklist gets fresh,
+ * unchecked items and observers who no longer exist are left out.
+ * @param {Object} template
+ * @param {Object} [options]
+ * @param {Array} [options.users]
+ * @param {string} [options.departmentId] - Department the task is created in (defaults to the template's)
+ * @returns {Object}
+ */
+export function applyTaskTemplate(template, { users = [], departmentId = template?.departmentId } = {}) {
+  const userIds = new Set(users.map((user) => user.id));
+  const difficulty = DIFFICULTY_CONFIG[template.difficulty] ? template.difficulty : DIFFICULTY_LEVELS.MEDIUM;
+
+  return {
+    title: template.title || '',
+    description: template.description || '',
+    departmentId,
+    assignedUserIds: resolveTemplateAssignees(template, users, departmentId),
+    difficulty,
+    points: DIFFICULTY_CONFIG[difficulty].points,
+    checklist: resetChecklist(template.checklist).map((item) => ({ ...item, id: crypto.randomUUID(), assigneeId: null })),
+    requireChecklistComplete: !!template.requireChecklistComplete && (template.checklist || []).length > 0,
+    observerIds: (template.observerIds || []).filter((id) => userIds.has(id)),
+    isRdNewSkill: !!template.isRdNewSkill,
+    projectSkillName: template.isRdNewSkill ? (template.projectSkillName || '') : '',
+    templateId: template.id,
+    templateVersion: template.version,
+  };
+}
+
+/**
+ * Whether a user may create, edit or archive a department's templates:
+ * Management and Admin everywhere, Heads in their own departments
+ * @param {Object} user
+ * @param {string} departmentId
+ * @returns {boolean}
+ */
+export function canManageTemplates(user, departmentId) {
+  if (!user || !departmentId) return false;
+  if (hasPermission(user.role, 'MANAGE_ALL_TASKS')) return true;
+  return hasPermission(user.role, 'MANAGE_DEPARTMENT_TASKS') && !!user.departmentIds?.includes(departmentId);
+}
+
+/**
+ * Active templates, optionally for one department, sorted by department then name
+ * @param {Array} templates
+ * @param {Object} [options]
+ * @param {string} [options.departmentId]
+ * @param {Array} [options.departments] - For sorting by department name
+ * @returns {Array}
+ */
+export function getActiveTemplates(templates = [], { departmentId = null, departments = [] } = {}) {
+  const departmentName = (id) => departments.find((department) => department.id === id)?.name || '';
+  return templates
+    .filter((template) => !template.isArchived && (!departmentId || template.departmentId === departmentId))
+    .sort((a, b) => departmentName(a.departmentId).localeCompare(departmentName(b.departmentId))
+      || (a.name || '').localeCompare(b.name || ''));
+}
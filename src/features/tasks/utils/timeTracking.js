@@ -0,0 +1,274 @@
+import Papa from 'papaparse';
+import { STATUSES } from '../../../shared/constants';
+import { toSafeDate, formatDateTime } from '../../../shared/utils/date';
+import { toDateKey } from '../../../shared/utils/recurrence';
+import { getTaskAssigneeIds } from '../../../shared/utils/pointsEngine';
+
+/**
+ * Time tracking on tasks.
+ *
+ * Each assignee starts, pauses, resumes and stops their own timer. Every
+ * stretch of work is a session in tasks/{id}/workSessions:
+ *   { taskId, taskTitle, departmentId, userId, userName, startedAt, endedAt, minutes, endReason }
+ * The task keeps the timers in progress and the totals of closed sessions:
+ *   activeTimers: { [userId]: { state: 'running'|'paused', sessionId, since } }
+ *   workedMinutes, workedMinutesByUser: { [userId]: minutes }
+ * workedMinutes is the time difficulty fairness is judged on (see
+ * getTaskHoursTaken in shared/utils/pointsEngine.js), so the totals are
+ * recomputed from the sessions by a Cloud Function (functions/timeTracking.js)
+ * rather than written here.
+ */
+
+export const TIMER_STATES = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+};
+
+export const TIMER_ACTIONS = {
+  START: 'start',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  STOP: 'stop',
+};
+
+/**
+ * @param {Object} task
+ * @param {string} userId
+ * @returns {Object|null} { state, sessionId, since }
+ */
+export function getTimer(task, userId) {
+  return task?.activeTimers?.[userId] || null;
+}
+
+/**
+ * Whether anyone has a timer running on a task
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function hasRunningTimer(task) {
+  return Object.values(task?.activeTimers || {}).some((timer) => timer?.state === TIMER_STATES.RUNNING);
+}
+
+/**
+ * Why a user cannot take a timer action on a task
+ * @param {Object} task
+ * @param {string} userId
+ * @param {string} action - One of TIMER_ACTIONS
+ * @returns {string|null} The reason, or null when the action is allowed
+ */
+export function getTimerActionError(task, userId, action) {
+  if (!getTaskAssigneeIds(task).includes(userId)) return 'Only the task\'s assignees can track time on it';
+
+  const timer = getTimer(task, userId);
+  const isOngoing = task.status === STATUSES.ONGOING;
+  switch (action) {
+    case TIMER_ACTIONS.START:
+      if (timer) return 'Your timer is already started';
+      return isOngoing ? null : 'Time can only be tracked on ongoing tasks';
+    case TIMER_ACTIONS.PAUSE:
+      return timer?.state === TIMER_STATES.RUNNING ? null : 'Your timer is not running';
+    case TIMER_ACTIONS.RESUME:
+      if (timer?.state !== TIMER_STATES.PAUSED) return 'Your timer is not paused';
+      return isOngoing ? null : 'Time can only be tracked on ongoing tasks';
+    case TIMER_ACTIONS.STOP:
+      return timer ? null : 'Your timer is not started';
+    default:
+      return `Unknown timer action: ${action}`;
+  }
+}
+
+/**
+ * Timer actions a user can take on a task, in button order
+ * @param {Object} task
+ * @param {string} userId
+ * @returns {string[]}
+ */
+export function getTimerActions(task, userId) {
+  return Object.values(TIMER_ACTIONS).filter((action) => !getTimerActionError(task, userId, action));
+}
+
+/**
+ * Whole minutes between two timestamps
+ * @returns {number}
+ */
+export function getSessionMinutes(startedAt, endedAt) {
+  const start = toSafeDate(startedAt);
+  const end = toSafeDate(endedAt);
+  if (!start || !end) return 0;
+  return Math.max(0, Math.round((end - start) / 60000));
+}
+
+/**
+ * Minutes worked on a task, in closed sessions plus any running timer
+ * @param {Object} task
+ * @param {string} [userId] - One assignee, or everyone when omitted
+ * @param {Date} [now] - Counts running timers up to now; leave out for closed sessions only
+ * @returns {number}
+ */
+export function getWorkedMinutes(task, userId = null, now = null) {
+  const closed = userId ? (task?.workedMinutesByUser?.[userId] || 0) : (task?.workedMinutes || 0);
+  if (!now) return closed;
+
+  const running = Object.entries(task?.activeTimers || {})
+    .filter(([id, timer]) => timer?.state === TIMER_STATES.RUNNING && (!userId || id === userId))
+    .reduce((sum, [, timer]) => sum + getSessionMinutes(timer.since, now), 0);
+  return closed + running;
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} e.g. "2h 05m", "45m"
+ */
+export function formatWorkedMinutes(minutes) {
+  const total = Math.max(0, Math.round(minutes || 0));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+}
+
+// Close a running timer's session; its minutes reach the task totals on the server
+const closeSession = (change, userId, timer, endReason, { now, stamp }) => {
+  const minutes = getSessionMinutes(timer.since, now);
+  change.sessions.push({ id: timer.sessionId, isNew: false, userId, data: { endedAt: stamp, minutes, endReason } });
+};
+
+const emptyChange = (task) => ({
+  sessions: [],
+  patch: {
+    activeTimers: { ...(task.activeTimers || {}) },
+  },
+});
+
+/**
+ * Sessions to write and the task patch for one timer action
+ * @param {Object} task
+ * @param {Object} user - { id, name }
+ * @param {string} action - One of TIMER_ACTIONS
+ * @param {Object} options
+ * @param {string} [options.sessionId] - Id for the session a start or resume opens
+ * @param {Date} [options.now] - Clock the session minutes are measured with
+ * @param {*} [options.stamp] - Value stored as session and timer times (serverTimestamp() when saving)
+ * @returns {Object} { sessions: [{ id, data, isNew, userId }], patch }
+ * @throws {Error} When the action is not allowed (see getTimerActionError)
+ */
+export function buildTimerChange(task, user, action, { sessionId = null, now = new Date(), stamp = now } = {}) {
+  const error = getTimerActionError(task, user.id, action);
+  if (error) throw new Error(error);
+
+  const change = emptyChange(task);
+  const timer = getTimer(task, user.id);
+  const timers = change.patch.activeTimers;
+
+  if (timer?.state === TIMER_STATES.RUNNING) {
+    closeSession(change, user.id, timer, action === TIMER_ACTIONS.PAUSE ? 'pause' : 'stop', { now, stamp });
+  }
+
+  if (action === TIMER_ACTIONS.START || action === TIMER_ACTIONS.RESUME) {
+    change.sessions.push({
+      id: sessionId,
+      isNew: true,
+      data: {
+        taskId: task.id,
+        taskTitle: task.title || '',
+        departmentId: task.departmentId || null,
+        userId: user.id,
+        userName: user.name || '',
+        startedAt: stamp,
+        endedAt: null,
+        minutes: null,
+        endReason: null,
+      },
+    });
+    timers[user.id] = { state: TIMER_STATES.RUNNING, sessionId, since: stamp };
+  } else if (action === TIMER_ACTIONS.PAUSE) {
+    timers[user.id] = { state: TIMER_STATES.PAUSED, sessionId: null, since: stamp };
+  } else {
+    delete timers[user.id];
+  }
+
+  return change;
+}
+
+/**
+ * Stop every assignee's timer, e.g. when the task is completed
+ * @param {Object} task
+ * @param {Object} [options] - { now, stamp } as for buildTimerChange
+ * @returns {Object|null} { sessions, patch }, or null when no timer is in progress
+ */
+export function buildStopAllTimersChange(task, { now = new Date(), stamp = now } = {}) {
+  const timers = Object.entries(task?.activeTimers || {});
+  if (timers.length === 0) return null;
+
+  const change = emptyChange(task);
+  timers.forEach(([userId, timer]) => {
+    if (timer?.state === TIMER_STATES.RUNNING) closeSession(change, userId, timer, 'complete', { now, stamp });
+  });
+  change.patch.activeTimers = {};
+  return change;
+}
+
+/**
+ * Timesheet rows from work sessions, by user and then oldest first
+ * @param {Array} sessions
+ * @param {Array} [users] - For names of users who were renamed since
+ * @returns {Array} { id, date, userId, userName, taskId, taskTitle, startedAt, endedAt, minutes, isRunning }
+ */
+export function buildTimesheetRows(sessions = [], users = []) {
+  return sessions
+    .map((session) => {
+      const startedAt = toSafeDate(session.startedAt);
+      const endedAt = toSafeDate(session.endedAt);
+      return {
+        id: session.id,
+        date: startedAt ? toDateKey(startedAt) : '',
+        userId: session.userId,
+        userName: users.find((user) => user.id === session.userId)?.name || session.userName || session.userId,
+        taskId: session.taskId,
+        taskTitle: session.taskTitle || '',
+        startedAt,
+        endedAt,
+        minutes: endedAt ? (session.minutes ?? getSessionMinutes(startedAt, endedAt)) : null,
+        isRunning: !endedAt,
+      };
+    })
+    .filter((row) => row.startedAt)
+    .sort((a, b) => a.userName.localeCompare(b.userName) || a.startedAt - b.startedAt);
+}
+
+/**
+ * Totals per user, most hours first
+ * @param {Array} rows - From buildTimesheetRows
+ * @returns {Array} { userId, userName, minutes, sessionCount, taskCount }
+ */
+export function summarizeTimesheet(rows = []) {
+  const byUser = new Map();
+  rows.forEach((row) => {
+    const entry = byUser.get(row.userId) || { userId: row.userId, userName: row.userName, minutes: 0, sessionCount: 0, taskIds: new Set() };
+    entry.minutes += row.minutes || 0;
+    entry.sessionCount += 1;
+    entry.taskIds.add(row.taskId);
+    byUser.set(row.userId, entry);
+  });
+  return Array.from(byUser.values())
+    .map(({ taskIds, ...entry }) => ({ ...entry, taskCount: taskIds.size }))
+    .sort((a, b) => b.minutes - a.minutes || a.userName.localeCompare(b.userName));
+}
+
+/**
+ * @param {Array} rows - From buildTimesheetRows
+ * @returns {string} CSV, one line per session
+ */
+export function toTimesheetCsv(rows = []) {
+  return Papa.unparse({
+    fields: ['Date', 'User', 'Task', 'Started', 'Ended', 'Minutes', 'Hours'],
+    data: rows.map((row) => [
+      row.date,
+      row.userName,
+      row.taskTitle,
+      formatDateTime(row.startedAt),
+      row.endedAt ? formatDateTime(row.endedAt) : 'Running',
+      row.minutes ?? '',
+      row.minutes === null ? '' : (row.minutes / 60).toFixed(2),
+    ]),
+  });
+}
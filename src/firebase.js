@@ -1,7 +1,12 @@
 import { initializeApp } from "firebase/app";
-import { initializeFirestore, persistentLocalCache } from "firebase/firestore";
-import { getAuth } from "firebase/auth";
+import { initializeAppCheck, ReCaptchaV3Provider } from "firebase/app-check";
+import { initializeFirestore, persistentLocalCache, connectFirestoreEmulator } from "firebase/firestore";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { getFunctions, connectFunctionsEmulator } from "firebase/functions";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 import { getMessaging, getToken, onMessage, isSupported } from "firebase/messaging";
+import { setDataBackend } from "./shared/data/backend";
+import { createFirestoreBackend } from "./shared/data/firestoreBackend";
 
 // Your web app's Firebase configuration
 const firebaseConfig = {
@@ -16,6 +21,15 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig);
 
+// App Check proves calls come from this app; the login Cloud Functions require
+// it when deployed with ENFORCE_APP_CHECK=true
+if (import.meta.env?.VITE_APP_CHECK_SITE_KEY) {
+  initializeAppCheck(app, {
+    provider: new ReCaptchaV3Provider(import.meta.env.VITE_APP_CHECK_SITE_KEY),
+    isTokenAutoRefreshEnabled: true,
+  });
+}
+
 // Firestore with optimized transport and local cache
 export const db = initializeFirestore(app, {
   // Force long-polling transport to avoid WebChannel being blocked by extensions/network
@@ -25,9 +39,26 @@ export const db = initializeFirestore(app, {
   localCache: persistentLocalCache()
 });
 
+// Repositories in shared/data read and write through Firestore
+setDataBackend(createFirestoreBackend(db));
+
 // Auth
 export const auth = getAuth(app);
 
+// Callable Cloud Functions (deployed to the same region as Firestore)
+export const functions = getFunctions(app, "asia-south1");
+
+// Cloud Storage (task photos)
+export const storage = getStorage(app);
+
+// Local development against `firebase emulators:start` (ports match firebase.json)
+if (import.meta.env?.VITE_USE_FIREBASE_EMULATORS === "true") {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+  connectFunctionsEmulator(functions, "127.0.0.1", 5001);
+  connectStorageEmulator(storage, "127.0.0.1", 9199);
+}
+
 // Messaging helpers (guarded for unsupported environments)
 export const messagingPromise = isSupported().then((supported) => (supported ? getMessaging(app) : null));
 
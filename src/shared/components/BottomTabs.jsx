@@ -39,8 +39,14 @@ const MarketIcon = ({ size = 20, className = '' }) => (
   </svg>
 );
 
+const ApprovalsIcon = ({ size = 20, className = '' }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
+    <path d="M9 11l3 3L22 4" />
+    <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11" />
+  </svg>
+);
 
-function BottomTabs({ activeTab, setActiveTab, t, currentUser }) {
+function BottomTabs({ activeTab, setActiveTab, t, currentUser, approvalCount = 0, hasApprovalRequests = false }) {
   const canAccessManagement = canAccessFeature(currentUser?.role, 'management-dashboard') || 
                              canAccessFeature(currentUser?.role, 'analytics-dashboard');
   
@@ -48,6 +54,9 @@ function BottomTabs({ activeTab, setActiveTab, t, currentUser }) {
   const canAccessDepartmentDashboard = currentUser?.role === ROLES.ADMIN || 
                                       currentUser?.role === ROLES.HEAD || 
                                       currentUser?.role === ROLES.MANAGEMENT;
+
+  // Approvals inbox: approver roles, delegates with something to decide, and requesters
+  const canAccessApprovals = canAccessDepartmentDashboard || approvalCount > 0 || hasApprovalRequests;
   
   return (
     <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-slate-200 z-40">
@@ -89,6 +98,26 @@ function BottomTabs({ activeTab, setActiveTab, t, currentUser }) {
           <span className="text-xs font-medium">{t('market') || 'Market'}</span>
         </button>
 
+        {/* Approvals inbox, with the number of requests waiting for a decision */}
+        {canAccessApprovals && (
+          <button
+            onClick={() => setActiveTab('approvals')}
+            className={`relative flex flex-col items-center justify-center flex-1 h-full transition-colors ${
+              activeTab === 'approvals' 
+                ? 'text-brand-600 border-t-2 border-brand-600' 
+                : 'text-slate-500 hover:text-slate-700'
+            }`}
+          >
+            <ApprovalsIcon size={20} className="mb-1" />
+            {approvalCount > 0 && (
+              <span className="absolute top-1 right-1/4 min-w-[1.1rem] rounded-full bg-red-600 px-1 text-[10px] font-semibold leading-4 text-white">
+                {approvalCount > 99 ? '99+' : approvalCount}
+              </span>
+            )}
+            <span className="text-xs font-medium">{t('approvalsTab', 'Approvals')}</span>
+          </button>
+        )}
+
         {/* Department Dashboard - Managers, Heads, Admins, and Management */}
         {canAccessDepartmentDashboard && (
           <button
@@ -1,43 +1,103 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { describeOutboxEntry } from '../../features/tasks/utils/taskOutbox.js';
+
+const pluralizeChanges = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+// Changes queued offline (see features/tasks/api/outboxApi.js) and the ones that could not be applied
+function OutboxStatus({ outbox, onDismissProblems }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const { entries, isSyncing, problems } = outbox;
+
+  let label;
+  if (isSyncing) label = 'Syncing…';
+  else if (entries.length > 0) label = `${pluralizeChanges(entries.length)} waiting to sync`;
+  else label = `${pluralizeChanges(problems.length)} could not be synced`;
+
+  return (
+    <div className="pointer-events-auto flex flex-col items-center">
+      <button
+        type="button"
+        onClick={() => setIsExpanded((value) => !value)}
+        className={`${problems.length > 0 && !isSyncing && entries.length === 0 ? 'bg-red-600/90' : 'bg-amber-600/90'} backdrop-blur-sm text-white px-3 py-1.5 rounded-b-lg shadow-lg flex items-center gap-2 text-xs`}
+      >
+        {isSyncing ? (
+          <div className="animate-spin rounded-full h-3 w-3 border border-white border-t-transparent"></div>
+        ) : (
+          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+        )}
+        <span className="font-medium">{label}</span>
+      </button>
+      {isExpanded && (
+        <div className="mt-1 w-72 max-h-64 overflow-y-auto bg-white text-slate-700 rounded-lg shadow-lg border border-slate-200 text-xs">
+          {entries.map((entry) => (
+            <div key={entry.seq} className="px-3 py-2 border-b border-slate-100">
+              <div>{describeOutboxEntry(entry)}</div>
+              {entry.lastError && <div className="text-slate-400">Last attempt: {entry.lastError}</div>}
+            </div>
+          ))}
+          {problems.map((problem) => (
+            <div key={`problem-${problem.seq}`} className="px-3 py-2 border-b border-slate-100 text-red-700">
+              <div className="font-medium">{problem.label}</div>
+              <div>{problem.reason}</div>
+            </div>
+          ))}
+          {problems.length > 0 && (
+            <button type="button" onClick={onDismissProblems} className="w-full px-3 py-2 text-slate-500 hover:bg-slate-50">
+              Dismiss
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
 
 export default function RefreshIndicator({ 
   isRefreshing, 
   refreshProgress, 
   pullDistance, 
-  threshold = 80 
+  threshold = 80,
+  outbox,
+  onDismissOutboxProblems
 }) {
   const showIndicator = isRefreshing || pullDistance > 0;
+  const showOutbox = !!outbox && (outbox.isSyncing || outbox.entries.length > 0 || outbox.problems.length > 0);
   
-  if (!showIndicator) return null;
+  if (!showIndicator && !showOutbox) return null;
 
   return (
     <div className="fixed top-0 left-0 right-0 z-50 pointer-events-none">
-      <div className="flex justify-center">
-        <div className="bg-slate-700/90 backdrop-blur-sm text-white px-3 py-1.5 rounded-b-lg shadow-lg flex items-center gap-2 text-xs">
-          {isRefreshing ? (
-            <>
-              <div className="animate-spin rounded-full h-3 w-3 border border-white border-t-transparent"></div>
-              <span className="font-medium">Refreshing...</span>
-            </>
-          ) : (
-            <>
-              <div className="h-3 w-3">
-                {pullDistance >= threshold ? (
-                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
-                  </svg>
-                ) : (
-                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 10l7-7m0 0l7 7m-7-7v18" />
-                  </svg>
-                )}
-              </div>
-              <span className="font-medium">
-                {pullDistance >= threshold ? 'Release to refresh' : 'Pull to refresh'}
-              </span>
-            </>
-          )}
-        </div>
+      <div className="flex justify-center gap-2">
+        {showOutbox && <OutboxStatus outbox={outbox} onDismissProblems={onDismissOutboxProblems} />}
+        {showIndicator && (
+          <div className="bg-slate-700/90 backdrop-blur-sm text-white px-3 py-1.5 rounded-b-lg shadow-lg flex items-center gap-2 text-xs">
+            {isRefreshing ? (
+              <>
+                <div className="animate-spin rounded-full h-3 w-3 border border-white border-t-transparent"></div>
+                <span className="font-medium">Refreshing...</span>
+              </>
+            ) : (
+              <>
+                <div className="h-3 w-3">
+                  {pullDistance >= threshold ? (
+                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+                    </svg>
+                  ) : (
+                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 10l7-7m0 0l7 7m-7-7v18" />
+                    </svg>
+                  )}
+                </div>
+                <span className="font-medium">
+                  {pullDistance >= threshold ? 'Release to refresh' : 'Pull to refresh'}
+                </span>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,3 +1,5 @@
+import { DIFFICULTY_POINTS, LP_RULES } from './utils/pointsEngine.js';
+
 export const ROLES = { USER: 'User', HEAD: 'Head', MANAGEMENT: 'Management', ADMIN: 'Admin' };
 
 // Role hierarchy (higher number = more permissions)
@@ -9,16 +11,24 @@ export const ROLE_HIERARCHY = {
 };
 
 // Permission matrix
+// firestore.rules embeds a generated copy; run `node scripts/syncFirestoreRules.js` after editing.
 export const PERMISSIONS = {
   // Task Management
   VIEW_OWN_TASKS: [ROLES.USER, ROLES.HEAD, ROLES.MANAGEMENT, ROLES.ADMIN],
   CREATE_TASKS: [ROLES.USER, ROLES.HEAD, ROLES.MANAGEMENT, ROLES.ADMIN],
   VIEW_DEPARTMENT_TASKS: [ROLES.HEAD, ROLES.MANAGEMENT, ROLES.ADMIN],
   CREATE_TASKS_FOR_OTHERS: [ROLES.HEAD, ROLES.MANAGEMENT, ROLES.ADMIN],
+  MANAGE_DEPARTMENT_TASKS: [ROLES.HEAD, ROLES.MANAGEMENT, ROLES.ADMIN], // Heads: only within their departmentIds
+  MANAGE_ALL_TASKS: [ROLES.MANAGEMENT, ROLES.ADMIN],
   
   // User Management
   MANAGE_USERS: [ROLES.MANAGEMENT, ROLES.ADMIN],
   MANAGE_DEPARTMENTS: [ROLES.MANAGEMENT, ROLES.ADMIN],
+  MANAGE_HOLIDAYS: [ROLES.MANAGEMENT, ROLES.ADMIN],
+  
+  // Marketplace
+  MANAGE_VOUCHER_PRODUCTS: [ROLES.MANAGEMENT, ROLES.ADMIN],
+  VIEW_ALL_VOUCHERS: [ROLES.MANAGEMENT, ROLES.ADMIN],
   
   // Analytics & Reporting
   VIEW_ANALYTICS_DASHBOARD: [ROLES.MANAGEMENT, ROLES.ADMIN],
@@ -34,7 +44,24 @@ export const PERMISSIONS = {
   ACCESS_ACTIVITY_LOGS: [ROLES.ADMIN]
 };
 
-export const STATUSES = { PENDING: 'Pending', ONGOING: 'Ongoing', COMPLETE: 'Complete', DELETED: 'Deleted', REJECTED: 'Rejected', UNFINISHED: 'Unfinished' };
+export const STATUSES = { PENDING: 'Pending', ONGOING: 'Ongoing', PENDING_REVIEW: 'Pending Review', COMPLETE: 'Complete', DELETED: 'Deleted', REJECTED: 'Rejected', UNFINISHED: 'Unfinished' };
+
+// Per-department SLA escalation (Admin panel); matches functions/escalations.js
+export const DEFAULT_ESCALATION_POLICY = {
+  enabled: true,
+  pendingDays: 3, // 0 turns off stuck-Pending escalation
+  overdueGraceHours: 0,
+  stepIntervalHours: 24,
+  maxLevel: 3 // 1 = assignees, 2 = department heads, 3 = Management
+};
+
+// Weekly report email settings on users/{id}.reportSubscription; matches functions/reports.js
+export const DEFAULT_REPORT_SUBSCRIPTION = {
+  weekly: true,
+  attachPdf: true,
+  departmentIds: [], // empty = every department the user may see
+  email: '' // empty = the email on the user's profile
+};
 
 export const DIFFICULTY_LEVELS = {
   EASY: 'easy',
@@ -43,9 +70,27 @@ export const DIFFICULTY_LEVELS = {
   CRITICAL: 'critical'
 };
 
+// expectedHours are the defaults; departments may calibrate their own (see EFFORT_CALIBRATION)
 export const DIFFICULTY_CONFIG = {
-  easy: { label: 'Easy', points: 10, time: '15 mins' },
-  medium: { label: 'Medium', points: 25, time: '1 hr' },
-  hard: { label: 'Hard', points: 50, time: '4 hrs' },
-  critical: { label: 'Critical', points: 100, time: '1 day' }
+  easy: { label: 'Easy', points: DIFFICULTY_POINTS.easy, expectedHours: LP_RULES.DIFFICULTY_EXPECTATIONS.easy },
+  medium: { label: 'Medium', points: DIFFICULTY_POINTS.medium, expectedHours: LP_RULES.DIFFICULTY_EXPECTATIONS.medium },
+  hard: { label: 'Hard', points: DIFFICULTY_POINTS.hard, expectedHours: LP_RULES.DIFFICULTY_EXPECTATIONS.hard },
+  critical: { label: 'Critical', points: DIFFICULTY_POINTS.critical, expectedHours: LP_RULES.DIFFICULTY_EXPECTATIONS.critical }
+};
+
+// Effort calibration from completed tasks, kept on departments/{id}.effortCalibration;
+// matches functions/effortCalibration.js
+export const EFFORT_CALIBRATION = {
+  windowDays: 90, // Completions looked at, counting back from the run
+  minSamples: 5 // Fewer completions than this give no suggestion or hint
+};
+
+// Points ledger entry types; matches functions/pointsLedger.js
+export const LEDGER_ENTRY_TYPES = {
+  EARNED: 'earned',
+  BONUS: 'bonus',
+  REDEEMED: 'redeemed',
+  REFUNDED: 'refunded',
+  EXPIRED: 'expired',
+  ADJUSTED: 'adjusted',
 };
@@ -0,0 +1,15 @@
+import { createRepository } from './createRepository';
+import { activityLogSchema } from './schemas';
+
+// `activityLog`; entries are added by shared/utils/activityLogger.js and read in the Admin panel
+export const activityLogRepository = createRepository({ collection: 'activityLog', schema: activityLogSchema });
+
+/**
+ * Query spec for the log, newest first
+ * @param {string} [action] - Only entries with this action; 'all' for every entry
+ * @returns {Object}
+ */
+export const getActivityLogQuery = (action = 'all') => ({
+  filters: action === 'all' ? [] : [{ field: 'action', op: '==', value: action }],
+  orderBy: { field: 'timestamp', direction: 'desc' },
+});
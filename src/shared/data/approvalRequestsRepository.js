@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository';
+import { approvalRequestSchema } from './schemas';
+
+// Opened and decided by Cloud Functions (functions/approvals.js). Clients may
+// only add themselves to `dismissedBy` (see firestore.rules).
+export const approvalRequestsRepository = createRepository({ collection: 'approvalRequests', schema: approvalRequestSchema });
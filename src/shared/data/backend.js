@@ -0,0 +1,50 @@
+/**
+ * Data backend registry
+ *
+ * Repositories read and write through whichever backend is registered here:
+ * the Firestore backend in the app (registered by src/firebase.js), or an
+ * in-memory backend in unit tests (see memoryBackend.js).
+ *
+ * A backend implements:
+ *
+ *   get(path, { source? })                      -> Promise<{ id, path, data } | null>
+ *   query(target, spec)                         -> Promise<docs>
+ *   subscribe(target, spec, onNext, onError)    -> unsubscribe
+ *   add(collectionPath, data)                   -> Promise<id>
+ *   set(path, data, { merge? })                 -> Promise
+ *   update(path, data)                          -> Promise
+ *   delete(path)                                -> Promise
+ *   runTransaction(fn)                          -> Promise   fn(tx) with tx.get(path), tx.set/update/delete(path, data)
+ *   batch(writes)                               -> Promise   [{ type: 'set'|'update'|'delete', path, data?, merge? }]
+ *
+ * `target` is a collection path ("users", "users/u1/vouchers") or
+ * `{ collectionGroup: 'vouchers' }`. `spec` is a query spec as in
+ * features/tasks/utils/taskQueries.js: `{ filters: [{ field, op, value }],
+ * orderBy?: { field, direction }, limit?, startAfter? }`, where `startAfter`
+ * is the `cursor` of a document from an earlier query. `source: 'server'`
+ * skips the local cache. Documents are `{ id, path, data, cursor }`; data
+ * written may hold field operations from fieldValues.js. A batch commits all
+ * of its writes or none, and holds at most MAX_BATCH_WRITES of them.
+ */
+
+// Firestore's limit on writes in one batch
+export const MAX_BATCH_WRITES = 500;
+
+let backend = null;
+
+/**
+ * Register the backend repositories use
+ * @param {Object|null} nextBackend
+ */
+export const setDataBackend = (nextBackend) => {
+  backend = nextBackend;
+};
+
+/**
+ * @returns {Object} The registered backend
+ * @throws {Error} When none is registered
+ */
+export const getDataBackend = () => {
+  if (!backend) throw new Error('No data backend registered; call setDataBackend() first');
+  return backend;
+};
@@ -0,0 +1,121 @@
+import { getDataBackend } from './backend';
+import { cleanFirestoreData } from '../utils/firestoreHelpers';
+
+/**
+ * Repository for one collection
+ *
+ * Reads return entities as `{ id, ...data }`, the shape the app works with.
+ * Writes drop undefined fields and are validated against the schema: new
+ * documents in full, updates against the fields they touch. Validation
+ * errors are thrown as SchemaValidationError before anything is written.
+ *
+ * @param {Object} options
+ * @param {string|Function} options.collection - Collection path, or (parentId) => path for subcollections
+ * @param {Object} [options.schema] - Object schema from schemas.js
+ * @param {boolean} [options.readOnly] - Leave out the write methods (collections written by Cloud Functions)
+ * @returns {Object} Repository
+ */
+export function createRepository({ collection, schema = null, readOnly = false }) {
+  // Subcollection repositories take the parent id as the first argument of every method
+  const scoped = typeof collection === 'function';
+  const pathFor = (args) => (scoped ? collection(args[0]) : collection);
+  const argsOf = (args) => (scoped ? args.slice(1) : args);
+
+  const toEntity = ({ id, data }) => ({ id, ...data });
+  const validate = (data, { partial = false } = {}) => {
+    const clean = cleanFirestoreData(data);
+    if (schema) (partial ? schema.partial() : schema).parse(clean);
+    return clean;
+  };
+  const withoutId = (data) => Object.fromEntries(Object.entries(data).filter(([key]) => key !== 'id'));
+
+  const bind = (method) => (...args) => method(pathFor(args), ...argsOf(args));
+
+  const reads = {
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    get: bind(async (path, id, options) => {
+      const document = await getDataBackend().get(`${path}/${id}`, options);
+      return document ? toEntity(document) : null;
+    }),
+
+    /**
+     * @param {Object} [spec] - { filters, orderBy, limit }
+     * @returns {Promise<Array>}
+     */
+    list: bind(async (path, spec = {}) => (await getDataBackend().query(path, spec)).map(toEntity)),
+
+    /**
+     * Read a page of results, for "load more" lists
+     * @param {Object} spec - { filters, orderBy }
+     * @param {Object} [options] - { pageSize, after: cursor of the previous page }
+     * @returns {Promise<{items: Array, cursor: *, hasMore: boolean}>}
+     */
+    page: bind(async (path, spec, { pageSize, after = null } = {}) => {
+      // One extra document tells whether there is another page
+      const docs = await getDataBackend().query(path, { ...spec, limit: pageSize + 1, startAfter: after });
+      const items = docs.slice(0, pageSize);
+      const hasMore = docs.length > pageSize;
+      return { items: items.map(toEntity), cursor: hasMore ? items[items.length - 1].cursor : null, hasMore };
+    }),
+
+    /**
+     * @param {Object|null} spec
+     * @param {Function} onChange - Called with the entities on every change
+     * @param {Function} [onError]
+     * @returns {Function} Unsubscribe
+     */
+    subscribe: bind((path, spec, onChange, onError) => getDataBackend().subscribe(
+      path,
+      spec || {},
+      (docs) => onChange(docs.map(toEntity)),
+      onError
+    )),
+  };
+
+  if (readOnly) return reads;
+
+  return {
+    ...reads,
+
+    /**
+     * @param {Object} data
+     * @returns {Promise<string>} The new document id
+     */
+    add: bind(async (path, data) => getDataBackend().add(path, validate(withoutId(data)))),
+
+    set: bind(async (path, id, data, { merge = false } = {}) => (
+      getDataBackend().set(`${path}/${id}`, validate(withoutId(data), { partial: merge }), { merge })
+    )),
+
+    update: bind(async (path, id, patch) => getDataBackend().update(`${path}/${id}`, validate(withoutId(patch), { partial: true }))),
+
+    remove: bind(async (path, id) => getDataBackend().delete(`${path}/${id}`)),
+
+    /**
+     * Update several documents in one batch: all or none are written
+     * @param {Array<{id: string, patch: Object}>} updates - At most MAX_BATCH_WRITES
+     */
+    updateMany: bind(async (path, updates) => getDataBackend().batch(updates.map(({ id, patch }) => ({
+      type: 'update',
+      path: `${path}/${id}`,
+      data: validate(withoutId(patch), { partial: true }),
+    })))),
+
+    /**
+     * Read a document and update it in one transaction, so concurrent
+     * changes are not overwritten
+     * @param {string} id
+     * @param {Function} updater - (entity) => patch; may throw to abort
+     * @returns {Promise<Object>} The patch written
+     */
+    updateWith: bind((path, id, updater) => getDataBackend().runTransaction(async (transaction) => {
+      const document = await transaction.get(`${path}/${id}`);
+      if (!document) throw Object.assign(new Error('Document not found'), { code: 'not-found' });
+      const patch = validate(withoutId(await updater(toEntity(document))), { partial: true });
+      transaction.update(`${path}/${id}`, patch);
+      return patch;
+    })),
+  };
+}
@@ -0,0 +1,4 @@
+import { createRepository } from './createRepository';
+import { departmentSchema } from './schemas';
+
+export const departmentsRepository = createRepository({ collection: 'departments', schema: departmentSchema });
@@ -0,0 +1,32 @@
+/**
+ * Field operations for repository writes
+ *
+ * Backend-neutral stand-ins for Firestore's serverTimestamp(), arrayUnion(),
+ * arrayRemove(), increment() and deleteField(). Each backend turns them into
+ * its own operations, so code using the repositories never imports the
+ * Firestore SDK for them.
+ */
+
+export class FieldOperation {
+  constructor(kind, values = []) {
+    this.kind = kind;
+    this.values = values;
+    Object.freeze(this);
+  }
+}
+
+export const FIELD_OPERATIONS = {
+  SERVER_TIMESTAMP: 'serverTimestamp',
+  ARRAY_UNION: 'arrayUnion',
+  ARRAY_REMOVE: 'arrayRemove',
+  INCREMENT: 'increment',
+  DELETE: 'delete',
+};
+
+export const serverTimestamp = () => new FieldOperation(FIELD_OPERATIONS.SERVER_TIMESTAMP);
+export const arrayUnion = (...values) => new FieldOperation(FIELD_OPERATIONS.ARRAY_UNION, values);
+export const arrayRemove = (...values) => new FieldOperation(FIELD_OPERATIONS.ARRAY_REMOVE, values);
+export const increment = (amount) => new FieldOperation(FIELD_OPERATIONS.INCREMENT, [amount]);
+export const deleteField = () => new FieldOperation(FIELD_OPERATIONS.DELETE);
+
+export const isFieldOperation = (value) => value instanceof FieldOperation;
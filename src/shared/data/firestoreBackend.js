@@ -0,0 +1,122 @@
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocFromServer,
+  getDocs,
+  onSnapshot,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  runTransaction,
+  writeBatch,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  serverTimestamp,
+  arrayUnion,
+  arrayRemove,
+  increment,
+  deleteField,
+} from 'firebase/firestore';
+import { FIELD_OPERATIONS, isFieldOperation } from './fieldValues';
+import { isPlainObject } from './schema';
+
+// Firestore backend for the repositories (see backend.js for the interface)
+
+const toFirestoreOperation = (operation) => {
+  switch (operation.kind) {
+    case FIELD_OPERATIONS.SERVER_TIMESTAMP:
+      return serverTimestamp();
+    case FIELD_OPERATIONS.ARRAY_UNION:
+      return arrayUnion(...operation.values.map(toFirestoreData));
+    case FIELD_OPERATIONS.ARRAY_REMOVE:
+      return arrayRemove(...operation.values.map(toFirestoreData));
+    case FIELD_OPERATIONS.INCREMENT:
+      return increment(operation.values[0]);
+    case FIELD_OPERATIONS.DELETE:
+      return deleteField();
+    default:
+      throw new Error(`Unknown field operation: ${operation.kind}`);
+  }
+};
+
+function toFirestoreData(value) {
+  if (isFieldOperation(value)) return toFirestoreOperation(value);
+  if (Array.isArray(value)) return value.map(toFirestoreData);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toFirestoreData(entry)]));
+  }
+  return value;
+}
+
+const toDocument = (snap) => ({ id: snap.id, path: snap.ref.path, data: snap.data(), cursor: snap });
+
+/**
+ * @param {Firestore} db
+ * @returns {Object} Backend
+ */
+export function createFirestoreBackend(db) {
+  const docRef = (path) => doc(db, path);
+
+  const toQuery = (target, spec = {}) => {
+    const source = typeof target === 'string' ? collection(db, target) : collectionGroup(db, target.collectionGroup);
+    return query(
+      source,
+      ...(spec.filters || []).map(({ field, op, value }) => where(field, op, value)),
+      ...(spec.orderBy ? [orderBy(spec.orderBy.field, spec.orderBy.direction || 'asc')] : []),
+      ...(spec.startAfter ? [startAfter(spec.startAfter)] : []),
+      ...(spec.limit ? [limit(spec.limit)] : [])
+    );
+  };
+
+  return {
+    async get(path, { source } = {}) {
+      const snap = source === 'server' ? await getDocFromServer(docRef(path)) : await getDoc(docRef(path));
+      return snap.exists() ? toDocument(snap) : null;
+    },
+
+    async query(target, spec) {
+      return (await getDocs(toQuery(target, spec))).docs.map(toDocument);
+    },
+
+    subscribe(target, spec, onNext, onError) {
+      return onSnapshot(toQuery(target, spec), (snapshot) => onNext(snapshot.docs.map(toDocument)), onError);
+    },
+
+    async add(collectionPath, data) {
+      const ref = await addDoc(collection(db, collectionPath), toFirestoreData(data));
+      return ref.id;
+    },
+
+    set: (path, data, { merge = false } = {}) => setDoc(docRef(path), toFirestoreData(data), { merge }),
+
+    update: (path, data) => updateDoc(docRef(path), toFirestoreData(data)),
+
+    delete: (path) => deleteDoc(docRef(path)),
+
+    runTransaction: (fn) => runTransaction(db, (transaction) => fn({
+      async get(path) {
+        const snap = await transaction.get(docRef(path));
+        return snap.exists() ? toDocument(snap) : null;
+      },
+      set: (path, data, { merge = false } = {}) => transaction.set(docRef(path), toFirestoreData(data), { merge }),
+      update: (path, data) => transaction.update(docRef(path), toFirestoreData(data)),
+      delete: (path) => transaction.delete(docRef(path)),
+    })),
+
+    batch(writes) {
+      const batch = writeBatch(db);
+      writes.forEach(({ type, path, data, merge = false }) => {
+        if (type === 'delete') batch.delete(docRef(path));
+        else if (type === 'update') batch.update(docRef(path), toFirestoreData(data));
+        else batch.set(docRef(path), toFirestoreData(data), { merge });
+      });
+      return batch.commit();
+    },
+  };
+}
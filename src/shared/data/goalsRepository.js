@@ -0,0 +1,36 @@
+import { getDataBackend } from './backend';
+import { createRepository } from './createRepository';
+import { goalSchema, goalCheckInSchema } from './schemas';
+import { cleanFirestoreData } from '../utils/firestoreHelpers';
+
+// Company and department goals (OKRs). Check-ins on manual key results are
+// kept in goals/{id}/checkIns; the latest value is copied to the key result.
+export const goalsRepository = createRepository({ collection: 'goals', schema: goalSchema });
+
+// Written only by recordGoalCheckIn. Every method takes the goalId first.
+export const goalCheckInsRepository = createRepository({
+  collection: (goalId) => `goals/${goalId}/checkIns`,
+  readOnly: true,
+});
+
+/**
+ * Add a check-in and update the goal in one transaction
+ * @param {string} goalId
+ * @param {Function} builder - (goal) => ({ checkIn, patch }); may throw to abort
+ * @returns {Promise<string>} The check-in id
+ */
+export const recordGoalCheckIn = (goalId, builder) => getDataBackend().runTransaction(async (transaction) => {
+  const path = `goals/${goalId}`;
+  const document = await transaction.get(path);
+  if (!document) throw Object.assign(new Error('Goal not found'), { code: 'not-found' });
+
+  const { checkIn, patch } = await builder({ id: document.id, ...document.data });
+  const checkInData = cleanFirestoreData(checkIn);
+  goalCheckInSchema.parse(checkInData);
+  goalSchema.partial().parse(patch);
+
+  const checkInId = crypto.randomUUID();
+  transaction.set(`${path}/checkIns/${checkInId}`, checkInData);
+  transaction.update(path, cleanFirestoreData(patch));
+  return checkInId;
+});
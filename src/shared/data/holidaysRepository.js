@@ -0,0 +1,5 @@
+import { createRepository } from './createRepository';
+import { holidaySchema } from './schemas';
+
+// Company holiday calendar; document ids are "YYYY-MM-DD" so each day appears once
+export const holidaysRepository = createRepository({ collection: 'holidays', schema: holidaySchema });
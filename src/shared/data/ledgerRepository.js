@@ -0,0 +1,17 @@
+import { createRepository } from './createRepository';
+import { ledgerEntrySchema } from './schemas';
+
+// Append-only and written by Cloud Functions only (functions/pointsLedger.js)
+export const ledgerRepository = createRepository({ collection: 'pointsLedger', schema: ledgerEntrySchema, readOnly: true });
+
+/**
+ * A user's ledger entries, oldest first
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+export const listUserLedgerEntries = async (userId) => {
+  const entries = await ledgerRepository.list({ filters: [{ field: 'userId', op: '==', value: userId }] });
+  // Sorted here rather than in the query, which would need a composite index
+  const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value || 0).getTime());
+  return entries.sort((a, b) => (toMillis(a.occurredAt) - toMillis(b.occurredAt)) || ((a.seq || 0) - (b.seq || 0)));
+};
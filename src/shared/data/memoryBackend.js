@@ -0,0 +1,239 @@
+import { FIELD_OPERATIONS, isFieldOperation } from './fieldValues';
+import { isPlainObject } from './schema';
+import { MAX_BATCH_WRITES } from './backend';
+
+/**
+ * In-memory backend for the repositories (see backend.js for the interface).
+ *
+ * Keeps documents in a Map by path and answers the same query specs as
+ * Firestore, so code using the repositories can be unit-tested without Firebase:
+ *
+ *   setDataBackend(createMemoryBackend({ 'users/u1': { name: 'Asha', role: 'User' } }));
+ */
+
+const segmentsOf = (path) => path.split('/').filter(Boolean);
+const parentOf = (path) => segmentsOf(path).slice(0, -1).join('/');
+const idOf = (path) => segmentsOf(path).slice(-1)[0];
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  return value;
+};
+
+// Dates and Firestore-style timestamps compare by time
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  if (isPlainObject(value) && typeof value.seconds === 'number') {
+    return value.seconds * 1000 + (value.nanoseconds || 0) / 1000000;
+  }
+  return value;
+};
+
+const isEqual = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return true;
+  if (typeof left !== 'object' || typeof right !== 'object' || left === null || right === null) return false;
+  return JSON.stringify(left) === JSON.stringify(right);
+};
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const getField = (data, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const matchesFilter = (data, { field, op, value }) => {
+  const fieldValue = getField(data, field);
+  if (fieldValue === undefined) return false;
+  switch (op) {
+    case '==': return isEqual(fieldValue, value);
+    case '!=': return !isEqual(fieldValue, value);
+    case '<': return compare(fieldValue, value) < 0;
+    case '<=': return compare(fieldValue, value) <= 0;
+    case '>': return compare(fieldValue, value) > 0;
+    case '>=': return compare(fieldValue, value) >= 0;
+    case 'in': return value.some((entry) => isEqual(fieldValue, entry));
+    case 'not-in': return !value.some((entry) => isEqual(fieldValue, entry));
+    case 'array-contains': return Array.isArray(fieldValue) && fieldValue.some((entry) => isEqual(entry, value));
+    case 'array-contains-any': return Array.isArray(fieldValue) && fieldValue.some((entry) => value.some((other) => isEqual(entry, other)));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+const notFound = (path) => Object.assign(new Error(`No document to update: ${path}`), { code: 'not-found' });
+
+/**
+ * @param {Object} [seed] - Documents by path, e.g. { 'users/u1': { name: 'Asha' } }
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock for serverTimestamp()
+ * @returns {Object} Backend
+ */
+export function createMemoryBackend(seed = {}, { now = () => new Date() } = {}) {
+  const documents = new Map(Object.entries(seed).map(([path, data]) => [segmentsOf(path).join('/'), clone(data)]));
+  const listeners = new Set();
+  let nextId = 0;
+
+  const applyOperation = (current, operation) => {
+    switch (operation.kind) {
+      case FIELD_OPERATIONS.SERVER_TIMESTAMP:
+        return now();
+      case FIELD_OPERATIONS.ARRAY_UNION: {
+        const existing = Array.isArray(current) ? current : [];
+        return [...existing, ...operation.values.filter((value, index) => (
+          !existing.some((entry) => isEqual(entry, value))
+            && operation.values.findIndex((other) => isEqual(other, value)) === index
+        )).map(clone)];
+      }
+      case FIELD_OPERATIONS.ARRAY_REMOVE:
+        return (Array.isArray(current) ? current : []).filter((entry) => !operation.values.some((value) => isEqual(entry, value)));
+      case FIELD_OPERATIONS.INCREMENT:
+        return (typeof current === 'number' ? current : 0) + operation.values[0];
+      default:
+        throw new Error(`Unknown field operation: ${operation.kind}`);
+    }
+  };
+
+  // Write `value` at the nested field `keys` of `target`
+  const writeField = (target, keys, value, { deep }) => {
+    const last = keys[keys.length - 1];
+    const parent = keys.slice(0, -1).reduce((object, key) => {
+      if (!isPlainObject(object[key])) object[key] = {};
+      return object[key];
+    }, target);
+
+    if (isFieldOperation(value) && value.kind === FIELD_OPERATIONS.DELETE) {
+      delete parent[last];
+    } else if (isFieldOperation(value)) {
+      parent[last] = applyOperation(parent[last], value);
+    } else if (deep && isPlainObject(value)) {
+      if (!isPlainObject(parent[last])) parent[last] = {};
+      Object.entries(value).forEach(([key, entry]) => writeField(parent[last], [key], entry, { deep }));
+    } else {
+      parent[last] = resolveValue(value);
+    }
+  };
+
+  // Field operations nested in new values (e.g. serverTimestamp() in a map)
+  function resolveValue(value) {
+    if (isFieldOperation(value)) return applyOperation(undefined, value);
+    if (Array.isArray(value)) return value.map(resolveValue);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveValue(entry)]));
+    return clone(value);
+  }
+
+  const applyWrite = ({ type, path, data }) => {
+    const key = segmentsOf(path).join('/');
+    if (type === 'delete') {
+      documents.delete(key);
+      return;
+    }
+
+    const next = type === 'set' ? {} : clone(documents.get(key) || {});
+    Object.entries(data).forEach(([field, value]) => {
+      // update() takes "a.b" field paths; set() keys are literal, and merges maps deeply
+      const keys = type === 'update' ? field.split('.') : [field];
+      writeField(next, keys, value, { deep: type === 'merge' });
+    });
+    documents.set(key, next);
+  };
+
+  const runQuery = (target, spec = {}) => {
+    const inTarget = typeof target === 'string'
+      ? (path) => parentOf(path) === segmentsOf(target).join('/')
+      : (path) => idOf(parentOf(path)) === target.collectionGroup;
+
+    let docs = Array.from(documents.entries())
+      .filter(([path, data]) => inTarget(path) && (spec.filters || []).every((filter) => matchesFilter(data, filter)))
+      .map(([path, data]) => ({ id: idOf(path), path, data: clone(data), cursor: path }));
+
+    if (spec.orderBy) {
+      const { field, direction = 'asc' } = spec.orderBy;
+      docs = docs.filter((entry) => getField(entry.data, field) !== undefined);
+      docs.sort((a, b) => (compare(getField(a.data, field), getField(b.data, field)) || compare(a.path, b.path)) * (direction === 'desc' ? -1 : 1));
+    } else {
+      docs.sort((a, b) => compare(a.path, b.path));
+    }
+
+    if (spec.startAfter) {
+      const index = docs.findIndex((entry) => entry.path === spec.startAfter);
+      docs = index === -1 ? docs : docs.slice(index + 1);
+    }
+    if (spec.limit) docs = docs.slice(0, spec.limit);
+    return docs;
+  };
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  const commit = (writes) => {
+    // Check every write first so a failing transaction changes nothing
+    writes.forEach(({ type, path }) => {
+      if (type === 'update' && !documents.has(segmentsOf(path).join('/'))) throw notFound(path);
+    });
+    writes.forEach(applyWrite);
+    notify();
+  };
+
+  return {
+    async get(path) {
+      const key = segmentsOf(path).join('/');
+      return documents.has(key) ? { id: idOf(key), path: key, data: clone(documents.get(key)) } : null;
+    },
+
+    async query(target, spec) {
+      return runQuery(target, spec);
+    },
+
+    subscribe(target, spec, onNext) {
+      const listener = () => onNext(runQuery(target, spec));
+      listeners.add(listener);
+      listener();
+      return () => listeners.delete(listener);
+    },
+
+    async add(collectionPath, data) {
+      nextId += 1;
+      const id = `doc${String(nextId).padStart(4, '0')}`;
+      commit([{ type: 'set', path: `${collectionPath}/${id}`, data }]);
+      return id;
+    },
+
+    async set(path, data, { merge = false } = {}) {
+      commit([{ type: merge ? 'merge' : 'set', path, data }]);
+    },
+
+    async update(path, data) {
+      commit([{ type: 'update', path, data }]);
+    },
+
+    async delete(path) {
+      commit([{ type: 'delete', path }]);
+    },
+
+    async runTransaction(fn) {
+      const writes = [];
+      const result = await fn({
+        get: async (path) => {
+          const key = segmentsOf(path).join('/');
+          return documents.has(key) ? { id: idOf(key), path: key, data: clone(documents.get(key)) } : null;
+        },
+        set: (path, data, { merge = false } = {}) => writes.push({ type: merge ? 'merge' : 'set', path, data }),
+        update: (path, data) => writes.push({ type: 'update', path, data }),
+        delete: (path) => writes.push({ type: 'delete', path }),
+      });
+      commit(writes);
+      return result;
+    },
+
+    async batch(writes) {
+      if (writes.length > MAX_BATCH_WRITES) throw new Error(`A batch holds at most ${MAX_BATCH_WRITES} writes`);
+      commit(writes.map((write) => (write.type === 'set' && write.merge ? { ...write, type: 'merge' } : write)));
+    },
+  };
+}
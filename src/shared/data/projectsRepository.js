@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository';
+import { projectSchema } from './schemas';
+
+// Projects group tasks (`projectId` on the task) across departments. The
+// saved baseline of a project's dates is kept on the project itself.
+export const projectsRepository = createRepository({ collection: 'projects', schema: projectSchema });
@@ -0,0 +1,5 @@
+import { createRepository } from './createRepository';
+import { scheduledTaskSchema } from './schemas';
+
+// Recurring task templates; their occurrences are created in `tasks` by functions/scheduledTasks.js
+export const scheduledTasksRepository = createRepository({ collection: 'scheduledTasks', schema: scheduledTaskSchema });
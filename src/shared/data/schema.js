@@ -0,0 +1,161 @@
+/**
+ * Document schemas
+ *
+ * A small zod-style validator for the documents repositories write:
+ *
+ *   const departmentSchema = s.object({ name: s.string({ min: 1 }), headIds: s.array(s.string()).optional() });
+ *   departmentSchema.parse(data);            // throws SchemaValidationError
+ *   departmentSchema.partial().parse(patch); // for updates
+ *
+ * Object schemas only check the fields they declare; other fields pass
+ * through, as older documents carry many fields nobody declared. Values the
+ * backend stores as they are (timestamps, field operations such as
+ * serverTimestamp() or arrayUnion()) are accepted for any field.
+ */
+
+export class SchemaValidationError extends Error {
+  constructor(issues) {
+    super(issues.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('; '));
+    this.name = 'SchemaValidationError';
+    this.issues = issues;
+  }
+}
+
+export const isPlainObject = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Class instances other than dates and arrays: Firestore Timestamps, field operations, references
+const isBackendValue = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !isPlainObject(value)
+);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+class Schema {
+  constructor(check, flags = {}) {
+    this.check = check;
+    this.flags = flags;
+  }
+
+  optional() {
+    return new this.constructor(this.check, { ...this.flags, optional: true });
+  }
+
+  nullable() {
+    return new this.constructor(this.check, { ...this.flags, nullable: true });
+  }
+
+  validate(value, path, issues) {
+    if (value === undefined) {
+      if (!this.flags.optional) issues.push({ path, message: 'is required' });
+      return;
+    }
+    if (value === null) {
+      if (!this.flags.nullable) issues.push({ path, message: 'must not be null' });
+      return;
+    }
+    if (isBackendValue(value)) return;
+    const message = this.check(value, path, issues);
+    if (message) issues.push({ path, message });
+  }
+
+  /**
+   * @param {*} value
+   * @returns {*} The value, unchanged
+   * @throws {SchemaValidationError}
+   */
+  parse(value) {
+    const issues = [];
+    this.validate(value, '', issues);
+    if (issues.length > 0) throw new SchemaValidationError(issues);
+    return value;
+  }
+
+  /**
+   * @param {*} value
+   * @returns {{success: boolean, data?: *, error?: SchemaValidationError}}
+   */
+  safeParse(value) {
+    try {
+      return { success: true, data: this.parse(value) };
+    } catch (error) {
+      if (error instanceof SchemaValidationError) return { success: false, error };
+      throw error;
+    }
+  }
+}
+
+class ObjectSchema extends Schema {
+  constructor(shape, flags = {}) {
+    super((value, path, issues) => {
+      if (!isPlainObject(value)) return 'must be an object';
+      Object.entries(shape).forEach(([key, fieldSchema]) => fieldSchema.validate(value[key], joinPath(path, key), issues));
+      return null;
+    }, flags);
+    this.shape = shape;
+  }
+
+  optional() {
+    return new ObjectSchema(this.shape, { ...this.flags, optional: true });
+  }
+
+  nullable() {
+    return new ObjectSchema(this.shape, { ...this.flags, nullable: true });
+  }
+
+  // Every declared field optional, for patches
+  partial() {
+    return new ObjectSchema(
+      Object.fromEntries(Object.entries(this.shape).map(([key, fieldSchema]) => [key, fieldSchema.optional()])),
+      this.flags
+    );
+  }
+
+  extend(shape) {
+    return new ObjectSchema({ ...this.shape, ...shape }, this.flags);
+  }
+}
+
+export const s = {
+  any: () => new Schema(() => null),
+
+  string: ({ min = 0 } = {}) => new Schema((value) => {
+    if (typeof value !== 'string') return 'must be a string';
+    return value.trim().length < min ? (min === 1 ? 'must not be empty' : `must have at least ${min} characters`) : null;
+  }),
+
+  number: ({ integer = false, min = -Infinity } = {}) => new Schema((value) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+    if (integer && !Number.isInteger(value)) return 'must be a whole number';
+    return value < min ? `must be at least ${min}` : null;
+  }),
+
+  boolean: () => new Schema((value) => (typeof value === 'boolean' ? null : 'must be true or false')),
+
+  // Dates, ISO strings and { seconds, nanoseconds } objects
+  timestamp: () => new Schema((value) => {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'must be a valid date' : null;
+    if (typeof value === 'string') return Number.isNaN(new Date(value).getTime()) ? 'must be a valid date' : null;
+    if (isPlainObject(value) && typeof value.seconds === 'number') return null;
+    return 'must be a date';
+  }),
+
+  enum: (values) => new Schema((value) => (values.includes(value) ? null : `must be one of ${values.join(', ')}`)),
+
+  array: (itemSchema, { min = 0 } = {}) => new Schema((value, path, issues) => {
+    if (!Array.isArray(value)) return 'must be a list';
+    value.forEach((item, index) => itemSchema.validate(item, joinPath(path, index), issues));
+    return value.length < min ? `must have at least ${min} item${min === 1 ? '' : 's'}` : null;
+  }),
+
+  record: (valueSchema) => new Schema((value, path, issues) => {
+    if (!isPlainObject(value)) return 'must be an object';
+    Object.entries(value).forEach(([key, entry]) => valueSchema.validate(entry, joinPath(path, key), issues));
+    return null;
+  }),
+
+  object: (shape) => new ObjectSchema(shape),
+};
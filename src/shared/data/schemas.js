@@ -0,0 +1,297 @@
+import { ROLES, STATUSES, LEDGER_ENTRY_TYPES } from '../constants';
+import { s } from './schema';
+import { APPROVAL_TYPES, APPROVAL_STATUSES } from '../utils/approvalChains';
+
+/**
+ * Schemas for the documents the repositories write. They declare the fields
+ * the app relies on; other fields pass through unchecked.
+ */
+
+const ids = (options) => s.array(s.string(), options);
+const optionalDate = () => s.timestamp().nullable().optional();
+
+export const userSchema = s.object({
+  name: s.string({ min: 1 }),
+  role: s.enum(Object.values(ROLES)),
+  departmentIds: ids().optional(),
+  fcmTokens: ids().optional(),
+  dailyBonusLedger: s.record(s.any()).optional(),
+  dailyBonusLastClaimedAt: optionalDate(),
+  pointsHistory: s.record(s.any()).optional(),
+  reportSubscription: s.object({
+    weekly: s.boolean(),
+    attachPdf: s.boolean(),
+    departmentIds: ids(),
+    email: s.string(),
+  }).optional(),
+  // Who decides this user's approvals while they are on leave (see approvalChains.js)
+  delegation: s.object({
+    delegateId: s.string({ min: 1 }),
+    delegateName: s.string().optional(),
+    startDate: s.string({ min: 10 }),
+    endDate: s.string({ min: 10 }),
+  }).nullable().optional(),
+});
+
+export const departmentSchema = s.object({
+  name: s.string({ min: 1 }),
+  escalationPolicy: s.object({
+    enabled: s.boolean(),
+    pendingDays: s.number({ min: 0 }),
+    overdueGraceHours: s.number({ min: 0 }),
+    stepIntervalHours: s.number({ min: 1 }),
+    maxLevel: s.number({ integer: true, min: 1 }),
+  }).optional(),
+  // Written by functions/effortCalibration.js; expectations and autoApply by Admins
+  effortCalibration: s.object({
+    computedAt: optionalDate(),
+    windowDays: s.number({ integer: true, min: 1 }).optional(),
+    difficulties: s.record(s.object({
+      sampleSize: s.number({ integer: true, min: 0 }),
+      trackedCount: s.number({ integer: true, min: 0 }),
+      medianHours: s.number({ min: 0 }).nullable(),
+      p25Hours: s.number({ min: 0 }).nullable(),
+      p75Hours: s.number({ min: 0 }).nullable(),
+      p90Hours: s.number({ min: 0 }).nullable(),
+      suggestedHours: s.number({ min: 0 }).nullable(),
+    })).optional(),
+    expectations: s.record(s.number({ min: 0 })).optional(),
+    autoApply: s.boolean().optional(),
+    appliedAt: optionalDate(),
+    appliedByName: s.string().nullable().optional(),
+  }).optional(),
+  // Approval chain per action type; missing types use DEFAULT_APPROVAL_CHAINS
+  approvalChains: s.record(s.object({
+    enabled: s.boolean(),
+    minPoints: s.number({ integer: true, min: 0 }).optional(),
+    steps: s.array(s.object({ approvers: ids({ min: 1 }) })),
+  })).optional(),
+});
+
+const checklistItemSchema = s.object({
+  id: s.string({ min: 1 }),
+  text: s.string(),
+  done: s.boolean().optional(),
+});
+
+// A work-session timer an assignee has running or paused, by user id
+const activeTimerSchema = s.object({
+  state: s.enum(['running', 'paused']),
+  sessionId: s.string().nullable(),
+  since: s.timestamp(),
+});
+
+export const taskSchema = s.object({
+  title: s.string({ min: 1 }),
+  departmentId: s.string({ min: 1 }),
+  assignedUserIds: s.array(s.string(), { min: 1 }),
+  status: s.enum(Object.values(STATUSES)).optional(),
+  observerIds: ids().optional(),
+  blockedByTaskIds: ids().optional(),
+  isUrgent: s.boolean().optional(),
+  difficulty: s.string().nullable().optional(),
+  points: s.number().nullable().optional(),
+  targetDate: optionalDate(),
+  startedAt: optionalDate(),
+  completedAt: optionalDate(),
+  notes: s.array(s.any()).optional(),
+  photos: s.array(s.any()).optional(),
+  checklist: s.array(checklistItemSchema).optional(),
+  goalId: s.string().nullable().optional(),
+  keyResultId: s.string().nullable().optional(),
+  projectId: s.string().nullable().optional(),
+  activeTimers: s.record(activeTimerSchema).optional(),
+  workedMinutes: s.number({ min: 0 }).optional(),
+  workedMinutesByUser: s.record(s.number({ min: 0 })).optional(),
+  // Calibrated hours for the task's difficulty, from its department (see getTaskExpectedHours)
+  expectedHours: s.number({ min: 0 }).nullable().optional(),
+  // Set by functions/approvals.js when the task goes through an approval chain
+  approvalRequestId: s.string().nullable().optional(),
+  approvalStatus: s.enum(Object.values(APPROVAL_STATUSES)).optional(),
+  // Completion review (see features/tasks/utils/completionReview.js)
+  requiresReview: s.boolean().optional(),
+  reviewSubmittedAt: optionalDate(),
+  reworkCount: s.number({ min: 0 }).optional(),
+  reviewHistory: s.array(s.any()).optional(),
+  reviewedAt: optionalDate(),
+});
+
+export const workSessionSchema = s.object({
+  taskId: s.string({ min: 1 }),
+  taskTitle: s.string(),
+  departmentId: s.string().nullable(),
+  userId: s.string({ min: 1 }),
+  userName: s.string().optional(),
+  startedAt: s.timestamp(),
+  endedAt: optionalDate(),
+  minutes: s.number({ min: 0 }).nullable().optional(),
+  endReason: s.enum(['pause', 'stop', 'complete']).nullable().optional(),
+});
+
+// openWorkSessions/{userId}: the one work session a user has open (see recordTaskTimer)
+export const openWorkSessionSchema = s.object({
+  taskId: s.string({ min: 1 }),
+  taskTitle: s.string(),
+  sessionId: s.string({ min: 1 }),
+  startedAt: s.timestamp(),
+});
+
+// tasks/{threadId}/comments (see features/tasks/utils/taskComments.js)
+export const taskCommentSchema = s.object({
+  taskId: s.string({ min: 1 }),
+  text: s.string({ min: 1 }),
+  userId: s.string({ min: 1 }),
+  userName: s.string().optional(),
+  createdAt: s.timestamp(),
+  parentId: s.string().nullable().optional(),
+  mentions: ids().optional(),
+  reactions: s.record(ids()).optional(),
+  editedAt: optionalDate(),
+  editHistory: s.array(s.object({ text: s.string(), at: optionalDate() })).optional(),
+  type: s.string().optional(),
+});
+
+// tasks/{threadId}/commentReads/{userId}
+export const commentReadSchema = s.object({
+  userId: s.string({ min: 1 }),
+  threadId: s.string({ min: 1 }),
+  lastReadAt: s.timestamp(),
+});
+
+export const scheduledTaskSchema = s.object({
+  title: s.string({ min: 1 }),
+  departmentId: s.string({ min: 1 }),
+  assignedUserIds: s.array(s.string(), { min: 1 }),
+  recurrencePattern: s.object({
+    type: s.enum(['daily', 'weekly', 'monthly', 'yearly', 'custom']),
+  }),
+  checklist: s.array(checklistItemSchema).optional(),
+  isActive: s.boolean().optional(),
+  nextOccurrence: optionalDate(),
+});
+
+export const holidaySchema = s.object({
+  date: s.string({ min: 10 }),
+  name: s.string({ min: 1 }),
+});
+
+export const taskTemplateSchema = s.object({
+  name: s.string({ min: 1 }),
+  departmentId: s.string({ min: 1 }),
+  title: s.string({ min: 1 }),
+  description: s.string().optional(),
+  difficulty: s.string().nullable().optional(),
+  checklist: s.array(checklistItemSchema).optional(),
+  observerIds: ids().optional(),
+  defaultAssigneeRoles: s.array(s.enum(Object.values(ROLES))).optional(),
+  isRdNewSkill: s.boolean().optional(),
+  version: s.number({ integer: true, min: 1 }),
+  isArchived: s.boolean().optional(),
+});
+
+const keyResultSchema = s.object({
+  id: s.string({ min: 1 }),
+  title: s.string({ min: 1 }),
+  measure: s.enum(['tasks', 'manual']),
+  startValue: s.number(),
+  targetValue: s.number(),
+  currentValue: s.number(),
+  unit: s.string().optional(),
+});
+
+export const goalSchema = s.object({
+  title: s.string({ min: 1 }),
+  departmentId: s.string({ min: 1 }).nullable(),
+  ownerId: s.string().nullable().optional(),
+  startDate: s.string({ min: 10 }),
+  endDate: s.string({ min: 10 }),
+  keyResults: s.array(keyResultSchema, { min: 1 }),
+  isArchived: s.boolean().optional(),
+});
+
+export const goalCheckInSchema = s.object({
+  keyResultId: s.string({ min: 1 }),
+  value: s.number(),
+  note: s.string().optional(),
+  createdById: s.string({ min: 1 }),
+});
+
+const baselineDatesSchema = s.object({
+  startDate: s.string({ min: 10 }),
+  endDate: s.string({ min: 10 }),
+});
+
+export const projectSchema = s.object({
+  name: s.string({ min: 1 }),
+  description: s.string().optional(),
+  ownerId: s.string().nullable().optional(),
+  departmentIds: ids({ min: 1 }),
+  memberIds: ids().optional(),
+  startDate: s.string({ min: 10 }),
+  endDate: s.string({ min: 10 }),
+  baseline: s.object({
+    startDate: s.string({ min: 10 }),
+    endDate: s.string({ min: 10 }),
+    tasks: s.record(baselineDatesSchema),
+  }).nullable().optional(),
+  isArchived: s.boolean().optional(),
+});
+
+export const voucherProductSchema = s.object({
+  points: s.number({ min: 0 }),
+  totalQuantity: s.number({ integer: true, min: 0 }),
+  isActive: s.boolean().optional(),
+});
+
+export const VOUCHER_STATUSES = ['pending', 'confirmed', 'used', 'expired'];
+
+export const voucherSchema = s.object({
+  userId: s.string({ min: 1 }),
+  productId: s.string({ min: 1 }),
+  status: s.enum(VOUCHER_STATUSES),
+  pointsSpent: s.number().optional(),
+});
+
+export const ledgerEntrySchema = s.object({
+  userId: s.string({ min: 1 }),
+  type: s.enum(Object.values(LEDGER_ENTRY_TYPES)),
+  points: s.number({ integer: true }),
+  occurredAt: s.timestamp(),
+});
+
+const approvalStepSchema = s.object({
+  approvers: ids({ min: 1 }),
+  approverIds: ids(),
+  status: s.enum(Object.values(APPROVAL_STATUSES)),
+  decidedById: s.string().nullable(),
+  decidedByName: s.string().nullable(),
+  onBehalfOfId: s.string().nullable(),
+  onBehalfOfName: s.string().nullable(),
+  decidedAt: optionalDate(),
+  reason: s.string().nullable(),
+});
+
+// Opened and decided by Cloud Functions (functions/approvals.js)
+export const approvalRequestSchema = s.object({
+  type: s.enum(Object.values(APPROVAL_TYPES)),
+  status: s.enum(Object.values(APPROVAL_STATUSES)),
+  departmentId: s.string().nullable(),
+  subject: s.object({
+    kind: s.enum(['task', 'user']),
+    id: s.string({ min: 1 }),
+    title: s.string(),
+  }),
+  requestedById: s.string({ min: 1 }),
+  steps: s.array(approvalStepSchema, { min: 1 }),
+  currentStep: s.number({ integer: true, min: 0 }),
+  dismissedBy: ids().optional(),
+});
+
+export const activityLogSchema = s.object({
+  action: s.string({ min: 1 }),
+  entityType: s.string({ min: 1 }),
+  userId: s.string({ min: 1 }),
+  userName: s.string(),
+  timestamp: s.timestamp(),
+  details: s.record(s.any()).optional(),
+});
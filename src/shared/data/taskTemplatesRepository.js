@@ -0,0 +1,35 @@
+import { getDataBackend } from './backend';
+import { createRepository } from './createRepository';
+import { taskTemplateSchema } from './schemas';
+import { cleanFirestoreData } from '../utils/firestoreHelpers';
+
+// Reusable task templates, one department each. The document holds the
+// current version; earlier versions are kept in taskTemplates/{id}/versions.
+export const taskTemplatesRepository = createRepository({ collection: 'taskTemplates', schema: taskTemplateSchema });
+
+// Written only by saveTaskTemplateVersion. Every method takes the templateId first.
+export const taskTemplateVersionsRepository = createRepository({
+  collection: (templateId) => `taskTemplates/${templateId}/versions`,
+  readOnly: true,
+});
+
+/**
+ * Save new content as the next version of a template, keeping the current
+ * content under versions/{current version}, in one transaction
+ * @param {string} templateId
+ * @param {Function} updater - (template) => fields of the new version; may throw to abort
+ * @returns {Promise<Object>} The fields written, including `version`
+ */
+export const saveTaskTemplateVersion = (templateId, updater) => getDataBackend().runTransaction(async (transaction) => {
+  const path = `taskTemplates/${templateId}`;
+  const document = await transaction.get(path);
+  if (!document) throw Object.assign(new Error('Template not found'), { code: 'not-found' });
+
+  const current = { id: document.id, ...document.data };
+  const patch = cleanFirestoreData({ ...(await updater(current)), version: current.version + 1 });
+  taskTemplateSchema.partial().parse(patch);
+
+  transaction.set(`${path}/versions/${current.version}`, document.data);
+  transaction.update(path, patch);
+  return patch;
+});
@@ -0,0 +1,102 @@
+import { getDataBackend } from './backend';
+import { createRepository } from './createRepository';
+import { taskSchema, workSessionSchema, openWorkSessionSchema, taskCommentSchema, commentReadSchema } from './schemas';
+import { cleanFirestoreData } from '../utils/firestoreHelpers';
+
+// `tasks`; which of them a user loads is decided by features/tasks/utils/taskQueries.js
+export const tasksRepository = createRepository({ collection: 'tasks', schema: taskSchema });
+
+// Assignees' work sessions, kept in tasks/{id}/workSessions. Written only by
+// recordTaskTimer. Every method takes the taskId first.
+export const taskWorkSessionsRepository = createRepository({
+  collection: (taskId) => `tasks/${taskId}/workSessions`,
+  readOnly: true,
+});
+
+/**
+ * Open or close work sessions and update the task's timers in one transaction.
+ * A user has at most one open session across all tasks: openWorkSessions/{userId}
+ * points to it and is written with it (firestore.rules checks both together).
+ * @param {string} taskId
+ * @param {Function} builder - (task) => ({ sessions: [{ id, data, isNew, userId }], patch }); may throw to abort
+ * @returns {Promise<Object>} What the builder returned
+ */
+export const recordTaskTimer = (taskId, builder) => getDataBackend().runTransaction(async (transaction) => {
+  const path = `tasks/${taskId}`;
+  const document = await transaction.get(path);
+  if (!document) throw Object.assign(new Error('Task not found'), { code: 'not-found' });
+
+  const change = await builder({ id: document.id, ...document.data });
+  const sessions = change.sessions.map((session) => ({ ...session, data: cleanFirestoreData(session.data) }));
+  sessions.forEach(({ data, isNew }) => (isNew ? workSessionSchema : workSessionSchema.partial()).parse(data));
+  taskSchema.partial().parse(change.patch);
+
+  const sessionUserId = (session) => (session.isNew ? session.data.userId : session.userId);
+  const userIds = [...new Set(sessions.map(sessionUserId).filter(Boolean))];
+  const markers = await Promise.all(userIds.map((userId) => transaction.get(`openWorkSessions/${userId}`)));
+  const openSessions = new Map(userIds.map((userId, index) => [userId, markers[index]?.data || null]));
+
+  sessions.filter((session) => !session.isNew).forEach((session) => {
+    if (openSessions.get(session.userId)?.sessionId !== session.id) return;
+    openSessions.set(session.userId, null);
+    transaction.delete(`openWorkSessions/${session.userId}`);
+  });
+  sessions.filter((session) => session.isNew).forEach(({ id, data }) => {
+    const open = openSessions.get(data.userId);
+    if (open) {
+      throw Object.assign(
+        new Error(`Your timer is already running on "${open.taskTitle || open.taskId}"; pause or stop it first`),
+        { code: 'failed-precondition' }
+      );
+    }
+    const marker = { taskId, taskTitle: data.taskTitle, sessionId: id, startedAt: data.startedAt };
+    openWorkSessionSchema.parse(marker);
+    openSessions.set(data.userId, marker);
+    transaction.set(`openWorkSessions/${data.userId}`, marker);
+  });
+
+  sessions.forEach(({ id, data, isNew }) => {
+    if (isNew) transaction.set(`${path}/workSessions/${id}`, data);
+    else transaction.update(`${path}/workSessions/${id}`, data);
+  });
+  transaction.update(path, cleanFirestoreData(change.patch));
+  return change;
+});
+
+/**
+ * Work sessions across every task (timesheets)
+ * @param {Object} [spec] - { filters, orderBy }
+ * @returns {Promise<Array>}
+ */
+export const listAllWorkSessions = async (spec = {}) => {
+  const docs = await getDataBackend().query({ collectionGroup: 'workSessions' }, spec);
+  return docs.map(({ id, data }) => ({ id, ...data }));
+};
+
+// The discussion on a task and its material requests, kept in
+// tasks/{threadId}/comments (see features/tasks/utils/taskComments.js).
+// Every method takes the thread id first.
+export const taskCommentsRepository = createRepository({
+  collection: (threadId) => `tasks/${threadId}/comments`,
+  schema: taskCommentSchema,
+});
+
+// When each user last read a thread, in tasks/{threadId}/commentReads/{userId}
+export const commentReadsRepository = createRepository({
+  collection: (threadId) => `tasks/${threadId}/commentReads`,
+  schema: commentReadSchema,
+});
+
+/**
+ * Subscribe to a user's read markers across every thread
+ * @param {string} userId
+ * @param {Function} onChange - Called with the markers on every change
+ * @param {Function} [onError]
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeCommentReads = (userId, onChange, onError) => getDataBackend().subscribe(
+  { collectionGroup: 'commentReads' },
+  { filters: [{ field: 'userId', op: '==', value: userId }] },
+  (docs) => onChange(docs.map(({ id, data }) => ({ id, ...data }))),
+  onError
+);
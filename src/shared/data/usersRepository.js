@@ -0,0 +1,5 @@
+import { createRepository } from './createRepository';
+import { userSchema } from './schemas';
+
+// `users`; the document id is the Firebase Auth uid
+export const usersRepository = createRepository({ collection: 'users', schema: userSchema });
@@ -0,0 +1,21 @@
+import { getDataBackend } from './backend';
+import { createRepository } from './createRepository';
+import { voucherProductSchema, voucherSchema } from './schemas';
+
+export const voucherProductsRepository = createRepository({ collection: 'voucherProducts', schema: voucherProductSchema });
+
+// Vouchers live under their owner: users/{userId}/vouchers. Every method takes the userId first.
+export const userVouchersRepository = createRepository({
+  collection: (userId) => `users/${userId}/vouchers`,
+  schema: voucherSchema,
+});
+
+/**
+ * Every user's vouchers (redemption dashboards)
+ * @param {Object} [spec] - { filters, orderBy }
+ * @returns {Promise<Array>} Vouchers with `voucherDocPath`, the full document path
+ */
+export const listAllVouchers = async (spec = {}) => {
+  const docs = await getDataBackend().query({ collectionGroup: 'vouchers' }, spec);
+  return docs.map(({ id, path, data }) => ({ id, voucherDocPath: path, ...data }));
+};
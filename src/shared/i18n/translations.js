@@ -4,6 +4,7 @@ export const translations = {
   en: {
     welcome: 'Welcome to Karya',
     login: 'Login', password: 'Password', invalidLogin: 'Invalid user or password.',
+    tooManyLoginAttempts: (minutes = 1) => `Too many failed attempts. Try again in ${minutes} minute(s).`,
     myTasks: 'My Tasks', createTask: 'Create Task', editTask: 'Edit Task', deptDashboard: 'Department Dashboard', adminPanel: 'Admin Panel',
     viewDept: 'View department', noTasks: 'No tasks yet.', taskTitle: 'Task Title', createTaskBtn: 'Create Task',
     start: 'Start', finish: 'Finish', manageUsers: 'Manage Users', manageDepts: 'Manage Departments',
@@ -58,6 +59,7 @@ export const translations = {
     searchTasks: 'Search tasks...',
     noTasksFriendly: "You're all done! Find an exciting new task to work on.",
     noTasksSub: 'No tasks to show.',
+    showMoreTasks: 'Show more tasks',
     noUsersInDept: 'No users in this department',
     startNow: 'Start now (prefill today)',
     allMonths: 'All Months',
@@ -155,7 +157,7 @@ export const translations = {
     addComment: 'Add Comment',
     commenting: 'Commenting on',
     yourComment: 'Your Comment',
-    addCommentPlaceholder: 'Add your comment here...',
+    addCommentPlaceholder: 'Add your comment here... (@ to mention someone)',
     comments: 'Comments',
     noCommentsYet: 'No comments yet',
     beFirstToComment: 'Be the first to add a comment!',
@@ -219,7 +221,37 @@ export const translations = {
     requestMaterialInfo: 'Request material/info',
     taskBlocked: 'Task Blocked',
     whatToDo: 'What to do',
-    completeRequestsFirst: 'Complete the above requests to enable finishing this task.',
+    completeRequestsFirst: 'Complete the above tasks to enable starting or finishing this task.',
+    dependencies: 'Dependencies',
+    blockedBy: 'Blocked by',
+    blocks: 'Blocks',
+    criticalPath: 'Critical path',
+    addBlocker: 'Add a prerequisite task...',
+    checklist: 'Checklist',
+    addChecklistItem: 'Add a step...',
+    anyAssignee: 'Anyone',
+    checklistAssignee: 'Who does this step',
+    requireChecklistComplete: 'All steps must be checked before Complete',
+    checklistRequiredNote: 'All steps must be checked before this task can be completed.',
+    checklistIncomplete: 'Check off every step of the checklist before completing this task.',
+    taskBlockedByDependencies: (titles = []) => (titles.length > 0
+      ? `This task is blocked until these tasks are completed:\n\n${titles.map((title) => `• ${title}`).join('\n')}`
+      : 'This task is blocked until its prerequisites and material requests are completed.'),
+    escalationPolicies: 'Escalation Policies',
+    escalationPoliciesHelp: 'Overdue or stuck tasks are escalated hourly: first a reminder to the assignees, then the department heads, then Management.',
+    escalationEnabled: 'On',
+    escalationPendingDays: 'Pending days',
+    escalationGraceHours: 'Overdue grace (h)',
+    escalationStepHours: 'Hours between steps',
+    escalationMaxLevel: 'Escalate up to',
+    escalationLevelAssignee: 'Assignees',
+    escalationLevelHead: 'Department heads',
+    escalationLevelManagement: 'Management',
+    holidayCalendar: 'Holiday Calendar',
+    holidayCalendarHelp: 'Scheduled tasks that fall on these days are skipped or moved, depending on each schedule\'s holiday setting.',
+    holidayName: 'Holiday name',
+    addHoliday: 'Add Holiday',
+    noHolidays: 'No holidays added yet.',
     noReminderDays: 'No days added yet.',
     messageTemplate: 'Message template',
     // Analytics Dashboard
@@ -241,6 +273,7 @@ export const translations = {
     weekly: 'Weekly',
     monthly: 'Monthly',
     yearly: 'Yearly',
+    custom: 'Custom (RRULE)',
     repeatEvery: 'Repeat every',
     onDays: 'On days',
     monthlyPattern: 'Monthly pattern',
@@ -258,6 +291,286 @@ export const translations = {
     pauseScheduledTask: 'Pause scheduled task',
     resumeScheduledTask: 'Resume scheduled task',
     deleteScheduledTask: 'Delete scheduled task',
+    // Task templates
+    taskTemplates: 'Task Templates',
+    createFromTemplate: 'Create from template',
+    chooseTemplate: 'Choose a template...',
+    fromTemplate: 'From template',
+    templateVersion: (version) => `v${version}`,
+    saveAsTemplate: 'Save as template',
+    saveTemplate: 'Save template',
+    newTemplate: 'New template',
+    editTemplate: 'Edit template',
+    templateName: 'Template name',
+    templateTitleRequired: 'Task title is required',
+    departmentRequired: 'Department is required',
+    defaultAssignees: 'Assign by default to',
+    defaultAssigneesHint: 'Everyone in the department with these roles is pre-selected.',
+    templateHistory: 'Earlier versions',
+    noTemplateVersions: 'This is the first version.',
+    confirmRestoreTemplateVersion: 'Make this version current again?',
+    restore: 'Restore',
+    archive: 'Archive',
+    unarchive: 'Unarchive',
+    showArchivedTemplates: 'Show archived',
+    noTemplates: 'No templates yet. Save a task form as a template or create one here.',
+    checklistSteps: 'steps',
+    templateSaved: 'Template saved',
+    templateArchived: 'Template archived',
+    templateRestored: 'Template restored',
+    // Bulk task actions
+    moreBulkActions: 'More actions',
+    bulkTaskActions: 'Bulk Actions',
+    bulkAction: 'Action',
+    bulkReassign: 'Reassign',
+    bulkChangeTargetDate: 'Change target date',
+    bulkChangeDifficulty: 'Change difficulty',
+    bulkApprove: 'Approve',
+    bulkReject: 'Reject',
+    bulkMarkUrgent: 'Mark urgent',
+    bulkAddObservers: 'Add observers',
+    bulkMoveDepartment: 'Move department',
+    bulkReassignHelp: 'Each task keeps only the chosen users from its own department.',
+    bulkApproveHelp: 'Tasks that are waiting for approval will be approved.',
+    bulkFallbackAssignees: 'Assign to, if no current assignee is in this department',
+    rejectionReason: 'Reason for rejection',
+    markAsUrgent: 'Mark as urgent',
+    noUsersAvailable: 'No users available',
+    applyToSelected: 'Apply to selected',
+    bulkActionDone: (count) => `Updated ${count} task${count === 1 ? '' : 's'}.`,
+    bulkActionPartial: (succeeded, failed) => `${succeeded} updated, ${failed} not changed:`,
+    bulkActionSummary: (succeeded, failed) => `Updated ${succeeded} task${succeeded === 1 ? '' : 's'}. ${failed} could not be changed.`,
+    bulkActionError: 'Failed to update the selected tasks. Please try again.',
+    // Task import
+    importTasks: 'Import Tasks',
+    importTasksHelp: 'Upload a .csv or .xlsx sheet with one task per row. Departments and people can be given by name; several assignees or observers are separated by ";". Checklist steps are separated by "|".',
+    downloadImportTemplate: 'Download a sample sheet',
+    importColumns: 'Columns',
+    notImported: '— not imported —',
+    column: 'Column',
+    importFormatHelp: 'Difficulty is Easy, Medium, Hard or Critical (Medium if empty). Dates are YYYY-MM-DD or DD/MM/YYYY (today if empty).',
+    importPreviewSummary: (valid, invalid) => `${valid} row${valid === 1 ? '' : 's'} ready, ${invalid} with errors`,
+    showErrorsOnly: 'Only rows with errors',
+    importRow: 'Row',
+    importCheck: 'Check',
+    chooseAnotherFile: 'Choose another file',
+    importValidTasks: (count) => `Import ${count} task${count === 1 ? '' : 's'}`,
+    importingTasks: (done, total) => `Importing ${done}/${total}...`,
+    tasksImported: (created, skipped) => `Imported ${created} task${created === 1 ? '' : 's'}${skipped ? `; ${skipped} row${skipped === 1 ? '' : 's'} not imported` : ''}.`,
+    // Weekly report email
+    weeklyReport: 'Weekly report email',
+    weeklyReportHelp: 'Every Monday morning you get last week\'s completion rate, overdue tasks, top performers, points issued and vouchers redeemed for your departments.',
+    weeklyReportSubscribe: 'Email me the weekly report',
+    weeklyReportAttachPdf: 'Attach a PDF copy',
+    weeklyReportEmail: 'Send to',
+    weeklyReportNoEmail: 'Your profile has no email address; enter one to receive the report.',
+    weeklyReportDepartments: 'Departments (none ticked = all)',
+    weeklyReportSendPreview: 'Email me last week\'s report',
+    reportSettingsSaved: 'Report settings saved',
+    reportSettingsSaveFailed: 'Failed to save report settings. Please try again.',
+    reportPreviewSent: 'Last week\'s report is on its way to your inbox',
+    sending: 'Sending...',
+    // Goals
+    goals: 'Goals',
+    showGoals: 'Show Goals',
+    hideGoals: 'Hide Goals',
+    showArchivedGoals: 'Show archived',
+    newGoal: 'New goal',
+    editGoal: 'Edit goal',
+    noGoals: 'No goals yet.',
+    companyGoal: 'Company',
+    goalObjective: 'Objective',
+    goalDescription: 'Why it matters (optional)',
+    goalScope: 'Goal of',
+    goalOwner: 'Owner',
+    goalStart: 'Starts',
+    goalEnd: 'Ends',
+    keyResults: 'Key results',
+    keyResultsHelp: 'Measured by linked tasks (completed out of a number of tasks; 0 = all linked tasks) or by check-ins (a value moving from start to target).',
+    keyResultTitle: 'e.g. Cut breakdowns to 2 a month',
+    measureTasks: 'Linked tasks',
+    measureManual: 'Check-ins',
+    keyResultStart: 'From',
+    keyResultTarget: 'to',
+    keyResultTaskCount: 'Tasks',
+    keyResultUnit: 'unit',
+    addKeyResult: 'Add key result',
+    saveGoal: 'Save goal',
+    goalSaved: 'Goal saved',
+    goalDetails: 'Details',
+    hideDetails: 'Hide',
+    goalHealth_done: 'Done',
+    goalHealth_on_track: 'On track',
+    goalHealth_at_risk: 'At risk',
+    goalHealth_off_track: 'Off track',
+    goalProgress: (progress, elapsed) => `${progress} done, ${elapsed} of the period gone`,
+    goalWeekSummary: (linked, completed) => `${linked} linked task${linked === 1 ? '' : 's'} · ${completed} completed this week`,
+    keyResultTasksDone: (done, target) => `${done} / ${target} tasks`,
+    checkIn: 'Check in',
+    checkInNote: 'What changed? (optional)',
+    checkInSaved: 'Check-in saved',
+    checkIns: 'Check-ins',
+    noCheckIns: 'No check-ins yet.',
+    linkedTasks: 'Linked tasks',
+    noLinkedTasks: 'No tasks linked yet. Link tasks from the task form.',
+    linkedGoal: 'Goal / key result',
+    noGoal: '— not linked —',
+    goalNotAvailable: 'Archived or other department\'s goal',
+    // Projects
+    projects: 'Projects',
+    project: 'Project',
+    noProject: '— no project —',
+    projectNotAvailable: 'Archived or other department\'s project',
+    newProject: 'New project',
+    editProject: 'Edit project',
+    noProjects: 'No projects yet.',
+    showArchivedProjects: 'Show archived',
+    archived: 'archived',
+    projectName: 'Project name',
+    projectDescription: 'Scope and deliverables (optional)',
+    projectOwner: 'Owner',
+    projectStart: 'Starts',
+    projectEnd: 'Ends',
+    projectDepartments: 'Departments',
+    projectMembers: 'Members',
+    projectMembersHelp: 'Pick the departments first.',
+    projectMemberCount: (count) => `${count} member${count === 1 ? '' : 's'}`,
+    saveProject: 'Save project',
+    projectSaved: 'Project saved',
+    showTimeline: 'Show Timeline',
+    hideTimeline: 'Hide Timeline',
+    saveBaseline: 'Save baseline',
+    baselineSaved: 'Baseline saved',
+    replaceBaselineConfirm: 'Replace the saved baseline with today\'s dates?',
+    baselineSavedBy: (when, name) => `Baseline saved ${when}${name ? ` by ${name}` : ''}`,
+    noBaseline: 'No baseline saved yet',
+    baseline: 'Baseline',
+    notInBaseline: 'new',
+    projectTaskSummary: (count, done) => `${count} task${count === 1 ? '' : 's'} · ${done} done`,
+    projectOverdueSummary: (count) => `${count} overdue`,
+    projectSlipSummary: (count, maxDays) => (count ? `${count} slipped, up to ${maxDays} day${maxDays === 1 ? '' : 's'}` : 'On baseline'),
+    projectedEnd: (date, lateDays) => `Projected end ${date}${lateDays ? ` (${lateDays} day${lateDays === 1 ? '' : 's'} late)` : ''}`,
+    noProjectTasks: 'No tasks in this project yet. Pick the project in the task form.',
+    ganttTask: 'Task',
+    ganttToday: 'Today',
+    ganttComplete: 'Complete',
+    ganttOverdue: 'Overdue',
+    overdueSince: (date) => `Overdue since ${date}`,
+    dependencyArrow: 'waits on',
+    // Time tracking
+    timeTracking: 'Time tracking',
+    timeWorked: 'Worked',
+    startTimer: '▶ Start timer',
+    pauseTimer: '⏸ Pause',
+    resumeTimer: '▶ Resume',
+    stopTimer: '⏹ Stop',
+    timerRunning: 'running',
+    timerPaused: 'paused',
+    showWorkSessions: 'Show sessions',
+    hideWorkSessions: 'Hide sessions',
+    noWorkSessions: 'No work sessions yet.',
+    timesheets: 'Timesheets',
+    timesheetsHelp: 'Hours tracked with task timers. Running sessions are listed but not counted.',
+    timesheetAllUsers: 'Everyone',
+    timesheetRangeInvalid: 'Pick a start date on or before the end date',
+    showTimesheet: 'Show',
+    downloadTimesheet: 'Download CSV',
+    noTimesheetSessions: 'No work sessions in this period.',
+    timesheetUser: 'User',
+    timesheetHours: 'Worked',
+    timesheetSessions: 'Sessions',
+    timesheetTasks: 'Tasks',
+    // Effort calibration
+    effortHint: (duration, count) => `Similar tasks usually took ~${duration} (${count} tasks)`,
+    effortCalibration: 'Effort calibration',
+    effortCalibrationHelp: (days, minSamples) => `How long tasks completed in the last ${days} days took, by difficulty: tracked work time, else start to completion. A suggestion needs ${minSamples} completions. Expected hours are stamped on new tasks and judge difficulty fairness; empty uses the default.`,
+    effortRecalculate: 'Recalculate now',
+    effortRecalculated: (departments, samples) => `Recalculated ${departments} departments from ${samples} completed tasks.`,
+    effortNotComputed: 'Not calculated yet. It runs every Monday, or use Recalculate now.',
+    effortComputedAt: (date) => `Calculated ${date}`,
+    effortAppliedAt: (date, name) => `applied ${date}${name ? ` by ${name}` : ''}`,
+    effortCompleted: 'Completed',
+    effortTracked: (count) => `${count} tracked`,
+    effortTypical: 'Typical (25–75%)',
+    effortMedian: 'Median',
+    effortSuggested: 'Suggested',
+    effortExpectedHours: 'Expected hours',
+    effortAutoApply: 'Apply suggestions automatically each week',
+    effortUseSuggestions: 'Use suggestions',
+    // Approvals
+    approvalsTab: 'Approvals',
+    approvalsInbox: 'Approvals',
+    approvalsInboxEmpty: 'Nothing waiting for your approval',
+    approvalsRequested: 'My requests',
+    approve: 'Approve',
+    reject: 'Reject',
+    approvalStep: (step, total) => `Step ${step} of ${total}`,
+    approvalOnBehalfOf: (name) => `for ${name}`,
+    approvalDecidingFor: (name) => `You are deciding for ${name}, who is on leave`,
+    approvalRejectReason: 'Please provide a reason for rejecting:',
+    approvalReasonRequired: 'A reason is required to reject.',
+    approvalApproved: 'Approved',
+    approvalRejected: 'Rejected',
+    approvalPassedOn: 'Approved, passed on to the next step',
+    approvalSubjectGone: 'The task was deleted, request closed',
+    approvalDecideFailed: 'Could not record the decision',
+    approvalCancelConfirm: 'Withdraw this request?',
+    approvalWithdraw: 'Withdraw',
+    approvalOpenTask: 'Open task',
+    approvalStatus_pending: 'Pending',
+    approvalStatus_approved: 'Approved',
+    approvalStatus_rejected: 'Rejected',
+    approvalStatus_cancelled: 'Withdrawn',
+    approvalTypeSelfAssignedTask: 'Self-assigned task',
+    approvalTypeCriticalTask: 'Critical task',
+    approvalTypePointsAdjustment: 'Points adjustment',
+    approvalTypeVoucherRedemption: 'Voucher redemption',
+    oneTaskNeedsApproval: '1 task needs your approval',
+    multipleTasksNeedApproval: (count) => `${count} tasks need your approval`,
+    voucherApprovalPending: (points) => `Your redemption of ${points} points was sent for approval. Vouchers are issued once it is approved.`,
+    delegation: 'Delegation while on leave',
+    delegationHelp: 'While you are away, your delegate can approve or reject requests in your place.',
+    delegationActive: (name, endDate) => `${name} is deciding for you until ${endDate}`,
+    delegationScheduled: (name, startDate, endDate) => `${name} will decide for you from ${startDate} to ${endDate}`,
+    delegationChoose: 'Choose a delegate',
+    delegationClear: 'Remove delegation',
+    delegationDatesInvalid: 'The last day must not be before the first.',
+    approvalChains: 'Approval chains',
+    approvalChainsHelp: 'Each step is approved by any one of its approvers, in order. Rejecting at any step rejects the request.',
+    approvalMinPoints: 'From (points)',
+    approvalAddPerson: '+ Person',
+    approvalAddStep: 'Add step',
+    approvalStepEmpty: 'Every step needs at least one approver.',
+    approverHeads: 'Department heads',
+    approverManagement: 'Management',
+    approverAdmins: 'Admins',
+    // Completion review
+    reviewTask: 'Review',
+    reviewSubmittedBy: (name, date) => `Handed in by ${name || 'an assignee'}${date ? ` on ${date}` : ''}`,
+    reworkCount: (n) => `Sent back ${n} ${n === 1 ? 'time' : 'times'}`,
+    reviewEvidence: 'Evidence',
+    reviewNoNote: 'No completion note.',
+    reviewCommentPlaceholder: 'Comments for the assignees (required to send back)',
+    reviewCommentRequired: 'Please say what needs to be redone.',
+    reviewSendBack: 'Send back',
+    reviewAccept: 'Accept',
+    awaitingReview: 'Awaiting review',
+    taskAwaitingReview: 'This task is waiting for review.',
+    inReview: 'In review',
+    waitingForYourReview: (n) => `Waiting for your review (${n})`,
+    requiresReview: 'Review before completion',
+    reviewUseFinish: 'This task is reviewed before completion. Use Finish to hand it in.',
+    // Comments
+    loadingComments: 'Loading comments...',
+    newComment: 'New',
+    unreadComments: 'New comments',
+    commentEdited: 'edited',
+    deleteComment: 'Delete comment',
+    deleteCommentConfirm: 'Delete this comment and its replies? This cannot be undone.',
+    commentSaveFailed: 'Failed to save the comment. Please try again.',
+    addReaction: 'Add reaction',
+    reply: 'Reply',
+    replyPlaceholder: 'Write a reply... (@ to mention)',
     // Market translations
     market: 'Market',
     marketComingSoon: 'Market Coming Soon!',
@@ -297,6 +610,7 @@ export const translations = {
   hi: {
     welcome: 'कार्य में आपका स्वागत है',
     login: 'लॉग इन करें', password: 'पासवर्ड', invalidLogin: 'अमान्य उपयोगकर्ता या पासवर्ड।',
+    tooManyLoginAttempts: (minutes = 1) => `बहुत अधिक असफल प्रयास। ${minutes} मिनट बाद फिर से प्रयास करें।`,
     myTasks: 'मेरे कार्य', createTask: 'कार्य बनाएं', editTask: 'कार्य संपादित करें', deptDashboard: 'विभाग डैशबोर्ड', adminPanel: 'एडमिन पैनल',
     viewDept: 'विभाग देखें', noTasks: 'अभी तक कोई कार्य नहीं है।', taskTitle: 'कार्य शीर्षक', createTaskBtn: 'कार्य बनाएं',
     start: 'शुरू करें', finish: 'समाप्त करें', manageUsers: 'उपयोगकर्ताओं का प्रबंधन करें', manageDepts: 'विभागों का प्रबंधन करें',
@@ -342,6 +656,7 @@ export const translations = {
     searchTasks: 'कार्य खोजें...',
     noTasksFriendly: 'आपके सभी कार्य पूर्ण हैं! नया रोमांचक कार्य चुनें।',
     noTasksSub: 'दिखाने के लिए कोई कार्य नहीं।',
+    showMoreTasks: 'और कार्य दिखाएं',
     noUsersInDept: 'इस विभाग में कोई उपयोगकर्ता नहीं',
     startNow: 'अभी शुरू करें (आज की तिथि)',
     allMonths: 'सभी महीने',
@@ -435,7 +750,7 @@ export const translations = {
     addComment: 'टिप्पणी जोड़ें',
     commenting: 'टिप्पणी कर रहे हैं',
     yourComment: 'आपकी टिप्पणी',
-    addCommentPlaceholder: 'यहां अपनी टिप्पणी जोड़ें...',
+    addCommentPlaceholder: 'यहां अपनी टिप्पणी जोड़ें... (किसी का उल्लेख करने के लिए @)',
     comments: 'टिप्पणियां',
     noCommentsYet: 'अभी तक कोई टिप्पणी नहीं',
     beFirstToComment: 'पहली टिप्पणी जोड़ने वाले बनें!',
@@ -499,7 +814,37 @@ export const translations = {
     requestMaterialInfo: 'सामग्री/जानकारी का अनुरोध',
     taskBlocked: 'कार्य अवरुद्ध',
     whatToDo: 'क्या करें',
-    completeRequestsFirst: 'इस कार्य को पूरा करने के लिए ऊपर दिए गए अनुरोध पहले पूरा करें।',
+    completeRequestsFirst: 'इस कार्य को शुरू या पूरा करने के लिए ऊपर दिए गए कार्य पहले पूरे करें।',
+    dependencies: 'निर्भरताएँ',
+    blockedBy: 'इनसे अवरुद्ध',
+    blocks: 'इन्हें रोकता है',
+    criticalPath: 'क्रिटिकल पाथ',
+    addBlocker: 'पूर्व-आवश्यक कार्य जोड़ें...',
+    checklist: 'चेकलिस्ट',
+    addChecklistItem: 'एक चरण जोड़ें...',
+    anyAssignee: 'कोई भी',
+    checklistAssignee: 'यह चरण कौन करेगा',
+    requireChecklistComplete: 'पूरा करने से पहले सभी चरण चेक होने चाहिए',
+    checklistRequiredNote: 'इस कार्य को पूरा करने से पहले सभी चरण चेक होने चाहिए।',
+    checklistIncomplete: 'इस कार्य को पूरा करने से पहले चेकलिस्ट के सभी चरण चेक करें।',
+    taskBlockedByDependencies: (titles = []) => (titles.length > 0
+      ? `यह कार्य तब तक रुका है जब तक ये कार्य पूरे नहीं होते:\n\n${titles.map((title) => `• ${title}`).join('\n')}`
+      : 'यह कार्य तब तक रुका है जब तक इसके पूर्व कार्य और सामग्री अनुरोध पूरे नहीं होते।'),
+    escalationPolicies: 'एस्केलेशन नीतियाँ',
+    escalationPoliciesHelp: 'देरी वाले या अटके कार्य हर घंटे आगे बढ़ाए जाते हैं: पहले असाइनी को याद दिलाया जाता है, फिर विभाग प्रमुखों को, फिर मैनेजमेंट को।',
+    escalationEnabled: 'चालू',
+    escalationPendingDays: 'लंबित दिन',
+    escalationGraceHours: 'देरी की छूट (घं.)',
+    escalationStepHours: 'चरणों के बीच घंटे',
+    escalationMaxLevel: 'यहाँ तक आगे बढ़ाएं',
+    escalationLevelAssignee: 'असाइनी',
+    escalationLevelHead: 'विभाग प्रमुख',
+    escalationLevelManagement: 'मैनेजमेंट',
+    holidayCalendar: 'छुट्टियों का कैलेंडर',
+    holidayCalendarHelp: 'इन दिनों पड़ने वाले शेड्यूल्ड कार्य हर शेड्यूल की छुट्टी सेटिंग के अनुसार छोड़े या खिसकाए जाते हैं।',
+    holidayName: 'छुट्टी का नाम',
+    addHoliday: 'छुट्टी जोड़ें',
+    noHolidays: 'अभी तक कोई छुट्टी नहीं जोड़ी गई।',
     noReminderDays: 'अभी तक कोई दिन नहीं जोड़ा गया है।',
     messageTemplate: 'संदेश टेम्पलेट',
     // Analytics Dashboard
@@ -518,6 +863,7 @@ export const translations = {
     weekly: 'साप्ताहिक',
     monthly: 'मासिक',
     yearly: 'वार्षिक',
+    custom: 'कस्टम (RRULE)',
     repeatEvery: 'हर दोहराएं',
     onDays: 'दिनों पर',
     monthlyPattern: 'मासिक पैटर्न',
@@ -535,6 +881,286 @@ export const translations = {
     pauseScheduledTask: 'अनुसूचित कार्य रोकें',
     resumeScheduledTask: 'अनुसूचित कार्य फिर से शुरू करें',
     deleteScheduledTask: 'अनुसूचित कार्य हटाएं',
+    // Task templates
+    taskTemplates: 'कार्य टेम्पलेट',
+    createFromTemplate: 'टेम्पलेट से बनाएं',
+    chooseTemplate: 'टेम्पलेट चुनें...',
+    fromTemplate: 'टेम्पलेट से',
+    templateVersion: (version) => `v${version}`,
+    saveAsTemplate: 'टेम्पलेट के रूप में सहेजें',
+    saveTemplate: 'टेम्पलेट सहेजें',
+    newTemplate: 'नया टेम्पलेट',
+    editTemplate: 'टेम्पलेट संपादित करें',
+    templateName: 'टेम्पलेट का नाम',
+    templateTitleRequired: 'कार्य का शीर्षक आवश्यक है',
+    departmentRequired: 'विभाग आवश्यक है',
+    defaultAssignees: 'डिफ़ॉल्ट रूप से सौंपें',
+    defaultAssigneesHint: 'विभाग में इन भूमिकाओं वाले सभी लोग पहले से चुने जाते हैं।',
+    templateHistory: 'पिछले संस्करण',
+    noTemplateVersions: 'यह पहला संस्करण है।',
+    confirmRestoreTemplateVersion: 'इस संस्करण को फिर से वर्तमान बनाएं?',
+    restore: 'पुनर्स्थापित करें',
+    archive: 'संग्रहित करें',
+    unarchive: 'संग्रह से निकालें',
+    showArchivedTemplates: 'संग्रहित दिखाएं',
+    noTemplates: 'अभी कोई टेम्पलेट नहीं। किसी कार्य फ़ॉर्म को टेम्पलेट के रूप में सहेजें या यहां बनाएं।',
+    checklistSteps: 'चरण',
+    templateSaved: 'टेम्पलेट सहेजा गया',
+    templateArchived: 'टेम्पलेट संग्रहित किया गया',
+    templateRestored: 'टेम्पलेट पुनर्स्थापित किया गया',
+    // Bulk task actions
+    moreBulkActions: 'और कार्रवाइयां',
+    bulkTaskActions: 'सामूहिक कार्रवाइयां',
+    bulkAction: 'कार्रवाई',
+    bulkReassign: 'फिर से सौंपें',
+    bulkChangeTargetDate: 'लक्ष्य तिथि बदलें',
+    bulkChangeDifficulty: 'कठिनाई बदलें',
+    bulkApprove: 'स्वीकृत करें',
+    bulkReject: 'अस्वीकार करें',
+    bulkMarkUrgent: 'अत्यावश्यक चिह्नित करें',
+    bulkAddObservers: 'पर्यवेक्षक जोड़ें',
+    bulkMoveDepartment: 'विभाग बदलें',
+    bulkReassignHelp: 'हर कार्य में उसके अपने विभाग के चुने गए उपयोगकर्ता ही रहते हैं।',
+    bulkApproveHelp: 'स्वीकृति की प्रतीक्षा कर रहे कार्य स्वीकृत होंगे।',
+    bulkFallbackAssignees: 'यदि कोई वर्तमान असाइनी इस विभाग में नहीं है तो इन्हें सौंपें',
+    rejectionReason: 'अस्वीकृति का कारण',
+    markAsUrgent: 'अत्यावश्यक चिह्नित करें',
+    noUsersAvailable: 'कोई उपयोगकर्ता उपलब्ध नहीं',
+    applyToSelected: 'चयनित पर लागू करें',
+    bulkActionDone: (count) => `${count} कार्य अपडेट किए गए।`,
+    bulkActionPartial: (succeeded, failed) => `${succeeded} अपडेट किए गए, ${failed} नहीं बदले:`,
+    bulkActionSummary: (succeeded, failed) => `${succeeded} कार्य अपडेट किए गए। ${failed} नहीं बदले जा सके।`,
+    bulkActionError: 'चयनित कार्य अपडेट नहीं हो सके। कृपया पुनः प्रयास करें।',
+    // Task import
+    importTasks: 'कार्य आयात करें',
+    importTasksHelp: 'हर पंक्ति में एक कार्य वाली .csv या .xlsx शीट अपलोड करें। विभाग और लोग नाम से दिए जा सकते हैं; कई असाइनी या पर्यवेक्षक ";" से अलग करें। चेकलिस्ट के चरण "|" से अलग करें।',
+    downloadImportTemplate: 'नमूना शीट डाउनलोड करें',
+    importColumns: 'कॉलम',
+    notImported: '— आयात नहीं —',
+    column: 'कॉलम',
+    importFormatHelp: 'कठिनाई Easy, Medium, Hard या Critical (खाली हो तो Medium)। तिथियां YYYY-MM-DD या DD/MM/YYYY (खाली हो तो आज)।',
+    importPreviewSummary: (valid, invalid) => `${valid} पंक्तियां तैयार, ${invalid} में त्रुटियां`,
+    showErrorsOnly: 'केवल त्रुटि वाली पंक्तियां',
+    importRow: 'पंक्ति',
+    importCheck: 'जांच',
+    chooseAnotherFile: 'दूसरी फ़ाइल चुनें',
+    importValidTasks: (count) => `${count} कार्य आयात करें`,
+    importingTasks: (done, total) => `आयात हो रहा है ${done}/${total}...`,
+    tasksImported: (created, skipped) => `${created} कार्य आयात किए गए${skipped ? `; ${skipped} पंक्तियां आयात नहीं हुईं` : ''}।`,
+    // Weekly report email
+    weeklyReport: 'साप्ताहिक रिपोर्ट ईमेल',
+    weeklyReportHelp: 'हर सोमवार सुबह आपको अपने विभागों की पिछले सप्ताह की पूर्णता दर, अतिदेय कार्य, शीर्ष प्रदर्शक, दिए गए अंक और भुनाए गए वाउचर मिलेंगे।',
+    weeklyReportSubscribe: 'मुझे साप्ताहिक रिपोर्ट ईमेल करें',
+    weeklyReportAttachPdf: 'PDF प्रति संलग्न करें',
+    weeklyReportEmail: 'इस पते पर भेजें',
+    weeklyReportNoEmail: 'आपकी प्रोफ़ाइल में ईमेल पता नहीं है; रिपोर्ट पाने के लिए एक पता दर्ज करें।',
+    weeklyReportDepartments: 'विभाग (कोई न चुना हो = सभी)',
+    weeklyReportSendPreview: 'पिछले सप्ताह की रिपोर्ट मुझे ईमेल करें',
+    reportSettingsSaved: 'रिपोर्ट सेटिंग सहेजी गई',
+    reportSettingsSaveFailed: 'रिपोर्ट सेटिंग सहेजने में विफल। कृपया पुनः प्रयास करें।',
+    reportPreviewSent: 'पिछले सप्ताह की रिपोर्ट आपके इनबॉक्स में भेजी जा रही है',
+    sending: 'भेजा जा रहा है...',
+    // Goals
+    goals: 'लक्ष्य',
+    showGoals: 'लक्ष्य दिखाएं',
+    hideGoals: 'लक्ष्य छिपाएं',
+    showArchivedGoals: 'संग्रहित भी दिखाएं',
+    newGoal: 'नया लक्ष्य',
+    editGoal: 'लक्ष्य संपादित करें',
+    noGoals: 'अभी कोई लक्ष्य नहीं।',
+    companyGoal: 'कंपनी',
+    goalObjective: 'उद्देश्य',
+    goalDescription: 'यह क्यों ज़रूरी है (वैकल्पिक)',
+    goalScope: 'किसका लक्ष्य',
+    goalOwner: 'ज़िम्मेदार',
+    goalStart: 'शुरू',
+    goalEnd: 'समाप्त',
+    keyResults: 'मुख्य परिणाम',
+    keyResultsHelp: 'जुड़े कार्यों से मापा जाता है (कितने कार्य पूरे हुए; 0 = सभी जुड़े कार्य) या चेक-इन से (शुरुआती मान से लक्ष्य मान तक)।',
+    keyResultTitle: 'जैसे: ब्रेकडाउन महीने में 2 तक लाना',
+    measureTasks: 'जुड़े कार्य',
+    measureManual: 'चेक-इन',
+    keyResultStart: 'से',
+    keyResultTarget: 'तक',
+    keyResultTaskCount: 'कार्य',
+    keyResultUnit: 'इकाई',
+    addKeyResult: 'मुख्य परिणाम जोड़ें',
+    saveGoal: 'लक्ष्य सहेजें',
+    goalSaved: 'लक्ष्य सहेजा गया',
+    goalDetails: 'विवरण',
+    hideDetails: 'छिपाएं',
+    goalHealth_done: 'पूरा',
+    goalHealth_on_track: 'सही राह पर',
+    goalHealth_at_risk: 'जोखिम में',
+    goalHealth_off_track: 'पिछड़ रहा',
+    goalProgress: (progress, elapsed) => `${progress} पूरा, अवधि का ${elapsed} बीत चुका`,
+    goalWeekSummary: (linked, completed) => `${linked} जुड़े कार्य · इस सप्ताह ${completed} पूरे`,
+    keyResultTasksDone: (done, target) => `${done} / ${target} कार्य`,
+    checkIn: 'चेक-इन',
+    checkInNote: 'क्या बदला? (वैकल्पिक)',
+    checkInSaved: 'चेक-इन सहेजा गया',
+    checkIns: 'चेक-इन',
+    noCheckIns: 'अभी कोई चेक-इन नहीं।',
+    linkedTasks: 'जुड़े कार्य',
+    noLinkedTasks: 'अभी कोई कार्य नहीं जुड़ा। कार्य फ़ॉर्म से कार्य जोड़ें।',
+    linkedGoal: 'लक्ष्य / मुख्य परिणाम',
+    noGoal: '— जुड़ा नहीं —',
+    goalNotAvailable: 'संग्रहित या दूसरे विभाग का लक्ष्य',
+    // Projects
+    projects: 'परियोजनाएं',
+    project: 'परियोजना',
+    noProject: '— कोई परियोजना नहीं —',
+    projectNotAvailable: 'संग्रहित या दूसरे विभाग की परियोजना',
+    newProject: 'नई परियोजना',
+    editProject: 'परियोजना संपादित करें',
+    noProjects: 'अभी कोई परियोजना नहीं।',
+    showArchivedProjects: 'संग्रहित भी दिखाएं',
+    archived: 'संग्रहित',
+    projectName: 'परियोजना का नाम',
+    projectDescription: 'दायरा और परिणाम (वैकल्पिक)',
+    projectOwner: 'ज़िम्मेदार',
+    projectStart: 'शुरू',
+    projectEnd: 'समाप्त',
+    projectDepartments: 'विभाग',
+    projectMembers: 'सदस्य',
+    projectMembersHelp: 'पहले विभाग चुनें।',
+    projectMemberCount: (count) => `${count} सदस्य`,
+    saveProject: 'परियोजना सहेजें',
+    projectSaved: 'परियोजना सहेजी गई',
+    showTimeline: 'समयरेखा दिखाएं',
+    hideTimeline: 'समयरेखा छिपाएं',
+    saveBaseline: 'बेसलाइन सहेजें',
+    baselineSaved: 'बेसलाइन सहेजी गई',
+    replaceBaselineConfirm: 'सहेजी गई बेसलाइन को आज की तारीखों से बदलें?',
+    baselineSavedBy: (when, name) => `बेसलाइन ${when} को सहेजी गई${name ? ` (${name})` : ''}`,
+    noBaseline: 'अभी कोई बेसलाइन नहीं',
+    baseline: 'बेसलाइन',
+    notInBaseline: 'नया',
+    projectTaskSummary: (count, done) => `${count} कार्य · ${done} पूरे`,
+    projectOverdueSummary: (count) => `${count} समय से पीछे`,
+    projectSlipSummary: (count, maxDays) => (count ? `${count} खिसके, अधिकतम ${maxDays} दिन` : 'बेसलाइन के अनुसार'),
+    projectedEnd: (date, lateDays) => `अनुमानित समाप्ति ${date}${lateDays ? ` (${lateDays} दिन देर)` : ''}`,
+    noProjectTasks: 'इस परियोजना में अभी कोई कार्य नहीं। कार्य फ़ॉर्म में परियोजना चुनें।',
+    ganttTask: 'कार्य',
+    ganttToday: 'आज',
+    ganttComplete: 'पूर्ण',
+    ganttOverdue: 'समय से पीछे',
+    overdueSince: (date) => `${date} से समय से पीछे`,
+    dependencyArrow: 'इंतज़ार में',
+    // Time tracking
+    timeTracking: 'समय ट्रैकिंग',
+    timeWorked: 'काम किया',
+    startTimer: '▶ टाइमर शुरू करें',
+    pauseTimer: '⏸ रोकें',
+    resumeTimer: '▶ फिर से शुरू करें',
+    stopTimer: '⏹ बंद करें',
+    timerRunning: 'चल रहा है',
+    timerPaused: 'रुका हुआ',
+    showWorkSessions: 'सत्र दिखाएं',
+    hideWorkSessions: 'सत्र छिपाएं',
+    noWorkSessions: 'अभी कोई कार्य सत्र नहीं।',
+    timesheets: 'टाइमशीट',
+    timesheetsHelp: 'टास्क टाइमर से दर्ज घंटे। चल रहे सत्र दिखाए जाते हैं पर गिने नहीं जाते।',
+    timesheetAllUsers: 'सभी',
+    timesheetRangeInvalid: 'शुरुआती तारीख अंतिम तारीख से पहले या उसी दिन चुनें',
+    showTimesheet: 'दिखाएं',
+    downloadTimesheet: 'CSV डाउनलोड करें',
+    noTimesheetSessions: 'इस अवधि में कोई कार्य सत्र नहीं।',
+    timesheetUser: 'उपयोगकर्ता',
+    timesheetHours: 'काम किया',
+    timesheetSessions: 'सत्र',
+    timesheetTasks: 'कार्य',
+    // Effort calibration
+    effortHint: (duration, count) => `ऐसे कार्यों में आमतौर पर ~${duration} लगे (${count} कार्य)`,
+    effortCalibration: 'प्रयास अंशांकन',
+    effortCalibrationHelp: (days, minSamples) => `पिछले ${days} दिनों में पूरे हुए कार्यों में कठिनाई के अनुसार कितना समय लगा: ट्रैक किया गया कार्य समय, अन्यथा शुरू से पूरा होने तक। सुझाव के लिए ${minSamples} पूरे कार्य चाहिए। अपेक्षित घंटे नए कार्यों पर दर्ज होते हैं और कठिनाई निष्पक्षता तय करते हैं; खाली रहने पर डिफ़ॉल्ट लागू होता है।`,
+    effortRecalculate: 'अभी पुनर्गणना करें',
+    effortRecalculated: (departments, samples) => `${samples} पूरे कार्यों से ${departments} विभागों की पुनर्गणना हुई।`,
+    effortNotComputed: 'अभी गणना नहीं हुई। यह हर सोमवार चलता है, या अभी पुनर्गणना करें।',
+    effortComputedAt: (date) => `गणना ${date}`,
+    effortAppliedAt: (date, name) => `लागू ${date}${name ? ` (${name})` : ''}`,
+    effortCompleted: 'पूरे हुए',
+    effortTracked: (count) => `${count} ट्रैक किए`,
+    effortTypical: 'सामान्य (25–75%)',
+    effortMedian: 'माध्यिका',
+    effortSuggested: 'सुझाव',
+    effortExpectedHours: 'अपेक्षित घंटे',
+    effortAutoApply: 'हर सप्ताह सुझाव अपने आप लागू करें',
+    effortUseSuggestions: 'सुझाव उपयोग करें',
+    // Approvals
+    approvalsTab: 'स्वीकृतियाँ',
+    approvalsInbox: 'स्वीकृतियाँ',
+    approvalsInboxEmpty: 'आपकी स्वीकृति के लिए कुछ भी लंबित नहीं है',
+    approvalsRequested: 'मेरे अनुरोध',
+    approve: 'स्वीकृत करें',
+    reject: 'अस्वीकार करें',
+    approvalStep: (step, total) => `चरण ${step} / ${total}`,
+    approvalOnBehalfOf: (name) => `${name} की ओर से`,
+    approvalDecidingFor: (name) => `आप ${name} की ओर से निर्णय ले रहे हैं, जो छुट्टी पर हैं`,
+    approvalRejectReason: 'कृपया अस्वीकार करने का कारण बताएं:',
+    approvalReasonRequired: 'अस्वीकार करने के लिए कारण आवश्यक है।',
+    approvalApproved: 'स्वीकृत',
+    approvalRejected: 'अस्वीकृत',
+    approvalPassedOn: 'स्वीकृत, अगले चरण को भेजा गया',
+    approvalSubjectGone: 'कार्य हटा दिया गया था, अनुरोध बंद किया गया',
+    approvalDecideFailed: 'निर्णय दर्ज नहीं हो सका',
+    approvalCancelConfirm: 'यह अनुरोध वापस लें?',
+    approvalWithdraw: 'वापस लें',
+    approvalOpenTask: 'कार्य खोलें',
+    approvalStatus_pending: 'लंबित',
+    approvalStatus_approved: 'स्वीकृत',
+    approvalStatus_rejected: 'अस्वीकृत',
+    approvalStatus_cancelled: 'वापस लिया गया',
+    approvalTypeSelfAssignedTask: 'स्वयं को सौंपा गया कार्य',
+    approvalTypeCriticalTask: 'गंभीर कार्य',
+    approvalTypePointsAdjustment: 'अंक समायोजन',
+    approvalTypeVoucherRedemption: 'वाउचर रिडेम्पशन',
+    oneTaskNeedsApproval: '1 कार्य को आपकी स्वीकृति चाहिए',
+    multipleTasksNeedApproval: (count) => `${count} कार्यों को आपकी स्वीकृति चाहिए`,
+    voucherApprovalPending: (points) => `${points} अंकों का आपका रिडेम्पशन स्वीकृति के लिए भेजा गया। स्वीकृति के बाद वाउचर जारी होंगे।`,
+    delegation: 'छुट्टी के दौरान प्रतिनिधि',
+    delegationHelp: 'आपकी अनुपस्थिति में आपका प्रतिनिधि आपकी जगह अनुरोध स्वीकृत या अस्वीकार कर सकता है।',
+    delegationActive: (name, endDate) => `${endDate} तक ${name} आपकी ओर से निर्णय ले रहे हैं`,
+    delegationScheduled: (name, startDate, endDate) => `${startDate} से ${endDate} तक ${name} आपकी ओर से निर्णय लेंगे`,
+    delegationChoose: 'प्रतिनिधि चुनें',
+    delegationClear: 'प्रतिनिधि हटाएं',
+    delegationDatesInvalid: 'अंतिम दिन पहले दिन से पहले नहीं हो सकता।',
+    approvalChains: 'स्वीकृति श्रृंखलाएँ',
+    approvalChainsHelp: 'हर चरण को उसके किसी एक स्वीकर्ता द्वारा क्रम से स्वीकृत किया जाता है। किसी भी चरण पर अस्वीकृति पूरे अनुरोध को अस्वीकार करती है।',
+    approvalMinPoints: 'से (अंक)',
+    approvalAddPerson: '+ व्यक्ति',
+    approvalAddStep: 'चरण जोड़ें',
+    approvalStepEmpty: 'हर चरण में कम से कम एक स्वीकर्ता होना चाहिए।',
+    approverHeads: 'विभाग प्रमुख',
+    approverManagement: 'प्रबंधन',
+    approverAdmins: 'एडमिन',
+    // Completion review
+    reviewTask: 'समीक्षा',
+    reviewSubmittedBy: (name, date) => `${name || 'एक असाइनी'} द्वारा सौंपा गया${date ? ` (${date})` : ''}`,
+    reworkCount: (n) => `${n} बार वापस भेजा गया`,
+    reviewEvidence: 'प्रमाण',
+    reviewNoNote: 'कोई पूर्णता नोट नहीं।',
+    reviewCommentPlaceholder: 'असाइनी के लिए टिप्पणी (वापस भेजने के लिए आवश्यक)',
+    reviewCommentRequired: 'कृपया बताएं कि क्या दोबारा करना है।',
+    reviewSendBack: 'वापस भेजें',
+    reviewAccept: 'स्वीकार करें',
+    awaitingReview: 'समीक्षा की प्रतीक्षा',
+    taskAwaitingReview: 'यह कार्य समीक्षा की प्रतीक्षा में है।',
+    inReview: 'समीक्षा में',
+    waitingForYourReview: (n) => `आपकी समीक्षा की प्रतीक्षा (${n})`,
+    requiresReview: 'पूर्ण होने से पहले समीक्षा',
+    reviewUseFinish: 'इस कार्य की पूर्ण होने से पहले समीक्षा होती है। सौंपने के लिए समाप्त करें का उपयोग करें।',
+    // Comments
+    loadingComments: 'टिप्पणियां लोड हो रही हैं...',
+    newComment: 'नई',
+    unreadComments: 'नई टिप्पणियां',
+    commentEdited: 'संपादित',
+    deleteComment: 'टिप्पणी हटाएं',
+    deleteCommentConfirm: 'यह टिप्पणी और इसके उत्तर हटाएं? इसे पूर्ववत नहीं किया जा सकता।',
+    commentSaveFailed: 'टिप्पणी सहेजने में विफल। कृपया पुनः प्रयास करें।',
+    addReaction: 'प्रतिक्रिया जोड़ें',
+    reply: 'उत्तर दें',
+    replyPlaceholder: 'उत्तर लिखें... (उल्लेख के लिए @)',
     // Market translations
     market: 'बाजार',
     marketComingSoon: 'बाजार जल्द आ रहा है!',
@@ -0,0 +1,231 @@
+/**
+ * Approval Chain Tests
+ *
+ * Covers how department chains resolve to steps and approvers, decisions step
+ * by step (with delegates standing in for approvers on leave), the approvals
+ * inbox, and the task fields the decideApproval Cloud Function writes.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import {
+  APPROVAL_TYPES,
+  APPROVAL_STATUSES,
+  APPROVAL_DECISIONS,
+  APPROVER_GROUPS,
+  userApprover,
+  getApprovalChain,
+  chainApplies,
+  resolveApprovers,
+  buildApprovalSteps,
+  toApprovalDateKey,
+  isOnLeave,
+  getDecisionRight,
+  applyDecision,
+  getInboxRequests,
+} from '../approvalChains.js';
+import { BULK_ACTIONS, buildBulkTaskPatch } from '../../../features/tasks/utils/bulkTaskActions.js';
+import { buildFunctionsCopy } from '../../../../scripts/syncSharedModules.js';
+
+const require = createRequire(import.meta.url);
+const { buildTaskOutcome, isRaisedToCritical } = require('../../../../functions/approvals.js');
+
+const readRelative = (path) => readFileSync(fileURLToPath(new URL(path, import.meta.url)), 'utf8');
+
+const USERS = [
+  { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  { id: 'harry', name: 'Harry', role: 'Head', departmentIds: ['sales'] },
+  { id: 'mona', name: 'Mona', role: 'Management', departmentIds: [] },
+  { id: 'adam', name: 'Adam', role: 'Admin', departmentIds: [] },
+];
+const CONTEXT = { users: USERS, departmentId: 'ops', requesterId: 'alice' };
+const TODAY = '2026-03-10';
+
+const twoStepChain = {
+  enabled: true,
+  steps: [{ approvers: [APPROVER_GROUPS.HEADS] }, { approvers: [APPROVER_GROUPS.MANAGEMENT] }],
+};
+
+const pendingRequest = (overrides = {}) => ({
+  id: 'r1',
+  type: APPROVAL_TYPES.CRITICAL_TASK,
+  status: APPROVAL_STATUSES.PENDING,
+  requestedById: 'alice',
+  currentStep: 0,
+  steps: buildApprovalSteps(twoStepChain, CONTEXT),
+  dismissedBy: [],
+  ...overrides,
+});
+
+describe('Approval chains', () => {
+  test('should fall back to the default chains', () => {
+    const selfAssigned = getApprovalChain({ id: 'ops' }, APPROVAL_TYPES.SELF_ASSIGNED_TASK);
+    expect(selfAssigned.enabled).toBe(true);
+    expect(selfAssigned.steps).toEqual([{ approvers: [APPROVER_GROUPS.HEADS, APPROVER_GROUPS.MANAGEMENT] }]);
+    expect(getApprovalChain(null, APPROVAL_TYPES.CRITICAL_TASK).enabled).toBe(false);
+    expect(() => getApprovalChain(null, 'holiday')).toThrow('Unknown approval type');
+  });
+
+  test('should drop unknown approvers and empty steps from stored chains', () => {
+    const department = {
+      approvalChains: {
+        [APPROVAL_TYPES.POINTS_ADJUSTMENT]: {
+          enabled: true,
+          minPoints: '250.7',
+          steps: [{ approvers: ['interns', userApprover('mona'), userApprover('mona')] }, { approvers: [] }],
+        },
+      },
+    };
+    expect(getApprovalChain(department, APPROVAL_TYPES.POINTS_ADJUSTMENT)).toEqual({
+      enabled: true,
+      minPoints: 250,
+      steps: [{ approvers: ['user:mona'] }],
+    });
+  });
+
+  test('should apply points chains only from their threshold', () => {
+    const chain = { enabled: true, minPoints: 500, steps: [{ approvers: [APPROVER_GROUPS.HEADS] }] };
+    expect(chainApplies(chain, { points: 499 })).toBe(false);
+    expect(chainApplies(chain, { points: -500 })).toBe(true);
+    expect(chainApplies({ ...chain, enabled: false }, { points: 1000 })).toBe(false);
+    expect(chainApplies({ enabled: true, steps: [] })).toBe(false);
+  });
+
+  test('should resolve heads of the request department and leave out the requester', () => {
+    expect(resolveApprovers([APPROVER_GROUPS.HEADS], CONTEXT)).toEqual(['helen']);
+    expect(resolveApprovers([APPROVER_GROUPS.HEADS, userApprover('alice'), userApprover('ghost')], CONTEXT)).toEqual(['helen']);
+    expect(resolveApprovers([APPROVER_GROUPS.MANAGEMENT], { ...CONTEXT, requesterId: 'mona' })).toEqual([]);
+  });
+
+  test('should hand steps nobody can approve to Admins, and skip them without Admins', () => {
+    const steps = buildApprovalSteps(twoStepChain, { ...CONTEXT, departmentId: 'qc' });
+    expect(steps.map((step) => step.approverIds)).toEqual([['adam'], ['mona']]);
+
+    const noAdmins = USERS.filter((user) => user.role !== 'Admin');
+    expect(buildApprovalSteps(twoStepChain, { ...CONTEXT, users: noAdmins, departmentId: 'qc' })).toHaveLength(1);
+  });
+
+  test('should pass a request on step by step and record who decided', () => {
+    const first = applyDecision(pendingRequest(), {
+      decision: APPROVAL_DECISIONS.APPROVE,
+      decider: { id: 'helen', name: 'Helen' },
+      decidedAt: 'now',
+    });
+    expect(first.status).toBe(APPROVAL_STATUSES.PENDING);
+    expect(first.currentStep).toBe(1);
+    expect(first.steps[0]).toMatchObject({ status: APPROVAL_STATUSES.APPROVED, decidedById: 'helen', decidedByName: 'Helen' });
+
+    const second = applyDecision({ ...pendingRequest(), ...first }, {
+      decision: APPROVAL_DECISIONS.APPROVE,
+      decider: { id: 'mona', name: 'Mona' },
+      decidedAt: 'later',
+    });
+    expect(second).toMatchObject({ status: APPROVAL_STATUSES.APPROVED, currentStep: 1 });
+    expect(() => applyDecision({ ...pendingRequest(), ...second }, {
+      decision: APPROVAL_DECISIONS.APPROVE,
+      decider: { id: 'adam' },
+    })).toThrow('no longer pending');
+  });
+
+  test('should require a reason to reject and end the request at any step', () => {
+    const decide = (reason) => applyDecision(pendingRequest(), {
+      decision: APPROVAL_DECISIONS.REJECT,
+      reason,
+      decider: { id: 'helen', name: 'Helen' },
+    });
+    expect(() => decide('   ')).toThrow('A reason is required');
+    const rejected = decide(' Not urgent ');
+    expect(rejected.status).toBe(APPROVAL_STATUSES.REJECTED);
+    expect(rejected.steps[0].reason).toBe('Not urgent');
+    expect(rejected.steps[1].status).toBe(APPROVAL_STATUSES.PENDING);
+  });
+
+  test('should let delegates decide for approvers on leave', () => {
+    const away = { ...USERS[1], delegation: { delegateId: 'harry', delegateName: 'Harry', startDate: '2026-03-09', endDate: '2026-03-12' } };
+    const users = USERS.map((user) => (user.id === 'helen' ? away : user));
+    const harry = users.find((user) => user.id === 'harry');
+
+    expect(isOnLeave(away, TODAY)).toBe(true);
+    expect(isOnLeave(away, '2026-03-13')).toBe(false);
+    expect(getDecisionRight(pendingRequest(), harry, users, TODAY)).toEqual({ onBehalfOf: { id: 'helen', name: 'Helen' } });
+    expect(getDecisionRight(pendingRequest(), harry, users, '2026-03-13')).toBeNull();
+    // The approver on leave can still decide themselves
+    expect(getDecisionRight(pendingRequest(), away, users, TODAY)).toEqual({ onBehalfOf: null });
+  });
+
+  test('should never let requesters decide their own requests', () => {
+    const adminRequest = pendingRequest({ requestedById: 'adam' });
+    expect(getDecisionRight(adminRequest, USERS[4], USERS, TODAY)).toBeNull();
+    expect(getDecisionRight(pendingRequest(), USERS[4], USERS, TODAY)).toEqual({ onBehalfOf: null });
+    expect(getDecisionRight(pendingRequest(), USERS[3], USERS, TODAY)).toBeNull();
+  });
+
+  test('should list the inbox oldest first and hide dismissed reminders on request', () => {
+    const requests = [
+      pendingRequest({ id: 'new', createdAt: '2026-03-10T08:00:00Z' }),
+      pendingRequest({ id: 'old', createdAt: '2026-03-09T08:00:00Z', dismissedBy: ['helen'] }),
+      pendingRequest({ id: 'done', status: APPROVAL_STATUSES.APPROVED }),
+    ];
+    const helen = USERS[1];
+    expect(getInboxRequests(requests, helen, USERS, TODAY, { includeDismissed: true }).map((r) => r.id)).toEqual(['old', 'new']);
+    expect(getInboxRequests(requests, helen, USERS, TODAY).map((r) => r.id)).toEqual(['new']);
+  });
+
+  test('should convert times to IST days for delegation', () => {
+    expect(toApprovalDateKey(new Date('2026-03-09T18:30:00Z'))).toBe('2026-03-10');
+  });
+
+  test('should keep the Cloud Functions copy in sync', () => {
+    const source = readRelative('../approvalChains.js');
+    const functionsCopy = readRelative('../../../../functions/shared/approvalChains.mjs');
+    expect(functionsCopy).toBe(buildFunctionsCopy(source, 'src/shared/utils/approvalChains.js'));
+  });
+});
+
+describe('Approval outcomes on tasks', () => {
+  const now = new Date('2026-03-10T06:00:00Z');
+  const decider = { id: 'helen', name: 'Helen' };
+
+  test('should mark approved tasks like the approval panel does', () => {
+    expect(buildTaskOutcome({}, APPROVAL_STATUSES.APPROVED, decider, '', now)).toEqual({
+      needsApproval: false,
+      approvedBy: 'helen',
+      approvedByName: 'Helen',
+      approvedAt: now.toISOString(),
+      approvalStatus: APPROVAL_STATUSES.APPROVED,
+    });
+  });
+
+  test('should delete rejected tasks with the reason', () => {
+    const outcome = buildTaskOutcome({ notes: [{ text: 'Earlier' }] }, APPROVAL_STATUSES.REJECTED, decider, 'Duplicate', now);
+    expect(outcome).toMatchObject({ status: 'Deleted', deletedBy: 'helen', deleteReason: 'Approval rejected: Duplicate' });
+    expect(outcome.notes).toHaveLength(2);
+    expect(outcome.notes[1]).toMatchObject({ type: 'deletion', userId: 'helen' });
+  });
+
+  test('should restore the old difficulty when a raise to critical is rejected', () => {
+    const payload = { difficulty: 'critical', previous: { difficulty: 'easy', points: 10 } };
+    const outcome = buildTaskOutcome({ notes: [] }, APPROVAL_STATUSES.REJECTED, decider, 'Not critical', now, payload);
+    expect(outcome).toMatchObject({ needsApproval: false, difficulty: 'easy', points: 10, approvalStatus: APPROVAL_STATUSES.REJECTED });
+    expect(outcome.status).toBeUndefined();
+    expect(outcome.notes[0]).toMatchObject({ type: 'edit', userId: 'helen' });
+  });
+
+  test('should run the critical chain when an open task is raised to critical', () => {
+    const task = { status: 'Ongoing', difficulty: 'easy' };
+    expect(isRaisedToCritical(task, { ...task, difficulty: 'Critical' })).toBe(true);
+    expect(isRaisedToCritical(task, { ...task, difficulty: 'critical', approvalStatus: 'approved' })).toBe(true);
+    expect(isRaisedToCritical(task, { ...task, difficulty: 'critical', approvalStatus: APPROVAL_STATUSES.PENDING })).toBe(false);
+    expect(isRaisedToCritical(task, { ...task, difficulty: 'critical', status: 'Complete' })).toBe(false);
+    expect(isRaisedToCritical({ ...task, difficulty: 'critical' }, { ...task, difficulty: 'critical', title: 'Renamed' })).toBe(false);
+  });
+
+  test('should keep bulk actions from bypassing a chain', () => {
+    const task = { id: 't1', departmentId: 'ops', assignedUserIds: ['alice'], needsApproval: true, approvalRequestId: 'r1' };
+    const context = { currentUser: USERS[3], users: USERS };
+    expect(() => buildBulkTaskPatch(BULK_ACTIONS.APPROVE, task, {}, context)).toThrow('approvals inbox');
+    expect(() => buildBulkTaskPatch(BULK_ACTIONS.REJECT, task, { reason: 'No' }, context)).toThrow('approvals inbox');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Authentication Helper Tests
+ *
+ * Covers password hashing, session expiry, revocation and sign-in lockouts used by the
+ * signInWithPassword Cloud Function and callables (functions/auth.js).
+ */
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  AUTH_CONFIG,
+  hashPassword,
+  verifyPassword,
+  buildSessionClaims,
+  isSessionActive,
+  isTokenRevoked,
+  getLockoutMs,
+  getRecentFailures,
+} = require('../../../../functions/auth.js');
+
+describe('Authentication', () => {
+  describe('hashPassword / verifyPassword', () => {
+    test('should verify the original password only', async () => {
+      const credential = await hashPassword('correct horse');
+      expect(credential.algorithm).toBe('scrypt');
+      expect(credential.hash).not.toContain('correct horse');
+      await expect(verifyPassword('correct horse', credential)).resolves.toBe(true);
+      await expect(verifyPassword('wrong horse', credential)).resolves.toBe(false);
+    });
+
+    test('should salt each hash', async () => {
+      const first = await hashPassword('same password');
+      const second = await hashPassword('same password');
+      expect(first.salt).not.toBe(second.salt);
+      expect(first.hash).not.toBe(second.hash);
+    });
+
+    test('should reject missing credentials', async () => {
+      await expect(verifyPassword('anything', null)).resolves.toBe(false);
+      await expect(verifyPassword(undefined, await hashPassword('x'))).resolves.toBe(false);
+    });
+  });
+
+  describe('session claims', () => {
+    test('should expire after the configured duration', () => {
+      const now = Date.UTC(2026, 0, 1);
+      const claims = buildSessionClaims({ role: 'Head' }, now);
+      const durationMs = AUTH_CONFIG.SESSION_DURATION_HOURS * 60 * 60 * 1000;
+
+      expect(claims).toEqual({ role: 'Head', sessionExpiresAt: now + durationMs });
+      expect(isSessionActive(claims, now + durationMs - 1)).toBe(true);
+      expect(isSessionActive(claims, now + durationMs)).toBe(false);
+    });
+
+    test('should treat tokens without a session claim as signed out', () => {
+      expect(isSessionActive({ firebase: { sign_in_provider: 'anonymous' } })).toBe(false);
+      expect(isSessionActive(null)).toBe(false);
+    });
+
+    test('should turn away tokens issued before a password reset', () => {
+      const resetAt = '2026-01-01T10:00:00.000Z';
+      const authTime = (iso) => Date.parse(iso) / 1000;
+      expect(isTokenRevoked({ auth_time: authTime('2026-01-01T09:59:59Z') }, resetAt)).toBe(true);
+      expect(isTokenRevoked({ auth_time: authTime('2026-01-01T10:00:00Z') }, resetAt)).toBe(false);
+      expect(isTokenRevoked({ auth_time: authTime('2025-12-31T00:00:00Z') }, undefined)).toBe(false);
+      expect(isTokenRevoked({}, resetAt)).toBe(true);
+    });
+  });
+
+  describe('failed sign-in lockout', () => {
+    const limit = AUTH_CONFIG.MAX_FAILED_ATTEMPTS_PER_USER;
+
+    test('should lock out past the limit, doubling up to the maximum', () => {
+      expect(getLockoutMs(limit - 1, limit)).toBe(0);
+      expect(getLockoutMs(limit, limit)).toBe(AUTH_CONFIG.LOCKOUT_BASE_SECONDS * 1000);
+      expect(getLockoutMs(limit + 1, limit)).toBe(AUTH_CONFIG.LOCKOUT_BASE_SECONDS * 2000);
+      expect(getLockoutMs(limit + 100, limit)).toBe(AUTH_CONFIG.LOCKOUT_MAX_SECONDS * 1000);
+    });
+
+    test('should forget failures after the window', () => {
+      const now = Date.UTC(2026, 0, 1);
+      const windowMs = AUTH_CONFIG.FAILED_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+      expect(getRecentFailures({ failures: 4, lastFailureAt: now - windowMs }, now)).toBe(4);
+      expect(getRecentFailures({ failures: 4, lastFailureAt: now - windowMs - 1 }, now)).toBe(0);
+      expect(getRecentFailures(null, now)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Bulk Task Action Tests
+ *
+ * Covers the per-task patches of each bulk action, who may apply them, and
+ * the chunked writes with partial failures on the in-memory backend.
+ */
+
+import { BULK_ACTIONS, buildBulkTaskPatch, canManageTask, canChangeTaskPoints, chunk } from '../../../features/tasks/utils/bulkTaskActions.js';
+import { runBulkTaskAction } from '../../../features/tasks/api/bulkTaskApi.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { tasksRepository } from '../../data/tasksRepository.js';
+import { activityLogRepository } from '../../data/activityLogRepository.js';
+
+const USERS = [
+  { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  { id: 'bob', name: 'Bob', role: 'User', departmentIds: ['ops', 'qc'] },
+  { id: 'sam', name: 'Sam', role: 'User', departmentIds: ['sales'] },
+  { id: 'mona', name: 'Mona', role: 'Management', departmentIds: [] },
+];
+const [helen, alice, , , mona] = USERS;
+
+const task = (overrides = {}) => ({
+  id: 't1',
+  title: 'Check pump',
+  departmentId: 'ops',
+  assignedUserIds: ['alice'],
+  assignedById: 'helen',
+  status: 'Pending',
+  difficulty: 'medium',
+  points: 25,
+  ...overrides,
+});
+
+const build = (action, params, currentUser = helen, overrides = {}) => (
+  buildBulkTaskPatch(action, task(overrides), params, { currentUser, users: USERS, now: new Date('2025-05-01T10:00:00Z') })
+);
+
+describe('bulk task patches', () => {
+  test('lets heads manage tasks of their departments only', () => {
+    expect(canManageTask(helen, task())).toBe(true);
+    expect(canManageTask(helen, task({ departmentId: 'sales' }))).toBe(false);
+    expect(canManageTask(helen, task({ departmentId: 'sales', requestingDepartmentId: 'ops' }))).toBe(true);
+    expect(canManageTask(mona, task({ departmentId: 'sales' }))).toBe(true);
+    expect(canManageTask(alice, task())).toBe(false);
+  });
+
+  test('reassigns only to users of the task\'s department', () => {
+    const patch = build(BULK_ACTIONS.REASSIGN, { assignedUserIds: ['bob', 'sam'] }, helen, {
+      checklist: [{ id: 'c1', text: 'Read gauge', assigneeId: 'alice' }],
+    });
+
+    expect(patch.assignedUserIds).toEqual(['bob']);
+    expect(patch.checklist[0].assigneeId).toBeNull();
+    expect(() => build(BULK_ACTIONS.REASSIGN, { assignedUserIds: ['sam'] })).toThrow('department');
+  });
+
+  test('sets target date, difficulty points and urgency', () => {
+    expect(build(BULK_ACTIONS.TARGET_DATE, { targetDate: '2025-06-01' }).targetDate).toBe('2025-06-01');
+    expect(() => build(BULK_ACTIONS.TARGET_DATE, { targetDate: 'soon' })).toThrow('valid target date');
+    expect(build(BULK_ACTIONS.DIFFICULTY, { difficulty: 'hard' })).toMatchObject({ difficulty: 'hard', points: 50 });
+    expect(() => build(BULK_ACTIONS.DIFFICULTY, { difficulty: 'epic' })).toThrow('difficulty');
+    expect(build(BULK_ACTIONS.URGENT, { isUrgent: true }).isUrgent).toBe(true);
+  });
+
+  test('approves and rejects only tasks waiting for approval', () => {
+    expect(build(BULK_ACTIONS.APPROVE, {}, helen, { needsApproval: true })).toMatchObject({
+      needsApproval: false,
+      approvedBy: 'helen',
+      approvedAt: '2025-05-01T10:00:00.000Z',
+    });
+    expect(() => build(BULK_ACTIONS.APPROVE, {})).toThrow('does not need approval');
+
+    expect(build(BULK_ACTIONS.REJECT, { reason: ' Duplicate ' }, helen, { needsApproval: true })).toMatchObject({
+      status: 'Deleted',
+      deleteReason: 'Duplicate',
+    });
+    expect(() => build(BULK_ACTIONS.REJECT, { reason: ' ' }, helen, { needsApproval: true })).toThrow('reason');
+  });
+
+  test('keeps creators to the non-manager actions', () => {
+    const creator = { ...alice, id: 'alice' };
+    expect(build(BULK_ACTIONS.URGENT, { isUrgent: true }, creator, { assignedById: 'alice', assignedUserIds: ['bob'] }).isUrgent).toBe(true);
+    expect(build(BULK_ACTIONS.TARGET_DATE, { targetDate: '2025-06-01' }, creator, { assignedById: 'alice' }).targetDate).toBe('2025-06-01');
+    expect(() => build(BULK_ACTIONS.APPROVE, {}, creator, { assignedById: 'alice', needsApproval: true })).toThrow('cannot change');
+    expect(() => build(BULK_ACTIONS.URGENT, { isUrgent: true }, creator)).toThrow('cannot change');
+  });
+
+  test('keeps assignees from changing the points of their own tasks', () => {
+    const creator = { ...alice, id: 'alice' };
+    expect(canChangeTaskPoints(creator, task({ assignedById: 'alice', assignedUserIds: ['bob'] }))).toBe(true);
+    expect(canChangeTaskPoints(creator, task({ assignedById: 'alice' }))).toBe(false);
+    expect(canChangeTaskPoints(helen, task({ assignedUserIds: ['helen'] }))).toBe(true);
+    expect(() => build(BULK_ACTIONS.URGENT, { isUrgent: true }, creator, { assignedById: 'alice' })).toThrow('your own task');
+    expect(() => build(BULK_ACTIONS.DIFFICULTY, { difficulty: 'critical' }, creator, { assignedById: 'alice' })).toThrow('your own task');
+    expect(() => build(BULK_ACTIONS.REASSIGN, { assignedUserIds: ['alice', 'bob'] }, creator, { assignedById: 'alice', assignedUserIds: ['bob'] }))
+      .toThrow('your own task');
+  });
+
+  test('skips deleted tasks and only adds observers to completed ones', () => {
+    expect(() => build(BULK_ACTIONS.URGENT, { isUrgent: true }, helen, { status: 'Deleted' })).toThrow('deleted');
+    expect(() => build(BULK_ACTIONS.TARGET_DATE, { targetDate: '2025-06-01' }, helen, { status: 'Complete' })).toThrow('already complete');
+    expect(build(BULK_ACTIONS.ADD_OBSERVERS, { observerIds: ['alice', 'sam'] }, helen, { status: 'Complete' }).observerIds)
+      .toMatchObject({ values: ['sam'] });
+    expect(() => build(BULK_ACTIONS.ADD_OBSERVERS, { observerIds: ['alice'] })).toThrow('already follows');
+  });
+
+  test('moves tasks keeping assignees who are in the new department', () => {
+    expect(build(BULK_ACTIONS.MOVE_DEPARTMENT, { departmentId: 'qc' }, mona, { assignedUserIds: ['alice', 'bob'] }))
+      .toMatchObject({ departmentId: 'qc', assignedUserIds: ['bob'] });
+    expect(build(BULK_ACTIONS.MOVE_DEPARTMENT, { departmentId: 'sales', assignedUserIds: ['sam'] }, mona))
+      .toMatchObject({ departmentId: 'sales', assignedUserIds: ['sam'] });
+    expect(() => build(BULK_ACTIONS.MOVE_DEPARTMENT, { departmentId: 'sales' }, mona)).toThrow('No assignees');
+    expect(() => build(BULK_ACTIONS.MOVE_DEPARTMENT, { departmentId: 'sales', assignedUserIds: ['sam'] })).toThrow('into this department');
+  });
+
+  test('splits lists into chunks', () => {
+    expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    expect(chunk([], 2)).toEqual([]);
+  });
+});
+
+describe('runBulkTaskAction', () => {
+  const seedTasks = (count) => Object.fromEntries(Array.from({ length: count }, (_, index) => [
+    `tasks/t${index}`,
+    { title: `Task ${index}`, departmentId: 'ops', assignedUserIds: ['alice'], status: 'Pending' },
+  ]));
+  const tasksFor = (count) => Array.from({ length: count }, (_, index) => task({ id: `t${index}`, title: `Task ${index}` }));
+
+  // logActivity records the page URL and user agent, which Node lacks
+  const hadNavigator = 'navigator' in globalThis;
+
+  beforeAll(() => {
+    globalThis.window = { location: { href: 'http://localhost/tasks' } };
+    if (!hadNavigator) globalThis.navigator = { userAgent: 'node' };
+  });
+
+  afterAll(() => {
+    delete globalThis.window;
+    if (!hadNavigator) delete globalThis.navigator;
+  });
+
+  afterEach(() => setDataBackend(null));
+
+  test('writes every chunk and logs one activity entry per task', async () => {
+    setDataBackend(createMemoryBackend(seedTasks(5)));
+
+    const result = await runBulkTaskAction(BULK_ACTIONS.DIFFICULTY, tasksFor(5), { difficulty: 'hard' }, helen, { chunkSize: 2 });
+
+    expect(result).toEqual({ succeeded: ['t0', 't1', 't2', 't3', 't4'], failed: [] });
+    expect((await tasksRepository.get('t4')).difficulty).toBe('hard');
+
+    const logs = await activityLogRepository.list();
+    expect(logs).toHaveLength(5);
+    expect(logs[0]).toMatchObject({ action: 'bulk_difficulty', entityType: 'task', details: { bulkAction: 'difficulty', difficulty: 'hard' } });
+  });
+
+  test('reports skipped tasks and tasks whose write failed', async () => {
+    setDataBackend(createMemoryBackend(seedTasks(3)));
+    const tasks = [...tasksFor(3), task({ id: 'gone', title: 'Removed meanwhile' }), task({ id: 't9', status: 'Deleted' })];
+
+    const result = await runBulkTaskAction(BULK_ACTIONS.URGENT, tasks, { isUrgent: true }, helen, { chunkSize: 2 });
+
+    expect(result.succeeded).toEqual(['t0', 't1', 't2']);
+    expect(result.failed.map((failure) => [failure.taskId, failure.reason])).toEqual([
+      ['t9', 'Task is deleted'],
+      ['gone', 'No document to update: tasks/gone'],
+    ]);
+    expect((await tasksRepository.get('t2')).isUrgent).toBe(true);
+    expect(await activityLogRepository.list()).toHaveLength(3);
+  });
+});
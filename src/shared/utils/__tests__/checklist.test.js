@@ -0,0 +1,94 @@
+/**
+ * Task Checklist Tests
+ *
+ * Covers checklist helpers and the proportional EP split between assignees
+ * who checked off different items.
+ */
+
+import { calculateTaskPoints, getChecklistShares } from '../pointsEngine.js';
+import {
+  normalizeChecklist,
+  resetChecklist,
+  getChecklistProgress,
+  isChecklistBlockingCompletion,
+  canToggleChecklistItem,
+  setChecklistItemDone,
+} from '../../../features/tasks/utils/checklist.js';
+
+const item = (id, overrides = {}) => ({ id, text: `Step ${id}`, assigneeId: null, done: false, doneBy: null, ...overrides });
+
+describe('Task checklist', () => {
+  describe('points split', () => {
+    const task = {
+      difficulty: 'hard',
+      assignedUserIds: ['alice', 'bob'],
+      checklist: [
+        item('1', { done: true, doneBy: 'alice' }),
+        item('2', { done: true, doneBy: 'alice' }),
+        item('3', { done: true, doneBy: 'alice' }),
+        item('4', { done: true, doneBy: 'bob' }),
+      ],
+    };
+
+    test('should split EP in proportion to checked items', () => {
+      const even = calculateTaskPoints(task);
+      expect(calculateTaskPoints(task, 'alice')).toBe(Math.round(even * 2 * 0.75));
+      expect(calculateTaskPoints(task, 'bob')).toBe(Math.round(even * 2 * 0.25));
+      expect(calculateTaskPoints(task, 'carol')).toBe(0);
+    });
+
+    test('should ignore items checked by non-assignees', () => {
+      const withHead = { ...task, checklist: [...task.checklist, item('5', { done: true, doneBy: 'helen' })] };
+      expect(getChecklistShares(withHead)).toEqual({ alice: 0.75, bob: 0.25 });
+    });
+
+    test('should split evenly without a checked checklist or with one assignee', () => {
+      const unchecked = { ...task, checklist: [item('1'), item('2')] };
+      expect(getChecklistShares(unchecked)).toBeNull();
+      expect(calculateTaskPoints(unchecked, 'alice')).toBe(calculateTaskPoints(unchecked));
+      expect(getChecklistShares({ ...task, assignedUserIds: ['alice'] })).toBeNull();
+    });
+  });
+
+  test('should report progress and enforce the completion rule', () => {
+    const task = { requireChecklistComplete: true, checklist: [item('1', { done: true }), item('2')] };
+    expect(getChecklistProgress(task)).toEqual({ done: 1, total: 2, percent: 50 });
+    expect(isChecklistBlockingCompletion(task)).toBe(true);
+    expect(isChecklistBlockingCompletion({ ...task, requireChecklistComplete: false })).toBe(false);
+    expect(isChecklistBlockingCompletion({ requireChecklistComplete: true, checklist: [] })).toBe(false);
+  });
+
+  test('should drop empty items and assignees no longer on the task', () => {
+    const checklist = [item('1', { text: '  Cut  ', assigneeId: 'bob' }), item('2', { text: '   ' })];
+    expect(normalizeChecklist(checklist, ['alice'])).toEqual([item('1', { text: 'Cut', assigneeId: null })]);
+  });
+
+  test('should uncheck every item when copying a checklist', () => {
+    const copied = resetChecklist([item('1', { done: true, doneBy: 'alice', doneAt: '2026-01-01' })]);
+    expect(copied[0]).toMatchObject({ done: false, doneBy: null, doneAt: null });
+  });
+
+  test('should record who checked an item', () => {
+    const checked = setChecklistItemDone([item('1'), item('2')], '2', true, { id: 'bob', name: 'Bob' }, '2026-01-01');
+    expect(checked[1]).toMatchObject({ done: true, doneBy: 'bob', doneByName: 'Bob', doneAt: '2026-01-01' });
+    expect(checked[0].done).toBe(false);
+    expect(setChecklistItemDone(checked, '2', false, { id: 'bob' })[1]).toMatchObject({ done: false, doneBy: null });
+  });
+
+  test('should let only the item assignee, task assignees or managers tick items', () => {
+    const task = { assignedUserIds: ['alice', 'bob'] };
+    expect(canToggleChecklistItem(task, item('1', { assigneeId: 'bob' }), { id: 'alice' })).toBe(false);
+    expect(canToggleChecklistItem(task, item('1', { assigneeId: 'bob' }), { id: 'bob' })).toBe(true);
+    expect(canToggleChecklistItem(task, item('1'), { id: 'alice' })).toBe(true);
+    expect(canToggleChecklistItem(task, item('1'), { id: 'olga' })).toBe(false);
+    expect(canToggleChecklistItem(task, item('1', { assigneeId: 'bob' }), { id: 'helen' }, true)).toBe(true);
+  });
+
+  test('should leave items checked by someone else to managers', () => {
+    const task = { assignedUserIds: ['alice', 'bob'] };
+    const checkedByBob = item('1', { done: true, doneBy: 'bob' });
+    expect(canToggleChecklistItem(task, checkedByBob, { id: 'alice' })).toBe(false);
+    expect(canToggleChecklistItem(task, checkedByBob, { id: 'bob' })).toBe(true);
+    expect(canToggleChecklistItem(task, checkedByBob, { id: 'helen' }, true)).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Completion Review Tests
+ *
+ * Covers who may review a task, whose review queue it lands in, the evidence
+ * shown to the reviewer, and the patches for handing work in, accepting it
+ * and sending it back.
+ */
+
+import {
+  REVIEW_DECISIONS,
+  isReviewedByDefault,
+  requiresReview,
+  canReviewTask,
+  getReviewQueue,
+  getReviewEvidence,
+  buildReviewSubmission,
+  buildReviewDecision,
+} from '../../../features/tasks/utils/completionReview.js';
+import { arrayAppend } from '../../../features/tasks/utils/taskOutbox.js';
+import { STATUSES, DIFFICULTY_LEVELS } from '../../constants.js';
+
+const USERS = {
+  helen: { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  alice: { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  bob: { id: 'bob', name: 'Bob', role: 'User', departmentIds: ['ops'] },
+  olga: { id: 'olga', name: 'Olga', role: 'User', departmentIds: ['ops'] },
+  mona: { id: 'mona', name: 'Mona', role: 'Management', departmentIds: [] },
+};
+const { helen, alice, bob, olga, mona } = USERS;
+
+const submittedAt = new Date('2026-03-10T06:00:00Z');
+const now = new Date('2026-03-10T09:00:00Z');
+
+const task = (overrides = {}) => ({
+  id: 't1',
+  title: 'Rewire panel',
+  departmentId: 'ops',
+  assignedUserIds: ['alice'],
+  assignedById: 'bob',
+  observerIds: ['olga'],
+  requiresReview: true,
+  status: STATUSES.PENDING_REVIEW,
+  startedAt: new Date('2026-03-09T06:00:00Z'),
+  reviewSubmittedAt: submittedAt,
+  ...overrides,
+});
+
+describe('Completion review', () => {
+  test('should review critical tasks by default', () => {
+    expect(isReviewedByDefault(DIFFICULTY_LEVELS.CRITICAL)).toBe(true);
+    expect(isReviewedByDefault(DIFFICULTY_LEVELS.EASY)).toBe(false);
+    expect(requiresReview(task())).toBe(true);
+    expect(requiresReview(task({ requiresReview: undefined }))).toBe(false);
+  });
+
+  test('should let the assigner, observers and managers review, but never assignees', () => {
+    expect(canReviewTask(task(), bob)).toBe(true);
+    expect(canReviewTask(task(), olga)).toBe(true);
+    expect(canReviewTask(task(), helen)).toBe(true);
+    expect(canReviewTask(task(), alice)).toBe(false);
+    expect(canReviewTask(task({ assignedById: 'alice', observerIds: [] }), alice)).toBe(false);
+  });
+
+  test('should queue tasks for their reviewers, oldest submission first', () => {
+    const tasks = [
+      task({ id: 'late', reviewSubmittedAt: now }),
+      task({ id: 'early' }),
+      task({ id: 'ongoing', status: STATUSES.ONGOING }),
+    ];
+    expect(getReviewQueue(tasks, olga).map((t) => t.id)).toEqual(['early', 'late']);
+    expect(getReviewQueue(tasks, alice)).toEqual([]);
+    // Heads only see tasks nobody else is there to review
+    expect(getReviewQueue(tasks, helen)).toEqual([]);
+    const selfAssigned = task({ id: 'self', assignedById: 'alice', observerIds: [] });
+    expect(getReviewQueue([selfAssigned], helen).map((t) => t.id)).toEqual(['self']);
+    expect(getReviewQueue([selfAssigned], mona).map((t) => t.id)).toEqual(['self']);
+  });
+
+  test('should show the latest completion note and the photos as evidence', () => {
+    const evidence = getReviewEvidence(task({
+      notes: [
+        { text: 'First try', type: 'completion' },
+        { text: 'Ordered cable', type: 'note' },
+        { text: 'Replaced breaker', type: 'completion' },
+      ],
+      photos: [{ id: 'p1' }],
+    }));
+    expect(evidence.note.text).toBe('Replaced breaker');
+    expect(evidence.photos).toEqual([{ id: 'p1' }]);
+    expect(getReviewEvidence(task())).toEqual({ note: null, photos: [] });
+  });
+
+  test('should hand work in for review', () => {
+    expect(buildReviewSubmission(alice, submittedAt)).toEqual({
+      status: STATUSES.PENDING_REVIEW,
+      reviewSubmittedAt: submittedAt,
+      reviewSubmittedById: 'alice',
+      reviewSubmittedByName: 'Alice',
+    });
+  });
+
+  test('should complete accepted work as of when it was handed in', () => {
+    const patch = buildReviewDecision(task(), REVIEW_DECISIONS.ACCEPT, { reviewer: olga, comment: ' Neat ', now });
+    expect(patch).toEqual({
+      status: STATUSES.COMPLETE,
+      completedAt: submittedAt,
+      reviewedBy: 'olga',
+      reviewedByName: 'Olga',
+      reviewedAt: now,
+      reviewHistory: arrayAppend({
+        decision: REVIEW_DECISIONS.ACCEPT,
+        reviewerId: 'olga',
+        reviewerName: 'Olga',
+        comment: 'Neat',
+        at: now.toISOString(),
+      }),
+    });
+  });
+
+  test('should send work back with a comment and count the rework', () => {
+    const patch = buildReviewDecision(task({ reworkCount: 1 }), REVIEW_DECISIONS.SEND_BACK, {
+      reviewer: bob,
+      comment: 'Label the wires',
+      now,
+    });
+    expect(patch).toMatchObject({
+      status: STATUSES.ONGOING,
+      startedAt: task().startedAt,
+      completedAt: null,
+      reworkCount: 2,
+    });
+    expect(patch.reviewHistory.values[0]).toMatchObject({ decision: REVIEW_DECISIONS.SEND_BACK, comment: 'Label the wires' });
+    // The comment itself is posted to the task's thread (see taskComments.js)
+    expect(patch).not.toHaveProperty('comments');
+  });
+
+  test('should refuse decisions that skip the rules', () => {
+    const decide = (overrides, decision, context) => () => buildReviewDecision(task(overrides), decision, { now, ...context });
+    expect(decide({}, REVIEW_DECISIONS.SEND_BACK, { reviewer: bob, comment: '  ' })).toThrow('comment is required');
+    expect(decide({}, REVIEW_DECISIONS.ACCEPT, { reviewer: alice })).toThrow('cannot review');
+    expect(decide({ status: STATUSES.ONGOING }, REVIEW_DECISIONS.ACCEPT, { reviewer: bob })).toThrow('not waiting for review');
+    expect(decide({}, 'maybe', { reviewer: bob })).toThrow('Unknown review decision');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Collection Consolidation Tests
+ *
+ * Covers how scripts/consolidateCollections.js merges the legacy `Users`,
+ * `Departments` and `Tasks` collections into the lowercase ones.
+ */
+
+import {
+  LEGACY_COLLECTIONS,
+  isSameValue,
+  planCollectionMerge,
+  buildMergeReport,
+} from '../../../../scripts/consolidateCollections.js';
+
+// Stand-in for a Firestore Timestamp: compared with isEqual
+class FakeTimestamp {
+  constructor(millis) { this.millis = millis; }
+  isEqual(other) { return other.millis === this.millis; }
+  toDate() { return new Date(this.millis); }
+}
+
+describe('isSameValue', () => {
+  test('compares nested values deeply', () => {
+    expect(isSameValue({ a: [1, { b: 'x' }] }, { a: [1, { b: 'x' }] })).toBe(true);
+    expect(isSameValue({ a: [1, { b: 'x' }] }, { a: [1, { b: 'y' }] })).toBe(false);
+    expect(isSameValue([1, 2], [1, 2, 3])).toBe(false);
+    expect(isSameValue({ a: 1 }, { a: 1, b: 2 })).toBe(false);
+    expect(isSameValue(null, {})).toBe(false);
+  });
+
+  test('compares timestamps with isEqual', () => {
+    expect(isSameValue(new FakeTimestamp(5), new FakeTimestamp(5))).toBe(true);
+    expect(isSameValue(new FakeTimestamp(5), new FakeTimestamp(6))).toBe(false);
+    expect(isSameValue(new FakeTimestamp(5), { millis: 5 })).toBe(false);
+  });
+});
+
+describe('planCollectionMerge', () => {
+  test('copies documents that only exist in the legacy collection', () => {
+    const plan = planCollectionMerge([], [{ id: 't1', data: { title: 'A' } }]);
+    expect(plan.copy).toEqual([{ id: 't1', data: { title: 'A' } }]);
+    expect(plan.deletable).toEqual(['t1']);
+  });
+
+  test('adds the fields only the legacy copy has', () => {
+    const plan = planCollectionMerge(
+      [{ id: 'u1', data: { name: 'Asha' } }],
+      [{ id: 'u1', data: { name: 'Asha', phone: '123' } }]
+    );
+    expect(plan.merge).toEqual([{ id: 'u1', fields: { phone: '123' } }]);
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.deletable).toEqual(['u1']);
+  });
+
+  test('recognises identical documents', () => {
+    const data = { name: 'Stores', createdAt: new FakeTimestamp(1) };
+    const plan = planCollectionMerge([{ id: 'd1', data }], [{ id: 'd1', data: { ...data, createdAt: new FakeTimestamp(1) } }]);
+    expect(plan.identical).toEqual(['d1']);
+    expect(plan.deletable).toEqual(['d1']);
+  });
+
+  test('keeps the canonical value on conflicts and leaves the legacy document', () => {
+    const plan = planCollectionMerge(
+      [{ id: 't1', data: { status: 'Complete' } }],
+      [{ id: 't1', data: { status: 'Pending', note: 'x' } }]
+    );
+    expect(plan.merge).toEqual([{ id: 't1', fields: { note: 'x' } }]);
+    expect(plan.conflicts).toEqual([{ id: 't1', field: 'status', canonical: 'Complete', legacy: 'Pending' }]);
+    expect(plan.deletable).toEqual([]);
+  });
+});
+
+describe('buildMergeReport', () => {
+  test('lists every change with readable values', () => {
+    const plan = planCollectionMerge(
+      [{ id: 't1', data: { updatedAt: new FakeTimestamp(0) } }, { id: 't2', data: { a: 1 } }],
+      [{ id: 't1', data: { updatedAt: new FakeTimestamp(1000), b: 2 } }, { id: 't3', data: {} }]
+    );
+    expect(buildMergeReport(LEGACY_COLLECTIONS[2], plan)).toEqual({
+      legacy: 'Tasks',
+      canonical: 'tasks',
+      copied: ['t3'],
+      merged: [{ id: 't1', addedFields: ['b'] }],
+      identical: [],
+      conflicts: [{ id: 't1', field: 'updatedAt', canonical: '1970-01-01T00:00:00.000Z', legacy: '1970-01-01T00:00:01.000Z' }],
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Data Access Layer Tests
+ *
+ * Covers the document schemas, the in-memory backend and the repositories
+ * built on it, without Firebase.
+ */
+
+import { s, SchemaValidationError } from '../../data/schema.js';
+import { taskSchema, userSchema } from '../../data/schemas.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { serverTimestamp, arrayUnion, arrayRemove, increment, deleteField } from '../../data/fieldValues.js';
+import { usersRepository } from '../../data/usersRepository.js';
+import { tasksRepository } from '../../data/tasksRepository.js';
+import { userVouchersRepository, listAllVouchers } from '../../data/vouchersRepository.js';
+import { ledgerRepository, listUserLedgerEntries } from '../../data/ledgerRepository.js';
+import { getActivityLogsWithCursor } from '../activityLogApi.js';
+import { getHolidays, saveHoliday, removeHoliday } from '../holidayApi.js';
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+const task = (overrides = {}) => ({
+  title: 'Fix pump',
+  departmentId: 'd1',
+  assignedUserIds: ['u1'],
+  status: 'Pending',
+  ...overrides,
+});
+
+afterEach(() => setDataBackend(null));
+
+describe('schemas', () => {
+  test('accepts valid documents and passes unknown fields through', () => {
+    const user = { name: 'Asha', role: 'Head', departmentIds: ['d1'], favouriteColour: 'green' };
+    expect(userSchema.parse(user)).toBe(user);
+  });
+
+  test('reports every problem with its path', () => {
+    const result = taskSchema.safeParse({ title: '', assignedUserIds: ['u1', 7], status: 'Done' });
+    expect(result.success).toBe(false);
+    expect(result.error).toBeInstanceOf(SchemaValidationError);
+    expect(result.error.issues.map((issue) => issue.path)).toEqual(['title', 'departmentId', 'assignedUserIds.1', 'status']);
+  });
+
+  test('partial schemas only check the fields present', () => {
+    expect(() => taskSchema.partial().parse({ status: 'Complete' })).not.toThrow();
+    expect(() => taskSchema.partial().parse({ assignedUserIds: [] })).toThrow('assignedUserIds: must have at least 1 item');
+  });
+
+  test('accepts field operations and timestamps for any field', () => {
+    const timestamp = new (class Timestamp { toMillis() { return 0; } })();
+    expect(() => taskSchema.partial().parse({ observerIds: arrayUnion('u2'), completedAt: serverTimestamp(), targetDate: timestamp })).not.toThrow();
+  });
+
+  test('optional and nullable are separate', () => {
+    const schema = s.object({ note: s.string().optional(), due: s.timestamp().nullable() });
+    expect(schema.safeParse({ due: null }).success).toBe(true);
+    expect(schema.safeParse({ note: null, due: '2025-01-01' }).error.issues).toEqual([{ path: 'note', message: 'must not be null' }]);
+    expect(schema.safeParse({ due: 'soon' }).error.issues).toEqual([{ path: 'due', message: 'must be a valid date' }]);
+  });
+});
+
+describe('memory backend', () => {
+  test('answers task query specs', async () => {
+    const backend = createMemoryBackend({
+      'tasks/t1': task({ assignedUserIds: ['u1', 'u2'], updatedAt: new Date('2025-01-03') }),
+      'tasks/t2': task({ status: 'Complete', updatedAt: new Date('2025-01-01') }),
+      'tasks/t3': task({ departmentId: 'd2', status: 'Complete', updatedAt: new Date('2025-01-02') }),
+      'tasks/t4': task({ status: 'Complete' }),
+    });
+
+    const ids = async (spec) => (await backend.query('tasks', spec)).map((entry) => entry.id);
+    expect(await ids({ filters: [{ field: 'assignedUserIds', op: 'array-contains', value: 'u2' }] })).toEqual(['t1']);
+    expect(await ids({ filters: [{ field: 'departmentId', op: 'in', value: ['d2'] }] })).toEqual(['t3']);
+    // Documents without the orderBy field are left out, as in Firestore
+    expect(await ids({
+      filters: [{ field: 'status', op: '==', value: 'Complete' }],
+      orderBy: { field: 'updatedAt', direction: 'desc' },
+    })).toEqual(['t3', 't2']);
+    expect(await ids({ filters: [{ field: 'updatedAt', op: '>=', value: new Date('2025-01-02') }] })).toEqual(['t1', 't3']);
+  });
+
+  test('applies field operations', async () => {
+    const backend = createMemoryBackend({ 'users/u1': { name: 'Asha', fcmTokens: ['a'], count: 1, stale: true } }, { now: () => NOW });
+    await backend.update('users/u1', {
+      fcmTokens: arrayUnion('a', 'b'),
+      count: increment(2),
+      stale: deleteField(),
+      seenAt: serverTimestamp(),
+      'profile.city': 'Pune',
+    });
+    expect((await backend.get('users/u1')).data).toEqual({
+      name: 'Asha', fcmTokens: ['a', 'b'], count: 3, seenAt: NOW, profile: { city: 'Pune' },
+    });
+
+    await backend.update('users/u1', { fcmTokens: arrayRemove('a') });
+    expect((await backend.get('users/u1')).data.fcmTokens).toEqual(['b']);
+  });
+
+  test('merges maps on set with merge and refuses updates to missing documents', async () => {
+    const backend = createMemoryBackend({ 'departments/d1': { name: 'Ops', escalationPolicy: { enabled: true, maxLevel: 3 } } });
+    await backend.set('departments/d1', { escalationPolicy: { maxLevel: 2 } }, { merge: true });
+    expect((await backend.get('departments/d1')).data.escalationPolicy).toEqual({ enabled: true, maxLevel: 2 });
+
+    await expect(backend.update('departments/missing', { name: 'x' })).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('notifies subscribers of changes', async () => {
+    const backend = createMemoryBackend({ 'tasks/t1': task() });
+    const seen = [];
+    const unsubscribe = backend.subscribe('tasks', { filters: [{ field: 'status', op: '==', value: 'Pending' }] }, (docs) => {
+      seen.push(docs.map((entry) => entry.id));
+    });
+
+    await backend.add('tasks', task());
+    await backend.update('tasks/t1', { status: 'Complete' });
+    unsubscribe();
+    await backend.delete('tasks/t1');
+
+    expect(seen).toEqual([['t1'], ['doc0001', 't1'], ['doc0001']]);
+  });
+});
+
+describe('repositories', () => {
+  test('return entities with their id and validate writes', async () => {
+    setDataBackend(createMemoryBackend({ 'users/u1': { name: 'Asha', role: 'User' } }));
+
+    expect(await usersRepository.get('u1')).toEqual({ id: 'u1', name: 'Asha', role: 'User' });
+    expect(await usersRepository.get('nobody')).toBeNull();
+
+    await expect(usersRepository.update('u1', { role: 'Owner' })).rejects.toBeInstanceOf(SchemaValidationError);
+    await expect(tasksRepository.add(task({ assignedUserIds: [] }))).rejects.toThrow('assignedUserIds');
+
+    // Undefined fields and the id are not written
+    await usersRepository.update('u1', { id: 'u1', role: 'Head', departmentIds: undefined });
+    expect(await usersRepository.get('u1')).toEqual({ id: 'u1', name: 'Asha', role: 'Head' });
+  });
+
+  test('page through results with a cursor', async () => {
+    const seed = {};
+    for (let day = 1; day <= 5; day += 1) {
+      seed[`tasks/t${day}`] = task({ status: 'Complete', updatedAt: new Date(2025, 0, day) });
+    }
+    setDataBackend(createMemoryBackend(seed));
+    const spec = { filters: [{ field: 'status', op: '==', value: 'Complete' }], orderBy: { field: 'updatedAt', direction: 'desc' } };
+
+    const first = await tasksRepository.page(spec, { pageSize: 2 });
+    const second = await tasksRepository.page(spec, { pageSize: 2, after: first.cursor });
+    const last = await tasksRepository.page(spec, { pageSize: 2, after: second.cursor });
+
+    expect([first, second, last].map((page) => page.items.map((entry) => entry.id))).toEqual([['t5', 't4'], ['t3', 't2'], ['t1']]);
+    expect([first.hasMore, second.hasMore, last.hasMore]).toEqual([true, true, false]);
+    expect(last.cursor).toBeNull();
+  });
+
+  test('updateWith reads and writes in one transaction', async () => {
+    setDataBackend(createMemoryBackend({ 'tasks/t1': task({ checklist: [{ id: 'c1', text: 'Drain', done: false }] }) }));
+
+    const patch = await tasksRepository.updateWith('t1', (current) => ({
+      checklist: current.checklist.map((item) => ({ ...item, done: true })),
+    }));
+
+    expect(patch.checklist[0].done).toBe(true);
+    expect((await tasksRepository.get('t1')).checklist[0].done).toBe(true);
+    await expect(tasksRepository.updateWith('t1', () => {
+      throw new Error('Checklist item not found');
+    })).rejects.toThrow('Checklist item not found');
+    await expect(tasksRepository.updateWith('missing', () => ({}))).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('subcollection repositories take the parent id first', async () => {
+    setDataBackend(createMemoryBackend({
+      'users/u1/vouchers/v1': { userId: 'u1', productId: 'p1', status: 'confirmed', purchasedAt: new Date('2025-01-01') },
+      'users/u2/vouchers/v2': { userId: 'u2', productId: 'p1', status: 'confirmed', purchasedAt: new Date('2025-02-01') },
+    }));
+
+    await userVouchersRepository.update('u1', 'v1', { status: 'used', usedBy: 'u1' });
+    expect(await userVouchersRepository.list('u1')).toEqual([expect.objectContaining({ id: 'v1', status: 'used' })]);
+
+    const all = await listAllVouchers({ orderBy: { field: 'purchasedAt', direction: 'desc' } });
+    expect(all.map(({ id, voucherDocPath }) => [id, voucherDocPath])).toEqual([
+      ['v2', 'users/u2/vouchers/v2'],
+      ['v1', 'users/u1/vouchers/v1'],
+    ]);
+  });
+
+  test('the ledger is read-only and read in replay order', async () => {
+    setDataBackend(createMemoryBackend({
+      'pointsLedger/e2': { userId: 'u1', type: 'redeemed', points: -5, occurredAt: new Date('2025-01-02'), seq: 0 },
+      'pointsLedger/e1': { userId: 'u1', type: 'earned', points: 10, occurredAt: new Date('2025-01-01'), seq: 0 },
+      'pointsLedger/e3': { userId: 'u2', type: 'earned', points: 3, occurredAt: new Date('2025-01-01'), seq: 0 },
+    }));
+
+    expect(ledgerRepository.add).toBeUndefined();
+    expect((await listUserLedgerEntries('u1')).map((entry) => entry.id)).toEqual(['e1', 'e2']);
+  });
+
+  test('APIs built on the repositories run against the memory backend', async () => {
+    const seed = {};
+    ['a', 'b', 'c'].forEach((id, index) => {
+      seed[`activityLog/${id}`] = { action: index === 1 ? 'delete' : 'create', timestamp: `2025-01-0${index + 1}T00:00:00Z` };
+    });
+    setDataBackend(createMemoryBackend(seed));
+
+    const first = await getActivityLogsWithCursor(1, null, 'create');
+    const second = await getActivityLogsWithCursor(1, first.lastDoc, 'create');
+    expect([first.logs[0].id, first.hasMore, second.logs[0].id, second.hasMore]).toEqual(['c', true, 'a', false]);
+  });
+
+  test('the holiday calendar keeps one document per day, sorted by date', async () => {
+    setDataBackend(createMemoryBackend({}, { now: () => NOW }));
+    const admin = { id: 'u1', name: 'Asha' };
+
+    await saveHoliday({ date: '2025-08-15', name: 'Independence Day' }, admin);
+    await saveHoliday({ date: '2025-01-26', name: 'Republic day' }, admin);
+    await saveHoliday({ date: '2025-01-26', name: ' Republic Day ' }, admin);
+    expect(await saveHoliday({ date: '26/01/2025', name: 'Typo' }, admin)).toEqual({ success: false, error: 'Invalid date' });
+    expect((await getHolidays()).map(({ id, name }) => [id, name])).toEqual([
+      ['2025-01-26', 'Republic Day'],
+      ['2025-08-15', 'Independence Day'],
+    ]);
+
+    await removeHoliday({ date: '2025-08-15', name: 'Independence Day' }, admin);
+    expect((await getHolidays()).map((holiday) => holiday.id)).toEqual(['2025-01-26']);
+  });
+});
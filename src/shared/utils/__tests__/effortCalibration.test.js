@@ -0,0 +1,157 @@
+/**
+ * Effort Calibration Tests
+ *
+ * Covers the calibrateEffortEstimates Cloud Function's duration statistics,
+ * how applied expectations reach new tasks, and how the points engine judges
+ * difficulty fairness on them.
+ */
+
+import { createRequire } from 'node:module';
+import { DIFFICULTY_CONFIG, EFFORT_CALIBRATION } from '../../constants.js';
+import { calculateLeadershipPoints, getTaskExpectedHours, getTaskHoursTaken, LP_RULES } from '../pointsEngine.js';
+import {
+  getExpectedHours,
+  getExpectedHoursPatch,
+  getEffortHint,
+  formatHours,
+} from '../../../features/tasks/utils/effortEstimates.js';
+import { BULK_ACTIONS, buildBulkTaskPatch } from '../../../features/tasks/utils/bulkTaskActions.js';
+
+const require = createRequire(import.meta.url);
+const effortCalibration = require('../../../../functions/effortCalibration.js');
+const { roundHours, summarizeDurations, calibrateDepartments, buildEffortCalibration } = effortCalibration;
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+// A task completed `daysAgo` days before NOW that took `hours` from start to completion
+const completed = (hours, overrides = {}, daysAgo = 2) => {
+  const completedAt = new Date(NOW.getTime() - daysAgo * 24 * HOUR);
+  return {
+    departmentId: 'ops',
+    difficulty: 'easy',
+    status: 'Complete',
+    startedAt: new Date(completedAt.getTime() - hours * HOUR),
+    completedAt,
+    ...overrides,
+  };
+};
+
+describe('effort calibration', () => {
+  test('should keep the app and Cloud Functions settings in sync', () => {
+    expect(EFFORT_CALIBRATION).toEqual(effortCalibration.EFFORT_CALIBRATION);
+    expect(Object.keys(DIFFICULTY_CONFIG)).toEqual(effortCalibration.DIFFICULTIES);
+    expect(DIFFICULTY_CONFIG.hard.expectedHours).toBe(LP_RULES.DIFFICULTY_EXPECTATIONS.hard);
+  });
+
+  test('should summarize durations and suggest the rounded median', () => {
+    const samples = [1, 2, 3, 4, 10].map((hours, index) => ({ hours, tracked: index < 2 }));
+    expect(summarizeDurations(samples)).toEqual({
+      sampleSize: 5,
+      trackedCount: 2,
+      p25Hours: 2,
+      medianHours: 3,
+      p75Hours: 4,
+      p90Hours: 7.6,
+      suggestedHours: 3,
+    });
+    expect(summarizeDurations(samples.slice(0, 4)).suggestedHours).toBeNull();
+    expect(summarizeDurations([]).medianHours).toBeNull();
+
+    expect(roundHours(0.1)).toBe(0.25);
+    expect(roundHours(2.3)).toBe(2.5);
+    expect(roundHours(30.4)).toBe(30);
+  });
+
+  test('should group completions in the window by department and difficulty', () => {
+    const tasks = [
+      completed(1), completed(2), completed(3), completed(4), completed(5),
+      completed(72, { workedMinutes: 90 }), // Tracked time wins over the weekend it was open
+      completed(6, { difficulty: 'Hard' }),
+      completed(2, { departmentId: 'qc' }),
+      completed(50, {}, 120), // Outside the window
+      completed(8, { isRdNewSkill: true }),
+      completed(8, { status: 'Ongoing' }),
+      completed(0),
+    ];
+    const result = calibrateDepartments(tasks, getTaskHoursTaken, { now: NOW, departmentIds: ['ops', 'qc', 'hr'] });
+
+    expect(Object.keys(result)).toEqual(['ops', 'qc', 'hr']);
+    expect(result.ops.easy).toMatchObject({ sampleSize: 6, trackedCount: 1, medianHours: 2.5, suggestedHours: 2.5 });
+    expect(result.ops.hard).toMatchObject({ sampleSize: 1, medianHours: 6, suggestedHours: null });
+    expect(result.qc.easy.sampleSize).toBe(1);
+    expect(result.hr.critical).toMatchObject({ sampleSize: 0, medianHours: null });
+  });
+
+  test('should keep applied expectations unless auto-apply is on', () => {
+    const difficulties = {
+      easy: { sampleSize: 6, suggestedHours: 2.5 },
+      hard: { sampleSize: 1, suggestedHours: null },
+    };
+    const current = { expectations: { easy: 4, hard: 40 }, autoApply: false, appliedByName: 'Helen' };
+
+    const kept = buildEffortCalibration(current, difficulties, { stamp: NOW });
+    expect(kept).toMatchObject({ expectations: { easy: 4, hard: 40 }, appliedByName: 'Helen', computedAt: NOW, windowDays: 90 });
+
+    const applied = buildEffortCalibration({ ...current, autoApply: true }, difficulties, { stamp: NOW });
+    expect(applied).toMatchObject({ expectations: { easy: 2.5, hard: 40 }, appliedAt: NOW, appliedByName: 'Automatic' });
+
+    expect(buildEffortCalibration(undefined, difficulties, { stamp: NOW })).toMatchObject({ expectations: {}, autoApply: false });
+  });
+});
+
+describe('effort estimates on tasks', () => {
+  const department = {
+    id: 'ops',
+    effortCalibration: {
+      expectations: { easy: 2.5 },
+      difficulties: {
+        easy: { sampleSize: 6, medianHours: 2.5 },
+        hard: { sampleSize: 2, medianHours: 6 },
+      },
+    },
+  };
+
+  test('should use the calibrated hours, else the defaults', () => {
+    expect(getExpectedHours(department, 'easy')).toBe(2.5);
+    expect(getExpectedHours(department, 'hard')).toBe(DIFFICULTY_CONFIG.hard.expectedHours);
+    expect(getExpectedHoursPatch(department, 'easy')).toEqual({ expectedHours: 2.5 });
+    expect(getExpectedHoursPatch(department, 'hard')).toEqual({ expectedHours: null });
+    expect(getExpectedHoursPatch(undefined, 'easy')).toEqual({ expectedHours: null });
+  });
+
+  test('should only hint with enough completions', () => {
+    expect(getEffortHint(department, 'easy')).toEqual({ medianHours: 2.5, sampleSize: 6 });
+    expect(getEffortHint(department, 'hard')).toBeNull();
+    expect(getEffortHint(undefined, 'easy')).toBeNull();
+  });
+
+  test('should format hours', () => {
+    expect(formatHours(0.25)).toBe('15m');
+    expect(formatHours(2.5)).toBe('2.5h');
+    expect(formatHours(48)).toBe('2d');
+    expect(formatHours(47.8)).toBe('2d');
+    expect(formatHours(30)).toBe('1d 6h');
+  });
+
+  test('should judge difficulty fairness on the hours stamped on the task', () => {
+    const task = completed(5, { assignedUserIds: ['alice'] });
+    expect(getTaskExpectedHours(task)).toBe(LP_RULES.DIFFICULTY_EXPECTATIONS.easy);
+    expect(calculateLeadershipPoints(task, 100).difficultyFairness).toBe(5);
+
+    const calibrated = { ...task, expectedHours: 2.5 };
+    expect(getTaskExpectedHours(calibrated)).toBe(2.5);
+    expect(calculateLeadershipPoints(calibrated, 100).difficultyFairness).toBe(0);
+    expect(getTaskExpectedHours({ ...task, expectedHours: null })).toBe(LP_RULES.DIFFICULTY_EXPECTATIONS.easy);
+  });
+
+  test('should restamp the estimate when bulk actions change difficulty or department', () => {
+    const helen = { id: 'helen', role: 'Management', departmentIds: ['ops', 'qc'] };
+    const users = [{ id: 'alice', departmentIds: ['ops', 'qc'] }];
+    const task = { id: 't1', departmentId: 'qc', difficulty: 'easy', assignedUserIds: ['alice'], expectedHours: null };
+    const context = { currentUser: helen, users, departments: [department, { id: 'qc' }] };
+
+    expect(buildBulkTaskPatch(BULK_ACTIONS.DIFFICULTY, task, { difficulty: 'hard' }, context).expectedHours).toBeNull();
+    expect(buildBulkTaskPatch(BULK_ACTIONS.MOVE_DEPARTMENT, task, { departmentId: 'ops' }, context).expectedHours).toBe(2.5);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * SLA Escalation Tests
+ *
+ * Covers when the escalateOverdueTasks Cloud Function steps a task up from
+ * the assignee reminder to department heads and Management.
+ */
+
+import { createRequire } from 'node:module';
+import { DEFAULT_ESCALATION_POLICY, STATUSES } from '../../constants.js';
+
+const require = createRequire(import.meta.url);
+const escalations = require('../../../../functions/escalations.js');
+const {
+  ESCALATION_REASONS,
+  normalizeEscalationPolicy,
+  getTaskDeadline,
+  getEscalationReason,
+  getNextEscalation,
+} = escalations;
+
+const HOUR = 60 * 60 * 1000;
+// 2026-03-10 12:00 IST
+const NOW = new Date('2026-03-10T12:00:00+05:30');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * HOUR);
+const policy = normalizeEscalationPolicy();
+
+describe('SLA escalations', () => {
+  test('should keep the app and Cloud Functions defaults in sync', () => {
+    expect(DEFAULT_ESCALATION_POLICY).toEqual(escalations.DEFAULT_ESCALATION_POLICY);
+  });
+
+  test('should treat tasks waiting for review as open', () => {
+    expect(escalations.OPEN_TASK_STATUSES).toEqual([STATUSES.PENDING, STATUSES.ONGOING, STATUSES.PENDING_REVIEW]);
+  });
+
+  test('should treat the end of the target day in IST as the deadline', () => {
+    expect(getTaskDeadline('2026-03-09').toISOString()).toBe('2026-03-09T18:29:59.999Z');
+    // Scheduled tasks store midnight IST as an ISO string
+    expect(getTaskDeadline('2026-03-08T18:30:00.000Z').toISOString()).toBe('2026-03-09T18:29:59.999Z');
+    expect(getTaskDeadline(null)).toBeNull();
+  });
+
+  describe('getEscalationReason', () => {
+    test('should flag open tasks past their target date', () => {
+      expect(getEscalationReason({ status: 'Ongoing', targetDate: '2026-03-09' }, policy, NOW)).toBe(ESCALATION_REASONS.OVERDUE);
+      expect(getEscalationReason({ status: 'Pending Review', targetDate: '2026-03-09' }, policy, NOW)).toBe(ESCALATION_REASONS.OVERDUE);
+      expect(getEscalationReason({ status: 'Ongoing', targetDate: '2026-03-10' }, policy, NOW)).toBeNull();
+      expect(getEscalationReason({ status: 'Complete', targetDate: '2026-03-01' }, policy, NOW)).toBeNull();
+    });
+
+    test('should respect the overdue grace period', () => {
+      const lenient = normalizeEscalationPolicy({ overdueGraceHours: 24 });
+      expect(getEscalationReason({ status: 'Ongoing', targetDate: '2026-03-09' }, lenient, NOW)).toBeNull();
+    });
+
+    test('should flag tasks left Pending for too many days', () => {
+      const task = { status: 'Pending', targetDate: '2026-03-20', createdAt: { seconds: hoursAgo(80).getTime() / 1000 } };
+      expect(getEscalationReason(task, policy, NOW)).toBe(ESCALATION_REASONS.STUCK_PENDING);
+      expect(getEscalationReason({ ...task, status: 'Ongoing' }, policy, NOW)).toBeNull();
+      expect(getEscalationReason(task, normalizeEscalationPolicy({ pendingDays: 0 }), NOW)).toBeNull();
+    });
+  });
+
+  describe('getNextEscalation', () => {
+    const overdue = { status: 'Ongoing', targetDate: '2026-03-05' };
+
+    test('should start with the assignee reminder', () => {
+      expect(getNextEscalation(overdue, policy, NOW)).toEqual({ level: 1, reason: ESCALATION_REASONS.OVERDUE });
+    });
+
+    test('should wait the step interval before going up a level', () => {
+      const reminded = { ...overdue, escalation: { level: 1, reason: 'overdue', lastEscalatedAt: hoursAgo(5) } };
+      expect(getNextEscalation(reminded, policy, NOW)).toBeNull();
+
+      const waited = { ...reminded, escalation: { ...reminded.escalation, lastEscalatedAt: hoursAgo(25) } };
+      expect(getNextEscalation(waited, policy, NOW)).toEqual({ level: 2, reason: 'overdue' });
+    });
+
+    test('should stop at the policy maximum', () => {
+      const atHead = { ...overdue, escalation: { level: 2, reason: 'overdue', lastEscalatedAt: hoursAgo(48) } };
+      expect(getNextEscalation(atHead, normalizeEscalationPolicy({ maxLevel: 2 }), NOW)).toBeNull();
+      expect(getNextEscalation(atHead, policy, NOW)).toEqual({ level: 3, reason: 'overdue' });
+    });
+
+    test('should restart when the reason changes and skip disabled departments', () => {
+      const wasStuck = { ...overdue, escalation: { level: 3, reason: 'stuck_pending', lastEscalatedAt: hoursAgo(1) } };
+      expect(getNextEscalation(wasStuck, policy, NOW)).toEqual({ level: 1, reason: 'overdue' });
+      expect(getNextEscalation(overdue, normalizeEscalationPolicy({ enabled: false }), NOW)).toBeNull();
+    });
+  });
+
+  test('should clamp invalid policy values', () => {
+    expect(normalizeEscalationPolicy({ stepIntervalHours: 0, maxLevel: 9, pendingDays: 'x' })).toMatchObject({
+      stepIntervalHours: 1,
+      maxLevel: 3,
+      pendingDays: DEFAULT_ESCALATION_POLICY.pendingDays,
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Goal Tests
+ *
+ * Covers how goals roll up from linked tasks and check-ins, who may manage
+ * them, and the goals API on the in-memory backend.
+ */
+
+import {
+  GOAL_HEALTH,
+  GOAL_MEASURES,
+  toGoalContent,
+  canManageGoal,
+  canCheckInGoal,
+  getKeyResultProgress,
+  getElapsedShare,
+  getGoalHealth,
+  getGoalProgress,
+  getVisibleGoals,
+  getLinkableKeyResults,
+} from '../../../features/goals/utils/goals.js';
+import { createGoal, updateGoal, checkInKeyResult, getGoalCheckIns } from '../../../features/goals/api/goalsApi.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { goalsRepository } from '../../data/goalsRepository.js';
+import { subscribeLinkedTasks } from '../../../features/tasks/api/taskApi.js';
+
+const USERS = {
+  helen: { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  alice: { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  mona: { id: 'mona', name: 'Mona', role: 'Management', departmentIds: [] },
+};
+
+const GOAL = {
+  id: 'g1',
+  title: 'Fewer breakdowns',
+  departmentId: 'ops',
+  ownerId: 'alice',
+  startDate: '2026-01-01',
+  endDate: '2026-03-31',
+  keyResults: [
+    { id: 'kr1', title: 'Service every pump', measure: GOAL_MEASURES.TASKS, startValue: 0, targetValue: 4, currentValue: 0, unit: '' },
+    { id: 'kr2', title: 'Breakdowns a month', measure: GOAL_MEASURES.MANUAL, startValue: 10, targetValue: 2, currentValue: 6, unit: 'breakdowns' },
+  ],
+};
+
+const TASKS = [
+  { id: 't1', goalId: 'g1', keyResultId: 'kr1', status: 'Complete', completedAt: '2026-02-10T10:00:00Z' },
+  { id: 't2', goalId: 'g1', keyResultId: 'kr1', status: 'Complete', completedAt: '2026-02-20T10:00:00Z' },
+  { id: 't3', goalId: 'g1', keyResultId: 'kr1', status: 'Ongoing' },
+  { id: 't4', goalId: 'g1', keyResultId: 'kr1', status: 'Deleted' },
+  { id: 't5', goalId: 'g2', keyResultId: 'kr9', status: 'Complete' },
+];
+
+describe('goal helpers', () => {
+  test('tidies form values and rejects incomplete goals', () => {
+    const content = toGoalContent({
+      title: ' Fewer breakdowns ',
+      departmentId: 'ops',
+      startDate: '2026-01-01',
+      endDate: '2026-03-31',
+      keyResults: [
+        { title: ' Service every pump ', measure: 'tasks', targetValue: '4', startValue: '7', unit: 'x' },
+        { title: 'Breakdowns a month', measure: 'manual', startValue: '10', targetValue: '2' },
+        { title: ' ' },
+      ],
+    });
+
+    expect(content.title).toBe('Fewer breakdowns');
+    expect(content.keyResults).toHaveLength(2);
+    expect(content.keyResults[0]).toMatchObject({ title: 'Service every pump', startValue: 0, targetValue: 4, unit: '' });
+    expect(content.keyResults[1]).toMatchObject({ startValue: 10, targetValue: 2, currentValue: 10 });
+    expect(content.keyResults[0].id).toEqual(expect.any(String));
+
+    const values = { title: 'Goal', startDate: '2026-01-01', endDate: '2026-03-31', keyResults: [{ title: 'KR' }] };
+    expect(() => toGoalContent({ ...values, title: '' })).toThrow('Objective is required');
+    expect(() => toGoalContent({ ...values, endDate: '2025-12-31' })).toThrow('before the start date');
+    expect(() => toGoalContent({ ...values, keyResults: [] })).toThrow('at least one key result');
+    expect(() => toGoalContent({ ...values, keyResults: [{ title: 'KR', targetValue: 1.5 }] })).toThrow('whole number');
+    expect(() => toGoalContent({ ...values, keyResults: [{ title: 'KR', measure: 'manual', startValue: 3, targetValue: 3 }] })).toThrow('must differ');
+  });
+
+  test('lets heads manage their departments\' goals and owners check in', () => {
+    expect(canManageGoal(USERS.helen, 'ops')).toBe(true);
+    expect(canManageGoal(USERS.helen, 'sales')).toBe(false);
+    expect(canManageGoal(USERS.helen, null)).toBe(false);
+    expect(canManageGoal(USERS.mona, null)).toBe(true);
+    expect(canManageGoal(USERS.alice, 'ops')).toBe(false);
+    expect(canCheckInGoal(USERS.alice, GOAL)).toBe(true);
+    expect(canCheckInGoal({ ...USERS.alice, id: 'bob' }, GOAL)).toBe(false);
+  });
+
+  test('measures task key results by completed linked tasks', () => {
+    const linked = TASKS.filter((task) => task.keyResultId === 'kr1' && task.status !== 'Deleted');
+    expect(getKeyResultProgress(GOAL.keyResults[0], linked, { since: new Date('2026-02-15T00:00:00Z') }))
+      .toEqual({ current: 2, target: 4, progress: 0.5, completedSince: 1 });
+    // Without a number of tasks every linked task counts
+    expect(getKeyResultProgress({ ...GOAL.keyResults[0], targetValue: 0 }, linked).target).toBe(3);
+  });
+
+  test('measures manual key results from start to target, either way', () => {
+    expect(getKeyResultProgress(GOAL.keyResults[1])).toEqual({ current: 6, target: 2, progress: 0.5, completedSince: 0 });
+    expect(getKeyResultProgress({ ...GOAL.keyResults[1], currentValue: 12 }).progress).toBe(0);
+    expect(getKeyResultProgress({ ...GOAL.keyResults[1], currentValue: 1 }).progress).toBe(1);
+  });
+
+  test('rolls a goal up and compares it with the time gone by', () => {
+    expect(getElapsedShare(GOAL, '2025-12-01')).toBe(0);
+    expect(getElapsedShare(GOAL, '2026-03-31')).toBe(1);
+
+    const rollup = getGoalProgress(GOAL, TASKS, { today: '2026-02-14', since: new Date('2026-02-15T00:00:00Z') });
+    expect(rollup.progress).toBe(0.5);
+    expect(rollup.elapsed).toBeCloseTo(45 / 90);
+    expect(rollup.health).toBe(GOAL_HEALTH.ON_TRACK);
+    expect(rollup.linkedTaskCount).toBe(3);
+    expect(rollup.completedSince).toBe(1);
+    expect(rollup.keyResults.map((keyResult) => keyResult.taskCount)).toEqual([3, 0]);
+
+    expect(getGoalHealth(0.5, 0.65)).toBe(GOAL_HEALTH.AT_RISK);
+    expect(getGoalHealth(0.3, 0.65)).toBe(GOAL_HEALTH.OFF_TRACK);
+    expect(getGoalHealth(1, 0.2)).toBe(GOAL_HEALTH.DONE);
+  });
+
+  test('shows company goals first and offers only relevant key results', () => {
+    const goals = [
+      GOAL,
+      { ...GOAL, id: 'g2', departmentId: 'sales', title: 'Sales' },
+      { ...GOAL, id: 'g3', departmentId: null, title: 'Company', endDate: '2026-12-31' },
+      { ...GOAL, id: 'g4', isArchived: true },
+    ];
+    expect(getVisibleGoals(goals, { departmentId: 'ops' }).map((goal) => goal.id)).toEqual(['g3', 'g1']);
+    expect(getVisibleGoals(goals).map((goal) => goal.id)).toEqual(['g3', 'g1', 'g2']);
+    expect(getLinkableKeyResults(goals, 'ops').map((option) => `${option.goalId}:${option.keyResultId}`))
+      .toEqual(['g3:kr1', 'g3:kr2', 'g1:kr1', 'g1:kr2']);
+  });
+});
+
+describe('goals API', () => {
+  const values = {
+    title: 'Fewer breakdowns',
+    departmentId: 'ops',
+    ownerId: 'alice',
+    startDate: '2026-01-01',
+    endDate: '2026-03-31',
+    keyResults: [{ title: 'Breakdowns a month', measure: 'manual', startValue: 10, targetValue: 2 }],
+  };
+
+  beforeEach(() => {
+    setDataBackend(createMemoryBackend({}, { now: () => new Date('2026-02-01T00:00:00Z') }));
+  });
+
+  afterEach(() => setDataBackend(null));
+
+  test('records check-ins and keeps the latest value on the key result', async () => {
+    const goalId = await createGoal(values, USERS.helen);
+    const [keyResult] = (await goalsRepository.get(goalId)).keyResults;
+
+    await checkInKeyResult(goalId, keyResult.id, 7, ' New seals ', USERS.alice);
+    await checkInKeyResult(goalId, keyResult.id, 5, '', USERS.helen);
+
+    expect((await goalsRepository.get(goalId)).keyResults[0]).toMatchObject({ currentValue: 5, startValue: 10 });
+    const checkIns = await getGoalCheckIns(goalId);
+    expect(checkIns).toHaveLength(2);
+    expect(checkIns.map((checkIn) => [checkIn.previousValue, checkIn.value]).sort()).toEqual([[10, 7], [7, 5]]);
+    expect(checkIns.find((checkIn) => checkIn.value === 7)).toMatchObject({ note: 'New seals', createdById: 'alice' });
+  });
+
+  test('refuses users who may not manage or check in', async () => {
+    await expect(createGoal(values, USERS.alice)).rejects.toThrow('own departments');
+    await expect(createGoal({ ...values, departmentId: null }, USERS.helen)).rejects.toThrow('company goals');
+
+    const goalId = await createGoal({ ...values, ownerId: 'helen' }, USERS.helen);
+    const goal = await goalsRepository.get(goalId);
+    await expect(updateGoal(goal, { ...values, title: 'Renamed' }, USERS.alice)).rejects.toThrow('own departments');
+    await expect(checkInKeyResult(goalId, goal.keyResults[0].id, 4, '', USERS.alice)).rejects.toThrow('owner');
+    expect(await getGoalCheckIns(goalId)).toEqual([]);
+  });
+
+  test('keeps the department and key result ids when editing', async () => {
+    const goalId = await createGoal(values, USERS.helen);
+    const goal = await goalsRepository.get(goalId);
+
+    await updateGoal(goal, { ...values, departmentId: 'sales', keyResults: [...goal.keyResults, { title: 'Service pumps', targetValue: 4 }] }, USERS.helen);
+    const updated = await goalsRepository.get(goalId);
+    expect(updated.departmentId).toBe('ops');
+    expect(updated.keyResults[0].id).toBe(goal.keyResults[0].id);
+    expect(updated.keyResults[1]).toMatchObject({ measure: 'tasks', targetValue: 4 });
+    await expect(checkInKeyResult(goalId, updated.keyResults[1].id, 2, '', USERS.helen)).rejects.toThrow('linked tasks');
+  });
+
+  test('reads every task linked to the goals, not just the loaded ones', async () => {
+    setDataBackend(createMemoryBackend({
+      'tasks/t1': { title: 'Old fix', goalId: 'g1', status: 'Complete', completedAt: new Date('2025-06-01T00:00:00Z') },
+      'tasks/t2': { title: 'New fix', goalId: 'g2', status: 'Ongoing' },
+      'tasks/t3': { title: 'Unlinked', goalId: null, status: 'Pending' },
+    }));
+
+    const seen = [];
+    const unsubscribe = subscribeLinkedTasks('goalId', ['g1', 'g2', 'g1'], (tasks) => seen.push(tasks.map((task) => task.id).sort()));
+    unsubscribe();
+    expect(seen).toEqual([['t1', 't2']]);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Task Comment Migration Tests
+ *
+ * Covers how scripts/migrateTaskComments.js copies the legacy `comments`
+ * arrays on tasks into comment threads.
+ */
+
+import { planCommentMigration } from '../../../../scripts/migrateTaskComments.js';
+
+const createdAt = '2026-03-10T06:00:00.000Z';
+
+describe('planCommentMigration', () => {
+  test('copies each comment into its task\'s thread with the new fields', () => {
+    const plan = planCommentMigration([
+      { id: 't1', data: { comments: [{ id: 'c1', text: ' Done ', userId: 'ram', userName: 'Ram', createdAt }] } },
+      { id: 't2', data: { title: 'No comments' } },
+    ]);
+    expect(plan.comments).toEqual([{
+      threadId: 't1',
+      id: 'c1',
+      data: {
+        taskId: 't1',
+        text: 'Done',
+        userId: 'ram',
+        userName: 'Ram',
+        createdAt: new Date(createdAt),
+        parentId: null,
+        mentions: [],
+        reactions: {},
+      },
+    }]);
+    expect(plan.threads).toEqual(['t1']);
+    expect(plan.legacyTasks).toEqual([{ taskId: 't1', threadId: 't1' }]);
+  });
+
+  test('writes comments shared with material requests once, in the original thread', () => {
+    const shared = { id: 'c1', text: 'Need cable', userId: 'ram', createdAt };
+    const plan = planCommentMigration([
+      { id: 'r1', data: { type: 'material_request', originalTaskId: 't1', comments: [shared, { id: 'c2', text: 'Sent', userId: 'sita', createdAt }] } },
+      { id: 't1', data: { comments: [shared] } },
+      { id: 'r2', data: { type: 'material_request', originalTaskId: 'gone', comments: [{ id: 'c3', text: 'Orphan', createdAt }] } },
+    ]);
+    expect(plan.comments.map(({ threadId, id, data }) => [threadId, id, data.taskId])).toEqual([
+      ['t1', 'c1', 't1'],
+      ['t1', 'c2', 'r1'],
+      ['r2', 'c3', 'r2'],
+    ]);
+    expect(plan.legacyTasks).toEqual([
+      { taskId: 'r1', threadId: 't1' },
+      { taskId: 't1', threadId: 't1' },
+      { taskId: 'r2', threadId: 'r2' },
+    ]);
+  });
+
+  test('keeps review comments, gives unnamed ones an id and skips empty ones', () => {
+    const plan = planCommentMigration([{
+      id: 't1',
+      data: {
+        createdAt,
+        comments: [
+          { id: 'review_1', text: 'Label the wires', type: 'review', createdAt: 'not a date' },
+          { text: 'No id' },
+          { id: 'a/b', text: 'Slash' },
+          { id: 'blank', text: '   ' },
+        ],
+      },
+    }]);
+    expect(plan.comments.map(({ id }) => id)).toEqual(['review_1', 'legacy_t1_1', 'a_b']);
+    expect(plan.comments[0].data).toMatchObject({ type: 'review', createdAt: new Date(createdAt) });
+    expect(plan.skipped).toEqual([{ taskId: 't1', index: 3, reason: 'no text' }]);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Permission Matrix Tests
+ *
+ * firestore.rules enforces the same PERMISSIONS matrix the UI uses; the rules
+ * themselves are exercised against the emulator in tests/rules.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PERMISSIONS } from '../../constants.js';
+import { hasPermission } from '../permissions.js';
+import { applyPermissionBlock, applyChecklistBlock } from '../../../../scripts/syncFirestoreRules.js';
+import { CHECKLIST_LIMITS } from '../../../features/tasks/utils/checklist.js';
+
+const readRelative = (path) => readFileSync(fileURLToPath(new URL(path, import.meta.url)), 'utf8');
+
+describe('Permissions', () => {
+  test('should match firestore.rules', () => {
+    const rules = readRelative('../../../../firestore.rules');
+    expect(rules).toBe(applyPermissionBlock(rules, PERMISSIONS));
+  });
+
+  test('should check each checklist item up to the limit in firestore.rules', () => {
+    const rules = readRelative('../../../../firestore.rules');
+    expect(rules).toBe(applyChecklistBlock(rules, CHECKLIST_LIMITS.MAX_ITEMS));
+  });
+
+  test('should only let management and admins manage voucher products', () => {
+    expect(hasPermission('Management', 'MANAGE_VOUCHER_PRODUCTS')).toBe(true);
+    expect(hasPermission('Admin', 'MANAGE_VOUCHER_PRODUCTS')).toBe(true);
+    expect(hasPermission('Head', 'MANAGE_VOUCHER_PRODUCTS')).toBe(false);
+    expect(hasPermission('User', 'MANAGE_VOUCHER_PRODUCTS')).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Points Engine Golden Tests
+ *
+ * Locks EP/LP/bonus/penalty/TCS results against fixtures/pointsEngine.golden.json
+ * so every screen and the weekly archive keep showing the same numbers.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  calculateTaskPoints,
+  calculateLeadershipPoints,
+  calculateRankings,
+  calculateUserScore,
+  getTaskHoursTaken,
+  parseDateKey,
+} from '../pointsEngine.js';
+import { buildFunctionsCopy } from '../../../../scripts/syncSharedModules.js';
+
+const readRelative = (path) => readFileSync(fileURLToPath(new URL(path, import.meta.url)), 'utf8');
+
+const golden = JSON.parse(readRelative('./fixtures/pointsEngine.golden.json'));
+
+const weekRange = {
+  startDate: parseDateKey(golden.range.start),
+  endDate: new Date(parseDateKey(golden.range.end).getTime() + (24 * 60 * 60 * 1000) - 1),
+};
+
+describe('Points Engine', () => {
+  describe('calculateTaskPoints', () => {
+    golden.tasks.forEach((task) => {
+      test(`EP for ${task.id}`, () => {
+        expect(calculateTaskPoints(task)).toBe(task.expected.ep);
+      });
+    });
+
+    test('should return 0 for users not assigned to the task', () => {
+      expect(calculateTaskPoints(golden.tasks[0], 'not-assigned')).toBe(0);
+    });
+  });
+
+  describe('calculateLeadershipPoints', () => {
+    golden.tasks.forEach((task) => {
+      test(`LP for ${task.id}`, () => {
+        const lp = calculateLeadershipPoints(task, calculateTaskPoints(task));
+        expect({
+          completionBonus: lp.completionBonus,
+          difficultyFairness: lp.difficultyFairness,
+          onTimeBonus: lp.onTimeBonus,
+          total: lp.total,
+        }).toEqual(task.expected.lp);
+      });
+    });
+
+    test('should judge difficulty fairness on tracked work time when there is any', () => {
+      // Easy task open over a weekend: 72 hours elapsed, 3 hours worked
+      const task = {
+        assignedUserIds: ['alice'],
+        difficulty: 'easy',
+        status: 'Complete',
+        startedAt: '2026-03-06T10:00:00Z',
+        completedAt: '2026-03-09T10:00:00Z',
+      };
+      expect(getTaskHoursTaken(task)).toBe(72);
+      expect(calculateLeadershipPoints(task, 10).difficultyFairness).toBe(0);
+
+      const tracked = { ...task, workedMinutes: 180 };
+      expect(getTaskHoursTaken(tracked)).toBe(3);
+      expect(calculateLeadershipPoints(tracked, 10).difficultyFairness).toBe(1);
+      expect(getTaskHoursTaken({ completedAt: task.completedAt })).toBeNull();
+    });
+  });
+
+  describe('calculateRankings', () => {
+    test('should match the golden weekly leaderboard', () => {
+      const rankings = calculateRankings(golden.users, golden.tasks, weekRange).map((row) => ({
+        id: row.id,
+        executionPoints: row.executionPoints,
+        leadershipPoints: row.leadershipPoints,
+        bonusPoints: row.bonusPoints,
+        penaltyPoints: row.penaltyPoints,
+        tcs: row.tcs,
+        completedTasks: row.completedTasks,
+      }));
+      expect(rankings).toEqual(golden.expectedWeeklyRankings);
+    });
+  });
+
+  describe('calculateUserScore', () => {
+    test('should match the golden all-time score', () => {
+      Object.entries(golden.expectedAllTime).forEach(([userId, expected]) => {
+        const user = golden.users.find((u) => u.id === userId);
+        const { leadership, ...score } = calculateUserScore(user, golden.tasks);
+        expect(score).toEqual(expected);
+        expect(leadership.total).toBe(expected.leadershipPoints);
+      });
+    });
+  });
+
+  describe('Cloud Functions copy', () => {
+    test('should be identical to the web app engine', () => {
+      const source = readRelative('../pointsEngine.js');
+      const functionsCopy = readRelative('../../../../functions/shared/pointsEngine.mjs');
+      expect(functionsCopy).toBe(buildFunctionsCopy(source, 'src/shared/utils/pointsEngine.js'));
+    });
+  });
+});
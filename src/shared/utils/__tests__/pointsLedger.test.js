@@ -0,0 +1,116 @@
+/**
+ * Points Ledger Replay Tests
+ *
+ * Balances are derived by replaying ledger entries, so the replay must be
+ * deterministic and must honour lot expiry.
+ */
+
+import { createRequire } from 'node:module';
+import { DAILY_BONUS_POINTS as CLIENT_DAILY_BONUS_POINTS } from '../dailyBonus.js';
+
+const require = createRequire(import.meta.url);
+const { replayLedger, buildOpeningEntries, buildLegacyTcsEntry, buildDailyBonusClaim, DAILY_BONUS_POINTS } = require('../../../../functions/pointsLedger.js');
+
+const at = (iso) => new Date(`${iso}T00:00:00Z`);
+
+const entries = [
+  { id: 'a', type: 'earned', points: 100, occurredAt: at('2026-01-01'), expiresAt: at('2026-04-01') },
+  { id: 'b', type: 'bonus', points: 50, occurredAt: at('2026-03-01'), expiresAt: at('2026-05-30') },
+  { id: 'c', type: 'redeemed', points: -120, occurredAt: at('2026-03-05') },
+  { id: 'd', type: 'refunded', points: 20, occurredAt: at('2026-03-06'), expiresAt: at('2026-06-04') },
+  { id: 'e', type: 'adjusted', points: -10, occurredAt: at('2026-03-07') },
+];
+
+describe('Points Ledger', () => {
+  describe('replayLedger', () => {
+    test('should spend the oldest lots first', () => {
+      const replay = replayLedger(entries, at('2026-05-25'));
+      expect(replay.balance).toBe(40);
+      expect(replay.usable).toBe(40);
+      expect(replay.lots.map((lot) => lot.remaining)).toEqual([0, 20, 20]);
+      expect(replay.expiringSoon).toEqual([
+        { entryId: 'b', points: 20, expirationDate: '2026-05-30T00:00:00.000Z', daysUntilExpiry: 5 },
+      ]);
+    });
+
+    test('should be independent of entry order', () => {
+      const now = at('2026-05-25');
+      expect(replayLedger([...entries].reverse(), now)).toEqual(replayLedger(entries, now));
+    });
+
+    test('should report lots past expiry as pending expiry', () => {
+      const replay = replayLedger(entries, at('2026-06-10'));
+      expect(replay.usable).toBe(0);
+      expect(replay.expiredPending).toEqual([
+        { entryId: 'b', points: 20 },
+        { entryId: 'd', points: 20 },
+      ]);
+    });
+
+    test('should apply expired entries to the lot they reference', () => {
+      const replay = replayLedger([
+        ...entries,
+        { id: 'f', type: 'expired', points: -20, lotEntryId: 'b', occurredAt: at('2026-05-31') },
+      ], at('2026-06-01'));
+      expect(replay.balance).toBe(20);
+      expect(replay.usable).toBe(20);
+      expect(replay.expiredPending).toEqual([]);
+    });
+  });
+
+  describe('buildOpeningEntries', () => {
+    test('should migrate unexpired pointsHistory lots', () => {
+      const opening = buildOpeningEntries({
+        pointsHistory: {
+          '2026-01-01': { points: 30, isUsable: true },
+          '2026-05-01': { points: 40, isUsable: true },
+          '2026-05-02-adj-1': { points: 0, isUsable: false },
+        },
+      }, at('2026-05-25'));
+      expect(opening.map((entry) => [entry.type, entry.points, entry.source.id])).toEqual([
+        ['earned', 40, '2026-05-01'],
+      ]);
+    });
+
+    test('should not seed from stored TCS', () => {
+      expect(buildOpeningEntries({ totalTCS: 75.6 }, at('2026-05-25'))).toEqual([]);
+    });
+  });
+
+  describe('buildLegacyTcsEntry', () => {
+    test('should credit stored TCS once when there is no history', () => {
+      const entry = buildLegacyTcsEntry('alice', { totalTCS: 75.6 }, at('2026-05-25'));
+      expect(entry).toMatchObject({ id: 'legacyTcs_alice', type: 'earned', points: 75, source: { kind: 'legacyTcs' } });
+    });
+
+    test('should skip users with pointsHistory or no TCS', () => {
+      expect(buildLegacyTcsEntry('alice', { totalTCS: 75, pointsHistory: { '2026-05-01': { points: 40 } } })).toBeNull();
+      expect(buildLegacyTcsEntry('alice', { weeklyTCS: 0 })).toBeNull();
+    });
+  });
+
+  describe('buildDailyBonusClaim', () => {
+    // 20:00 UTC on 9 March is already 10 March in India
+    const now = new Date('2026-03-09T20:00:00Z');
+
+    test('should credit the fixed amount for today in IST', () => {
+      const { dateKey, entry, claim } = buildDailyBonusClaim('ram', {}, now);
+      expect(dateKey).toBe('2026-03-10');
+      expect(entry).toEqual({
+        id: 'bonus_ram_2026-03-10',
+        type: 'bonus',
+        points: DAILY_BONUS_POINTS,
+        source: { kind: 'dailyBonus', id: '2026-03-10' },
+        occurredAt: now,
+      });
+      expect(claim).toEqual({ points: DAILY_BONUS_POINTS, claimedAt: now.toISOString() });
+      expect(DAILY_BONUS_POINTS).toBe(CLIENT_DAILY_BONUS_POINTS);
+    });
+
+    test('should ignore amounts on the user document and refuse a second claim', () => {
+      const userData = { dailyBonusLedger: { '2026-03-09': { points: 100000 } } };
+      expect(buildDailyBonusClaim('ram', userData, now).entry.points).toBe(DAILY_BONUS_POINTS);
+      expect(() => buildDailyBonusClaim('ram', { dailyBonusLedger: { '2026-03-10': 0 } }, now)).toThrow('already claimed');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Project Tests
+ *
+ * Covers the project timeline (spans, dependency links, slippage against the
+ * baseline), who may manage projects, and the projects API on the in-memory
+ * backend.
+ */
+
+import {
+  toProjectContent,
+  canCreateProject,
+  canManageProject,
+  getTaskSpan,
+  buildProjectBaseline,
+  buildProjectTimeline,
+  getVisibleProjects,
+  getLinkableProjects,
+  daysBetween,
+} from '../../../features/projects/utils/projects.js';
+import { createProject, updateProject, saveProjectBaseline } from '../../../features/projects/api/projectsApi.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { projectsRepository } from '../../data/projectsRepository.js';
+import { tasksRepository } from '../../data/tasksRepository.js';
+
+const USERS = {
+  helen: { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  alice: { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  mona: { id: 'mona', name: 'Mona', role: 'Management', departmentIds: [] },
+};
+
+const TODAY = '2026-03-10';
+// Noon IST on a day
+const on = (key) => new Date(`${key}T12:00:00+05:30`);
+
+const PROJECT = {
+  id: 'p1',
+  name: 'New packing line',
+  ownerId: 'alice',
+  departmentIds: ['ops', 'qc'],
+  memberIds: ['alice'],
+  startDate: '2026-03-01',
+  endDate: '2026-03-20',
+};
+
+const TASKS = [
+  { id: 'design', projectId: 'p1', title: 'Design', status: 'Complete', createdAt: on('2026-03-01'), startedAt: on('2026-03-02'), targetDate: '2026-03-05', completedAt: on('2026-03-06') },
+  { id: 'build', projectId: 'p1', title: 'Build', status: 'Ongoing', createdAt: on('2026-03-01'), startedAt: on('2026-03-06'), targetDate: '2026-03-08', blockedByTaskIds: ['design'] },
+  { id: 'test', projectId: 'p1', title: 'Test', status: 'Pending', createdAt: on('2026-03-03'), targetDate: '2026-03-18', blockedByTaskIds: ['build', 'elsewhere'] },
+  { id: 'gone', projectId: 'p1', title: 'Gone', status: 'Deleted', createdAt: on('2026-03-03') },
+  { id: 'elsewhere', projectId: 'p2', title: 'Other project', status: 'Pending', createdAt: on('2026-03-01') },
+];
+
+describe('project helpers', () => {
+  test('tidies form values and rejects incomplete projects', () => {
+    expect(toProjectContent({ ...PROJECT, name: ' Line ', memberIds: ['bob'], departmentIds: ['ops', 'ops'] }))
+      .toMatchObject({ name: 'Line', departmentIds: ['ops'], memberIds: ['bob', 'alice'] });
+    expect(() => toProjectContent({ ...PROJECT, name: '' })).toThrow('name is required');
+    expect(() => toProjectContent({ ...PROJECT, departmentIds: [] })).toThrow('at least one department');
+    expect(() => toProjectContent({ ...PROJECT, endDate: '2026-02-01' })).toThrow('before the start date');
+  });
+
+  test('lets heads of a department and the owner manage a project', () => {
+    expect(canCreateProject(USERS.helen, ['ops', 'sales'])).toBe(true);
+    expect(canCreateProject(USERS.helen, ['sales'])).toBe(false);
+    expect(canCreateProject(USERS.alice, ['ops'])).toBe(false);
+    expect(canCreateProject(USERS.mona, ['sales'])).toBe(true);
+    expect(canManageProject(USERS.alice, PROJECT)).toBe(true);
+    expect(canManageProject({ ...USERS.alice, id: 'bob' }, PROJECT)).toBe(false);
+  });
+
+  test('draws open tasks to their target date and overdue ones to today', () => {
+    expect(getTaskSpan(TASKS[0], TODAY)).toEqual({ startDate: '2026-03-02', plannedEndDate: '2026-03-05', endDate: '2026-03-06', isComplete: true, isOverdue: false });
+    expect(getTaskSpan(TASKS[1], TODAY)).toMatchObject({ startDate: '2026-03-06', endDate: TODAY, isOverdue: true });
+    expect(getTaskSpan(TASKS[2], TODAY)).toMatchObject({ startDate: '2026-03-03', endDate: '2026-03-18', isOverdue: false });
+    // A target date before the start does not make the bar run backwards
+    expect(getTaskSpan({ ...TASKS[2], targetDate: '2026-03-01' }, '2026-03-02').endDate).toBe('2026-03-03');
+  });
+
+  test('links tasks to their blockers within the project', () => {
+    const { rows, links, range } = buildProjectTimeline(PROJECT, TASKS, { today: TODAY });
+    expect(rows.map((row) => row.task.id)).toEqual(['design', 'test', 'build']);
+    expect(links).toEqual([{ fromId: 'build', toId: 'test' }, { fromId: 'design', toId: 'build' }]);
+    expect(range).toEqual({ startDate: '2026-03-01', endDate: '2026-03-20', days: 20 });
+  });
+
+  test('measures slippage against the saved baseline', () => {
+    const baseline = buildProjectBaseline(PROJECT, TASKS, '2026-03-04');
+    expect(baseline.tasks).toEqual({
+      design: { startDate: '2026-03-02', endDate: '2026-03-06' },
+      build: { startDate: '2026-03-06', endDate: '2026-03-08' },
+      test: { startDate: '2026-03-03', endDate: '2026-03-18' },
+    });
+
+    const tasks = [
+      ...TASKS.map((task) => (task.id === 'test' ? { ...task, targetDate: '2026-03-24' } : task)),
+      { id: 'extra', projectId: 'p1', title: 'Extra', status: 'Pending', createdAt: on('2026-03-09'), targetDate: '2026-03-12' },
+    ];
+    const { rows, summary } = buildProjectTimeline({ ...PROJECT, baseline }, tasks, { today: TODAY });
+    const slips = Object.fromEntries(rows.map((row) => [row.task.id, row.slipDays]));
+    expect(slips).toEqual({ design: 0, build: 2, test: 6, extra: null });
+    expect(summary).toMatchObject({
+      taskCount: 4,
+      completedCount: 1,
+      overdueCount: 1,
+      slippedCount: 2,
+      unplannedCount: 1,
+      maxSlipDays: 6,
+      projectedEndDate: '2026-03-24',
+      endSlipDays: 4,
+    });
+  });
+
+  test('shows the projects of someone\'s departments and those they are in', () => {
+    const projects = [
+      PROJECT,
+      { ...PROJECT, id: 'p2', departmentIds: ['sales'], memberIds: ['alice'], startDate: '2026-02-01' },
+      { ...PROJECT, id: 'p3', departmentIds: ['sales'], memberIds: [] },
+      { ...PROJECT, id: 'p4', isArchived: true },
+    ];
+    expect(getVisibleProjects(projects, { departmentIds: ['ops'], memberId: 'alice' }).map((project) => project.id)).toEqual(['p2', 'p1']);
+    expect(getVisibleProjects(projects, { includeArchived: true })).toHaveLength(4);
+    expect(getLinkableProjects(projects, 'sales').map((project) => project.id)).toEqual(['p2', 'p3']);
+    expect(getLinkableProjects(projects, '')).toEqual([]);
+    expect(daysBetween('2026-03-30', '2026-04-02')).toBe(3);
+  });
+});
+
+describe('projects API', () => {
+  const values = { name: 'New packing line', departmentIds: ['ops'], ownerId: 'alice', startDate: '2026-03-01', endDate: '2026-03-20' };
+
+  beforeEach(() => {
+    setDataBackend(createMemoryBackend({}, { now: () => new Date('2026-03-01T00:00:00Z') }));
+  });
+
+  afterEach(() => setDataBackend(null));
+
+  test('saves a baseline the owner can replace', async () => {
+    const projectId = await createProject(values, USERS.helen);
+    const project = await projectsRepository.get(projectId);
+    expect(project).toMatchObject({ memberIds: ['alice'], baseline: null, isArchived: false });
+
+    // Read from the tasks collection, whether or not the task list has them
+    await Promise.all(TASKS.map(({ id, ...task }) => (
+      tasksRepository.set(id, task.projectId === 'p1' ? { ...task, projectId } : task, { merge: true })
+    )));
+    await saveProjectBaseline(project, USERS.alice);
+
+    const saved = await projectsRepository.get(projectId);
+    expect(Object.keys(saved.baseline.tasks).sort()).toEqual(['build', 'design', 'test']);
+    expect(saved.baseline).toMatchObject({ startDate: '2026-03-01', endDate: '2026-03-20', savedById: 'alice' });
+  });
+
+  test('refuses users who may not create or manage the project', async () => {
+    await expect(createProject(values, USERS.alice)).rejects.toThrow('one of your departments');
+
+    const projectId = await createProject({ ...values, ownerId: 'helen' }, USERS.helen);
+    const project = await projectsRepository.get(projectId);
+    await expect(saveProjectBaseline(project, USERS.alice)).rejects.toThrow('project owner');
+    await expect(updateProject(project, { ...values, departmentIds: ['sales'], ownerId: 'mona' }, USERS.helen)).rejects.toThrow('no longer be able');
+    await expect(updateProject(project, { ...values, name: '' }, USERS.helen)).rejects.toThrow('name is required');
+  });
+});
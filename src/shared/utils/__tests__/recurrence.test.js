@@ -0,0 +1,114 @@
+/**
+ * Recurrence Engine Tests
+ *
+ * Covers RRULE expansion, EXDATEs and holiday handling shared by the app and
+ * the processScheduledTasks Cloud Function.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  parseRRule,
+  formatRRule,
+  patternToRule,
+  patternToICalendar,
+  getUpcomingOccurrences,
+  toDateKey,
+  fromDateKey,
+} from '../recurrence.js';
+import { buildFunctionsCopy } from '../../../../scripts/syncSharedModules.js';
+
+const readRelative = (path) => readFileSync(fileURLToPath(new URL(path, import.meta.url)), 'utf8');
+const dates = (pattern, startKey, options) => getUpcomingOccurrences(pattern, startKey, options).map((o) => o.date);
+
+describe('Recurrence engine', () => {
+  describe('Monthly patterns', () => {
+    test('should support every 2nd and 4th Saturday', () => {
+      const pattern = { type: 'monthly', interval: 1, monthlyType: 'weekday', monthlyWeekdays: ['second', 'fourth'], monthlyWeekdayName: 'saturday' };
+      expect(formatRRule(patternToRule(pattern))).toBe('FREQ=MONTHLY;BYDAY=2SA,4SA');
+      expect(dates(pattern, '2026-03-01', { limit: 4 })).toEqual(['2026-03-14', '2026-03-28', '2026-04-11', '2026-04-25']);
+    });
+
+    test('should support the last weekday of the month', () => {
+      const pattern = { type: 'monthly', interval: 1, monthlyType: 'weekday', monthlyWeekday: 'last', monthlyWeekdayName: 'weekday' };
+      // 31 May 2026 is a Sunday
+      expect(dates(pattern, '2026-04-01', { limit: 3 })).toEqual(['2026-04-30', '2026-05-29', '2026-06-30']);
+    });
+
+    test('should fall back to the last day in shorter months', () => {
+      const pattern = { type: 'monthly', interval: 1, monthlyType: 'day', monthlyDay: 31 };
+      expect(dates(pattern, '2026-01-01', { limit: 3 })).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+  });
+
+  test('should repeat weekly patterns every other week', () => {
+    const pattern = { type: 'weekly', interval: 2, weekdays: ['monday', 'thursday'] };
+    expect(dates(pattern, '2026-03-02', { limit: 4 })).toEqual(['2026-03-02', '2026-03-05', '2026-03-16', '2026-03-19']);
+  });
+
+  test('should stop at COUNT and UNTIL', () => {
+    const daily = { type: 'daily', interval: 1 };
+    expect(dates({ ...daily, range: { type: 'end_after', occurrences: 2 } }, '2026-03-01')).toEqual(['2026-03-01', '2026-03-02']);
+    expect(dates({ ...daily, range: { type: 'end_by', endDate: '2026-03-03' } }, '2026-03-01')).toEqual(['2026-03-01', '2026-03-02', '2026-03-03']);
+  });
+
+  test('should leave out EXDATEs', () => {
+    const pattern = { type: 'weekly', interval: 1, weekdays: ['monday'], exdates: ['2026-03-09'] };
+    expect(dates(pattern, '2026-03-02', { limit: 3 })).toEqual(['2026-03-02', '2026-03-16', '2026-03-23']);
+  });
+
+  describe('Holidays', () => {
+    const weekly = { type: 'weekly', interval: 1, weekdays: ['monday'] };
+    const holidays = [{ date: '2026-03-09', name: 'Holi' }, { date: '2026-03-10', name: 'Holi' }];
+
+    test('should skip or shift occurrences that fall on a holiday', () => {
+      expect(dates({ ...weekly, holidayPolicy: 'ignore' }, '2026-03-02', { limit: 2, holidays })).toEqual(['2026-03-02', '2026-03-09']);
+      expect(dates({ ...weekly, holidayPolicy: 'skip' }, '2026-03-02', { limit: 2, holidays })).toEqual(['2026-03-02', '2026-03-16']);
+      expect(dates({ ...weekly, holidayPolicy: 'shift_earlier' }, '2026-03-02', { limit: 2, holidays })).toEqual(['2026-03-02', '2026-03-08']);
+    });
+
+    test('should keep the series date of a shifted occurrence', () => {
+      const occurrences = getUpcomingOccurrences({ ...weekly, holidayPolicy: 'shift_later' }, '2026-03-02', { after: '2026-03-02', limit: 2, holidays });
+      expect(occurrences).toEqual([
+        { date: '2026-03-11', seriesDate: '2026-03-09' },
+        { date: '2026-03-16', seriesDate: '2026-03-16' },
+      ]);
+    });
+  });
+
+  describe('RRULE text', () => {
+    test('should import a custom RRULE with EXDATEs', () => {
+      const text = 'DTSTART;VALUE=DATE:20260301\nRRULE:FREQ=YEARLY;BYMONTH=3,9;BYMONTHDAY=15\nEXDATE;VALUE=DATE:20260915';
+      const { dtstart, exdates } = parseRRule(text);
+      expect(dtstart).toBe('2026-03-01');
+      expect(exdates).toEqual(['2026-09-15']);
+      expect(dates({ type: 'custom', rrule: text }, '2026-03-01', { limit: 3 })).toEqual(['2026-03-15', '2027-03-15', '2027-09-15']);
+    });
+
+    test('should reject unsupported RRULEs', () => {
+      expect(() => parseRRule('FREQ=HOURLY')).toThrow('Unsupported FREQ');
+      expect(() => parseRRule('FREQ=DAILY;BYHOUR=9')).toThrow('Unsupported RRULE part');
+      expect(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20260101')).toThrow();
+      expect(() => parseRRule('')).toThrow('missing FREQ');
+    });
+
+    test('should export patterns as iCalendar text that imports back', () => {
+      const pattern = { type: 'weekly', interval: 2, weekdays: ['friday'], exdates: ['2026-03-13'], range: { type: 'end_after', occurrences: 5 } };
+      const text = patternToICalendar(pattern, '2026-03-02');
+      expect(text).toBe('DTSTART;VALUE=DATE:20260302\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;COUNT=5\nEXDATE;VALUE=DATE:20260313');
+      expect(dates({ type: 'custom', rrule: text }, '2026-03-02')).toEqual(dates(pattern, '2026-03-02'));
+    });
+  });
+
+  test('should convert timestamps to IST calendar days', () => {
+    expect(toDateKey(new Date('2026-03-09T18:30:00Z'))).toBe('2026-03-10');
+    expect(toDateKey({ seconds: Date.parse('2026-03-09T18:29:00Z') / 1000 })).toBe('2026-03-09');
+    expect(fromDateKey('2026-03-10').toISOString()).toBe('2026-03-09T18:30:00.000Z');
+  });
+
+  test('should keep the Cloud Functions copy in sync', () => {
+    const source = readRelative('../recurrence.js');
+    const functionsCopy = readRelative('../../../../functions/shared/recurrence.mjs');
+    expect(functionsCopy).toBe(buildFunctionsCopy(source, 'src/shared/utils/recurrence.js'));
+  });
+});
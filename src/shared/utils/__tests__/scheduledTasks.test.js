@@ -0,0 +1,108 @@
+/**
+ * Scheduled Task Processing Tests
+ *
+ * Covers occurrence ids and catch-up of missed occurrences in the
+ * processScheduledTasks Cloud Function.
+ */
+
+import { createRequire } from 'node:module';
+import * as recurrence from '../recurrence.js';
+
+const require = createRequire(import.meta.url);
+const {
+  MISSED_OCCURRENCE_POLICIES,
+  getOccurrenceTaskId,
+  getMissedOccurrencePolicy,
+  planOccurrences,
+  selectOccurrencesToCreate,
+} = require('../../../../functions/scheduledTasks.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+// 2026-03-10 11:30 IST
+const NOW = new Date('2026-03-10T06:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY);
+const midnight = (key) => recurrence.fromDateKey(key);
+const daily = { type: 'daily', interval: 1, range: { type: 'no_end' } };
+const context = { recurrence };
+
+describe('Scheduled task processing', () => {
+  test('should give each occurrence a deterministic task id', () => {
+    expect(getOccurrenceTaskId('sched1', '2026-03-10')).toBe('sched1_2026-03-10');
+  });
+
+  describe('planOccurrences', () => {
+    test('should list every occurrence missed during downtime', () => {
+      const schedule = { recurrencePattern: daily, nextOccurrence: midnight('2026-03-07'), occurrenceCount: 5 };
+      const plan = planOccurrences(schedule, NOW, context);
+      expect(plan.due.map((occurrence) => occurrence.date)).toEqual(['2026-03-07', '2026-03-08', '2026-03-09', '2026-03-10']);
+      expect(plan.next).toEqual({ date: '2026-03-11', seriesDate: '2026-03-11' });
+      expect(plan.occurrenceCount).toBe(9);
+      expect(plan.ended).toBe(false);
+    });
+
+    test('should end the schedule after its last occurrence', () => {
+      const pattern = { ...daily, range: { type: 'end_after', occurrences: 3 } };
+      const schedule = { recurrencePattern: pattern, scheduledStartDate: midnight('2026-03-05'), nextOccurrence: midnight('2026-03-06') };
+      const plan = planOccurrences(schedule, NOW, context);
+      expect(plan.due.map((occurrence) => occurrence.date)).toEqual(['2026-03-06', '2026-03-07']);
+      expect(plan).toMatchObject({ next: null, ended: true });
+    });
+
+    test('should keep regenerate schedules waiting for completion', () => {
+      const pattern = { type: 'monthly', interval: 1, monthlyType: 'regenerate', regenerateAfter: 1 };
+      const plan = planOccurrences({ recurrencePattern: pattern, nextOccurrence: daysAgo(1) }, NOW, context);
+      expect(plan.due).toHaveLength(1);
+      expect(plan).toMatchObject({ next: null, ended: false });
+    });
+
+    test('should reach the latest occurrence however long the schedule was missed', () => {
+      // 2025-10-01 to 2026-03-10: 161 occurrences
+      const schedule = { recurrencePattern: daily, nextOccurrence: midnight('2025-10-01'), occurrenceCount: 0 };
+      const latest = planOccurrences(schedule, NOW, { ...context, policy: MISSED_OCCURRENCE_POLICIES.LATEST });
+      expect(latest.due.map((occurrence) => occurrence.date)).toEqual(['2026-03-10']);
+      expect(latest).toMatchObject({ next: { date: '2026-03-11' }, occurrenceCount: 161 });
+
+      const skip = planOccurrences(schedule, NOW, { ...context, policy: MISSED_OCCURRENCE_POLICIES.SKIP });
+      expect(skip.due.map((occurrence) => occurrence.date)).toEqual(['2026-03-10']);
+
+      const all = planOccurrences(schedule, NOW, { ...context, policy: MISSED_OCCURRENCE_POLICIES.ALL });
+      expect(all.due).toHaveLength(100);
+      expect(all.next).toEqual({ date: '2026-01-09', seriesDate: '2026-01-09' });
+    });
+
+    test('should return nothing before the next occurrence', () => {
+      expect(planOccurrences({ recurrencePattern: daily, nextOccurrence: midnight('2026-03-11') }, NOW, context).due).toEqual([]);
+    });
+
+    test('should continue a shifted series from its series date', () => {
+      const pattern = { type: 'weekly', interval: 1, weekdays: ['monday'], holidayPolicy: 'shift_later' };
+      const schedule = {
+        recurrencePattern: pattern,
+        scheduledStartDate: midnight('2026-03-02'),
+        // Monday 9 March was a holiday, so that occurrence moved to Tuesday
+        nextOccurrence: midnight('2026-03-10'),
+        nextSeriesDate: '2026-03-09',
+      };
+      const plan = planOccurrences(schedule, NOW, { recurrence, holidays: [{ date: '2026-03-09' }] });
+      expect(plan.due).toMatchObject([{ date: '2026-03-10', seriesDate: '2026-03-09' }]);
+      expect(plan.next).toEqual({ date: '2026-03-16', seriesDate: '2026-03-16' });
+    });
+  });
+
+  describe('selectOccurrencesToCreate', () => {
+    const due = [3, 2, 1.5, 0.25].map((days) => ({ at: daysAgo(days) }));
+
+    test('should apply the missed occurrence policy', () => {
+      expect(selectOccurrencesToCreate(due, MISSED_OCCURRENCE_POLICIES.ALL, NOW)).toEqual(due);
+      expect(selectOccurrencesToCreate(due, MISSED_OCCURRENCE_POLICIES.LATEST, NOW)).toEqual([due[3]]);
+      expect(selectOccurrencesToCreate(due, MISSED_OCCURRENCE_POLICIES.SKIP, NOW)).toEqual([due[3]]);
+      expect(selectOccurrencesToCreate(due.slice(0, 2), MISSED_OCCURRENCE_POLICIES.SKIP, NOW)).toEqual([]);
+    });
+
+    test('should default to creating the latest occurrence', () => {
+      expect(getMissedOccurrencePolicy({})).toBe(MISSED_OCCURRENCE_POLICIES.LATEST);
+      expect(getMissedOccurrencePolicy({ missedOccurrences: 'bogus' })).toBe(MISSED_OCCURRENCE_POLICIES.LATEST);
+      expect(getMissedOccurrencePolicy({ missedOccurrences: 'skip' })).toBe('skip');
+    });
+  });
+});
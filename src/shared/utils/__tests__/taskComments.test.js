@@ -0,0 +1,241 @@
+/**
+ * Task Comments Tests
+ *
+ * Covers @mentions, replies, edits, reactions and unread markers
+ * (src/features/tasks/utils/taskComments.js), the comment API on the memory
+ * backend, and which mentions the Cloud Function notifies.
+ */
+
+import { createRequire } from 'node:module';
+import {
+  getCommentThreadId,
+  splitMentions,
+  parseMentions,
+  getMentionQuery,
+  getMentionSuggestions,
+  insertMention,
+  buildComment,
+  buildCommentEdit,
+  canDeleteComments,
+  toggleReaction,
+  summarizeReactions,
+  groupCommentThreads,
+  isUnreadComment,
+  hasUnreadComments,
+} from '../../../features/tasks/utils/taskComments.js';
+import {
+  addTaskComment,
+  subscribeTaskComments,
+  editTaskComment,
+  toggleCommentReaction,
+  deleteTaskComment,
+  getCommentReadTime,
+  markCommentsRead,
+  subscribeCommentReadTimes,
+} from '../../../features/tasks/api/commentApi.js';
+import { encodeOutboxValue } from '../../../features/tasks/utils/taskOutbox.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { taskCommentsRepository } from '../../data/tasksRepository.js';
+
+const require = createRequire(import.meta.url);
+const { getNewMentions } = require('../../../../functions/taskComments.js');
+
+const USERS = [
+  { id: 'ram', name: 'Ram', role: 'User' },
+  { id: 'ramk', name: 'Ram Kumar', role: 'User' },
+  { id: 'sita', name: 'Sita', role: 'Head' },
+  { id: 'adam', name: 'Adam', role: 'Admin' },
+];
+const [ram, ramKumar, sita, adam] = USERS;
+
+const task = { id: 't1', title: 'Fix pump' };
+const at = (minutes) => new Date(Date.UTC(2026, 2, 10, 6, minutes));
+
+describe('Task comment helpers', () => {
+  test('should share the original task\'s thread with its material requests', () => {
+    expect(getCommentThreadId(task)).toBe('t1');
+    expect(getCommentThreadId({ id: 'r1', type: 'material_request', originalTaskId: 't1' })).toBe('t1');
+    expect(getCommentThreadId({ id: 'r2', type: 'material_request' })).toBe('r2');
+    expect(getCommentThreadId(null)).toBeNull();
+  });
+
+  test('should find mentions, preferring the longest name', () => {
+    expect(splitMentions('Ask @Ram Kumar and @sita.', USERS)).toEqual([
+      { text: 'Ask ' },
+      { text: '@Ram Kumar', userId: 'ramk' },
+      { text: ' and ' },
+      { text: '@sita', userId: 'sita' },
+      { text: '.' },
+    ]);
+    expect(parseMentions('@Ram, @Ram again and @Ramesh', USERS)).toEqual(['ram']);
+    expect(parseMentions('No mentions here', USERS)).toEqual([]);
+  });
+
+  test('should suggest people for the mention being typed', () => {
+    expect(getMentionQuery('Hi @Ra', 6)).toEqual({ start: 3, query: 'Ra' });
+    expect(getMentionQuery('mail@Ra', 7)).toBeNull();
+    expect(getMentionQuery('@Ram\nok', 7)).toBeNull();
+    expect(getMentionSuggestions(USERS, 'ra', { excludeIds: ['ram'] }).map((user) => user.id)).toEqual(['ramk']);
+    expect(getMentionSuggestions(USERS, 'kum').map((user) => user.id)).toEqual(['ramk']);
+    expect(getMentionSuggestions(USERS, '').map((user) => user.id)).toEqual(['adam', 'ram', 'ramk', 'sita']);
+  });
+
+  test('should insert the chosen name at the cursor', () => {
+    const text = 'Hi @Si please check';
+    const mention = getMentionQuery(text, 6);
+    expect(insertMention(text, mention, 6, sita)).toEqual({ text: 'Hi @Sita please check', caret: 9 });
+  });
+
+  test('should build comments, replying within the top-level thread', () => {
+    const comment = buildComment({ text: ' @Sita and @Ram look ', user: ram, users: USERS, task, now: at(0) });
+    expect(comment).toEqual({
+      id: `${at(0).getTime()}_ram`,
+      taskId: 't1',
+      text: '@Sita and @Ram look',
+      userId: 'ram',
+      userName: 'Ram',
+      createdAt: at(0),
+      parentId: null,
+      mentions: ['sita'],
+      reactions: {},
+    });
+
+    const reply = buildComment({ text: 'Done', user: sita, task, replyTo: comment, now: at(1) });
+    expect(reply.parentId).toBe(comment.id);
+    const replyToReply = buildComment({ text: 'Thanks', user: ram, task, replyTo: reply, type: 'review', now: at(2) });
+    expect(replyToReply).toMatchObject({ parentId: comment.id, type: 'review' });
+    expect(() => buildComment({ text: '  ', user: ram, task })).toThrow('cannot be empty');
+  });
+
+  test('should keep earlier versions when a comment is edited', () => {
+    const comment = buildComment({ text: 'First', user: ram, task, now: at(0) });
+    const edit = buildCommentEdit(comment, 'Second @Sita', { editor: ram, users: USERS, now: at(5) });
+    expect(edit).toEqual({
+      text: 'Second @Sita',
+      mentions: ['sita'],
+      editedAt: at(5),
+      editHistory: [{ text: 'First', at: at(0) }],
+    });
+    const again = buildCommentEdit({ ...comment, ...edit }, 'Third', { editor: ram, now: at(9) });
+    expect(again.editHistory).toEqual([{ text: 'First', at: at(0) }, { text: 'Second @Sita', at: at(5) }]);
+    expect(buildCommentEdit(comment, ' First ', { editor: ram })).toBeNull();
+    expect(() => buildCommentEdit(comment, 'Mine now', { editor: sita })).toThrow('Only the author');
+  });
+
+  test('should leave deleting comments to admins', () => {
+    expect(canDeleteComments(adam)).toBe(true);
+    expect(canDeleteComments(sita)).toBe(false);
+    expect(canDeleteComments(null)).toBe(false);
+  });
+
+  test('should toggle each person\'s reactions and count them', () => {
+    let comment = { reactions: {} };
+    comment = { reactions: toggleReaction(comment, 'ram', '👍') };
+    comment = { reactions: toggleReaction(comment, 'sita', '👍') };
+    comment = { reactions: toggleReaction(comment, 'sita', '🎉') };
+    expect(summarizeReactions(comment, 'ram')).toEqual([
+      { emoji: '👍', count: 2, mine: true },
+      { emoji: '🎉', count: 1, mine: false },
+    ]);
+    comment = { reactions: toggleReaction(comment, 'ram', '👍') };
+    expect(comment.reactions).toEqual({ sita: ['👍', '🎉'] });
+  });
+
+  test('should group replies under their comment, oldest first', () => {
+    const threads = groupCommentThreads([
+      { id: 'b', createdAt: at(2), parentId: 'a' },
+      { id: 'c', createdAt: at(3) },
+      { id: 'a', createdAt: at(1) },
+      { id: 'orphan', createdAt: at(4), parentId: 'gone' },
+    ]);
+    expect(threads.map(({ comment, replies }) => [comment.id, replies.map((reply) => reply.id)])).toEqual([
+      ['a', ['b']],
+      ['c', []],
+      ['orphan', []],
+    ]);
+  });
+
+  test('should mark what others posted since the last read', () => {
+    expect(isUnreadComment({ userId: 'sita', createdAt: at(5) }, at(0).getTime(), 'ram')).toBe(true);
+    expect(isUnreadComment({ userId: 'ram', createdAt: at(5) }, at(0).getTime(), 'ram')).toBe(false);
+    expect(isUnreadComment({ userId: 'sita', createdAt: at(5) }, at(9).getTime(), 'ram')).toBe(false);
+
+    const request = { id: 'r1', type: 'material_request', originalTaskId: 't1', lastCommentAt: at(5), lastCommentById: 'sita' };
+    expect(hasUnreadComments(request, { t1: at(0).getTime() }, 'ram')).toBe(true);
+    expect(hasUnreadComments(request, { t1: at(9).getTime() }, 'ram')).toBe(false);
+    expect(hasUnreadComments(request, {}, 'sita')).toBe(false);
+    expect(hasUnreadComments(task, {}, 'ram')).toBe(false);
+  });
+
+  test('should notify only people newly mentioned by someone else', () => {
+    expect(getNewMentions(undefined, { userId: 'ram', mentions: ['sita', 'ram'] })).toEqual(['sita']);
+    expect(getNewMentions({ mentions: ['sita'] }, { userId: 'ram', mentions: ['sita', 'adam'] })).toEqual(['adam']);
+    expect(getNewMentions({ mentions: ['sita'] }, undefined)).toEqual([]);
+  });
+});
+
+describe('Task comment API', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = at(30);
+    setDataBackend(createMemoryBackend({ 'tasks/t1': { title: 'Fix pump' } }, { now: () => clock }));
+  });
+
+  afterEach(() => setDataBackend(null));
+
+  test('should post comments queued offline once, under their own id', async () => {
+    const comment = buildComment({ text: 'On it @Sita', user: ram, users: USERS, task, now: at(0) });
+    const queued = encodeOutboxValue(comment);
+    await addTaskComment('t1', queued);
+    await addTaskComment('t1', queued);
+
+    const comments = await taskCommentsRepository.list('t1');
+    expect(comments).toHaveLength(1);
+    expect(comments[0]).toMatchObject({ id: comment.id, text: 'On it @Sita', mentions: ['sita'], createdAt: at(0) });
+  });
+
+  test('should stream the thread oldest first', async () => {
+    await addTaskComment('t1', buildComment({ text: 'Second', user: sita, task, now: at(2) }));
+    await addTaskComment('t1', buildComment({ text: 'First', user: ram, task, now: at(1) }));
+    const seen = [];
+    const unsubscribe = subscribeTaskComments('t1', (comments) => {
+      seen.push(comments.map((comment) => comment.text));
+    });
+    await addTaskComment('t1', buildComment({ text: 'Third', user: ram, task, now: at(3) }));
+    unsubscribe();
+    expect(seen).toEqual([['First', 'Second'], ['First', 'Second', 'Third']]);
+  });
+
+  test('should edit, react to and delete comments with their replies', async () => {
+    const comment = buildComment({ text: 'Check valve', user: ram, task, now: at(0) });
+    const reply = buildComment({ text: 'Done', user: sita, task, replyTo: comment, now: at(1) });
+    const other = buildComment({ text: 'Unrelated', user: sita, task, now: at(2) });
+    await Promise.all([comment, reply, other].map((entry) => addTaskComment('t1', entry)));
+
+    await editTaskComment('t1', comment.id, 'Check the valve', ram, USERS);
+    await expect(editTaskComment('t1', comment.id, 'Hijacked', sita, USERS)).rejects.toThrow('Only the author');
+    await toggleCommentReaction('t1', comment.id, '👍', 'sita');
+    await toggleCommentReaction('t1', comment.id, '👍', ramKumar.id);
+
+    const edited = await taskCommentsRepository.get('t1', comment.id);
+    expect(edited).toMatchObject({ text: 'Check the valve', editHistory: [{ text: 'Check valve' }] });
+    expect(edited.reactions).toEqual({ sita: ['👍'], ramk: ['👍'] });
+
+    await deleteTaskComment('t1', comment.id);
+    const left = await taskCommentsRepository.list('t1');
+    expect(left.map((entry) => entry.id)).toEqual([other.id]);
+  });
+
+  test('should remember when each user last read a thread', async () => {
+    expect(await getCommentReadTime('t1', 'ram')).toBe(0);
+    await markCommentsRead('t1', 'ram');
+    expect(await getCommentReadTime('t1', 'ram')).toBe(at(30).getTime());
+
+    const seen = [];
+    const unsubscribe = subscribeCommentReadTimes('ram', (reads) => seen.push(reads));
+    unsubscribe();
+    expect(seen).toEqual([{ t1: at(30).getTime() }]);
+  });
+});
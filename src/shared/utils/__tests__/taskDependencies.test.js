@@ -0,0 +1,102 @@
+/**
+ * Task Dependency Tests
+ *
+ * Covers the dependency graph helpers used by the app and the change
+ * detection behind the syncTaskBlockers Cloud Function.
+ */
+
+import { createRequire } from 'node:module';
+import {
+  getBlockerIds,
+  getOpenBlockers,
+  getDependents,
+  findDependencyCycle,
+  validateTaskBlocker,
+  getCriticalPath,
+} from '../../../features/tasks/utils/taskDependencies.js';
+
+const require = createRequire(import.meta.url);
+const { getBlockerChanges } = require('../../../../functions/taskDependencies.js');
+
+// design -> build -> ship, with a material request blocking build
+const TASKS = [
+  { id: 'design', title: 'Design', status: 'Complete', departmentId: 'eng' },
+  { id: 'parts', title: 'Order parts', status: 'Pending', departmentId: 'purchase' },
+  { id: 'build', title: 'Build', status: 'Pending', departmentId: 'ops', blockedByTaskIds: ['design', 'parts'] },
+  { id: 'request', title: 'Build - request', status: 'Ongoing', type: 'material_request', originalTaskId: 'build' },
+  { id: 'ship', title: 'Ship', status: 'Pending', departmentId: 'sales', blockedByTaskIds: ['build'] },
+];
+
+describe('Task dependencies', () => {
+  test('should treat material requests as blockers', () => {
+    expect(getBlockerIds('build', TASKS).sort()).toEqual(['design', 'parts', 'request']);
+    expect(getDependents('request', TASKS).map(t => t.id)).toEqual(['build']);
+    expect(getDependents('build', TASKS).map(t => t.id)).toEqual(['ship']);
+  });
+
+  test('should only count open blockers', () => {
+    expect(getOpenBlockers('build', TASKS).map(t => t.id).sort()).toEqual(['parts', 'request']);
+    expect(getOpenBlockers('design', TASKS)).toEqual([]);
+
+    const deleted = TASKS.map(t => (t.id === 'build' ? { ...t, status: 'Deleted' } : t));
+    expect(getOpenBlockers('ship', deleted)).toEqual([]);
+  });
+
+  describe('cycle detection', () => {
+    test('should refuse links that close a cycle', () => {
+      expect(findDependencyCycle('parts', 'ship', TASKS)).toEqual(['parts', 'ship', 'build', 'parts']);
+      expect(validateTaskBlocker('parts', 'ship', TASKS)).toContain('Order parts → Ship → Build → Order parts');
+      expect(validateTaskBlocker('build', 'build', TASKS)).toBe('A task cannot block itself');
+    });
+
+    test('should allow links that keep the graph acyclic', () => {
+      expect(findDependencyCycle('ship', 'design', TASKS)).toBeNull();
+      expect(validateTaskBlocker('ship', 'design', TASKS)).toBeNull();
+      expect(validateTaskBlocker('ship', 'build', TASKS)).toBe('This task is already a blocker');
+    });
+  });
+
+  test('should return the longest open chain as the critical path', () => {
+    expect(getCriticalPath('ship', TASKS).map(t => t.id)).toEqual(['parts', 'build', 'ship']);
+    expect(getCriticalPath('design', TASKS).map(t => t.id)).toEqual(['design']);
+  });
+
+  test('should not loop on cycles already stored', () => {
+    const cyclic = [
+      { id: 'a', status: 'Pending', blockedByTaskIds: ['b'] },
+      { id: 'b', status: 'Pending', blockedByTaskIds: ['a'] },
+    ];
+    expect(getCriticalPath('a', cyclic).map(t => t.id)).toEqual(['b', 'a']);
+  });
+
+  describe('getBlockerChanges', () => {
+    test('should notice completion, deletion and reopening', () => {
+      expect(getBlockerChanges({ status: 'Ongoing' }, { status: 'Complete' }).prerequisiteChanged).toBe(true);
+      expect(getBlockerChanges({ status: 'Pending' }, { status: 'Deleted' }).prerequisiteChanged).toBe(true);
+      expect(getBlockerChanges({ status: 'Complete' }, { status: 'Pending' }).prerequisiteChanged).toBe(true);
+      expect(getBlockerChanges({ status: 'Pending' }, { status: 'Ongoing' }).prerequisiteChanged).toBe(false);
+    });
+
+    test('should refresh the original task of a completed material request', () => {
+      const before = { status: 'Ongoing', type: 'material_request', originalTaskId: 'build' };
+      expect(getBlockerChanges(before, { ...before, status: 'Complete' }).originalTaskId).toBe('build');
+      expect(getBlockerChanges(before, { ...before, title: 'Renamed' }).originalTaskId).toBeNull();
+    });
+
+    test('should refresh a task whose own links change', () => {
+      expect(getBlockerChanges({ blockedByTaskIds: ['a'] }, { blockedByTaskIds: ['a', 'b'] }).refreshSelf).toBe(true);
+      expect(getBlockerChanges({ blockedByTaskIds: ['a'] }, { blockedByTaskIds: ['a'] }).refreshSelf).toBe(false);
+    });
+
+    test('should treat a created task as a new prerequisite with its own links', () => {
+      expect(getBlockerChanges(null, { status: 'Pending', blockedByTaskIds: ['a'] })).toEqual({
+        refreshSelf: true,
+        prerequisiteChanged: true,
+        originalTaskId: null,
+      });
+      const request = { status: 'Pending', type: 'material_request', originalTaskId: 'build' };
+      expect(getBlockerChanges(null, request)).toMatchObject({ refreshSelf: false, originalTaskId: 'build' });
+      expect(getBlockerChanges(null, { ...request, status: 'Complete' }).originalTaskId).toBeNull();
+    });
+  });
+});
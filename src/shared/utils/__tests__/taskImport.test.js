@@ -0,0 +1,226 @@
+/**
+ * Task Import Tests
+ *
+ * Covers reading CSV and XLSX sheets, mapping columns, checking rows and
+ * creating the imported tasks on the in-memory backend.
+ */
+
+import { parseCsv, readXlsx, excelSerialToDateKey } from '../spreadsheet.js';
+import {
+  guessColumnMapping,
+  parseImportDate,
+  parseImportDifficulty,
+  buildTaskImport,
+} from '../../../features/tasks/utils/taskImport.js';
+import { importTasks } from '../../../features/tasks/api/taskImportApi.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { tasksRepository } from '../../data/tasksRepository.js';
+
+const USERS = [
+  { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'], email: 'alice@example.com' },
+  { id: 'bob', name: 'Bob', role: 'User', departmentIds: ['ops', 'qc'] },
+  { id: 'sam', name: 'Sam', role: 'User', departmentIds: ['sales'] },
+  { id: 'sam2', name: 'Sam', role: 'User', departmentIds: ['sales'] },
+];
+const DEPARTMENTS = [{ id: 'ops', name: 'Operations' }, { id: 'sales', name: 'Sales' }, { id: 'qc', name: 'Quality' }];
+const CONTEXT = { currentUser: USERS[0], users: USERS, departments: DEPARTMENTS, today: '2025-05-01' };
+
+// A zip of stored (uncompressed) entries, as far as readXlsx needs it
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint32(20, data.length, true);
+    entryView.setUint32(24, data.length, true);
+    entryView.setUint16(28, nameBytes.length, true);
+    entryView.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+
+    locals.push(local);
+    directory.push(entry);
+    offset += local.length;
+  });
+
+  const directorySize = directory.reduce((size, entry) => size + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, directory.length, true);
+  endView.setUint16(10, directory.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  const zip = new Uint8Array(offset + directorySize + end.length);
+  let position = 0;
+  [...locals, ...directory, end].forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip.buffer;
+};
+
+describe('reading spreadsheets', () => {
+  test('parses CSV with quoted cells and skips blank lines', () => {
+    const csv = '\uFEFFTask Title,Assigned To\n"Fix ""main"" pump","Alice; Bob"\n\n , \nClean tank,Bob\n';
+    expect(parseCsv(csv)).toEqual([
+      ['Task Title', 'Assigned To'],
+      ['Fix "main" pump', 'Alice; Bob'],
+      ['Clean tank', 'Bob'],
+    ]);
+  });
+
+  test('reads the first worksheet of an xlsx file', async () => {
+    const buffer = buildZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Plan" sheetId="1" r:id="rId3"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId3" Target="worksheets/plan.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>Title</t></si><si><r><t>Due</t></r><r><t xml:space="preserve"> date</t></r></si><si><t>Oil &amp; grease</t></si></sst>',
+      'xl/worksheets/plan.xml': [
+        '<worksheet><sheetData>',
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>',
+        '<row r="2"/>',
+        '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3" t="inlineStr"><is><t>extra</t></is></c></row>',
+        '<row r="4"><c r="B4"><v>45809</v></c><c r="C4" t="b"><v>1</v></c></row>',
+        '</sheetData></worksheet>',
+      ].join(''),
+    });
+
+    expect(await readXlsx(buffer)).toEqual([
+      ['Title', 'Due date'],
+      ['Oil & grease', '', 'extra'],
+      ['', '45809', 'TRUE'],
+    ]);
+    expect(excelSerialToDateKey(45809)).toBe('2025-06-01');
+  });
+
+  test('rejects files that are not zip archives', async () => {
+    await expect(readXlsx(new TextEncoder().encode('Title,Due\nA,B').buffer)).rejects.toThrow('Not a valid .xlsx file');
+  });
+});
+
+describe('task import rows', () => {
+  test('maps exported and common headers to fields', () => {
+    expect(guessColumnMapping(['Task Title', 'Department', 'Assigned To', 'Urgency', 'Target Date', 'Created Date', 'Notes']))
+      .toEqual({ title: 0, department: 1, assignees: 2, urgent: 3, targetDate: 4, note: 6 });
+    expect(guessColumnMapping(['Name', 'Dept', 'Owner', 'Due Date'])).toEqual({ title: 0, department: 1, assignees: 2, targetDate: 3 });
+  });
+
+  test('reads dates in the formats people type and export', () => {
+    expect(parseImportDate('2025-06-01')).toBe('2025-06-01');
+    expect(parseImportDate('01/06/2025')).toBe('2025-06-01');
+    expect(parseImportDate('1-6-2025')).toBe('2025-06-01');
+    expect(parseImportDate('1 Jun 2025')).toBe('2025-06-01');
+    expect(parseImportDate('45809')).toBe('2025-06-01');
+    expect(parseImportDate('31/02/2025')).toBeNull();
+    expect(parseImportDate('next week')).toBeNull();
+  });
+
+  test('reads difficulty keys, labels and exported values', () => {
+    expect(parseImportDifficulty('')).toBe('medium');
+    expect(parseImportDifficulty('HARD')).toBe('hard');
+    expect(parseImportDifficulty('Critical (100 pts)')).toBe('critical');
+    expect(parseImportDifficulty('epic')).toBeNull();
+  });
+
+  test('turns a valid row into createTask data', () => {
+    const mapping = { title: 0, department: 1, assignees: 2, difficulty: 3, targetDate: 4, urgent: 5, observers: 6, checklist: 7, note: 8 };
+    const [row] = buildTaskImport(
+      [['Check pump', 'operations', 'alice@example.com; Bob', 'Hard', '02/06/2025', 'yes', 'Helen, Bob', 'Read gauge | Bleed valve', 'Use the new gauge']],
+      mapping,
+      CONTEXT
+    );
+
+    expect(row.errors).toEqual([]);
+    expect(row.rowNumber).toBe(2);
+    expect(row.task).toMatchObject({
+      title: 'Check pump',
+      departmentId: 'ops',
+      assignedUserIds: ['alice', 'bob'],
+      difficulty: 'hard',
+      points: 50,
+      targetDate: '2025-06-02',
+      isUrgent: true,
+      observerIds: ['helen'],
+      status: 'Pending',
+    });
+    expect(row.task.checklist.map((item) => item.text)).toEqual(['Read gauge', 'Bleed valve']);
+    expect(row.task.notes[0]).toMatchObject({ text: 'Use the new gauge', type: 'creation', createdBy: 'helen' });
+  });
+
+  test('lists every problem of a row', () => {
+    const mapping = { title: 0, department: 1, assignees: 2, difficulty: 3, targetDate: 4, urgent: 5 };
+    const rows = buildTaskImport([
+      ['', 'Stores', 'Nobody', 'epic', 'soon', 'maybe'],
+      ['Call back', 'Sales', 'Sam', '', '', ''],
+      ['Audit', 'Operations', 'Sam Two', '', '', ''],
+      ['Inspect', 'Quality', 'Bob', '', '', ''],
+    ], mapping, CONTEXT);
+
+    expect(rows[0].task).toBeNull();
+    expect(rows[0].errors).toEqual([
+      'Title is required',
+      'No department named "Stores"',
+      'Assigned to: no user named "Nobody"',
+      'Difficulty must be one of Easy, Medium, Hard, Critical',
+      '"soon" is not a date; use YYYY-MM-DD or DD/MM/YYYY',
+      'Urgent must be yes or no, not "maybe"',
+    ]);
+    expect(rows[1].errors).toEqual(['Assigned to: "Sam" matches several users', 'You cannot assign tasks in Sales']);
+    expect(rows[2].errors).toEqual(['Assigned to: no user named "Sam Two"']);
+    expect(rows[3].errors).toEqual(['You cannot assign tasks in Quality']);
+  });
+
+  test('lets users import tasks for themselves only', () => {
+    const mapping = { title: 0, department: 1, assignees: 2 };
+    const context = { ...CONTEXT, currentUser: USERS[1] };
+    const [own, other] = buildTaskImport([['Clean', 'Operations', 'Alice'], ['Clean', 'Operations', 'Bob']], mapping, context);
+
+    expect(own.task).toMatchObject({ assignedUserIds: ['alice'], assignedUserRole: 'User', targetDate: '2025-05-01', difficulty: 'medium' });
+    expect(other.errors).toEqual(['You cannot assign tasks in Operations']);
+  });
+
+  test('requires the title, department and assignee columns', () => {
+    expect(() => buildTaskImport([['x']], { title: 0 }, CONTEXT)).toThrow('Choose a column for Department, Assigned to');
+  });
+});
+
+describe('importTasks', () => {
+  beforeEach(() => setDataBackend(createMemoryBackend()));
+  afterEach(() => setDataBackend(null));
+
+  test('creates every checked row and reports the ones that fail', async () => {
+    const mapping = { title: 0, department: 1, assignees: 2 };
+    const rows = buildTaskImport([['Check pump', 'Operations', 'Alice'], ['Clean tank', 'Operations', 'Bob']], mapping, CONTEXT);
+    rows[1].task.title = '';
+    const progress = [];
+
+    const result = await importTasks(rows, USERS[0], { fileName: 'plan.csv', onProgress: (done) => progress.push(done) });
+
+    expect(result.created.map((entry) => entry.rowNumber)).toEqual([2]);
+    expect(result.failed).toEqual([{ rowNumber: 3, title: '', reason: 'Missing required fields: title, departmentId, assignedUserIds' }]);
+    expect(progress).toEqual([1, 2]);
+    expect(await tasksRepository.get(result.created[0].taskId)).toMatchObject({
+      title: 'Check pump',
+      assignedById: 'helen',
+      assignedUserIds: ['alice'],
+      needsApproval: false,
+    });
+  });
+});
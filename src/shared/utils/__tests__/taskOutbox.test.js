@@ -0,0 +1,123 @@
+/**
+ * Offline Outbox Tests
+ *
+ * Covers how queued task changes are stored and how they are reconciled
+ * with the server's version of the task on replay.
+ */
+
+import {
+  OUTBOX_ENTRY_TYPES,
+  arrayAppend,
+  arrayDiscard,
+  encodeOutboxValue,
+  decodeOutboxValue,
+  resolveQueuedPatch,
+  isRetryableOutboxError,
+  describeOutboxEntry,
+} from '../../../features/tasks/utils/taskOutbox.js';
+
+const firestore = {
+  fromMillis: (millis) => ({ millis }),
+  arrayUnion: (...values) => ({ union: values }),
+  arrayRemove: (...values) => ({ remove: values }),
+};
+
+describe('encodeOutboxValue / decodeOutboxValue', () => {
+  test('stores timestamps as milliseconds and restores them', () => {
+    const encoded = encodeOutboxValue({
+      completedAt: new Date(1700000000000),
+      startedAt: { toMillis: () => 1600000000000 },
+      nested: [{ at: new Date(5) }],
+    });
+    expect(encoded).toEqual({
+      completedAt: { __timestampMillis: 1700000000000 },
+      startedAt: { __timestampMillis: 1600000000000 },
+      nested: [{ at: { __timestampMillis: 5 } }],
+    });
+    expect(decodeOutboxValue(encoded, firestore)).toEqual({
+      completedAt: { millis: 1700000000000 },
+      startedAt: { millis: 1600000000000 },
+      nested: [{ at: { millis: 5 } }],
+    });
+  });
+
+  test('turns array ops into arrayUnion/arrayRemove', () => {
+    const encoded = encodeOutboxValue({ notes: arrayAppend({ text: 'hi', at: new Date(1) }), photos: arrayDiscard('p1') });
+    expect(decodeOutboxValue(encoded, firestore)).toEqual({
+      notes: { union: [{ text: 'hi', at: { millis: 1 } }] },
+      photos: { remove: ['p1'] },
+    });
+  });
+
+  test('drops undefined fields', () => {
+    expect(encodeOutboxValue({ title: 'A', notes: undefined })).toEqual({ title: 'A' });
+  });
+
+  test('refuses values that cannot be stored', () => {
+    class Sentinel {}
+    expect(() => encodeOutboxValue({ count: new Sentinel() })).toThrow('cannot be saved offline');
+  });
+});
+
+describe('resolveQueuedPatch', () => {
+  const base = { title: 'Old', status: 'Pending' };
+
+  test('applies fields nobody else changed', () => {
+    const result = resolveQueuedPatch({ title: 'New' }, base, { title: 'Old', status: 'Pending' });
+    expect(result).toEqual({ patch: { title: 'New' }, conflicts: [], deleted: false });
+  });
+
+  test('skips fields the user did not change or the server already has', () => {
+    const result = resolveQueuedPatch({ title: 'Old', status: 'Ongoing' }, base, { title: 'Other', status: 'Ongoing' });
+    expect(result.patch).toEqual({});
+    expect(result.conflicts).toEqual([]);
+  });
+
+  test('keeps the server value when someone else changed the field', () => {
+    const result = resolveQueuedPatch({ title: 'Mine' }, base, { title: 'Theirs', status: 'Pending' });
+    expect(result.patch).toEqual({});
+    expect(result.conflicts).toEqual(['title']);
+  });
+
+  test('drops the status timestamps along with a conflicting status', () => {
+    const patch = { status: 'Complete', completedAt: { __timestampMillis: 10 } };
+    const result = resolveQueuedPatch(patch, { status: 'Pending', completedAt: null }, { status: 'Ongoing', completedAt: null });
+    expect(result.patch).toEqual({});
+    expect(result.conflicts).toEqual(['status']);
+  });
+
+  test('always applies array ops', () => {
+    const notes = arrayAppend({ text: 'hi' });
+    const result = resolveQueuedPatch({ notes }, { notes: [] }, { notes: [{ text: 'other' }], status: 'Pending' });
+    expect(result.patch).toEqual({ notes });
+  });
+
+  test('applies everything when the original version is unknown', () => {
+    const result = resolveQueuedPatch({ title: 'New' }, null, { title: 'Theirs', status: 'Pending' });
+    expect(result.patch).toEqual({ title: 'New' });
+  });
+
+  test('reports deleted tasks', () => {
+    expect(resolveQueuedPatch({ title: 'New' }, base, null).deleted).toBe(true);
+    expect(resolveQueuedPatch({ title: 'New' }, base, { status: 'Deleted' }).deleted).toBe(true);
+  });
+});
+
+describe('isRetryableOutboxError', () => {
+  test('retries connection problems only', () => {
+    expect(isRetryableOutboxError({ code: 'unavailable' })).toBe(true);
+    expect(isRetryableOutboxError({ code: 'storage/retry-limit-exceeded' })).toBe(true);
+    expect(isRetryableOutboxError({ name: 'NetworkError' })).toBe(true);
+    expect(isRetryableOutboxError({ code: 'permission-denied' })).toBe(false);
+    expect(isRetryableOutboxError(null)).toBe(false);
+  });
+});
+
+describe('describeOutboxEntry', () => {
+  test('describes each kind of entry', () => {
+    expect(describeOutboxEntry({ type: OUTBOX_ENTRY_TYPES.ADD_COMMENT, taskTitle: 'Fix pump' })).toBe('Comment on "Fix pump"');
+    expect(describeOutboxEntry({ type: OUTBOX_ENTRY_TYPES.UPLOAD_PHOTOS, taskTitle: 'Fix pump', photos: [{}] })).toBe('1 photo for "Fix pump"');
+    expect(describeOutboxEntry({ type: OUTBOX_ENTRY_TYPES.PATCH_TASK, taskTitle: 'Fix pump', patch: { status: 'Complete' } })).toBe('Complete: "Fix pump"');
+    expect(describeOutboxEntry({ type: OUTBOX_ENTRY_TYPES.PATCH_TASK, patch: { title: 'x' } })).toBe('Changes to a task');
+  });
+});
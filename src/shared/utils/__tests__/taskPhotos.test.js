@@ -0,0 +1,87 @@
+/**
+ * Task Photo Tests
+ *
+ * Covers the helpers behind the attachTaskPhotos, cleanupRemovedTaskPhotos
+ * and migrateTaskPhotos Cloud Functions (functions/taskPhotos.js).
+ */
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  isLegacyPhoto,
+  parseDataUrl,
+  canEditTaskPhotos,
+  getRemovedPhotoPaths,
+  getPhotoPath,
+  getThumbnailPath,
+} = require('../../../../functions/taskPhotos.js');
+
+const storedPhoto = (taskId, id) => ({
+  id,
+  path: getPhotoPath(taskId, id),
+  thumbPath: getThumbnailPath(taskId, id),
+  url: `https://example.com/${id}.jpg`,
+});
+
+describe('Task photos', () => {
+  describe('parseDataUrl', () => {
+    test('should decode base64 image data URLs', () => {
+      const parsed = parseDataUrl(`data:image/jpeg;base64,${Buffer.from('jpeg bytes').toString('base64')}`);
+      expect(parsed.contentType).toBe('image/jpeg');
+      expect(parsed.buffer.toString()).toBe('jpeg bytes');
+    });
+
+    test('should reject anything else', () => {
+      expect(parseDataUrl('data:text/plain;base64,aGk=')).toBeNull();
+      expect(parseDataUrl('https://example.com/photo.jpg')).toBeNull();
+      expect(parseDataUrl(undefined)).toBeNull();
+    });
+  });
+
+  test('should only treat image data URLs as legacy photos', () => {
+    expect(isLegacyPhoto('data:image/png;base64,AAAA')).toBe(true);
+    expect(isLegacyPhoto(storedPhoto('t1', 'p1'))).toBe(false);
+    expect(isLegacyPhoto('https://example.com/photo.jpg')).toBe(false);
+  });
+
+  describe('canEditTaskPhotos', () => {
+    const task = {
+      departmentId: 'ops',
+      assignedUserIds: ['alice'],
+      observerIds: ['olga'],
+      assignedById: 'helen',
+    };
+
+    test('should allow participants and managers', () => {
+      expect(canEditTaskPhotos(task, { id: 'alice', role: 'User' })).toBe(true);
+      expect(canEditTaskPhotos(task, { id: 'olga', role: 'User' })).toBe(true);
+      expect(canEditTaskPhotos(task, { id: 'helen', role: 'Head', departmentIds: [] })).toBe(true);
+      expect(canEditTaskPhotos(task, { id: 'mona', role: 'Management' })).toBe(true);
+    });
+
+    test('should limit heads to their departments', () => {
+      expect(canEditTaskPhotos(task, { id: 'hank', role: 'Head', departmentIds: ['ops'] })).toBe(true);
+      expect(canEditTaskPhotos(task, { id: 'sara', role: 'Head', departmentIds: ['sales'] })).toBe(false);
+      expect(canEditTaskPhotos(task, { id: 'bob', role: 'User', departmentIds: ['ops'] })).toBe(false);
+    });
+  });
+
+  describe('getRemovedPhotoPaths', () => {
+    test('should return files of removed photos', () => {
+      const kept = storedPhoto('t1', 'kept');
+      const removed = storedPhoto('t1', 'removed');
+      expect(getRemovedPhotoPaths('t1', [kept, removed], [kept])).toEqual([removed.path, removed.thumbPath]);
+    });
+
+    test('should never delete files owned by another task', () => {
+      const copied = storedPhoto('schedule1', 'p1');
+      expect(getRemovedPhotoPaths('t1', [copied], [])).toEqual([]);
+    });
+
+    test('should ignore legacy photos and missing arrays', () => {
+      expect(getRemovedPhotoPaths('t1', ['data:image/png;base64,AAAA'], [])).toEqual([]);
+      expect(getRemovedPhotoPaths('t1', undefined, undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Task Query Tests
+ *
+ * Covers the role-scoped task queries and checks that firestore.indexes.json
+ * has a composite index for every one of them.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  OPEN_TASK_STATUSES,
+  ARCHIVED_TASK_STATUSES,
+  RECENT_TASK_DAYS,
+  getTaskScopes,
+  getTaskScopeKey,
+  getTaskScopeUser,
+  getLiveTaskQueries,
+  getArchivedTaskQueries,
+  getCompletedTaskQuery,
+  getLinkedTaskQueries,
+  getTaskQueryIndexFields,
+} from '../../../features/tasks/utils/taskQueries.js';
+
+const readRelative = (path) => readFileSync(fileURLToPath(new URL(path, import.meta.url)), 'utf8');
+
+const USER = { id: 'u1', role: 'User', departmentIds: ['d1'] };
+const HEAD = { id: 'h1', role: 'Head', departmentIds: ['d1', 'd2'] };
+const ADMIN = { id: 'a1', role: 'Admin', departmentIds: [] };
+
+const scopeKeys = (user) => getTaskScopes(user).map((scope) => scope.key);
+
+describe('getTaskScopes', () => {
+  test('gives users their own, observed and requested tasks', () => {
+    expect(scopeKeys(USER)).toEqual(['assigned', 'legacyAssignee', 'created', 'observing', 'requested']);
+  });
+
+  test('adds their departments for heads', () => {
+    expect(scopeKeys(HEAD)).toEqual([
+      'assigned', 'legacyAssignee', 'created', 'observing', 'requested', 'department-0', 'requestingDepartment-0',
+    ]);
+    const department = getTaskScopes(HEAD).find((scope) => scope.key === 'department-0');
+    expect(department.filters).toEqual([{ field: 'departmentId', op: 'in', value: ['d1', 'd2'] }]);
+  });
+
+  test('splits many departments across queries', () => {
+    const head = { ...HEAD, departmentIds: Array.from({ length: 10 }, (_, index) => `d${index}`) };
+    const departments = getTaskScopes(head).filter((scope) => scope.key.startsWith('department-'));
+    expect(departments.map((scope) => scope.filters[0].value.length)).toEqual([6, 4]);
+  });
+
+  test('gives management and admins every task', () => {
+    expect(scopeKeys(ADMIN)).toEqual(['assigned', 'legacyAssignee', 'created', 'all']);
+  });
+
+  test('gives nothing without a user', () => {
+    expect(getTaskScopes(null)).toEqual([]);
+    expect(getLiveTaskQueries(undefined)).toEqual([]);
+    expect(getTaskScopeKey(null)).toBe('');
+  });
+});
+
+describe('getLiveTaskQueries', () => {
+  const now = new Date('2026-03-31T00:00:00Z');
+
+  test('loads own tasks in full and the rest only while open', () => {
+    const queries = getLiveTaskQueries(USER, now);
+    const assigned = queries.find((spec) => spec.key === 'assigned');
+    expect(assigned.filters).toEqual([{ field: 'assignedUserIds', op: 'array-contains', value: 'u1' }]);
+    const observing = queries.find((spec) => spec.key === 'observing:open');
+    expect(observing.filters).toContainEqual({ field: 'status', op: 'in', value: OPEN_TASK_STATUSES });
+  });
+
+  test('keeps recently archived tasks live', () => {
+    const recent = getLiveTaskQueries(USER, now).find((spec) => spec.key === 'recentlyArchived');
+    expect(recent.filters[0]).toEqual({ field: 'status', op: 'in', value: ARCHIVED_TASK_STATUSES });
+    expect(recent.filters[1].value).toEqual(new Date(now.getTime() - RECENT_TASK_DAYS * 24 * 60 * 60 * 1000));
+  });
+
+  test('stays within the 30 disjunctions Firestore allows', () => {
+    const head = { ...HEAD, departmentIds: Array.from({ length: 20 }, (_, index) => `d${index}`) };
+    [...getLiveTaskQueries(head, now), ...getArchivedTaskQueries(head)].forEach((spec) => {
+      const disjunctions = spec.filters
+        .filter((filter) => filter.op === 'in')
+        .reduce((total, filter) => total * filter.value.length, 1);
+      expect(disjunctions).toBeLessThanOrEqual(30);
+    });
+  });
+});
+
+describe('getArchivedTaskQueries', () => {
+  test('pages archived tasks outside the personal scopes, newest first', () => {
+    const queries = getArchivedTaskQueries(USER);
+    expect(queries.map((spec) => spec.key)).toEqual(['observing:archived', 'requested:archived']);
+    expect(queries[0].orderBy).toEqual({ field: 'updatedAt', direction: 'desc' });
+  });
+});
+
+describe('getLinkedTaskQueries', () => {
+  test('reads linked tasks 30 ids at a time', () => {
+    const ids = Array.from({ length: 31 }, (_, index) => `g${String(index).padStart(2, '0')}`);
+    const queries = getLinkedTaskQueries('goalId', [...ids, 'g00', null]);
+    expect(queries.map((spec) => spec.key)).toEqual(['goalId-0', 'goalId-1']);
+    expect(queries[0].filters).toEqual([{ field: 'goalId', op: 'in', value: ids.slice(0, 30) }]);
+    expect(queries[1].filters[0].value).toEqual(['g30']);
+    expect(getLinkedTaskQueries('projectId', [])).toEqual([]);
+  });
+});
+
+describe('getTaskScopeKey', () => {
+  test('ignores the order of departments', () => {
+    expect(getTaskScopeKey(HEAD)).toBe(getTaskScopeKey({ ...HEAD, departmentIds: ['d2', 'd1'] }));
+    expect(getTaskScopeKey(HEAD)).not.toBe(getTaskScopeKey({ ...HEAD, role: 'User' }));
+  });
+
+  test('stands for the fields the task queries use', () => {
+    const scopeUser = getTaskScopeUser(getTaskScopeKey({ ...HEAD, name: 'Helen' }));
+    expect(scopeUser).toEqual({ id: HEAD.id, role: HEAD.role, departmentIds: [...HEAD.departmentIds].sort() });
+    const now = new Date(Date.UTC(2026, 2, 2));
+    expect(getLiveTaskQueries(scopeUser, now)).toEqual(getLiveTaskQueries(HEAD, now));
+    expect(getTaskScopeUser('')).toBeNull();
+  });
+});
+
+describe('firestore.indexes.json', () => {
+  const { indexes } = JSON.parse(readRelative('../../../../firestore.indexes.json'));
+
+  test('has a composite index for every task query', () => {
+    [USER, HEAD, ADMIN].forEach((user) => {
+      [...getLiveTaskQueries(user), ...getArchivedTaskQueries(user)].forEach((spec) => {
+        const fields = getTaskQueryIndexFields(spec);
+        if (!fields) return;
+        expect(indexes).toContainEqual({ collectionGroup: 'tasks', queryScope: 'COLLECTION', fields });
+      });
+    });
+  });
+
+  test('needs no composite index for equality-only queries', () => {
+    expect(getTaskQueryIndexFields(getLiveTaskQueries(USER).find((spec) => spec.key === 'observing:open'))).toBeNull();
+    expect(getTaskQueryIndexFields(getCompletedTaskQuery())).toBeNull();
+    expect(getTaskQueryIndexFields(getLinkedTaskQueries('goalId', ['g1'])[0])).toBeNull();
+  });
+});
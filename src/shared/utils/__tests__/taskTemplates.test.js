@@ -0,0 +1,168 @@
+/**
+ * Task Template Tests
+ *
+ * Covers applying templates to the task form, who may manage them, and
+ * versioning through the template API on the in-memory backend.
+ */
+
+import {
+  toTemplateContent,
+  resolveTemplateAssignees,
+  applyTaskTemplate,
+  canManageTemplates,
+  getActiveTemplates,
+} from '../../../features/tasks/utils/taskTemplates.js';
+import {
+  createTaskTemplate,
+  updateTaskTemplate,
+  restoreTaskTemplateVersion,
+  getTaskTemplateVersions,
+  setTaskTemplateArchived,
+} from '../../../features/tasks/api/templateApi.js';
+import { setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { taskTemplatesRepository } from '../../data/taskTemplatesRepository.js';
+
+const USERS = [
+  { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'] },
+  { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  { id: 'bob', name: 'Bob', role: 'User', departmentIds: ['ops', 'qc'] },
+  { id: 'sam', name: 'Sam', role: 'User', departmentIds: ['sales'] },
+  { id: 'mona', name: 'Mona', role: 'Management', departmentIds: [] },
+];
+
+const TEMPLATE = {
+  id: 'tpl1',
+  name: 'Weekly pump check',
+  departmentId: 'ops',
+  title: 'Check pump pressure',
+  description: 'Log readings in the book',
+  difficulty: 'hard',
+  checklist: [{ id: 'c1', text: 'Read gauge' }, { id: 'c2', text: 'Bleed valve' }],
+  requireChecklistComplete: true,
+  observerIds: ['helen', 'gone'],
+  defaultAssigneeRoles: ['User'],
+  isRdNewSkill: false,
+  projectSkillName: 'ignored',
+  version: 3,
+};
+
+describe('task template helpers', () => {
+  test('applies a template as task form values', () => {
+    const values = applyTaskTemplate(TEMPLATE, { users: USERS });
+
+    expect(values).toMatchObject({
+      title: 'Check pump pressure',
+      description: 'Log readings in the book',
+      departmentId: 'ops',
+      assignedUserIds: ['alice', 'bob'],
+      difficulty: 'hard',
+      requireChecklistComplete: true,
+      observerIds: ['helen'],
+      projectSkillName: '',
+      templateId: 'tpl1',
+      templateVersion: 3,
+    });
+    expect(values.checklist.map((item) => [item.text, item.done])).toEqual([['Read gauge', false], ['Bleed valve', false]]);
+    expect(values.checklist[0].id).not.toBe('c1');
+  });
+
+  test('resolves default assignees in the department the task is created in', () => {
+    expect(resolveTemplateAssignees(TEMPLATE, USERS, 'qc')).toEqual(['bob']);
+    expect(resolveTemplateAssignees({ ...TEMPLATE, defaultAssigneeRoles: ['Head'] }, USERS)).toEqual(['helen']);
+    expect(resolveTemplateAssignees({ ...TEMPLATE, defaultAssigneeRoles: [] }, USERS)).toEqual([]);
+  });
+
+  test('falls back to medium for unknown difficulties', () => {
+    expect(applyTaskTemplate({ ...TEMPLATE, difficulty: 'epic' }).difficulty).toBe('medium');
+  });
+
+  test('tidies form values into template content', () => {
+    const content = toTemplateContent({
+      title: '  Calibrate scale ',
+      checklist: [{ id: 'a', text: ' Zero it ', assigneeId: 'alice', done: true }, { id: 'b', text: ' ' }],
+      requireChecklistComplete: true,
+      observerIds: ['helen', 'helen'],
+      isRdNewSkill: false,
+      projectSkillName: 'Scales',
+      photos: ['not kept'],
+    });
+
+    expect(content).toEqual({
+      name: 'Calibrate scale',
+      title: 'Calibrate scale',
+      description: '',
+      difficulty: 'medium',
+      checklist: [{ id: 'a', text: 'Zero it' }],
+      requireChecklistComplete: true,
+      observerIds: ['helen'],
+      defaultAssigneeRoles: [],
+      isRdNewSkill: false,
+      projectSkillName: '',
+    });
+  });
+
+  test('lets heads manage only their own departments', () => {
+    expect(canManageTemplates(USERS[0], 'ops')).toBe(true);
+    expect(canManageTemplates(USERS[0], 'sales')).toBe(false);
+    expect(canManageTemplates(USERS[1], 'ops')).toBe(false);
+    expect(canManageTemplates(USERS[4], 'sales')).toBe(true);
+  });
+
+  test('lists active templates by department and name', () => {
+    const templates = [
+      { id: '1', name: 'Zinc', departmentId: 'ops' },
+      { id: '2', name: 'Audit', departmentId: 'ops' },
+      { id: '3', name: 'Old', departmentId: 'ops', isArchived: true },
+      { id: '4', name: 'Leads', departmentId: 'sales' },
+    ];
+    const departments = [{ id: 'ops', name: 'Operations' }, { id: 'sales', name: 'Sales' }];
+
+    expect(getActiveTemplates(templates, { departments }).map((t) => t.id)).toEqual(['2', '1', '4']);
+    expect(getActiveTemplates(templates, { departmentId: 'sales' }).map((t) => t.id)).toEqual(['4']);
+  });
+});
+
+describe('template API', () => {
+  const helen = USERS[0];
+
+  beforeEach(() => {
+    setDataBackend(createMemoryBackend({}, { now: () => new Date('2025-05-01T00:00:00Z') }));
+  });
+
+  afterEach(() => setDataBackend(null));
+
+  test('keeps every earlier version and restores one as a new version', async () => {
+    const templateId = await createTaskTemplate({ departmentId: 'ops', title: 'Check pump' }, helen);
+    expect(await taskTemplatesRepository.get(templateId)).toMatchObject({ name: 'Check pump', version: 1, isArchived: false });
+
+    expect(await updateTaskTemplate(templateId, { title: 'Check pumps', difficulty: 'hard' }, helen)).toBe(2);
+    expect(await updateTaskTemplate(templateId, { title: 'Check all pumps' }, helen)).toBe(3);
+
+    const versions = await getTaskTemplateVersions(templateId);
+    expect(versions.map((version) => [version.version, version.title])).toEqual([[2, 'Check pumps'], [1, 'Check pump']]);
+
+    expect(await restoreTaskTemplateVersion(templateId, 2, helen)).toBe(4);
+    expect(await taskTemplatesRepository.get(templateId)).toMatchObject({ title: 'Check pumps', difficulty: 'hard', version: 4, departmentId: 'ops' });
+  });
+
+  test('archiving does not create a version', async () => {
+    const templateId = await createTaskTemplate({ departmentId: 'ops', title: 'Check pump' }, helen);
+    await setTaskTemplateArchived(templateId, true, helen);
+
+    expect(await taskTemplatesRepository.get(templateId)).toMatchObject({ isArchived: true, version: 1 });
+    expect(await getTaskTemplateVersions(templateId)).toEqual([]);
+  });
+
+  test('refuses templates outside the user\'s departments', async () => {
+    await expect(createTaskTemplate({ departmentId: 'sales', title: 'Call' }, helen)).rejects.toThrow('own departments');
+
+    const templateId = await createTaskTemplate({ departmentId: 'sales', title: 'Call' }, USERS[4]);
+    await expect(updateTaskTemplate(templateId, { title: 'Call back' }, helen)).rejects.toThrow('own departments');
+    expect((await taskTemplatesRepository.get(templateId)).version).toBe(1);
+  });
+
+  test('validates template content', async () => {
+    await expect(createTaskTemplate({ departmentId: 'ops', title: ' ' }, helen)).rejects.toThrow('title');
+  });
+});
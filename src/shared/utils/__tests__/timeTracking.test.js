@@ -0,0 +1,219 @@
+/**
+ * Time Tracking Tests
+ *
+ * Covers assignees' work-session timers (start, pause, resume, stop), the
+ * worked-minute totals the Cloud Function keeps on the task, timesheets, and
+ * the transactions that write sessions to tasks/{id}/workSessions.
+ */
+
+import { createRequire } from 'node:module';
+import {
+  TIMER_ACTIONS,
+  getTimerActions,
+  getWorkedMinutes,
+  formatWorkedMinutes,
+  buildTimerChange,
+  buildStopAllTimersChange,
+  buildTimesheetRows,
+  summarizeTimesheet,
+  toTimesheetCsv,
+} from '../../../features/tasks/utils/timeTracking.js';
+import { changeTaskTimer, getTaskWorkSessions, getWorkSessionsInRange } from '../../../features/tasks/api/timeTrackingApi.js';
+import { patchTask } from '../../../features/tasks/api/taskApi.js';
+import { getDataBackend, setDataBackend } from '../../data/backend.js';
+import { createMemoryBackend } from '../../data/memoryBackend.js';
+import { tasksRepository } from '../../data/tasksRepository.js';
+
+const require = createRequire(import.meta.url);
+const { sumWorkedMinutes, changesTotals } = require('../../../../functions/timeTracking.js');
+
+const MINUTE_MS = 60 * 1000;
+const alice = { id: 'alice', name: 'Alice' };
+const bob = { id: 'bob', name: 'Bob' };
+
+const task = (overrides = {}) => ({
+  id: 't1',
+  title: 'Fix pump',
+  departmentId: 'ops',
+  assignedUserIds: ['alice', 'bob'],
+  status: 'Ongoing',
+  ...overrides,
+});
+
+const at = (minutes) => new Date(Date.UTC(2026, 2, 2, 4, 0) + minutes * MINUTE_MS);
+
+// Apply changes the way recordTaskTimer and the totals function would, for
+// chaining actions in memory
+const tracker = () => {
+  const sessions = new Map();
+  return (current, change) => {
+    change.sessions.forEach(({ id, data }) => sessions.set(id, { userId: data.userId, ...sessions.get(id), ...data }));
+    return { ...current, ...change.patch, ...sumWorkedMinutes([...sessions.values()]) };
+  };
+};
+
+describe('time tracking helpers', () => {
+  test('offers each assignee the actions their timer allows', () => {
+    expect(getTimerActions(task(), 'alice')).toEqual([TIMER_ACTIONS.START]);
+    expect(getTimerActions(task({ status: 'Pending' }), 'alice')).toEqual([]);
+    expect(getTimerActions(task(), 'helen')).toEqual([]);
+
+    const running = task({ activeTimers: { alice: { state: 'running', sessionId: 's1', since: at(0) } } });
+    expect(getTimerActions(running, 'alice')).toEqual([TIMER_ACTIONS.PAUSE, TIMER_ACTIONS.STOP]);
+    expect(getTimerActions(running, 'bob')).toEqual([TIMER_ACTIONS.START]);
+
+    const paused = task({ activeTimers: { alice: { state: 'paused', sessionId: null, since: at(0) } } });
+    expect(getTimerActions(paused, 'alice')).toEqual([TIMER_ACTIONS.RESUME, TIMER_ACTIONS.STOP]);
+    expect(() => buildTimerChange(paused, alice, TIMER_ACTIONS.PAUSE)).toThrow('not running');
+    expect(() => buildTimerChange(task(), { id: 'helen' }, TIMER_ACTIONS.START)).toThrow('assignees');
+  });
+
+  test('adds up only the time between start and pause, not the break', () => {
+    const apply = tracker();
+    let current = task();
+    current = apply(current, buildTimerChange(current, alice, TIMER_ACTIONS.START, { sessionId: 's1', now: at(0) }));
+    const paused = buildTimerChange(current, alice, TIMER_ACTIONS.PAUSE, { now: at(50) });
+    expect(paused.sessions).toEqual([{ id: 's1', isNew: false, userId: 'alice', data: { endedAt: at(50), minutes: 50, endReason: 'pause' } }]);
+    current = apply(current, paused);
+
+    // A weekend away does not count
+    current = apply(current, buildTimerChange(current, alice, TIMER_ACTIONS.RESUME, { sessionId: 's2', now: at(3 * 24 * 60) }));
+    expect(getWorkedMinutes(current, 'alice')).toBe(50);
+    expect(getWorkedMinutes(current, 'alice', at(3 * 24 * 60 + 25))).toBe(75);
+
+    const stopped = buildTimerChange(current, alice, TIMER_ACTIONS.STOP, { now: at(3 * 24 * 60 + 70) });
+    current = apply(current, stopped);
+    expect(stopped.sessions[0]).toMatchObject({ id: 's2', data: { minutes: 70, endReason: 'stop' } });
+    expect(current).toMatchObject({ activeTimers: {}, workedMinutes: 120, workedMinutesByUser: { alice: 120 } });
+    expect(formatWorkedMinutes(current.workedMinutes)).toBe('2h 00m');
+    expect(formatWorkedMinutes(45)).toBe('45m');
+  });
+
+  test('stops every running timer when the task is done', () => {
+    const current = task({
+      activeTimers: {
+        alice: { state: 'running', sessionId: 's1', since: at(0) },
+        bob: { state: 'paused', sessionId: null, since: at(10) },
+      },
+      workedMinutes: 30,
+      workedMinutesByUser: { bob: 30 },
+    });
+    const change = buildStopAllTimersChange(current, { now: at(40) });
+    expect(change.sessions).toEqual([{ id: 's1', isNew: false, userId: 'alice', data: { endedAt: at(40), minutes: 40, endReason: 'complete' } }]);
+    expect(change.patch).toEqual({ activeTimers: {} });
+    expect(buildStopAllTimersChange(task())).toBeNull();
+  });
+
+  test('totals closed sessions on the server from their start and end times', () => {
+    const sessions = [
+      { userId: 'alice', startedAt: at(0), endedAt: at(50), minutes: 5000 },
+      { userId: 'alice', startedAt: at(60), endedAt: at(90) },
+      { userId: 'bob', startedAt: at(0), endedAt: null },
+    ];
+    expect(sumWorkedMinutes(sessions)).toEqual({ workedMinutes: 80, workedMinutesByUser: { alice: 80 } });
+    expect(changesTotals({ endedAt: null }, { endedAt: at(5) })).toBe(true);
+    expect(changesTotals({ endedAt: at(5) }, undefined)).toBe(true);
+    expect(changesTotals(undefined, { endedAt: null })).toBe(false);
+  });
+
+  test('builds timesheets per user', () => {
+    const sessions = [
+      { id: 's3', userId: 'bob', userName: 'Bob', taskId: 't2', taskTitle: 'Paint', startedAt: at(0), endedAt: at(90), minutes: 90 },
+      { id: 's2', userId: 'alice', userName: 'Al', taskId: 't1', taskTitle: 'Fix pump', startedAt: at(60), endedAt: at(90), minutes: 30 },
+      { id: 's1', userId: 'alice', userName: 'Al', taskId: 't1', taskTitle: 'Fix pump', startedAt: at(0), endedAt: at(45), minutes: 45 },
+      { id: 's4', userId: 'alice', userName: 'Al', taskId: 't3', taskTitle: 'Report, draft', startedAt: at(120), endedAt: null },
+    ];
+    const rows = buildTimesheetRows(sessions, [alice, bob]);
+    expect(rows.map((row) => row.id)).toEqual(['s1', 's2', 's4', 's3']);
+    expect(rows[0]).toMatchObject({ date: '2026-03-02', userName: 'Alice', minutes: 45, isRunning: false });
+    expect(rows[2]).toMatchObject({ minutes: null, isRunning: true });
+
+    expect(summarizeTimesheet(rows)).toEqual([
+      { userId: 'bob', userName: 'Bob', minutes: 90, sessionCount: 1, taskCount: 1 },
+      { userId: 'alice', userName: 'Alice', minutes: 75, sessionCount: 3, taskCount: 2 },
+    ]);
+
+    const csv = toTimesheetCsv(rows).split('\r\n');
+    expect(csv[0]).toBe('Date,User,Task,Started,Ended,Minutes,Hours');
+    expect(csv[1]).toMatch(/^2026-03-02,Alice,Fix pump,.*,45,0\.75$/);
+    expect(csv[3]).toMatch(/"Report, draft",.*,Running,,$/);
+  });
+});
+
+describe('time tracking API', () => {
+  // logActivity records the page URL and user agent, which Node lacks
+  const hadNavigator = 'navigator' in globalThis;
+  let serverTime;
+
+  beforeAll(() => {
+    globalThis.window = { location: { href: 'http://localhost/tasks' } };
+    if (!hadNavigator) globalThis.navigator = { userAgent: 'node' };
+  });
+
+  afterAll(() => {
+    delete globalThis.window;
+    if (!hadNavigator) delete globalThis.navigator;
+  });
+
+  beforeEach(() => {
+    // Timers start on the server clock 90 minutes before the client's
+    serverTime = Date.now() - 90 * MINUTE_MS;
+    const { id, ...data } = task();
+    setDataBackend(createMemoryBackend({ [`tasks/${id}`]: data }, { now: () => new Date(serverTime) }));
+  });
+
+  afterEach(() => setDataBackend(null));
+
+  test('records sessions and leaves the totals to the server', async () => {
+    await changeTaskTimer('t1', TIMER_ACTIONS.START, alice);
+    await changeTaskTimer('t1', TIMER_ACTIONS.START, bob);
+    let saved = await tasksRepository.get('t1');
+    expect(Object.keys(saved.activeTimers).sort()).toEqual(['alice', 'bob']);
+    serverTime += 90 * MINUTE_MS;
+
+    await changeTaskTimer('t1', TIMER_ACTIONS.PAUSE, alice);
+    await expect(changeTaskTimer('t1', TIMER_ACTIONS.PAUSE, alice)).rejects.toThrow('not running');
+
+    saved = await tasksRepository.get('t1');
+    expect(saved.activeTimers.alice.state).toBe('paused');
+    expect(saved.workedMinutesByUser).toBeUndefined();
+
+    const sessions = await getTaskWorkSessions('t1');
+    expect(sumWorkedMinutes(sessions).workedMinutesByUser).toEqual({ alice: 90 });
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find((session) => session.userId === 'alice')).toMatchObject({ taskTitle: 'Fix pump', minutes: 90, endReason: 'pause' });
+
+    const aliceSessions = await getWorkSessionsInRange({ startDate: new Date(0), endDate: new Date(Date.now() + MINUTE_MS), userId: 'alice' });
+    expect(aliceSessions.map((session) => session.userId)).toEqual(['alice']);
+  });
+
+  test('stops every timer when the task is completed', async () => {
+    await changeTaskTimer('t1', TIMER_ACTIONS.START, alice);
+    await changeTaskTimer('t1', TIMER_ACTIONS.START, bob);
+    serverTime += 90 * MINUTE_MS;
+    await changeTaskTimer('t1', TIMER_ACTIONS.PAUSE, bob);
+
+    await patchTask('t1', { status: 'Complete' }, 'alice', 'Alice');
+
+    const saved = await tasksRepository.get('t1');
+    expect(saved).toMatchObject({ status: 'Complete', activeTimers: {} });
+    const sessions = await getTaskWorkSessions('t1');
+    expect(sessions.filter((session) => !session.endedAt)).toEqual([]);
+    expect(sumWorkedMinutes(sessions).workedMinutes).toBe(180);
+    expect(await getDataBackend().get('openWorkSessions/alice')).toBeNull();
+  });
+
+  test('keeps one open session per user across tasks', async () => {
+    const { id, ...data } = task({ id: 't2', title: 'Paint', assignedUserIds: ['alice'] });
+    await getDataBackend().set(`tasks/${id}`, data);
+
+    await changeTaskTimer('t1', TIMER_ACTIONS.START, alice);
+    await expect(changeTaskTimer('t2', TIMER_ACTIONS.START, alice)).rejects.toThrow('already running on "Fix pump"');
+    expect((await tasksRepository.get('t2')).activeTimers).toBeUndefined();
+
+    await changeTaskTimer('t1', TIMER_ACTIONS.PAUSE, alice);
+    await changeTaskTimer('t2', TIMER_ACTIONS.START, alice);
+    expect(await getDataBackend().get('openWorkSessions/alice')).toMatchObject({ data: { taskId: 't2' } });
+    await expect(changeTaskTimer('t1', TIMER_ACTIONS.RESUME, alice)).rejects.toThrow('already running on "Paint"');
+  });
+});
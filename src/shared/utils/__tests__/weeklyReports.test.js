@@ -0,0 +1,203 @@
+/**
+ * Weekly Report Tests
+ *
+ * Covers the figures, recipients and rendering of the weekly department
+ * report sent by the sendWeeklyReports Cloud Function.
+ */
+
+import { createRequire } from 'node:module';
+import { DEFAULT_REPORT_SUBSCRIPTION } from '../../constants.js';
+
+const require = createRequire(import.meta.url);
+const reports = require('../../../../functions/reports.js');
+const { getMailConfig, createMailTransport } = require('../../../../functions/mailer.js');
+const {
+  SKIP_REASONS,
+  getReportWeek,
+  getReportRecipients,
+  buildDepartmentReport,
+  buildReportLines,
+  renderReportHtml,
+  renderReportPdf,
+  sendWeeklyReports,
+} = reports;
+
+// Monday 2026-03-09 08:00 IST, when the schedule runs
+const NOW = new Date('2026-03-09T08:00:00+05:30');
+const WEEK = getReportWeek(NOW);
+const at = (iso) => new Date(`${iso}+05:30`);
+
+const DEPARTMENTS = [{ id: 'ops', name: 'Operations' }, { id: 'qc', name: 'Quality' }];
+const USERS = [
+  { id: 'meera', name: 'Meera', role: 'Management', email: 'meera@example.com' },
+  { id: 'helen', name: 'Helen', role: 'Head', departmentIds: ['ops'], email: 'helen@example.com' },
+  { id: 'alice', name: 'Alice', role: 'User', departmentIds: ['ops'] },
+  { id: 'bob', name: 'Bob', role: 'User', departmentIds: ['ops', 'qc'] },
+  { id: 'carol', name: 'Carol', role: 'User', departmentIds: ['qc'] },
+];
+
+const DATA = {
+  users: USERS,
+  departments: DEPARTMENTS,
+  openTasks: [
+    { id: 't1', title: 'Fix pump', departmentId: 'ops', assignedUserIds: ['alice'], targetDate: '2026-03-04', status: 'Ongoing' },
+    { id: 't2', title: 'Paint wall', departmentId: 'ops', assignedUserIds: ['bob'], targetDate: '2026-03-10', status: 'Pending' },
+    { id: 't3', title: 'Old audit', departmentId: 'ops', assignedUserId: 'bob', targetDate: '2026-02-27', status: 'Pending' },
+  ],
+  completedTasks: [
+    { id: 't4', title: 'Clean tank', departmentId: 'ops', assignedUserIds: ['alice', 'bob'], completedAt: at('2026-03-03T10:00:00') },
+    { id: 't5', title: 'Oil gears', departmentId: 'ops', assignedUserIds: ['alice'], completedAt: at('2026-03-05T10:00:00') },
+    { id: 't6', title: 'Check samples', departmentId: 'qc', assignedUserIds: ['carol'], completedAt: at('2026-03-06T10:00:00') },
+  ],
+  ledgerEntries: [
+    { userId: 'alice', type: 'earned', points: 40, source: { kind: 'task', id: 't4' } },
+    { userId: 'alice', type: 'bonus', points: 5, source: { kind: 'dailyBonus', id: '2026-03-03' } },
+    { userId: 'bob', type: 'earned', points: 20, source: { kind: 'task', id: 't4' } },
+    { userId: 'bob', type: 'redeemed', points: -100, source: { kind: 'voucher', id: 'v1' } },
+    { userId: 'alice', type: 'expired', points: -10, source: { kind: 'expiry', id: 'e1' } },
+    { userId: 'carol', type: 'earned', points: 25, source: { kind: 'task', id: 't6' } },
+  ],
+};
+
+describe('weekly reports', () => {
+  test('should keep the app and Cloud Functions defaults in sync', () => {
+    expect(DEFAULT_REPORT_SUBSCRIPTION).toEqual(reports.DEFAULT_REPORT_SUBSCRIPTION);
+  });
+
+  test('should cover the last full Monday-to-Sunday week in IST', () => {
+    expect(WEEK.start.toISOString()).toBe('2026-03-01T18:30:00.000Z');
+    expect(WEEK.end.toISOString()).toBe('2026-03-08T18:30:00.000Z');
+    expect(WEEK.weekKey).toBe('2026-03-02');
+    expect(WEEK.label).toBe('2 Mar 2026 - 8 Mar 2026');
+    // Late Sunday night IST is still in the week after
+    expect(getReportWeek(new Date('2026-03-08T23:30:00+05:30')).weekKey).toBe('2026-02-23');
+  });
+
+  describe('getReportRecipients', () => {
+    test('should send Management every department and heads their own', () => {
+      const { recipients, skipped } = getReportRecipients(USERS, DEPARTMENTS);
+      expect(recipients).toEqual([
+        { userId: 'meera', name: 'Meera', email: 'meera@example.com', departmentIds: ['ops', 'qc'], attachPdf: true },
+        { userId: 'helen', name: 'Helen', email: 'helen@example.com', departmentIds: ['ops'], attachPdf: true },
+      ]);
+      expect(skipped).toEqual([]);
+    });
+
+    test('should follow each user\'s subscription', () => {
+      const users = [
+        { ...USERS[0], reportSubscription: { weekly: true, attachPdf: false, departmentIds: ['qc', 'gone'], email: ' reports@example.com ' } },
+        { ...USERS[1], reportSubscription: { weekly: false } },
+        { id: 'hari', name: 'Hari', role: 'Head', departmentIds: ['ops'] },
+        { id: 'nina', name: 'Nina', role: 'Head', departmentIds: ['gone'], email: 'nina@example.com' },
+      ];
+      const { recipients, skipped } = getReportRecipients(users, DEPARTMENTS);
+      expect(recipients).toEqual([
+        { userId: 'meera', name: 'Meera', email: 'reports@example.com', departmentIds: ['qc'], attachPdf: false },
+      ]);
+      expect(skipped).toEqual([
+        { userId: 'helen', reason: SKIP_REASONS.UNSUBSCRIBED },
+        { userId: 'hari', reason: SKIP_REASONS.NO_EMAIL },
+        { userId: 'nina', reason: SKIP_REASONS.NO_DEPARTMENTS },
+      ]);
+      expect(getReportRecipients(users, DEPARTMENTS, { userIds: ['helen'], includeUnsubscribed: true }).recipients)
+        .toEqual([expect.objectContaining({ userId: 'helen' })]);
+    });
+  });
+
+  describe('buildDepartmentReport', () => {
+    test('should total the week of a department', () => {
+      const report = buildDepartmentReport(DEPARTMENTS[0], DATA, WEEK);
+      expect(report).toMatchObject({
+        departmentId: 'ops',
+        name: 'Operations',
+        completed: 2,
+        completionRate: 50,
+        pointsIssued: 65,
+        vouchersRedeemed: { count: 1, points: 100 },
+      });
+      expect(report.overdue).toEqual([
+        { taskId: 't3', title: 'Old audit', assignees: ['Bob'], targetDate: '27 Feb 2026', daysOverdue: 9 },
+        { taskId: 't1', title: 'Fix pump', assignees: ['Alice'], targetDate: '4 Mar 2026', daysOverdue: 4 },
+      ]);
+      expect(report.topPerformers).toEqual([
+        { userId: 'alice', name: 'Alice', points: 45, tasksCompleted: 2 },
+        { userId: 'bob', name: 'Bob', points: 20, tasksCompleted: 1 },
+      ]);
+    });
+
+    test('should count points of members of several departments in each', () => {
+      const report = buildDepartmentReport(DEPARTMENTS[1], DATA, WEEK);
+      expect(report).toMatchObject({ completed: 1, completionRate: 100, pointsIssued: 45, overdue: [] });
+      expect(report.topPerformers.map((row) => row.userId)).toEqual(['carol', 'bob']);
+    });
+
+    test('should leave the rate empty when nothing was due', () => {
+      const report = buildDepartmentReport({ id: 'new', name: 'New' }, DATA, WEEK);
+      expect(report.completionRate).toBeNull();
+      expect(buildReportLines([report], WEEK)[3].text).toBe('Completion rate: - (0 completed, 0 overdue)');
+    });
+  });
+
+  describe('rendering', () => {
+    const report = buildDepartmentReport(DEPARTMENTS[0], DATA, WEEK);
+
+    test('should escape task titles in the HTML', () => {
+      const html = renderReportHtml([{ ...report, overdue: [{ ...report.overdue[0], title: '<b>Old & new</b>' }] }], WEEK);
+      expect(html).toContain('&lt;b&gt;Old &amp; new&lt;/b&gt;');
+      expect(html).toContain('Completion rate: <strong>50%</strong>');
+    });
+
+    test('should write a PDF with a valid cross-reference table', () => {
+      const lines = buildReportLines([report], WEEK);
+      lines.push({ text: 'Pump (main) \\ tank – रिपोर्ट' });
+      const pdf = renderReportPdf(lines).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('(Weekly department report: 2 Mar 2026 - 8 Mar 2026) Tj');
+      expect(pdf).toContain('(Pump \\(main\\) \\\\ tank - ???????) Tj');
+      const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+      const firstObject = Number(pdf.match(/0000000000 65535 f \n(\d{10})/)[1]);
+      expect(pdf.slice(firstObject, firstObject + 7)).toBe('1 0 obj');
+    });
+
+    test('should start a new page when the text runs out of room', () => {
+      const lines = Array.from({ length: 120 }, (_, index) => ({ text: `Line ${index}` }));
+      expect(renderReportPdf(lines).toString('latin1')).toMatch(/\/Count 3 >>/);
+    });
+  });
+
+  describe('sendWeeklyReports', () => {
+    test('should mail each recipient and report the failures', async () => {
+      const sent = [];
+      const transport = createMailTransport({
+        from: 'Reports <reports@example.com>',
+        sendMail: async (message) => {
+          if (message.to === 'helen@example.com') throw new Error('Mailbox full');
+          sent.push(message);
+        },
+      });
+
+      const result = await sendWeeklyReports(DATA, { transport, now: NOW });
+
+      expect(result.sent).toEqual(['meera']);
+      expect(result.failed).toEqual([{ userId: 'helen', error: 'Mailbox full' }]);
+      expect(sent).toHaveLength(1);
+      expect(sent[0]).toMatchObject({
+        from: 'Reports <reports@example.com>',
+        to: 'meera@example.com',
+        subject: 'Weekly department report: 2 Mar 2026 - 8 Mar 2026',
+      });
+      expect(sent[0].text).toContain('Operations');
+      expect(sent[0].text).toContain('Quality');
+      expect(sent[0].attachments).toEqual([expect.objectContaining({ filename: 'department-report-2026-03-02.pdf', contentType: 'application/pdf' })]);
+    });
+  });
+
+  test('should use SMTP only when a host is configured', () => {
+    expect(getMailConfig({})).toMatchObject({ kind: 'log', port: 587, secure: false });
+    expect(getMailConfig({ SMTP_HOST: 'localhost', SMTP_PORT: '1025', MAIL_FROM: 'a@b.c' }))
+      .toMatchObject({ kind: 'smtp', host: 'localhost', port: 1025, secure: false, from: 'a@b.c' });
+    expect(() => createMailTransport({ kind: 'pigeon' })).toThrow('Unknown mail transport: pigeon');
+  });
+});
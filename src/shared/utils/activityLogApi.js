@@ -1,9 +1,10 @@
-import { db } from '../../firebase';
-import { collection, query, orderBy, limit, startAfter, getDocs, where } from 'firebase/firestore';
+import { activityLogRepository, getActivityLogQuery } from '../data/activityLogRepository';
 
-const ACTIVITY_LOG_COLLECTION = 'activityLog';
 const DEFAULT_PAGE_SIZE = 50;
 
+// Action filter only, without ordering (served without a composite index)
+const getActionFilter = (filter) => ({ filters: getActivityLogQuery(filter).filters });
+
 /**
  * Get paginated activity logs
  * @param {number} pageSize - Number of logs to fetch per page
@@ -13,33 +14,11 @@ const DEFAULT_PAGE_SIZE = 50;
  */
 export const getPaginatedActivityLogs = async (pageSize = DEFAULT_PAGE_SIZE, lastDocId = null, filter = 'all') => {
   try {
-    let q = query(
-      collection(db, ACTIVITY_LOG_COLLECTION),
-      orderBy('timestamp', 'desc')
-    );
-
-    // Apply filter if not 'all'
-    if (filter !== 'all') {
-      q = query(q, where('action', '==', filter));
-    }
-
-    // Apply pagination
-    q = query(q, limit(pageSize + 1)); // Fetch one extra to check if there are more
-
-    const snapshot = await getDocs(q);
-    const allDocs = snapshot.docs;
-    
-    // Check if there are more documents
-    const hasMore = allDocs.length > pageSize;
-    const logs = allDocs.slice(0, pageSize).map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-
+    const { items, cursor, hasMore } = await activityLogRepository.page(getActivityLogQuery(filter), { pageSize });
     return {
-      logs,
+      logs: items,
       hasMore,
-      lastDoc: hasMore ? allDocs[pageSize - 1] : null
+      lastDoc: cursor
     };
   } catch (error) {
     console.error('Error fetching paginated activity logs:', error);
@@ -54,61 +33,34 @@ export const getPaginatedActivityLogs = async (pageSize = DEFAULT_PAGE_SIZE, las
 /**
  * Get activity logs with cursor-based pagination
  * @param {number} pageSize - Number of logs to fetch per page
- * @param {Object} startAfterDoc - Document to start after (for cursor pagination)
+ * @param {*} startAfterDoc - `lastDoc` of the previous page (for cursor pagination)
  * @param {string} filter - Filter by action type
  * @returns {Promise<{logs: Array, hasMore: boolean, lastDoc: Object}>}
  */
 export const getActivityLogsWithCursor = async (pageSize = DEFAULT_PAGE_SIZE, startAfterDoc = null, filter = 'all') => {
   try {
-    let q = query(
-      collection(db, ACTIVITY_LOG_COLLECTION),
-      orderBy('timestamp', 'desc')
-    );
-
-    // Apply filter if not 'all'
     if (filter !== 'all') {
       console.log('Filtering activity logs by action:', filter);
-      q = query(q, where('action', '==', filter));
     }
 
-    // Apply cursor pagination
-    if (startAfterDoc) {
-      q = query(q, startAfter(startAfterDoc));
-    }
-
-    // Fetch one extra to check if there are more
-    q = query(q, limit(pageSize + 1));
-
-    const snapshot = await getDocs(q);
-    const allDocs = snapshot.docs;
-    
-    console.log(`Found ${allDocs.length} documents for filter "${filter}"`);
-    
-    // Check if there are more documents
-    const hasMore = allDocs.length > pageSize;
-    const logs = allDocs.slice(0, pageSize).map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const { items, cursor, hasMore } = await activityLogRepository.page(getActivityLogQuery(filter), {
+      pageSize,
+      after: startAfterDoc,
+    });
+    console.log(`Found ${items.length} documents for filter "${filter}"`);
 
     return {
-      logs,
+      logs: items,
       hasMore,
-      lastDoc: hasMore ? allDocs[pageSize - 1] : null
+      lastDoc: cursor
     };
   } catch (error) {
     // Fallback when composite index is missing (failed-precondition)
     console.warn('Primary activity log query failed, trying fallback without orderBy. Error:', error?.message || error);
     try {
-      let q = collection(db, ACTIVITY_LOG_COLLECTION);
-      if (filter !== 'all') {
-        q = query(q, where('action', '==', filter));
-      } else {
-        q = query(q, limit(pageSize + 1));
-      }
-
-      const snapshot = await getDocs(q);
-      const docs = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      const docs = await activityLogRepository.list(
+        filter !== 'all' ? getActionFilter(filter) : { limit: pageSize + 1 }
+      );
 
       // Sort client-side by timestamp descending (supports string ISO or Firestore Timestamp)
       const toMillis = (ts) => {
@@ -143,16 +95,13 @@ export const getActivityLogsWithCursor = async (pageSize = DEFAULT_PAGE_SIZE, st
  */
 export const getActivityLogCount = async (filter = 'all') => {
   try {
-    let q = query(collection(db, ACTIVITY_LOG_COLLECTION));
-    
     if (filter !== 'all') {
       console.log('Counting activity logs for action:', filter);
-      q = query(q, where('action', '==', filter));
     }
 
-    const snapshot = await getDocs(q);
-    console.log(`Total count for filter "${filter}": ${snapshot.size}`);
-    return snapshot.size;
+    const logs = await activityLogRepository.list(getActionFilter(filter));
+    console.log(`Total count for filter "${filter}": ${logs.length}`);
+    return logs.length;
   } catch (error) {
     console.error('Error getting activity log count:', error);
     return 0;
@@ -165,14 +114,12 @@ export const getActivityLogCount = async (filter = 'all') => {
  */
 export const getAllActionTypes = async () => {
   try {
-    const q = query(collection(db, ACTIVITY_LOG_COLLECTION));
-    const snapshot = await getDocs(q);
+    const logs = await activityLogRepository.list();
     const actions = new Set();
     
-    snapshot.docs.forEach(doc => {
-      const data = doc.data();
-      if (data.action) {
-        actions.add(data.action);
+    logs.forEach(log => {
+      if (log.action) {
+        actions.add(log.action);
       }
     });
     
@@ -1,5 +1,5 @@
-import { db } from "../../firebase";
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
+import { activityLogRepository } from '../data/activityLogRepository';
+import { serverTimestamp } from '../data/fieldValues';
 import { getCurrentLocation } from './location.js';
 import { toISTISOString } from './date.js';
 
@@ -68,7 +68,7 @@ export const logActivity = async (action, entityType, entityId, entityName, user
       userAgent: navigator.userAgent,
       url: window.location.href,
     };
-    await addDoc(collection(db, 'activityLog'), logEntry);
+    await activityLogRepository.add(logEntry);
   } catch (error) {
     console.error('Failed to log activity:', error);
   }
@@ -0,0 +1,66 @@
+import { holidaysRepository } from '../data/holidaysRepository';
+import { logActivity } from './activityLogger';
+import { isDateKey } from './recurrence';
+
+const sortByDate = (holidays) => [...holidays].sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Get all company holidays
+ * @returns {Promise<Array<{id: string, date: string, name: string}>>} Sorted by date; empty on error
+ */
+export const getHolidays = async () => {
+  try {
+    return sortByDate(await holidaysRepository.list());
+  } catch (error) {
+    console.error('Error loading holidays:', error);
+    return [];
+  }
+};
+
+/**
+ * Subscribe to the company holiday calendar
+ * @param {Function} callback - Called with the holidays sorted by date
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToHolidays = (callback) => holidaysRepository.subscribe(
+  null,
+  (holidays) => callback(sortByDate(holidays)),
+  (error) => console.error('Error subscribing to holidays:', error)
+);
+
+/**
+ * Add or rename a holiday
+ * @param {{date: string, name: string}} holiday
+ * @param {Object} currentUser
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const saveHoliday = async ({ date, name }, currentUser) => {
+  if (!isDateKey(date)) return { success: false, error: 'Invalid date' };
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) return { success: false, error: 'Holiday name is required' };
+
+  try {
+    await holidaysRepository.set(date, { date, name: trimmedName });
+    logActivity('create', 'holiday', date, trimmedName, currentUser.id, currentUser.name);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving holiday:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * @param {{date: string, name: string}} holiday
+ * @param {Object} currentUser
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const removeHoliday = async (holiday, currentUser) => {
+  try {
+    await holidaysRepository.remove(holiday.date);
+    logActivity('delete', 'holiday', holiday.date, holiday.name, currentUser.id, currentUser.name);
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing holiday:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Points Ledger Client
+ *
+ * Points balances are changed only by Cloud Functions, which append entries to
+ * the read-only `pointsLedger` collection (see functions/pointsLedger.js).
+ * These helpers call those functions and return the `{ success, ... }` result
+ * shape used by the rest of the points utilities.
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../firebase';
+
+export { LEDGER_ENTRY_TYPES } from '../constants';
+
+/**
+ * Call a points ledger Cloud Function
+ * @param {string} name - Callable function name
+ * @param {Object} data - Request payload
+ * @returns {Promise<Object>} { success: true, ...response } or { success: false, error }
+ */
+export async function callLedgerFunction(name, data) {
+  try {
+    const callable = httpsCallable(functions, name);
+    const result = await callable(data);
+    return { success: true, ...(result.data || {}) };
+  } catch (error) {
+    console.error(`Error calling ${name}:`, error);
+    return {
+      success: false,
+      error: error.message,
+      ...(error.details || {}),
+    };
+  }
+}
+
+/**
+ * Replay a user's ledger on the server and compare it with their stored balance
+ * @param {string} userId - User whose balance is audited
+ * @param {string} actorId - User requesting the audit (admin/management, or the user themself)
+ * @returns {Promise<Object>} { success, entries, replay, cached, inSync }
+ */
+export async function auditUserPoints(userId, actorId) {
+  return callLedgerFunction('auditUserPoints', { userId, actorId });
+}
+
+/**
+ * Claim today's daily bonus. The server decides the day and the amount.
+ * @param {string} actorId - Signed-in user claiming the bonus
+ * @returns {Promise<Object>} { success, dateKey, points, claimedAt, newUsablePoints }
+ */
+export async function claimDailyBonus(actorId) {
+  return callLedgerFunction('claimDailyBonus', { actorId });
+}
+
+/**
+ * Seed opening balances for users that predate the ledger (Admin only)
+ * @param {boolean} dryRun - Report the credits without writing them
+ * @returns {Promise<Object>} { success, seeded, skipped, credits }
+ */
+export async function seedPointsLedgers(dryRun) {
+  return callLedgerFunction('seedPointsLedgers', { dryRun });
+}
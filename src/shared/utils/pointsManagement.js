@@ -3,11 +3,13 @@
  * 
  * Handles points with expiration, usable points calculation, and redemption.
  * Points can expire after a configurable number of days.
+ *
+ * Balances are derived from the server-side points ledger (see pointsLedger.js).
+ * Users created before the ledger fall back to their legacy pointsHistory
+ * until their first ledger entry is written.
  */
 
-import { db } from '../../firebase';
-import { doc, updateDoc, serverTimestamp, getDoc, runTransaction } from 'firebase/firestore';
-import { cleanFirestoreData } from './firestoreHelpers';
+import { callLedgerFunction } from './pointsLedger';
 
 /**
  * Configuration for points system
@@ -17,32 +19,8 @@ export const POINTS_CONFIG = {
   MIN_REDEMPTION_POINTS: 100, // Minimum points required for redemption
 };
 
-const buildInitialPointsHistory = (userData = {}) => {
-  const existingPointsHistory = userData?.pointsHistory || {};
-  if (Object.keys(existingPointsHistory).length > 0) {
-    return { ...existingPointsHistory };
-  }
-
-  const fallbackPoints = Math.floor(userData?.totalTCS || userData?.weeklyTCS || 0);
-  if (fallbackPoints <= 0) {
-    return {};
-  }
-
-  const todayKey = formatDateKey(new Date());
-  if (!todayKey) {
-    return {};
-  }
-
-  return {
-    [todayKey]: {
-      points: fallbackPoints,
-      addedAt: serverTimestamp(),
-      expirationDays: POINTS_CONFIG.EXPIRATION_DAYS,
-      isUsable: true,
-      source: 'legacy_tcs_migration',
-    },
-  };
-};
+// Once a user has ledger entries, their balance fields are maintained by Cloud Functions
+const hasLedger = (user) => Boolean(user?.ledgerSeededAt);
 
 /**
  * Calculate usable points for a user
@@ -56,6 +34,10 @@ export function calculateUsablePoints(user) {
     return 0;
   }
 
+  if (hasLedger(user)) {
+    return Math.floor(user.usablePoints || 0);
+  }
+
   // If no pointsHistory exists yet, use the calculated total TCS as usable points
   // This allows existing users to have points for marketplace
   if (!user.pointsHistory) {
@@ -102,6 +84,10 @@ export function calculateTotalPoints(user) {
     return 0;
   }
 
+  if (hasLedger(user)) {
+    return Math.floor(user.totalPoints || 0);
+  }
+
   // If no pointsHistory exists yet, use the calculated total TCS
   if (!user.pointsHistory) {
     return user.totalTCS || user.weeklyTCS || 0;
@@ -145,6 +131,28 @@ export function getPointsBreakdown(user) {
     };
   }
 
+  if (hasLedger(user)) {
+    const now = new Date();
+    const expiringSoon = (user.pointsExpiringSoon || [])
+      .map((entry) => {
+        const expirationDate = new Date(entry.expirationDate);
+        return {
+          entryId: entry.entryId,
+          points: entry.points,
+          expirationDate,
+          daysUntilExpiry: Math.ceil((expirationDate - now) / (1000 * 60 * 60 * 24)),
+        };
+      })
+      .filter((entry) => entry.daysUntilExpiry > 0);
+
+    return {
+      usable: Math.floor(user.usablePoints || 0),
+      expired: Math.floor(user.expiredPoints || 0),
+      total: Math.floor(user.totalPoints || 0),
+      expiringSoon,
+    };
+  }
+
   // If no pointsHistory exists yet, use the calculated total TCS
   if (!user.pointsHistory) {
     const usablePoints = user.totalTCS || user.weeklyTCS || 0;
@@ -224,346 +232,57 @@ function parseDateKey(dateKey) {
 }
 
 /**
- * Format date to date key
- * @param {Date} date - Date object
- * @returns {string} Date key
- */
-function formatDateKey(date) {
-  if (!(date instanceof Date)) {
-    return null;
-  }
-
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-
-  return `${year}-${month}-${day}`;
-}
-
-/**
- * Add points to user (when they complete tasks)
+ * Add points to user (admin award)
+ * Task and daily bonus points are recorded by Cloud Functions automatically.
  * 
  * @param {string} userId - User ID
  * @param {number} points - Points to add
  * @param {number} expirationDays - Days until expiration (optional, defaults to POINTS_CONFIG.EXPIRATION_DAYS)
+ * @param {string} adminId - Admin user ID awarding the points
  * @returns {Promise<Object>} Result
  */
-export async function addPoints(userId, points, expirationDays = null) {
-  try {
-    if (!userId || typeof points !== 'number' || points <= 0) {
-      throw new Error('Invalid parameters');
-    }
-
-    const userRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userRef);
-    
-    if (!userDoc.exists()) {
-      throw new Error('User not found');
-    }
-
-    const userData = userDoc.data();
-    const todayKey = formatDateKey(new Date());
-    
-    if (!todayKey) {
-      throw new Error('Unable to generate date key');
-    }
-
-    // Seed legacy users from their stored TCS before first write.
-    const pointsHistory = buildInitialPointsHistory(userData);
-    
-    // Add new points entry
-    const newEntry = {
-      points: points,
-      addedAt: serverTimestamp(),
-      expirationDays: expirationDays || POINTS_CONFIG.EXPIRATION_DAYS,
-      isUsable: true,
-    };
-
-    // If entry exists for today, add to it
-    if (pointsHistory[todayKey]) {
-      pointsHistory[todayKey].points += points;
-    } else {
-      pointsHistory[todayKey] = newEntry;
-    }
-
-    // Calculate new usable points
-    const updatedUsablePoints = calculateUsablePoints({ ...userData, pointsHistory });
-    const updatedTotalPoints = calculateTotalPoints({ ...userData, pointsHistory });
-
-    // Update user document
-    const updateData = {
-      pointsHistory: pointsHistory,
-      usablePoints: updatedUsablePoints,
-      totalPoints: updatedTotalPoints,
-      updatedAt: serverTimestamp(),
-    };
-
-    const cleanUpdateData = cleanFirestoreData(updateData);
-    await updateDoc(userRef, cleanUpdateData);
-
-    return {
-      success: true,
-      newUsablePoints: updatedUsablePoints,
-      newTotalPoints: updatedTotalPoints,
-    };
-
-  } catch (error) {
-    console.error('Error adding points:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
+export async function addPoints(userId, points, expirationDays = null, adminId = null) {
+  if (!userId || typeof points !== 'number' || points <= 0) {
+    return { success: false, error: 'Invalid parameters' };
   }
-}
-
-/**
- * Redeem points (deduct from usable points)
- * 
- * @param {string} userId - User ID
- * @param {number} pointsToRedeem - Points to redeem
- * @returns {Promise<Object>} Result
- */
-export async function redeemPoints(userId, pointsToRedeem) {
-  try {
-    if (!userId || typeof pointsToRedeem !== 'number' || pointsToRedeem <= 0) {
-      throw new Error('Invalid parameters');
-    }
-
-    const userRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userRef);
-    
-    if (!userDoc.exists()) {
-      throw new Error('User not found');
-    }
 
-    const userData = userDoc.data();
-    const fallbackUsablePoints = calculateUsablePoints(userData);
-    const usablePoints = typeof userData.usablePoints === 'number'
-      ? Math.max(userData.usablePoints, fallbackUsablePoints)
-      : fallbackUsablePoints;
-
-    // Check if user has enough points
-    if (usablePoints < pointsToRedeem) {
-      return {
-        success: false,
-        error: 'Insufficient points',
-        available: usablePoints,
-      };
-    }
-
-    // Get points history and deduct points
-    const pointsHistory = buildInitialPointsHistory(userData);
-    
-    // Deduct points from oldest non-expired entries first
-    let remainingToRedeem = pointsToRedeem;
-    const sortedEntries = Object.entries(pointsHistory).sort((a, b) => {
-      return parseDateKey(a[0]) - parseDateKey(b[0]);
-    });
-
-    for (const [dateKey, entry] of sortedEntries) {
-      if (remainingToRedeem <= 0) break;
-
-      if (entry && entry.points > 0 && entry.isUsable !== false) {
-        // Check if entry is still valid
-        const pointsDate = parseDateKey(dateKey);
-        if (!pointsDate) continue;
-
-        const expirationDate = new Date(pointsDate);
-        expirationDate.setDate(expirationDate.getDate() + (entry.expirationDays || POINTS_CONFIG.EXPIRATION_DAYS));
-
-        const now = new Date();
-        if (now <= expirationDate) {
-          const pointsToDeduct = Math.min(remainingToRedeem, entry.points);
-          entry.points -= pointsToDeduct;
-          remainingToRedeem -= pointsToDeduct;
-
-          // If all points are used, mark as unusable
-          if (entry.points <= 0) {
-            entry.isUsable = false;
-          }
-        }
-      }
-    }
-
-    if (remainingToRedeem > 0) {
-      throw new Error('Not enough usable points available');
-    }
-
-    // Calculate new usable points
-    const updatedUsablePoints = calculateUsablePoints({ ...userData, pointsHistory });
-    const updatedTotalPoints = calculateTotalPoints({ ...userData, pointsHistory });
-
-    // Update user document
-    const updateData = {
-      pointsHistory: pointsHistory,
-      usablePoints: updatedUsablePoints,
-      totalPoints: updatedTotalPoints,
-      totalRedeemed: (userData.totalRedeemed || 0) + pointsToRedeem,
-      lastRedemption: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
-
-    const cleanUpdateData = cleanFirestoreData(updateData);
-    await updateDoc(userRef, cleanUpdateData);
-
-    return {
-      success: true,
-      newUsablePoints: updatedUsablePoints,
-      newTotalPoints: updatedTotalPoints,
-      redeemed: pointsToRedeem,
-    };
-
-  } catch (error) {
-    console.error('Error redeeming points:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
+  return callLedgerFunction('awardPoints', {
+    userId,
+    points,
+    expirationDays: expirationDays || POINTS_CONFIG.EXPIRATION_DAYS,
+    actorId: adminId,
+  });
 }
 
 /**
  * Mark all points as expired for a user (admin function)
  * 
  * @param {string} userId - User ID
+ * @param {string} adminId - Admin user ID performing the action
  * @returns {Promise<Object>} Result
  */
-export async function expireAllUserPoints(userId) {
-  try {
-    if (!userId) {
-      throw new Error('User ID is required');
-    }
-
-    const userRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userRef);
-    
-    if (!userDoc.exists()) {
-      throw new Error('User not found');
-    }
-
-    const userData = userDoc.data();
-    const pointsHistory = { ...(userData.pointsHistory || {}) };
-
-    // Mark all entries as unusable
-    Object.keys(pointsHistory).forEach(key => {
-      if (pointsHistory[key]) {
-        pointsHistory[key].isUsable = false;
-      }
-    });
-
-    const updateData = {
-      pointsHistory: pointsHistory,
-      usablePoints: 0,
-      totalPoints: userData.totalPoints || 0,
-      allPointsExpired: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
-
-    const cleanUpdateData = cleanFirestoreData(updateData);
-    await updateDoc(userRef, cleanUpdateData);
-
-    return {
-      success: true,
-      message: 'All points marked as expired',
-    };
-
-  } catch (error) {
-    console.error('Error expiring user points:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
+export async function expireAllUserPoints(userId, adminId) {
+  if (!userId) {
+    return { success: false, error: 'User ID is required' };
   }
+
+  return callLedgerFunction('expireUserPoints', { userId, actorId: adminId });
 }
 
 /**
  * Reset expiration date for a user's oldest points (admin function)
- * Resets the expiration date to today, effectively making them expire in [EXPIRATION_DAYS] days from now
+ * The oldest points are expired and credited again, so they expire in [EXPIRATION_DAYS] days from now
  * 
  * @param {string} userId - User ID
+ * @param {string} adminId - Admin user ID performing the action
  * @returns {Promise<Object>} Result
  */
-export async function resetPointsExpirationDate(userId) {
-  try {
-    if (!userId) {
-      throw new Error('User ID is required');
-    }
-
-    const userRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userRef);
-    
-    if (!userDoc.exists()) {
-      throw new Error('User not found');
-    }
-
-    const userData = userDoc.data();
-    const pointsHistory = { ...(userData.pointsHistory || {}) };
-
-    // Find oldest entry
-    const entries = Object.entries(pointsHistory).sort((a, b) => {
-      return parseDateKey(a[0]) - parseDateKey(b[0]);
-    });
-
-    if (entries.length === 0) {
-      return {
-        success: false,
-        message: 'No points history found',
-      };
-    }
-
-    const [oldestDateKey, oldestEntry] = entries[0];
-    
-    if (!oldestEntry) {
-      return {
-        success: false,
-        message: 'Invalid points entry',
-      };
-    }
-
-    // Reset the addedAt timestamp to now, making it expire in EXPIRATION_DAYS days
-    const todayKey = formatDateKey(new Date());
-    
-    // If oldest entry exists and has points, update its timestamp
-    if (oldestEntry.points > 0) {
-      oldestEntry.addedAt = serverTimestamp();
-      pointsHistory[oldestDateKey] = oldestEntry;
-    } else {
-      // If oldest entry has no points, mark all as expired
-      Object.keys(pointsHistory).forEach(key => {
-        if (pointsHistory[key]) {
-          pointsHistory[key].isUsable = false;
-        }
-      });
-    }
-
-    // Calculate new usable points
-    const updatedUsablePoints = calculateUsablePoints({ ...userData, pointsHistory });
-    const updatedTotalPoints = calculateTotalPoints({ ...userData, pointsHistory });
-
-    const updateData = {
-      pointsHistory: pointsHistory,
-      usablePoints: updatedUsablePoints,
-      totalPoints: updatedTotalPoints,
-      expirationResetAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
-
-    const cleanUpdateData = cleanFirestoreData(updateData);
-    await updateDoc(userRef, cleanUpdateData);
-
-    return {
-      success: true,
-      message: 'Points expiration date reset',
-      newUsablePoints: updatedUsablePoints,
-    };
-
-  } catch (error) {
-    console.error('Error resetting points expiration:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
+export async function resetPointsExpirationDate(userId, adminId) {
+  if (!userId) {
+    return { success: false, error: 'User ID is required' };
   }
+
+  return callLedgerFunction('resetPointsExpiration', { userId, actorId: adminId });
 }
 
 /**
@@ -573,181 +292,19 @@ export async function resetPointsExpirationDate(userId) {
  * @param {number} pointsAdjustment - Points to add (positive) or subtract (negative)
  * @param {string} reason - Reason for adjustment
  * @param {string} adminId - Admin user ID making the adjustment
- * @returns {Promise<Object>} Result
+ * @returns {Promise<Object>} Result, with `pendingApprovalId` when the user's
+ *   department points approval chain applies and nothing was changed yet
  */
 export async function adjustUserPoints(userId, pointsAdjustment, reason, adminId) {
-  try {
-    if (!userId || typeof pointsAdjustment !== 'number' || pointsAdjustment === 0) {
-      throw new Error('Invalid parameters');
-    }
-
-    const result = await runTransaction(db, async (tx) => {
-      const userRef = doc(db, 'users', userId);
-      const userDoc = await tx.get(userRef);
-      
-      if (!userDoc.exists()) {
-        throw new Error('User not found');
-      }
-
-      const userData = userDoc.data();
-      const todayKey = formatDateKey(new Date());
-      
-      if (!todayKey) {
-        throw new Error('Unable to generate date key');
-      }
-
-      const pointsHistory = buildInitialPointsHistory(userData);
-      const adjustmentKey = `${todayKey}-adj-${Date.now()}`;
-      
-      if (pointsAdjustment > 0) {
-        pointsHistory[adjustmentKey] = {
-          points: pointsAdjustment,
-          addedAt: serverTimestamp(),
-          expirationDays: POINTS_CONFIG.EXPIRATION_DAYS,
-          isUsable: true,
-          adjustmentReason: reason || 'Admin adjustment',
-          adjustedBy: adminId,
-          adjustmentType: 'addition',
-        };
-      } else {
-        let remainingToDeduct = Math.abs(pointsAdjustment);
-        const sortedEntries = Object.entries(pointsHistory).sort((a, b) => {
-          const dateA = parseDateKey(a[0]);
-          const dateB = parseDateKey(b[0]);
-          return (dateA?.getTime() || 0) - (dateB?.getTime() || 0);
-        });
-        const now = new Date();
-
-        for (const [dateKey, entry] of sortedEntries) {
-          if (remainingToDeduct <= 0) break;
-          if (!entry || entry.points <= 0 || entry.isUsable === false) continue;
-          const pointsDate = parseDateKey(dateKey);
-          if (!pointsDate) continue;
-          const expirationDate = new Date(pointsDate);
-          expirationDate.setDate(expirationDate.getDate() + (entry.expirationDays || POINTS_CONFIG.EXPIRATION_DAYS));
-          if (now > expirationDate) {
-            entry.isUsable = false;
-            continue;
-          }
-          const pointsToDeduct = Math.min(remainingToDeduct, entry.points);
-          entry.points -= pointsToDeduct;
-          remainingToDeduct -= pointsToDeduct;
-          if (entry.points <= 0) {
-            entry.isUsable = false;
-          }
-        }
-
-        pointsHistory[adjustmentKey] = {
-          points: 0,
-          addedAt: serverTimestamp(),
-          expirationDays: POINTS_CONFIG.EXPIRATION_DAYS,
-          isUsable: false,
-          adjustmentReason: reason || 'Admin adjustment',
-          adjustedBy: adminId,
-          adjustmentType: 'subtraction',
-          amountDeducted: Math.abs(pointsAdjustment),
-        };
-
-        if (remainingToDeduct > 0) {
-          throw new Error(`Not enough points to deduct. Could only deduct ${Math.abs(pointsAdjustment) - remainingToDeduct} points.`);
-        }
-      }
-
-      const updatedUsablePoints = calculateUsablePoints({ ...userData, pointsHistory });
-      const updatedTotalPoints = calculateTotalPoints({ ...userData, pointsHistory });
-
-      tx.update(userRef, cleanFirestoreData({
-        pointsHistory,
-        usablePoints: updatedUsablePoints,
-        totalPoints: updatedTotalPoints,
-        lastPointsAdjustment: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-      }));
-
-      return {
-        newUsablePoints: updatedUsablePoints,
-        newTotalPoints: updatedTotalPoints,
-      };
-    });
-
-    return {
-      success: true,
-      newUsablePoints: result.newUsablePoints,
-      newTotalPoints: result.newTotalPoints,
-      adjustment: pointsAdjustment,
-    };
-
-  } catch (error) {
-    console.error('Error adjusting user points:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
+  if (!userId || typeof pointsAdjustment !== 'number' || pointsAdjustment === 0) {
+    return { success: false, error: 'Invalid parameters' };
   }
-}
-
-/**
- * Clean expired points from database (should be run periodically)
- * 
- * @returns {Promise<Object>} Result
- */
-export async function cleanExpiredPoints() {
-  try {
-    const { collection, getDocs, query, writeBatch } = await import('firebase/firestore');
-    const usersRef = collection(db, 'users');
-    const snapshot = await getDocs(query(usersRef));
-
-    const batch = writeBatch(db);
-    let updated = 0;
-    const now = new Date();
-
-    snapshot.forEach(doc => {
-      const userData = doc.data();
-      const pointsHistory = { ...(userData.pointsHistory || {}) };
-      let hasChanges = false;
-
-      Object.entries(pointsHistory).forEach(([dateKey, entry]) => {
-        if (!entry || typeof entry.points !== 'number') return;
-
-        const pointsDate = parseDateKey(dateKey);
-        if (!pointsDate) return;
-
-        const expirationDate = new Date(pointsDate);
-        expirationDate.setDate(expirationDate.getDate() + (entry.expirationDays || POINTS_CONFIG.EXPIRATION_DAYS));
-
-        // Mark as unusable if expired
-        if (now > expirationDate && entry.isUsable !== false) {
-          entry.isUsable = false;
-          hasChanges = true;
-        }
-      });
-
-      if (hasChanges) {
-        const updatedUsablePoints = calculateUsablePoints({ ...userData, pointsHistory });
-        const cleanPointsHistory = cleanFirestoreData(pointsHistory);
-        
-        batch.update(doc.ref, {
-          pointsHistory: cleanPointsHistory,
-          usablePoints: updatedUsablePoints,
-          updatedAt: serverTimestamp(),
-        });
-        updated++;
-      }
-    });
 
-    await batch.commit();
-
-    return {
-      success: true,
-      usersUpdated: updated,
-    };
-
-  } catch (error) {
-    console.error('Error cleaning expired points:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
+  const result = await callLedgerFunction('adjustUserPoints', {
+    userId,
+    points: pointsAdjustment,
+    reason,
+    actorId: adminId,
+  });
+  return result.success ? { ...result, adjustment: pointsAdjustment } : result;
 }
-
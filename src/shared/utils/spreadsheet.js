@@ -0,0 +1,155 @@
+import Papa from 'papaparse';
+
+/**
+ * Reading uploaded spreadsheets (CSV and XLSX) into rows of strings.
+ *
+ * XLSX files are zip archives of XML parts; only the first worksheet's cell
+ * values are read, not formatting or formulas. Dates come back as Excel
+ * serial numbers (see excelSerialToDateKey).
+ */
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+const isBlankRow = (row) => row.every((cell) => cell === '');
+
+/**
+ * @param {string} text
+ * @returns {string[][]} Rows without blank lines
+ */
+export function parseCsv(text) {
+  const { data } = Papa.parse(text.replace(/^\uFEFF/, ''), { skipEmptyLines: 'greedy' });
+  return data.map((row) => row.map((cell) => String(cell ?? '').trim()));
+}
+
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY) end -= 1;
+  if (end < 0) throw new Error('Not a valid .xlsx file');
+
+  const entries = new Map();
+  const decoder = new TextDecoder();
+  let offset = view.getUint32(end + 16, true);
+  for (let index = view.getUint16(end + 10, true); index > 0; index -= 1) {
+    if (view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY) throw new Error('Not a valid .xlsx file');
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      headerOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+};
+
+const readZipText = async (buffer, entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.headerOffset, true) !== ZIP_LOCAL_HEADER) throw new Error('Not a valid .xlsx file');
+  const start = entry.headerOffset + 30 + view.getUint16(entry.headerOffset + 26, true) + view.getUint16(entry.headerOffset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+  switch (entity.toLowerCase()) {
+    case 'lt': return '<';
+    case 'gt': return '>';
+    case 'amp': return '&';
+    case 'quot': return '"';
+    case 'apos': return '\'';
+    default: return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  }
+});
+
+// Rich text splits a string into several <t> runs
+const textOf = (xml) => decodeXml(Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g), (match) => match[1]).join(''));
+
+const columnIndex = (reference) => reference.replace(/\d+$/, '').split('')
+  .reduce((index, letter) => index * 26 + letter.toUpperCase().charCodeAt(0) - 64, 0) - 1;
+
+const attribute = (attributes, name) => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] ?? null;
+
+const firstSheetPath = (workbook, relationships) => {
+  const relationshipId = workbook && attribute(workbook.match(/<sheet\s[^>]*>/)?.[0] || '', 'r:id');
+  const relationship = relationshipId && relationships?.match(new RegExp(`<Relationship\\s[^>]*Id="${relationshipId}"[^>]*>`))?.[0];
+  const target = relationship && attribute(relationship, 'Target');
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * @param {ArrayBuffer} buffer - An .xlsx file
+ * @returns {Promise<string[][]>} The first worksheet's rows without blank lines
+ */
+export async function readXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const [workbook, relationships, sharedStringsXml] = await Promise.all([
+    readZipText(buffer, entries, 'xl/workbook.xml'),
+    readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels'),
+    readZipText(buffer, entries, 'xl/sharedStrings.xml'),
+  ]);
+  const sheet = await readZipText(buffer, entries, firstSheetPath(workbook, relationships));
+  if (!sheet) throw new Error('The .xlsx file has no worksheet');
+
+  const sharedStrings = Array.from((sharedStringsXml || '').matchAll(/<si>([\s\S]*?)<\/si>/g), (match) => textOf(match[1]));
+
+  const rows = [];
+  for (const [, rowXml = ''] of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const [, attributes, content = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = attribute(attributes, 'r');
+      const type = attribute(attributes, 't');
+      const value = decodeXml(content.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '');
+      let text = value;
+      if (type === 's') text = sharedStrings[Number(value)] ?? '';
+      else if (type === 'inlineStr') text = textOf(content);
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      row[reference ? columnIndex(reference) : row.length] = text.trim();
+    }
+    rows.push(Array.from(row, (cell) => cell ?? ''));
+  }
+  return rows.filter((row) => !isBlankRow(row));
+}
+
+/**
+ * @param {number|string} serial - Days since 1899-12-30, as Excel stores dates
+ * @returns {string} YYYY-MM-DD
+ */
+export function excelSerialToDateKey(serial) {
+  return new Date(Math.round((Number(serial) - 25569) * 86400000)).toISOString().slice(0, 10);
+}
+
+/**
+ * Read an uploaded .csv or .xlsx file
+ * @param {File} file
+ * @returns {Promise<{headers: string[], rows: string[][]}>} Rows are padded to the header width
+ */
+export async function readSpreadsheet(file) {
+  const extension = (file.name.split('.').pop() || '').toLowerCase();
+  let table;
+  if (extension === 'xlsx') {
+    table = await readXlsx(await file.arrayBuffer());
+  } else if (extension === 'csv' || extension === 'txt') {
+    table = parseCsv(await file.text());
+  } else if (extension === 'xls') {
+    throw new Error('Old .xls files are not supported. Save the sheet as .xlsx or .csv.');
+  } else {
+    throw new Error('Choose a .csv or .xlsx file');
+  }
+
+  const [headers = [], ...rows] = table;
+  const width = Math.max(headers.length, ...rows.map((row) => row.length));
+  const pad = (row) => Array.from({ length: width }, (_, index) => row[index] ?? '');
+  return { headers: pad(headers), rows: rows.map(pad) };
+}
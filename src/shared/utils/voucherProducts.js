@@ -5,9 +5,9 @@
  * Management users can add/edit voucher products.
  */
 
-import { db } from '../../firebase';
-import { collection, doc, getDocs, addDoc, updateDoc, deleteDoc, query, orderBy, getDoc, collectionGroup } from 'firebase/firestore';
-import { cleanFirestoreData } from './firestoreHelpers';
+import { voucherProductsRepository, listAllVouchers } from '../data/vouchersRepository';
+
+const BY_POINTS = { orderBy: { field: 'points', direction: 'asc' } };
 
 /**
  * Get all voucher products from Firestore
@@ -15,14 +15,7 @@ import { cleanFirestoreData } from './firestoreHelpers';
  */
 export async function getVoucherProducts() {
   try {
-    const vouchersRef = collection(db, 'voucherProducts');
-    const q = query(vouchersRef, orderBy('points', 'asc'));
-    const snapshot = await getDocs(q);
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    return await voucherProductsRepository.list(BY_POINTS);
   } catch (error) {
     console.error('Error fetching voucher products:', error);
     return [];
@@ -35,14 +28,7 @@ export async function getVoucherProducts() {
  */
 export async function getAllVoucherProducts() {
   try {
-    const vouchersRef = collection(db, 'voucherProducts');
-    const q = query(vouchersRef, orderBy('points', 'asc'));
-    const snapshot = await getDocs(q);
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    return await voucherProductsRepository.list(BY_POINTS);
   } catch (error) {
     console.error('Error fetching all voucher products:', error);
     return [];
@@ -66,12 +52,11 @@ export async function addVoucherProduct(productData) {
       redeemedQuantity: 0,
     };
 
-    const cleanProductData = cleanFirestoreData(voucherProductData);
-    const docRef = await addDoc(collection(db, 'voucherProducts'), cleanProductData);
+    const productId = await voucherProductsRepository.add(voucherProductData);
     
     return {
       success: true,
-      productId: docRef.id,
+      productId,
     };
   } catch (error) {
     console.error('Error adding voucher product:', error);
@@ -90,7 +75,7 @@ export async function addVoucherProduct(productData) {
  */
 export async function updateVoucherProduct(productId, updates) {
   try {
-    const cleanUpdates = cleanFirestoreData({
+    await voucherProductsRepository.update(productId, {
       ...updates,
       updatedAt: new Date(),
       totalQuantity: parseInt(updates.totalQuantity) || 0,
@@ -98,8 +83,6 @@ export async function updateVoucherProduct(productId, updates) {
       ...(typeof updates.isActive === 'boolean' ? { isActive: updates.isActive } : {}),
     });
     
-    await updateDoc(doc(db, 'voucherProducts', productId), cleanUpdates);
-    
     return {
       success: true,
     };
@@ -119,7 +102,7 @@ export async function updateVoucherProduct(productId, updates) {
  */
 export async function deleteVoucherProduct(productId) {
   try {
-    await deleteDoc(doc(db, 'voucherProducts', productId));
+    await voucherProductsRepository.remove(productId);
     
     return {
       success: true,
@@ -143,8 +126,7 @@ export async function getRedemptionSummary() {
     const products = await getVoucherProducts();
     
     // Get all vouchers from user subcollections using collectionGroup
-    const vouchersSnap = await getDocs(collectionGroup(db, 'vouchers'));
-    const allVouchers = vouchersSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const allVouchers = await listAllVouchers();
     
     // Calculate summary for each product
     const summaries = products.map(product => {
@@ -172,126 +172,3 @@ export async function getWeeklyLeaderboardHistory(limit = 4) {
     return { success: false, error: error.message, archives: [] };
   }
 }
-
-
-/**
- * Calculate weekly leadership points for a user
- * @param {Array} tasks - All tasks
- * @param {string} managerId - Manager's user ID
- * @param {Function} calculateTaskPoints - Function to calculate task points
- * @param {Date} startOfWeek - Start of current week
- * @param {Date} endOfWeek - End of current week
- * @returns {Object} Leadership points data
- */
-function calculateWeeklyLeadershipPoints(tasks, managerId, calculateTaskPoints, startOfWeek, endOfWeek) {
-  const managerTasks = tasks.filter(task => 
-    task.assignedById === managerId && 
-    task.status === 'Complete'
-  );
-
-  let totalLP = 0;
-  let tasksAwarded = 0;
-
-  managerTasks.forEach(task => {
-    const completionDate = getTaskCompletionDate(task);
-    if (completionDate && completionDate >= startOfWeek && completionDate <= endOfWeek) {
-      const taskPoints = calculateTaskPoints(task);
-      const lpData = calculateLeadershipPoints(task, taskPoints);
-      totalLP += lpData.total;
-      tasksAwarded++;
-    }
-  });
-
-  return {
-    total: totalLP,
-    tasksAwarded
-  };
-}
-
-/**
- * Get task completion date
- * @param {Object} task - Task object
- * @returns {Date|null} Completion date
- */
-function getTaskCompletionDate(task) {
-  if (!task.completedAt) return null;
-  
-  if (task.completedAt.toDate) {
-    return task.completedAt.toDate();
-  } else if (task.completedAt instanceof Date) {
-    return task.completedAt;
-  } else if (typeof task.completedAt === 'string') {
-    return new Date(task.completedAt);
-  }
-  
-  return null;
-}
-
-/**
- * Get bonus points in a date range
- * @param {Object} bonusLedger - User's bonus ledger
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- * @returns {number} Total bonus points in range
- */
-function getBonusPointsInRange(bonusLedger, startDate, endDate) {
-  let total = 0;
-  
-  Object.values(bonusLedger).forEach(entry => {
-    if (entry.date && entry.points) {
-      const entryDate = entry.date.toDate ? entry.date.toDate() : new Date(entry.date);
-      if (entryDate >= startDate && entryDate <= endDate) {
-        total += entry.points;
-      }
-    }
-  });
-  
-  return total;
-}
-
-/**
- * Calculate leadership points for a single task
- * @param {Object} task - Task object
- * @param {number} taskExecutionPoints - Execution points for the task
- * @returns {Object} Leadership points breakdown
- */
-function calculateLeadershipPoints(task, taskExecutionPoints) {
-  if (!task || !taskExecutionPoints) {
-    return { completionBonus: 0, difficultyFairness: 0, onTimeBonus: 0, total: 0 };
-  }
-
-  let completionBonus = 0;
-  let difficultyFairness = 0;
-  let onTimeBonus = 0;
-
-  const isRdNewSkill = task.isRdNewSkill || false;
-
-  // Completion Bonus
-  if (isRdNewSkill) {
-    completionBonus = Math.round(taskExecutionPoints * 0.50);
-  } else {
-    completionBonus = Math.round(taskExecutionPoints * 0.20);
-  }
-
-  // Difficulty Fairness (only for regular tasks)
-  if (!isRdNewSkill) {
-    difficultyFairness = Math.round(taskExecutionPoints * 0.05);
-  }
-
-  // On-Time Delivery Bonus
-  if (task.targetDate && task.completedAt) {
-    const targetDate = task.targetDate.toDate ? task.targetDate.toDate() : new Date(task.targetDate);
-    const completedDate = getTaskCompletionDate(task);
-    
-    if (completedDate && completedDate <= targetDate) {
-      onTimeBonus = Math.round(taskExecutionPoints * 0.05);
-    }
-  }
-
-  return {
-    completionBonus,
-    difficultyFairness,
-    onTimeBonus,
-    total: completionBonus + difficultyFairness + onTimeBonus
-  };
-}
@@ -0,0 +1,140 @@
+/**
+ * Password Sign-in Tests
+ *
+ * Runs functions/auth.js against the Auth and Firestore emulators: signing in
+ * with a stored hash, migrating a legacy plaintext password, locking out
+ * repeated failures, and an admin reset ending existing sessions. Start them with:
+ *   npm run test:auth
+ */
+
+import { createRequire } from 'node:module';
+
+const PROJECT_ID = 'demo-kartavya-auth';
+
+// The Admin SDK instance functions/auth.js uses
+const require = createRequire(new URL('../../functions/package.json', import.meta.url));
+const admin = require('firebase-admin');
+const {
+  CREDENTIALS_COLLECTION,
+  AUTH_CONFIG,
+  requireActor,
+  signInWithPassword,
+  resetUserPassword,
+} = require('./auth.js');
+
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+let db;
+let auth;
+
+// Exchange a custom token for an ID token, as the app's signInWithCustomToken does
+const toDecodedIdToken = async (customToken) => {
+  const response = await fetch(`http://${AUTH_HOST}/identitytoolkit.googleapis.com/v1/accounts:signInWithCustomToken?key=demo`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: customToken, returnSecureToken: true }),
+  });
+  const { idToken } = await response.json();
+  return auth.verifyIdToken(idToken);
+};
+
+// Callable request of a signed-in user
+const callableRequest = (token) => ({ auth: { uid: token.uid, token } });
+
+// auth_time has whole-second precision
+const nextSecond = () => new Promise((resolve) => setTimeout(resolve, 1100));
+
+beforeAll(() => {
+  if (!AUTH_HOST || !FIRESTORE_HOST) {
+    throw new Error('Run with the Auth and Firestore emulators: npm run test:auth');
+  }
+  admin.initializeApp({ projectId: PROJECT_ID });
+  db = admin.firestore();
+  auth = admin.auth();
+});
+
+afterAll(async () => {
+  await admin.app().delete();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    fetch(`http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' }),
+    fetch(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' }),
+  ]);
+  await Promise.all([
+    db.collection('users').doc('alice').set({ name: 'Alice', role: 'User', password: 'legacy-secret' }),
+    db.collection('users').doc('adam').set({ name: 'Adam', role: 'Admin' }),
+  ]);
+});
+
+describe('signInWithPassword', () => {
+  test('should migrate a legacy password and sign in with the stored hash after', async () => {
+    const first = await signInWithPassword(db, auth, 'alice', 'legacy-secret');
+
+    const [userSnap, credentialSnap] = await Promise.all([
+      db.collection('users').doc('alice').get(),
+      db.collection(CREDENTIALS_COLLECTION).doc('alice').get(),
+    ]);
+    expect(userSnap.get('password')).toBeUndefined();
+    expect(userSnap.get('hasPassword')).toBe(true);
+    expect(credentialSnap.data()).toMatchObject({ algorithm: 'scrypt', migratedFromLegacy: true });
+
+    const token = await toDecodedIdToken(first.token);
+    expect(token).toMatchObject({ uid: 'alice', role: 'User', sessionExpiresAt: first.sessionExpiresAt });
+    await expect(requireActor(db, callableRequest(token), 'alice')).resolves.toMatchObject({ id: 'alice' });
+
+    const again = await signInWithPassword(db, auth, 'alice', 'legacy-secret');
+    expect((await toDecodedIdToken(again.token)).uid).toBe('alice');
+  });
+
+  test('should reject wrong passwords and unknown users alike', async () => {
+    await expect(signInWithPassword(db, auth, 'alice', 'guess')).rejects.toThrow('Invalid user or password');
+    await expect(signInWithPassword(db, auth, 'nobody', 'legacy-secret')).rejects.toThrow('Invalid user or password');
+    expect((await db.collection(CREDENTIALS_COLLECTION).doc('alice').get()).exists).toBe(false);
+  });
+
+  test('should lock a user out after repeated failures, even with the right password', async () => {
+    const now = Date.UTC(2026, 0, 1);
+    for (let i = 0; i < AUTH_CONFIG.MAX_FAILED_ATTEMPTS_PER_USER; i++) {
+      await expect(signInWithPassword(db, auth, 'alice', 'guess', { nowMs: now })).rejects.toThrow('Invalid user or password');
+    }
+    await expect(signInWithPassword(db, auth, 'alice', 'legacy-secret', { nowMs: now })).rejects.toThrow('Too many failed attempts');
+
+    const later = now + AUTH_CONFIG.LOCKOUT_BASE_SECONDS * 1000;
+    await expect(signInWithPassword(db, auth, 'alice', 'legacy-secret', { nowMs: later })).resolves.toHaveProperty('token');
+  });
+
+  test('should lock out an IP guessing across users', async () => {
+    const now = Date.UTC(2026, 0, 1);
+    const ip = '203.0.113.7';
+    for (let i = 0; i < AUTH_CONFIG.MAX_FAILED_ATTEMPTS_PER_IP; i++) {
+      await expect(signInWithPassword(db, auth, `user${i}`, 'guess', { ip, nowMs: now })).rejects.toThrow('Invalid user or password');
+    }
+    await expect(signInWithPassword(db, auth, 'alice', 'legacy-secret', { ip, nowMs: now })).rejects.toThrow('Too many failed attempts');
+    await expect(signInWithPassword(db, auth, 'alice', 'legacy-secret', { ip: '198.51.100.1', nowMs: now })).resolves.toHaveProperty('token');
+  });
+});
+
+describe('resetUserPassword', () => {
+  test('should replace the password and end sessions started before the reset', async () => {
+    const before = await toDecodedIdToken((await signInWithPassword(db, auth, 'alice', 'legacy-secret')).token);
+    await nextSecond();
+
+    await resetUserPassword(db, auth, 'alice', 'new-secret', 'adam');
+
+    await expect(requireActor(db, callableRequest(before), 'alice')).rejects.toThrow('Session ended');
+    await expect(signInWithPassword(db, auth, 'alice', 'legacy-secret')).rejects.toThrow('Invalid user or password');
+
+    const after = await toDecodedIdToken((await signInWithPassword(db, auth, 'alice', 'new-secret')).token);
+    await expect(requireActor(db, callableRequest(after), 'alice')).resolves.toMatchObject({ id: 'alice' });
+    expect((await db.collection(CREDENTIALS_COLLECTION).doc('alice').get()).get('updatedBy')).toBe('adam');
+  });
+
+  test('should reset users who have never signed in', async () => {
+    await resetUserPassword(db, auth, 'adam', 'admin-secret', 'adam');
+    await expect(signInWithPassword(db, auth, 'adam', 'admin-secret')).resolves.toHaveProperty('token');
+    await expect(resetUserPassword(db, auth, 'adam', 'short', 'adam')).rejects.toThrow('at least');
+  });
+});
@@ -0,0 +1,533 @@
+/**
+ * Firestore Security Rules Tests
+ *
+ * Runs firestore.rules in the Firestore emulator. Start it with:
+ *   npm run test:rules
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, serverTimestamp, writeBatch } from 'firebase/firestore';
+
+const RULES_PATH = fileURLToPath(new URL('../../firestore.rules', import.meta.url));
+const HOUR_MS = 60 * 60 * 1000;
+
+const USERS = {
+  alice: { role: 'User', departmentIds: ['ops'], usablePoints: 100 },
+  bob: { role: 'User', departmentIds: ['ops'], usablePoints: 50 },
+  helen: { role: 'Head', departmentIds: ['ops'] },
+  mona: { role: 'Management', departmentIds: [] },
+  adam: { role: 'Admin', departmentIds: [] },
+};
+
+const TASKS = {
+  aliceTask: { title: 'Fix pump', departmentId: 'ops', assignedUserIds: ['alice'], assignedById: 'helen', status: 'Pending' },
+  salesTask: { title: 'Call client', departmentId: 'sales', assignedUserIds: ['sam'], assignedById: 'sam', status: 'Pending' },
+  watchedTask: { title: 'Audit', departmentId: 'sales', assignedUserIds: ['sam'], assignedById: 'sam', observerIds: ['alice'] },
+};
+
+let testEnv;
+
+// Signed in through signInWithPassword, with a live session claim
+const signedIn = (uid, sessionExpiresAt = Date.now() + HOUR_MS) =>
+  testEnv.authenticatedContext(uid, { sessionExpiresAt }).firestore();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-kartavya-rules',
+    firestore: { rules: readFileSync(RULES_PATH, 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await Promise.all([
+      ...Object.entries(USERS).map(([id, data]) => setDoc(doc(db, 'users', id), data)),
+      ...Object.entries(TASKS).map(([id, data]) => setDoc(doc(db, 'tasks', id), data)),
+      setDoc(doc(db, 'users', 'alice', 'vouchers', 'v1'), { userId: 'alice', status: 'active' }),
+      setDoc(doc(db, 'voucherProducts', 'p1'), { name: 'Lunch', cost: 100 }),
+      setDoc(doc(db, 'pointsLedger', 'e1'), { userId: 'alice', points: 100 }),
+      setDoc(doc(db, 'userCredentials', 'alice'), { hash: 'x' }),
+    ]);
+  });
+});
+
+describe('Firestore rules', () => {
+  describe('sessions', () => {
+    test('should reject unauthenticated and expired sessions', async () => {
+      await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'tasks', 'aliceTask')));
+      await assertFails(getDoc(doc(signedIn('alice', Date.now() - 1000), 'tasks', 'aliceTask')));
+      await assertSucceeds(getDoc(doc(signedIn('alice'), 'tasks', 'aliceTask')));
+    });
+
+    test('should reject tokens without the session claim', async () => {
+      const anonymous = testEnv.authenticatedContext('alice').firestore();
+      await assertFails(getDoc(doc(anonymous, 'tasks', 'aliceTask')));
+    });
+  });
+
+  describe('tasks', () => {
+    test('should let users edit only tasks they are assigned to', async () => {
+      const db = signedIn('alice');
+      await assertSucceeds(updateDoc(doc(db, 'tasks', 'aliceTask'), { status: 'Ongoing' }));
+      await assertFails(updateDoc(doc(db, 'tasks', 'salesTask'), { status: 'Ongoing' }));
+      await assertFails(updateDoc(doc(signedIn('bob'), 'tasks', 'aliceTask'), { status: 'Complete' }));
+    });
+
+    test('should stop assignees approving or moving their own tasks', async () => {
+      const ref = doc(signedIn('alice'), 'tasks', 'aliceTask');
+      await assertFails(updateDoc(ref, { needsApproval: false, approvedBy: 'alice' }));
+      await assertFails(updateDoc(ref, { departmentId: 'sales' }));
+    });
+
+    test('should stop assignees changing what their own tasks earn', async () => {
+      const ref = doc(signedIn('alice'), 'tasks', 'aliceTask');
+      await assertFails(updateDoc(ref, { difficulty: 'critical' }));
+      await assertFails(updateDoc(ref, { points: 500 }));
+      await assertFails(updateDoc(ref, { isUrgent: true }));
+      await assertFails(updateDoc(ref, { isRdNewSkill: true }));
+      await assertFails(updateDoc(ref, { assignedUserIds: ['alice', 'bob'] }));
+      await assertSucceeds(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask'), { difficulty: 'critical' }));
+    });
+
+    test('should let observers comment but not edit', async () => {
+      const ref = doc(signedIn('alice'), 'tasks', 'watchedTask');
+      const comment = { taskId: 'watchedTask', text: 'Looks good', userId: 'alice', createdAt: new Date() };
+      await assertSucceeds(setDoc(doc(ref, 'comments', 'c1'), comment));
+      await assertSucceeds(updateDoc(ref, { notes: [{ text: 'Checked', userId: 'alice' }], photos: [] }));
+      await assertFails(updateDoc(ref, { status: 'Complete' }));
+    });
+
+    test('should keep comments out of the task document', async () => {
+      const ref = doc(signedIn('alice'), 'tasks', 'aliceTask');
+      await assertFails(updateDoc(ref, { comments: [{ text: 'Old style', userId: 'alice' }] }));
+      await assertFails(updateDoc(ref, { commentCount: 0 }));
+    });
+
+    test('should let task members post comments as themselves, on their thread only', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), 'tasks', 'request'), {
+        title: 'Fix pump - request', departmentId: 'sales', assignedUserIds: ['sam'], assignedById: 'alice',
+        requestingUserId: 'alice', type: 'material_request', originalTaskId: 'aliceTask',
+      }));
+      const comment = { taskId: 'aliceTask', text: 'On it', userId: 'alice', createdAt: new Date() };
+      const post = (uid, threadId, id) => doc(signedIn(uid), 'tasks', threadId, 'comments', id);
+      await assertSucceeds(setDoc(post('alice', 'aliceTask', 'c1'), comment));
+      await assertFails(setDoc(post('alice', 'aliceTask', 'c2'), { ...comment, userId: 'bob' }));
+      await assertFails(setDoc(post('alice', 'salesTask', 'c3'), { ...comment, taskId: 'salesTask' }));
+      // Posted from the material request into the original task's thread
+      await assertSucceeds(setDoc(post('alice', 'aliceTask', 'c4'), { ...comment, taskId: 'request' }));
+      await assertFails(setDoc(post('alice', 'salesTask', 'c5'), { ...comment, taskId: 'request' }));
+    });
+
+    test('should let authors edit, everyone react for themselves and admins delete', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(
+        doc(context.firestore(), 'tasks', 'aliceTask', 'comments', 'c1'),
+        { taskId: 'aliceTask', text: 'On it', userId: 'alice', createdAt: new Date(), reactions: { helen: ['👍'] } },
+      ));
+      const comment = (uid) => doc(signedIn(uid), 'tasks', 'aliceTask', 'comments', 'c1');
+      await assertFails(updateDoc(comment('alice'), { text: 'Done', editedAt: new Date(), editHistory: [] }));
+      await assertFails(updateDoc(comment('alice'), { text: 'Done', editedAt: new Date(), editHistory: [{ text: 'Never said' }] }));
+      await assertSucceeds(updateDoc(comment('alice'), { text: 'Done', editedAt: new Date(), editHistory: [{ text: 'On it' }] }));
+      await assertFails(updateDoc(comment('alice'), { text: 'Done!', editedAt: new Date(), editHistory: [{ text: 'Rewritten' }, { text: 'Done' }] }));
+      await assertSucceeds(updateDoc(comment('alice'), { text: 'Done!', editedAt: new Date(), editHistory: [{ text: 'On it' }, { text: 'Done' }] }));
+      await assertFails(updateDoc(comment('bob'), { text: 'Hijacked' }));
+      await assertSucceeds(updateDoc(comment('bob'), { reactions: { helen: ['👍'], bob: ['🎉'] } }));
+      await assertFails(updateDoc(comment('bob'), { reactions: { bob: ['🎉'] } }));
+      await assertFails(deleteDoc(comment('alice')));
+      await assertSucceeds(deleteDoc(comment('adam')));
+    });
+
+    test('should keep read markers private', async () => {
+      const marker = (uid, userId) => doc(signedIn(uid), 'tasks', 'aliceTask', 'commentReads', userId);
+      await assertSucceeds(setDoc(marker('alice', 'alice'), { userId: 'alice', threadId: 'aliceTask', lastReadAt: new Date() }));
+      await assertSucceeds(getDoc(marker('alice', 'alice')));
+      await assertFails(getDoc(marker('bob', 'alice')));
+      await assertFails(setDoc(marker('bob', 'alice'), { userId: 'alice', threadId: 'aliceTask', lastReadAt: new Date() }));
+    });
+
+    test('should let users create tasks only for themselves or as requests', async () => {
+      const db = signedIn('alice');
+      const base = { title: 'New', departmentId: 'ops', assignedById: 'alice', status: 'Pending' };
+      await assertSucceeds(setDoc(doc(db, 'tasks', 'self'), { ...base, assignedUserIds: ['alice'], needsApproval: true }));
+      await assertFails(setDoc(doc(db, 'tasks', 'other'), { ...base, assignedUserIds: ['bob'] }));
+      await assertFails(setDoc(doc(db, 'tasks', 'spoofed'), { ...base, assignedById: 'helen', assignedUserIds: ['alice'] }));
+      await assertSucceeds(setDoc(doc(db, 'tasks', 'request'), {
+        ...base,
+        departmentId: 'sales',
+        assignedUserIds: ['sam'],
+        requestingUserId: 'alice',
+        requestingDepartmentId: 'ops',
+      }));
+    });
+
+    test('should keep users\' own tasks waiting for approval', async () => {
+      const base = { title: 'New', departmentId: 'ops', assignedById: 'alice', status: 'Pending', assignedUserIds: ['alice'] };
+      const db = signedIn('alice');
+      await assertFails(setDoc(doc(db, 'tasks', 'unapproved'), base));
+      await assertFails(setDoc(doc(db, 'tasks', 'skipped'), { ...base, needsApproval: false }));
+      await assertFails(setDoc(doc(db, 'tasks', 'selfApproved'), { ...base, needsApproval: true, approvedBy: 'alice' }));
+      await assertFails(setDoc(doc(db, 'tasks', 'shared'), { ...base, assignedUserIds: ['alice', 'bob'], needsApproval: false }));
+      await assertSucceeds(setDoc(doc(signedIn('helen'), 'tasks', 'headOwn'), {
+        ...base,
+        assignedById: 'helen',
+        assignedUserIds: ['helen'],
+        needsApproval: false,
+      }));
+    });
+
+    test('should limit heads to their departments', async () => {
+      const db = signedIn('helen');
+      await assertSucceeds(updateDoc(doc(db, 'tasks', 'aliceTask'), { needsApproval: false, approvedBy: 'helen' }));
+      await assertFails(updateDoc(doc(db, 'tasks', 'salesTask'), { status: 'Complete' }));
+      await assertFails(updateDoc(doc(db, 'tasks', 'aliceTask'), { departmentId: 'sales' }));
+      await assertSucceeds(setDoc(doc(db, 'tasks', 'forBob'), {
+        title: 'New', departmentId: 'ops', assignedById: 'helen', assignedUserIds: ['bob'],
+      }));
+      await assertFails(setDoc(doc(db, 'tasks', 'forSam'), {
+        title: 'New', departmentId: 'sales', assignedById: 'helen', assignedUserIds: ['sam'],
+      }));
+    });
+
+    test('should keep chain approvals out of client hands', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+        doc(context.firestore(), 'tasks', 'aliceTask'),
+        { needsApproval: true, approvalRequestId: 'r1', approvalStatus: 'pending' },
+      ));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask'), { needsApproval: false, approvedBy: 'helen' }));
+      await assertFails(updateDoc(doc(signedIn('mona'), 'tasks', 'aliceTask'), { approvalStatus: 'approved' }));
+      await assertSucceeds(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask'), { status: 'Ongoing' }));
+      await assertFails(setDoc(doc(signedIn('alice'), 'tasks', 'forged'), {
+        title: 'New', departmentId: 'ops', assignedById: 'alice', assignedUserIds: ['alice'], approvalStatus: 'approved',
+      }));
+    });
+
+    test('should leave signing off reviewed tasks to their reviewers', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+        doc(context.firestore(), 'tasks', 'aliceTask'),
+        { requiresReview: true, status: 'Ongoing', observerIds: ['bob'] },
+      ));
+      const aliceRef = doc(signedIn('alice'), 'tasks', 'aliceTask');
+      const bobRef = doc(signedIn('bob'), 'tasks', 'aliceTask');
+      await assertFails(updateDoc(aliceRef, { status: 'Complete' }));
+      await assertFails(updateDoc(aliceRef, { requiresReview: false }));
+      await assertFails(updateDoc(bobRef, { status: 'Complete' }));
+      await assertSucceeds(updateDoc(aliceRef, { status: 'Pending Review', reviewSubmittedAt: new Date() }));
+      await assertFails(updateDoc(aliceRef, { status: 'Complete', reviewedBy: 'alice' }));
+      await assertFails(updateDoc(bobRef, { title: 'Renamed' }));
+      await assertSucceeds(updateDoc(bobRef, { status: 'Complete', reviewedBy: 'bob', reviewHistory: [{ decision: 'accept' }] }));
+    });
+
+    test('should let management manage every task', async () => {
+      const db = signedIn('mona');
+      await assertSucceeds(updateDoc(doc(db, 'tasks', 'salesTask'), { departmentId: 'ops' }));
+      await assertSucceeds(deleteDoc(doc(db, 'tasks', 'aliceTask')));
+    });
+
+    // Open a work session with the openWorkSessions marker, as recordTaskTimer does
+    const openSession = (db, sessionId, session, marker = { sessionId }) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'tasks', session.taskId, 'workSessions', sessionId), session);
+      batch.set(doc(db, 'openWorkSessions', session.userId), { taskId: session.taskId, taskTitle: 'Fix pump', startedAt: serverTimestamp(), ...marker });
+      return batch.commit();
+    };
+
+    test('should let assignees open only their own work sessions', async () => {
+      const session = { taskId: 'aliceTask', userId: 'alice', startedAt: serverTimestamp(), endedAt: null };
+      await assertFails(setDoc(doc(signedIn('alice'), 'tasks', 'aliceTask', 'workSessions', 's1'), session));
+      await assertFails(openSession(signedIn('alice'), 's1', session, { sessionId: 's9' }));
+      await assertFails(openSession(signedIn('alice'), 's0', { ...session, startedAt: new Date(0) }));
+      await assertFails(openSession(signedIn('bob'), 's2', { ...session, userId: 'bob' }));
+      await assertFails(openSession(signedIn('helen'), 's3', session));
+      await assertSucceeds(openSession(signedIn('alice'), 's1', session));
+    });
+
+    test('should keep one open work session per user', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(
+        doc(context.firestore(), 'tasks', 'pumpTask'),
+        { ...TASKS.aliceTask, title: 'Check pump' },
+      ));
+      const db = signedIn('alice');
+      const session = { taskId: 'aliceTask', userId: 'alice', startedAt: serverTimestamp(), endedAt: null };
+      await assertSucceeds(openSession(db, 's1', session));
+      await assertFails(openSession(db, 's2', { ...session, taskId: 'pumpTask' }));
+      await assertFails(setDoc(doc(db, 'tasks', 'pumpTask', 'workSessions', 's2'), { ...session, taskId: 'pumpTask' }));
+      await assertFails(deleteDoc(doc(db, 'openWorkSessions', 'alice')));
+
+      const close = { endedAt: serverTimestamp(), minutes: 0, endReason: 'pause' };
+      await assertFails(updateDoc(doc(db, 'tasks', 'aliceTask', 'workSessions', 's1'), close));
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', 'aliceTask', 'workSessions', 's1'), close);
+      batch.delete(doc(db, 'openWorkSessions', 'alice'));
+      await assertSucceeds(batch.commit());
+      await assertSucceeds(openSession(db, 's2', { ...session, taskId: 'pumpTask' }));
+    });
+
+    test('should let task members close open work sessions but not rewrite them', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(
+        doc(context.firestore(), 'tasks', 'aliceTask', 'workSessions', 's1'),
+        { taskId: 'aliceTask', userId: 'alice', startedAt: new Date(Date.now() - 45 * 60 * 1000), endedAt: null },
+      ));
+      const close = { endedAt: serverTimestamp(), minutes: 30, endReason: 'complete' };
+      const ref = doc(signedIn('alice'), 'tasks', 'aliceTask', 'workSessions', 's1');
+      await assertFails(updateDoc(ref, { ...close, endedAt: new Date(Date.now() + 10 * HOUR_MS) }));
+      await assertFails(updateDoc(ref, { ...close, minutes: 600 }));
+      await assertFails(updateDoc(doc(signedIn('bob'), 'tasks', 'aliceTask', 'workSessions', 's1'), close));
+      await assertFails(updateDoc(doc(signedIn('alice'), 'tasks', 'aliceTask', 'workSessions', 's1'), { ...close, userId: 'bob' }));
+      await assertSucceeds(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask', 'workSessions', 's1'), close));
+      await assertFails(updateDoc(doc(signedIn('alice'), 'tasks', 'aliceTask', 'workSessions', 's1'), { minutes: 300 }));
+    });
+
+    test('should leave worked-minute totals to Cloud Functions and timers to their owners', async () => {
+      const ref = doc(signedIn('alice'), 'tasks', 'aliceTask');
+      await assertFails(updateDoc(ref, { workedMinutes: 6000 }));
+      await assertFails(updateDoc(ref, { 'workedMinutesByUser.alice': 6000 }));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask'), { workedMinutes: 60 }));
+      await assertSucceeds(updateDoc(ref, { activeTimers: { alice: { state: 'running', sessionId: 's1', since: new Date() } } }));
+      await assertFails(updateDoc(ref, { 'activeTimers.bob': { state: 'running', sessionId: 's2', since: new Date() } }));
+      await assertSucceeds(updateDoc(ref, { activeTimers: {} }));
+    });
+
+    test('should keep blocked tasks from starting or completing until Cloud Functions clear the flag', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+        doc(context.firestore(), 'tasks', 'aliceTask'), { hasBlockingTasks: true, blockedByTaskIds: ['salesTask'] },
+      ));
+      await assertFails(updateDoc(doc(signedIn('alice'), 'tasks', 'aliceTask'), { status: 'Ongoing' }));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask'), { status: 'Complete' }));
+      await assertFails(updateDoc(doc(signedIn('alice'), 'tasks', 'aliceTask'), { hasBlockingTasks: false }));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'tasks', 'aliceTask'), { hasBlockingTasks: false, status: 'Ongoing' }));
+      await assertSucceeds(updateDoc(doc(signedIn('alice'), 'tasks', 'aliceTask'), { notes: [{ text: 'Waiting on sales', userId: 'alice' }] }));
+
+      await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+        doc(context.firestore(), 'tasks', 'aliceTask'), { hasBlockingTasks: false },
+      ));
+      await assertSucceeds(updateDoc(doc(signedIn('alice'), 'tasks', 'aliceTask'), { status: 'Ongoing' }));
+    });
+
+    describe('checklists', () => {
+      const step = (id, overrides = {}) => ({
+        id, text: `Step ${id}`, assigneeId: null, done: false, doneBy: null, doneByName: null, doneAt: null, ...overrides,
+      });
+      const checked = (item, uid) => ({ ...item, done: true, doneBy: uid, doneByName: uid, doneAt: '2026-03-10T09:00:00.000Z' });
+      const steps = [step('1'), step('2', { assigneeId: 'bob' }), step('3', { assigneeId: 'alice' })];
+
+      beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), 'tasks', 'pairTask'), {
+          title: 'Service pumps', departmentId: 'ops', assignedUserIds: ['alice', 'bob'], assignedById: 'helen',
+          status: 'Ongoing', checklist: steps, requireChecklistComplete: true,
+        }));
+      });
+
+      test('should let assignees tick only their own or unassigned items, as themselves', async () => {
+        const ref = doc(signedIn('alice'), 'tasks', 'pairTask');
+        await assertSucceeds(updateDoc(ref, { checklist: [checked(steps[0], 'alice'), steps[1], steps[2]] }));
+        await assertFails(updateDoc(ref, { checklist: [checked(steps[0], 'alice'), checked(steps[1], 'alice'), steps[2]] }));
+        await assertFails(updateDoc(ref, { checklist: [checked(steps[0], 'alice'), steps[1], checked(steps[2], 'bob')] }));
+      });
+
+      test('should stop assignees crediting others, unticking their items or editing the list', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+          doc(context.firestore(), 'tasks', 'pairTask'), { checklist: [checked(steps[0], 'bob'), steps[1], steps[2]] },
+        ));
+        const ref = doc(signedIn('alice'), 'tasks', 'pairTask');
+        await assertFails(updateDoc(ref, { checklist: [steps[0], steps[1], steps[2]] }));
+        await assertFails(updateDoc(ref, { checklist: [checked(steps[0], 'bob'), steps[1]] }));
+        await assertFails(updateDoc(ref, { checklist: [checked(steps[0], 'bob'), steps[1], { ...steps[2], text: 'Skip it' }] }));
+        await assertSucceeds(updateDoc(doc(signedIn('bob'), 'tasks', 'pairTask'), { checklist: steps }));
+      });
+
+      test('should leave the completion rule to managers', async () => {
+        await assertFails(updateDoc(doc(signedIn('alice'), 'tasks', 'pairTask'), { requireChecklistComplete: false }));
+        await assertSucceeds(updateDoc(doc(signedIn('helen'), 'tasks', 'pairTask'), { requireChecklistComplete: false }));
+      });
+
+      test('should refuse completing while items are open, even for managers', async () => {
+        await assertFails(updateDoc(doc(signedIn('alice'), 'tasks', 'pairTask'), { status: 'Complete' }));
+        await assertFails(updateDoc(doc(signedIn('helen'), 'tasks', 'pairTask'), { status: 'Complete' }));
+
+        await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+          doc(context.firestore(), 'tasks', 'pairTask'),
+          { checklist: [checked(steps[0], 'alice'), checked(steps[1], 'bob'), checked(steps[2], 'alice')] },
+        ));
+        await assertSucceeds(updateDoc(doc(signedIn('alice'), 'tasks', 'pairTask'), { status: 'Complete' }));
+      });
+    });
+  });
+
+  describe('users', () => {
+    test('should protect ledger fields from everyone', async () => {
+      await assertFails(updateDoc(doc(signedIn('alice'), 'users', 'alice'), { usablePoints: 9999 }));
+      await assertFails(updateDoc(doc(signedIn('adam'), 'users', 'alice'), { usablePoints: 9999 }));
+      await assertFails(updateDoc(doc(signedIn('adam'), 'users', 'alice'), { pointsHistory: {} }));
+    });
+
+    test('should keep documents with a legacy plaintext password from everyone but the owner', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+        doc(context.firestore(), 'users', 'alice'), { password: 'legacy-secret' },
+      ));
+      await assertFails(getDoc(doc(signedIn('bob'), 'users', 'alice')));
+      await assertSucceeds(getDoc(doc(signedIn('alice'), 'users', 'alice')));
+      await assertSucceeds(getDoc(doc(signedIn('bob'), 'users', 'bob')));
+    });
+
+    test('should keep stored TCS, which seeds opening balances, out of the app', async () => {
+      await assertFails(updateDoc(doc(signedIn('alice'), 'users', 'alice'), { totalTCS: 100000 }));
+      await assertFails(updateDoc(doc(signedIn('alice'), 'users', 'alice'), { weeklyTCS: 100000 }));
+      await assertFails(updateDoc(doc(signedIn('adam'), 'users', 'alice'), { totalTCS: 100000 }));
+    });
+
+    test('should leave daily bonus and penalty ledgers to Cloud Functions', async () => {
+      const ref = doc(signedIn('alice'), 'users', 'alice');
+      await assertFails(updateDoc(ref, { 'dailyBonusLedger.2026-03-10': { points: 100000 } }));
+      await assertFails(updateDoc(ref, { dailyBonusLastClaimedAt: new Date().toISOString() }));
+      await assertFails(updateDoc(ref, { penaltyLedger: {} }));
+    });
+
+    test('should let users update their own profile but not their role', async () => {
+      const db = signedIn('alice');
+      await assertSucceeds(updateDoc(doc(db, 'users', 'alice'), { fcmTokens: ['token'] }));
+      await assertFails(updateDoc(doc(db, 'users', 'alice'), { role: 'Admin' }));
+      await assertFails(updateDoc(doc(db, 'users', 'bob'), { fcmTokens: ['token'] }));
+    });
+
+    test('should let user managers change roles and departments', async () => {
+      await assertSucceeds(updateDoc(doc(signedIn('mona'), 'users', 'alice'), { role: 'Head' }));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'users', 'alice'), { departmentIds: [] }));
+    });
+  });
+
+  describe('holidays', () => {
+    test('should let everyone read and only management edit the calendar', async () => {
+      const holiday = { date: '2026-03-04', name: 'Holi' };
+      await assertSucceeds(getDoc(doc(signedIn('alice'), 'holidays', '2026-03-04')));
+      await assertFails(setDoc(doc(signedIn('helen'), 'holidays', '2026-03-04'), holiday));
+      await assertSucceeds(setDoc(doc(signedIn('mona'), 'holidays', '2026-03-04'), holiday));
+    });
+  });
+
+  describe('task templates', () => {
+    const template = { name: 'Pump check', title: 'Check pump', departmentId: 'ops', version: 1 };
+
+    test('should let heads manage their own departments\' templates', async () => {
+      await assertSucceeds(setDoc(doc(signedIn('helen'), 'taskTemplates', 't1'), template));
+      await assertFails(setDoc(doc(signedIn('helen'), 'taskTemplates', 't2'), { ...template, departmentId: 'sales' }));
+      await assertFails(setDoc(doc(signedIn('alice'), 'taskTemplates', 't3'), template));
+      await assertSucceeds(setDoc(doc(signedIn('mona'), 'taskTemplates', 't4'), { ...template, departmentId: 'sales' }));
+      await assertSucceeds(getDoc(doc(signedIn('alice'), 'taskTemplates', 't1')));
+    });
+
+    test('should version every content change and keep old versions', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), 'taskTemplates', 't1'), template));
+      const db = signedIn('helen');
+      await assertFails(updateDoc(doc(db, 'taskTemplates', 't1'), { title: 'Check pumps' }));
+      await assertFails(updateDoc(doc(db, 'taskTemplates', 't1'), { departmentId: 'sales', version: 2 }));
+      await assertSucceeds(updateDoc(doc(db, 'taskTemplates', 't1'), { isArchived: true }));
+      await assertSucceeds(setDoc(doc(db, 'taskTemplates', 't1', 'versions', '1'), template));
+      await assertSucceeds(updateDoc(doc(db, 'taskTemplates', 't1'), { title: 'Check pumps', version: 2 }));
+      await assertFails(updateDoc(doc(db, 'taskTemplates', 't1', 'versions', '1'), { title: 'Changed' }));
+      await assertFails(deleteDoc(doc(signedIn('adam'), 'taskTemplates', 't1')));
+    });
+  });
+
+  describe('goals', () => {
+    const goal = { title: 'Fewer breakdowns', departmentId: 'ops', ownerId: 'alice', keyResults: [] };
+
+    test('should let heads manage their departments\' goals and Management company goals', async () => {
+      await assertSucceeds(setDoc(doc(signedIn('helen'), 'goals', 'g1'), goal));
+      await assertFails(setDoc(doc(signedIn('helen'), 'goals', 'g2'), { ...goal, departmentId: null }));
+      await assertFails(setDoc(doc(signedIn('alice'), 'goals', 'g3'), goal));
+      await assertSucceeds(setDoc(doc(signedIn('mona'), 'goals', 'g4'), { ...goal, departmentId: null }));
+      await assertSucceeds(getDoc(doc(signedIn('bob'), 'goals', 'g4')));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'goals', 'g1'), { departmentId: 'sales' }));
+      await assertFails(deleteDoc(doc(signedIn('adam'), 'goals', 'g1')));
+    });
+
+    test('should let the owner check in but not edit the goal', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), 'goals', 'g1'), goal));
+      const db = signedIn('alice');
+      await assertSucceeds(updateDoc(doc(db, 'goals', 'g1'), { keyResults: [{ id: 'kr1', currentValue: 3 }], updatedById: 'alice' }));
+      await assertFails(updateDoc(doc(db, 'goals', 'g1'), { title: 'Renamed' }));
+      await assertSucceeds(setDoc(doc(db, 'goals', 'g1', 'checkIns', 'c1'), { keyResultId: 'kr1', value: 3, createdById: 'alice' }));
+      await assertFails(setDoc(doc(db, 'goals', 'g1', 'checkIns', 'c2'), { keyResultId: 'kr1', value: 3, createdById: 'helen' }));
+      await assertFails(setDoc(doc(signedIn('bob'), 'goals', 'g1', 'checkIns', 'c3'), { keyResultId: 'kr1', value: 4, createdById: 'bob' }));
+      await assertFails(updateDoc(doc(db, 'goals', 'g1', 'checkIns', 'c1'), { value: 5 }));
+    });
+  });
+
+  describe('projects', () => {
+    const project = { name: 'New line', departmentIds: ['ops', 'sales'], ownerId: 'alice', memberIds: ['alice'] };
+
+    test('should let heads create projects that include their department', async () => {
+      await assertSucceeds(setDoc(doc(signedIn('helen'), 'projects', 'p1'), project));
+      await assertFails(setDoc(doc(signedIn('helen'), 'projects', 'p2'), { ...project, departmentIds: ['sales'] }));
+      await assertFails(setDoc(doc(signedIn('alice'), 'projects', 'p3'), project));
+      await assertSucceeds(setDoc(doc(signedIn('mona'), 'projects', 'p4'), { ...project, departmentIds: ['sales'] }));
+      await assertSucceeds(getDoc(doc(signedIn('bob'), 'projects', 'p1')));
+    });
+
+    test('should let the owner manage the project but not hand it over', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), 'projects', 'p1'), { ...project, departmentIds: ['sales'] }));
+      const db = signedIn('alice');
+      await assertSucceeds(updateDoc(doc(db, 'projects', 'p1'), { baseline: { startDate: '2026-03-01', endDate: '2026-03-31', tasks: {} } }));
+      await assertFails(updateDoc(doc(db, 'projects', 'p1'), { ownerId: 'bob' }));
+      await assertFails(updateDoc(doc(signedIn('bob'), 'projects', 'p1'), { name: 'Renamed' }));
+      await assertFails(deleteDoc(doc(signedIn('adam'), 'projects', 'p1')));
+    });
+  });
+
+  describe('approval requests', () => {
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled((context) => setDoc(
+        doc(context.firestore(), 'approvalRequests', 'r1'),
+        { type: 'self_assigned_task', status: 'pending', requestedById: 'alice', currentStep: 0, dismissedBy: [] },
+      ));
+    });
+
+    test('should let users only dismiss requests for themselves', async () => {
+      const ref = doc(signedIn('helen'), 'approvalRequests', 'r1');
+      await assertSucceeds(getDoc(ref));
+      await assertFails(updateDoc(ref, { dismissedBy: ['bob'] }));
+      await assertSucceeds(updateDoc(ref, { dismissedBy: ['helen'] }));
+      await assertFails(updateDoc(ref, { status: 'approved' }));
+    });
+
+    test('should keep approval requests server-created', async () => {
+      await assertFails(setDoc(doc(signedIn('adam'), 'approvalRequests', 'r2'), { type: 'critical_task', status: 'approved' }));
+      await assertFails(deleteDoc(doc(signedIn('adam'), 'approvalRequests', 'r1')));
+    });
+  });
+
+  describe('vouchers', () => {
+    test('should restrict voucher products to management', async () => {
+      await assertSucceeds(getDoc(doc(signedIn('alice'), 'voucherProducts', 'p1')));
+      await assertFails(updateDoc(doc(signedIn('alice'), 'voucherProducts', 'p1'), { cost: 1 }));
+      await assertFails(updateDoc(doc(signedIn('helen'), 'voucherProducts', 'p1'), { cost: 1 }));
+      await assertSucceeds(updateDoc(doc(signedIn('mona'), 'voucherProducts', 'p1'), { cost: 1 }));
+    });
+
+    test('should let owners only mark their vouchers as used', async () => {
+      const ref = doc(signedIn('alice'), 'users', 'alice', 'vouchers', 'v1');
+      await assertFails(updateDoc(ref, { status: 'refunded' }));
+      await assertFails(getDoc(doc(signedIn('bob'), 'users', 'alice', 'vouchers', 'v1')));
+      await assertSucceeds(updateDoc(ref, { status: 'used', usedBy: 'alice' }));
+      await assertFails(updateDoc(ref, { status: 'used', usedBy: 'alice', usedAt: 'again' }));
+    });
+
+    test('should keep the ledger and credentials server-only', async () => {
+      const db = signedIn('adam');
+      await assertSucceeds(getDoc(doc(db, 'pointsLedger', 'e1')));
+      await assertFails(setDoc(doc(db, 'pointsLedger', 'e2'), { userId: 'adam', points: 1000 }));
+      await assertFails(getDoc(doc(db, 'userCredentials', 'alice')));
+    });
+  });
+});
@@ -0,0 +1,14 @@
+import { defineConfig, configDefaults } from 'vitest/config'
+
+// Unit tests live in src/**/__tests__. The suites in tests/ need the Firebase
+// emulators, so they only run under `firebase emulators:exec` (npm run test:rules,
+// npm run test:auth), which sets FIRESTORE_EMULATOR_HOST.
+export default defineConfig({
+  test: {
+    globals: true,
+    include: ['src/**/__tests__/**/*.test.{js,jsx}', 'tests/**/*.test.js'],
+    exclude: process.env.FIRESTORE_EMULATOR_HOST
+      ? configDefaults.exclude
+      : [...configDefaults.exclude, 'tests/**'],
+  },
+})